@@ -12,7 +12,10 @@ const state = {
     agentStatus: null, // 'no', 'yes', 'this-agent'
     buyingTimeline: null,
     preApproved: null,
-    formData: {}
+    formData: {},
+    language: 'en',         // Sign-in language chosen by the visitor
+    knownAgentStatus: null, // From a previous sign-in by the same visitor
+    duplicateOf: null       // localUuid of an earlier sign-in at this open house
 };
 
 // ============================================
@@ -20,11 +23,16 @@ const state = {
 // ============================================
 
 let currentSlide = 0;
-const slides = document.querySelectorAll('.slide');
-const indicators = document.querySelectorAll('.indicator');
+let slides = document.querySelectorAll('.slide');
+let indicators = document.querySelectorAll('.indicator');
 let slideshowInterval;
 
 function initSlideshow() {
+    slides = document.querySelectorAll('.slide');
+    indicators = document.querySelectorAll('.indicator');
+    currentSlide = 0;
+    clearInterval(slideshowInterval);
+
     if (slides.length === 0) return;
 
     slideshowInterval = setInterval(nextSlide, 5000);
@@ -53,6 +61,34 @@ function goToSlide(index) {
     slideshowInterval = setInterval(nextSlide, 5000);
 }
 
+/**
+ * Replace the static slides with the listing's photos and restart the slideshow.
+ * Keeps the existing slides when the listing has no photos.
+ */
+function loadSlideshowImages(imageUrls) {
+    if (!imageUrls || imageUrls.length === 0) return;
+
+    const container = document.querySelector('.slideshow-container');
+    const indicatorBar = container.querySelector('.slideshow-indicators');
+
+    container.querySelectorAll('.slide').forEach(slide => slide.remove());
+    indicatorBar.innerHTML = '';
+
+    const overlay = container.querySelector('.gradient-overlay');
+    imageUrls.forEach((url, index) => {
+        const slide = document.createElement('div');
+        slide.className = 'slide' + (index === 0 ? ' active' : '');
+        slide.style.backgroundImage = `url('${encodeURI(url)}')`;
+        container.insertBefore(slide, overlay);
+
+        const indicator = document.createElement('span');
+        indicator.className = 'indicator' + (index === 0 ? ' active' : '');
+        indicatorBar.appendChild(indicator);
+    });
+
+    initSlideshow();
+}
+
 // ============================================
 // Modal Management
 // ============================================
@@ -60,6 +96,12 @@ function goToSlide(index) {
 const modal = document.getElementById('signInModal');
 
 function openSignIn() {
+    // Every sign-in must belong to an open house session
+    if (!kioskConfig.session) {
+        openSetup();
+        return;
+    }
+
     modal.classList.add('active');
     document.body.style.overflow = 'hidden';
 
@@ -78,6 +120,15 @@ function resetForm() {
     state.buyingTimeline = null;
     state.preApproved = null;
     state.formData = {};
+    state.knownAgentStatus = null;
+    state.duplicateOf = null;
+    clearTimeout(lookupTimer);
+    lookupRequestId++;
+    renderVisitorBanner(null, null);
+
+    // Each visitor starts in the default language
+    setLanguage(DEFAULT_LANGUAGE);
+    clearFormErrors();
 
     // Reset all inputs
     document.querySelectorAll('.form-input').forEach(input => {
@@ -109,12 +160,22 @@ function showStep(stepNumber) {
         step.classList.remove('active');
     });
 
+    clearFormErrors();
+
     // Show target step
     const targetStep = document.querySelector(`.form-step[data-step="${stepNumber}"]`);
     if (targetStep) {
         targetStep.classList.add('active');
     }
 
+    // Suggest the agent status a returning visitor gave last time
+    if (String(stepNumber) === '2' && state.knownAgentStatus && !state.agentStatus) {
+        const suggested = document.querySelector(`.option-card[data-status="${state.knownAgentStatus}"]`);
+        if (suggested) {
+            suggested.classList.add('selected');
+        }
+    }
+
     state.currentStep = stepNumber;
     updateProgressSteps();
 }
@@ -167,6 +228,7 @@ function validateCurrentStep() {
 
         if (!isValidEmail(email)) {
             document.getElementById('email').classList.add('error');
+            showFormError('validation.email');
             return false;
         }
 
@@ -184,12 +246,249 @@ function highlightEmptyFields(fieldIds) {
             setTimeout(() => field.classList.remove('error'), 2000);
         }
     });
+
+    showFormError('validation.required');
+}
+
+/**
+ * Show a localized validation message on the active step. The key is kept
+ * on the element so the message follows a language switch.
+ */
+function showFormError(key) {
+    const errorEl = document.querySelector('.form-step.active .form-error');
+    if (!errorEl) return;
+
+    errorEl.dataset.errorKey = key;
+    errorEl.textContent = t(key);
+}
+
+function clearFormErrors() {
+    document.querySelectorAll('.form-error').forEach(el => {
+        delete el.dataset.errorKey;
+        el.textContent = '';
+    });
 }
 
 function isValidEmail(email) {
     return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
 
+// ============================================
+// Localization
+// ============================================
+
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Translate a key into the visitor's language, falling back to English.
+ * Tokens like {name} are replaced from `vars`.
+ */
+function t(key, vars = {}) {
+    const dictionary = TRANSLATIONS[state.language] || TRANSLATIONS[DEFAULT_LANGUAGE];
+    const text = dictionary[key] ?? TRANSLATIONS[DEFAULT_LANGUAGE][key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => vars[name] ?? match);
+}
+
+function setLanguage(language) {
+    state.language = TRANSLATIONS[language] ? language : DEFAULT_LANGUAGE;
+    modal.setAttribute('lang', state.language);
+
+    const vars = { agent: document.querySelector('.agent-name')?.textContent.trim() || '' };
+
+    modal.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n, vars);
+    });
+
+    modal.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder, vars);
+    });
+
+    modal.querySelectorAll('[data-i18n-html]').forEach(el => {
+        // Translations are static strings from translations.js, never user input
+        el.innerHTML = t(el.dataset.i18nHtml, vars);
+    });
+
+    modal.querySelectorAll('.form-error[data-error-key]').forEach(el => {
+        el.textContent = t(el.dataset.errorKey);
+    });
+
+    modal.querySelectorAll('.language-btn').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.lang === state.language);
+    });
+
+    if (visitorBanner.visitor || visitorBanner.duplicate) {
+        renderVisitorBanner(visitorBanner.visitor, visitorBanner.duplicate);
+    }
+}
+
+document.querySelectorAll('.language-btn').forEach(btn => {
+    btn.addEventListener('click', () => setLanguage(btn.dataset.lang));
+});
+
+// ============================================
+// Returning Visitors (Step 1)
+// ============================================
+
+const LOOKUP_DEBOUNCE_MS = 400;
+
+let lookupTimer = null;
+let lookupRequestId = 0;
+
+function normalizeEmail(email) {
+    return (email || '').trim().toLowerCase();
+}
+
+function normalizePhone(phone) {
+    return (phone || '').replace(/\D/g, '').slice(-10);
+}
+
+function isSameVisitor(record, email, phone) {
+    return (email && normalizeEmail(record.email) === email) ||
+        (phone.length === 10 && normalizePhone(record.phone) === phone);
+}
+
+/**
+ * Most recent sign-in stored on this kiosk for the visitor, from any session.
+ */
+async function findLocalVisitor(email, phone) {
+    const matches = (await getAllSignIns())
+        .filter(record => record.status !== 'duplicate' && isSameVisitor(record, email, phone))
+        .sort((a, b) => b.signedInAt.localeCompare(a.signedInAt));
+
+    return matches[0] || null;
+}
+
+/**
+ * Earlier sign-in by the same visitor at the given open house, if any.
+ */
+async function findSessionDuplicate(email, phone, openHouseId) {
+    if (!openHouseId) return null;
+
+    const records = await getAllSignIns();
+    return records.find(record =>
+        record.openHouseId === openHouseId &&
+        record.status !== 'duplicate' &&
+        isSameVisitor(record, normalizeEmail(email), normalizePhone(phone))
+    ) || null;
+}
+
+async function fetchServerVisitor(email, phone) {
+    const params = new URLSearchParams();
+    if (email) params.set('email', email);
+    if (phone.length === 10) params.set('phone', phone);
+
+    const result = await apiGet(`/open-houses/attendees/lookup?${params}`);
+    if (!result.data?.found) return null;
+
+    const a = result.data.attendee;
+    return {
+        firstName: a.first_name,
+        lastName: a.last_name,
+        email: a.email,
+        phone: a.phone,
+        agentStatus: a.working_with_agent === 'yes_other' ? 'yes' :
+                     a.working_with_agent === 'yes_this_agent' ? 'this-agent' : 'no',
+        otherAgentName: a.agent_name,
+        otherAgentBrokerage: a.agent_brokerage,
+        otherAgentPhone: a.agent_phone,
+        otherAgentEmail: a.agent_email
+    };
+}
+
+function scheduleVisitorLookup() {
+    clearTimeout(lookupTimer);
+    lookupTimer = setTimeout(lookupReturningVisitor, LOOKUP_DEBOUNCE_MS);
+}
+
+/**
+ * Look the visitor up by email/phone: this kiosk's own records first (works
+ * offline), then the agent's sign-in history on the server.
+ */
+async function lookupReturningVisitor() {
+    const email = normalizeEmail(document.getElementById('email').value);
+    const phone = normalizePhone(document.getElementById('phone').value);
+    const lookupEmail = isValidEmail(email) ? email : '';
+
+    if (!lookupEmail && phone.length < 10) return;
+
+    const requestId = ++lookupRequestId;
+    let visitor = null;
+    let duplicate = null;
+
+    try {
+        visitor = await findLocalVisitor(lookupEmail, phone);
+        duplicate = await findSessionDuplicate(lookupEmail, phone, kioskConfig.session?.id);
+    } catch (error) {
+        console.error('Local visitor lookup failed:', error);
+    }
+
+    if (!visitor && navigator.onLine) {
+        try {
+            visitor = await fetchServerVisitor(lookupEmail, phone);
+        } catch (error) {
+            // Lookup is best-effort; the visitor can always type everything in
+            console.error('Server visitor lookup failed:', error);
+        }
+    }
+
+    // A newer lookup started (or the form was reset) while this one ran
+    if (requestId !== lookupRequestId) return;
+
+    state.duplicateOf = duplicate ? duplicate.localUuid : null;
+    state.knownAgentStatus = visitor ? visitor.agentStatus : null;
+
+    if (visitor) {
+        prefillVisitor(visitor);
+    }
+    renderVisitorBanner(visitor, duplicate);
+}
+
+/**
+ * Fill in fields the visitor hasn't typed yet; never overwrite their input.
+ */
+function prefillVisitor(visitor) {
+    const fields = {
+        firstName: visitor.firstName,
+        lastName: visitor.lastName,
+        email: visitor.email,
+        phone: visitor.phone,
+        agentName: visitor.otherAgentName,
+        agentBrokerage: visitor.otherAgentBrokerage,
+        agentPhone: visitor.otherAgentPhone,
+        agentEmail: visitor.otherAgentEmail
+    };
+
+    Object.entries(fields).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input && value && !input.value.trim()) {
+            input.value = value;
+        }
+    });
+}
+
+// Last banner shown, so a language switch can re-render it
+let visitorBanner = { visitor: null, duplicate: null };
+
+function renderVisitorBanner(visitor, duplicate) {
+    const banner = document.getElementById('returningBanner');
+    if (!banner) return;
+
+    visitorBanner = { visitor, duplicate };
+    const text = banner.querySelector('.returning-text');
+
+    if (duplicate) {
+        text.textContent = t('returning.alreadySignedIn', { name: duplicate.firstName });
+    } else if (visitor) {
+        text.textContent = t('returning.welcomeBack', { name: visitor.firstName });
+    }
+
+    banner.classList.toggle('duplicate', Boolean(duplicate));
+    banner.style.display = visitor || duplicate ? 'flex' : 'none';
+}
+
+document.getElementById('email').addEventListener('input', scheduleVisitorLookup);
+document.getElementById('phone').addEventListener('input', scheduleVisitorLookup);
+
 // ============================================
 // Agent Status Selection (Step 2)
 // ============================================
@@ -251,6 +550,7 @@ function submitForm() {
     if (!maDisclosure.checked) {
         maDisclosure.parentElement.classList.add('error');
         setTimeout(() => maDisclosure.parentElement.classList.remove('error'), 2000);
+        showFormError('validation.disclosure');
         return;
     }
 
@@ -268,11 +568,10 @@ function submitForm() {
         consentFollowUp: document.getElementById('consentFollowUp').checked,
         consentEmail: document.getElementById('consentEmail').checked,
         consentText: document.getElementById('consentText').checked,
-        maDisclosureAcknowledged: true
+        maDisclosureAcknowledged: true,
+        language: state.language
     };
 
-    console.log('Form submitted:', formData);
-
     // Show alert detail if email consent given
     if (formData.consentEmail && formData.agentStatus === 'no') {
         document.getElementById('alertDetail').style.display = 'flex';
@@ -281,8 +580,20 @@ function submitForm() {
     // Show success step
     showStep(5);
 
-    // In production, send to API:
-    // await submitToAPI(formData);
+    // Persist locally first so the lead survives a dropped connection,
+    // then let the sync loop push it to the server
+    queueSignIn(formData)
+        .then(() => syncPendingSignIns())
+        .catch(error => {
+            console.error('Could not queue sign-in, submitting directly:', error);
+            submitToAPI({
+                ...formData,
+                openHouseId: kioskConfig.session?.id,
+                localUuid: generateLocalUuid(),
+                signedInAt: new Date().toISOString()
+            })
+                .catch(err => console.error('Direct submit failed:', err));
+        });
 }
 
 // ============================================
@@ -326,6 +637,17 @@ document.head.appendChild(style);
 // ============================================
 
 document.addEventListener('keydown', (e) => {
+    if (setupModal.classList.contains('active')) {
+        if (e.key === 'Escape') {
+            closeSetup();
+        } else if (e.key === 'Enter' && document.activeElement?.id === 'setupPin') {
+            unlockSetup();
+        } else if (e.key === 'Enter' && document.activeElement?.id === 'resetToken') {
+            resetPin();
+        }
+        return;
+    }
+
     if (!modal.classList.contains('active')) return;
 
     if (e.key === 'Escape') {
@@ -373,6 +695,8 @@ function optimizeForTouch() {
 document.addEventListener('DOMContentLoaded', () => {
     initSlideshow();
     optimizeForTouch();
+    initSetup();
+    initSync();
 
     // Prevent zoom on input focus (iOS)
     document.querySelectorAll('input, select, textarea').forEach(el => {
@@ -382,19 +706,817 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 });
 
+// ============================================
+// Agent Setup Mode
+// ============================================
+
+const KIOSK_CONFIG_KEY = 'bmnKioskConfig';
+const SETUP_HOLD_MS = 2000;          // Long-press on the host badge opens setup
+const PIN_MAX_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 60 * 1000;
+const PIN_CREATE_PROMPT = 'Create a 4–8 digit PIN to protect kiosk setup';
+
+const setupModal = document.getElementById('setupModal');
+
+// Persisted so a kiosk reloaded without signal keeps its session
+const kioskConfig = loadKioskConfig();
+
+// Hash of the first entry while a new PIN waits for confirmation
+let pendingPinHash = null;
+
+function loadKioskConfig() {
+    // Failure count and lockout live in the config so a reload can't clear them
+    const defaults = { pinHash: null, pinFailures: 0, pinLockedUntil: 0, authToken: '', session: null };
+
+    try {
+        const stored = JSON.parse(localStorage.getItem(KIOSK_CONFIG_KEY));
+        if (stored) return { ...defaults, ...stored };
+    } catch (error) {
+        console.error('Invalid kiosk config, starting fresh:', error);
+    }
+
+    return defaults;
+}
+
+function saveKioskConfig() {
+    localStorage.setItem(KIOSK_CONFIG_KEY, JSON.stringify(kioskConfig));
+}
+
+async function hashPin(pin) {
+    const bytes = new TextEncoder().encode(`bmn-kiosk:${pin}`);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function openSetup() {
+    setupModal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+
+    const pinInput = document.getElementById('setupPin');
+    pinInput.value = '';
+    pinInput.classList.remove('error');
+    pendingPinHash = null;
+
+    document.getElementById('pinMessage').textContent = '';
+    document.getElementById('pinPrompt').textContent = kioskConfig.pinHash
+        ? 'Enter your kiosk PIN to continue'
+        : PIN_CREATE_PROMPT;
+    document.getElementById('forgotPinLink').hidden = !kioskConfig.pinHash;
+
+    showSetupStep('pin');
+}
+
+function closeSetup() {
+    setupModal.classList.remove('active');
+    document.body.style.overflow = '';
+}
+
+function showSetupStep(name) {
+    setupModal.querySelectorAll('.setup-step').forEach(step => {
+        step.classList.toggle('active', step.dataset.setupStep === name);
+    });
+
+    // The attendee table needs more room than the other setup screens
+    setupModal.querySelector('.modal-container').classList.toggle('modal-wide', name === 'summary');
+    document.getElementById('summaryButton').disabled = !kioskConfig.session;
+}
+
+async function unlockSetup() {
+    const pinInput = document.getElementById('setupPin');
+    const pin = pinInput.value.trim();
+    const message = document.getElementById('pinMessage');
+    message.textContent = '';
+
+    if (isPinLocked(message)) return;
+
+    if (!/^\d{4,8}$/.test(pin)) {
+        pinInput.classList.add('error');
+        message.textContent = 'PIN must be 4–8 digits.';
+        return;
+    }
+
+    const pinHash = await hashPin(pin);
+
+    pinInput.value = '';
+
+    if (!kioskConfig.pinHash) {
+        // First run: the PIN is entered twice so a typo can't lock the agent out
+        if (!pendingPinHash) {
+            pendingPinHash = pinHash;
+            pinInput.classList.remove('error');
+            document.getElementById('pinPrompt').textContent = 'Enter the same PIN again to confirm';
+            return;
+        }
+
+        if (pinHash !== pendingPinHash) {
+            pendingPinHash = null;
+            pinInput.classList.add('error');
+            document.getElementById('pinPrompt').textContent = PIN_CREATE_PROMPT;
+            message.textContent = 'PINs didn\'t match. Create your PIN again.';
+            return;
+        }
+
+        kioskConfig.pinHash = pinHash;
+        pendingPinHash = null;
+    } else if (pinHash !== kioskConfig.pinHash) {
+        pinInput.classList.add('error');
+        recordPinFailure(message, 'Incorrect PIN.');
+        return;
+    }
+
+    kioskConfig.pinFailures = 0;
+    saveKioskConfig();
+    document.getElementById('setupToken').value = kioskConfig.authToken || '';
+    showSetupStep('session');
+    loadTodaysOpenHouses();
+}
+
+function isPinLocked(message) {
+    if (Date.now() >= kioskConfig.pinLockedUntil) return false;
+
+    const seconds = Math.ceil((kioskConfig.pinLockedUntil - Date.now()) / 1000);
+    message.textContent = `Too many attempts. Try again in ${seconds}s.`;
+    return true;
+}
+
+function recordPinFailure(message, text) {
+    kioskConfig.pinFailures += 1;
+
+    if (kioskConfig.pinFailures >= PIN_MAX_ATTEMPTS) {
+        kioskConfig.pinFailures = 0;
+        kioskConfig.pinLockedUntil = Date.now() + PIN_LOCKOUT_MS;
+        message.textContent = 'Too many attempts. Setup is locked for 60 seconds.';
+    } else {
+        message.textContent = text;
+    }
+
+    saveKioskConfig();
+}
+
+function showPinReset() {
+    const tokenInput = document.getElementById('resetToken');
+    tokenInput.value = '';
+    tokenInput.classList.remove('error');
+    document.getElementById('resetMessage').textContent = '';
+
+    showSetupStep('reset');
+}
+
+// A forgotten PIN is cleared by proving the agent holds the token saved on this kiosk
+function resetPin() {
+    const tokenInput = document.getElementById('resetToken');
+    const token = tokenInput.value.trim();
+    const message = document.getElementById('resetMessage');
+    message.textContent = '';
+
+    if (isPinLocked(message)) return;
+
+    if (!kioskConfig.authToken) {
+        message.textContent = 'No access token is saved on this kiosk. Clear the browser\'s site data to reset it.';
+        return;
+    }
+
+    if (token !== kioskConfig.authToken) {
+        tokenInput.value = '';
+        tokenInput.classList.add('error');
+        recordPinFailure(message, 'That token doesn\'t match the one saved on this kiosk.');
+        return;
+    }
+
+    kioskConfig.pinHash = null;
+    kioskConfig.pinFailures = 0;
+    kioskConfig.pinLockedUntil = 0;
+    saveKioskConfig();
+
+    openSetup();
+}
+
+function getTodayDateString() {
+    const today = new Date();
+    const month = String(today.getMonth() + 1).padStart(2, '0');
+    const day = String(today.getDate()).padStart(2, '0');
+    return `${today.getFullYear()}-${month}-${day}`;
+}
+
+async function loadTodaysOpenHouses() {
+    const list = document.getElementById('sessionList');
+    const tokenInput = document.getElementById('setupToken');
+
+    if (tokenInput.value.trim() !== kioskConfig.authToken) {
+        kioskConfig.authToken = tokenInput.value.trim();
+        saveKioskConfig();
+    }
+
+    list.innerHTML = '<p class="session-empty">Loading today\'s open houses…</p>';
+
+    try {
+        const today = getTodayDateString();
+        const result = await apiGet(`/open-houses?date_from=${today}&date_to=${today}`);
+        const openHouses = (result.data?.open_houses || [])
+            .filter(oh => oh.status !== 'completed' && oh.status !== 'cancelled');
+
+        renderSessionList(openHouses);
+    } catch (error) {
+        console.error('Error loading open houses:', error);
+        list.innerHTML = '<p class="session-empty">Could not load open houses. Check the connection and access token, then tap Refresh.</p>';
+    }
+}
+
+function renderSessionList(openHouses) {
+    const list = document.getElementById('sessionList');
+    list.innerHTML = '';
+
+    if (openHouses.length === 0) {
+        list.innerHTML = '<p class="session-empty">No open houses scheduled for today.</p>';
+        return;
+    }
+
+    openHouses.forEach(oh => {
+        const card = document.createElement('button');
+        card.type = 'button';
+        card.className = 'session-card' + (kioskConfig.session?.id === oh.id ? ' selected' : '');
+
+        const title = document.createElement('span');
+        title.className = 'option-title';
+        title.textContent = oh.property_address;
+
+        const desc = document.createElement('span');
+        desc.className = 'option-desc';
+        desc.textContent = `${oh.property_city || ''} · ${oh.start_time}–${oh.end_time}`;
+
+        card.append(title, desc);
+        card.addEventListener('click', () => selectSession(oh));
+        list.appendChild(card);
+    });
+}
+
+async function selectSession(openHouse) {
+    let images = [];
+    try {
+        const result = await apiGet(`/open-houses/${openHouse.id}/property-images`);
+        images = result.data?.images || [];
+    } catch (error) {
+        // Photos are nice-to-have; fall back to the open house's own photo
+        console.error('Error loading property images:', error);
+    }
+
+    if (images.length === 0 && openHouse.photo_url) {
+        images = [openHouse.photo_url];
+    }
+
+    kioskConfig.session = {
+        id: openHouse.id,
+        date: openHouse.date,
+        propertyAddress: openHouse.property_address,
+        propertyCity: openHouse.property_city,
+        propertyState: openHouse.property_state,
+        propertyZip: openHouse.property_zip,
+        listPrice: openHouse.list_price,
+        beds: openHouse.beds,
+        baths: openHouse.baths,
+        images
+    };
+    saveKioskConfig();
+
+    applySession();
+    closeSetup();
+}
+
+/**
+ * Render the bound session on the welcome screen: property details and photos.
+ */
+function applySession() {
+    const session = kioskConfig.session;
+    if (!session) return;
+
+    document.querySelector('.property-address').textContent = session.propertyAddress || '';
+    document.querySelector('.property-location').textContent =
+        [session.propertyCity, [session.propertyState, session.propertyZip].filter(Boolean).join(' ')]
+            .filter(Boolean).join(', ');
+    document.querySelector('.property-price').textContent =
+        session.listPrice ? `$${Number(session.listPrice).toLocaleString('en-US')}` : '';
+
+    const details = {
+        beds: session.beds,
+        baths: session.baths,
+        sqft: null // Not provided by the open house record
+    };
+
+    Object.entries(details).forEach(([key, value]) => {
+        const detail = document.querySelector(`.detail[data-detail="${key}"]`);
+        if (!detail) return;
+
+        const hasValue = value !== null && value !== undefined;
+        detail.style.display = hasValue ? '' : 'none';
+        const divider = detail.previousElementSibling;
+        if (divider && divider.classList.contains('detail-divider')) {
+            divider.style.display = hasValue ? '' : 'none';
+        }
+        if (hasValue) {
+            detail.querySelector('.detail-value').textContent = value;
+        }
+    });
+
+    loadSlideshowImages(session.images);
+}
+
+function initSetup() {
+    const badge = document.querySelector('.agent-badge');
+    let holdTimer = null;
+
+    const cancelHold = () => clearTimeout(holdTimer);
+
+    badge.addEventListener('pointerdown', () => {
+        holdTimer = setTimeout(openSetup, SETUP_HOLD_MS);
+    });
+    badge.addEventListener('pointerup', cancelHold);
+    badge.addEventListener('pointerleave', cancelHold);
+    badge.addEventListener('pointercancel', cancelHold);
+
+    if (kioskConfig.session) {
+        applySession();
+    }
+}
+
+// ============================================
+// End-of-Event Summary & Export
+// ============================================
+
+const TIMELINE_LABELS = {
+    'browsing': 'Just Browsing',
+    '0-3': '0-3 Months',
+    '3-6': '3-6 Months',
+    '6+': '6+ Months'
+};
+
+const PREAPPROVAL_LABELS = {
+    'yes': 'Yes',
+    'no': 'No',
+    'unsure': 'Not Sure'
+};
+
+const AGENT_STATUS_LABELS = {
+    'no': 'No agent',
+    'yes': 'Has agent',
+    'this-agent': 'Our client'
+};
+
+/**
+ * Score a sign-in 0-100 from its answers. Unrepresented buyers who are
+ * pre-approved and buying soon rank highest; visitors with another agent
+ * skip the buying questions and naturally rank low.
+ */
+function calculateLeadScore(attendee) {
+    let score = 0;
+
+    score += { '0-3': 35, '3-6': 20, '6+': 5 }[attendee.buyingTimeline] || 0;
+    score += { 'yes': 30, 'unsure': 10 }[attendee.preApproved] || 0;
+    score += { 'no': 20, 'this-agent': 10 }[attendee.agentStatus] || 0;
+
+    if (attendee.consentFollowUp) score += 10;
+    if (attendee.consentText) score += 5;
+
+    return Math.min(100, score);
+}
+
+function getLeadTier(score) {
+    if (score >= 70) return 'hot';
+    if (score >= 40) return 'warm';
+    return 'cool';
+}
+
+/**
+ * All sign-ins for the bound session, repeat sign-ins removed,
+ * ranked hottest first (earliest sign-in breaks ties).
+ */
+async function getSessionAttendees() {
+    const sessionId = kioskConfig.session?.id;
+    if (!sessionId) return [];
+
+    return (await getAllSignIns())
+        .filter(record => record.openHouseId === sessionId && record.status !== 'duplicate')
+        .map(record => {
+            const score = calculateLeadScore(record);
+            return { ...record, leadScore: score, leadTier: getLeadTier(score) };
+        })
+        .sort((a, b) => b.leadScore - a.leadScore || a.signedInAt.localeCompare(b.signedInAt));
+}
+
+async function showEventSummary() {
+    const session = kioskConfig.session;
+    if (!session) return;
+
+    showSetupStep('summary');
+
+    const attendees = await getSessionAttendees();
+    const countTier = tier => attendees.filter(a => a.leadTier === tier).length;
+    const unsynced = attendees.filter(a => a.status !== 'synced').length;
+
+    document.getElementById('summarySubtitle').textContent =
+        `${session.propertyAddress} · ${session.date || getTodayDateString()}`;
+
+    document.getElementById('summaryStats').innerHTML = [
+        ['Visitors', attendees.length],
+        ['Hot', countTier('hot')],
+        ['Warm', countTier('warm')],
+        ['Cool', countTier('cool')],
+        ['Not Synced', unsynced]
+    ].map(([label, value]) => `
+        <div class="summary-stat">
+            <span class="detail-value">${value}</span>
+            <span class="summary-stat-label">${label}</span>
+        </div>
+    `).join('');
+
+    const tbody = document.getElementById('summaryRows');
+    tbody.innerHTML = '';
+
+    if (attendees.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="session-empty">No sign-ins yet for this open house.</td></tr>';
+        return;
+    }
+
+    attendees.forEach((a, index) => {
+        const row = document.createElement('tr');
+        const consents = [
+            a.consentFollowUp ? 'Follow-up' : null,
+            a.consentEmail ? 'Email' : null,
+            a.consentText ? 'Text' : null
+        ].filter(Boolean).join(', ') || 'None';
+
+        [
+            String(index + 1),
+            `${a.firstName} ${a.lastName}\n${a.email}\n${a.phone}`,
+            AGENT_STATUS_LABELS[a.agentStatus] || '—',
+            TIMELINE_LABELS[a.buyingTimeline] || '—',
+            PREAPPROVAL_LABELS[a.preApproved] || '—',
+            consents
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+
+        const leadCell = document.createElement('td');
+        const badge = document.createElement('span');
+        badge.className = `lead-badge lead-${a.leadTier}`;
+        badge.textContent = `${a.leadTier} · ${a.leadScore}`;
+        leadCell.appendChild(badge);
+        row.appendChild(leadCell);
+
+        tbody.appendChild(row);
+    });
+}
+
+function csvEscape(value) {
+    if (value === null || value === undefined) return '';
+    let str = String(value);
+
+    // Visitor-entered text must not be read as a formula by spreadsheet apps
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) {
+        str = `'${str}`;
+    }
+
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function vCardEscape(value) {
+    return String(value || '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+}
+
+function getExportFilename(extension) {
+    const session = kioskConfig.session;
+    const slug = (session.propertyAddress || 'open-house')
+        .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `open-house-${session.date || getTodayDateString()}-${slug}.${extension}`;
+}
+
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportAttendeesCSV() {
+    const attendees = await getSessionAttendees();
+    const yesNo = value => value ? 'Yes' : 'No';
+
+    const header = [
+        'Rank', 'Lead Score', 'Lead Tier', 'First Name', 'Last Name', 'Email', 'Phone',
+        'Agent Status', 'Other Agent', 'Other Agent Brokerage', 'Other Agent Phone', 'Other Agent Email',
+        'Buying Timeline', 'Pre-Approved', 'Lender', 'Consent Follow-Up', 'Consent Email', 'Consent Text',
+        'MA Disclosure Acknowledged', 'Language', 'Signed In At', 'Sync Status'
+    ];
+
+    const rows = attendees.map((a, index) => [
+        index + 1, a.leadScore, a.leadTier, a.firstName, a.lastName, a.email, a.phone,
+        AGENT_STATUS_LABELS[a.agentStatus] || '', a.otherAgentName, a.otherAgentBrokerage,
+        a.otherAgentPhone, a.otherAgentEmail,
+        TIMELINE_LABELS[a.buyingTimeline] || '', PREAPPROVAL_LABELS[a.preApproved] || '', a.lenderName,
+        yesNo(a.consentFollowUp), yesNo(a.consentEmail), yesNo(a.consentText),
+        yesNo(a.maDisclosureAcknowledged), a.language || DEFAULT_LANGUAGE, a.signedInAt, a.status
+    ]);
+
+    const csv = [header, ...rows].map(row => row.map(csvEscape).join(',')).join('\r\n');
+    downloadFile(getExportFilename('csv'), csv, 'text/csv;charset=utf-8');
+}
+
+async function exportAttendeesVCard() {
+    const attendees = await getSessionAttendees();
+    const session = kioskConfig.session;
+
+    const cards = attendees.map(a => {
+        const note = [
+            `Open house: ${session.propertyAddress} (${session.date || getTodayDateString()})`,
+            `Lead: ${a.leadTier} (${a.leadScore})`,
+            `Agent status: ${AGENT_STATUS_LABELS[a.agentStatus] || 'Unknown'}`,
+            a.buyingTimeline ? `Timeline: ${TIMELINE_LABELS[a.buyingTimeline]}` : null,
+            a.preApproved ? `Pre-approved: ${PREAPPROVAL_LABELS[a.preApproved]}` : null
+        ].filter(Boolean).join('\n');
+
+        return [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `N:${vCardEscape(a.lastName)};${vCardEscape(a.firstName)};;;`,
+            `FN:${vCardEscape(`${a.firstName} ${a.lastName}`)}`,
+            `EMAIL;TYPE=INTERNET:${vCardEscape(a.email)}`,
+            `TEL;TYPE=CELL:${vCardEscape(a.phone)}`,
+            `CATEGORIES:Open House,${vCardEscape(a.leadTier)}`,
+            `NOTE:${vCardEscape(note)}`,
+            'END:VCARD'
+        ].join('\r\n');
+    });
+
+    downloadFile(getExportFilename('vcf'), cards.join('\r\n'), 'text/vcard;charset=utf-8');
+}
+
+// ============================================
+// Offline Queue (IndexedDB)
+// ============================================
+
+const QUEUE_DB_NAME = 'bmn-open-house-kiosk';
+const QUEUE_DB_VERSION = 1;
+const QUEUE_STORE = 'signIns';
+
+let queueDB = null;
+
+function openQueueDB() {
+    if (queueDB) return Promise.resolve(queueDB);
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(QUEUE_DB_NAME, QUEUE_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+                const store = db.createObjectStore(QUEUE_STORE, { keyPath: 'localUuid' });
+                store.createIndex('status', 'status');
+            }
+        };
+
+        request.onsuccess = () => {
+            queueDB = request.result;
+            resolve(queueDB);
+        };
+
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a single request against the sign-in store and resolve with its result
+ * once the transaction has committed.
+ */
+function queueRequest(mode, callback) {
+    return openQueueDB().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(QUEUE_STORE, mode);
+        const request = callback(tx.objectStore(QUEUE_STORE));
+
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+}
+
+function getAllSignIns() {
+    return queueRequest('readonly', store => store.getAll());
+}
+
+function putSignIn(record) {
+    return queueRequest('readwrite', store => store.put(record));
+}
+
+function generateLocalUuid() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+
+    // Fallback for older Safari versions without randomUUID()
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+/**
+ * Store a completed sign-in locally. Records stay in the store after syncing
+ * (status 'synced') so the kiosk keeps a full local copy of the event.
+ */
+async function queueSignIn(formData) {
+    const record = {
+        ...formData,
+        openHouseId: kioskConfig.session?.id || null,
+        localUuid: generateLocalUuid(),
+        signedInAt: new Date().toISOString(),
+        status: 'pending', // 'pending', 'synced', 'failed', 'duplicate'
+        attempts: 0,
+        nextAttemptAt: 0,
+        lastError: null,
+        syncedAt: null,
+        serverId: null
+    };
+
+    // Repeat sign-in at the same open house: keep it locally but don't send
+    // it, so the attendee list has one entry per visitor
+    const duplicate = await findSessionDuplicate(record.email, record.phone, record.openHouseId);
+    if (duplicate) {
+        record.status = 'duplicate';
+        record.duplicateOf = duplicate.localUuid;
+    }
+
+    await putSignIn(record);
+    await updateSyncStatus();
+    return record;
+}
+
+// ============================================
+// Background Sync
+// ============================================
+
+const SYNC_BASE_DELAY = 5000;           // First retry after 5 seconds
+const SYNC_MAX_DELAY = 5 * 60 * 1000;   // Never wait more than 5 minutes
+
+let syncInProgress = false;
+let syncTimer = null;
+
+function getRetryDelay(attempts) {
+    const delay = Math.min(SYNC_MAX_DELAY, SYNC_BASE_DELAY * Math.pow(2, attempts - 1));
+    // Jitter so several kiosks coming back online don't retry in lockstep
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Push every pending sign-in to the server. Each record backs off on its own
+ * schedule; `force` ignores the schedule (used when connectivity returns).
+ */
+async function syncPendingSignIns({ force = false } = {}) {
+    if (syncInProgress || !navigator.onLine) {
+        updateSyncStatus();
+        return;
+    }
+
+    syncInProgress = true;
+    clearTimeout(syncTimer);
+
+    try {
+        const now = Date.now();
+        const due = (await getAllSignIns())
+            .filter(record => record.status === 'pending' && record.openHouseId &&
+                (force || record.nextAttemptAt <= now))
+            .sort((a, b) => a.signedInAt.localeCompare(b.signedInAt));
+
+        for (const record of due) {
+            try {
+                const result = await submitToAPI(record);
+                record.status = 'synced';
+                record.syncedAt = new Date().toISOString();
+                record.serverId = result?.data?.id || null;
+                record.lastError = null;
+            } catch (error) {
+                record.attempts += 1;
+                record.lastError = error.message;
+
+                if (error.retryable === false) {
+                    record.status = 'failed';
+                } else {
+                    record.nextAttemptAt = Date.now() + getRetryDelay(record.attempts);
+                }
+            }
+
+            await putSignIn(record);
+            await updateSyncStatus();
+
+            // Connection dropped mid-run: stop and wait for the 'online' event
+            if (!navigator.onLine) break;
+        }
+    } catch (error) {
+        console.error('Sign-in sync failed:', error);
+    } finally {
+        syncInProgress = false;
+        await scheduleNextSync();
+    }
+}
+
+async function scheduleNextSync() {
+    clearTimeout(syncTimer);
+
+    const pending = (await getAllSignIns()).filter(record => record.status === 'pending');
+    if (pending.length === 0) return;
+
+    const nextAt = Math.min(...pending.map(record => record.nextAttemptAt));
+    syncTimer = setTimeout(syncPendingSignIns, Math.max(0, nextAt - Date.now()));
+}
+
+async function updateSyncStatus() {
+    const indicator = document.getElementById('syncStatus');
+    if (!indicator) return;
+
+    let records = [];
+    try {
+        records = await getAllSignIns();
+    } catch (error) {
+        console.error('Could not read sign-in queue:', error);
+    }
+
+    const pending = records.filter(record => record.status === 'pending').length;
+    const failed = records.filter(record => record.status === 'failed').length;
+    const offline = !navigator.onLine;
+
+    indicator.classList.toggle('visible', offline || pending > 0 || failed > 0);
+    indicator.classList.toggle('offline', offline);
+    indicator.classList.toggle('has-failed', failed > 0);
+
+    let label = `${pending} pending sync`;
+    if (failed > 0) {
+        label += ` · ${failed} need attention`;
+    }
+    if (offline) {
+        label = pending > 0 ? `Offline · ${label}` : 'Offline';
+    }
+
+    indicator.querySelector('.sync-label').textContent = label;
+}
+
+/**
+ * Manual retry from the sync indicator: give failed records another chance
+ * (e.g. after the agent fixed the token) and push everything now.
+ */
+async function retryFailedSignIns() {
+    const failed = (await getAllSignIns()).filter(record => record.status === 'failed');
+    for (const record of failed) {
+        record.status = 'pending';
+        record.nextAttemptAt = 0;
+        await putSignIn(record);
+    }
+
+    await syncPendingSignIns({ force: true });
+}
+
+function initSync() {
+    window.addEventListener('online', () => syncPendingSignIns({ force: true }));
+    window.addEventListener('offline', () => updateSyncStatus());
+
+    // Retry anything left over from a previous session (e.g. kiosk was closed offline)
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            syncPendingSignIns();
+        }
+    });
+
+    const indicator = document.getElementById('syncStatus');
+    if (indicator) {
+        indicator.addEventListener('click', retryFailedSignIns);
+    }
+
+    syncPendingSignIns({ force: true });
+}
+
 // ============================================
 // API Integration (Production)
 // ============================================
 
+/**
+ * Send a single sign-in to the server. Throws on failure; `error.retryable`
+ * is false for validation errors that will never succeed on retry.
+ * The server deduplicates on local_uuid, so resending a record is safe.
+ */
 async function submitToAPI(formData) {
+    let response;
     try {
-        const response = await fetch('/wp-json/mld-mobile/v1/open-houses/1/attendees', {
+        response = await fetch(`${API_BASE}/open-houses/${formData.openHouseId}/attendees`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${getAuthToken()}`
             },
             body: JSON.stringify({
+                local_uuid: formData.localUuid,
+                signed_in_at: formData.signedInAt,
                 first_name: formData.firstName,
                 last_name: formData.lastName,
                 email: formData.email,
@@ -412,25 +1534,43 @@ async function submitToAPI(formData) {
                 consent_to_follow_up: formData.consentFollowUp,
                 consent_to_email: formData.consentEmail,
                 consent_to_text: formData.consentText,
-                ma_disclosure_acknowledged: formData.maDisclosureAcknowledged
+                ma_disclosure_acknowledged: formData.maDisclosureAcknowledged,
+                preferred_language: formData.language || DEFAULT_LANGUAGE
             })
         });
+    } catch (networkError) {
+        // fetch() only rejects when the request never reached the server
+        const error = new Error('Network unavailable');
+        error.retryable = true;
+        throw error;
+    }
 
-        if (!response.ok) {
-            throw new Error('API request failed');
-        }
+    if (!response.ok) {
+        const error = new Error(`API request failed (${response.status})`);
+        // Auth, timeouts, rate limits and server errors can succeed later
+        error.retryable = response.status >= 500 || [401, 408, 429].includes(response.status);
+        throw error;
+    }
 
-        const result = await response.json();
-        console.log('Attendee created:', result);
-        return result;
-    } catch (error) {
-        console.error('Error submitting form:', error);
-        // Show error to user
-        alert('There was an error saving your information. Please try again.');
+    return response.json();
+}
+
+const API_BASE = '/wp-json/mld-mobile/v1';
+
+async function apiGet(path) {
+    const response = await fetch(`${API_BASE}${path}`, {
+        headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+    });
+
+    if (!response.ok) {
+        throw new Error(`API request failed (${response.status})`);
     }
+
+    return response.json();
 }
 
 function getAuthToken() {
-    // In production, this would come from the iOS app's token manager
-    return window.authToken || '';
+    // In production, this would come from the iOS app's token manager;
+    // standalone kiosks use the token entered in agent setup
+    return window.authToken || kioskConfig.authToken || '';
 }
@@ -0,0 +1,340 @@
+/**
+ * Open House Kiosk Sign-In - Translations
+ * Visitor-facing strings for the sign-in modal, keyed by language code.
+ * Keys match the data-i18n / data-i18n-placeholder / data-i18n-html
+ * attributes in index.html. {name} style tokens are filled in by t().
+ */
+
+const TRANSLATIONS = {
+    en: {
+        'progress.contact': 'Contact',
+        'progress.agentStatus': 'Agent Status',
+        'progress.details': 'Details',
+        'progress.consent': 'Consent',
+        'progress.done': 'Done',
+
+        'action.cancel': 'Cancel',
+        'action.continue': 'Continue',
+        'action.back': 'Back',
+        'action.complete': 'Complete Sign-In',
+        'action.done': 'Done',
+
+        'step1.title': "Welcome! Let's get to know you.",
+        'step1.subtitle': 'Please enter your contact information',
+        'step1.firstName': 'First Name',
+        'step1.lastName': 'Last Name',
+        'step1.email': 'Email Address',
+        'step1.phone': 'Phone Number',
+
+        'step2.title': 'Are you currently working with a real estate agent?',
+        'step2.subtitle': 'This helps us provide you with the best service',
+        'step2.noTitle': "No, I'm not working with an agent",
+        'step2.noDesc': "I'd like to learn more about this property",
+        'step2.yesTitle': 'Yes, I have an agent',
+        'step2.yesDesc': "I'm working with another real estate agent",
+        'step2.thisAgentTitle': 'Yes, with {agent}',
+        'step2.thisAgentDesc': "I'm already working with today's host",
+
+        'step3a.title': "Please share your agent's information",
+        'step3a.subtitle': "We'll coordinate any follow-up through your agent",
+        'step3a.banner': "Out of respect for your working relationship, we'll contact your agent rather than reaching out to you directly.",
+        'step3a.agentName': "Agent's Name",
+        'step3a.agentNamePlaceholder': "Agent's full name",
+        'step3a.brokerage': 'Brokerage',
+        'step3a.brokeragePlaceholder': 'Real estate company',
+        'step3a.agentPhone': "Agent's Phone (Optional)",
+        'step3a.agentEmail': "Agent's Email (Optional)",
+
+        'step3b.title': 'Tell us about your home search',
+        'step3b.subtitle': 'This helps us find the perfect property for you',
+        'step3b.timeline': 'When are you looking to buy?',
+        'step3b.preapproved': 'Are you pre-approved for a mortgage?',
+        'step3b.lender': 'Lender Name (Optional)',
+        'step3b.lenderPlaceholder': 'Bank or mortgage company',
+        'timeline.browsing': 'Just Browsing',
+        'timeline.0-3': '0-3 Months',
+        'timeline.3-6': '3-6 Months',
+        'timeline.6+': '6+ Months',
+        'preapproval.yes': 'Yes',
+        'preapproval.no': 'No',
+        'preapproval.unsure': 'Not Sure',
+
+        'step4.title': 'Almost done!',
+        'step4.subtitle': 'Please review and confirm your preferences',
+        'step4.consentFollowUp': 'I consent to be contacted about this property',
+        'step4.consentEmail': 'Send me email alerts for similar properties',
+        'step4.consentText': 'I agree to receive text messages',
+
+        'disclosure.title': 'Massachusetts Agency Disclosure',
+        'disclosure.body':
+            '<p>Under Massachusetts law, real estate licensees are required to disclose to consumers the types of agency relationships available:</p>' +
+            '<ul>' +
+            "<li><strong>Seller's Agent:</strong> Represents the seller and owes fiduciary duties to the seller.</li>" +
+            "<li><strong>Buyer's Agent:</strong> Represents the buyer and owes fiduciary duties to the buyer.</li>" +
+            '<li><strong>Dual Agent:</strong> Represents both buyer and seller with informed consent.</li>' +
+            '</ul>' +
+            "<p>Today's listing agent represents the seller's interests. If you are not represented by your own buyer's agent, consider seeking representation.</p>",
+        'disclosure.acknowledge': 'I acknowledge receiving this agency disclosure',
+
+        'step5.title': 'Thank You!',
+        'step5.message': 'Welcome to the open house. Please feel free to explore the property.',
+        'step5.summary': "We'll send you a summary of this property",
+        'step5.alerts': "You'll receive alerts for similar properties",
+
+        'returning.welcomeBack': "Welcome back, {name}! We've filled in your details from your last visit.",
+        'returning.alreadySignedIn': "Welcome back, {name}! You've already signed in to today's open house.",
+
+        'validation.required': 'Please fill in the highlighted fields.',
+        'validation.email': 'Please enter a valid email address.',
+        'validation.disclosure': 'Please acknowledge the agency disclosure to continue.'
+    },
+
+    es: {
+        'progress.contact': 'Contacto',
+        'progress.agentStatus': 'Agente',
+        'progress.details': 'Detalles',
+        'progress.consent': 'Consentimiento',
+        'progress.done': 'Listo',
+
+        'action.cancel': 'Cancelar',
+        'action.continue': 'Continuar',
+        'action.back': 'Atrás',
+        'action.complete': 'Completar registro',
+        'action.done': 'Listo',
+
+        'step1.title': '¡Bienvenido! Queremos conocerle.',
+        'step1.subtitle': 'Por favor, ingrese su información de contacto',
+        'step1.firstName': 'Nombre',
+        'step1.lastName': 'Apellido',
+        'step1.email': 'Correo electrónico',
+        'step1.phone': 'Número de teléfono',
+
+        'step2.title': '¿Trabaja actualmente con un agente inmobiliario?',
+        'step2.subtitle': 'Esto nos ayuda a brindarle el mejor servicio',
+        'step2.noTitle': 'No, no trabajo con un agente',
+        'step2.noDesc': 'Me gustaría saber más sobre esta propiedad',
+        'step2.yesTitle': 'Sí, tengo un agente',
+        'step2.yesDesc': 'Trabajo con otro agente inmobiliario',
+        'step2.thisAgentTitle': 'Sí, con {agent}',
+        'step2.thisAgentDesc': 'Ya trabajo con el anfitrión de hoy',
+
+        'step3a.title': 'Comparta la información de su agente',
+        'step3a.subtitle': 'Coordinaremos cualquier seguimiento a través de su agente',
+        'step3a.banner': 'Por respeto a su relación de trabajo, nos comunicaremos con su agente en lugar de contactarle directamente.',
+        'step3a.agentName': 'Nombre del agente',
+        'step3a.agentNamePlaceholder': 'Nombre completo del agente',
+        'step3a.brokerage': 'Agencia',
+        'step3a.brokeragePlaceholder': 'Empresa inmobiliaria',
+        'step3a.agentPhone': 'Teléfono del agente (opcional)',
+        'step3a.agentEmail': 'Correo del agente (opcional)',
+
+        'step3b.title': 'Cuéntenos sobre su búsqueda de vivienda',
+        'step3b.subtitle': 'Esto nos ayuda a encontrar la propiedad ideal para usted',
+        'step3b.timeline': '¿Cuándo piensa comprar?',
+        'step3b.preapproved': '¿Tiene preaprobación para una hipoteca?',
+        'step3b.lender': 'Nombre del prestamista (opcional)',
+        'step3b.lenderPlaceholder': 'Banco o compañía hipotecaria',
+        'timeline.browsing': 'Solo estoy mirando',
+        'timeline.0-3': '0-3 meses',
+        'timeline.3-6': '3-6 meses',
+        'timeline.6+': 'Más de 6 meses',
+        'preapproval.yes': 'Sí',
+        'preapproval.no': 'No',
+        'preapproval.unsure': 'No estoy seguro',
+
+        'step4.title': '¡Casi terminamos!',
+        'step4.subtitle': 'Revise y confirme sus preferencias',
+        'step4.consentFollowUp': 'Acepto que me contacten sobre esta propiedad',
+        'step4.consentEmail': 'Envíenme alertas por correo de propiedades similares',
+        'step4.consentText': 'Acepto recibir mensajes de texto',
+
+        'disclosure.title': 'Divulgación de agencia de Massachusetts',
+        'disclosure.body':
+            '<p>Según la ley de Massachusetts, los profesionales inmobiliarios con licencia deben informar a los consumidores sobre los tipos de relación de agencia disponibles:</p>' +
+            '<ul>' +
+            '<li><strong>Agente del vendedor:</strong> Representa al vendedor y tiene deberes fiduciarios con el vendedor.</li>' +
+            '<li><strong>Agente del comprador:</strong> Representa al comprador y tiene deberes fiduciarios con el comprador.</li>' +
+            '<li><strong>Agente dual:</strong> Representa tanto al comprador como al vendedor con su consentimiento informado.</li>' +
+            '</ul>' +
+            '<p>El agente de la propiedad de hoy representa los intereses del vendedor. Si no cuenta con su propio agente de comprador, considere buscar representación.</p>',
+        'disclosure.acknowledge': 'Confirmo que recibí esta divulgación de agencia',
+
+        'step5.title': '¡Gracias!',
+        'step5.message': 'Bienvenido a la casa abierta. Siéntase libre de recorrer la propiedad.',
+        'step5.summary': 'Le enviaremos un resumen de esta propiedad',
+        'step5.alerts': 'Recibirá alertas de propiedades similares',
+
+        'returning.welcomeBack': '¡Bienvenido de nuevo, {name}! Completamos sus datos de su visita anterior.',
+        'returning.alreadySignedIn': '¡Bienvenido de nuevo, {name}! Ya se registró en la casa abierta de hoy.',
+
+        'validation.required': 'Por favor, complete los campos resaltados.',
+        'validation.email': 'Por favor, ingrese un correo electrónico válido.',
+        'validation.disclosure': 'Por favor, confirme la divulgación de agencia para continuar.'
+    },
+
+    pt: {
+        'progress.contact': 'Contato',
+        'progress.agentStatus': 'Corretor',
+        'progress.details': 'Detalhes',
+        'progress.consent': 'Consentimento',
+        'progress.done': 'Pronto',
+
+        'action.cancel': 'Cancelar',
+        'action.continue': 'Continuar',
+        'action.back': 'Voltar',
+        'action.complete': 'Concluir cadastro',
+        'action.done': 'Pronto',
+
+        'step1.title': 'Bem-vindo! Queremos conhecer você.',
+        'step1.subtitle': 'Por favor, informe seus dados de contato',
+        'step1.firstName': 'Nome',
+        'step1.lastName': 'Sobrenome',
+        'step1.email': 'E-mail',
+        'step1.phone': 'Telefone',
+
+        'step2.title': 'Você já trabalha com um corretor de imóveis?',
+        'step2.subtitle': 'Isso nos ajuda a oferecer o melhor atendimento',
+        'step2.noTitle': 'Não, não trabalho com um corretor',
+        'step2.noDesc': 'Gostaria de saber mais sobre este imóvel',
+        'step2.yesTitle': 'Sim, tenho um corretor',
+        'step2.yesDesc': 'Trabalho com outro corretor de imóveis',
+        'step2.thisAgentTitle': 'Sim, com {agent}',
+        'step2.thisAgentDesc': 'Já trabalho com o anfitrião de hoje',
+
+        'step3a.title': 'Informe os dados do seu corretor',
+        'step3a.subtitle': 'Faremos qualquer contato por meio do seu corretor',
+        'step3a.banner': 'Por respeito à sua relação de trabalho, entraremos em contato com o seu corretor em vez de contatar você diretamente.',
+        'step3a.agentName': 'Nome do corretor',
+        'step3a.agentNamePlaceholder': 'Nome completo do corretor',
+        'step3a.brokerage': 'Imobiliária',
+        'step3a.brokeragePlaceholder': 'Empresa imobiliária',
+        'step3a.agentPhone': 'Telefone do corretor (opcional)',
+        'step3a.agentEmail': 'E-mail do corretor (opcional)',
+
+        'step3b.title': 'Conte-nos sobre a sua busca',
+        'step3b.subtitle': 'Isso nos ajuda a encontrar o imóvel ideal para você',
+        'step3b.timeline': 'Quando você pretende comprar?',
+        'step3b.preapproved': 'Você tem pré-aprovação de financiamento?',
+        'step3b.lender': 'Nome do credor (opcional)',
+        'step3b.lenderPlaceholder': 'Banco ou financeira',
+        'timeline.browsing': 'Só olhando',
+        'timeline.0-3': '0-3 meses',
+        'timeline.3-6': '3-6 meses',
+        'timeline.6+': 'Mais de 6 meses',
+        'preapproval.yes': 'Sim',
+        'preapproval.no': 'Não',
+        'preapproval.unsure': 'Não sei',
+
+        'step4.title': 'Quase pronto!',
+        'step4.subtitle': 'Revise e confirme suas preferências',
+        'step4.consentFollowUp': 'Aceito ser contatado sobre este imóvel',
+        'step4.consentEmail': 'Envie-me alertas por e-mail de imóveis semelhantes',
+        'step4.consentText': 'Aceito receber mensagens de texto',
+
+        'disclosure.title': 'Divulgação de Representação de Massachusetts',
+        'disclosure.body':
+            '<p>De acordo com a lei de Massachusetts, os profissionais imobiliários licenciados devem informar aos consumidores os tipos de representação disponíveis:</p>' +
+            '<ul>' +
+            '<li><strong>Corretor do vendedor:</strong> Representa o vendedor e tem deveres fiduciários para com o vendedor.</li>' +
+            '<li><strong>Corretor do comprador:</strong> Representa o comprador e tem deveres fiduciários para com o comprador.</li>' +
+            '<li><strong>Corretor duplo:</strong> Representa comprador e vendedor, com consentimento informado.</li>' +
+            '</ul>' +
+            '<p>O corretor do imóvel de hoje representa os interesses do vendedor. Se você não tem seu próprio corretor de comprador, considere buscar representação.</p>',
+        'disclosure.acknowledge': 'Confirmo que recebi esta divulgação de representação',
+
+        'step5.title': 'Obrigado!',
+        'step5.message': 'Bem-vindo à visita aberta. Fique à vontade para conhecer o imóvel.',
+        'step5.summary': 'Enviaremos um resumo deste imóvel',
+        'step5.alerts': 'Você receberá alertas de imóveis semelhantes',
+
+        'returning.welcomeBack': 'Bem-vindo de volta, {name}! Preenchemos seus dados da última visita.',
+        'returning.alreadySignedIn': 'Bem-vindo de volta, {name}! Você já se cadastrou na visita aberta de hoje.',
+
+        'validation.required': 'Por favor, preencha os campos destacados.',
+        'validation.email': 'Por favor, informe um e-mail válido.',
+        'validation.disclosure': 'Por favor, confirme a divulgação de representação para continuar.'
+    },
+
+    zh: {
+        'progress.contact': '联系方式',
+        'progress.agentStatus': '经纪人',
+        'progress.details': '详情',
+        'progress.consent': '同意',
+        'progress.done': '完成',
+
+        'action.cancel': '取消',
+        'action.continue': '继续',
+        'action.back': '返回',
+        'action.complete': '完成登记',
+        'action.done': '完成',
+
+        'step1.title': '欢迎光临！请让我们认识您。',
+        'step1.subtitle': '请输入您的联系方式',
+        'step1.firstName': '名',
+        'step1.lastName': '姓',
+        'step1.email': '电子邮箱',
+        'step1.phone': '电话号码',
+
+        'step2.title': '您目前是否有合作的房地产经纪人？',
+        'step2.subtitle': '这有助于我们为您提供最好的服务',
+        'step2.noTitle': '没有，我没有合作的经纪人',
+        'step2.noDesc': '我想进一步了解这处房产',
+        'step2.yesTitle': '有，我有经纪人',
+        'step2.yesDesc': '我正在与其他房地产经纪人合作',
+        'step2.thisAgentTitle': '有，是 {agent}',
+        'step2.thisAgentDesc': '我已经在与今天的接待经纪人合作',
+
+        'step3a.title': '请提供您的经纪人信息',
+        'step3a.subtitle': '我们将通过您的经纪人进行后续联系',
+        'step3a.banner': '出于对您与经纪人合作关系的尊重，我们将联系您的经纪人，而不会直接联系您。',
+        'step3a.agentName': '经纪人姓名',
+        'step3a.agentNamePlaceholder': '经纪人全名',
+        'step3a.brokerage': '经纪公司',
+        'step3a.brokeragePlaceholder': '房地产公司',
+        'step3a.agentPhone': '经纪人电话（选填）',
+        'step3a.agentEmail': '经纪人邮箱（选填）',
+
+        'step3b.title': '请告诉我们您的购房需求',
+        'step3b.subtitle': '这有助于我们为您找到理想的房产',
+        'step3b.timeline': '您计划什么时候购房？',
+        'step3b.preapproved': '您是否已获得房贷预批？',
+        'step3b.lender': '贷款机构名称（选填）',
+        'step3b.lenderPlaceholder': '银行或贷款公司',
+        'timeline.browsing': '随便看看',
+        'timeline.0-3': '0-3 个月',
+        'timeline.3-6': '3-6 个月',
+        'timeline.6+': '6 个月以上',
+        'preapproval.yes': '是',
+        'preapproval.no': '否',
+        'preapproval.unsure': '不确定',
+
+        'step4.title': '马上就好！',
+        'step4.subtitle': '请查看并确认您的偏好',
+        'step4.consentFollowUp': '我同意就此房产与我联系',
+        'step4.consentEmail': '请通过邮件向我发送类似房源提醒',
+        'step4.consentText': '我同意接收短信',
+
+        'disclosure.title': '马萨诸塞州代理关系披露',
+        'disclosure.body':
+            '<p>根据马萨诸塞州法律，持牌房地产从业人员须向消费者披露可供选择的代理关系类型：</p>' +
+            '<ul>' +
+            '<li><strong>卖方代理：</strong>代表卖方，并对卖方负有受托责任。</li>' +
+            '<li><strong>买方代理：</strong>代表买方，并对买方负有受托责任。</li>' +
+            '<li><strong>双重代理：</strong>在知情同意的情况下同时代表买方和卖方。</li>' +
+            '</ul>' +
+            '<p>今天的挂牌经纪人代表卖方的利益。如果您没有自己的买方代理，建议考虑寻求代理。</p>',
+        'disclosure.acknowledge': '我确认已收到此代理关系披露',
+
+        'step5.title': '谢谢！',
+        'step5.message': '欢迎参观开放日，请随意参观房产。',
+        'step5.summary': '我们会将此房产的概要发送给您',
+        'step5.alerts': '您将收到类似房源的提醒',
+
+        'returning.welcomeBack': '{name}，欢迎再次光临！我们已根据您上次的来访为您填写了信息。',
+        'returning.alreadySignedIn': '{name}，欢迎回来！您已经登记过今天的开放日。',
+
+        'validation.required': '请填写标出的字段。',
+        'validation.email': '请输入有效的电子邮箱地址。',
+        'validation.disclosure': '请确认代理关系披露后继续。'
+    }
+};
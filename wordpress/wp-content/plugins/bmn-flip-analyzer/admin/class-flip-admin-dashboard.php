@@ -29,16 +29,38 @@ class Flip_Admin_Dashboard {
         add_action('wp_ajax_flip_analysis_batch', [__CLASS__, 'ajax_analysis_batch']);
         add_action('wp_ajax_flip_analysis_finalize', [__CLASS__, 'ajax_analysis_finalize']);
         add_action('wp_ajax_flip_run_photo_analysis', [__CLASS__, 'ajax_run_photo_analysis']);
+        add_action('wp_ajax_flip_photo_init', [__CLASS__, 'ajax_photo_init']);
+        add_action('wp_ajax_flip_photo_batch', [__CLASS__, 'ajax_photo_batch']);
+        add_action('wp_ajax_flip_photo_finalize', [__CLASS__, 'ajax_photo_finalize']);
+        add_action('wp_ajax_flip_get_map_points', [__CLASS__, 'ajax_get_map_points']);
         add_action('wp_ajax_flip_refresh_data', [__CLASS__, 'ajax_refresh_data']);
         add_action('wp_ajax_flip_update_cities', [__CLASS__, 'ajax_update_cities']);
         add_action('wp_ajax_flip_generate_pdf', [__CLASS__, 'ajax_generate_pdf']);
+        add_action('wp_ajax_flip_generate_deal_book', [__CLASS__, 'ajax_generate_deal_book']);
+        add_action('wp_ajax_flip_save_pdf_branding', [__CLASS__, 'ajax_save_pdf_branding']);
         add_action('wp_ajax_flip_force_analyze', [__CLASS__, 'ajax_force_analyze']);
         add_action('wp_ajax_flip_save_filters', [__CLASS__, 'ajax_save_filters']);
+        add_action('wp_ajax_flip_save_target_areas', [__CLASS__, 'ajax_save_target_areas']);
         add_action('wp_ajax_flip_save_weights', [__CLASS__, 'ajax_save_weights']);
         add_action('wp_ajax_flip_reset_weights', [__CLASS__, 'ajax_reset_weights']);
+        add_action('wp_ajax_flip_backtest_weights', [__CLASS__, 'ajax_backtest_weights']);
         add_action('wp_ajax_flip_save_digest_settings', [__CLASS__, 'ajax_save_digest_settings']);
         add_action('wp_ajax_flip_save_rental_defaults', [__CLASS__, 'ajax_save_rental_defaults']);
         add_action('wp_ajax_flip_reset_rental_defaults', [__CLASS__, 'ajax_reset_rental_defaults']);
+        add_action('wp_ajax_flip_save_cost_profile', [__CLASS__, 'ajax_save_cost_profile']);
+        add_action('wp_ajax_flip_delete_cost_profile', [__CLASS__, 'ajax_delete_cost_profile']);
+        add_action('wp_ajax_flip_select_cost_profile', [__CLASS__, 'ajax_select_cost_profile']);
+        add_action('wp_ajax_flip_save_rental_set', [__CLASS__, 'ajax_save_rental_set']);
+        add_action('wp_ajax_flip_delete_rental_set', [__CLASS__, 'ajax_delete_rental_set']);
+        add_action('wp_ajax_flip_select_rental_set', [__CLASS__, 'ajax_select_rental_set']);
+        add_action('wp_ajax_flip_save_view', [__CLASS__, 'ajax_save_view']);
+        add_action('wp_ajax_flip_delete_view', [__CLASS__, 'ajax_delete_view']);
+        add_action('wp_ajax_flip_select_view', [__CLASS__, 'ajax_select_view']);
+        add_action('wp_ajax_flip_save_pipeline', [__CLASS__, 'ajax_save_pipeline']);
+        add_action('wp_ajax_flip_delete_pipeline', [__CLASS__, 'ajax_delete_pipeline']);
+        add_action('wp_ajax_flip_get_run_history', [__CLASS__, 'ajax_get_run_history']);
+        add_action('wp_ajax_flip_get_run_settings', [__CLASS__, 'ajax_get_run_settings']);
+        add_action('wp_ajax_flip_restore_run', [__CLASS__, 'ajax_restore_run']);
     }
 
     /**
@@ -106,18 +128,46 @@ class Flip_Admin_Dashboard {
         wp_enqueue_script('flip-filters-table',
             $url . 'flip-filters-table.js', ['flip-core', 'flip-helpers', 'jquery'], $ver, true);
 
+        // Saved Views (v0.28.0)
+        wp_enqueue_script('flip-saved-views',
+            $url . 'flip-saved-views.js', ['flip-core', 'flip-helpers', 'flip-filters-table', 'jquery'], $ver, true);
+
         // Detail Row
         wp_enqueue_script('flip-detail-row',
             $url . 'flip-detail-row.js', ['flip-core', 'flip-helpers'], $ver, true);
 
+        // Cost Profiles (v0.21.0)
+        wp_enqueue_script('flip-cost-profile',
+            $url . 'flip-cost-profile.js', ['flip-core', 'flip-helpers', 'jquery'], $ver, true);
+
         // Projections
         wp_enqueue_script('flip-projections',
-            $url . 'flip-projections.js', ['flip-core', 'flip-helpers', 'jquery'], $ver, true);
+            $url . 'flip-projections.js', ['flip-core', 'flip-helpers', 'flip-cost-profile', 'jquery'], $ver, true);
+
+        // Risk Simulation (v0.22.0)
+        wp_enqueue_script('flip-risk-simulation',
+            $url . 'flip-risk-simulation.js', ['flip-core', 'flip-helpers', 'flip-cost-profile', 'flip-projections'], $ver, true);
+
+        // Changes Since Previous Run (v0.24.0)
+        wp_enqueue_script('flip-changes',
+            $url . 'flip-changes.js', ['flip-core', 'flip-helpers', 'jquery'], $ver, true);
+
+        // Renovation Scope Builder (v0.25.0)
+        wp_enqueue_script('flip-scope-builder',
+            $url . 'flip-scope-builder.js', ['flip-core', 'flip-helpers', 'flip-cost-profile', 'flip-projections', 'jquery'], $ver, true);
+
+        // Results Map (v0.27.0)
+        wp_enqueue_script('flip-map',
+            $url . 'flip-map.js', ['flip-core', 'flip-helpers', 'jquery'], $ver, true);
 
         // AJAX Actions
         wp_enqueue_script('flip-ajax',
             $url . 'flip-ajax.js', ['flip-core', 'flip-helpers', 'flip-filters-table', 'jquery'], $ver, true);
 
+        // Target Areas (v0.34.0)
+        wp_enqueue_script('flip-target-areas',
+            $url . 'flip-target-areas.js', ['flip-core', 'flip-helpers', 'flip-map', 'jquery'], $ver, true);
+
         // Analysis Filters Panel
         wp_enqueue_script('flip-analysis-filters',
             $url . 'flip-analysis-filters.js', ['flip-core', 'flip-helpers', 'jquery'], $ver, true);
@@ -138,19 +188,55 @@ class Flip_Admin_Dashboard {
             ['flip-core', 'flip-helpers', 'jquery'],
             $ver, true);
 
+        // Weight Backtest (v0.32.0)
+        wp_enqueue_script('flip-weight-backtest',
+            $url . 'flip-weight-backtest.js',
+            ['flip-core', 'flip-helpers', 'flip-scoring-weights', 'jquery'],
+            $ver, true);
+
         // Rental/BRRRR Module
         wp_enqueue_script('flip-rental',
             $url . 'flip-rental.js',
             ['flip-core', 'flip-helpers', 'flip-detail-row', 'jquery'],
             $ver, true);
 
+        // Rental Comps Editor (v0.29.0)
+        wp_enqueue_script('flip-rent-comps',
+            $url . 'flip-rent-comps.js',
+            ['flip-core', 'flip-helpers', 'flip-filters-table', 'flip-detail-row', 'flip-rental', 'jquery'],
+            $ver, true);
+
+        // Rental Assumption Sets (v0.30.0)
+        wp_enqueue_script('flip-rental-sets',
+            $url . 'flip-rental-sets.js',
+            ['flip-core', 'flip-helpers', 'flip-reports', 'jquery'],
+            $ver, true);
+
+        // Deal Package Export (v0.31.0)
+        wp_enqueue_script('flip-deal-package',
+            $url . 'flip-deal-package.js',
+            ['flip-core', 'flip-helpers', 'flip-filters-table', 'flip-ajax', 'jquery'],
+            $ver, true);
+
+        // Deal Pipeline (v0.33.0)
+        wp_enqueue_script('flip-pipeline',
+            $url . 'flip-pipeline.js',
+            ['flip-core', 'flip-helpers', 'jquery'],
+            $ver, true);
+
+        // Run History (v0.35.0)
+        wp_enqueue_script('flip-run-history',
+            $url . 'flip-run-history.js',
+            ['flip-core', 'flip-helpers', 'chartjs', 'jquery'],
+            $ver, true);
+
         // Init (runs last, binds everything)
         wp_enqueue_script('flip-init',
             $url . 'flip-init.js',
             ['flip-core', 'flip-helpers', 'flip-stats-chart', 'flip-filters-table',
-             'flip-detail-row', 'flip-projections', 'flip-ajax',
-             'flip-analysis-filters', 'flip-cities', 'flip-reports',
-             'flip-scoring-weights', 'flip-rental', 'jquery'],
+             'flip-saved-views', 'flip-detail-row', 'flip-cost-profile', 'flip-projections', 'flip-risk-simulation', 'flip-changes', 'flip-scope-builder', 'flip-map', 'flip-ajax',
+             'flip-target-areas', 'flip-analysis-filters', 'flip-cities', 'flip-reports',
+             'flip-scoring-weights', 'flip-weight-backtest', 'flip-rental', 'flip-rent-comps', 'flip-rental-sets', 'flip-deal-package', 'flip-pipeline', 'flip-run-history', 'jquery'],
             $ver, true);
 
         // Dashboard CSS
@@ -182,9 +268,35 @@ class Flip_Admin_Dashboard {
             'scoringWeights'   => Flip_Database::get_scoring_weights(),
             'digestSettings'   => Flip_Database::get_digest_settings(),
             'rentalDefaults'   => Flip_Database::get_rental_defaults(),
+            'costProfiles'     => Flip_Database::get_cost_profiles(get_current_user_id()),
+            'activeCostProfile' => Flip_Database::get_active_cost_profile(get_current_user_id()),
+            'rentalSets'       => Flip_Database::get_rental_sets(get_current_user_id()),
+            'activeRentalSet'  => Flip_Database::get_active_rental_set(get_current_user_id()),
+            'dealPackage'      => [
+                'sections'      => Flip_Database::get_deal_package_sections(get_current_user_id()),
+                'sectionLabels' => Flip_Database::DEAL_PACKAGE_SECTIONS,
+                'branding'      => Flip_Database::get_pdf_branding(),
+                'maxBook'       => Flip_Database::MAX_DEAL_BOOK_PROPERTIES,
+            ],
+            'googleMapsKey'    => self::get_google_maps_key(),
+            'savedViews'       => Flip_Database::get_saved_views(get_current_user_id()),
+            'activeViewId'     => Flip_Database::get_active_view_id(get_current_user_id()),
+            'pipeline'         => [
+                'entries'  => (object) Flip_Database::get_pipeline_entries(),
+                'statuses' => Flip_Database::PIPELINE_STATUSES,
+            ],
+            'runTypes'         => Flip_Database::RUN_TYPES,
         ]);
     }
 
+    /**
+     * Google Maps key from the MLS Listings Display settings (shared with the MLD map).
+     */
+    private static function get_google_maps_key(): string {
+        $options = get_option('mld_settings', []);
+        return is_array($options) ? (string) ($options['mld_google_maps_api_key'] ?? '') : '';
+    }
+
     /**
      * Render the dashboard page.
      */
@@ -223,12 +335,29 @@ class Flip_Admin_Dashboard {
             } else {
                 $summary     = Flip_Database::get_summary_by_report($report_id);
                 $all_results = Flip_Database::get_results_by_report($report_id);
+                $rent_edits  = Flip_Database::get_report_rent_edits($report);
+
+                // Saved rent edits are applied on load; the stored rows stay as analyzed
+                if (!empty($rent_edits)) {
+                    $set       = Flip_Database::get_report_rental_set($report);
+                    $overrides = $set ? Flip_Database::rental_set_overrides($set) : [];
+                    foreach ($all_results as $row) {
+                        if (isset($rent_edits[(int) $row->listing_id])) {
+                            self::merge_rent_edit($row, $rent_edits[(int) $row->listing_id], $overrides);
+                        }
+                    }
+                }
 
                 return [
-                    'summary' => $summary,
-                    'results' => array_map([__CLASS__, 'format_result'], $all_results),
-                    'cities'  => Flip_Database::get_target_cities(),
-                    'report'  => (array) $report,
+                    'summary'      => $summary,
+                    'results'      => array_map([__CLASS__, 'format_result'], $all_results),
+                    'cities'       => Flip_Database::get_target_cities(),
+                    'report'       => (array) $report,
+                    'cost_profile' => Flip_Database::get_report_cost_profile($report),
+                    'changes'      => Flip_Report_Diff::get_changes($report_id),
+                    'rehab_scopes' => (object) Flip_Database::get_report_rehab_scopes($report),
+                    'rent_edits'   => (object) $rent_edits,
+                    'rental_set'   => Flip_Database::get_report_rental_set($report),
                 ];
             }
         }
@@ -257,6 +386,27 @@ class Flip_Admin_Dashboard {
         ];
     }
 
+    /**
+     * Apply a rent edit to a result row in place (v0.29.0).
+     *
+     * Overwrites the repriced rental/BRRRR columns and attaches the editor's
+     * comp rows as $row->rent_comps for format_result().
+     *
+     * @return bool False when the row has no rental analysis to edit.
+     */
+    public static function merge_rent_edit(object $row, array $edit, array $overrides = []): bool {
+        $applied = Flip_Analyzer::apply_rent_edit($row, $edit, $overrides);
+        if ($applied === null) {
+            return false;
+        }
+
+        foreach ($applied['updates'] as $column => $value) {
+            $row->$column = $value;
+        }
+        $row->rent_comps = $applied['rent_comps'];
+        return true;
+    }
+
     /**
      * Format a database row for JSON output.
      */
@@ -275,6 +425,7 @@ class Flip_Admin_Dashboard {
             'estimated_arv'       => (float) $row->estimated_arv,
             'arv_confidence'      => $row->arv_confidence,
             'comp_count'          => (int) $row->comp_count,
+            'avg_comp_ppsf'       => (float) ($row->avg_comp_ppsf ?? 0),
             'estimated_rehab_cost' => (float) $row->estimated_rehab_cost,
             'rehab_level'         => $row->rehab_level,
             'rehab_contingency'   => (float) ($row->rehab_contingency ?? 0),
@@ -327,6 +478,8 @@ class Flip_Admin_Dashboard {
             'rental_viable'       => (int) ($row->rental_viable ?? 0),
             'brrrr_viable'        => (int) ($row->brrrr_viable ?? 0),
             'best_strategy'       => $row->best_strategy ?? null,
+            // Rent comp editor rows and comp estimate (v0.29.0, set when an edit is applied)
+            'rent_comps'          => $row->rent_comps ?? null,
         ];
     }
 
@@ -360,10 +513,12 @@ class Flip_Admin_Dashboard {
         $now     = current_time('mysql');
 
         $report_id = Flip_Database::create_report([
-            'name'         => $report_name ?: (implode(', ', $cities) . ' - ' . wp_date('M j, Y')),
+            'name'         => $report_name ?: (Flip_Database::describe_scope($cities, $filters) . ' - ' . wp_date('M j, Y')),
             'type'         => 'manual',
             'cities_json'  => wp_json_encode($cities),
             'filters_json' => wp_json_encode($filters),
+            'cost_profile_json' => wp_json_encode(Flip_Database::get_active_cost_profile(get_current_user_id())),
+            'rental_set_json' => Flip_Database::get_rental_set_snapshot(get_current_user_id()),
             'run_date'     => $now,
             'created_by'   => get_current_user_id(),
         ]);
@@ -401,6 +556,8 @@ class Flip_Admin_Dashboard {
             if ($total_count === 0) {
                 Flip_Database::delete_report($report_id);
                 $report_id = null;
+            } else {
+                Flip_Report_Diff::capture($report_id);
             }
         }
 
@@ -437,16 +594,18 @@ class Flip_Admin_Dashboard {
         $cities  = Flip_Database::get_target_cities();
         $now     = current_time('mysql');
 
-        if (empty($cities)) {
-            wp_send_json_error('No target cities configured.');
+        if (empty($cities) && empty($filters['target_areas'])) {
+            wp_send_json_error('No target cities or areas configured.');
         }
 
         // Create report record
         $report_id = Flip_Database::create_report([
-            'name'         => $report_name ?: (implode(', ', $cities) . ' - ' . wp_date('M j, Y')),
+            'name'         => $report_name ?: (Flip_Database::describe_scope($cities, $filters) . ' - ' . wp_date('M j, Y')),
             'type'         => 'manual',
             'cities_json'  => wp_json_encode($cities),
             'filters_json' => wp_json_encode($filters),
+            'cost_profile_json' => wp_json_encode(Flip_Database::get_active_cost_profile(get_current_user_id())),
+            'rental_set_json' => Flip_Database::get_rental_set_snapshot(get_current_user_id()),
             'run_date'     => $now,
             'created_by'   => get_current_user_id(),
         ]);
@@ -458,6 +617,20 @@ class Flip_Admin_Dashboard {
         // Fetch matching listing IDs (lightweight — no full property data)
         $listing_ids = Flip_Property_Fetcher::fetch_matching_listing_ids($cities, $filters);
 
+        // v0.35.0: Run history (closed right away when nothing matched)
+        $run_id = Flip_Database::start_run([
+            'type'           => 'analysis',
+            'report_id'      => $report_id,
+            'listings_total' => count($listing_ids),
+            'cities'         => $cities,
+            'filters'        => $filters,
+            'cost_profile'   => Flip_Database::get_active_cost_profile(get_current_user_id()),
+            'created_by'     => get_current_user_id(),
+        ]);
+        if (empty($listing_ids)) {
+            Flip_Database::finish_run($run_id, 'completed');
+        }
+
         // Pre-compute city metrics (cached for subsequent batch calls)
         Flip_Location_Scorer::precompute_city_metrics($cities);
 
@@ -466,6 +639,7 @@ class Flip_Admin_Dashboard {
 
         wp_send_json_success([
             'report_id'   => $report_id,
+            'run_id'      => $run_id,
             'listing_ids' => array_values($listing_ids),
             'total_count' => count($listing_ids),
             'cities'      => $cities,
@@ -491,6 +665,7 @@ class Flip_Admin_Dashboard {
         $report_id   = isset($_POST['report_id']) ? (int) $_POST['report_id'] : 0;
         $listing_ids = isset($_POST['listing_ids']) ? json_decode(wp_unslash($_POST['listing_ids']), true) : [];
         $run_date    = isset($_POST['run_date']) ? sanitize_text_field(wp_unslash($_POST['run_date'])) : current_time('mysql');
+        $run_id      = isset($_POST['run_id']) ? (int) $_POST['run_id'] : 0;
 
         if (!$report_id || empty($listing_ids)) {
             wp_send_json_error('Missing report_id or listing_ids.');
@@ -541,8 +716,16 @@ class Flip_Admin_Dashboard {
             ];
         }
 
+        $batch_analyzed = (int) ($result['analyzed'] ?? 0);
+        Flip_Database::add_run_progress($run_id, [
+            'analyzed'     => $batch_analyzed,
+            'viable'       => $batch_viable,
+            'disqualified' => $batch_dq,
+            'errors'       => count($listing_ids) - $batch_analyzed,
+        ]);
+
         wp_send_json_success([
-            'batch_analyzed'     => (int) ($result['analyzed'] ?? 0),
+            'batch_analyzed'     => $batch_analyzed,
             'batch_disqualified' => $batch_dq,
             'batch_viable'       => $batch_viable,
             'properties'         => $properties,
@@ -564,11 +747,16 @@ class Flip_Admin_Dashboard {
         $report_id     = isset($_POST['report_id']) ? (int) $_POST['report_id'] : 0;
         $total_count   = isset($_POST['total_analyzed']) ? (int) $_POST['total_analyzed'] : 0;
         $was_cancelled = isset($_POST['cancelled']) && $_POST['cancelled'] === '1';
+        $run_id        = isset($_POST['run_id']) ? (int) $_POST['run_id'] : 0;
+        $skipped       = isset($_POST['skipped']) ? absint($_POST['skipped']) : 0;
 
         if (!$report_id) {
             wp_send_json_error('Missing report_id.');
         }
 
+        // Batches the client gave up on count as errors
+        Flip_Database::finish_run($run_id, $was_cancelled ? 'cancelled' : 'completed', ['errors' => $skipped]);
+
         // Count viable in this report
         global $wpdb;
         $table = Flip_Database::table_name();
@@ -594,6 +782,9 @@ class Flip_Admin_Dashboard {
         if ($property_count === 0) {
             Flip_Database::delete_report($report_id);
             $report_id = null;
+        } elseif (!$was_cancelled) {
+            // Partial (cancelled) runs would show every unanalyzed listing as dropped
+            Flip_Report_Diff::capture($report_id);
         }
 
         // Clear lock
@@ -632,6 +823,224 @@ class Flip_Admin_Dashboard {
         wp_send_json_success($result);
     }
 
+    /**
+     * AJAX: Batched photo analysis — Phase 1: Init.
+     *
+     * v0.26.0: Returns the candidates still lacking photo analysis, so an
+     * interrupted or cancelled run resumes where it stopped. mode=restart
+     * re-analyzes every candidate and resets the running cost tally.
+     */
+    public static function ajax_photo_init(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $report_id = isset($_POST['report_id']) ? (int) $_POST['report_id'] : 0;
+        $restart   = isset($_POST['mode']) && $_POST['mode'] === 'restart';
+
+        $candidates = Flip_Photo_Analyzer::get_candidates(50, 40, $report_id ?: null);
+        if (empty($candidates)) {
+            wp_send_json_error('No viable properties to analyze. Run the data analysis first.');
+        }
+
+        $pending = [];
+        foreach ($candidates as $row) {
+            if ($restart || empty($row->photo_analysis_json)) {
+                $pending[] = [
+                    'listing_id' => (int) $row->listing_id,
+                    'address'    => $row->address,
+                    'city'       => $row->city,
+                ];
+            }
+        }
+
+        $state = $restart ? null : get_transient(self::photo_state_key($report_id));
+        if (!is_array($state)) {
+            $state = [
+                'started_at'    => current_time('mysql'),
+                'analyzed'      => 0,
+                'updated'       => 0,
+                'errors'        => 0,
+                'input_tokens'  => 0,
+                'output_tokens' => 0,
+                'cost'          => 0.0,
+            ];
+        }
+        set_transient(self::photo_state_key($report_id), $state, DAY_IN_SECONDS);
+        set_transient('flip_photo_lock_' . $report_id, true, 900);
+
+        // v0.35.0: Each session is its own history entry (a resume starts a new one)
+        $report = $report_id ? Flip_Database::get_report($report_id) : null;
+        $run_id = Flip_Database::start_run([
+            'type'           => 'photos',
+            'report_id'      => $report_id,
+            'listings_total' => count($pending),
+            'cities'         => $report ? (json_decode($report->cities_json, true) ?: []) : Flip_Database::get_target_cities(),
+            'filters'        => $report ? (json_decode($report->filters_json, true) ?: []) : Flip_Database::get_analysis_filters(),
+            'cost_profile'   => $report ? Flip_Database::get_report_cost_profile($report) : null,
+            'created_by'     => get_current_user_id(),
+        ]);
+
+        wp_send_json_success([
+            'run_id'            => $run_id,
+            'pending'           => $pending,
+            'total_candidates'  => count($candidates),
+            'already_analyzed'  => count($candidates) - count($pending),
+            'state'             => $state,
+            'est_cost_per_item' => Flip_Photo_Analyzer::ESTIMATED_COST_PER_PROPERTY,
+        ]);
+    }
+
+    /**
+     * AJAX: Batched photo analysis — Phase 2: Analyze a few properties.
+     *
+     * Returns per-property results for the progress log and the run's
+     * running totals (including actual API cost).
+     */
+    public static function ajax_photo_batch(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        set_time_limit(180);
+
+        $report_id   = isset($_POST['report_id']) ? (int) $_POST['report_id'] : 0;
+        $listing_ids = isset($_POST['listing_ids']) && is_string($_POST['listing_ids'])
+            ? json_decode(wp_unslash($_POST['listing_ids']), true) : [];
+
+        if (empty($listing_ids) || !is_array($listing_ids)) {
+            wp_send_json_error('Missing listing_ids.');
+        }
+
+        if (!get_transient('flip_photo_lock_' . $report_id)) {
+            wp_send_json_error('Photo analysis session expired. Run it again to resume.');
+        }
+
+        $state = get_transient(self::photo_state_key($report_id));
+        if (!is_array($state)) {
+            wp_send_json_error('Photo analysis session expired. Run it again to resume.');
+        }
+
+        $run_id = isset($_POST['run_id']) ? (int) $_POST['run_id'] : 0;
+        $counts = ['analyzed' => 0, 'errors' => 0, 'input_tokens' => 0, 'output_tokens' => 0, 'api_cost' => 0.0];
+
+        $properties = [];
+        foreach (array_map('intval', $listing_ids) as $i => $listing_id) {
+            if ($i > 0) {
+                usleep(500000); // Rate limit between API calls
+            }
+
+            $analysis = Flip_Photo_Analyzer::analyze_and_update($listing_id, $report_id ?: null);
+            $usage    = $analysis['usage'];
+
+            $state['analyzed']++;
+            $state['input_tokens']  += $usage['input_tokens'];
+            $state['output_tokens'] += $usage['output_tokens'];
+            $state['cost']          += $usage['cost'];
+
+            if (!$analysis['success']) {
+                $state['errors']++;
+                $counts['errors']++;
+            } elseif (!empty($analysis['updated'])) {
+                $state['updated']++;
+            }
+
+            $counts['analyzed']++;
+            $counts['input_tokens']  += $usage['input_tokens'];
+            $counts['output_tokens'] += $usage['output_tokens'];
+            $counts['api_cost']      += $usage['cost'];
+
+            $properties[] = [
+                'listing_id'  => $listing_id,
+                'success'     => (bool) $analysis['success'],
+                'updated'     => !empty($analysis['updated']),
+                'photo_score' => $analysis['success'] ? (float) $analysis['photo_score'] : null,
+                'rehab_level' => $analysis['analysis']['renovation_level'] ?? null,
+                'cost'        => $usage['cost'],
+                'error'       => $analysis['error'],
+            ];
+        }
+
+        set_transient(self::photo_state_key($report_id), $state, DAY_IN_SECONDS);
+        Flip_Database::add_run_progress($run_id, $counts);
+
+        wp_send_json_success([
+            'properties' => $properties,
+            'state'      => $state,
+        ]);
+    }
+
+    /**
+     * AJAX: Batched photo analysis — Phase 3: Finalize.
+     *
+     * Cancelled runs keep their cost tally so a resume continues it.
+     */
+    public static function ajax_photo_finalize(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $report_id     = isset($_POST['report_id']) ? (int) $_POST['report_id'] : 0;
+        $was_cancelled = isset($_POST['cancelled']) && $_POST['cancelled'] === '1';
+        $run_id        = isset($_POST['run_id']) ? (int) $_POST['run_id'] : 0;
+        $skipped       = isset($_POST['skipped']) ? absint($_POST['skipped']) : 0;
+
+        $state = get_transient(self::photo_state_key($report_id));
+
+        Flip_Database::finish_run($run_id, $was_cancelled ? 'cancelled' : 'completed', ['errors' => $skipped]);
+
+        delete_transient('flip_photo_lock_' . $report_id);
+        if (!$was_cancelled) {
+            delete_transient(self::photo_state_key($report_id));
+        }
+
+        wp_send_json_success([
+            'dashboard' => self::get_dashboard_data($report_id ?: null),
+            'state'     => is_array($state) ? $state : null,
+            'cancelled' => $was_cancelled,
+        ]);
+    }
+
+    /**
+     * AJAX: Coordinates for results and comps shown on the map.
+     *
+     * v0.27.0: Score rows and comps don't store lat/lng, so the map looks
+     * them up from the MLS summary tables as pins are needed.
+     */
+    public static function ajax_get_map_points(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $listing_ids = isset($_POST['listing_ids']) && is_string($_POST['listing_ids'])
+            ? json_decode(wp_unslash($_POST['listing_ids']), true) : [];
+
+        if (empty($listing_ids) || !is_array($listing_ids)) {
+            wp_send_json_error('Missing listing_ids.');
+        }
+
+        $listing_ids = array_slice(array_map('intval', $listing_ids), 0, 2000);
+
+        wp_send_json_success([
+            'points' => (object) Flip_Property_Fetcher::fetch_coordinates($listing_ids),
+        ]);
+    }
+
+    /**
+     * Transient key for a report's in-progress photo run (0 = unsaved results).
+     */
+    private static function photo_state_key(int $report_id): string {
+        return 'flip_photo_run_' . $report_id;
+    }
+
     /**
      * AJAX: Refresh dashboard data without running analysis.
      */
@@ -648,6 +1057,9 @@ class Flip_Admin_Dashboard {
 
     /**
      * AJAX: Generate PDF report for a property.
+     *
+     * v0.31.0: Optional `sections` (JSON array) picks the deal package
+     * sections and is remembered for the user's next export.
      */
     public static function ajax_generate_pdf(): void {
         check_ajax_referer('flip_dashboard', 'nonce');
@@ -662,6 +1074,7 @@ class Flip_Admin_Dashboard {
         }
 
         $report_id = isset($_POST['report_id']) ? (int) $_POST['report_id'] : 0;
+        $sections  = self::package_sections_from_request();
 
         // TCPDF needs extra memory in web context
         @ini_set('memory_limit', '512M');
@@ -670,7 +1083,7 @@ class Flip_Admin_Dashboard {
         // Lazy-load PDF generator
         require_once FLIP_PLUGIN_PATH . 'includes/class-flip-pdf-generator.php';
 
-        $generator = new Flip_PDF_Generator();
+        $generator = new Flip_PDF_Generator(['sections' => $sections]);
         $pdf_path = $generator->generate($listing_id, $report_id ?: null);
 
         if (!$pdf_path) {
@@ -777,6 +1190,38 @@ class Flip_Admin_Dashboard {
         ]);
     }
 
+    /**
+     * AJAX: Save the drawn target areas.
+     *
+     * v0.34.0: Drawing or removing an area saves immediately, so only
+     * target_areas is written — unsaved edits in the filter panel stay unsaved.
+     */
+    public static function ajax_save_target_areas(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $raw = isset($_POST['target_areas']) ? wp_unslash($_POST['target_areas']) : '[]';
+        if (!is_string($raw)) {
+            wp_send_json_error('Invalid target area data.');
+        }
+        $areas = json_decode($raw, true);
+
+        if (!is_array($areas)) {
+            wp_send_json_error('Invalid target area data.');
+        }
+        if (empty(Flip_Database::sanitize_target_areas($areas)) && empty(Flip_Database::get_target_cities())) {
+            wp_send_json_error('At least one city or target area is required.');
+        }
+
+        wp_send_json_success([
+            'target_areas' => Flip_Database::set_target_areas($areas),
+            'message'      => 'Target areas saved.',
+        ]);
+    }
+
     /**
      * AJAX: Save scoring weights.
      */
@@ -824,6 +1269,48 @@ class Flip_Admin_Dashboard {
         ]);
     }
 
+    /**
+     * AJAX: Backtest candidate main weights against the saved weights.
+     *
+     * v0.32.0: Ranks analyzed properties that later resold by both weight sets
+     * and reports rank correlation and precision@N against realized profit.
+     */
+    public static function ajax_backtest_weights(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $raw = isset($_POST['weights']) ? wp_unslash($_POST['weights']) : '{}';
+        if (!is_string($raw)) {
+            wp_send_json_error('Invalid weight data.');
+        }
+        $weights = json_decode($raw, true);
+
+        if (!is_array($weights) || !is_array($weights['main'] ?? null)) {
+            wp_send_json_error('Invalid weight data.');
+        }
+
+        $main = [];
+        foreach (Flip_Weight_Backtest::MAIN_KEYS as $key) {
+            $main[$key] = max(0, (float) ($weights['main'][$key] ?? 0));
+        }
+        if (abs(array_sum($main) - 1) >= 0.005) {
+            wp_send_json_error('Main category weights must sum to 100%.');
+        }
+
+        $top_n   = absint($_POST['top_n'] ?? Flip_Weight_Backtest::DEFAULT_TOP_N);
+        $refresh = !empty($_POST['refresh']);
+
+        $result = Flip_Weight_Backtest::run($main, $top_n ?: Flip_Weight_Backtest::DEFAULT_TOP_N, $refresh);
+        if (is_wp_error($result)) {
+            wp_send_json_error($result->get_error_message());
+        }
+
+        wp_send_json_success($result);
+    }
+
     /**
      * AJAX: Save digest email settings.
      */
@@ -865,8 +1352,9 @@ class Flip_Admin_Dashboard {
         $cities_raw = isset($_POST['cities']) ? sanitize_text_field(wp_unslash($_POST['cities'])) : '';
         $cities = array_values(array_unique(array_filter(array_map('trim', explode(',', $cities_raw)))));
 
-        if (empty($cities)) {
-            wp_send_json_error('At least one city is required.');
+        // v0.34.0: The city list may be empty when drawn target areas define the scope
+        if (empty($cities) && empty(Flip_Database::get_analysis_filters()['target_areas'])) {
+            wp_send_json_error('At least one city or target area is required.');
         }
 
         Flip_Database::set_target_cities($cities);
@@ -942,6 +1430,7 @@ class Flip_Admin_Dashboard {
 
         wp_send_json_success([
             'defaults' => Flip_Database::get_rental_defaults(),
+            'sets'     => Flip_Database::get_rental_sets(get_current_user_id()),
             'message'  => 'Rental defaults saved.',
         ]);
     }
@@ -960,8 +1449,500 @@ class Flip_Admin_Dashboard {
 
         wp_send_json_success([
             'defaults' => Flip_Database::get_rental_defaults(),
+            'sets'     => Flip_Database::get_rental_sets(get_current_user_id()),
             'message'  => 'Rental defaults reset.',
         ]);
     }
 
+    /**
+     * AJAX: Create or update a cost profile for the current user.
+     *
+     * v0.21.0: Saving the built-in default creates a new profile.
+     */
+    public static function ajax_save_cost_profile(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $raw = isset($_POST['profile']) ? wp_unslash($_POST['profile']) : '{}';
+        if (!is_string($raw)) {
+            wp_send_json_error('Invalid cost profile data.');
+        }
+        $profile = json_decode($raw, true);
+
+        if (!is_array($profile)) {
+            wp_send_json_error('Invalid cost profile data.');
+        }
+
+        $user_id = get_current_user_id();
+        $saved   = Flip_Database::save_cost_profile($user_id, $profile);
+
+        if (!$saved) {
+            wp_send_json_error('Maximum of ' . Flip_Database::MAX_COST_PROFILES . ' cost profiles reached. Delete one first.');
+        }
+
+        Flip_Database::set_active_cost_profile($user_id, $saved['id']);
+
+        wp_send_json_success([
+            'profiles' => Flip_Database::get_cost_profiles($user_id),
+            'active'   => $saved,
+            'message'  => 'Cost profile saved.',
+        ]);
+    }
+
+    /**
+     * AJAX: Delete one of the current user's cost profiles.
+     */
+    public static function ajax_delete_cost_profile(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $profile_id = isset($_POST['profile_id']) ? sanitize_key(wp_unslash($_POST['profile_id'])) : '';
+        $user_id    = get_current_user_id();
+
+        if (!Flip_Database::delete_cost_profile($user_id, $profile_id)) {
+            wp_send_json_error('Cost profile not found or cannot be deleted.');
+        }
+
+        wp_send_json_success([
+            'profiles' => Flip_Database::get_cost_profiles($user_id),
+            'active'   => Flip_Database::get_active_cost_profile($user_id),
+            'message'  => 'Cost profile deleted.',
+        ]);
+    }
+
+    /**
+     * AJAX: Make a cost profile the current user's active profile.
+     */
+    public static function ajax_select_cost_profile(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $profile_id = isset($_POST['profile_id']) ? sanitize_key(wp_unslash($_POST['profile_id'])) : '';
+        $user_id    = get_current_user_id();
+
+        if (!Flip_Database::get_cost_profile($user_id, $profile_id)) {
+            wp_send_json_error('Cost profile not found.');
+        }
+
+        Flip_Database::set_active_cost_profile($user_id, $profile_id);
+
+        wp_send_json_success([
+            'active' => Flip_Database::get_active_cost_profile($user_id),
+        ]);
+    }
+
+    /**
+     * AJAX: Generate a multi-property deal book PDF from a shortlist (v0.31.0).
+     */
+    public static function ajax_generate_deal_book(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $raw_ids = isset($_POST['listing_ids']) ? wp_unslash($_POST['listing_ids']) : '[]';
+        if (!is_string($raw_ids)) {
+            wp_send_json_error('Invalid property selection.');
+        }
+        $listing_ids = array_values(array_filter(array_map('intval', (array) json_decode($raw_ids, true))));
+
+        if (empty($listing_ids)) {
+            wp_send_json_error('Select at least one property for the deal book.');
+        }
+        if (count($listing_ids) > Flip_Database::MAX_DEAL_BOOK_PROPERTIES) {
+            wp_send_json_error('A deal book can include up to ' . Flip_Database::MAX_DEAL_BOOK_PROPERTIES . ' properties.');
+        }
+
+        $report_id = isset($_POST['report_id']) ? (int) $_POST['report_id'] : 0;
+        $title     = isset($_POST['title']) ? sanitize_text_field(wp_unslash($_POST['title'])) : '';
+        $sections  = self::package_sections_from_request();
+
+        // Each property adds pages, photo downloads and BME lookups
+        @ini_set('memory_limit', '512M');
+        set_time_limit(60 + 30 * count($listing_ids));
+
+        require_once FLIP_PLUGIN_PATH . 'includes/class-flip-pdf-generator.php';
+
+        $generator = new Flip_PDF_Generator(['sections' => $sections]);
+        $pdf_path = $generator->generate_deal_book($listing_ids, $report_id ?: null, $title);
+
+        if (!$pdf_path) {
+            wp_send_json_error('Failed to generate deal book. Check that the properties exist and TCPDF is available.');
+        }
+
+        $upload_dir = wp_upload_dir();
+        $pdf_url = str_replace($upload_dir['basedir'], $upload_dir['baseurl'], $pdf_path);
+
+        wp_send_json_success([
+            'url'     => $pdf_url,
+            'message' => 'Deal book generated.',
+        ]);
+    }
+
+    /**
+     * AJAX: Save the company/agent branding used on PDF exports (v0.31.0).
+     */
+    public static function ajax_save_pdf_branding(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $raw = isset($_POST['branding']) ? wp_unslash($_POST['branding']) : '{}';
+        if (!is_string($raw)) {
+            wp_send_json_error('Invalid branding data.');
+        }
+        $branding = json_decode($raw, true);
+
+        if (!is_array($branding)) {
+            wp_send_json_error('Invalid branding data.');
+        }
+
+        wp_send_json_success([
+            'branding' => Flip_Database::set_pdf_branding($branding),
+            'message'  => 'Branding saved.',
+        ]);
+    }
+
+    /**
+     * Read the `sections` POST field and remember it as the user's package choice.
+     *
+     * @return string[] Section keys (all sections when none were sent).
+     */
+    private static function package_sections_from_request(): array {
+        $raw = isset($_POST['sections']) ? wp_unslash($_POST['sections']) : '';
+        $sections = is_string($raw) && $raw !== '' ? json_decode($raw, true) : null;
+
+        if (!is_array($sections)) {
+            return Flip_Database::get_deal_package_sections(get_current_user_id());
+        }
+
+        return Flip_Database::save_deal_package_sections(get_current_user_id(), $sections);
+    }
+
+    /**
+     * AJAX: Create or update a rental assumption set for the current user.
+     *
+     * v0.30.0: The global defaults are saved through flip_save_rental_defaults;
+     * saving them here creates a new set.
+     */
+    public static function ajax_save_rental_set(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $raw = isset($_POST['set']) ? wp_unslash($_POST['set']) : '{}';
+        if (!is_string($raw)) {
+            wp_send_json_error('Invalid assumption set data.');
+        }
+        $set = json_decode($raw, true);
+
+        if (!is_array($set)) {
+            wp_send_json_error('Invalid assumption set data.');
+        }
+
+        $user_id = get_current_user_id();
+        $saved   = Flip_Database::save_rental_set($user_id, $set);
+
+        if (!$saved) {
+            wp_send_json_error('Maximum of ' . Flip_Database::MAX_RENTAL_SETS . ' assumption sets reached. Delete one first.');
+        }
+
+        Flip_Database::set_active_rental_set($user_id, $saved['id']);
+
+        wp_send_json_success([
+            'sets'    => Flip_Database::get_rental_sets($user_id),
+            'active'  => $saved,
+            'message' => 'Assumption set saved.',
+        ]);
+    }
+
+    /**
+     * AJAX: Delete one of the current user's rental assumption sets.
+     */
+    public static function ajax_delete_rental_set(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $set_id  = isset($_POST['set_id']) ? sanitize_key(wp_unslash($_POST['set_id'])) : '';
+        $user_id = get_current_user_id();
+
+        if (!Flip_Database::delete_rental_set($user_id, $set_id)) {
+            wp_send_json_error('Assumption set not found or cannot be deleted.');
+        }
+
+        wp_send_json_success([
+            'sets'    => Flip_Database::get_rental_sets($user_id),
+            'active'  => Flip_Database::get_active_rental_set($user_id),
+            'message' => 'Assumption set deleted.',
+        ]);
+    }
+
+    /**
+     * AJAX: Make a rental set the current user's active set (used by new reports and monitors).
+     */
+    public static function ajax_select_rental_set(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $set_id  = isset($_POST['set_id']) ? sanitize_key(wp_unslash($_POST['set_id'])) : '';
+        $user_id = get_current_user_id();
+
+        if (!Flip_Database::get_rental_set($user_id, $set_id)) {
+            wp_send_json_error('Assumption set not found.');
+        }
+
+        Flip_Database::set_active_rental_set($user_id, $set_id);
+
+        wp_send_json_success([
+            'active' => Flip_Database::get_active_rental_set($user_id),
+        ]);
+    }
+
+    /**
+     * AJAX: Create or update a saved results view for the current user.
+     *
+     * v0.28.0: A view without a known ID is created as new.
+     */
+    public static function ajax_save_view(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $raw = isset($_POST['view']) ? wp_unslash($_POST['view']) : '{}';
+        if (!is_string($raw)) {
+            wp_send_json_error('Invalid view data.');
+        }
+        $view = json_decode($raw, true);
+
+        if (!is_array($view)) {
+            wp_send_json_error('Invalid view data.');
+        }
+
+        $user_id = get_current_user_id();
+        $saved   = Flip_Database::save_view($user_id, $view);
+
+        if (!$saved) {
+            wp_send_json_error('Maximum of ' . Flip_Database::MAX_SAVED_VIEWS . ' saved views reached. Delete one first.');
+        }
+
+        Flip_Database::set_active_view($user_id, $saved['id']);
+
+        wp_send_json_success([
+            'views'     => Flip_Database::get_saved_views($user_id),
+            'active_id' => $saved['id'],
+            'message'   => 'View "' . $saved['name'] . '" saved.',
+        ]);
+    }
+
+    /**
+     * AJAX: Delete one of the current user's saved views.
+     */
+    public static function ajax_delete_view(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $view_id = isset($_POST['view_id']) ? sanitize_key(wp_unslash($_POST['view_id'])) : '';
+        $user_id = get_current_user_id();
+
+        if (!Flip_Database::delete_view($user_id, $view_id)) {
+            wp_send_json_error('View not found.');
+        }
+
+        wp_send_json_success([
+            'views'     => Flip_Database::get_saved_views($user_id),
+            'active_id' => Flip_Database::get_active_view_id($user_id),
+            'message'   => 'View deleted.',
+        ]);
+    }
+
+    /**
+     * AJAX: Remember which saved view the current user is working in ('' = none).
+     */
+    public static function ajax_select_view(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $view_id = isset($_POST['view_id']) ? sanitize_key(wp_unslash($_POST['view_id'])) : '';
+        $user_id = get_current_user_id();
+
+        if ($view_id !== '' && !Flip_Database::get_saved_view($user_id, $view_id)) {
+            wp_send_json_error('View not found.');
+        }
+
+        Flip_Database::set_active_view($user_id, $view_id);
+
+        wp_send_json_success([
+            'active_id' => $view_id,
+        ]);
+    }
+
+    /**
+     * AJAX: Create or update a property's deal pipeline entry.
+     *
+     * v0.33.0: Entries are keyed by listing, not by report, so they are
+     * shared across reports and survive re-runs.
+     */
+    public static function ajax_save_pipeline(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $listing_id = isset($_POST['listing_id']) ? absint($_POST['listing_id']) : 0;
+        $raw = isset($_POST['entry']) ? wp_unslash($_POST['entry']) : '{}';
+        if (!$listing_id || !is_string($raw)) {
+            wp_send_json_error('Invalid pipeline data.');
+        }
+        $entry = json_decode($raw, true);
+
+        if (!is_array($entry)) {
+            wp_send_json_error('Invalid pipeline data.');
+        }
+
+        $saved = Flip_Database::save_pipeline_entry($listing_id, $entry, get_current_user_id());
+        if (!$saved) {
+            wp_send_json_error('Could not save the pipeline entry. Is this property analyzed?');
+        }
+
+        wp_send_json_success([
+            'entry'   => $saved,
+            'message' => 'Pipeline updated.',
+        ]);
+    }
+
+    /**
+     * AJAX: Remove a property from the deal pipeline.
+     */
+    public static function ajax_delete_pipeline(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $listing_id = isset($_POST['listing_id']) ? absint($_POST['listing_id']) : 0;
+        if (!$listing_id || !Flip_Database::delete_pipeline_entry($listing_id)) {
+            wp_send_json_error('Pipeline entry not found.');
+        }
+
+        wp_send_json_success([
+            'listing_id' => $listing_id,
+            'message'    => 'Removed from pipeline.',
+        ]);
+    }
+
+    /**
+     * AJAX: Run history with per-day trend totals.
+     *
+     * v0.35.0: Loaded when the Run History card is opened and after each run.
+     */
+    public static function ajax_get_run_history(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $runs = Flip_Database::get_runs(Flip_Database::MAX_RUN_HISTORY);
+
+        wp_send_json_success([
+            'runs'   => $runs,
+            'trends' => Flip_Database::summarize_run_trends($runs),
+        ]);
+    }
+
+    /**
+     * AJAX: The cities, filters, scoring weights and cost profile a run used.
+     */
+    public static function ajax_get_run_settings(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $run_id   = isset($_POST['run_id']) ? absint($_POST['run_id']) : 0;
+        $settings = $run_id ? Flip_Database::get_run_settings($run_id) : null;
+        if (!$settings) {
+            wp_send_json_error('Run not found.');
+        }
+
+        wp_send_json_success(['run_id' => $run_id, 'settings' => $settings]);
+    }
+
+    /**
+     * AJAX: Make a past run's settings current so it can be reproduced.
+     *
+     * v0.35.0: Restores target cities, analysis filters (including target
+     * areas) and scoring weights. The run's cost profile is re-selected if
+     * the user still has it; profiles are per-user and may have been deleted.
+     */
+    public static function ajax_restore_run(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $run_id   = isset($_POST['run_id']) ? absint($_POST['run_id']) : 0;
+        $settings = $run_id ? Flip_Database::get_run_settings($run_id) : null;
+        if (!$settings) {
+            wp_send_json_error('Run not found.');
+        }
+
+        if (empty($settings['cities']) && empty($settings['filters']['target_areas'])) {
+            wp_send_json_error('This run has no target cities or areas to restore.');
+        }
+
+        Flip_Database::set_target_cities($settings['cities']);
+        Flip_Database::set_analysis_filters($settings['filters']);
+        if (!empty($settings['weights'])) {
+            Flip_Database::set_scoring_weights($settings['weights']);
+        }
+
+        $message = 'Target cities, analysis filters and scoring weights restored from run #' . $run_id . '.';
+
+        $profile = $settings['cost_profile'];
+        if ($profile) {
+            $user_id = get_current_user_id();
+            if (Flip_Database::get_cost_profile($user_id, $profile['id'])) {
+                Flip_Database::set_active_cost_profile($user_id, $profile['id']);
+                $message .= ' Cost profile "' . $profile['name'] . '" selected.';
+            } else {
+                $message .= ' Its cost profile "' . $profile['name'] . '" no longer exists.';
+            }
+        }
+
+        wp_send_json_success(['message' => $message]);
+    }
+
 }
@@ -12,6 +12,9 @@ if (!defined('ABSPATH')) {
 
 class Flip_Report_AJAX {
 
+    /** Maximum rental assumption sets compared at once (v0.30.0). */
+    const MAX_COMPARE_SETS = 4;
+
     /**
      * Register AJAX hooks.
      */
@@ -23,6 +26,12 @@ class Flip_Report_AJAX {
         add_action('wp_ajax_flip_rerun_init', [__CLASS__, 'ajax_rerun_init']);
         add_action('wp_ajax_flip_delete_report', [__CLASS__, 'ajax_delete_report']);
         add_action('wp_ajax_flip_create_monitor', [__CLASS__, 'ajax_create_monitor']);
+        add_action('wp_ajax_flip_set_report_cost_profile', [__CLASS__, 'ajax_set_report_cost_profile']);
+        add_action('wp_ajax_flip_save_rehab_scope', [__CLASS__, 'ajax_save_rehab_scope']);
+        add_action('wp_ajax_flip_save_rent_edit', [__CLASS__, 'ajax_save_rent_edit']);
+        add_action('wp_ajax_flip_preview_rent_edit', [__CLASS__, 'ajax_preview_rent_edit']);
+        add_action('wp_ajax_flip_set_report_rental_set', [__CLASS__, 'ajax_set_report_rental_set']);
+        add_action('wp_ajax_flip_compare_rental_sets', [__CLASS__, 'ajax_compare_rental_sets']);
     }
 
     /**
@@ -119,6 +128,9 @@ class Flip_Report_AJAX {
         $cities  = json_decode($report->cities_json, true) ?: [];
         $filters = json_decode($report->filters_json, true) ?: [];
 
+        // Baseline for reports run before snapshots existed (v0.24.0)
+        Flip_Report_Diff::ensure_baseline($report_id);
+
         // Run new analysis first (pass cities via option, don't mutate global state)
         $messages = [];
         $result = Flip_Analyzer::run(
@@ -159,6 +171,8 @@ class Flip_Report_AJAX {
             'viable_count'   => $viable_count,
         ]);
 
+        Flip_Report_Diff::capture($report_id);
+
         $result['messages']  = $messages;
         $result['dashboard'] = Flip_Admin_Dashboard::get_dashboard_data($report_id);
         $result['report_id'] = $report_id;
@@ -172,6 +186,7 @@ class Flip_Report_AJAX {
      *
      * Restores original criteria, fetches listing IDs, deletes old scores,
      * sets concurrency lock. Client then sends batches via flip_analysis_batch.
+     * The previous run's snapshot (taken at finalize) is what the rerun is diffed against.
      */
     public static function ajax_rerun_init(): void {
         check_ajax_referer('flip_dashboard', 'nonce');
@@ -207,6 +222,9 @@ class Flip_Report_AJAX {
         // Fetch matching listing IDs
         $listing_ids = Flip_Property_Fetcher::fetch_matching_listing_ids($cities, $filters);
 
+        // Snapshot the old results before they're deleted, if not already captured
+        Flip_Report_Diff::ensure_baseline($report_id);
+
         // Delete old scores for this report (fresh re-run)
         global $wpdb;
         $table = Flip_Database::table_name();
@@ -217,8 +235,23 @@ class Flip_Report_AJAX {
 
         $run_date = current_time('mysql');
 
+        // v0.35.0: Run history (closed right away when nothing matched)
+        $run_id = Flip_Database::start_run([
+            'type'           => 'rerun',
+            'report_id'      => $report_id,
+            'listings_total' => count($listing_ids),
+            'cities'         => $cities,
+            'filters'        => $filters,
+            'cost_profile'   => Flip_Database::get_report_cost_profile($report),
+            'created_by'     => get_current_user_id(),
+        ]);
+        if (empty($listing_ids)) {
+            Flip_Database::finish_run($run_id, 'completed');
+        }
+
         wp_send_json_success([
             'report_id'   => $report_id,
+            'run_id'      => $run_id,
             'listing_ids' => array_values($listing_ids),
             'total_count' => count($listing_ids),
             'cities'      => $cities,
@@ -292,6 +325,8 @@ class Flip_Report_AJAX {
             'type'               => 'monitor',
             'cities_json'        => wp_json_encode($cities),
             'filters_json'       => wp_json_encode($filters),
+            'cost_profile_json'  => wp_json_encode(Flip_Database::get_active_cost_profile(get_current_user_id())),
+            'rental_set_json'    => Flip_Database::get_rental_set_snapshot(get_current_user_id()),
             'monitor_frequency'  => $frequency,
             'notification_email' => $email,
             'notification_level' => $notification_level,
@@ -314,6 +349,286 @@ class Flip_Report_AJAX {
         ]);
     }
 
+    /**
+     * AJAX: Apply one of the user's cost profiles to a saved report.
+     *
+     * v0.21.0: Stores a snapshot so later edits to the profile don't
+     * silently change the numbers of an existing report.
+     */
+    public static function ajax_set_report_cost_profile(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $report_id  = isset($_POST['report_id']) ? (int) $_POST['report_id'] : 0;
+        $profile_id = isset($_POST['profile_id']) ? sanitize_key(wp_unslash($_POST['profile_id'])) : '';
+
+        if ($report_id <= 0) {
+            wp_send_json_error('Invalid report ID.');
+        }
+
+        $report = Flip_Database::get_report($report_id);
+        if (!$report) {
+            wp_send_json_error('Report not found.');
+        }
+
+        $profile = Flip_Database::get_cost_profile(get_current_user_id(), $profile_id);
+        if (!$profile) {
+            wp_send_json_error('Cost profile not found.');
+        }
+
+        Flip_Database::update_report($report_id, ['cost_profile_json' => wp_json_encode($profile)]);
+
+        wp_send_json_success([
+            'cost_profile' => $profile,
+            'message'      => 'Report now uses "' . $profile['name'] . '".',
+        ]);
+    }
+
+    /**
+     * AJAX: Save or remove a property's renovation scope on a saved report.
+     *
+     * v0.25.0: An empty scope removes the saved one.
+     */
+    public static function ajax_save_rehab_scope(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $report_id  = isset($_POST['report_id']) ? (int) $_POST['report_id'] : 0;
+        $listing_id = isset($_POST['listing_id']) ? (int) $_POST['listing_id'] : 0;
+        $raw_scope  = isset($_POST['scope']) ? wp_unslash($_POST['scope']) : '';
+
+        if ($report_id <= 0 || $listing_id <= 0) {
+            wp_send_json_error('Invalid report or listing ID.');
+        }
+
+        $report = Flip_Database::get_report($report_id);
+        if (!$report || $report->status === 'deleted') {
+            wp_send_json_error('Report not found.');
+        }
+
+        $scope = null;
+        if ($raw_scope !== '') {
+            $scope = json_decode($raw_scope, true);
+            if (!is_array($scope)) {
+                wp_send_json_error('Invalid scope data.');
+            }
+        }
+
+        $scopes = Flip_Database::save_report_rehab_scope($report_id, $listing_id, $scope);
+
+        wp_send_json_success([
+            'rehab_scopes' => (object) $scopes,
+            'message'      => $scope === null ? 'Scope removed.' : 'Scope saved to report.',
+        ]);
+    }
+
+    /**
+     * AJAX: Save or remove a property's rental comp edits on a saved report.
+     *
+     * v0.29.0: An empty edit removes the saved one.
+     */
+    public static function ajax_save_rent_edit(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $report_id  = isset($_POST['report_id']) ? (int) $_POST['report_id'] : 0;
+        $listing_id = isset($_POST['listing_id']) ? (int) $_POST['listing_id'] : 0;
+        $raw_edit   = isset($_POST['edit']) ? wp_unslash($_POST['edit']) : '';
+
+        if ($report_id <= 0 || $listing_id <= 0) {
+            wp_send_json_error('Invalid report or listing ID.');
+        }
+        if (!is_string($raw_edit)) {
+            wp_send_json_error('Invalid rent data.');
+        }
+
+        $report = Flip_Database::get_report($report_id);
+        if (!$report || $report->status === 'deleted') {
+            wp_send_json_error('Report not found.');
+        }
+
+        $edit = null;
+        if ($raw_edit !== '') {
+            $edit = json_decode($raw_edit, true);
+            if (!is_array($edit)) {
+                wp_send_json_error('Invalid rent data.');
+            }
+        }
+
+        $edits = Flip_Database::save_report_rent_edit($report_id, $listing_id, $edit);
+
+        wp_send_json_success([
+            'rent_edits' => (object) $edits,
+            'message'    => $edit === null ? 'Rent edits removed.' : 'Rent edits saved to report.',
+        ]);
+    }
+
+    /**
+     * AJAX: Re-price one result with an unsaved rental comp edit.
+     *
+     * v0.29.0: Runs the edit through the PHP rental calculator and returns the
+     * formatted result; nothing is saved. An empty edit returns the row as stored.
+     */
+    public static function ajax_preview_rent_edit(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $report_id  = isset($_POST['report_id']) ? (int) $_POST['report_id'] : 0;
+        $listing_id = isset($_POST['listing_id']) ? (int) $_POST['listing_id'] : 0;
+        $raw_edit   = isset($_POST['edit']) ? wp_unslash($_POST['edit']) : '';
+
+        if ($report_id <= 0 || $listing_id <= 0) {
+            wp_send_json_error('Invalid report or listing ID.');
+        }
+        if (!is_string($raw_edit)) {
+            wp_send_json_error('Invalid rent data.');
+        }
+
+        $edit = [];
+        if ($raw_edit !== '') {
+            $edit = json_decode($raw_edit, true);
+            if (!is_array($edit)) {
+                wp_send_json_error('Invalid rent data.');
+            }
+        }
+
+        $row = Flip_Database::get_result_by_listing_and_report($listing_id, $report_id);
+        if (!$row) {
+            wp_send_json_error('Property not found in this report.');
+        }
+
+        $overrides = Flip_Database::get_report_rental_overrides($report_id);
+        if (!Flip_Admin_Dashboard::merge_rent_edit($row, Flip_Database::sanitize_rent_edit($edit), $overrides)) {
+            wp_send_json_error('This property has no rental analysis to edit.');
+        }
+
+        wp_send_json_success([
+            'result' => Flip_Admin_Dashboard::format_result($row),
+        ]);
+    }
+
+    /**
+     * AJAX: Attach a rental assumption set to a saved report and re-price its results.
+     *
+     * v0.30.0: Only the rental/BRRRR side is recomputed from the stored rows,
+     * so switching sets doesn't need a full re-run. 'default' detaches the
+     * report so it follows the global defaults again.
+     */
+    public static function ajax_set_report_rental_set(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $report_id = isset($_POST['report_id']) ? (int) $_POST['report_id'] : 0;
+        $set_id    = isset($_POST['set_id']) ? sanitize_key(wp_unslash($_POST['set_id'])) : '';
+
+        if ($report_id <= 0) {
+            wp_send_json_error('Invalid report ID.');
+        }
+
+        $report = Flip_Database::get_report($report_id);
+        if (!$report || $report->status === 'deleted') {
+            wp_send_json_error('Report not found.');
+        }
+
+        $set = Flip_Database::get_rental_set(get_current_user_id(), $set_id);
+        if (!$set) {
+            wp_send_json_error('Assumption set not found.');
+        }
+
+        Flip_Database::update_report($report_id, [
+            'rental_set_json' => $set['id'] === 'default' ? null : wp_json_encode($set),
+        ]);
+
+        $overrides = Flip_Database::rental_set_overrides($set);
+        $repriced  = 0;
+        foreach (Flip_Database::get_results_by_report($report_id) as $row) {
+            $updates = Flip_Analyzer::reprice_rental($row, $overrides);
+            if ($updates !== null && Flip_Database::update_result((int) $row->id, $updates)) {
+                $repriced++;
+            }
+        }
+
+        global $wpdb;
+        $table = Flip_Database::table_name();
+        $viable_count = (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$table}
+             WHERE report_id = %d AND disqualified = 0 AND total_score >= 60",
+            $report_id
+        ));
+        Flip_Database::update_report($report_id, ['viable_count' => $viable_count]);
+
+        wp_send_json_success([
+            'repriced' => $repriced,
+            'message'  => 'Re-priced ' . $repriced . ' properties with "' . $set['name'] . '".',
+        ]);
+    }
+
+    /**
+     * AJAX: Compare rental assumption sets side by side on a saved report.
+     *
+     * v0.30.0: Re-prices every result in memory for each set; nothing is saved.
+     */
+    public static function ajax_compare_rental_sets(): void {
+        check_ajax_referer('flip_dashboard', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error('Unauthorized');
+        }
+
+        $report_id = isset($_POST['report_id']) ? (int) $_POST['report_id'] : 0;
+        $raw_ids   = isset($_POST['set_ids']) ? wp_unslash($_POST['set_ids']) : '[]';
+
+        if ($report_id <= 0) {
+            wp_send_json_error('Invalid report ID.');
+        }
+        if (!is_string($raw_ids)) {
+            wp_send_json_error('Invalid assumption set selection.');
+        }
+
+        $set_ids = json_decode($raw_ids, true);
+        if (!is_array($set_ids) || count($set_ids) < 1 || count($set_ids) > self::MAX_COMPARE_SETS) {
+            wp_send_json_error('Select 1 to ' . self::MAX_COMPARE_SETS . ' assumption sets to compare.');
+        }
+
+        $report = Flip_Database::get_report($report_id);
+        if (!$report || $report->status === 'deleted') {
+            wp_send_json_error('Report not found.');
+        }
+
+        $rows = Flip_Database::get_results_by_report($report_id);
+        $user_id = get_current_user_id();
+        $comparison = [];
+
+        foreach (array_unique(array_map('sanitize_key', $set_ids)) as $set_id) {
+            $set = Flip_Database::get_rental_set($user_id, $set_id);
+            if (!$set) {
+                continue;
+            }
+            $comparison[] = self::summarize_rental_set($set, $rows);
+        }
+
+        if (empty($comparison)) {
+            wp_send_json_error('Assumption set not found.');
+        }
+
+        wp_send_json_success(['sets' => $comparison]);
+    }
+
     /* ─── Helpers ──────────────────────────────────────────── */
 
     /**
@@ -343,4 +658,61 @@ class Flip_Report_AJAX {
 
         return $list;
     }
+
+    /**
+     * Re-price a report's rows with one assumption set and summarize the outcome.
+     *
+     * @param array $set  Rental assumption set.
+     * @param array $rows Rows from Flip_Database::get_results_by_report().
+     */
+    private static function summarize_rental_set(array $set, array $rows): array {
+        $overrides = Flip_Database::rental_set_overrides($set);
+        $summary = [
+            'id'             => $set['id'],
+            'name'           => $set['name'],
+            'properties'     => 0,
+            'rental_viable'  => 0,
+            'brrrr_viable'   => 0,
+            'avg_cap_rate'   => 0,
+            'avg_rental_cf'  => 0,
+            'avg_brrrr_cf'   => 0,
+            'avg_dscr'       => 0,
+            'best'           => ['flip' => 0, 'rental' => 0, 'brrrr' => 0],
+        ];
+        $totals = ['cap' => 0, 'rental_cf' => 0, 'brrrr_cf' => 0, 'dscr' => 0, 'dscr_n' => 0];
+
+        foreach ($rows as $row) {
+            $updates = Flip_Analyzer::reprice_rental($row, $overrides);
+            if ($updates === null) {
+                continue;
+            }
+            $analysis = json_decode($updates['rental_analysis_json'], true);
+            $rental = $analysis['rental'];
+            $brrrr  = $analysis['brrrr'];
+
+            $summary['properties']++;
+            $summary['rental_viable'] += $updates['rental_viable'];
+            $summary['brrrr_viable']  += $updates['brrrr_viable'];
+            $totals['cap']       += (float) $rental['cap_rate'];
+            $totals['rental_cf'] += (float) $rental['monthly_cash_flow'];
+            $totals['brrrr_cf']  += (float) $brrrr['post_refi_monthly_cf'];
+            if ($brrrr['dscr'] !== null) {
+                $totals['dscr'] += (float) $brrrr['dscr'];
+                $totals['dscr_n']++;
+            }
+            if (!$updates['disqualified'] && isset($summary['best'][$updates['best_strategy']])) {
+                $summary['best'][$updates['best_strategy']]++;
+            }
+        }
+
+        $n = $summary['properties'];
+        if ($n > 0) {
+            $summary['avg_cap_rate']  = round($totals['cap'] / $n, 2);
+            $summary['avg_rental_cf'] = round($totals['rental_cf'] / $n, 2);
+            $summary['avg_brrrr_cf']  = round($totals['brrrr_cf'] / $n, 2);
+        }
+        $summary['avg_dscr'] = $totals['dscr_n'] > 0 ? round($totals['dscr'] / $totals['dscr_n'], 2) : null;
+
+        return $summary;
+    }
 }
@@ -32,6 +32,9 @@ if (!defined('ABSPATH')) {
         <button id="flip-export-csv" class="button button-large">
             <span class="dashicons dashicons-download"></span> Export CSV
         </button>
+        <button id="flip-deal-book" class="button button-large">
+            <span class="dashicons dashicons-book"></span> Deal Book
+        </button>
         <span id="flip-last-run" class="flip-last-run"></span>
     </div>
 
@@ -99,6 +102,53 @@ if (!defined('ABSPATH')) {
         </div>
     </div>
 
+    <!-- Run History (v0.35.0) -->
+    <div class="flip-card flip-rh-card">
+        <div class="flip-card-header flip-reports-header" id="flip-rh-toggle">
+            <h2>
+                <span class="dashicons dashicons-backup"></span> Run History
+                <span id="flip-rh-count" class="flip-badge">0</span>
+            </h2>
+            <span class="flip-reports-arrow dashicons dashicons-arrow-down-alt2"></span>
+        </div>
+        <div class="flip-card-body" id="flip-rh-body" style="display:none;">
+            <div class="flip-rh-controls">
+                <label>Type
+                    <select id="flip-rh-type">
+                        <option value="">All runs</option>
+                    </select>
+                </label>
+                <span id="flip-rh-totals" class="flip-rh-totals"></span>
+                <span id="flip-rh-status" class="flip-sw-status"></span>
+            </div>
+            <p id="flip-rh-empty" class="description" style="display:none;">
+                No runs recorded yet. Analysis, re-run, photo and monitor runs are listed here once they start.
+            </p>
+            <div id="flip-rh-charts" class="flip-rh-charts">
+                <div class="flip-rh-chart"><canvas id="flip-rh-volume-chart"></canvas></div>
+                <div class="flip-rh-chart"><canvas id="flip-rh-cost-chart"></canvas></div>
+            </div>
+            <table class="flip-comp-table flip-rh-table">
+                <thead>
+                    <tr>
+                        <th>Started</th>
+                        <th>Type</th>
+                        <th>Report / Scope</th>
+                        <th>Duration</th>
+                        <th>Analyzed</th>
+                        <th>Viable</th>
+                        <th>DQ</th>
+                        <th>Errors</th>
+                        <th>API Cost</th>
+                        <th>Status</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody id="flip-rh-rows"></tbody>
+            </table>
+        </div>
+    </div>
+
     <!-- Summary Stats -->
     <div class="flip-stats-row">
         <div class="flip-stat-card">
@@ -155,10 +205,10 @@ if (!defined('ABSPATH')) {
         </div>
     </div>
 
-    <!-- Target Cities -->
+    <!-- Target Cities & Areas -->
     <div class="flip-card flip-cities-card">
         <div class="flip-card-header">
-            <h2>Target Cities</h2>
+            <h2>Target Cities &amp; Areas</h2>
         </div>
         <div class="flip-card-body">
             <div id="flip-city-tags" class="flip-city-tags"></div>
@@ -169,6 +219,21 @@ if (!defined('ABSPATH')) {
                 </button>
                 <span id="flip-city-status" style="margin-left:8px;font-size:12px;color:#666"></span>
             </div>
+
+            <!-- Target Areas (v0.34.0) -->
+            <h4 class="flip-ta-heading">Target Areas</h4>
+            <div id="flip-ta-tags" class="flip-city-tags"></div>
+            <div class="flip-city-add">
+                <button type="button" id="flip-ta-draw" class="button button-small">
+                    <span class="dashicons dashicons-edit" style="font-size:14px;width:14px;height:14px;vertical-align:middle"></span> Draw Area
+                </button>
+                <button type="button" id="flip-ta-finish" class="button button-small button-primary" style="display:none;">Finish</button>
+                <button type="button" id="flip-ta-cancel" class="button button-small" style="display:none;">Cancel</button>
+                <button type="button" id="flip-ta-map-toggle" class="button button-small">Show Map</button>
+                <span id="flip-ta-status" style="margin-left:8px;font-size:12px;color:#666"></span>
+            </div>
+            <p class="description">Listings inside a drawn area are analyzed even when its city isn't a target city.</p>
+            <div id="flip-ta-canvas" class="flip-map-canvas flip-ta-canvas" style="display:none;"></div>
         </div>
     </div>
 
@@ -448,6 +513,20 @@ if (!defined('ABSPATH')) {
                 </div>
             </div>
 
+            <!-- Weight Backtest (v0.32.0) -->
+            <div class="flip-sw-section flip-bt">
+                <h3>Backtest Against Resold Properties</h3>
+                <p class="description">Ranks analyzed properties that later sold and resold at the same address by the main category weights above (unsaved) and by the saved weights, then scores each ranking against realized profit (resale &minus; purchase &minus; estimated rehab). Sub-weights aren't replayed &mdash; only category scores are stored, so sub-weight changes need a re-run.</p>
+                <div class="flip-bt-controls">
+                    <label>Top N <input type="number" id="flip-bt-top-n" value="10" min="1" max="50" step="1"></label>
+                    <label><input type="checkbox" id="flip-bt-refresh"> Reload sales data</label>
+                    <button id="flip-run-backtest" class="button">Run Backtest</button>
+                    <span id="flip-bt-stale" class="flip-bt-stale" style="display:none;">Weights changed &mdash; run again.</span>
+                    <span id="flip-bt-status" class="flip-sw-status"></span>
+                </div>
+                <div id="flip-bt-results"></div>
+            </div>
+
             <div class="flip-sw-actions">
                 <button id="flip-save-weights" class="button button-primary">
                     <span class="dashicons dashicons-saved"></span> Save Weights
@@ -458,14 +537,21 @@ if (!defined('ABSPATH')) {
         </div>
     </div>
 
-    <!-- Rental & BRRRR Defaults -->
+    <!-- Rental & BRRRR Assumptions (v0.30.0: named sets) -->
     <div class="flip-card flip-rd-card">
         <div class="flip-card-header flip-rd-header" id="flip-rd-toggle">
-            <h2><span class="dashicons dashicons-building"></span> Rental & BRRRR Defaults</h2>
+            <h2><span class="dashicons dashicons-building"></span> Rental & BRRRR Assumptions</h2>
             <span class="flip-rd-arrow dashicons dashicons-arrow-down-alt2"></span>
         </div>
         <div class="flip-card-body flip-rd-body" id="flip-rd-body" style="display:none;">
-            <p class="description">These defaults are used when calculating rental hold and BRRRR analysis. Changes apply to future analysis runs.</p>
+            <p class="description">Assumptions used by the rental hold and BRRRR analysis. Global Defaults apply to reports without a set; named sets are saved to your account. New reports and monitors keep the set selected here, and a set can be applied to an existing report without re-running it.</p>
+
+            <div class="flip-cp-picker">
+                <label for="rd-set-select">Assumption Set</label>
+                <select id="rd-set-select"></select>
+                <label for="rd-set-name">Name</label>
+                <input type="text" id="rd-set-name" class="regular-text" placeholder="e.g. Conservative - 8% vacancy">
+            </div>
 
             <div class="flip-rd-grid">
                 <!-- Operating Assumptions -->
@@ -530,11 +616,143 @@ if (!defined('ABSPATH')) {
 
             <div class="flip-sw-actions">
                 <button id="flip-save-rental-defaults" class="button button-primary">
-                    <span class="dashicons dashicons-saved"></span> Save Rental Defaults
+                    <span class="dashicons dashicons-saved"></span> Save Set
                 </button>
+                <button id="flip-save-rental-set-new" class="button">Save as New</button>
+                <button id="flip-delete-rental-set" class="button">Delete</button>
                 <button id="flip-reset-rental-defaults" class="button">Reset to Defaults</button>
+                <button id="flip-apply-rental-set" class="button">Use for Current Report</button>
                 <span id="flip-rd-status" class="flip-sw-status"></span>
             </div>
+            <p id="flip-rd-report-note" class="description"></p>
+
+            <div class="flip-rd-section flip-rs-compare">
+                <h3>Compare Sets on Current Report</h3>
+                <div id="flip-rs-compare-options" class="flip-rs-compare-options"></div>
+                <button id="flip-compare-rental-sets" class="button">Compare</button>
+                <div id="flip-rs-compare-results"></div>
+            </div>
+        </div>
+    </div>
+
+    <!-- Cost Profile (v0.21.0) -->
+    <div class="flip-card flip-cp-card">
+        <div class="flip-card-header flip-rd-header" id="flip-cp-toggle">
+            <h2><span class="dashicons dashicons-money-alt"></span> Cost Profile</h2>
+            <span class="flip-cp-arrow dashicons dashicons-arrow-down-alt2"></span>
+        </div>
+        <div class="flip-card-body flip-rd-body" id="flip-cp-body" style="display:none;">
+            <p class="description">Deal-cost assumptions used by ARV projections and sensitivity analysis. Profiles are saved to your account; each report keeps the profile it was run with.</p>
+
+            <div class="flip-cp-picker">
+                <label for="cp-profile-select">Profile</label>
+                <select id="cp-profile-select"></select>
+                <label for="cp-name">Name</label>
+                <input type="text" id="cp-name" class="regular-text" placeholder="e.g. Lender B - NH">
+            </div>
+
+            <div class="flip-rd-grid">
+                <!-- Transaction Costs -->
+                <div class="flip-rd-section">
+                    <h3>Transaction Costs</h3>
+                    <div class="flip-sw-row">
+                        <label>Purchase Closing (%)</label>
+                        <input type="number" id="cp-purchase-closing" step="0.1" min="0" max="10" class="flip-sw-input">
+                    </div>
+                    <div class="flip-sw-row">
+                        <label>Sale Commission (%)</label>
+                        <input type="number" id="cp-sale-commission" step="0.25" min="0" max="10" class="flip-sw-input">
+                    </div>
+                    <div class="flip-sw-row">
+                        <label>Seller Closing (%)</label>
+                        <input type="number" id="cp-sale-closing" step="0.1" min="0" max="10" class="flip-sw-input">
+                    </div>
+                    <div class="flip-sw-row">
+                        <label>Transfer Tax (%)</label>
+                        <input type="number" id="cp-transfer-tax" step="0.001" min="0" max="5" class="flip-sw-input">
+                    </div>
+                </div>
+
+                <!-- Financing -->
+                <div class="flip-rd-section">
+                    <h3>Hard Money Financing</h3>
+                    <div class="flip-sw-row">
+                        <label>Interest Rate (%)</label>
+                        <input type="number" id="cp-hm-rate" step="0.25" min="0" max="30" class="flip-sw-input">
+                    </div>
+                    <div class="flip-sw-row">
+                        <label>Points (%)</label>
+                        <input type="number" id="cp-hm-points" step="0.25" min="0" max="10" class="flip-sw-input">
+                    </div>
+                    <div class="flip-sw-row">
+                        <label>Loan-to-Value (%)</label>
+                        <input type="number" id="cp-hm-ltv" step="1" min="0" max="100" class="flip-sw-input">
+                    </div>
+                </div>
+
+                <!-- Holding Costs -->
+                <div class="flip-rd-section">
+                    <h3>Holding Costs</h3>
+                    <div class="flip-sw-row">
+                        <label>Property Tax (%/yr)</label>
+                        <input type="number" id="cp-tax-rate" step="0.1" min="0" max="10" class="flip-sw-input">
+                    </div>
+                    <div class="flip-sw-row">
+                        <label>Insurance (%/yr)</label>
+                        <input type="number" id="cp-insurance-rate" step="0.1" min="0" max="10" class="flip-sw-input">
+                    </div>
+                    <div class="flip-sw-row">
+                        <label>Utilities ($/mo)</label>
+                        <input type="number" id="cp-utilities" step="25" min="0" class="flip-sw-input">
+                    </div>
+                </div>
+            </div>
+
+            <div class="flip-rd-section">
+                <h3>Rehab Scope Tiers</h3>
+                <table class="flip-comp-table flip-cp-tiers">
+                    <thead>
+                        <tr><th>Scope</th><th>Up To</th><th>Contingency</th><th>Hold Period</th></tr>
+                    </thead>
+                    <tbody>
+                            <tr class="flip-cp-tier">
+                                <td>Cosmetic</td>
+                                <td><input type="number" class="cp-tier-max flip-sw-input" step="1" min="0"> $/sqft</td>
+                                <td><input type="number" class="cp-tier-contingency flip-sw-input" step="1" min="0" max="100"> %</td>
+                                <td><input type="number" class="cp-tier-hold flip-sw-input" step="1" min="1" max="36"> mo</td>
+                            </tr>
+                            <tr class="flip-cp-tier">
+                                <td>Moderate</td>
+                                <td><input type="number" class="cp-tier-max flip-sw-input" step="1" min="0"> $/sqft</td>
+                                <td><input type="number" class="cp-tier-contingency flip-sw-input" step="1" min="0" max="100"> %</td>
+                                <td><input type="number" class="cp-tier-hold flip-sw-input" step="1" min="1" max="36"> mo</td>
+                            </tr>
+                            <tr class="flip-cp-tier">
+                                <td>Significant</td>
+                                <td><input type="number" class="cp-tier-max flip-sw-input" step="1" min="0"> $/sqft</td>
+                                <td><input type="number" class="cp-tier-contingency flip-sw-input" step="1" min="0" max="100"> %</td>
+                                <td><input type="number" class="cp-tier-hold flip-sw-input" step="1" min="1" max="36"> mo</td>
+                            </tr>
+                            <tr class="flip-cp-tier">
+                                <td>Major / Gut</td>
+                                <td><input type="number" class="cp-tier-max flip-sw-input" step="1" min="0" placeholder="no cap"> $/sqft</td>
+                                <td><input type="number" class="cp-tier-contingency flip-sw-input" step="1" min="0" max="100"> %</td>
+                                <td><input type="number" class="cp-tier-hold flip-sw-input" step="1" min="1" max="36"> mo</td>
+                            </tr>
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="flip-sw-actions">
+                <button id="flip-save-cost-profile" class="button button-primary">
+                    <span class="dashicons dashicons-saved"></span> Save Profile
+                </button>
+                <button id="flip-save-cost-profile-new" class="button">Save as New</button>
+                <button id="flip-delete-cost-profile" class="button">Delete</button>
+                <button id="flip-apply-cost-profile" class="button">Use for Current Report</button>
+                <span id="flip-cp-status" class="flip-sw-status"></span>
+            </div>
+            <p id="flip-cp-report-note" class="description"></p>
         </div>
     </div>
 
@@ -567,17 +785,27 @@ if (!defined('ABSPATH')) {
         </div>
         <div class="flip-filter-group">
             <label for="filter-sort">Sort By</label>
-            <select id="filter-sort">
-                <option value="total_score">Total Score</option>
-                <option value="flip_score">Flip Score</option>
-                <option value="rental_score">Rental Score</option>
-                <option value="brrrr_score">BRRRR Score</option>
-                <option value="estimated_profit">Profit</option>
-                <option value="annualized_roi">Annualized ROI</option>
-                <option value="estimated_roi">Cash-on-Cash ROI</option>
-                <option value="list_price">List Price</option>
-                <option value="estimated_arv">ARV</option>
-            </select>
+            <div class="flip-filter-sort">
+                <select id="filter-sort">
+                    <option value="total_score">Total Score</option>
+                    <option value="flip_score">Flip Score</option>
+                    <option value="rental_score">Rental Score</option>
+                    <option value="brrrr_score">BRRRR Score</option>
+                    <option value="estimated_profit">Profit</option>
+                    <option value="annualized_roi">Annualized ROI</option>
+                    <option value="estimated_roi">Cash-on-Cash ROI</option>
+                    <option value="risk_p10_roi">Risk-Adj. ROI (P10)</option>
+                    <option value="risk_profit_prob">Probability of Profit</option>
+                    <option value="list_price">List Price</option>
+                    <option value="estimated_arv">ARV</option>
+                    <option value="estimated_rehab_cost">Rehab Cost</option>
+                    <option value="days_on_market">Days on Market</option>
+                </select>
+                <select id="filter-sort-dir" class="flip-sort-dir" title="Sort direction">
+                    <option value="desc">High &rarr; Low</option>
+                    <option value="asc">Low &rarr; High</option>
+                </select>
+            </div>
         </div>
         <div class="flip-filter-group">
             <label for="filter-show">Show</label>
@@ -588,6 +816,19 @@ if (!defined('ABSPATH')) {
                 <option value="disqualified">Disqualified Only</option>
             </select>
         </div>
+        <div class="flip-filter-group" style="display:none;">
+            <label for="filter-changes">Changes</label>
+            <select id="filter-changes">
+                <option value="">All Results</option>
+                <option value="any">Any Change</option>
+                <option value="new">New Listings</option>
+                <option value="newly_viable">Newly Viable</option>
+                <option value="price_drop">Price Drops</option>
+                <option value="status_change">Status Changes</option>
+                <option value="score_change">Score Changes</option>
+                <option value="dropped">Dropped Out</option>
+            </select>
+        </div>
         <div class="flip-filter-group">
             <label for="filter-strategy">Best Strategy</label>
             <select id="filter-strategy">
@@ -599,6 +840,136 @@ if (!defined('ABSPATH')) {
         </div>
     </div>
 
+    <!-- Saved Views & Advanced Filters (v0.28.0) -->
+    <div class="flip-views-bar">
+        <label for="flip-view-select">View</label>
+        <select id="flip-view-select">
+            <option value="">Unsaved view</option>
+        </select>
+        <span id="flip-view-modified" class="flip-view-modified" style="display:none;">modified</span>
+        <button type="button" class="button button-small" id="flip-view-save">Save</button>
+        <button type="button" class="button button-small" id="flip-view-save-new">Save As&hellip;</button>
+        <button type="button" class="button button-small" id="flip-view-delete">Delete</button>
+        <span id="flip-view-status" class="flip-view-status"></span>
+        <button type="button" class="button button-small flip-adv-toggle" id="flip-adv-toggle">
+            <span class="dashicons dashicons-filter"></span> More Filters
+            <span id="flip-adv-count" class="flip-adv-count" style="display:none;"></span>
+        </button>
+    </div>
+    <div id="flip-adv-filters" class="flip-adv-filters" style="display:none;">
+        <div class="flip-adv-section">
+            <h4>Ranges</h4>
+            <div class="flip-adv-range">
+                <label>Profit ($)</label>
+                <input type="number" class="flip-range-input" data-range="profit" data-bound="min" placeholder="Min">
+                <span>&ndash;</span>
+                <input type="number" class="flip-range-input" data-range="profit" data-bound="max" placeholder="Max">
+            </div>
+            <div class="flip-adv-range">
+                <label>Ann. ROI (%)</label>
+                <input type="number" class="flip-range-input" data-range="ann_roi" data-bound="min" placeholder="Min">
+                <span>&ndash;</span>
+                <input type="number" class="flip-range-input" data-range="ann_roi" data-bound="max" placeholder="Max">
+            </div>
+            <div class="flip-adv-range">
+                <label>Rehab ($/sqft)</label>
+                <input type="number" class="flip-range-input" data-range="rehab_psf" data-bound="min" placeholder="Min">
+                <span>&ndash;</span>
+                <input type="number" class="flip-range-input" data-range="rehab_psf" data-bound="max" placeholder="Max">
+            </div>
+            <div class="flip-adv-range">
+                <label>Days on Market</label>
+                <input type="number" class="flip-range-input" data-range="dom" data-bound="min" placeholder="Min">
+                <span>&ndash;</span>
+                <input type="number" class="flip-range-input" data-range="dom" data-bound="max" placeholder="Max">
+            </div>
+            <div class="flip-adv-range">
+                <label>List Price ($)</label>
+                <input type="number" class="flip-range-input" data-range="list_price" data-bound="min" placeholder="Min">
+                <span>&ndash;</span>
+                <input type="number" class="flip-range-input" data-range="list_price" data-bound="max" placeholder="Max">
+            </div>
+        </div>
+        <div class="flip-adv-section">
+            <h4>Road Type</h4>
+            <label class="flip-adv-check"><input type="checkbox" class="flip-road-filter" value="cul-de-sac"> Cul-de-sac</label>
+            <label class="flip-adv-check"><input type="checkbox" class="flip-road-filter" value="dead-end"> Dead end</label>
+            <label class="flip-adv-check"><input type="checkbox" class="flip-road-filter" value="quiet-residential"> Quiet</label>
+            <label class="flip-adv-check"><input type="checkbox" class="flip-road-filter" value="moderate-traffic"> Moderate</label>
+            <label class="flip-adv-check"><input type="checkbox" class="flip-road-filter" value="busy-road"> Busy</label>
+            <label class="flip-adv-check"><input type="checkbox" class="flip-road-filter" value="highway-adjacent"> Highway</label>
+            <label class="flip-adv-check"><input type="checkbox" class="flip-road-filter" value="unknown"> Unknown</label>
+        </div>
+        <div class="flip-adv-section">
+            <h4>Market Strength</h4>
+            <label class="flip-adv-check"><input type="checkbox" class="flip-market-filter" value="very_hot"> Very Hot</label>
+            <label class="flip-adv-check"><input type="checkbox" class="flip-market-filter" value="hot"> Hot</label>
+            <label class="flip-adv-check"><input type="checkbox" class="flip-market-filter" value="balanced"> Balanced</label>
+            <label class="flip-adv-check"><input type="checkbox" class="flip-market-filter" value="soft"> Soft</label>
+            <label class="flip-adv-check"><input type="checkbox" class="flip-market-filter" value="cold"> Cold</label>
+        </div>
+        <div class="flip-adv-section">
+            <h4>Then Sort By</h4>
+            <div class="flip-filter-sort">
+                <select id="filter-sort2">
+                    <option value="">None</option>
+                </select>
+                <select id="filter-sort2-dir" class="flip-sort-dir" title="Sort direction">
+                    <option value="desc">High &rarr; Low</option>
+                    <option value="asc">Low &rarr; High</option>
+                </select>
+            </div>
+            <h4>Columns</h4>
+            <div id="flip-column-toggles" class="flip-column-toggles"></div>
+        </div>
+        <div class="flip-adv-actions">
+            <button type="button" class="button button-small" id="flip-adv-reset">Reset Filters</button>
+        </div>
+    </div>
+
+    <!-- Changes Since Previous Run (v0.24.0) -->
+    <div id="flip-changes-panel" class="flip-changes-panel" style="display:none;"></div>
+
+    <!-- Results Map (v0.27.0) -->
+    <div class="flip-card flip-map-card">
+        <div class="flip-card-header flip-reports-header" id="flip-map-toggle">
+            <h2><span class="dashicons dashicons-location-alt"></span> Map</h2>
+            <span class="flip-reports-arrow dashicons dashicons-arrow-down-alt2"></span>
+        </div>
+        <div class="flip-card-body" id="flip-map-body" style="display:none;">
+            <div class="flip-map-toolbar">
+                <label for="flip-map-color">Color by</label>
+                <select id="flip-map-color">
+                    <option value="score">Total Score</option>
+                    <option value="strategy">Best Strategy</option>
+                </select>
+                <button type="button" id="flip-map-draw" class="button button-small">Draw Area</button>
+                <button type="button" id="flip-map-clear" class="button button-small" style="display:none;">Clear Area</button>
+                <span id="flip-map-legend" class="flip-map-legend"></span>
+            </div>
+            <div id="flip-map-message" class="flip-map-message" style="display:none;"></div>
+            <div id="flip-map-canvas" class="flip-map-canvas"></div>
+            <div id="flip-map-selected" class="flip-map-selected" style="display:none;"></div>
+        </div>
+    </div>
+
+    <!-- Deal Pipeline (v0.33.0) -->
+    <div class="flip-card flip-pipeline-card">
+        <div class="flip-card-header flip-reports-header" id="flip-pipeline-toggle">
+            <h2>
+                <span class="dashicons dashicons-clipboard"></span> Deal Pipeline
+                <span id="flip-pipeline-count" class="flip-badge">0</span>
+            </h2>
+            <span class="flip-reports-arrow dashicons dashicons-arrow-down-alt2"></span>
+        </div>
+        <div class="flip-card-body" id="flip-pipeline-body" style="display:none;">
+            <p id="flip-pipeline-empty" class="description">
+                No tracked properties yet. Use "+ Track" in the Pipeline column of the results table.
+            </p>
+            <div id="flip-pipeline-board" class="flip-pipeline-board"></div>
+        </div>
+    </div>
+
     <!-- Results Table -->
     <div class="flip-card">
         <div class="flip-card-header">
@@ -610,17 +981,18 @@ if (!defined('ABSPATH')) {
                     <tr>
                         <th class="flip-col-toggle"></th>
                         <th>Property</th>
-                        <th>City</th>
-                        <th class="flip-col-num">Score</th>
-                        <th>Strategy</th>
-                        <th>Risk</th>
-                        <th class="flip-col-num">List Price</th>
-                        <th class="flip-col-num">ARV</th>
-                        <th class="flip-col-num">Profit</th>
-                        <th class="flip-col-num">Ann. ROI</th>
-                        <th>Road</th>
-                        <th class="flip-col-num">DOM</th>
-                        <th class="flip-col-num">Photo</th>
+                        <th data-col="city">City</th>
+                        <th class="flip-col-num" data-col="score">Score</th>
+                        <th data-col="strategy">Strategy</th>
+                        <th data-col="risk">Risk</th>
+                        <th class="flip-col-num" data-col="list_price">List Price</th>
+                        <th class="flip-col-num" data-col="arv">ARV</th>
+                        <th class="flip-col-num" data-col="profit">Profit</th>
+                        <th class="flip-col-num" data-col="ann_roi">Ann. ROI</th>
+                        <th data-col="road">Road</th>
+                        <th class="flip-col-num" data-col="dom">DOM</th>
+                        <th class="flip-col-num" data-col="photo">Photo</th>
+                        <th data-col="pipeline">Pipeline</th>
                     </tr>
                 </thead>
                 <tbody id="flip-results-body">
@@ -659,4 +1031,84 @@ if (!defined('ABSPATH')) {
             <button id="flip-cancel-analysis" class="button">Cancel</button>
         </div>
     </div>
+
+    <!-- Deal Package Export (v0.31.0) -->
+    <div id="flip-package-overlay" class="flip-modal-overlay" style="display:none;">
+        <div class="flip-modal flip-modal-wide flip-package-modal">
+            <div class="flip-progress-header">
+                <span class="dashicons dashicons-pdf"></span>
+                <h3 id="flip-package-title">Deal Package</h3>
+            </div>
+
+            <div class="flip-package-book-only">
+                <label for="flip-package-book-title" class="flip-package-label">Book Title</label>
+                <input type="text" id="flip-package-book-title" class="regular-text" placeholder="Investment Deal Book">
+
+                <div class="flip-package-label">
+                    Properties <span id="flip-package-book-count" class="flip-package-count"></span>
+                </div>
+                <div id="flip-package-properties" class="flip-package-properties"></div>
+            </div>
+
+            <div class="flip-package-label">Sections</div>
+            <div id="flip-package-sections" class="flip-package-sections"></div>
+            <p class="description">The cover and contact pages are always included.</p>
+
+            <details class="flip-package-branding-wrap">
+                <summary>Branding</summary>
+                <div id="flip-package-branding" class="flip-package-branding"></div>
+                <button id="flip-package-save-branding" class="button">Save Branding</button>
+            </details>
+
+            <div class="flip-sw-actions">
+                <button id="flip-package-generate" class="button button-primary">
+                    <span class="dashicons dashicons-pdf"></span> Generate
+                </button>
+                <button id="flip-package-cancel" class="button">Cancel</button>
+                <span id="flip-package-status" class="flip-sw-status"></span>
+            </div>
+        </div>
+    </div>
+
+    <!-- Deal Pipeline Entry (v0.33.0) -->
+    <div id="flip-pipeline-overlay" class="flip-modal-overlay" style="display:none;">
+        <div class="flip-modal flip-modal-wide flip-pipeline-modal">
+            <div class="flip-progress-header">
+                <span class="dashicons dashicons-clipboard"></span>
+                <h3 id="flip-pipeline-title">Deal Pipeline</h3>
+            </div>
+
+            <div class="flip-pipeline-form">
+                <div class="flip-sw-row">
+                    <label for="flip-pipeline-status">Status</label>
+                    <select id="flip-pipeline-status"></select>
+                </div>
+                <div class="flip-sw-row">
+                    <label for="flip-pipeline-offer-price">Offer Price ($)</label>
+                    <input type="number" id="flip-pipeline-offer-price" min="0" step="1000">
+                </div>
+                <div class="flip-sw-row">
+                    <label for="flip-pipeline-offer-date">Offer Date</label>
+                    <input type="date" id="flip-pipeline-offer-date">
+                </div>
+                <div class="flip-sw-row">
+                    <label for="flip-pipeline-contract-date">Contract Date</label>
+                    <input type="date" id="flip-pipeline-contract-date">
+                </div>
+                <div class="flip-sw-row">
+                    <label for="flip-pipeline-closing-date">Closing Date</label>
+                    <input type="date" id="flip-pipeline-closing-date">
+                </div>
+                <label for="flip-pipeline-notes" class="flip-package-label">Notes</label>
+                <textarea id="flip-pipeline-notes" rows="4" maxlength="2000"></textarea>
+            </div>
+
+            <div class="flip-sw-actions">
+                <button id="flip-pipeline-save" class="button button-primary">Save</button>
+                <button id="flip-pipeline-remove" class="button">Remove from Pipeline</button>
+                <button id="flip-pipeline-cancel" class="button">Cancel</button>
+                <span id="flip-pipeline-msg" class="flip-sw-status"></span>
+            </div>
+        </div>
+    </div>
 </div>
@@ -6,6 +6,7 @@
  * for a selected property from the current report.
  *
  * v0.16.0: Initial implementation.
+ * v0.23.0: Multi-property matrix mode.
  */
 
 if (!defined('ABSPATH')) {
@@ -17,7 +18,7 @@ if (!defined('ABSPATH')) {
         <span class="dashicons dashicons-chart-area"></span>
         Strategy Comparison
     </h1>
-    <p class="description">Compare Flip, Rental Hold, and BRRRR strategies side-by-side for any analyzed property.</p>
+    <p class="description">Compare Flip, Rental Hold, and BRRRR strategies side-by-side for any analyzed property, or across a shortlist of properties.</p>
 
     <!-- Property Selector -->
     <div class="flip-card">
@@ -25,9 +26,24 @@ if (!defined('ABSPATH')) {
             <h2>Select Property</h2>
         </div>
         <div class="flip-card-body">
-            <select id="flip-comparison-property" class="regular-text" style="width:400px;max-width:100%">
-                <option value="">-- Select a property --</option>
-            </select>
+            <div class="flip-compare-mode">
+                <label><input type="radio" name="flip-comparison-mode" value="single" checked> Single Property</label>
+                <label><input type="radio" name="flip-comparison-mode" value="multi"> Compare Properties</label>
+            </div>
+            <div id="flip-single-select">
+                <select id="flip-comparison-property" class="regular-text" style="width:400px;max-width:100%">
+                    <option value="">-- Select a property --</option>
+                </select>
+            </div>
+            <div id="flip-multi-select" style="display:none;">
+                <div id="flip-compare-list" class="flip-compare-list"></div>
+                <div class="flip-compare-toolbar">
+                    <span id="flip-compare-count" class="flip-compare-count">0 / 5 selected</span>
+                    <button id="flip-compare-export" class="button">
+                        <span class="dashicons dashicons-download"></span> Export CSV
+                    </button>
+                </div>
+            </div>
         </div>
     </div>
 
@@ -63,6 +79,35 @@ if (!defined('ABSPATH')) {
         </div>
     </div>
 
+    <!-- Multi-Property Matrix (v0.23.0) -->
+    <div id="flip-multi-content" style="display:none;">
+        <div class="flip-card">
+            <div class="flip-card-header">
+                <h2>Strategies × Properties</h2>
+            </div>
+            <div class="flip-card-body flip-card-body-table">
+                <table class="flip-comparison-table flip-compare-matrix">
+                    <thead>
+                        <tr>
+                            <th rowspan="2" style="width:22%">Property</th>
+                            <th colspan="3" class="flip-compare-group-start">Flip</th>
+                            <th colspan="3" class="flip-compare-group-start">Rental Hold</th>
+                            <th colspan="3" class="flip-compare-group-start">BRRRR</th>
+                            <th rowspan="2" class="flip-compare-group-start">Best</th>
+                        </tr>
+                        <tr>
+                            <th class="flip-compare-group-start">Score</th><th>Capital</th><th>Ann. Return</th>
+                            <th class="flip-compare-group-start">Score</th><th>Capital</th><th>Ann. Return</th>
+                            <th class="flip-compare-group-start">Score</th><th>Capital</th><th>Ann. Return</th>
+                        </tr>
+                    </thead>
+                    <tbody id="flip-multi-body"></tbody>
+                </table>
+                <p class="description" style="margin:8px 12px">Highlighted cells mark each property's best strategy. ★ marks the highest annualized return for that strategy within the shortlist.</p>
+            </div>
+        </div>
+    </div>
+
     <div id="flip-comparison-empty" class="flip-empty">
         Select a property above to see strategy comparison. Properties must have rental analysis data (run analysis with v0.16.0+).
     </div>
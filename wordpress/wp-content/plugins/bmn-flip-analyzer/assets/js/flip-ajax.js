@@ -10,6 +10,12 @@
     var h = FD.helpers;
     var BATCH_SIZE = 5;
 
+    // Photo analysis: each property is a ~10-60s vision call (v0.26.0).
+    // Cost estimate mirrors Flip_Photo_Analyzer::ESTIMATED_COST_PER_PROPERTY.
+    var PHOTO_BATCH_SIZE = 2;
+    var PHOTO_MAX_CANDIDATES = 50;
+    var PHOTO_COST_PER_ITEM = 0.04;
+
     // --- Batched analysis state ---
     var _cancelRequested = false;
     var _elapsedTimer = null;
@@ -185,13 +191,14 @@
 
                 // Run batches sequentially
                 var completed = 0;
+                var skipped = 0;
                 var totalViable = 0;
                 var totalDQ = 0;
                 var batchIdx = 0;
 
                 function runNextBatch() {
                     if (_cancelRequested || batchIdx >= batches.length) {
-                        finalize(d.report_id, completed, _cancelRequested);
+                        finalize(d.report_id, completed, _cancelRequested, d.run_id, skipped);
                         return;
                     }
 
@@ -206,6 +213,7 @@
                             action: 'flip_analysis_batch',
                             nonce: flipData.nonce,
                             report_id: d.report_id,
+                            run_id: d.run_id,
                             listing_ids: JSON.stringify(batch),
                             run_date: d.run_date,
                         },
@@ -213,7 +221,7 @@
                             if (!resp.success) {
                                 hideProgress();
                                 alert('Batch error: ' + (resp.data || 'Unknown error') + '\nPartial results saved.');
-                                finalize(d.report_id, completed, false);
+                                finalize(d.report_id, completed, false, d.run_id, skipped + total - completed);
                                 return;
                             }
 
@@ -239,6 +247,7 @@
                                     action: 'flip_analysis_batch',
                                     nonce: flipData.nonce,
                                     report_id: d.report_id,
+                                    run_id: d.run_id,
                                     listing_ids: JSON.stringify(batch),
                                     run_date: d.run_date,
                                 },
@@ -260,6 +269,7 @@
                                     // Give up on this batch, continue with rest
                                     logInit('Batch failed, skipping ' + batch.length + ' properties...');
                                     completed += batch.length;
+                                    skipped += batch.length;
                                     updateProgress(completed, total, totalViable, totalDQ);
                                     runNextBatch();
                                 }
@@ -279,8 +289,11 @@
 
     /**
      * Phase 3: Finalize — update report metadata and refresh dashboard.
+     *
+     * @param {number} runId   Run history entry (v0.35.0).
+     * @param {number} skipped Properties in batches that failed, recorded as run errors.
      */
-    function finalize(reportId, totalAnalyzed, wasCancelled) {
+    function finalize(reportId, totalAnalyzed, wasCancelled, runId, skipped) {
         $('#flip-progress-title').text(wasCancelled ? 'Saving partial results...' : 'Finalizing...');
         logInit(wasCancelled ? 'Saving partial results...' : 'Updating dashboard...');
         $('#flip-cancel-analysis').hide();
@@ -293,11 +306,14 @@
                 action: 'flip_analysis_finalize',
                 nonce: flipData.nonce,
                 report_id: reportId,
+                run_id: runId || '',
+                skipped: skipped || 0,
                 total_analyzed: totalAnalyzed,
                 cancelled: wasCancelled ? '1' : '0',
             },
             success: function (response) {
                 hideProgress();
+                FD.runHistory.refresh();
                 if (response.success) {
                     var d = response.data;
                     finishDashboard(d);
@@ -325,8 +341,9 @@
      * @param {number[]} listingIds Array of listing IDs to analyze.
      * @param {number}   reportId   Report to scope results to.
      * @param {string}   runDate    Run date string for consistency across batches.
+     * @param {number}   [runId]    Run history entry from flip_rerun_init (v0.35.0).
      */
-    FD.ajax.runBatchedAnalysis = function (listingIds, reportId, runDate) {
+    FD.ajax.runBatchedAnalysis = function (listingIds, reportId, runDate, runId) {
         var total = listingIds.length;
         showProgress('Re-running Analysis...', total);
         logInit('Found ' + total + ' properties. Starting analysis...');
@@ -337,13 +354,14 @@
         }
 
         var completed = 0;
+        var skipped = 0;
         var totalViable = 0;
         var totalDQ = 0;
         var batchIdx = 0;
 
         function runNext() {
             if (_cancelRequested || batchIdx >= batches.length) {
-                finalize(reportId, completed, _cancelRequested);
+                finalize(reportId, completed, _cancelRequested, runId, skipped);
                 return;
             }
 
@@ -358,12 +376,13 @@
                     action: 'flip_analysis_batch',
                     nonce: flipData.nonce,
                     report_id: reportId,
+                    run_id: runId || '',
                     listing_ids: JSON.stringify(batch),
                     run_date: runDate,
                 },
                 success: function (resp) {
                     if (!resp.success) {
-                        finalize(reportId, completed, false);
+                        finalize(reportId, completed, false, runId, skipped + total - completed);
                         return;
                     }
                     var bd = resp.data;
@@ -380,6 +399,7 @@
                 error: function () {
                     logInit('Batch failed, skipping ' + batch.length + ' properties...');
                     completed += batch.length;
+                    skipped += batch.length;
                     updateProgress(completed, total, totalViable, totalDQ);
                     runNext();
                 }
@@ -389,72 +409,275 @@
         runNext();
     };
 
-    FD.ajax.runPhotoAnalysis = function () {
-        var viable = (FD.data.results || []).filter(function (r) {
+    // --- Batched photo analysis (v0.26.0) ---
+
+    /**
+     * Viable results photo analysis runs on (mirrors Flip_Photo_Analyzer::get_candidates).
+     */
+    function photoCandidates() {
+        return (FD.data.results || []).filter(function (r) {
             return !r.disqualified && r.total_score >= 40;
-        });
-        var count = viable.length;
+        }).sort(function (a, b) {
+            return b.total_score - a.total_score;
+        }).slice(0, PHOTO_MAX_CANDIDATES);
+    }
+
+    function viewedReportId() {
+        if (FD.activeReportId) return FD.activeReportId;
+        return FD.data && FD.data.report ? parseInt(FD.data.report.id, 10) : null;
+    }
+
+    function logPhotoProperties(properties, startIdx, lookup) {
+        var $log = $('#flip-progress-log');
+        for (var i = 0; i < properties.length; i++) {
+            var p = properties[i];
+            var info = lookup[p.listing_id] || {};
+            var scoreVal = p.success ? p.photo_score.toFixed(0) : '--';
+            var scoreClass = !p.success ? 'score-low'
+                : p.photo_score >= 65 ? 'score-high'
+                : p.photo_score >= 45 ? 'score-mid' : 'score-low';
+            var badge = p.success
+                ? '<span class="flip-log-strategy strat-photo">' + h.escapeHtml(p.rehab_level || '--') + '</span>'
+                : '<span class="flip-log-strategy strat-dq" title="' + h.escapeHtml(p.error || '') + '">Error</span>';
+
+            $log.append(
+                '<div class="flip-log-row">'
+                + '<span class="flip-log-idx">' + (startIdx + i + 1) + '</span>'
+                + '<span class="flip-log-addr">' + h.escapeHtml(info.address || 'MLS# ' + p.listing_id) + '</span>'
+                + '<span class="flip-log-city">' + h.escapeHtml(info.city || '') + '</span>'
+                + '<span class="flip-log-score ' + scoreClass + '">' + scoreVal + '</span>'
+                + badge
+                + '<span class="flip-log-cost">$' + (p.cost || 0).toFixed(3) + '</span>'
+                + '</div>'
+            );
+            if (!p.success && p.error) {
+                logInit('MLS# ' + p.listing_id + ': ' + h.escapeHtml(p.error));
+            }
+        }
+        $log.scrollTop($log[0].scrollHeight);
+    }
+
+    function updatePhotoProgress(completed, total, state, estTotal) {
+        var pct = total > 0 ? Math.round(completed / total * 100) : 0;
+        $('#flip-progress-bar').css('width', pct + '%');
+        $('#flip-progress-pct').text(completed + ' of ' + total);
+        $('#flip-prog-cost').html('Cost: <strong>$' + state.cost.toFixed(2) + '</strong>'
+            + ' of ~$' + estTotal.toFixed(2) + ' est.');
+    }
+
+    /**
+     * Confirm and run photo analysis. Offers to resume when some candidates
+     * already have photo analysis (e.g. a cancelled or timed-out run).
+     */
+    FD.ajax.runPhotoAnalysis = function () {
+        var candidates = photoCandidates();
+        var count = candidates.length;
 
         if (count === 0) {
             alert('No viable properties to analyze. Run the data analysis first.');
             return;
         }
 
-        var estCost = (count * 0.04).toFixed(2);
-        if (!confirm('Run photo analysis on ' + count + ' viable properties?\n\n'
-            + 'Estimated API cost: ~$' + estCost + '\n'
+        var done = candidates.filter(function (r) { return !!r.photo_analysis; }).length;
+        var remaining = count - done;
+        var estCost = function (n) { return (n * PHOTO_COST_PER_ITEM).toFixed(2); };
+        var mode = 'resume';
+
+        if (remaining === 0) {
+            if (!confirm('All ' + count + ' viable properties already have photo analysis.\n\n'
+                + 'Re-analyze all of them? Estimated API cost: ~$' + estCost(count))) {
+                return;
+            }
+            mode = 'restart';
+        } else if (done > 0) {
+            if (!confirm(done + ' of ' + count + ' properties already have photo analysis.\n\n'
+                + 'Resume with the remaining ' + remaining + '? Estimated API cost: ~$' + estCost(remaining) + '\n\n'
+                + '(Cancel to choose re-analyzing all ' + count + ' instead.)')) {
+                if (!confirm('Re-analyze all ' + count + ' properties from scratch?\n\n'
+                    + 'Estimated API cost: ~$' + estCost(count))) {
+                    return;
+                }
+                mode = 'restart';
+            }
+        } else if (!confirm('Run photo analysis on ' + count + ' viable properties?\n\n'
+            + 'Estimated API cost: ~$' + estCost(count) + '\n'
             + 'This uses Claude Vision to analyze property photos and refine rehab estimates.\n\n'
-            + 'This may take 1-5 minutes.')) {
+            + 'Runs in small batches; you can cancel and resume later.')) {
             return;
         }
 
-        showProgress('Running Photo Analysis...', count, 0.04);
-        logInit('Analyzing photos for ' + count + ' properties...');
-        $('#flip-cancel-analysis').hide(); // Photo analysis is single-request, no cancel
-        $('#flip-progress-counts').hide();
+        FD.ajax._executePhotoAnalysis(viewedReportId(), mode);
+    };
+
+    /**
+     * Execute photo analysis in batches: init → batch×N → finalize.
+     */
+    FD.ajax._executePhotoAnalysis = function (reportId, mode) {
+        showProgress('Preparing Photo Analysis...');
+        logInit('Finding properties to analyze...');
         $('#flip-run-photos').prop('disabled', true);
 
         $.ajax({
             url: flipData.ajaxUrl,
             method: 'POST',
-            timeout: 600000,
+            timeout: 30000,
             data: {
-                action: 'flip_run_photo_analysis',
+                action: 'flip_photo_init',
                 nonce: flipData.nonce,
-                report_id: FD.activeReportId || '',
+                report_id: reportId || '',
+                mode: mode,
             },
             success: function (response) {
-                hideProgress();
-                $('#flip-run-photos').prop('disabled', false);
+                if (!response.success) {
+                    hideProgress();
+                    $('#flip-run-photos').prop('disabled', false);
+                    alert('Error: ' + (response.data || 'Unknown error'));
+                    return;
+                }
 
-                if (response.success) {
-                    var d = response.data;
-                    alert('Photo analysis complete: ' + d.analyzed + ' analyzed, '
-                        + d.updated + ' updated, ' + d.errors + ' errors.');
-
-                    if (d.dashboard) {
-                        FD.data = d.dashboard;
-                        FD.stats.renderStats(FD.data.summary);
-                        FD.stats.renderChart(FD.data.summary.cities || []);
-                        FD.filters.applyFilters();
-                    }
+                var d = response.data;
+                var pending = d.pending || [];
+                var total = pending.length;
+                var state = d.state;
+                var estTotal = (state.analyzed + total) * d.est_cost_per_item;
+
+                if (total === 0) {
+                    photoFinalize(reportId, 0, false, d.run_id, 0);
+                    return;
+                }
+
+                var lookup = {};
+                pending.forEach(function (p) { lookup[p.listing_id] = p; });
+
+                $('#flip-progress-title').text('Running Photo Analysis...');
+                if (d.already_analyzed > 0) {
+                    logInit(d.already_analyzed + ' of ' + d.total_candidates + ' already analyzed. Resuming with ' + total + '...');
                 } else {
-                    alert('Error: ' + (response.data || 'Unknown error'));
+                    logInit('Analyzing photos for ' + total + ' properties...');
                 }
+                if (state.analyzed > 0) {
+                    logInit('Earlier session: ' + state.analyzed + ' analyzed, $' + state.cost.toFixed(2) + ' spent.');
+                }
+                updatePhotoProgress(0, total, state, estTotal);
+
+                var batches = [];
+                for (var i = 0; i < pending.length; i += PHOTO_BATCH_SIZE) {
+                    batches.push(pending.slice(i, i + PHOTO_BATCH_SIZE).map(function (p) { return p.listing_id; }));
+                }
+
+                var completed = 0;
+                var skipped = 0;
+                var batchIdx = 0;
+
+                function runNext() {
+                    if (_cancelRequested || batchIdx >= batches.length) {
+                        photoFinalize(reportId, completed, _cancelRequested, d.run_id, skipped);
+                        return;
+                    }
+
+                    var batch = batches[batchIdx];
+                    batchIdx++;
+
+                    $.ajax({
+                        url: flipData.ajaxUrl,
+                        method: 'POST',
+                        timeout: 180000,
+                        data: {
+                            action: 'flip_photo_batch',
+                            nonce: flipData.nonce,
+                            report_id: reportId || '',
+                            run_id: d.run_id,
+                            listing_ids: JSON.stringify(batch),
+                        },
+                        success: function (resp) {
+                            if (!resp.success) {
+                                logInit('Error: ' + (resp.data || 'Unknown error'));
+                                photoFinalize(reportId, completed, true, d.run_id, skipped);
+                                return;
+                            }
+                            logPhotoProperties(resp.data.properties || [], completed, lookup);
+                            completed += batch.length;
+                            state = resp.data.state;
+                            updatePhotoProgress(completed, total, state, estTotal);
+                            runNext();
+                        },
+                        error: function () {
+                            // Unanalyzed properties are picked up on the next (resumed) run
+                            logInit('Batch failed, skipping ' + batch.length + ' properties (retry by resuming)...');
+                            completed += batch.length;
+                            skipped += batch.length;
+                            updatePhotoProgress(completed, total, state, estTotal);
+                            runNext();
+                        }
+                    });
+                }
+
+                runNext();
             },
             error: function (xhr, status) {
                 hideProgress();
                 $('#flip-run-photos').prop('disabled', false);
+                alert('Failed to start photo analysis: ' + status);
+            }
+        });
+    };
 
-                if (status === 'timeout') {
-                    alert('Photo analysis timed out. Check server logs. Refreshing data...');
+    /**
+     * Photo analysis Phase 3: release the session and refresh the dashboard.
+     */
+    function photoFinalize(reportId, processed, wasCancelled, runId, skipped) {
+        $('#flip-progress-title').text('Finalizing...');
+        logInit('Updating dashboard...');
+        $('#flip-cancel-analysis').hide();
+
+        $.ajax({
+            url: flipData.ajaxUrl,
+            method: 'POST',
+            timeout: 30000,
+            data: {
+                action: 'flip_photo_finalize',
+                nonce: flipData.nonce,
+                report_id: reportId || '',
+                run_id: runId || '',
+                skipped: skipped || 0,
+                cancelled: wasCancelled ? '1' : '0',
+            },
+            success: function (response) {
+                hideProgress();
+                $('#flip-run-photos').prop('disabled', false);
+                FD.runHistory.refresh();
+
+                if (!response.success) {
+                    alert('Finalize error: ' + (response.data || 'Unknown'));
                     FD.ajax.refreshData();
-                } else {
-                    alert('Request failed: ' + status);
+                    return;
+                }
+
+                var d = response.data;
+                finishDashboard(d);
+
+                var st = d.state;
+                if (processed === 0 && !wasCancelled) {
+                    alert('All candidates already have photo analysis.');
+                } else if (wasCancelled) {
+                    alert('Photo analysis stopped after ' + processed + ' properties.'
+                        + (st ? ' API cost so far: $' + st.cost.toFixed(2) + '.' : '')
+                        + '\nRun Photo Analysis again to resume.');
+                } else if (st) {
+                    alert('Photo analysis complete: ' + st.analyzed + ' analyzed, '
+                        + st.updated + ' updated, ' + st.errors + ' errors.\n'
+                        + 'API cost: $' + st.cost.toFixed(2)
+                        + ' (' + (st.input_tokens + st.output_tokens).toLocaleString() + ' tokens).');
                 }
+            },
+            error: function () {
+                hideProgress();
+                $('#flip-run-photos').prop('disabled', false);
+                alert('Failed to finalize. Refreshing data...');
+                FD.ajax.refreshData();
             }
         });
-    };
+    }
 
     FD.ajax.refreshData = function () {
         var postData = {
@@ -480,7 +703,11 @@
         });
     };
 
-    FD.ajax.generatePDF = function ($btn) {
+    /**
+     * @param {jQuery}   $btn      Row PDF button (carries data-listing).
+     * @param {string[]} [sections] Deal package sections (v0.31.0); omitted = the user's last choice.
+     */
+    FD.ajax.generatePDF = function ($btn, sections) {
         var listingId = $btn.data('listing');
         $btn.prop('disabled', true).text('Generating PDF...');
 
@@ -495,6 +722,7 @@
                 nonce: flipData.nonce,
                 listing_id: listingId,
                 report_id: FD.activeReportId || '',
+                sections: sections ? JSON.stringify(sections) : '',
             },
             success: function (response) {
                 $btn.prop('disabled', false).html('<span class="dashicons dashicons-pdf"></span> Download PDF Report');
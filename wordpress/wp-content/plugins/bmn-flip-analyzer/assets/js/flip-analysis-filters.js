@@ -2,6 +2,9 @@
  * FlipDashboard Analysis Filters — Pre-analysis filter panel UI.
  *
  * Manages the collapsible filter panel with 17 configurable filters.
+ *
+ * v0.34.0: Drawn target areas (FD.targetAreas) are saved with these filters;
+ * drawing or removing an area saves the areas on their own.
  */
 (function (FD, $) {
     'use strict';
@@ -54,7 +57,9 @@
         });
 
         // Save filters
-        $('#flip-save-filters').on('click', FD.analysisFilters.save);
+        $('#flip-save-filters').on('click', function () {
+            FD.analysisFilters.save();
+        });
 
         // Reset filters
         $('#flip-reset-filters').on('click', FD.analysisFilters.reset);
@@ -96,12 +101,17 @@
         filters.sewer_public_only = $('#af-sewer-public').is(':checked');
         filters.has_garage = $('#af-has-garage').is(':checked');
 
+        filters.target_areas = FD.targetAreas.get();
+
         return filters;
     };
 
-    FD.analysisFilters.save = function () {
+    /**
+     * @param {string} [statusSelector] Where to report the result (default: the panel's status).
+     */
+    FD.analysisFilters.save = function (statusSelector) {
         var filters = FD.analysisFilters.collect();
-        var $status = $('#flip-af-status');
+        var $status = $(statusSelector || '#flip-af-status');
         $status.text('Saving...').css('color', '#666').show();
 
         $.ajax({
@@ -115,6 +125,7 @@
             success: function (response) {
                 if (response.success) {
                     flipData.filters = response.data.filters;
+                    FD.targetAreas.load(flipData.filters.target_areas);
                     $status.text('Filters saved.').css('color', '#00a32a');
                 } else {
                     $status.text('Error: ' + (response.data || 'Unknown')).css('color', '#cc1818');
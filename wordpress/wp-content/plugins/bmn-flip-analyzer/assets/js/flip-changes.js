@@ -0,0 +1,158 @@
+/**
+ * FlipDashboard Changes — "What changed since the previous run" for a report.
+ *
+ * v0.24.0: Reads FD.data.changes (Flip_Report_Diff::get_changes) and renders
+ * the changes panel above the results table, per-row change badges, and the
+ * "Changes" filter used by FD.filters.getFilteredResults().
+ *
+ * FD.data.changes shape:
+ *   - since / run_date: the two runs being compared
+ *   - listings: { listing_id: { types: [...], previous: {price, score, status}, current: {...} } }
+ *   - dropped: last known state of listings that fell out of the criteria
+ *   - counts: { type: number }
+ */
+(function (FD, $) {
+    'use strict';
+
+    var h = FD.helpers;
+
+    FD.changes.TYPES = {
+        new: { label: 'New', cls: 'flip-change-new' },
+        newly_viable: { label: 'Newly Viable', cls: 'flip-change-viable' },
+        price_drop: { label: 'Price Drop', cls: 'flip-change-price' },
+        status_change: { label: 'Status Change', cls: 'flip-change-status' },
+        score_change: { label: 'Score Change', cls: 'flip-change-score' },
+        dropped: { label: 'Dropped Out', cls: 'flip-change-dropped' },
+    };
+
+    /* ─── Lookup ────────────────────────────────────────── */
+
+    FD.changes.get = function () {
+        return (FD.data && FD.data.changes) || null;
+    };
+
+    FD.changes.forListing = function (listingId) {
+        var changes = FD.changes.get();
+        return changes && changes.listings ? (changes.listings[listingId] || null) : null;
+    };
+
+    /**
+     * Filter predicate for the "Changes" select ('' = no filtering, 'any' = any change).
+     */
+    FD.changes.matches = function (r, type) {
+        if (!type) return true;
+        var entry = FD.changes.forListing(r.listing_id);
+        if (!entry) return false;
+        return type === 'any' || entry.types.indexOf(type) !== -1;
+    };
+
+    /* ─── Row Badges ────────────────────────────────────── */
+
+    FD.changes.badgesHtml = function (r) {
+        var entry = FD.changes.forListing(r.listing_id);
+        if (!entry) return '';
+
+        var prev = entry.previous || {};
+        var curr = entry.current || {};
+        var badges = entry.types.map(function (type) {
+            var text = FD.changes.TYPES[type].label;
+
+            if (type === 'price_drop' && prev.price) {
+                var drop = prev.price - curr.price;
+                text = '▼ ' + h.formatCurrency(drop) + ' (' + (drop / prev.price * 100).toFixed(1) + '%)';
+            } else if (type === 'status_change') {
+                text = h.escapeHtml(prev.status) + ' → ' + h.escapeHtml(curr.status);
+            } else if (type === 'score_change') {
+                var delta = curr.score - prev.score;
+                text = 'Score ' + (delta > 0 ? '+' : '') + delta.toFixed(1);
+            }
+
+            return '<span class="flip-change-badge ' + FD.changes.TYPES[type].cls + '"'
+                + ' title="' + FD.changes.TYPES[type].label + ' since previous run">' + text + '</span>';
+        });
+
+        return '<div class="flip-change-badges">' + badges.join(' ') + '</div>';
+    };
+
+    /* ─── Panel ─────────────────────────────────────────── */
+
+    FD.changes.renderPanel = function () {
+        var changes = FD.changes.get();
+        var $panel = $('#flip-changes-panel');
+        var $filterGroup = $('#filter-changes').closest('.flip-filter-group');
+
+        if (!changes) {
+            $panel.hide().empty();
+            $filterGroup.hide();
+            $('#filter-changes').val('');
+            return;
+        }
+
+        $filterGroup.show();
+
+        var total = Object.keys(changes.listings || {}).length;
+        var html = '<div class="flip-changes-header">'
+            + '<span class="dashicons dashicons-backup"></span> '
+            + '<strong>Changes since previous run</strong> '
+            + '<span class="flip-changes-dates">(' + formatDate(changes.since) + ' → ' + formatDate(changes.run_date) + ')</span>'
+            + '</div>';
+
+        if (total === 0) {
+            html += '<p class="flip-changes-none">No changes between the last two runs.</p>';
+        } else {
+            var activeType = $('#filter-changes').val();
+            html += '<div class="flip-changes-chips">';
+            $.each(FD.changes.TYPES, function (type, def) {
+                var count = changes.counts[type] || 0;
+                if (!count) return;
+                html += '<button type="button" class="flip-change-chip ' + def.cls
+                    + (activeType === type ? ' flip-change-chip-active' : '') + '" data-type="' + type + '">'
+                    + def.label + ' <strong>' + count + '</strong></button>';
+            });
+            html += '</div>';
+        }
+
+        // Dropped listings usually have no result row any more — list them here
+        var inResults = {};
+        (FD.data.results || []).forEach(function (r) { inResults[r.listing_id] = true; });
+        var missing = (changes.dropped || []).filter(function (d) { return !inResults[d.listing_id]; });
+
+        if (missing.length) {
+            html += '<table class="flip-changes-dropped"><thead><tr>'
+                + '<th>Dropped Out</th><th>City</th><th class="flip-col-num">Last Score</th>'
+                + '<th class="flip-col-num">Last Price</th><th>Status Now</th></tr></thead><tbody>';
+            missing.forEach(function (d) {
+                var url = flipData.siteUrl + '/property/' + d.listing_id + '/';
+                html += '<tr><td>' + h.escapeHtml(d.address)
+                    + ' <a href="' + url + '" target="_blank" class="flip-view-link">MLS# ' + d.listing_id + '</a></td>'
+                    + '<td>' + h.escapeHtml(d.city) + '</td>'
+                    + '<td class="flip-col-num">' + (d.score !== undefined ? Number(d.score).toFixed(1) : '--') + '</td>'
+                    + '<td class="flip-col-num">' + h.formatCurrency(d.price) + '</td>'
+                    + '<td>' + (d.status ? h.escapeHtml(d.status) : '<span style="color:#999">Off market</span>') + '</td></tr>';
+            });
+            html += '</tbody></table>';
+        }
+
+        $panel.html(html).show();
+    };
+
+    function formatDate(date) {
+        if (!date) return '--';
+        return new Date(date.replace(/-/g, '/')).toLocaleDateString('en-US', {
+            month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+    }
+
+    /* ─── Init ──────────────────────────────────────────── */
+
+    FD.changes.init = function () {
+        // Chips set the Changes filter (click again to clear)
+        $('#flip-changes-panel').on('click', '.flip-change-chip', function () {
+            var type = $(this).data('type');
+            var $filter = $('#filter-changes');
+            $filter.val($filter.val() === type ? '' : type);
+            FD.filters.applyFilters();
+        });
+    };
+
+})(window.FlipDashboard, jQuery);
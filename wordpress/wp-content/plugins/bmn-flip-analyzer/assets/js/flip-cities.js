@@ -47,8 +47,8 @@
 
     FD.cities.remove = function (city) {
         var cities = (FD.data.cities || []).filter(function (c) { return c !== city; });
-        if (cities.length === 0) {
-            alert('You must have at least one target city.');
+        if (cities.length === 0 && !FD.targetAreas.get().length) {
+            alert('You must have at least one target city or target area.');
             return;
         }
         FD.cities.save(cities);
@@ -21,4 +21,17 @@ window.FlipDashboard = {
     reports: {},
     scoringWeights: {},
     rental: {},
+    costProfile: {},
+    risk: {},
+    changes: {},
+    scope: {},
+    map: {},
+    views: {},
+    rentComps: {},
+    rentalSets: {},
+    dealPackage: {},
+    weightBacktest: {},
+    pipeline: {},
+    targetAreas: {},
+    runHistory: {},
 };
@@ -0,0 +1,326 @@
+/**
+ * FlipDashboard Cost Profile — Editable deal-cost assumptions (v0.21.0).
+ *
+ * Replaces the constants that used to be hard-coded in calcProjectionCosts().
+ * Profiles are saved per user; each report stores a snapshot of the profile
+ * it was run (or later re-priced) with, which takes precedence when viewing it.
+ * Rates are displayed as percentages (×100), stored as decimals.
+ */
+(function (FD, $) {
+    'use strict';
+
+    var h = FD.helpers;
+
+    /** Fallback when flipData has no profile (mirrors Flip_Database::get_default_cost_profile). */
+    FD.costProfile.DEFAULTS = {
+        id: 'default',
+        name: 'Default (MA Hard Money)',
+        purchase_closing_pct: 0.015,
+        sale_commission_pct: 0.045,
+        sale_closing_pct: 0.01,
+        transfer_tax_rate: 0.00456,
+        hard_money_rate: 0.105,
+        hard_money_points: 0.02,
+        hard_money_ltv: 0.80,
+        annual_tax_rate: 0.013,
+        annual_insurance_rate: 0.005,
+        monthly_utilities: 350,
+        rehab_tiers: [
+            { max_per_sqft: 20, contingency: 0.08, hold_months: 3 },
+            { max_per_sqft: 35, contingency: 0.12, hold_months: 4 },
+            { max_per_sqft: 50, contingency: 0.15, hold_months: 6 },
+            { max_per_sqft: null, contingency: 0.20, hold_months: 8 },
+        ],
+    };
+
+    /** Percentage inputs: element ID → profile key */
+    var PCT_FIELDS = {
+        'cp-purchase-closing': 'purchase_closing_pct',
+        'cp-sale-commission': 'sale_commission_pct',
+        'cp-sale-closing': 'sale_closing_pct',
+        'cp-transfer-tax': 'transfer_tax_rate',
+        'cp-hm-rate': 'hard_money_rate',
+        'cp-hm-points': 'hard_money_points',
+        'cp-hm-ltv': 'hard_money_ltv',
+        'cp-tax-rate': 'annual_tax_rate',
+        'cp-insurance-rate': 'annual_insurance_rate',
+    };
+
+    /* ─── Profile Lookup ────────────────────────────────── */
+
+    /**
+     * Profile used for projections: the viewed report's snapshot,
+     * else the user's active profile, else built-in defaults.
+     */
+    FD.costProfile.getActive = function () {
+        if (FD.data && FD.data.cost_profile) return FD.data.cost_profile;
+        if (typeof flipData !== 'undefined' && flipData.activeCostProfile) return flipData.activeCostProfile;
+        return FD.costProfile.DEFAULTS;
+    };
+
+    /**
+     * Rehab tier (contingency + hold months) for an effective rehab $/sqft.
+     */
+    FD.costProfile.getTier = function (profile, perSqft) {
+        var tiers = (profile && profile.rehab_tiers && profile.rehab_tiers.length)
+            ? profile.rehab_tiers : FD.costProfile.DEFAULTS.rehab_tiers;
+
+        for (var i = 0; i < tiers.length; i++) {
+            if (tiers[i].max_per_sqft === null || perSqft <= tiers[i].max_per_sqft) {
+                return tiers[i];
+            }
+        }
+        return tiers[tiers.length - 1];
+    };
+
+    /**
+     * Short financing label, e.g. "10.5%, 2 pts, 80% LTV".
+     */
+    FD.costProfile.describeFinancing = function (profile) {
+        return fmtPct(profile.hard_money_rate) + '%, '
+            + fmtPct(profile.hard_money_points) + ' pts, '
+            + fmtPct(profile.hard_money_ltv) + '% LTV';
+    };
+
+    /**
+     * Rate as a display percentage without the sign, e.g. 0.045 → "4.5".
+     */
+    FD.costProfile.formatRate = function (rate) {
+        return fmtPct(rate);
+    };
+
+    function fmtPct(rate) {
+        return String(Math.round((rate || 0) * 100000) / 1000);
+    }
+
+    function findProfile(id) {
+        var profiles = flipData.costProfiles || [];
+        for (var i = 0; i < profiles.length; i++) {
+            if (profiles[i].id === id) return profiles[i];
+        }
+        return null;
+    }
+
+    function viewedReportId() {
+        if (FD.activeReportId) return FD.activeReportId;
+        return FD.data && FD.data.report ? parseInt(FD.data.report.id, 10) : null;
+    }
+
+    /* ─── Init ──────────────────────────────────────────── */
+
+    FD.costProfile.init = function () {
+        // Collapsible toggle
+        $('#flip-cp-toggle').on('click', function () {
+            $('#flip-cp-body').slideToggle(200);
+            $('.flip-cp-arrow').toggleClass('dashicons-arrow-down-alt2 dashicons-arrow-up-alt2');
+            FD.costProfile.renderReportNote();
+        });
+
+        FD.costProfile.renderSelect();
+        FD.costProfile.populate(FD.costProfile.getSelected());
+
+        $('#cp-profile-select').on('change', function () {
+            var profile = findProfile($(this).val());
+            if (!profile) return;
+            FD.costProfile.populate(profile);
+            FD.costProfile.select(profile.id);
+        });
+
+        $('#flip-save-cost-profile').on('click', function () {
+            FD.costProfile.save(false);
+        });
+        $('#flip-save-cost-profile-new').on('click', function () {
+            FD.costProfile.save(true);
+        });
+        $('#flip-delete-cost-profile').on('click', FD.costProfile.remove);
+        $('#flip-apply-cost-profile').on('click', FD.costProfile.applyToReport);
+    };
+
+    FD.costProfile.getSelected = function () {
+        var active = flipData.activeCostProfile || FD.costProfile.DEFAULTS;
+        return findProfile(active.id) || active;
+    };
+
+    /* ─── Rendering ─────────────────────────────────────── */
+
+    FD.costProfile.renderSelect = function () {
+        var $select = $('#cp-profile-select');
+        var activeId = (flipData.activeCostProfile || FD.costProfile.DEFAULTS).id;
+
+        $select.empty();
+        (flipData.costProfiles || [FD.costProfile.DEFAULTS]).forEach(function (p) {
+            $select.append('<option value="' + h.escapeHtml(p.id) + '"'
+                + (p.id === activeId ? ' selected' : '') + '>'
+                + h.escapeHtml(p.name) + '</option>');
+        });
+    };
+
+    FD.costProfile.populate = function (profile) {
+        $('#cp-name').val(profile.name || '');
+        $.each(PCT_FIELDS, function (elId, key) {
+            $('#' + elId).val(fmtPct(profile[key]));
+        });
+        $('#cp-utilities').val(profile.monthly_utilities || 0);
+
+        var tiers = profile.rehab_tiers || FD.costProfile.DEFAULTS.rehab_tiers;
+        $('.flip-cp-tier').each(function (i) {
+            var tier = tiers[i];
+            var $row = $(this);
+            $row.find('.cp-tier-max').val(tier && tier.max_per_sqft !== null ? tier.max_per_sqft : '');
+            $row.find('.cp-tier-contingency').val(tier ? fmtPct(tier.contingency) : '');
+            $row.find('.cp-tier-hold').val(tier ? tier.hold_months : '');
+        });
+
+        $('#flip-delete-cost-profile').prop('disabled', profile.id === 'default');
+    };
+
+    FD.costProfile.renderReportNote = function () {
+        var reportId = viewedReportId();
+        var snapshot = FD.data && FD.data.cost_profile;
+        var $note = $('#flip-cp-report-note');
+
+        $('#flip-apply-cost-profile').prop('disabled', !reportId);
+
+        if (!reportId) {
+            $note.text('');
+        } else if (snapshot) {
+            $note.text('Current report is priced with "' + snapshot.name + '" ('
+                + FD.costProfile.describeFinancing(snapshot) + ').');
+        } else {
+            $note.text('Current report has no saved profile; projections use your active profile.');
+        }
+    };
+
+    /* ─── Collect ───────────────────────────────────────── */
+
+    FD.costProfile.collect = function () {
+        var profile = {
+            id: $('#cp-profile-select').val(),
+            name: $('#cp-name').val().trim(),
+            monthly_utilities: parseFloat($('#cp-utilities').val()) || 0,
+            rehab_tiers: [],
+        };
+
+        $.each(PCT_FIELDS, function (elId, key) {
+            profile[key] = (parseFloat($('#' + elId).val()) || 0) / 100;
+        });
+
+        // Rows left blank are unused; the server treats the top tier as open-ended
+        $('.flip-cp-tier').each(function () {
+            var maxVal = $(this).find('.cp-tier-max').val();
+            if ($(this).find('.cp-tier-hold').val() === '') return;
+            profile.rehab_tiers.push({
+                max_per_sqft: maxVal === '' ? null : parseFloat(maxVal),
+                contingency: (parseFloat($(this).find('.cp-tier-contingency').val()) || 0) / 100,
+                hold_months: parseInt($(this).find('.cp-tier-hold').val(), 10) || 1,
+            });
+        });
+
+        return profile;
+    };
+
+    /* ─── AJAX ──────────────────────────────────────────── */
+
+    FD.costProfile.save = function (asNew) {
+        var profile = FD.costProfile.collect();
+
+        if (!profile.name) {
+            FD.costProfile.showStatus('Profile name is required.', 'error');
+            return;
+        }
+        if (asNew || profile.id === 'default') {
+            delete profile.id;
+            if (profile.name === FD.costProfile.DEFAULTS.name) {
+                profile.name = 'My Cost Profile';
+            }
+        }
+
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_save_cost_profile',
+            nonce: flipData.nonce,
+            profile: JSON.stringify(profile),
+        }, function (resp) {
+            if (resp.success) {
+                FD.costProfile.setProfiles(resp.data.profiles, resp.data.active);
+                FD.costProfile.showStatus(resp.data.message, 'success');
+            } else {
+                FD.costProfile.showStatus(resp.data || 'Save failed.', 'error');
+            }
+        });
+    };
+
+    FD.costProfile.remove = function () {
+        var id = $('#cp-profile-select').val();
+        if (id === 'default' || !confirm('Delete this cost profile?')) return;
+
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_delete_cost_profile',
+            nonce: flipData.nonce,
+            profile_id: id,
+        }, function (resp) {
+            if (resp.success) {
+                FD.costProfile.setProfiles(resp.data.profiles, resp.data.active);
+                FD.costProfile.showStatus(resp.data.message, 'success');
+            } else {
+                FD.costProfile.showStatus(resp.data || 'Delete failed.', 'error');
+            }
+        });
+    };
+
+    FD.costProfile.select = function (id) {
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_select_cost_profile',
+            nonce: flipData.nonce,
+            profile_id: id,
+        }, function (resp) {
+            if (resp.success) {
+                flipData.activeCostProfile = resp.data.active;
+                FD.costProfile.rerender();
+            }
+        });
+    };
+
+    FD.costProfile.applyToReport = function () {
+        var reportId = viewedReportId();
+        if (!reportId) return;
+
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_set_report_cost_profile',
+            nonce: flipData.nonce,
+            report_id: reportId,
+            profile_id: $('#cp-profile-select').val(),
+        }, function (resp) {
+            if (resp.success) {
+                FD.data.cost_profile = resp.data.cost_profile;
+                FD.costProfile.rerender();
+                FD.costProfile.showStatus(resp.data.message, 'success');
+            } else {
+                FD.costProfile.showStatus(resp.data || 'Apply failed.', 'error');
+            }
+        });
+    };
+
+    /* ─── State Helpers ─────────────────────────────────── */
+
+    FD.costProfile.setProfiles = function (profiles, active) {
+        flipData.costProfiles = profiles;
+        flipData.activeCostProfile = active;
+        FD.costProfile.renderSelect();
+        FD.costProfile.populate(FD.costProfile.getSelected());
+        FD.costProfile.rerender();
+    };
+
+    /** Re-render results so open detail rows pick up the new profile. */
+    FD.costProfile.rerender = function () {
+        FD.costProfile.renderReportNote();
+        if (FD.data) {
+            FD.filters.applyFilters();
+        }
+    };
+
+    FD.costProfile.showStatus = function (msg, type) {
+        $('#flip-cp-status').text(msg).css('color', type === 'error' ? '#dc3545' : '#198754');
+        setTimeout(function () { $('#flip-cp-status').text(''); }, 3000);
+    };
+
+})(window.FlipDashboard, jQuery);
@@ -0,0 +1,257 @@
+/**
+ * FlipDashboard Deal Package — Configurable PDF export and deal books (v0.31.0).
+ *
+ * The row "Download PDF Report" button and the "Deal Book" toolbar button
+ * both open the package dialog: pick the sections to include, edit the
+ * company/agent branding, and (deal book only) choose the shortlist from
+ * the currently filtered results. The section choice is remembered per
+ * user by the server; branding is shared by everyone exporting.
+ */
+(function (FD, $) {
+    'use strict';
+
+    var h = FD.helpers;
+
+    /** Properties listed in the deal book picker (current filter order) */
+    var PICKER_LIMIT = 50;
+    /** Pre-checked when the deal book dialog opens */
+    var DEFAULT_BOOK_SIZE = 5;
+
+    /** Branding field → [label, input type] */
+    var BRANDING_FIELDS = {
+        company_name: ['Company', 'text'],
+        company_phone: ['Company Phone', 'text'],
+        company_address: ['Company Address', 'text'],
+        company_url: ['Website', 'text'],
+        tagline: ['Tagline', 'text'],
+        agent_name: ['Agent Name', 'text'],
+        agent_title: ['Agent Title', 'text'],
+        agent_phone: ['Agent Phone', 'text'],
+        agent_email: ['Agent Email', 'email'],
+        agent_license: ['License #', 'text'],
+        logo_url: ['Logo URL', 'url'],
+        agent_photo_url: ['Agent Photo URL', 'url'],
+        accent_color: ['Accent Color', 'color'],
+    };
+
+    var _mode = 'single';
+    var _$pdfBtn = null;
+
+    function settings() {
+        return flipData.dealPackage || { sections: [], sectionLabels: {}, branding: {}, maxBook: 12 };
+    }
+
+    /* ─── Init ──────────────────────────────────────────── */
+
+    FD.dealPackage.init = function () {
+        FD.dealPackage.renderSections();
+        FD.dealPackage.renderBranding();
+
+        $('#flip-deal-book').on('click', function () {
+            FD.dealPackage.open('book');
+        });
+        $('#flip-package-cancel').on('click', FD.dealPackage.close);
+        $('#flip-package-generate').on('click', FD.dealPackage.generate);
+        $('#flip-package-save-branding').on('click', FD.dealPackage.saveBranding);
+
+        $('#flip-package-properties').on('change', 'input', FD.dealPackage.updateBookCount);
+        $('#flip-package-overlay').on('click', function (e) {
+            if (e.target === this) FD.dealPackage.close();
+        });
+    };
+
+    /* ─── Dialog ────────────────────────────────────────── */
+
+    /**
+     * @param {string} mode  'single' (one property) or 'book'.
+     * @param {jQuery} [$btn] Row PDF button (single mode).
+     */
+    FD.dealPackage.open = function (mode, $btn) {
+        _mode = mode;
+        _$pdfBtn = $btn || null;
+
+        if (mode === 'book') {
+            if (!FD.data || !FD.filters.getFilteredResults().length) {
+                alert('No results to include in a deal book.');
+                return;
+            }
+            $('#flip-package-title').text('Deal Book');
+            $('#flip-package-book-title').val(FD.data.report ? FD.data.report.name : '');
+            FD.dealPackage.renderProperties();
+        } else {
+            $('#flip-package-title').text('Deal Package — MLS# ' + $btn.data('listing'));
+        }
+
+        $('.flip-package-book-only').toggle(mode === 'book');
+        $('#flip-package-status').text('');
+        $('#flip-package-overlay').css('display', 'flex');
+    };
+
+    FD.dealPackage.close = function () {
+        $('#flip-package-overlay').hide();
+    };
+
+    /* ─── Rendering ─────────────────────────────────────── */
+
+    FD.dealPackage.renderSections = function () {
+        var chosen = settings().sections || [];
+        var html = '';
+
+        $.each(settings().sectionLabels || {}, function (key, label) {
+            html += '<label class="flip-package-option"><input type="checkbox" value="' + h.escapeHtml(key) + '"'
+                + (chosen.indexOf(key) !== -1 ? ' checked' : '') + '> ' + h.escapeHtml(label) + '</label>';
+        });
+
+        $('#flip-package-sections').html(html);
+    };
+
+    FD.dealPackage.renderBranding = function () {
+        var branding = settings().branding || {};
+        var html = '';
+
+        $.each(BRANDING_FIELDS, function (key, field) {
+            html += '<div class="flip-sw-row"><label for="flip-brand-' + key + '">' + field[0] + '</label>'
+                + '<input type="' + field[1] + '" id="flip-brand-' + key + '" data-key="' + key + '"'
+                + ' class="flip-package-brand-input" value="' + h.escapeHtml(branding[key] || '') + '"></div>';
+        });
+
+        $('#flip-package-branding').html(html);
+    };
+
+    FD.dealPackage.renderProperties = function () {
+        var results = FD.filters.getFilteredResults().slice(0, PICKER_LIMIT);
+        var preselect = Math.min(DEFAULT_BOOK_SIZE, settings().maxBook);
+        var html = '';
+
+        results.forEach(function (r, i) {
+            html += '<label class="flip-package-property"><input type="checkbox" value="' + r.listing_id + '"'
+                + (i < preselect && !r.disqualified ? ' checked' : '') + '> '
+                + '<span class="flip-package-property-addr">' + h.escapeHtml(r.address) + ', ' + h.escapeHtml(r.city) + '</span>'
+                + '<span class="flip-package-property-meta">' + r.total_score.toFixed(1) + ' pts &middot; '
+                + h.formatCurrency(r.estimated_profit) + '</span></label>';
+        });
+
+        $('#flip-package-properties').html(html);
+        FD.dealPackage.updateBookCount();
+    };
+
+    FD.dealPackage.updateBookCount = function () {
+        var count = $('#flip-package-properties input:checked').length;
+        var max = settings().maxBook;
+
+        $('#flip-package-book-count').text(count + ' of ' + max + ' selected')
+            .css('color', count > max ? '#dc3545' : '');
+    };
+
+    /* ─── Collect ───────────────────────────────────────── */
+
+    FD.dealPackage.collectSections = function () {
+        return $('#flip-package-sections input:checked').map(function () {
+            return this.value;
+        }).get();
+    };
+
+    FD.dealPackage.collectBranding = function () {
+        var branding = {};
+        $('.flip-package-brand-input').each(function () {
+            branding[$(this).data('key')] = $(this).val().trim();
+        });
+        return branding;
+    };
+
+    /* ─── AJAX ──────────────────────────────────────────── */
+
+    FD.dealPackage.generate = function () {
+        var sections = FD.dealPackage.collectSections();
+        if (!sections.length) {
+            FD.dealPackage.showStatus('Choose at least one section.', 'error');
+            return;
+        }
+
+        // Remembered locally too, so reopening the dialog keeps the choice
+        settings().sections = sections;
+
+        if (_mode === 'book') {
+            FD.dealPackage.generateBook(sections);
+        } else {
+            FD.dealPackage.close();
+            FD.ajax.generatePDF(_$pdfBtn, sections);
+        }
+    };
+
+    FD.dealPackage.generateBook = function (sections) {
+        var ids = $('#flip-package-properties input:checked').map(function () {
+            return parseInt(this.value, 10);
+        }).get();
+
+        if (!ids.length) {
+            FD.dealPackage.showStatus('Select at least one property.', 'error');
+            return;
+        }
+        if (ids.length > settings().maxBook) {
+            FD.dealPackage.showStatus('A deal book can include up to ' + settings().maxBook + ' properties.', 'error');
+            return;
+        }
+
+        var $btn = $('#flip-package-generate').prop('disabled', true).text('Generating Deal Book...');
+        var pdfWindow = window.open('about:blank', '_blank');
+        var restore = function () {
+            $btn.prop('disabled', false).html('<span class="dashicons dashicons-pdf"></span> Generate');
+        };
+
+        $.ajax({
+            url: flipData.ajaxUrl,
+            method: 'POST',
+            timeout: 60000 + ids.length * 30000,
+            data: {
+                action: 'flip_generate_deal_book',
+                nonce: flipData.nonce,
+                listing_ids: JSON.stringify(ids),
+                report_id: FD.activeReportId || '',
+                title: $('#flip-package-book-title').val().trim(),
+                sections: JSON.stringify(sections),
+            },
+            success: function (response) {
+                restore();
+                if (response.success) {
+                    FD.dealPackage.close();
+                    if (pdfWindow) {
+                        pdfWindow.location.href = response.data.url;
+                    } else {
+                        window.location.href = response.data.url;
+                    }
+                } else {
+                    if (pdfWindow) pdfWindow.close();
+                    FD.dealPackage.showStatus(response.data || 'Deal book generation failed.', 'error');
+                }
+            },
+            error: function (xhr, status, err) {
+                restore();
+                if (pdfWindow) pdfWindow.close();
+                FD.dealPackage.showStatus('Deal book generation failed: ' + status + (err ? ' - ' + err : ''), 'error');
+            }
+        });
+    };
+
+    FD.dealPackage.saveBranding = function () {
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_save_pdf_branding',
+            nonce: flipData.nonce,
+            branding: JSON.stringify(FD.dealPackage.collectBranding()),
+        }, function (resp) {
+            if (resp.success) {
+                settings().branding = resp.data.branding;
+                FD.dealPackage.renderBranding();
+                FD.dealPackage.showStatus(resp.data.message, 'success');
+            } else {
+                FD.dealPackage.showStatus(resp.data || 'Save failed.', 'error');
+            }
+        });
+    };
+
+    FD.dealPackage.showStatus = function (msg, type) {
+        $('#flip-package-status').text(msg).css('color', type === 'error' ? '#dc3545' : '#198754');
+        setTimeout(function () { $('#flip-package-status').text(''); }, 3000);
+    };
+
+})(window.FlipDashboard, jQuery);
@@ -30,39 +30,18 @@
             + '</button></div>';
 
         // Per-strategy score cards (v0.18.0)
-        if (r.flip_score !== null || r.rental_score !== null || r.brrrr_score !== null) {
-            html += '<div class="flip-strategy-cards">';
-            var cards = [
-                { key: 'flip', label: 'FLIP', score: r.flip_score, viable: r.flip_viable, color: '#dc3545' },
-                { key: 'rental', label: 'RENTAL', score: r.rental_score, viable: r.rental_viable, color: '#198754' },
-                { key: 'brrrr', label: 'BRRRR', score: r.brrrr_score, viable: r.brrrr_viable, color: '#0d6efd' },
-            ];
-            cards.forEach(function (c) {
-                var scoreText = c.score !== null && c.score !== undefined ? Math.round(c.score) : '--';
-                var viableText = c.viable ? '✓ Viable' : '✗ N/A';
-                var viableColor = c.viable ? '#198754' : '#999';
-                var borderColor = c.viable ? c.color : '#ddd';
-                var isBest = r.best_strategy === c.key;
-                var bestMark = isBest ? '<div style="color:' + c.color + ';font-size:11px;font-weight:600">★ Best Pick</div>' : '';
-                html += '<div class="flip-strategy-card" style="border-top:3px solid ' + borderColor + ';padding:8px 12px;text-align:center;min-width:100px">'
-                    + '<div style="font-size:11px;font-weight:700;color:#666;letter-spacing:0.5px">' + c.label + '</div>'
-                    + '<div style="font-size:24px;font-weight:700;color:' + (c.viable ? c.color : '#ccc') + '">' + scoreText + '</div>'
-                    + '<div style="font-size:11px;color:' + viableColor + '">' + viableText + '</div>'
-                    + bestMark
-                    + '</div>';
-            });
-            html += '</div>';
-        }
+        html += FD.detail.buildStrategyCards(r);
 
         // Tab bar with strategy scores
-        var flipTabLabel = 'Flip Analysis' + (r.flip_score !== null ? ' (' + Math.round(r.flip_score) + ')' : '');
-        var rentalTabLabel = 'Rental Hold' + (r.rental_score !== null ? ' (' + Math.round(r.rental_score) + ')' : '');
-        var brrrrTabLabel = 'BRRRR' + (r.brrrr_score !== null ? ' (' + Math.round(r.brrrr_score) + ')' : '');
+        var flipTabLabel = FD.detail.strategyTabLabel('Flip Analysis', r.flip_score);
+        var rentalTabLabel = FD.detail.strategyTabLabel('Rental Hold', r.rental_score);
+        var brrrrTabLabel = FD.detail.strategyTabLabel('BRRRR', r.brrrr_score);
 
         html += '<div class="flip-strategy-tabs">'
             + '<button class="flip-strategy-tab active" data-pane="flip">' + flipTabLabel + '</button>'
             + '<button class="flip-strategy-tab" data-pane="rental">' + rentalTabLabel + '</button>'
             + '<button class="flip-strategy-tab" data-pane="brrrr">' + brrrrTabLabel + '</button>'
+            + '<button class="flip-strategy-tab" data-pane="risk">Risk Simulation</button>'
             + '</div>';
 
         // === Flip tab pane (existing content) ===
@@ -85,7 +64,9 @@
         html += FD.detail.buildRemarksSection(r);
         html += '</div>';
 
-        html += '</div></div>';
+        html += '</div>';
+        html += FD.scope.buildScopeSection(r);
+        html += '</div>';
 
         // === Rental tab pane ===
         html += '<div class="flip-tab-pane" data-pane="rental">';
@@ -97,10 +78,49 @@
         html += FD.rental.buildBRRRRPane(r);
         html += '</div>';
 
+        // === Risk simulation pane (v0.22.0) ===
+        html += '<div class="flip-tab-pane" data-pane="risk">';
+        html += FD.risk.buildRiskPane(r);
+        html += '</div>';
+
         html += '</td></tr>';
         return $(html);
     };
 
+    /**
+     * Per-strategy score cards (v0.18.0). Also rebuilt by FD.rentComps after a rent edit.
+     */
+    FD.detail.buildStrategyCards = function (r) {
+        if (r.flip_score === null && r.rental_score === null && r.brrrr_score === null) return '';
+
+        var html = '<div class="flip-strategy-cards">';
+        var cards = [
+            { key: 'flip', label: 'FLIP', score: r.flip_score, viable: r.flip_viable, color: '#dc3545' },
+            { key: 'rental', label: 'RENTAL', score: r.rental_score, viable: r.rental_viable, color: '#198754' },
+            { key: 'brrrr', label: 'BRRRR', score: r.brrrr_score, viable: r.brrrr_viable, color: '#0d6efd' },
+        ];
+        cards.forEach(function (c) {
+            var scoreText = c.score !== null && c.score !== undefined ? Math.round(c.score) : '--';
+            var viableText = c.viable ? '✓ Viable' : '✗ N/A';
+            var viableColor = c.viable ? '#198754' : '#999';
+            var borderColor = c.viable ? c.color : '#ddd';
+            var isBest = r.best_strategy === c.key;
+            var bestMark = isBest ? '<div style="color:' + c.color + ';font-size:11px;font-weight:600">★ Best Pick</div>' : '';
+            html += '<div class="flip-strategy-card" style="border-top:3px solid ' + borderColor + ';padding:8px 12px;text-align:center;min-width:100px">'
+                + '<div style="font-size:11px;font-weight:700;color:#666;letter-spacing:0.5px">' + c.label + '</div>'
+                + '<div style="font-size:24px;font-weight:700;color:' + (c.viable ? c.color : '#ccc') + '">' + scoreText + '</div>'
+                + '<div style="font-size:11px;color:' + viableColor + '">' + viableText + '</div>'
+                + bestMark
+                + '</div>';
+        });
+        html += '</div>';
+        return html;
+    };
+
+    FD.detail.strategyTabLabel = function (label, score) {
+        return label + (score !== null && score !== undefined ? ' (' + Math.round(score) + ')' : '');
+    };
+
     FD.detail.buildScoreSection = function (r) {
         var bars = [
             { label: 'Financial (40%)', score: r.financial_score, weight: 0.4 },
@@ -138,6 +158,8 @@
 
     FD.detail.buildFinancialSection = function (r) {
         var valuation = FD.detail.calcValuationRange(r);
+        var profile = FD.costProfile.getActive();
+        var rate = FD.costProfile.formatRate;
 
         var holdingCosts = r.holding_costs || 0;
         var financingCosts = r.financing_costs || 0;
@@ -146,8 +168,8 @@
         var rehabMultiplier = r.rehab_multiplier || 1.0;
         var transferTaxBuy = r.transfer_tax_buy || 0;
         var transferTaxSell = r.transfer_tax_sell || 0;
-        var purchaseClosing = r.list_price * 0.015 + transferTaxBuy;
-        var saleCostPct = 0.045 + 0.01;
+        var purchaseClosing = r.list_price * profile.purchase_closing_pct + transferTaxBuy;
+        var saleCostPct = profile.sale_commission_pct + profile.sale_closing_pct;
         var saleCosts = r.estimated_arv * saleCostPct + transferTaxSell;
 
         var html = '<div class="flip-section"><h4>Financial Summary</h4><div class="flip-kv-list">';
@@ -200,9 +222,10 @@
         var contPct = contingency > 0 && baseRehab > 0 ? Math.round(contingency / baseRehab * 100) : 10;
         html += h.kv('+ Contingency (' + contPct + '%)', h.formatCurrency(contingency));
         html += h.kv('Purchase Closing', h.formatCurrency(purchaseClosing)
-            + ' <span style="color:#999;font-size:11px">(1.5% + ' + h.formatCurrency(transferTaxBuy) + ' transfer tax)</span>');
+            + ' <span style="color:#999;font-size:11px">(' + rate(profile.purchase_closing_pct) + '% + ' + h.formatCurrency(transferTaxBuy) + ' transfer tax)</span>');
         html += h.kv('Sale Costs', h.formatCurrency(saleCosts)
-            + ' <span style="color:#999;font-size:11px">(4.5% comm + 1% + ' + h.formatCurrency(transferTaxSell) + ' tax)</span>');
+            + ' <span style="color:#999;font-size:11px">(' + rate(profile.sale_commission_pct) + '% comm + '
+            + rate(profile.sale_closing_pct) + '% + ' + h.formatCurrency(transferTaxSell) + ' tax)</span>');
         html += h.kv('Holding Costs', h.formatCurrency(holdingCosts) + ' <span style="color:#999;font-size:11px">(' + holdMonths + ' mo: tax+ins+util)</span>');
 
         html += '<div style="border-top:1px solid #ddd;margin:4px 0"></div>';
@@ -211,7 +234,7 @@
         html += h.kv('Profit', '<strong class="' + cashProfitCls + '">' + h.formatCurrency(r.cash_profit) + '</strong>');
         html += h.kv('ROI', '<strong class="' + cashProfitCls + '">' + (r.cash_roi || 0).toFixed(1) + '%</strong>');
 
-        html += '<div style="font-weight:600;font-size:12px;color:#333;margin:4px 0">Hard Money (10.5%, 2 pts, 80% LTV):</div>';
+        html += '<div style="font-weight:600;font-size:12px;color:#333;margin:4px 0">Hard Money (' + FD.costProfile.describeFinancing(profile) + '):</div>';
         html += h.kv('Financing Costs', h.formatCurrency(financingCosts));
         var finProfitCls = r.estimated_profit >= 0 ? 'flip-positive' : 'flip-negative';
         html += h.kv('Profit', '<strong class="' + finProfitCls + '">' + h.formatCurrency(r.estimated_profit) + '</strong>');
@@ -256,6 +279,8 @@
     FD.detail.buildSensitivitySection = function (r) {
         if (r.disqualified || !r.estimated_arv || r.estimated_arv <= 0) return '';
 
+        var profile = FD.costProfile.getActive();
+
         var scenarios = [
             { label: 'Base Case', arvMult: 1.00, rehabMult: 1.00 },
             { label: 'Conservative', arvMult: 0.90, rehabMult: 1.20 },
@@ -263,7 +288,9 @@
         ];
 
         var html = '<div style="border-top:1px solid #ddd;margin:8px 0 4px;padding-top:6px"></div>';
-        html += '<div style="font-weight:600;font-size:12px;color:#333;margin:4px 0">Sensitivity Analysis:</div>';
+        html += '<div style="font-weight:600;font-size:12px;color:#333;margin:4px 0">Sensitivity Analysis:'
+            + ' <span style="font-weight:400;color:#999;font-size:11px">(' + h.escapeHtml(profile.name)
+            + ': ' + FD.costProfile.describeFinancing(profile) + ')</span></div>';
         html += '<table class="flip-comp-table" style="margin-top:4px"><thead><tr>'
             + '<th>Scenario</th><th>ARV</th><th>Rehab</th><th>Profit</th><th>ROI</th>'
             + '</tr></thead><tbody>';
@@ -271,7 +298,7 @@
         scenarios.forEach(function (s) {
             var adjArv = Math.round(r.estimated_arv * s.arvMult);
             var adjRehab = Math.round(r.estimated_rehab_cost * s.rehabMult);
-            var costs = FD.projections.calcProjectionCosts(r.list_price, adjArv, adjRehab - (r.rehab_contingency || 0));
+            var costs = FD.projections.calcProjectionCosts(r.list_price, adjArv, adjRehab - (r.rehab_contingency || 0), profile);
             var cls = costs.profit >= 0 ? 'flip-positive' : 'flip-negative';
 
             html += '<tr>'
@@ -3,34 +3,191 @@
  *
  * Consolidates filter logic into getFilteredResults() as single source of truth.
  * applyFilters() delegates to getFilteredResults() (fixes duplicate logic bug).
+ *
+ * v0.28.0: Range/road/market filters, two-key sorting with direction and
+ * column visibility. getState()/setState() read and write every control as
+ * one object — the shape stored by saved views (Flip_Database::sanitize_view).
  */
 (function (FD, $) {
     'use strict';
 
+    /** Range filter key → value accessor (null = unknown, excluded when the range is set) */
+    var RANGE_VALUES = {
+        profit: function (r) { return r.estimated_profit; },
+        ann_roi: function (r) { return r.annualized_roi; },
+        rehab_psf: function (r) {
+            return r.building_area_total > 0 ? r.estimated_rehab_cost / r.building_area_total : null;
+        },
+        dom: function (r) { return r.days_on_market; },
+        list_price: function (r) { return r.list_price; },
+    };
+
+    FD.filters.DEFAULT_STATE = {
+        city: '',
+        min_score: 0,
+        show: 'all',
+        strategy: '',
+        ranges: {},
+        road_types: [],
+        market_strengths: [],
+        sort: [{ key: 'total_score', dir: 'desc' }],
+        hidden_columns: [],
+    };
+
+    /* ─── Filter State ──────────────────────────────────── */
+
+    /**
+     * Read every filter, sort and column control into one state object.
+     * The report-specific "Changes" filter is deliberately not included.
+     */
+    FD.filters.getState = function () {
+        var ranges = {};
+        $('.flip-range-input').each(function () {
+            var val = $(this).val();
+            if (val === '' || isNaN(parseFloat(val))) return;
+            var key = $(this).data('range');
+            ranges[key] = ranges[key] || { min: null, max: null };
+            ranges[key][$(this).data('bound')] = parseFloat(val);
+        });
+
+        var sort = [{ key: $('#filter-sort').val(), dir: $('#filter-sort-dir').val() }];
+        var sort2 = $('#filter-sort2').val();
+        if (sort2 && sort2 !== sort[0].key) {
+            sort.push({ key: sort2, dir: $('#filter-sort2-dir').val() });
+        }
+
+        return {
+            city: $('#filter-city').val() || '',
+            min_score: parseInt($('#filter-score').val()) || 0,
+            show: $('#filter-show').val(),
+            strategy: $('#filter-strategy').val(),
+            ranges: ranges,
+            road_types: checkedValues('.flip-road-filter'),
+            market_strengths: checkedValues('.flip-market-filter'),
+            sort: sort,
+            hidden_columns: $('.flip-column-check:not(:checked)').map(function () { return this.value; }).get(),
+        };
+    };
+
+    /**
+     * Write a state object (e.g. a saved view) back to the controls.
+     * Does not re-render; callers follow up with applyFilters().
+     */
+    FD.filters.setState = function (state) {
+        var s = $.extend({}, FD.filters.DEFAULT_STATE, state || {});
+        var sort = s.sort && s.sort.length ? s.sort : FD.filters.DEFAULT_STATE.sort;
+
+        $('#filter-city').val(s.city);
+        $('#filter-score').val(s.min_score);
+        $('#score-display').text(s.min_score);
+        $('#filter-show').val(s.show);
+        $('#filter-strategy').val(s.strategy);
+
+        $('.flip-range-input').each(function () {
+            var range = (s.ranges || {})[$(this).data('range')];
+            var val = range ? range[$(this).data('bound')] : null;
+            $(this).val(val === null || val === undefined ? '' : val);
+        });
+
+        setChecked('.flip-road-filter', s.road_types);
+        setChecked('.flip-market-filter', s.market_strengths);
+
+        $('#filter-sort').val(sort[0].key);
+        $('#filter-sort-dir').val(sort[0].dir);
+        $('#filter-sort2').val(sort[1] ? sort[1].key : '');
+        $('#filter-sort2-dir').val(sort[1] ? sort[1].dir : 'desc');
+
+        $('.flip-column-check').each(function () {
+            this.checked = (s.hidden_columns || []).indexOf(this.value) === -1;
+        });
+    };
+
+    /**
+     * Number of active "More Filters" criteria (shown on the toggle button).
+     */
+    FD.filters.countAdvanced = function (state) {
+        return Object.keys(state.ranges).length
+            + (state.road_types.length ? 1 : 0)
+            + (state.market_strengths.length ? 1 : 0);
+    };
+
+    function checkedValues(selector) {
+        return $(selector + ':checked').map(function () { return this.value; }).get();
+    }
+
+    function setChecked(selector, values) {
+        $(selector).each(function () {
+            this.checked = (values || []).indexOf(this.value) > -1;
+        });
+    }
+
+    function inRanges(r, ranges) {
+        for (var key in ranges) {
+            if (!ranges.hasOwnProperty(key) || !RANGE_VALUES[key]) continue;
+            var val = RANGE_VALUES[key](r);
+            if (val === null || val === undefined || isNaN(val)) return false;
+            if (ranges[key].min !== null && val < ranges[key].min) return false;
+            if (ranges[key].max !== null && val > ranges[key].max) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Comparator over one or more {key, dir} sort entries.
+     * Missing values sort last in either direction.
+     */
+    function compareBy(sort) {
+        return function (a, b) {
+            for (var i = 0; i < sort.length; i++) {
+                var av = a[sort[i].key];
+                var bv = b[sort[i].key];
+                var aMissing = av === null || av === undefined;
+                var bMissing = bv === null || bv === undefined;
+
+                if (aMissing && bMissing) continue;
+                if (aMissing) return 1;
+                if (bMissing) return -1;
+                if (av !== bv) return sort[i].dir === 'asc' ? av - bv : bv - av;
+            }
+            return 0;
+        };
+    }
+
+    /* ─── Filtering ─────────────────────────────────────── */
+
     /**
      * Single source of truth for filtering and sorting results.
      * Used by applyFilters (for rendering) and toggleRow (for index lookup).
+     *
+     * @param {boolean} [ignoreArea] Skip the map's drawn-area filter (the map
+     *   itself plots everything and dims what's outside the area).
      */
-    FD.filters.getFilteredResults = function () {
-        var city = $('#filter-city').val();
-        var minScore = parseInt($('#filter-score').val()) || 0;
-        var sort = $('#filter-sort').val();
-        var show = $('#filter-show').val();
-        var strategy = $('#filter-strategy').val();
+    FD.filters.getFilteredResults = function (ignoreArea) {
+        var state = FD.filters.getState();
+        var changeType = $('#filter-changes').val();
 
         var filtered = (FD.data.results || []).filter(function (r) {
-            if (show === 'viable' && r.disqualified) return false;
-            if (show === 'near_viable' && !(r.disqualified && r.near_viable)) return false;
-            if (show === 'disqualified' && !r.disqualified) return false;
-            if (city && r.city !== city) return false;
-            if (!r.disqualified && minScore > 0 && r.total_score < minScore) return false;
-            if (strategy && r.best_strategy !== strategy) return false;
+            if (state.show === 'viable' && r.disqualified) return false;
+            if (state.show === 'near_viable' && !(r.disqualified && r.near_viable)) return false;
+            if (state.show === 'disqualified' && !r.disqualified) return false;
+            if (state.city && r.city !== state.city) return false;
+            if (!r.disqualified && state.min_score > 0 && r.total_score < state.min_score) return false;
+            if (state.strategy && r.best_strategy !== state.strategy) return false;
+            if (state.road_types.length && state.road_types.indexOf(r.road_type || 'unknown') === -1) return false;
+            if (state.market_strengths.length && state.market_strengths.indexOf(r.market_strength) === -1) return false;
+            if (!inRanges(r, state.ranges)) return false;
+            if (changeType && !FD.changes.matches(r, changeType)) return false;
+            if (!ignoreArea && !FD.map.inArea(r)) return false;
             return true;
         });
 
-        filtered.sort(function (a, b) {
-            return (b[sort] || 0) - (a[sort] || 0);
-        });
+        // v0.22.0: Risk sort keys are computed on demand by the Monte Carlo module
+        var needsRisk = state.sort.some(function (s) { return s.key.indexOf('risk_') === 0; });
+        if (needsRisk) {
+            FD.risk.annotate(filtered);
+        }
+
+        filtered.sort(compareBy(state.sort));
 
         return filtered;
     };
@@ -39,7 +196,26 @@
      * Apply current filters and re-render the table.
      */
     FD.filters.applyFilters = function () {
+        FD.changes.renderPanel();
         FD.filters.renderTable(FD.filters.getFilteredResults());
+        FD.map.render();
+        FD.pipeline.renderBoard();
+        FD.views.markModified();
+    };
+
+    /**
+     * Show/hide table columns per the Columns checkboxes (v0.28.0).
+     * Detail rows span the full table and are left alone.
+     */
+    FD.filters.applyColumns = function () {
+        var hidden = FD.filters.getState().hidden_columns;
+
+        $('#flip-results-table thead th').each(function (i) {
+            var col = $(this).data('col');
+            var visible = !col || hidden.indexOf(col) === -1;
+            $(this).toggle(visible);
+            $('#flip-results-body > tr.flip-main-row > td:nth-child(' + (i + 1) + ')').toggle(visible);
+        });
     };
 
     FD.filters.renderTable = function (results) {
@@ -61,6 +237,8 @@
             var $row = FD.filters.buildRow(r, idx);
             $tbody.append($row);
         });
+
+        FD.filters.applyColumns();
     };
 
     FD.filters.buildRow = function (r, idx) {
@@ -122,13 +300,14 @@
             strategyHtml = '<span style="color:#ccc">--</span>';
         }
 
-        var html = '<tr class="flip-main-row' + dqClass + '" data-idx="' + idx + '">'
+        var html = '<tr class="flip-main-row' + dqClass + '" data-idx="' + idx + '" data-listing="' + r.listing_id + '">'
             + '<td class="flip-col-toggle"><button class="flip-toggle" data-idx="' + idx + '">+</button></td>'
             + '<td><div class="flip-property-cell">'
             + '<span class="flip-property-address">' + h.escapeHtml(r.address) + leadBadge + '</span>'
             + '<span class="flip-property-mls">MLS# ' + r.listing_id
             + ' &middot; <a href="' + propertyUrl + '" target="_blank" class="flip-view-link">View</a></span>'
             + dqNote
+            + FD.changes.badgesHtml(r)
             + '</div></td>'
             + '<td>' + h.escapeHtml(r.city) + '</td>'
             + '<td class="flip-col-num">' + scoreHtml + '</td>'
@@ -141,6 +320,7 @@
             + '<td>' + h.roadBadge(r.road_type) + '</td>'
             + '<td class="flip-col-num">' + domText + '</td>'
             + '<td class="flip-col-num">' + photoHtml + '</td>'
+            + '<td>' + FD.pipeline.cellHtml(r) + '</td>'
             + '</tr>';
 
         return $(html);
@@ -150,6 +330,7 @@
         try {
             var idx = $btn.data('idx');
             var $mainRow = $btn.closest('tr');
+            var listingId = $mainRow.data('listing');
             var $detailRow = $mainRow.next('.flip-detail-row');
 
             if ($detailRow.length) {
@@ -157,8 +338,10 @@
                 $mainRow.removeClass('flip-row-expanded');
                 $btn.text('+');
             } else {
+                // Look up by listing: rent edits can rescore rows in place,
+                // so the current sort order may no longer match the rendered one.
                 var results = FD.filters.getFilteredResults();
-                var r = results[idx];
+                var r = results.filter(function (x) { return x.listing_id === listingId; })[0];
                 if (!r) {
                     console.warn('[FlipDashboard] No result at index', idx, 'of', results.length);
                     return;
@@ -11,8 +11,14 @@
  *   - data.summary: {total, viable, avg_score, avg_roi, disqualified, last_run, cities}
  *   - data.results: array of property objects
  *   - data.cities: array of target city names
- *   - filters: saved analysis filter values
+ *   - filters: saved analysis filter values (incl. target_areas, v0.34.0)
  *   - propertySubTypes: available property sub types from DB
+ *   - costProfiles / activeCostProfile: current user's cost profiles (v0.21.0)
+ *   - data.changes: diff against the report's previous run, or null (v0.24.0)
+ *   - googleMapsKey: MLD plugin's Google Maps key for the map card (v0.27.0)
+ *   - savedViews / activeViewId: current user's saved result views (v0.28.0)
+ *   - pipeline: {entries, statuses} deal pipeline keyed by listing (v0.33.0)
+ *   - runTypes: run history type labels (v0.35.0)
  */
 (function (FD, $) {
     'use strict';
@@ -31,17 +37,40 @@
             console.error('[FlipDashboard] Init error:', e);
         }
 
-        // Analysis filters panel
+        // Saved views & advanced filters (re-applies the user's last view)
+        FD.views.init();
+
+        // Analysis filters panel & drawn target areas
         FD.analysisFilters.init();
+        FD.targetAreas.init();
 
         // Reports panel
         FD.reports.init();
 
         // Scoring weights panel
         FD.scoringWeights.init();
+        FD.weightBacktest.init();
+
+        // Rental assumption sets panel
+        FD.rentalSets.init();
+
+        // Deal package / deal book export dialog
+        FD.dealPackage.init();
+
+        // Cost profile panel
+        FD.costProfile.init();
+
+        // Changes-since-previous-run panel
+        FD.changes.init();
+
+        // Results map
+        FD.map.init();
+
+        // Deal pipeline board & editor
+        FD.pipeline.init();
 
-        // Rental defaults panel
-        FD.rental.initDefaults();
+        // Run history table & trend charts
+        FD.runHistory.init();
 
         // Strategy tab switching (delegation for dynamic rows)
         $(document).on('click', '.flip-strategy-tab', function (e) {
@@ -72,7 +101,7 @@
         $(document).on('click', '.flip-pdf-btn', function (e) {
             e.preventDefault();
             e.stopPropagation();
-            FD.ajax.generatePDF($(this));
+            FD.dealPackage.open('single', $(this));
         });
         $(document).on('click', '.flip-force-btn', function (e) {
             e.preventDefault();
@@ -87,7 +116,7 @@
         $('#flip-city-input').on('keypress', function (e) {
             if (e.which === 13) { e.preventDefault(); FD.cities.add(); }
         });
-        $('#filter-city, #filter-sort, #filter-show, #filter-strategy').on('change', FD.filters.applyFilters);
+        $('#filter-city, #filter-sort, #filter-show, #filter-strategy, #filter-changes').on('change', FD.filters.applyFilters);
         $('#filter-score').on('input', function () {
             $('#score-display').text(this.value);
             FD.filters.applyFilters();
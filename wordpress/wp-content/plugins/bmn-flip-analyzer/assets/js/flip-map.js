@@ -0,0 +1,447 @@
+/**
+ * FlipDashboard Map — Results plotted on a Google map (v0.27.0).
+ *
+ * Pins follow the MLD map's marker conventions (price pill markers, dot
+ * markers with hover-reveal price for secondary pins), colored by score or
+ * best strategy. Selecting a property draws its comps as linked dot pins.
+ * "Draw Area" lassoes a polygon that filters the results table.
+ *
+ * Coordinates are looked up on demand (flip_get_map_points) and cached, since
+ * score rows and comps don't store them. The Maps API is only loaded the
+ * first time the map card is opened, using the MLD plugin's API key.
+ */
+(function (FD, $) {
+    'use strict';
+
+    var h = FD.helpers;
+
+    var MAP_ID = 'BME_MAP_ID';
+    var STRATEGY_LABELS = { flip: 'Flip', rental: 'Rental', brrrr: 'BRRRR' };
+
+    var _map = null;
+    var _apiState = 'idle'; // idle | loading | ready | failed
+    var _apiCallbacks = []; // callers waiting on the script (results map, target areas)
+    var _coords = {};       // listing_id => { lat, lng } (null = not found)
+    var _markers = {};      // listing_id => AdvancedMarkerElement
+    var _compMarkers = [];
+    var _compLines = [];
+    var _infoWindow = null;
+    var _selectedId = null;
+    var _fittedData = null;
+
+    // Lasso
+    var _area = null;       // google.maps.Polygon filtering the table
+    var _drawing = false;
+    var _drawPath = null;
+    var _drawLine = null;
+
+    /* ─── API Loading ───────────────────────────────────── */
+
+    function loadApi(callback) {
+        if (_apiState === 'ready') return callback();
+        if (_apiState === 'loading') {
+            _apiCallbacks.push(callback);
+            return;
+        }
+
+        if (!flipData.googleMapsKey) {
+            _apiState = 'failed';
+            showMessage('Google Maps API key is not configured (MLS Listings Display settings).');
+            return;
+        }
+
+        _apiState = 'loading';
+        _apiCallbacks = [callback];
+        window.flipMapApiReady = function () {
+            _apiState = 'ready';
+            var callbacks = _apiCallbacks;
+            _apiCallbacks = [];
+            callbacks.forEach(function (cb) { cb(); });
+        };
+
+        var script = document.createElement('script');
+        script.src = 'https://maps.googleapis.com/maps/api/js?key=' + encodeURIComponent(flipData.googleMapsKey)
+            + '&libraries=marker,geometry&loading=async&callback=flipMapApiReady';
+        script.async = true;
+        script.onerror = function () {
+            _apiState = 'failed';
+            _apiCallbacks = [];
+            showMessage('Failed to load Google Maps.');
+        };
+        document.head.appendChild(script);
+    }
+
+    /** Shared with the target areas map (v0.34.0) */
+    FD.map.loadApi = loadApi;
+
+    function showMessage(msg) {
+        $('#flip-map-message').text(msg).toggle(!!msg);
+    }
+
+    /* ─── Init ──────────────────────────────────────────── */
+
+    FD.map.init = function () {
+        $('#flip-map-toggle').on('click', function () {
+            var $body = $('#flip-map-body');
+            $body.slideToggle(200, function () {
+                if ($body.is(':visible')) {
+                    loadApi(createMap);
+                }
+            });
+            $(this).find('.flip-reports-arrow').toggleClass('flip-reports-arrow-open');
+        });
+
+        $('#flip-map-color').on('change', FD.map.render);
+        $('#flip-map-draw').on('click', FD.map.startDrawing);
+        $('#flip-map-clear').on('click', FD.map.clearArea);
+
+        $(document).on('click', '.flip-map-show-row', function (e) {
+            e.preventDefault();
+            FD.map.showInTable(parseInt($(this).data('listing'), 10));
+        });
+    };
+
+    function createMap() {
+        if (_map) return FD.map.render();
+
+        _map = new google.maps.Map(document.getElementById('flip-map-canvas'), {
+            center: { lat: 42.36, lng: -71.06 }, // Boston until results are fitted
+            zoom: 11,
+            mapId: MAP_ID,
+            streetViewControl: false,
+            mapTypeControl: false,
+            clickableIcons: false,
+        });
+        _infoWindow = new google.maps.InfoWindow();
+
+        _map.addListener('click', function () {
+            if (!_drawing) FD.map.select(null);
+        });
+
+        FD.map.render();
+    }
+
+    FD.map.isOpen = function () {
+        return !!_map && $('#flip-map-body').is(':visible');
+    };
+
+    /* ─── Coordinates ───────────────────────────────────── */
+
+    /**
+     * Look up coordinates for any IDs not yet cached, then call back.
+     */
+    function ensureCoords(listingIds, callback) {
+        var missing = listingIds.filter(function (id) { return id && !(id in _coords); });
+        if (!missing.length) return callback();
+
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_get_map_points',
+            nonce: flipData.nonce,
+            listing_ids: JSON.stringify(missing),
+        }, function (resp) {
+            var points = resp.success ? resp.data.points : {};
+            missing.forEach(function (id) {
+                _coords[id] = points[id] || null;
+            });
+            callback();
+        });
+    }
+
+    /* ─── Rendering ─────────────────────────────────────── */
+
+    /**
+     * Re-plot results matching every filter except the drawn area
+     * (results outside the area stay visible, dimmed).
+     */
+    FD.map.render = function () {
+        if (!FD.map.isOpen() || !FD.data) return;
+
+        var results = FD.filters.getFilteredResults(true);
+        var ids = results.map(function (r) { return r.listing_id; });
+
+        ensureCoords(ids, function () {
+            clearMarkers();
+
+            var bounds = new google.maps.LatLngBounds();
+            var plotted = 0;
+
+            results.forEach(function (r) {
+                var pos = _coords[r.listing_id];
+                if (!pos) return;
+
+                var el = buildMarkerElement(r);
+                if (_area && !FD.map.inArea(r)) el.classList.add('flip-map-marker-outside');
+
+                var marker = new google.maps.marker.AdvancedMarkerElement({
+                    position: pos,
+                    map: _map,
+                    content: el,
+                    zIndex: r.disqualified ? 1 : 2,
+                });
+                marker.addListener('click', function () {
+                    FD.map.select(r.listing_id);
+                });
+                _markers[r.listing_id] = marker;
+                bounds.extend(pos);
+                plotted++;
+            });
+
+            var unplotted = results.length - plotted;
+            showMessage(unplotted > 0 ? unplotted + ' of ' + results.length + ' results have no coordinates.' : '');
+            renderLegend();
+
+            // Fit once per dataset, so filtering doesn't keep moving the map
+            if (plotted && _fittedData !== FD.data) {
+                _fittedData = FD.data;
+                _map.fitBounds(bounds);
+            }
+
+            if (_selectedId && _markers[_selectedId]) {
+                FD.map.select(_selectedId);
+            } else {
+                FD.map.select(null);
+            }
+        });
+    };
+
+    function buildMarkerElement(r) {
+        var colorBy = $('#flip-map-color').val();
+        var el = document.createElement('div');
+        el.className = 'flip-map-marker ' + markerColorClass(r, colorBy);
+        el.textContent = colorBy === 'strategy'
+            ? h.formatCurrency(r.list_price)
+            : (r.disqualified ? 'DQ' : r.total_score.toFixed(0)) + ' · ' + h.formatCurrency(r.list_price);
+        el.title = r.address;
+        return el;
+    }
+
+    function markerColorClass(r, colorBy) {
+        if (r.disqualified) return 'flip-map-marker-dq';
+        if (colorBy === 'strategy') return 'flip-map-strat-' + (r.best_strategy || 'none');
+        return h.scoreClass(r.total_score);
+    }
+
+    function renderLegend() {
+        var html = '';
+        if ($('#flip-map-color').val() === 'strategy') {
+            $.each(STRATEGY_LABELS, function (key, label) {
+                html += '<span class="flip-map-legend-item"><i class="flip-map-strat-' + key + '"></i>' + label + '</span>';
+            });
+        } else {
+            [['flip-score-high', '80+'], ['flip-score-good', '65+'], ['flip-score-mid', '50+'],
+             ['flip-score-low', '30+'], ['flip-score-poor', '<30']].forEach(function (l) {
+                html += '<span class="flip-map-legend-item"><i class="' + l[0] + '"></i>' + l[1] + '</span>';
+            });
+        }
+        html += '<span class="flip-map-legend-item"><i class="flip-map-marker-dq"></i>DQ</span>'
+            + '<span class="flip-map-legend-item"><i class="flip-map-comp-dot"></i>Comp</span>';
+        $('#flip-map-legend').html(html);
+    }
+
+    function clearMarkers() {
+        $.each(_markers, function (id, marker) { marker.map = null; });
+        _markers = {};
+        clearComps();
+    }
+
+    function clearComps() {
+        _compMarkers.forEach(function (m) { m.map = null; });
+        _compLines.forEach(function (l) { l.setMap(null); });
+        _compMarkers = [];
+        _compLines = [];
+    }
+
+    /* ─── Selection & Comps ─────────────────────────────── */
+
+    FD.map.select = function (listingId) {
+        if (_selectedId && _markers[_selectedId]) {
+            _markers[_selectedId].content.classList.remove('highlighted-active');
+        }
+        clearComps();
+        _infoWindow.close();
+        _selectedId = listingId;
+
+        var r = listingId ? findResult(listingId) : null;
+        if (!r || !_markers[listingId]) {
+            _selectedId = null;
+            $('#flip-map-selected').hide();
+            return;
+        }
+
+        _markers[listingId].content.classList.add('highlighted-active');
+        _markers[listingId].zIndex = 10;
+        renderSelected(r);
+
+        var comps = (r.comps || []).filter(function (c) { return c.listing_id; });
+        ensureCoords(comps.map(function (c) { return parseInt(c.listing_id, 10); }), function () {
+            if (_selectedId !== listingId) return;
+            var origin = _coords[listingId];
+
+            comps.forEach(function (c) {
+                var pos = _coords[parseInt(c.listing_id, 10)];
+                if (!pos) return;
+
+                _compLines.push(new google.maps.Polyline({
+                    path: [origin, pos],
+                    map: _map,
+                    strokeColor: '#2271b1',
+                    strokeOpacity: 0.6,
+                    strokeWeight: 2,
+                }));
+
+                var el = document.createElement('div');
+                el.className = 'flip-map-comp';
+                el.innerHTML = '<div class="flip-map-comp-dot"></div>'
+                    + '<div class="flip-map-marker flip-map-comp-price">' + h.formatCurrency(c.close_price) + '</div>';
+
+                var marker = new google.maps.marker.AdvancedMarkerElement({
+                    position: pos,
+                    map: _map,
+                    content: el,
+                    zIndex: 5,
+                });
+                marker.addListener('click', function () {
+                    _infoWindow.setContent(compInfoHtml(c));
+                    _infoWindow.open({ map: _map, anchor: marker });
+                });
+                _compMarkers.push(marker);
+            });
+        });
+    };
+
+    function renderSelected(r) {
+        var strategy = r.best_strategy ? STRATEGY_LABELS[r.best_strategy] : '--';
+        var profitCls = r.estimated_profit >= 0 ? 'flip-positive' : 'flip-negative';
+
+        $('#flip-map-selected').html(
+            '<strong>' + h.escapeHtml(r.address) + '</strong>, ' + h.escapeHtml(r.city)
+            + ' &middot; ' + (r.disqualified ? 'DQ' : 'Score ' + r.total_score.toFixed(1))
+            + ' &middot; ' + strategy
+            + ' &middot; List ' + h.formatCurrency(r.list_price)
+            + ' &middot; ARV ' + h.formatCurrency(r.estimated_arv)
+            + ' &middot; Profit <span class="' + profitCls + '">' + h.formatCurrency(r.estimated_profit) + '</span>'
+            + ' &middot; ' + (r.comps || []).length + ' comps'
+            + ' &middot; <a href="#" class="flip-map-show-row" data-listing="' + r.listing_id + '">Show in table</a>'
+            + ' &middot; <a href="' + flipData.siteUrl + '/property/' + r.listing_id + '/" target="_blank">View</a>'
+        ).show();
+    }
+
+    function compInfoHtml(c) {
+        var ppsf = c.adjusted_ppsf || c.ppsf;
+        return '<div class="flip-map-info">'
+            + '<a href="' + flipData.siteUrl + '/property/' + c.listing_id + '/" target="_blank"><strong>'
+            + h.escapeHtml(c.address || 'MLS# ' + c.listing_id) + '</strong></a><br>'
+            + 'Sold ' + h.formatCurrency(c.close_price) + (c.close_date ? ' (' + h.escapeHtml(c.close_date) + ')' : '') + '<br>'
+            + '$' + (ppsf ? ppsf.toFixed(0) : '--') + '/sqft'
+            + (c.distance_miles ? ' &middot; ' + parseFloat(c.distance_miles).toFixed(2) + ' mi' : '')
+            + '</div>';
+    }
+
+    function findResult(listingId) {
+        var results = FD.data.results || [];
+        for (var i = 0; i < results.length; i++) {
+            if (results[i].listing_id === listingId) return results[i];
+        }
+        return null;
+    }
+
+    /**
+     * Scroll to (and expand) a property's row in the results table.
+     */
+    FD.map.showInTable = function (listingId) {
+        var results = FD.filters.getFilteredResults();
+        var idx = -1;
+        for (var i = 0; i < results.length; i++) {
+            if (results[i].listing_id === listingId) { idx = i; break; }
+        }
+        if (idx < 0) return;
+
+        var $row = $('#flip-results-body tr.flip-main-row[data-idx="' + idx + '"]');
+        if (!$row.next('.flip-detail-row').length) {
+            FD.filters.toggleRow($row.find('.flip-toggle'));
+        }
+        $('html, body').animate({ scrollTop: $row.offset().top - 40 }, 300);
+    };
+
+    /* ─── Area Filter (lasso) ───────────────────────────── */
+
+    /**
+     * True when no area is drawn, or the result lies inside it.
+     * Results without coordinates are excluded while an area is active.
+     */
+    FD.map.inArea = function (r) {
+        if (!_area) return true;
+        var pos = _coords[r.listing_id];
+        if (!pos) return false;
+        return google.maps.geometry.poly.containsLocation(new google.maps.LatLng(pos.lat, pos.lng), _area);
+    };
+
+    FD.map.startDrawing = function () {
+        if (!_map || _drawing) return;
+
+        _drawing = true;
+        _map.setOptions({ draggable: false, gestureHandling: 'none', draggableCursor: 'crosshair' });
+        $('#flip-map-draw').prop('disabled', true).text('Drag to draw...');
+
+        var down = _map.addListener('mousedown', function (e) {
+            _drawPath = [e.latLng];
+            _drawLine = new google.maps.Polyline({
+                map: _map,
+                path: _drawPath,
+                strokeColor: '#d9002c',
+                strokeWeight: 2,
+                clickable: false,
+            });
+        });
+        var move = _map.addListener('mousemove', function (e) {
+            if (!_drawPath) return;
+            _drawPath.push(e.latLng);
+            _drawLine.setPath(_drawPath);
+        });
+
+        // mouseup can land on a marker or outside the map; listen on the document
+        $(document).one('mouseup.flipMapDraw', function () {
+            google.maps.event.removeListener(down);
+            google.maps.event.removeListener(move);
+            finishDrawing();
+        });
+    };
+
+    function finishDrawing() {
+        _drawing = false;
+        _map.setOptions({ draggable: true, gestureHandling: 'auto', draggableCursor: null });
+        $('#flip-map-draw').prop('disabled', false).text('Draw Area');
+
+        if (_drawLine) _drawLine.setMap(null);
+        var path = _drawPath || [];
+        _drawLine = null;
+        _drawPath = null;
+
+        if (path.length < 3) return;
+
+        if (_area) _area.setMap(null);
+        _area = new google.maps.Polygon({
+            map: _map,
+            paths: path,
+            strokeColor: '#d9002c',
+            strokeWeight: 2,
+            fillColor: '#d9002c',
+            fillOpacity: 0.08,
+            clickable: false,
+        });
+        $('#flip-map-clear').show();
+        FD.filters.applyFilters();
+    }
+
+    FD.map.clearArea = function () {
+        if (_area) _area.setMap(null);
+        _area = null;
+        $('#flip-map-clear').hide();
+        FD.filters.applyFilters();
+    };
+
+    FD.map.hasArea = function () {
+        return !!_area;
+    };
+
+})(window.FlipDashboard, jQuery);
@@ -0,0 +1,266 @@
+/**
+ * FlipDashboard Deal Pipeline — Track what happened to each candidate (v0.33.0).
+ *
+ * One entry per listing (status, offer price, dates, notes) stored in the
+ * wp_bmn_flip_pipeline table. Entries are keyed by listing rather than by
+ * report, so they show up in every report containing the property and are
+ * untouched when FD.reports.rerunReport() replaces a report's scores.
+ *
+ * Shown as the Pipeline column in the results table and as a kanban board
+ * (drag a card to another column to change its status).
+ */
+(function (FD, $) {
+    'use strict';
+
+    var h = FD.helpers;
+
+    var _editingId = null;
+
+    function settings() {
+        return flipData.pipeline || { entries: {}, statuses: {} };
+    }
+
+    function findResult(listingId) {
+        var results = (FD.data && FD.data.results) || [];
+        for (var i = 0; i < results.length; i++) {
+            if (results[i].listing_id === listingId) return results[i];
+        }
+        return null;
+    }
+
+    /* ─── Init ──────────────────────────────────────────── */
+
+    FD.pipeline.init = function () {
+        var $status = $('#flip-pipeline-status');
+        $.each(settings().statuses, function (key, label) {
+            $status.append('<option value="' + h.escapeHtml(key) + '">' + h.escapeHtml(label) + '</option>');
+        });
+
+        $('#flip-pipeline-toggle').on('click', function () {
+            $('#flip-pipeline-body').slideToggle(200);
+            $(this).find('.flip-reports-arrow').toggleClass('flip-reports-arrow-open');
+        });
+
+        $(document).on('click', '.flip-pipeline-btn, .flip-pipeline-item', function (e) {
+            e.preventDefault();
+            e.stopPropagation();
+            FD.pipeline.open(parseInt($(this).data('listing'), 10));
+        });
+
+        // Drag a card onto another column to move it
+        var $board = $('#flip-pipeline-board');
+        $board.on('dragstart', '.flip-pipeline-item', function (e) {
+            e.originalEvent.dataTransfer.setData('text/plain', String($(this).data('listing')));
+        });
+        $board.on('dragover', '.flip-pipeline-column', function (e) {
+            e.preventDefault();
+            $(this).addClass('flip-pipeline-drop');
+        });
+        $board.on('dragleave drop', '.flip-pipeline-column', function () {
+            $(this).removeClass('flip-pipeline-drop');
+        });
+        $board.on('drop', '.flip-pipeline-column', function (e) {
+            e.preventDefault();
+            var listingId = parseInt(e.originalEvent.dataTransfer.getData('text/plain'), 10);
+            var entry = FD.pipeline.get(listingId);
+            var status = $(this).data('status');
+            if (entry && entry.status !== status) {
+                FD.pipeline.save(listingId, $.extend({}, entry, { status: status }));
+            }
+        });
+
+        $('#flip-pipeline-save').on('click', function () {
+            FD.pipeline.save(_editingId, FD.pipeline.collect());
+        });
+        $('#flip-pipeline-remove').on('click', FD.pipeline.remove);
+        $('#flip-pipeline-cancel').on('click', FD.pipeline.close);
+        $('#flip-pipeline-overlay').on('click', function (e) {
+            if (e.target === this) FD.pipeline.close();
+        });
+
+        FD.pipeline.renderBoard();
+    };
+
+    FD.pipeline.get = function (listingId) {
+        return settings().entries[listingId] || null;
+    };
+
+    /* ─── Rendering ─────────────────────────────────────── */
+
+    /**
+     * Results table cell: the status badge, or a "Track" link when untracked.
+     */
+    FD.pipeline.cellHtml = function (r) {
+        var entry = FD.pipeline.get(r.listing_id);
+        if (!entry) {
+            return '<a href="#" class="flip-pipeline-btn flip-pipeline-track" data-listing="' + r.listing_id + '">+ Track</a>';
+        }
+        return '<a href="#" class="flip-pipeline-btn flip-pipeline-badge flip-pipeline-' + entry.status + '"'
+            + ' data-listing="' + r.listing_id + '" title="' + h.escapeHtml(entry.notes) + '">'
+            + h.escapeHtml(settings().statuses[entry.status] || entry.status) + '</a>';
+    };
+
+    FD.pipeline.renderBoard = function () {
+        var entries = settings().entries;
+        var columns = {};
+        var total = 0;
+
+        $.each(settings().statuses, function (key) { columns[key] = []; });
+        $.each(entries, function (id, entry) {
+            if (columns[entry.status]) {
+                columns[entry.status].push(entry);
+                total++;
+            }
+        });
+
+        var html = '';
+        $.each(settings().statuses, function (key, label) {
+            html += '<div class="flip-pipeline-column" data-status="' + key + '">'
+                + '<div class="flip-pipeline-column-head flip-pipeline-' + key + '">'
+                + h.escapeHtml(label) + ' <span class="flip-pipeline-count">' + columns[key].length + '</span></div>';
+            columns[key].forEach(function (entry) {
+                html += buildItem(entry);
+            });
+            html += '</div>';
+        });
+
+        $('#flip-pipeline-board').html(html);
+        $('#flip-pipeline-count').text(total);
+        $('#flip-pipeline-empty').toggle(total === 0);
+    };
+
+    function buildItem(entry) {
+        var r = findResult(entry.listing_id);
+        var meta = [];
+
+        if (entry.offer_price) meta.push('Offer ' + h.formatCurrency(entry.offer_price));
+        if (entry.closing_date) meta.push('Closing ' + entry.closing_date);
+        else if (entry.contract_date) meta.push('Contract ' + entry.contract_date);
+        else if (entry.offer_date) meta.push('Offered ' + entry.offer_date);
+
+        var score = r
+            ? (r.disqualified
+                ? '<span class="flip-score-badge flip-score-poor">DQ</span>'
+                : '<span class="flip-score-badge ' + h.scoreClass(r.total_score) + '">' + r.total_score.toFixed(1) + '</span>')
+            : '<span class="flip-pipeline-outside" title="Not in the loaded report">&mdash;</span>';
+
+        return '<div class="flip-pipeline-item" draggable="true" data-listing="' + entry.listing_id + '">'
+            + '<div class="flip-pipeline-item-head">'
+            + '<span class="flip-pipeline-item-addr">' + h.escapeHtml(entry.address || 'MLS# ' + entry.listing_id) + '</span>'
+            + score + '</div>'
+            + '<div class="flip-pipeline-item-meta">' + h.escapeHtml(entry.city) + ' &middot; MLS# ' + entry.listing_id + '</div>'
+            + (meta.length ? '<div class="flip-pipeline-item-meta">' + meta.join(' &middot; ') + '</div>' : '')
+            + (entry.notes ? '<div class="flip-pipeline-item-notes">' + h.escapeHtml(entry.notes) + '</div>' : '')
+            + '</div>';
+    }
+
+    /** Refresh one listing's table cell without re-rendering (keeps expanded rows open) */
+    function refreshCell(listingId) {
+        var r = findResult(listingId);
+        if (!r) return;
+        $('#flip-results-body .flip-pipeline-btn[data-listing="' + listingId + '"]')
+            .replaceWith(FD.pipeline.cellHtml(r));
+    }
+
+    /* ─── Editor Dialog ─────────────────────────────────── */
+
+    FD.pipeline.open = function (listingId) {
+        var entry = FD.pipeline.get(listingId) || {};
+        var r = findResult(listingId);
+        var address = entry.address || (r ? r.address : '');
+
+        _editingId = listingId;
+        $('#flip-pipeline-title').text((address || 'Property') + ' — MLS# ' + listingId);
+        $('#flip-pipeline-status').val(entry.status || 'watching');
+        $('#flip-pipeline-offer-price').val(entry.offer_price || '');
+        $('#flip-pipeline-offer-date').val(entry.offer_date || '');
+        $('#flip-pipeline-contract-date').val(entry.contract_date || '');
+        $('#flip-pipeline-closing-date').val(entry.closing_date || '');
+        $('#flip-pipeline-notes').val(entry.notes || '');
+        $('#flip-pipeline-remove').toggle(!!entry.status);
+        $('#flip-pipeline-msg').text('');
+        $('#flip-pipeline-overlay').css('display', 'flex');
+    };
+
+    FD.pipeline.close = function () {
+        $('#flip-pipeline-overlay').hide();
+        _editingId = null;
+    };
+
+    FD.pipeline.collect = function () {
+        return {
+            status: $('#flip-pipeline-status').val(),
+            offer_price: $('#flip-pipeline-offer-price').val(),
+            offer_date: $('#flip-pipeline-offer-date').val(),
+            contract_date: $('#flip-pipeline-contract-date').val(),
+            closing_date: $('#flip-pipeline-closing-date').val(),
+            notes: $('#flip-pipeline-notes').val(),
+        };
+    };
+
+    /* ─── AJAX ──────────────────────────────────────────── */
+
+    FD.pipeline.save = function (listingId, entry) {
+        $.ajax({
+            url: flipData.ajaxUrl,
+            method: 'POST',
+            data: {
+                action: 'flip_save_pipeline',
+                nonce: flipData.nonce,
+                listing_id: listingId,
+                entry: JSON.stringify(entry),
+            },
+            success: function (response) {
+                if (response.success) {
+                    settings().entries[listingId] = response.data.entry;
+                    FD.pipeline.renderBoard();
+                    refreshCell(listingId);
+                    if (_editingId === listingId) FD.pipeline.close();
+                } else {
+                    FD.pipeline.showError(response.data || 'Save failed.');
+                }
+            },
+            error: function () {
+                FD.pipeline.showError('Request failed.');
+            }
+        });
+    };
+
+    FD.pipeline.remove = function () {
+        var listingId = _editingId;
+        if (!listingId || !confirm('Remove this property from the pipeline? Its notes and dates will be deleted.')) return;
+
+        $.ajax({
+            url: flipData.ajaxUrl,
+            method: 'POST',
+            data: {
+                action: 'flip_delete_pipeline',
+                nonce: flipData.nonce,
+                listing_id: listingId,
+            },
+            success: function (response) {
+                if (response.success) {
+                    delete settings().entries[listingId];
+                    FD.pipeline.renderBoard();
+                    refreshCell(listingId);
+                    FD.pipeline.close();
+                } else {
+                    FD.pipeline.showError(response.data || 'Delete failed.');
+                }
+            },
+            error: function () {
+                FD.pipeline.showError('Request failed.');
+            }
+        });
+    };
+
+    /** Errors go to the dialog when it's open, otherwise to an alert (board drags) */
+    FD.pipeline.showError = function (msg) {
+        if ($('#flip-pipeline-overlay').is(':visible')) {
+            $('#flip-pipeline-msg').text(msg);
+        } else {
+            alert(msg);
+        }
+    };
+
+})(window.FlipDashboard, jQuery);
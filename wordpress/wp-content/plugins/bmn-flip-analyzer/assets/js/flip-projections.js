@@ -2,6 +2,8 @@
  * FlipDashboard Projections — ARV projection calculator and cost model.
  *
  * Shared calcProjectionCosts() used by both projections table and sensitivity analysis.
+ * v0.21.0: Cost assumptions come from the active cost profile (flip-cost-profile.js).
+ * v0.25.0: Adds a "Scope" row when the listing has a saved renovation scope (flip-scope-builder.js).
  */
 (function (FD, $) {
     'use strict';
@@ -55,6 +57,11 @@
                 + '</tr>';
         });
 
+        var savedScope = FD.scope.getSaved(r.listing_id);
+        if (savedScope) {
+            html += FD.scope.buildProjectionRow(pid, FD.scope.project(r, savedScope));
+        }
+
         html += '<tr class="flip-proj-custom" data-pid="' + pid + '">'
             + '<td><strong>Custom</strong></td>'
             + '<td><input type="number" class="flip-proj-input" id="' + pid + '-beds" value="' + (curBeds + 1) + '" min="1" max="12" style="width:40px"></td>'
@@ -80,44 +87,55 @@
     };
 
     /**
-     * Shared cost calculation for projections (matches PHP v0.8.0 constants).
+     * Shared cost calculation for projections.
      * Also used by flip-detail-row.js buildSensitivitySection.
+     *
+     * @param {Object} [profile] Cost profile; defaults to FD.costProfile.getActive().
+     */
+    FD.projections.calcProjectionCosts = function (listPrice, arv, rehab, profile) {
+        var p = profile || FD.costProfile.getActive();
+        var tier = FD.projections.getRehabTier(arv, rehab, p);
+
+        return FD.projections.calcDealCosts(listPrice, arv, rehab * (1 + tier.contingency), tier.hold_months, p);
+    };
+
+    /**
+     * Contingency/hold tier for a base rehab budget.
+     *
+     * Rehab $/sqft is measured against a size estimated from ARV, so the
+     * projections and the risk simulation put the same deal in the same tier.
      */
-    FD.projections.calcProjectionCosts = function (listPrice, arv, rehab) {
+    FD.projections.getRehabTier = function (arv, rehab, profile) {
         var estSqft = arv > 0 ? arv / 350 : 1500;
-        var effectivePerSqft = rehab / estSqft;
-        var contRate;
-        if (effectivePerSqft <= 20) contRate = 0.08;
-        else if (effectivePerSqft <= 35) contRate = 0.12;
-        else if (effectivePerSqft <= 50) contRate = 0.15;
-        else contRate = 0.20;
-
-        var contingency = rehab * contRate;
-        var totalRehab = rehab + contingency;
-
-        var transferTaxBuy = listPrice * 0.00456;
-        var transferTaxSell = arv * 0.00456;
-        var purchaseClosing = listPrice * 0.015 + transferTaxBuy;
-        var saleCosts = arv * (0.045 + 0.01) + transferTaxSell;
-
-        var holdMonths;
-        if (effectivePerSqft <= 20) holdMonths = 3;
-        else if (effectivePerSqft <= 35) holdMonths = 4;
-        else if (effectivePerSqft <= 50) holdMonths = 6;
-        else holdMonths = 8;
-
-        var monthlyTax = (listPrice * 0.013) / 12;
-        var monthlyIns = (listPrice * 0.005) / 12;
-        var holdingCosts = (monthlyTax + monthlyIns + 350) * holdMonths;
+        return FD.costProfile.getTier(profile || FD.costProfile.getActive(), rehab / estSqft);
+    };
+
+    /**
+     * Deal P&L for an explicit all-in rehab cost and hold period.
+     *
+     * v0.22.0: Split out of calcProjectionCosts() so the risk simulation can
+     * feed sampled rehab/hold values through the same cost model.
+     */
+    FD.projections.calcDealCosts = function (listPrice, arv, totalRehab, holdMonths, profile) {
+        var p = profile || FD.costProfile.getActive();
+
+        var transferTaxBuy = listPrice * p.transfer_tax_rate;
+        var transferTaxSell = arv * p.transfer_tax_rate;
+        var purchaseClosing = listPrice * p.purchase_closing_pct + transferTaxBuy;
+        var saleCosts = arv * (p.sale_commission_pct + p.sale_closing_pct) + transferTaxSell;
+
+        var monthlyTax = (listPrice * p.annual_tax_rate) / 12;
+        var monthlyIns = (listPrice * p.annual_insurance_rate) / 12;
+        var holdingCosts = (monthlyTax + monthlyIns + p.monthly_utilities) * holdMonths;
 
         var cashProfit = arv - listPrice - totalRehab - purchaseClosing - saleCosts - holdingCosts;
         var cashInvestment = listPrice + totalRehab + purchaseClosing + holdingCosts;
         var cashRoi = cashInvestment > 0 ? (cashProfit / cashInvestment) * 100 : 0;
 
-        var loanAmount = listPrice * 0.80;
-        var financingCosts = (loanAmount * 0.02) + (loanAmount * 0.105 / 12 * holdMonths);
+        var loanAmount = listPrice * p.hard_money_ltv;
+        var financingCosts = (loanAmount * p.hard_money_points) + (loanAmount * p.hard_money_rate / 12 * holdMonths);
         var finProfit = cashProfit - financingCosts;
-        var cashInvested = (listPrice * 0.20) + totalRehab + purchaseClosing;
+        var cashInvested = (listPrice * (1 - p.hard_money_ltv)) + totalRehab + purchaseClosing;
         var cocRoi = cashInvested > 0 ? (finProfit / cashInvested) * 100 : 0;
 
         return { profit: finProfit, roi: cocRoi, cashProfit: cashProfit, cashRoi: cashRoi };
@@ -0,0 +1,370 @@
+/**
+ * FlipDashboard Rent Comps — Editable rental comps and market rent (v0.29.0).
+ *
+ * The Rental Comps section of the Rental Hold pane lets the analyst exclude
+ * server-chosen lease comps, add manual comps and override the market rent.
+ * Every change is sent to flip_preview_rent_edit, which re-prices the result
+ * through the PHP rental calculator and strategy scoring; the returned row
+ * replaces the one on screen. Nothing is calculated in the browser.
+ *
+ * A rent that leaves no viable strategy disqualifies the row (see
+ * Flip_Analyzer::reprice_rental()). Edits are saved per listing on the
+ * viewed report (FD.data.rent_edits) and applied by the server whenever the
+ * report is loaded; unsaved edits last until the dashboard data is reloaded.
+ */
+(function (FD, $) {
+    'use strict';
+
+    var h = FD.helpers;
+
+    var _drafts = {};
+    var _draftData = null;
+    var _previewSeq = {};
+
+    function blankEdit() {
+        return { excluded: [], manual: [], market_rent: null };
+    }
+
+    function isEmpty(edit) {
+        return !edit || (!edit.excluded.length && !edit.manual.length && !(edit.market_rent > 0));
+    }
+
+    /* ─── Edit State ────────────────────────────────────── */
+
+    FD.rentComps.getSaved = function (listingId) {
+        var edits = (FD.data && FD.data.rent_edits) || {};
+        return edits[listingId] || null;
+    };
+
+    /**
+     * Current edit for a listing: the unsaved draft if any, else the saved one.
+     * Drafts are dropped whenever FD.data is replaced (report load, refresh).
+     */
+    FD.rentComps.getEdit = function (listingId) {
+        if (_draftData !== FD.data) {
+            _drafts = {};
+            _draftData = FD.data;
+        }
+        return _drafts.hasOwnProperty(listingId) ? _drafts[listingId] : FD.rentComps.getSaved(listingId);
+    };
+
+    /**
+     * Comp rows for the editor, as returned by the server for the current edit
+     * (server comps with include flags plus manual comps).
+     */
+    FD.rentComps.rows = function (r) {
+        if (r.rent_comps) return r.rent_comps.rows;
+
+        var rc = (r.rental_analysis && r.rental_analysis.rental_comps) || {};
+        return (rc.comps || []).map(function (c) {
+            return $.extend({}, c, { manual: false, included: true });
+        });
+    };
+
+    /** Comp-based rent shown next to the override input. */
+    function compEstimate(r) {
+        if (r.rent_comps) return r.rent_comps.comp_estimate;
+
+        var rental = r.rental_analysis.rental || {};
+        return { amount: rental.monthly_rent || 0, source: rental.rent_source };
+    }
+
+    /* ─── Rendering ─────────────────────────────────────── */
+
+    /**
+     * Rental Comps section of the Rental Hold pane (replaces the read-only table).
+     */
+    FD.rentComps.buildSection = function (r) {
+        var rc = r.rental_analysis.rental_comps;
+        var edit = FD.rentComps.getEdit(r.listing_id) || blankEdit();
+        var saved = FD.rentComps.getSaved(r.listing_id);
+        var rows = FD.rentComps.rows(r);
+
+        var html = '<div class="flip-section flip-rent-comps" data-listing="' + r.listing_id + '">';
+        html += '<h4>Rental Comps' + (saved ? ' <span class="flip-scope-saved-badge">Saved</span>' : '') + '</h4>';
+
+        if (rc && rc.comp_count > 0) {
+            html += '<div class="flip-kv-list">';
+            var confCls = 'flip-conf-' + (rc.confidence || 'low');
+            html += h.kv('Comps Found', '<strong>' + rc.comp_count + '</strong>'
+                + ' <span style="color:#999;font-size:11px">('
+                + rc.active_count + ' active, ' + rc.closed_count + ' leased)</span>');
+            html += h.kv('Confidence', '<span class="' + confCls + '">' + rc.confidence + '</span>');
+            html += h.kv('Avg Rental $/sqft', '$' + (rc.avg_rental_ppsf || 0).toFixed(2) + '/sqft/mo');
+            html += h.kv('Search Radius', rc.search_radius_used + ' mi');
+
+            if (rc.cross_reference) {
+                var xref = rc.cross_reference;
+                var xrefCls = xref.agreement === 'strong' ? 'flip-positive' :
+                              xref.agreement === 'moderate' ? '' : 'flip-negative';
+                html += h.kv('vs MLS Income', '<span class="' + xrefCls + '">'
+                    + xref.agreement + ' (' + xref.pct_diff + '% diff)</span>');
+            }
+            html += '</div>';
+        }
+
+        html += '<table class="flip-comp-table flip-rental-comp-table flip-rent-editor-table"><thead><tr>'
+            + '<th>Use</th><th>Address</th><th>Beds</th><th>Sqft</th><th>Rent</th>'
+            + '<th>Adj. Rent</th><th>Dist</th><th>Status</th>'
+            + '</tr></thead><tbody>';
+
+        if (!rows.length) {
+            html += '<tr><td colspan="8" class="flip-no-data">No rental comps found. Add a lease comp below or set the market rent.</td></tr>';
+        }
+
+        rows.forEach(function (c, i) {
+            var id = c.id || (c.listing_id ? String(c.listing_id) : 'comp-' + i);
+            var status = c.manual
+                ? '<button type="button" class="button-link flip-rent-remove" data-index="' + c.index + '">Remove</button>'
+                : '<span class="' + (c.is_closed ? 'flip-conf-city_lookup' : 'flip-positive') + '">' + (c.is_closed ? 'Leased' : 'Active') + '</span>';
+            var addr = c.address || 'N/A';
+            if (addr.length > 22) addr = addr.substring(0, 21) + '~';
+
+            html += '<tr class="' + (c.included ? '' : 'flip-rent-excluded') + (c.manual ? ' flip-rent-manual' : '') + '">'
+                + '<td>' + (c.manual ? '<span class="flip-rent-manual-tag">M</span>'
+                    : '<input type="checkbox" class="flip-rent-use" data-id="' + h.escapeHtml(id) + '"' + (c.included ? ' checked' : '') + '>') + '</td>'
+                + '<td title="' + h.escapeHtml(c.address || '') + '">' + h.escapeHtml(addr) + '</td>'
+                + '<td>' + (c.bedrooms || 0) + '</td>'
+                + '<td>' + (c.sqft ? c.sqft.toLocaleString() : '--') + '</td>'
+                + '<td>' + h.formatCurrency(c.rent_amount) + '</td>'
+                + '<td>' + h.formatCurrency(c.adjusted_rent) + '</td>'
+                + '<td>' + (c.distance_miles || 0) + 'mi</td>'
+                + '<td>' + status + '</td>'
+                + '</tr>';
+        });
+
+        html += '</tbody></table>';
+
+        // Manual comp entry (pre-filled with the subject's layout)
+        html += '<div class="flip-rent-add-row">'
+            + '<input type="text" class="flip-rent-new-address" placeholder="Address">'
+            + '<input type="number" class="flip-rent-new-rent" min="0" step="25" placeholder="Rent/mo">'
+            + '<input type="number" class="flip-rent-new-beds" min="0" title="Beds" value="' + (r.bedrooms_total || 0) + '">'
+            + '<input type="number" class="flip-rent-new-baths" min="0" step="0.5" title="Baths" value="' + (r.bathrooms_total || 0) + '">'
+            + '<input type="number" class="flip-rent-new-sqft" min="0" title="Sqft" value="' + (r.building_area_total || '') + '">'
+            + '<input type="number" class="flip-rent-new-dist" min="0" step="0.1" title="Distance (mi)" value="0.5">'
+            + '<button type="button" class="button button-small flip-rent-add">Add Comp</button>'
+            + '</div>';
+
+        var estimate = compEstimate(r);
+        html += '<div class="flip-rent-override-row">'
+            + '<label>Market rent override $<input type="number" class="flip-rent-override" min="0" step="25"'
+            + ' value="' + (edit.market_rent > 0 ? edit.market_rent : '') + '" placeholder="' + Math.round(estimate.amount) + '"></label>'
+            + ' <span class="flip-rent-estimate">Comp estimate: <strong>' + h.formatCurrency(estimate.amount) + '</strong>/mo'
+            + (estimate.source === 'edited_comps' ? ' from ' + estimate.comp_count + ' edited comps' : '')
+            + '</span></div>';
+
+        html += '<div class="flip-rent-actions">'
+            + '<button type="button" class="button button-primary button-small flip-rent-save">Save to Report</button> '
+            + '<button type="button" class="button button-small flip-rent-reset"'
+            + (isEmpty(edit) && !saved ? ' disabled' : '') + '>Reset to MLS Comps</button>'
+            + '<span class="flip-rent-status"></span>'
+            + '</div>';
+
+        html += '</div>';
+        return html;
+    };
+
+    /**
+     * Re-render the rental/BRRRR panes, strategy cards and main table row for
+     * an open detail row after its result was re-priced.
+     */
+    FD.rentComps.refresh = function (r, $detail) {
+        $detail.find('.flip-tab-pane[data-pane="rental"]').html(FD.rental.buildRentalPane(r));
+        $detail.find('.flip-tab-pane[data-pane="brrrr"]').html(FD.rental.buildBRRRRPane(r));
+        $detail.find('.flip-strategy-cards').replaceWith(FD.detail.buildStrategyCards(r));
+        $detail.find('.flip-detail-toolbar .flip-strategy-badge').replaceWith(h.strategyBadge(r.rental_analysis.strategy));
+        $detail.find('.flip-strategy-tab[data-pane="rental"]').text(FD.detail.strategyTabLabel('Rental Hold', r.rental_score));
+        $detail.find('.flip-strategy-tab[data-pane="brrrr"]').text(FD.detail.strategyTabLabel('BRRRR', r.brrrr_score));
+
+        var $main = $detail.prev('tr.flip-main-row');
+        var $row = FD.filters.buildRow(r, $main.data('idx'));
+        $row.addClass('flip-row-expanded').find('.flip-toggle').text('−');
+        $main.replaceWith($row);
+        FD.filters.applyColumns();
+    };
+
+    function findResult(listingId) {
+        var results = (FD.data && FD.data.results) || [];
+        for (var i = 0; i < results.length; i++) {
+            if (results[i].listing_id === listingId) return results[i];
+        }
+        return null;
+    }
+
+    function viewedReportId() {
+        if (FD.activeReportId) return FD.activeReportId;
+        return FD.data && FD.data.report ? parseInt(FD.data.report.id, 10) : null;
+    }
+
+    function sectionFor(listingId) {
+        return $('.flip-rent-comps[data-listing="' + listingId + '"]');
+    }
+
+    /** Store a modified copy of the listing's edit as its draft and re-price. */
+    function updateDraft($el, mutate) {
+        var $section = $el.closest('.flip-rent-comps');
+        var id = $section.data('listing');
+        var r = findResult(id);
+        if (!r) return;
+
+        if (!viewedReportId()) {
+            showStatus($section, 'Run or load a saved report to edit rental comps.', 'error');
+            return;
+        }
+
+        var edit = $.extend(true, blankEdit(), FD.rentComps.getEdit(id) || {});
+        mutate(edit);
+        _drafts[id] = edit;
+
+        FD.rentComps.preview(r, edit);
+    }
+
+    /* ─── AJAX ──────────────────────────────────────────── */
+
+    /**
+     * Re-price a result with an edit on the server and re-render it.
+     * Only the latest request per listing is applied.
+     */
+    FD.rentComps.preview = function (r, edit) {
+        var id = r.listing_id;
+        var seq = (_previewSeq[id] || 0) + 1;
+        var data = FD.data;
+        _previewSeq[id] = seq;
+
+        sectionFor(id).find('.flip-rent-status').text('Recalculating…').css('color', '#666');
+
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_preview_rent_edit',
+            nonce: flipData.nonce,
+            report_id: viewedReportId(),
+            listing_id: id,
+            edit: isEmpty(edit) ? '' : JSON.stringify(edit),
+        }, function (resp) {
+            if (_previewSeq[id] !== seq || FD.data !== data) return;
+
+            if (!resp.success) {
+                showStatus(sectionFor(id), resp.data || 'Recalculation failed.', 'error');
+                return;
+            }
+
+            $.extend(r, resp.data.result);
+            var $detail = sectionFor(id).closest('tr.flip-detail-row');
+            if ($detail.length) {
+                FD.rentComps.refresh(r, $detail);
+            }
+        }).fail(function () {
+            if (_previewSeq[id] === seq) {
+                showStatus(sectionFor(id), 'Recalculation failed.', 'error');
+            }
+        });
+    };
+
+    FD.rentComps.save = function ($section, remove) {
+        var reportId = viewedReportId();
+        var id = $section.data('listing');
+
+        if (!reportId) {
+            showStatus($section, 'Run or load a saved report to keep rent edits.', 'error');
+            return;
+        }
+
+        var edit = FD.rentComps.getEdit(id);
+        if (isEmpty(edit)) remove = true;
+
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_save_rent_edit',
+            nonce: flipData.nonce,
+            report_id: reportId,
+            listing_id: id,
+            edit: remove ? '' : JSON.stringify(edit),
+        }, function (resp) {
+            if (resp.success) {
+                FD.data.rent_edits = resp.data.rent_edits;
+                delete _drafts[id];
+
+                // Re-price from what was saved (a removal may discard an unsaved draft)
+                var r = findResult(id);
+                if (r) {
+                    FD.rentComps.preview(r, FD.rentComps.getSaved(id) || blankEdit());
+                }
+                showStatus(sectionFor(id), resp.data.message, 'success');
+            } else {
+                showStatus($section, resp.data || 'Save failed.', 'error');
+            }
+        });
+    };
+
+    function showStatus($section, msg, type) {
+        var $status = $section.find('.flip-rent-status');
+        $status.text(msg).css('color', type === 'error' ? '#dc3545' : '#198754');
+        setTimeout(function () { $status.text(''); }, 3000);
+    }
+
+    /* ─── Events (delegated; detail rows are rebuilt on every render) ── */
+
+    $(document).on('change', '.flip-rent-use', function () {
+        var compId = String($(this).data('id'));
+        var include = this.checked;
+        updateDraft($(this), function (edit) {
+            edit.excluded = edit.excluded.filter(function (x) { return x !== compId; });
+            if (!include) edit.excluded.push(compId);
+        });
+    });
+
+    $(document).on('change', '.flip-rent-override', function () {
+        var rent = parseFloat($(this).val());
+        updateDraft($(this), function (edit) {
+            edit.market_rent = rent > 0 ? rent : null;
+        });
+    });
+
+    $(document).on('click', '.flip-rent-add', function () {
+        var $row = $(this).closest('.flip-rent-add-row');
+        var rent = parseFloat($row.find('.flip-rent-new-rent').val());
+
+        if (!(rent > 0)) {
+            showStatus($(this).closest('.flip-rent-comps'), 'Enter the comp\'s monthly rent.', 'error');
+            return;
+        }
+
+        var comp = {
+            address: $row.find('.flip-rent-new-address').val().trim() || 'Manual comp',
+            rent_amount: rent,
+            bedrooms: parseInt($row.find('.flip-rent-new-beds').val(), 10) || 0,
+            bathrooms: parseFloat($row.find('.flip-rent-new-baths').val()) || 0,
+            sqft: parseInt($row.find('.flip-rent-new-sqft').val(), 10) || 0,
+            distance_miles: parseFloat($row.find('.flip-rent-new-dist').val()) || 0.5,
+        };
+        updateDraft($(this), function (edit) {
+            edit.manual.push(comp);
+        });
+    });
+
+    $(document).on('click', '.flip-rent-remove', function () {
+        var index = parseInt($(this).data('index'), 10);
+        updateDraft($(this), function (edit) {
+            edit.manual.splice(index, 1);
+        });
+    });
+
+    $(document).on('click', '.flip-rent-save', function () {
+        FD.rentComps.save($(this).closest('.flip-rent-comps'), false);
+    });
+
+    $(document).on('click', '.flip-rent-reset', function () {
+        var $section = $(this).closest('.flip-rent-comps');
+        if (!confirm('Discard rent edits for this property and go back to the MLS comps?')) return;
+
+        if (FD.rentComps.getSaved($section.data('listing'))) {
+            FD.rentComps.save($section, true);
+        } else {
+            updateDraft($(this), function (edit) {
+                edit.excluded = [];
+                edit.manual = [];
+                edit.market_rent = null;
+            });
+        }
+    });
+
+})(window.FlipDashboard, jQuery);
@@ -0,0 +1,374 @@
+/**
+ * FlipDashboard Rental Sets — Named rental/BRRRR assumption sets (v0.30.0).
+ *
+ * Replaces the single global "Rental & BRRRR Defaults" panel. The built-in
+ * 'default' set is the global defaults; other sets are saved per user. A set
+ * can be attached to a report or monitor, which re-prices the stored rental
+ * and BRRRR results server-side without re-running the data analysis, and
+ * several sets can be compared side by side on the viewed report.
+ * Rates are displayed as percentages (×100), stored as decimals.
+ */
+(function (FD, $) {
+    'use strict';
+
+    var h = FD.helpers;
+
+    var MAX_COMPARE = 4;
+
+    /** Percentage inputs: element ID → [set key, display decimals] */
+    var PCT_FIELDS = {
+        'rd-vacancy-rate': ['vacancy_rate', 1],
+        'rd-management-fee': ['management_fee_rate', 1],
+        'rd-maintenance-rate': ['maintenance_rate', 1],
+        'rd-capex-reserve': ['capex_reserve_rate', 1],
+        'rd-insurance-rate': ['insurance_rate', 1],
+        'rd-appreciation-rate': ['appreciation_rate', 1],
+        'rd-rent-growth': ['rent_growth_rate', 1],
+        'rd-tax-rate': ['marginal_tax_rate', 0],
+        'rd-refi-ltv': ['brrrr_refi_ltv', 0],
+        'rd-refi-rate': ['brrrr_refi_rate', 1],
+    };
+
+    /* ─── Set Lookup ────────────────────────────────────── */
+
+    function allSets() {
+        return flipData.rentalSets || [];
+    }
+
+    function findSet(id) {
+        var sets = allSets();
+        for (var i = 0; i < sets.length; i++) {
+            if (sets[i].id === id) return sets[i];
+        }
+        return null;
+    }
+
+    function viewedReportId() {
+        if (FD.activeReportId) return FD.activeReportId;
+        return FD.data && FD.data.report ? parseInt(FD.data.report.id, 10) : null;
+    }
+
+    /** Global defaults as a set (before the server has sent any). */
+    function defaultSet() {
+        var set = $.extend({ id: 'default', name: 'Global Defaults' }, flipData.rentalDefaults || {});
+        return findSet('default') || set;
+    }
+
+    FD.rentalSets.getSelected = function () {
+        var active = flipData.activeRentalSet || defaultSet();
+        return findSet(active.id) || active;
+    };
+
+    /* ─── Init ──────────────────────────────────────────── */
+
+    FD.rentalSets.init = function () {
+        // Collapsible toggle
+        $('#flip-rd-toggle').on('click', function () {
+            $('#flip-rd-body').slideToggle(200);
+            $('.flip-rd-arrow').toggleClass('dashicons-arrow-down-alt2 dashicons-arrow-up-alt2');
+            FD.rentalSets.renderReportNote();
+        });
+
+        FD.rentalSets.renderSelect();
+        FD.rentalSets.populate(FD.rentalSets.getSelected());
+        FD.rentalSets.renderCompareOptions();
+
+        $('#rd-set-select').on('change', function () {
+            var set = findSet($(this).val());
+            if (!set) return;
+            FD.rentalSets.populate(set);
+            FD.rentalSets.select(set.id);
+        });
+
+        $('#flip-save-rental-defaults').on('click', function () {
+            FD.rentalSets.save(false);
+        });
+        $('#flip-save-rental-set-new').on('click', function () {
+            FD.rentalSets.save(true);
+        });
+        $('#flip-delete-rental-set').on('click', FD.rentalSets.remove);
+        $('#flip-reset-rental-defaults').on('click', FD.rentalSets.reset);
+        $('#flip-apply-rental-set').on('click', FD.rentalSets.applyToReport);
+        $('#flip-compare-rental-sets').on('click', FD.rentalSets.compare);
+    };
+
+    /* ─── Rendering ─────────────────────────────────────── */
+
+    FD.rentalSets.renderSelect = function () {
+        var $select = $('#rd-set-select');
+        var activeId = FD.rentalSets.getSelected().id;
+
+        $select.empty();
+        (allSets().length ? allSets() : [defaultSet()]).forEach(function (s) {
+            $select.append('<option value="' + h.escapeHtml(s.id) + '"'
+                + (s.id === activeId ? ' selected' : '') + '>'
+                + h.escapeHtml(s.name) + '</option>');
+        });
+    };
+
+    FD.rentalSets.populate = function (set) {
+        $('#rd-set-name').val(set.name || '').prop('disabled', set.id === 'default');
+        $.each(PCT_FIELDS, function (elId, field) {
+            $('#' + elId).val(((set[field[0]] || 0) * 100).toFixed(field[1]));
+        });
+        $('#rd-refi-term').val(set.brrrr_refi_term || 30);
+
+        $('#flip-delete-rental-set').prop('disabled', set.id === 'default');
+        $('#flip-reset-rental-defaults').prop('disabled', set.id !== 'default');
+    };
+
+    FD.rentalSets.renderCompareOptions = function () {
+        var html = '';
+        (allSets().length ? allSets() : [defaultSet()]).forEach(function (s) {
+            html += '<label class="flip-rs-compare-option"><input type="checkbox" value="' + h.escapeHtml(s.id) + '"> '
+                + h.escapeHtml(s.name) + '</label>';
+        });
+        $('#flip-rs-compare-options').html(html);
+    };
+
+    FD.rentalSets.renderReportNote = function () {
+        var reportId = viewedReportId();
+        var set = FD.data && FD.data.rental_set;
+        var $note = $('#flip-rd-report-note');
+
+        $('#flip-apply-rental-set, #flip-compare-rental-sets').prop('disabled', !reportId);
+
+        if (!reportId) {
+            $note.text('Load a report or monitor to attach or compare assumption sets.');
+        } else if (set) {
+            $note.text('Current report is priced with "' + set.name + '".');
+        } else {
+            $note.text('Current report uses the global defaults.');
+        }
+    };
+
+    /* ─── Collect ───────────────────────────────────────── */
+
+    FD.rentalSets.collect = function () {
+        var set = {
+            id: $('#rd-set-select').val(),
+            name: $('#rd-set-name').val().trim(),
+            brrrr_refi_term: parseInt($('#rd-refi-term').val(), 10) || 30,
+        };
+
+        $.each(PCT_FIELDS, function (elId, field) {
+            set[field[0]] = (parseFloat($('#' + elId).val()) || 0) / 100;
+        });
+
+        return set;
+    };
+
+    /* ─── AJAX ──────────────────────────────────────────── */
+
+    /**
+     * Save the form. The 'default' set writes the global defaults (used by
+     * reports without a set); "Save as New" always creates a named set.
+     */
+    FD.rentalSets.save = function (asNew) {
+        var set = FD.rentalSets.collect();
+
+        if (!asNew && set.id === 'default') {
+            delete set.id;
+            delete set.name;
+            $.post(flipData.ajaxUrl, {
+                action: 'flip_save_rental_defaults',
+                nonce: flipData.nonce,
+                defaults: JSON.stringify(set),
+            }, function (resp) {
+                if (resp.success) {
+                    flipData.rentalDefaults = resp.data.defaults;
+                    FD.rentalSets.setSets(resp.data.sets, flipData.activeRentalSet);
+                    FD.rentalSets.showStatus(resp.data.message, 'success');
+                } else {
+                    FD.rentalSets.showStatus(resp.data || 'Save failed.', 'error');
+                }
+            });
+            return;
+        }
+
+        if (asNew) {
+            delete set.id;
+            if (!set.name || set.name === defaultSet().name) {
+                set.name = 'My Rental Assumptions';
+            }
+        }
+        if (!set.name) {
+            FD.rentalSets.showStatus('Set name is required.', 'error');
+            return;
+        }
+
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_save_rental_set',
+            nonce: flipData.nonce,
+            set: JSON.stringify(set),
+        }, function (resp) {
+            if (resp.success) {
+                FD.rentalSets.setSets(resp.data.sets, resp.data.active);
+                FD.rentalSets.showStatus(resp.data.message, 'success');
+            } else {
+                FD.rentalSets.showStatus(resp.data || 'Save failed.', 'error');
+            }
+        });
+    };
+
+    FD.rentalSets.remove = function () {
+        var id = $('#rd-set-select').val();
+        if (id === 'default' || !confirm('Delete this assumption set?')) return;
+
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_delete_rental_set',
+            nonce: flipData.nonce,
+            set_id: id,
+        }, function (resp) {
+            if (resp.success) {
+                FD.rentalSets.setSets(resp.data.sets, resp.data.active);
+                FD.rentalSets.showStatus(resp.data.message, 'success');
+            } else {
+                FD.rentalSets.showStatus(resp.data || 'Delete failed.', 'error');
+            }
+        });
+    };
+
+    FD.rentalSets.reset = function () {
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_reset_rental_defaults',
+            nonce: flipData.nonce,
+        }, function (resp) {
+            if (resp.success) {
+                flipData.rentalDefaults = resp.data.defaults;
+                FD.rentalSets.setSets(resp.data.sets, flipData.activeRentalSet);
+                FD.rentalSets.showStatus(resp.data.message, 'success');
+            }
+        });
+    };
+
+    FD.rentalSets.select = function (id) {
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_select_rental_set',
+            nonce: flipData.nonce,
+            set_id: id,
+        }, function (resp) {
+            if (resp.success) {
+                flipData.activeRentalSet = resp.data.active;
+            }
+        });
+    };
+
+    /**
+     * Attach the selected set to the viewed report, then reload it so the
+     * re-priced scores, strategies and rental panes show.
+     */
+    FD.rentalSets.applyToReport = function () {
+        var reportId = viewedReportId();
+        if (!reportId) return;
+
+        var $btn = $('#flip-apply-rental-set').prop('disabled', true);
+        FD.rentalSets.showStatus('Re-pricing results...', 'success');
+
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_set_report_rental_set',
+            nonce: flipData.nonce,
+            report_id: reportId,
+            set_id: $('#rd-set-select').val(),
+        }, function (resp) {
+            $btn.prop('disabled', false);
+            if (resp.success) {
+                FD.reports.loadReport(reportId);
+                FD.rentalSets.showStatus(resp.data.message, 'success');
+            } else {
+                FD.rentalSets.showStatus(resp.data || 'Apply failed.', 'error');
+            }
+        }).fail(function () {
+            $btn.prop('disabled', false);
+            FD.rentalSets.showStatus('Request failed.', 'error');
+        });
+    };
+
+    FD.rentalSets.compare = function () {
+        var reportId = viewedReportId();
+        var ids = $('#flip-rs-compare-options input:checked').map(function () {
+            return this.value;
+        }).get();
+
+        if (!reportId) return;
+        if (ids.length < 1 || ids.length > MAX_COMPARE) {
+            FD.rentalSets.showStatus('Select 1 to ' + MAX_COMPARE + ' sets to compare.', 'error');
+            return;
+        }
+
+        var $btn = $('#flip-compare-rental-sets').prop('disabled', true);
+        $('#flip-rs-compare-results').html('<p class="flip-no-data">Comparing...</p>');
+
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_compare_rental_sets',
+            nonce: flipData.nonce,
+            report_id: reportId,
+            set_ids: JSON.stringify(ids),
+        }, function (resp) {
+            $btn.prop('disabled', false);
+            if (resp.success) {
+                $('#flip-rs-compare-results').html(FD.rentalSets.buildCompareTable(resp.data.sets));
+            } else {
+                $('#flip-rs-compare-results').empty();
+                FD.rentalSets.showStatus(resp.data || 'Compare failed.', 'error');
+            }
+        }).fail(function () {
+            $btn.prop('disabled', false);
+            $('#flip-rs-compare-results').empty();
+            FD.rentalSets.showStatus('Request failed.', 'error');
+        });
+    };
+
+    /* ─── Comparison Table ──────────────────────────────── */
+
+    FD.rentalSets.buildCompareTable = function (sets) {
+        var cfCell = function (v) {
+            return '<span class="' + (v >= 0 ? 'flip-positive' : 'flip-negative') + '">' + h.formatCurrency(v) + '/mo</span>';
+        };
+        var rows = [
+            ['Properties Priced', function (s) { return s.properties; }],
+            ['Rental Viable', function (s) { return s.rental_viable; }],
+            ['BRRRR Viable', function (s) { return s.brrrr_viable; }],
+            ['Avg Cap Rate', function (s) { return s.avg_cap_rate.toFixed(2) + '%'; }],
+            ['Avg Rental Cash Flow', function (s) { return cfCell(s.avg_rental_cf); }],
+            ['Avg Post-Refi Cash Flow', function (s) { return cfCell(s.avg_brrrr_cf); }],
+            ['Avg DSCR', function (s) { return s.avg_dscr !== null ? s.avg_dscr.toFixed(2) : 'N/A'; }],
+            ['Best: Flip / Rental / BRRRR', function (s) {
+                return s.best.flip + ' / ' + s.best.rental + ' / ' + s.best.brrrr;
+            }],
+        ];
+
+        var html = '<table class="flip-comp-table flip-rs-compare-table"><thead><tr><th></th>';
+        sets.forEach(function (s) {
+            html += '<th>' + h.escapeHtml(s.name) + '</th>';
+        });
+        html += '</tr></thead><tbody>';
+
+        rows.forEach(function (row) {
+            html += '<tr><td><strong>' + row[0] + '</strong></td>';
+            sets.forEach(function (s) {
+                html += '<td>' + row[1](s) + '</td>';
+            });
+            html += '</tr>';
+        });
+
+        html += '</tbody></table>';
+        return html;
+    };
+
+    /* ─── State Helpers ─────────────────────────────────── */
+
+    FD.rentalSets.setSets = function (sets, active) {
+        flipData.rentalSets = sets;
+        flipData.activeRentalSet = active;
+        FD.rentalSets.renderSelect();
+        FD.rentalSets.populate(FD.rentalSets.getSelected());
+        FD.rentalSets.renderCompareOptions();
+    };
+
+    FD.rentalSets.showStatus = function (msg, type) {
+        $('#flip-rd-status').text(msg).css('color', type === 'error' ? '#dc3545' : '#198754');
+        setTimeout(function () { $('#flip-rd-status').text(''); }, 3000);
+    };
+
+})(window.FlipDashboard, jQuery);
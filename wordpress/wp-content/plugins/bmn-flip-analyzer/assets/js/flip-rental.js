@@ -5,6 +5,7 @@
  * Data comes from r.rental_analysis (decoded from rental_analysis_json).
  *
  * v0.16.0: Initial implementation.
+ * v0.30.0: Defaults panel moved to flip-rental-sets.js (assumption sets).
  */
 (function (FD, $) {
     'use strict';
@@ -107,72 +108,12 @@
 
         html += '</div></div>';
 
-        // Rental comp summary (v0.19.0)
-        var rc = r.rental_analysis && r.rental_analysis.rental_comps;
-        if (rc && rc.comp_count > 0) {
-            html += buildRentalCompSection(rc);
-        }
+        // Rental comps, editable (v0.29.0)
+        html += FD.rentComps.buildSection(r);
 
         return html;
     }
 
-    /**
-     * Build rental comp summary and table (v0.19.0).
-     */
-    function buildRentalCompSection(rc) {
-        var html = '<div class="flip-section"><h4>Rental Comps</h4>';
-
-        // Summary stats
-        html += '<div class="flip-kv-list">';
-        var confCls = 'flip-conf-' + (rc.confidence || 'low');
-        html += h.kv('Comps Found', '<strong>' + rc.comp_count + '</strong>'
-            + ' <span style="color:#999;font-size:11px">('
-            + rc.active_count + ' active, ' + rc.closed_count + ' leased)</span>');
-        html += h.kv('Confidence', '<span class="' + confCls + '">' + rc.confidence + '</span>');
-        html += h.kv('Avg Rental $/sqft', '$' + (rc.avg_rental_ppsf || 0).toFixed(2) + '/sqft/mo');
-        html += h.kv('Search Radius', rc.search_radius_used + ' mi');
-
-        if (rc.cross_reference) {
-            var xref = rc.cross_reference;
-            var xrefCls = xref.agreement === 'strong' ? 'flip-positive' :
-                          xref.agreement === 'moderate' ? '' : 'flip-negative';
-            html += h.kv('vs MLS Income', '<span class="' + xrefCls + '">'
-                + xref.agreement + ' (' + xref.pct_diff + '% diff)</span>');
-        }
-        html += '</div>';
-
-        // Comp table
-        var comps = rc.comps;
-        if (comps && comps.length > 0) {
-            html += '<table class="flip-comp-table flip-rental-comp-table"><thead><tr>'
-                + '<th>Address</th><th>Beds</th><th>Sqft</th><th>Rent</th>'
-                + '<th>Adj. Rent</th><th>Dist</th><th>Status</th>'
-                + '</tr></thead><tbody>';
-
-            comps.forEach(function (c) {
-                var status = c.is_closed ? 'Leased' : 'Active';
-                var statusCls = c.is_closed ? 'flip-conf-city_lookup' : 'flip-positive';
-                var addr = c.address || 'N/A';
-                if (addr.length > 22) addr = addr.substring(0, 21) + '~';
-
-                html += '<tr>'
-                    + '<td title="' + (c.address || '') + '">' + addr + '</td>'
-                    + '<td>' + c.bedrooms + '</td>'
-                    + '<td>' + (c.sqft ? c.sqft.toLocaleString() : '--') + '</td>'
-                    + '<td>' + h.formatCurrency(c.rent_amount) + '</td>'
-                    + '<td>' + h.formatCurrency(c.adjusted_rent) + '</td>'
-                    + '<td>' + c.distance_miles + 'mi</td>'
-                    + '<td><span class="' + statusCls + '">' + status + '</span></td>'
-                    + '</tr>';
-            });
-
-            html += '</tbody></table>';
-        }
-
-        html += '</div>';
-        return html;
-    }
-
     function buildExpenseSection(rental) {
         var exp = rental.expenses;
         if (!exp) return '';
@@ -431,81 +372,4 @@
         return html;
     }
 
-    // ==========================================
-    // Rental Defaults Panel (Admin)
-    // ==========================================
-
-    /**
-     * Initialize the Rental & BRRRR Defaults admin panel.
-     */
-    FD.rental.initDefaults = function () {
-        // Collapsible toggle
-        $('#flip-rd-toggle').on('click', function () {
-            var $body = $('#flip-rd-body');
-            var $arrow = $('.flip-rd-arrow');
-            $body.slideToggle(200);
-            $arrow.toggleClass('dashicons-arrow-down-alt2 dashicons-arrow-up-alt2');
-        });
-
-        // Populate from server data
-        var defaults = flipData.rentalDefaults || {};
-        $('#rd-vacancy-rate').val(((defaults.vacancy_rate || 0.05) * 100).toFixed(1));
-        $('#rd-management-fee').val(((defaults.management_fee_rate || 0.08) * 100).toFixed(1));
-        $('#rd-maintenance-rate').val(((defaults.maintenance_rate || 0.01) * 100).toFixed(1));
-        $('#rd-capex-reserve').val(((defaults.capex_reserve_rate || 0.05) * 100).toFixed(1));
-        $('#rd-insurance-rate').val(((defaults.insurance_rate || 0.006) * 100).toFixed(1));
-        $('#rd-appreciation-rate').val(((defaults.appreciation_rate || 0.03) * 100).toFixed(1));
-        $('#rd-rent-growth').val(((defaults.rent_growth_rate || 0.02) * 100).toFixed(1));
-        $('#rd-tax-rate').val(((defaults.marginal_tax_rate || 0.32) * 100).toFixed(0));
-        $('#rd-refi-ltv').val(((defaults.brrrr_refi_ltv || 0.75) * 100).toFixed(0));
-        $('#rd-refi-rate').val(((defaults.brrrr_refi_rate || 0.072) * 100).toFixed(1));
-        $('#rd-refi-term').val(defaults.brrrr_refi_term || 30);
-
-        // Save
-        $('#flip-save-rental-defaults').on('click', function () {
-            var data = {
-                vacancy_rate: parseFloat($('#rd-vacancy-rate').val()) / 100,
-                management_fee_rate: parseFloat($('#rd-management-fee').val()) / 100,
-                maintenance_rate: parseFloat($('#rd-maintenance-rate').val()) / 100,
-                capex_reserve_rate: parseFloat($('#rd-capex-reserve').val()) / 100,
-                insurance_rate: parseFloat($('#rd-insurance-rate').val()) / 100,
-                appreciation_rate: parseFloat($('#rd-appreciation-rate').val()) / 100,
-                rent_growth_rate: parseFloat($('#rd-rent-growth').val()) / 100,
-                marginal_tax_rate: parseFloat($('#rd-tax-rate').val()) / 100,
-                brrrr_refi_ltv: parseFloat($('#rd-refi-ltv').val()) / 100,
-                brrrr_refi_rate: parseFloat($('#rd-refi-rate').val()) / 100,
-                brrrr_refi_term: parseInt($('#rd-refi-term').val(), 10),
-            };
-
-            $.post(flipData.ajaxUrl, {
-                action: 'flip_save_rental_defaults',
-                nonce: flipData.nonce,
-                defaults: JSON.stringify(data),
-            }, function (resp) {
-                if (resp.success) {
-                    flipData.rentalDefaults = resp.data.defaults;
-                    $('#flip-rd-status').text('Saved!').css('color', '#198754');
-                    setTimeout(function () { $('#flip-rd-status').text(''); }, 3000);
-                } else {
-                    $('#flip-rd-status').text('Error: ' + (resp.data || 'Save failed')).css('color', '#dc3545');
-                }
-            });
-        });
-
-        // Reset
-        $('#flip-reset-rental-defaults').on('click', function () {
-            $.post(flipData.ajaxUrl, {
-                action: 'flip_reset_rental_defaults',
-                nonce: flipData.nonce,
-            }, function (resp) {
-                if (resp.success) {
-                    flipData.rentalDefaults = resp.data.defaults;
-                    FD.rental.initDefaults();
-                    $('#flip-rd-status').text('Reset to defaults.').css('color', '#198754');
-                    setTimeout(function () { $('#flip-rd-status').text(''); }, 3000);
-                }
-            });
-        });
-    };
-
 })(window.FlipDashboard, jQuery);
@@ -177,7 +177,7 @@
     /* ─── Re-run Report ─────────────────────────────────── */
 
     FD.reports.rerunReport = function (id) {
-        if (!confirm('Re-run this report with fresh MLS data? This will replace the existing results.')) {
+        if (!confirm('Re-run this report with fresh MLS data? This will replace the existing results.\n\nDeal pipeline statuses and notes are kept.')) {
             return;
         }
 
@@ -206,7 +206,7 @@
                 }
 
                 // Phase 2+3: Use shared batched runner
-                FD.ajax.runBatchedAnalysis(d.listing_ids, d.report_id, d.run_date);
+                FD.ajax.runBatchedAnalysis(d.listing_ids, d.report_id, d.run_date, d.run_id);
             },
             error: function (xhr, status) {
                 alert('Failed to initialize re-run: ' + status);
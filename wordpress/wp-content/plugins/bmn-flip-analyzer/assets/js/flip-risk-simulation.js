@@ -0,0 +1,220 @@
+/**
+ * FlipDashboard Risk Simulation — Monte Carlo profit/ROI distribution per property.
+ *
+ * v0.22.0: Samples ARV, rehab overrun and hold time, runs each trial through
+ * FD.projections.calcDealCosts() with the active cost profile, and summarizes
+ * probability of loss and P10/P50/P90 ROI. Results are cached per listing and
+ * profile, and seeded by listing ID so the numbers don't jump between renders.
+ *
+ * Distributions:
+ *   - ARV: normal around estimated_arv; sigma from the comps' $/sqft spread
+ *     (falls back to the calcValuationRange() confidence spread).
+ *   - Rehab: triangular overrun on base rehab, skewed by the contingency tier
+ *     (bigger scopes carry more upside risk). The tier comes from
+ *     FD.projections.getRehabTier() so it matches the base-case projection.
+ *   - Hold: triangular around the tier's hold months, skewed toward delays.
+ */
+(function (FD, $) {
+    'use strict';
+
+    var h = FD.helpers;
+
+    var TRIALS = 2000;
+    var HISTOGRAM_BINS = 20;
+
+    var _cache = {};
+
+    /* ─── Random Sampling ───────────────────────────────── */
+
+    /** Mulberry32 PRNG — deterministic per seed. */
+    function seededRandom(seed) {
+        var a = seed >>> 0;
+        return function () {
+            a = (a + 0x6D2B79F5) >>> 0;
+            var t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /** Standard normal via Box-Muller. */
+    function sampleNormal(rand) {
+        var u = 0;
+        while (u === 0) u = rand();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+    }
+
+    function sampleTriangular(rand, min, mode, max) {
+        var u = rand();
+        var c = (mode - min) / (max - min);
+        return u < c
+            ? min + Math.sqrt(u * (max - min) * (mode - min))
+            : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+
+    function percentile(sorted, p) {
+        if (!sorted.length) return 0;
+        var idx = (sorted.length - 1) * p;
+        var lo = Math.floor(idx);
+        var hi = Math.ceil(idx);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+    }
+
+    /* ─── Distribution Parameters ───────────────────────── */
+
+    /**
+     * ARV sigma as a fraction of ARV, from comp $/sqft dispersion.
+     */
+    FD.risk.arvSigma = function (r) {
+        var ppsfs = (r.comps || []).map(function (c) {
+            return c.adjusted_ppsf || c.ppsf || 0;
+        }).filter(function (v) { return v > 0; });
+
+        if (ppsfs.length >= 3) {
+            var mean = ppsfs.reduce(function (a, b) { return a + b; }, 0) / ppsfs.length;
+            var variance = ppsfs.reduce(function (a, b) { return a + (b - mean) * (b - mean); }, 0) / (ppsfs.length - 1);
+            return Math.max(0.04, Math.min(0.25, Math.sqrt(variance) / mean));
+        }
+
+        // Treat the valuation range as a ~90% interval (±1.645 sigma)
+        var range = FD.detail.calcValuationRange(r);
+        return r.estimated_arv > 0
+            ? ((range.ceiling - range.mid) / r.estimated_arv) / 1.645
+            : 0.12;
+    };
+
+    /* ─── Simulation ────────────────────────────────────── */
+
+    /**
+     * Run (or return cached) simulation for a result row.
+     * Returns null for disqualified rows or rows without an ARV.
+     */
+    FD.risk.simulate = function (r, profile) {
+        if (r.disqualified || !r.estimated_arv || r.estimated_arv <= 0 || !r.list_price) return null;
+
+        var p = profile || FD.costProfile.getActive();
+        var key = r.listing_id + ':' + r.run_date + ':' + JSON.stringify(p);
+        if (_cache[key]) return _cache[key];
+
+        var rand = seededRandom(r.listing_id);
+        var baseRehab = Math.max(0, r.estimated_rehab_cost - (r.rehab_contingency || 0));
+        var tier = FD.projections.getRehabTier(r.estimated_arv, baseRehab, p);
+        var sigma = FD.risk.arvSigma(r);
+
+        var profits = [];
+        var rois = [];
+
+        for (var i = 0; i < TRIALS; i++) {
+            var arv = r.estimated_arv * Math.max(0.5, 1 + sigma * sampleNormal(rand));
+            var overrun = sampleTriangular(rand, 0.9, 1 + tier.contingency / 2, 1 + tier.contingency * 2.5);
+            var hold = sampleTriangular(rand, tier.hold_months * 0.8, tier.hold_months, tier.hold_months * 1.75);
+            var costs = FD.projections.calcDealCosts(r.list_price, arv, baseRehab * overrun, hold, p);
+
+            profits.push(costs.profit);
+            rois.push(costs.roi);
+        }
+
+        profits.sort(function (a, b) { return a - b; });
+        rois.sort(function (a, b) { return a - b; });
+
+        var losses = 0;
+        for (var j = 0; j < profits.length && profits[j] < 0; j++) losses++;
+
+        var result = {
+            trials: TRIALS,
+            arvSigma: sigma,
+            lossProbability: losses / TRIALS,
+            meanProfit: profits.reduce(function (a, b) { return a + b; }, 0) / TRIALS,
+            profit: { p10: percentile(profits, 0.1), p50: percentile(profits, 0.5), p90: percentile(profits, 0.9) },
+            roi: { p10: percentile(rois, 0.1), p50: percentile(rois, 0.5), p90: percentile(rois, 0.9) },
+            histogram: FD.risk.buildHistogram(profits),
+        };
+
+        _cache[key] = result;
+        return result;
+    };
+
+    FD.risk.buildHistogram = function (sortedProfits) {
+        // Trim the extreme 1% on each side so a few outliers don't flatten the chart
+        var min = percentile(sortedProfits, 0.01);
+        var max = percentile(sortedProfits, 0.99);
+        var width = (max - min) / HISTOGRAM_BINS || 1;
+        var bins = [];
+
+        for (var b = 0; b < HISTOGRAM_BINS; b++) {
+            bins.push({ from: min + b * width, to: min + (b + 1) * width, count: 0 });
+        }
+        sortedProfits.forEach(function (v) {
+            var idx = Math.floor((v - min) / width);
+            bins[Math.max(0, Math.min(HISTOGRAM_BINS - 1, idx))].count++;
+        });
+
+        return bins;
+    };
+
+    /**
+     * Attach risk sort keys to results (used by the "Sort By" risk options).
+     */
+    FD.risk.annotate = function (results) {
+        results.forEach(function (r) {
+            var sim = FD.risk.simulate(r);
+            r.risk_p10_roi = sim ? sim.roi.p10 : null;
+            r.risk_profit_prob = sim ? (1 - sim.lossProbability) * 100 : null;
+        });
+    };
+
+    /* ─── Rendering ─────────────────────────────────────── */
+
+    FD.risk.buildRiskPane = function (r) {
+        var sim = FD.risk.simulate(r);
+        if (!sim) {
+            return '<div class="flip-details"><p class="flip-no-data">Risk simulation requires a non-disqualified property with an ARV estimate.</p></div>';
+        }
+
+        var lossPct = sim.lossProbability * 100;
+        var lossCls = lossPct <= 10 ? 'flip-positive' : (lossPct <= 25 ? '' : 'flip-negative');
+        var roiCls = function (v) { return v >= 0 ? 'flip-positive' : 'flip-negative'; };
+
+        var html = '<div class="flip-details">';
+
+        html += '<div class="flip-detail-col"><div class="flip-section"><h4>Risk Summary</h4><div class="flip-kv-list">';
+        html += h.kv('Probability of Loss', '<strong class="' + lossCls + '">' + lossPct.toFixed(1) + '%</strong>');
+        html += h.kv('Expected Profit', '<span class="' + roiCls(sim.meanProfit) + '">' + h.formatCurrency(sim.meanProfit) + '</span>');
+        html += h.kv('P10 ROI (downside)', '<strong class="' + roiCls(sim.roi.p10) + '">' + sim.roi.p10.toFixed(1) + '%</strong>');
+        html += h.kv('P50 ROI (median)', '<span class="' + roiCls(sim.roi.p50) + '">' + sim.roi.p50.toFixed(1) + '%</span>');
+        html += h.kv('P90 ROI (upside)', '<span class="' + roiCls(sim.roi.p90) + '">' + sim.roi.p90.toFixed(1) + '%</span>');
+        html += h.kv('P10 / P90 Profit', h.formatCurrency(sim.profit.p10) + ' / ' + h.formatCurrency(sim.profit.p90));
+        html += '</div>';
+        html += '<p class="flip-risk-note">' + sim.trials.toLocaleString() + ' trials. ARV &sigma; '
+            + (sim.arvSigma * 100).toFixed(1) + '% from ' + ((r.comps || []).length >= 3 ? 'comp spread' : 'ARV confidence')
+            + '; rehab overrun and hold time from the "' + h.escapeHtml(FD.costProfile.getActive().name) + '" tiers.</p>';
+        html += '</div></div>';
+
+        html += '<div class="flip-detail-col flip-risk-chart-col"><div class="flip-section"><h4>Profit Distribution</h4>';
+        html += FD.risk.buildHistogramHtml(sim.histogram);
+        html += '</div></div>';
+
+        html += '</div>';
+        return html;
+    };
+
+    FD.risk.buildHistogramHtml = function (bins) {
+        var maxCount = Math.max.apply(null, bins.map(function (b) { return b.count; })) || 1;
+
+        var html = '<div class="flip-risk-histogram">';
+        bins.forEach(function (b) {
+            var mid = (b.from + b.to) / 2;
+            var cls = mid < 0 ? 'flip-risk-bin-loss' : 'flip-risk-bin-gain';
+            var title = h.formatCurrency(b.from) + ' to ' + h.formatCurrency(b.to) + ': ' + b.count + ' trials';
+            html += '<div class="flip-risk-bin ' + cls + '" style="height:' + Math.round(b.count / maxCount * 100) + '%"'
+                + ' title="' + h.escapeHtml(title) + '"></div>';
+        });
+        html += '</div>';
+        html += '<div class="flip-risk-axis"><span>' + h.formatCurrency(bins[0].from) + '</span>'
+            + '<span>' + h.formatCurrency(bins[bins.length - 1].to) + '</span></div>';
+
+        return html;
+    };
+
+})(window.FlipDashboard, jQuery);
@@ -0,0 +1,368 @@
+/**
+ * FlipDashboard Run History — Past runs with cost and performance trends (v0.35.0).
+ *
+ * Every analysis, re-run, photo and monitor run is recorded server-side
+ * (wp_bmn_flip_runs): duration, properties analyzed, viable/DQ counts,
+ * errors, API cost and a snapshot of the cities, filters, scoring weights
+ * and cost profile in effect. The history loads when the card is first
+ * opened and refreshes after each dashboard run (FD.runHistory.refresh()).
+ *
+ * "Restore These Settings" makes a run's settings current so it can be
+ * reproduced, then reloads the page so every panel picks them up.
+ */
+(function (FD, $) {
+    'use strict';
+
+    var h = FD.helpers;
+
+    var _runs = [];
+    var _trends = [];
+    var _loaded = false;
+    var _charts = { volume: null, cost: null };
+    var _settings = {}; // run ID => settings snapshot, fetched on demand
+
+    var STATUS_LABELS = {
+        running: 'Running',
+        completed: 'Completed',
+        cancelled: 'Cancelled',
+        abandoned: 'Abandoned',
+    };
+
+    function runTypes() {
+        return flipData.runTypes || {};
+    }
+
+    /* ─── Init ──────────────────────────────────────────── */
+
+    FD.runHistory.init = function () {
+        var $type = $('#flip-rh-type');
+        $.each(runTypes(), function (key, label) {
+            $type.append('<option value="' + h.escapeHtml(key) + '">' + h.escapeHtml(label) + '</option>');
+        });
+        $type.on('change', FD.runHistory.render);
+
+        $('#flip-rh-toggle').on('click', function () {
+            $('#flip-rh-body').slideToggle(200);
+            $(this).find('.flip-reports-arrow').toggleClass('flip-reports-arrow-open');
+            if (!_loaded) FD.runHistory.load();
+        });
+
+        var $rows = $('#flip-rh-rows');
+        $rows.on('click', '.flip-rh-details-btn', function (e) {
+            e.preventDefault();
+            toggleDetails(parseInt($(this).data('run'), 10));
+        });
+        $rows.on('click', '.flip-rh-restore', function () {
+            FD.runHistory.restore(parseInt($(this).data('run'), 10));
+        });
+        $rows.on('click', '.flip-rh-report', function (e) {
+            e.preventDefault();
+            FD.reports.loadReport(parseInt($(this).data('report'), 10));
+        });
+    };
+
+    /** Reload the history if it has been shown (called after each run) */
+    FD.runHistory.refresh = function () {
+        if (_loaded) FD.runHistory.load();
+    };
+
+    /* ─── AJAX ──────────────────────────────────────────── */
+
+    FD.runHistory.load = function () {
+        showStatus('Loading...');
+
+        $.ajax({
+            url: flipData.ajaxUrl,
+            method: 'POST',
+            data: {
+                action: 'flip_get_run_history',
+                nonce: flipData.nonce,
+            },
+            success: function (response) {
+                if (!response.success) {
+                    showStatus(response.data || 'Failed to load run history.', '#cc1818');
+                    return;
+                }
+                _loaded = true;
+                _runs = response.data.runs || [];
+                _trends = response.data.trends || [];
+                showStatus('');
+                FD.runHistory.render();
+            },
+            error: function () {
+                showStatus('Request failed.', '#cc1818');
+            }
+        });
+    };
+
+    function fetchSettings(runId, callback) {
+        if (_settings[runId]) {
+            callback(_settings[runId]);
+            return;
+        }
+
+        $.ajax({
+            url: flipData.ajaxUrl,
+            method: 'POST',
+            data: {
+                action: 'flip_get_run_settings',
+                nonce: flipData.nonce,
+                run_id: runId,
+            },
+            success: function (response) {
+                if (response.success) {
+                    _settings[runId] = response.data.settings;
+                    callback(_settings[runId]);
+                } else {
+                    showStatus(response.data || 'Failed to load run settings.', '#cc1818');
+                }
+            },
+            error: function () {
+                showStatus('Request failed.', '#cc1818');
+            }
+        });
+    }
+
+    FD.runHistory.restore = function (runId) {
+        if (!confirm('Replace the current target cities, target areas, analysis filters and scoring weights '
+            + 'with the settings from run #' + runId + '?\n\nThe page reloads afterwards.')) {
+            return;
+        }
+
+        showStatus('Restoring...');
+        $.ajax({
+            url: flipData.ajaxUrl,
+            method: 'POST',
+            data: {
+                action: 'flip_restore_run',
+                nonce: flipData.nonce,
+                run_id: runId,
+            },
+            success: function (response) {
+                if (response.success) {
+                    alert(response.data.message);
+                    window.location.reload();
+                } else {
+                    showStatus(response.data || 'Restore failed.', '#cc1818');
+                }
+            },
+            error: function () {
+                showStatus('Request failed.', '#cc1818');
+            }
+        });
+    };
+
+    /* ─── Rendering ─────────────────────────────────────── */
+
+    FD.runHistory.render = function () {
+        var type = $('#flip-rh-type').val();
+        var runs = type ? _runs.filter(function (r) { return r.type === type; }) : _runs;
+
+        $('#flip-rh-count').text(_runs.length);
+        $('#flip-rh-empty').toggle(_runs.length === 0);
+        $('#flip-rh-charts, .flip-rh-table').toggle(_runs.length > 0);
+
+        var analyzed = 0;
+        var cost = 0;
+        runs.forEach(function (r) {
+            analyzed += r.analyzed;
+            cost += r.api_cost;
+        });
+        $('#flip-rh-totals').text(runs.length
+            ? runs.length + ' runs · ' + analyzed.toLocaleString() + ' properties · $' + cost.toFixed(2) + ' API cost'
+            : '');
+
+        var html = '';
+        runs.forEach(function (r) {
+            html += buildRow(r);
+        });
+        if (_runs.length && !runs.length) {
+            html = '<tr><td colspan="11" class="flip-rh-none">No runs of this type.</td></tr>';
+        }
+        $('#flip-rh-rows').html(html);
+
+        renderCharts();
+    };
+
+    function buildRow(r) {
+        var report = r.report_name
+            ? '<a href="#" class="flip-rh-report" data-report="' + r.report_id + '">' + h.escapeHtml(r.report_name) + '</a>'
+            : '<span class="flip-rh-muted">' + (r.report_id ? 'Deleted report' : 'Unsaved results') + '</span>';
+        var analyzed = r.analyzed + (r.listings_total && r.listings_total !== r.analyzed ? ' / ' + r.listings_total : '');
+
+        return '<tr class="flip-rh-row" data-run="' + r.id + '">'
+            + '<td>' + formatDate(r.started_at) + '</td>'
+            + '<td>' + h.escapeHtml(runTypes()[r.type] || r.type) + '</td>'
+            + '<td>' + report + '<div class="flip-rh-scope">' + h.escapeHtml(r.scope) + '</div></td>'
+            + '<td>' + formatDuration(r.duration_sec) + '</td>'
+            + '<td>' + analyzed + '</td>'
+            + '<td>' + (r.type === 'photos' ? '&mdash;' : r.viable) + '</td>'
+            + '<td>' + (r.type === 'photos' ? '&mdash;' : r.disqualified) + '</td>'
+            + '<td' + (r.errors ? ' class="flip-rh-errors"' : '') + '>' + r.errors + '</td>'
+            + '<td title="' + (r.input_tokens + r.output_tokens).toLocaleString() + ' tokens">'
+            + (r.api_cost > 0 ? '$' + r.api_cost.toFixed(2) : 'Free') + '</td>'
+            + '<td><span class="flip-rh-status flip-rh-status-' + r.status + '">'
+            + (STATUS_LABELS[r.status] || h.escapeHtml(r.status)) + '</span></td>'
+            + '<td><a href="#" class="flip-rh-details-btn" data-run="' + r.id + '">Details</a></td>'
+            + '</tr>';
+    }
+
+    function toggleDetails(runId) {
+        var $row = $('#flip-rh-rows tr.flip-rh-row[data-run="' + runId + '"]');
+        var $next = $row.next('.flip-rh-details');
+        if ($next.length) {
+            $next.remove();
+            return;
+        }
+
+        fetchSettings(runId, function (settings) {
+            if ($row.next('.flip-rh-details').length) return;
+            $row.after('<tr class="flip-rh-details"><td colspan="11">' + buildDetails(runId, settings) + '</td></tr>');
+        });
+    }
+
+    function buildDetails(runId, s) {
+        var f = s.filters || {};
+        var w = s.weights || {};
+        var areas = (f.target_areas || []).map(function (a) { return a.name; });
+        var html = '<div class="flip-rh-settings">';
+
+        html += h.kv('Target Cities', h.escapeHtml((s.cities || []).join(', ')) || '&mdash;');
+        html += h.kv('Target Areas', h.escapeHtml(areas.join(', ')) || '&mdash;');
+        html += h.kv('Filters', describeFilters(f));
+
+        if (w.main) {
+            var main = $.map(w.main, function (v, k) {
+                return h.escapeHtml(k.charAt(0).toUpperCase() + k.slice(1)) + ' ' + Math.round(v * 100) + '%';
+            });
+            html += h.kv('Weights', main.join(' &middot; '));
+        }
+        if (w.thresholds) {
+            html += h.kv('Thresholds', 'Min profit ' + h.formatCurrency(w.thresholds.min_profit)
+                + ' &middot; Min ROI ' + h.formatPercent(w.thresholds.min_roi, 0));
+        }
+        html += h.kv('Cost Profile', s.cost_profile ? h.escapeHtml(s.cost_profile.name) : '&mdash;');
+
+        html += '</div>'
+            + '<button class="button button-small flip-rh-restore" data-run="' + runId + '">'
+            + '<span class="dashicons dashicons-image-rotate"></span> Restore These Settings</button>';
+        return html;
+    }
+
+    function describeFilters(f) {
+        var parts = [];
+        var range = function (label, min, max, fmt) {
+            if (min === null && max === null) return;
+            fmt = fmt || function (v) { return v; };
+            parts.push(label + ' ' + (min !== null ? fmt(min) : 'any') + '–' + (max !== null ? fmt(max) : 'any'));
+        };
+
+        if ((f.property_sub_types || []).length) parts.push(f.property_sub_types.join(', '));
+        if ((f.statuses || []).length) parts.push(f.statuses.join(', '));
+        range('Price', ifSet(f.min_price), ifSet(f.max_price), h.formatCurrency);
+        range('Sqft', ifSet(f.min_sqft), ifSet(f.max_sqft));
+        range('Built', ifSet(f.year_built_min), ifSet(f.year_built_max));
+        range('DOM', ifSet(f.min_dom), ifSet(f.max_dom));
+        range('Listed', ifSet(f.list_date_from), ifSet(f.list_date_to));
+        if (ifSet(f.min_beds) !== null) parts.push(f.min_beds + '+ beds');
+        if (ifSet(f.min_baths) !== null) parts.push(f.min_baths + '+ baths');
+        if (ifSet(f.min_lot_acres) !== null) parts.push(f.min_lot_acres + '+ acres');
+        if (f.sewer_public_only) parts.push('Public sewer');
+        if (f.has_garage) parts.push('Garage');
+
+        return parts.length ? h.escapeHtml(parts.join(' · ')) : 'None';
+    }
+
+    function ifSet(v) {
+        return v === null || v === undefined || v === '' ? null : v;
+    }
+
+    /* ─── Trend Charts ──────────────────────────────────── */
+
+    function renderCharts() {
+        if (typeof Chart === 'undefined' || !_trends.length) return;
+
+        var labels = _trends.map(function (d) { return d.date.slice(5); });
+
+        if (_charts.volume) _charts.volume.destroy();
+        _charts.volume = new Chart(document.getElementById('flip-rh-volume-chart').getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: labels,
+                datasets: [
+                    { label: 'Viable', data: pluck('viable'), backgroundColor: '#00a32a', borderRadius: 3, stack: 'n' },
+                    { label: 'Disqualified', data: pluck('disqualified'), backgroundColor: '#dcdcde', borderRadius: 3, stack: 'n' },
+                    { label: 'Errors', data: pluck('errors'), backgroundColor: '#d63638', borderRadius: 3, stack: 'n' },
+                ]
+            },
+            options: chartOptions('Properties analyzed per day', {
+                x: { stacked: true, grid: { display: false } },
+                y: { stacked: true, beginAtZero: true, ticks: { precision: 0 }, grid: { color: '#f0f0f0' } },
+            })
+        });
+
+        if (_charts.cost) _charts.cost.destroy();
+        _charts.cost = new Chart(document.getElementById('flip-rh-cost-chart').getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: [
+                    {
+                        label: 'API cost ($)', data: pluck('api_cost'), yAxisID: 'y',
+                        borderColor: '#2271b1', backgroundColor: '#2271b1', tension: 0.2,
+                    },
+                    {
+                        label: 'Seconds per property', data: pluck('sec_per_listing'), yAxisID: 'y1',
+                        borderColor: '#996800', backgroundColor: '#996800', tension: 0.2, spanGaps: true,
+                    },
+                ]
+            },
+            options: chartOptions('API cost and analysis speed per day', {
+                x: { grid: { display: false } },
+                y: { beginAtZero: true, position: 'left', grid: { color: '#f0f0f0' },
+                     ticks: { callback: function (v) { return '$' + v; } } },
+                y1: { beginAtZero: true, position: 'right', grid: { display: false } },
+            })
+        });
+    }
+
+    function pluck(key) {
+        return _trends.map(function (d) { return d[key]; });
+    }
+
+    function chartOptions(title, scales) {
+        return {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                title: { display: true, text: title },
+                legend: {
+                    position: 'top',
+                    labels: { padding: 16, usePointStyle: true }
+                },
+            },
+            scales: scales,
+        };
+    }
+
+    /* ─── Formatting ────────────────────────────────────── */
+
+    function formatDate(mysql) {
+        var d = new Date(mysql.replace(' ', 'T'));
+        return d.toLocaleDateString() + ' ' + d.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    }
+
+    function formatDuration(secs) {
+        if (secs === null) return '&mdash;';
+        var m = Math.floor(secs / 60);
+        var s = secs % 60;
+        return m >= 60
+            ? Math.floor(m / 60) + 'h ' + (m % 60) + 'm'
+            : m + ':' + (s < 10 ? '0' : '') + s;
+    }
+
+    function showStatus(msg, color) {
+        $('#flip-rh-status').text(msg).css('color', color || '#666');
+    }
+
+})(window.FlipDashboard, jQuery);
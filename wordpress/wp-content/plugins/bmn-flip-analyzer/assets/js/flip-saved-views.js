@@ -0,0 +1,198 @@
+/**
+ * FlipDashboard Saved Views — Named filter/sort/column presets per user (v0.28.0).
+ *
+ * A view is the FD.filters.getState() object plus an id and name, stored in
+ * user meta. The last selected view is remembered server-side and re-applied
+ * on load, so each analyst comes back to their own working set. Editing any
+ * control after selecting a view marks it "modified" until saved or reselected.
+ */
+(function (FD, $) {
+    'use strict';
+
+    var h = FD.helpers;
+
+    var _ready = false;
+    var _appliedState = null;
+
+    function findView(id) {
+        var views = flipData.savedViews || [];
+        for (var i = 0; i < views.length; i++) {
+            if (views[i].id === id) return views[i];
+        }
+        return null;
+    }
+
+    /* ─── Init ──────────────────────────────────────────── */
+
+    FD.views.init = function () {
+        // Secondary sort mirrors the primary sort's options
+        $('#filter-sort option').clone().appendTo('#filter-sort2');
+
+        // Column checkboxes come from the table header so they can't drift
+        var $cols = $('#flip-column-toggles');
+        $('#flip-results-table thead th[data-col]').each(function () {
+            $cols.append('<label class="flip-adv-check"><input type="checkbox" class="flip-column-check" value="'
+                + h.escapeHtml($(this).data('col')) + '" checked> ' + h.escapeHtml($(this).text()) + '</label>');
+        });
+
+        $('#flip-adv-toggle').on('click', function () {
+            $('#flip-adv-filters').slideToggle(200);
+            $(this).toggleClass('active');
+        });
+
+        $('.flip-range-input').on('change', FD.filters.applyFilters);
+        $('.flip-road-filter, .flip-market-filter, #filter-sort-dir, #filter-sort2, #filter-sort2-dir')
+            .on('change', FD.filters.applyFilters);
+        $cols.on('change', '.flip-column-check', function () {
+            FD.filters.applyColumns();
+            FD.views.markModified();
+        });
+        $('#flip-adv-reset').on('click', function () {
+            FD.filters.setState(FD.filters.DEFAULT_STATE);
+            FD.filters.applyFilters();
+        });
+
+        $('#flip-view-select').on('change', function () {
+            FD.views.select($(this).val());
+        });
+        $('#flip-view-save').on('click', function () { FD.views.save(false); });
+        $('#flip-view-save-new').on('click', function () { FD.views.save(true); });
+        $('#flip-view-delete').on('click', FD.views.remove);
+
+        _ready = true;
+        FD.views.renderSelect();
+
+        var active = findView(flipData.activeViewId);
+        if (active) {
+            FD.views.apply(active);
+        } else {
+            FD.views.markModified();
+        }
+    };
+
+    /* ─── Rendering ─────────────────────────────────────── */
+
+    FD.views.renderSelect = function () {
+        var $select = $('#flip-view-select');
+        var activeId = flipData.activeViewId || '';
+
+        $select.empty().append('<option value="">Unsaved view</option>');
+        (flipData.savedViews || []).forEach(function (v) {
+            $select.append('<option value="' + h.escapeHtml(v.id) + '"'
+                + (v.id === activeId ? ' selected' : '') + '>'
+                + h.escapeHtml(v.name) + '</option>');
+        });
+
+        $('#flip-view-delete').prop('disabled', !activeId);
+    };
+
+    /**
+     * Apply a view's state to the controls and re-render.
+     */
+    FD.views.apply = function (view) {
+        FD.filters.setState(view);
+        // Compare against the controls as set, so values the DOM can't hold don't read as edits
+        _appliedState = JSON.stringify(FD.filters.getState());
+        FD.filters.applyFilters();
+    };
+
+    /**
+     * Refresh the "modified" marker and the More Filters count.
+     * Called after every re-render; a no-op until init has run.
+     */
+    FD.views.markModified = function () {
+        if (!_ready) return;
+
+        var state = FD.filters.getState();
+        var modified = !!flipData.activeViewId && JSON.stringify(state) !== _appliedState;
+        $('#flip-view-modified').toggle(modified);
+
+        var count = FD.filters.countAdvanced(state);
+        $('#flip-adv-count').text(count).toggle(count > 0);
+    };
+
+    /* ─── AJAX ──────────────────────────────────────────── */
+
+    FD.views.select = function (id) {
+        var view = findView(id);
+        flipData.activeViewId = view ? view.id : '';
+        FD.views.renderSelect();
+
+        if (view) {
+            FD.views.apply(view);
+        } else {
+            _appliedState = null;
+            FD.views.markModified();
+        }
+
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_select_view',
+            nonce: flipData.nonce,
+            view_id: flipData.activeViewId,
+        });
+    };
+
+    FD.views.save = function (asNew) {
+        var current = findView(flipData.activeViewId);
+        var view = FD.filters.getState();
+
+        if (asNew || !current) {
+            var name = prompt('Name for this view:', current ? current.name + ' (copy)' : '');
+            if (name === null) return;
+            name = name.trim();
+            if (!name) {
+                FD.views.showStatus('View name is required.', 'error');
+                return;
+            }
+            view.name = name;
+        } else {
+            view.id = current.id;
+            view.name = current.name;
+        }
+
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_save_view',
+            nonce: flipData.nonce,
+            view: JSON.stringify(view),
+        }, function (resp) {
+            if (resp.success) {
+                flipData.savedViews = resp.data.views;
+                flipData.activeViewId = resp.data.active_id;
+                FD.views.renderSelect();
+                _appliedState = JSON.stringify(FD.filters.getState());
+                FD.views.markModified();
+                FD.views.showStatus(resp.data.message, 'success');
+            } else {
+                FD.views.showStatus(resp.data || 'Save failed.', 'error');
+            }
+        });
+    };
+
+    FD.views.remove = function () {
+        var view = findView(flipData.activeViewId);
+        if (!view || !confirm('Delete the view "' + view.name + '"?')) return;
+
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_delete_view',
+            nonce: flipData.nonce,
+            view_id: view.id,
+        }, function (resp) {
+            if (resp.success) {
+                flipData.savedViews = resp.data.views;
+                flipData.activeViewId = resp.data.active_id;
+                _appliedState = null;
+                FD.views.renderSelect();
+                FD.views.markModified();
+                FD.views.showStatus(resp.data.message, 'success');
+            } else {
+                FD.views.showStatus(resp.data || 'Delete failed.', 'error');
+            }
+        });
+    };
+
+    FD.views.showStatus = function (msg, type) {
+        $('#flip-view-status').text(msg).css('color', type === 'error' ? '#dc3545' : '#198754');
+        setTimeout(function () { $('#flip-view-status').text(''); }, 3000);
+    };
+
+})(window.FlipDashboard, jQuery);
@@ -0,0 +1,327 @@
+/**
+ * FlipDashboard Scope Builder — Line-item renovation budget for ARV projections (v0.25.0).
+ *
+ * Replaces the flat $250/sf custom projection with a picked scope: kitchen, baths,
+ * roof, HVAC, windows, addition, etc., each with an editable quantity and unit cost,
+ * scaled by a finish level. The budget feeds FD.projections.calcProjectionCosts()
+ * (which adds the cost profile's contingency and hold period on top).
+ *
+ * Scopes are saved per listing on the viewed report (FD.data.rehab_scopes) and
+ * survive reruns. The projections table only ever shows the saved scope; edits
+ * in the builder are a draft until "Save to Report". Unit costs are stored with each scope, so later edits to the
+ * defaults below don't change saved budgets.
+ */
+(function (FD, $) {
+    'use strict';
+
+    var h = FD.helpers;
+
+    /** Line-item catalog (mirrors Flip_Database::REHAB_SCOPE_ITEMS). qty(r) suggests a quantity. */
+    FD.scope.ITEMS = [
+        { key: 'kitchen', label: 'Kitchen remodel', unit: 'each', cost: 35000, qty: function () { return 1; } },
+        { key: 'bath_remodel', label: 'Bathroom remodel', unit: 'each', cost: 15000, qty: function (r) { return Math.max(1, Math.floor(r.bathrooms_total || 1)); } },
+        { key: 'bath_add', label: 'New bathroom', unit: 'each', cost: 28000, qty: function () { return 1; } },
+        { key: 'roof', label: 'Roof replacement', unit: 'sq ft', cost: 9, qty: function (r) { return roundTo(r.building_area_total * 0.75, 50); } },
+        { key: 'hvac', label: 'HVAC system', unit: 'each', cost: 14000, qty: function () { return 1; } },
+        { key: 'windows', label: 'Windows', unit: 'window', cost: 950, qty: function (r) { return Math.max(4, Math.round(r.building_area_total / 120)); } },
+        { key: 'flooring', label: 'Flooring', unit: 'sq ft', cost: 9, qty: function (r) { return roundTo(r.building_area_total, 50); } },
+        { key: 'paint', label: 'Interior paint', unit: 'sq ft', cost: 4, qty: function (r) { return roundTo(r.building_area_total, 50); } },
+        { key: 'addition', label: 'Addition', unit: 'sq ft', cost: 250, qty: function () { return 300; } },
+        { key: 'other', label: 'Other / misc', unit: 'lump sum', cost: 5000, qty: function () { return 1; } },
+    ];
+
+    FD.scope.FINISH_LEVELS = {
+        rental: { label: 'Rental grade', multiplier: 0.85 },
+        standard: { label: 'Standard', multiplier: 1.00 },
+        premium: { label: 'Premium', multiplier: 1.30 },
+    };
+
+    function roundTo(v, step) {
+        return Math.max(step, Math.round((v || 0) / step) * step);
+    }
+
+    /* ─── Scope Data ────────────────────────────────────── */
+
+    FD.scope.getSaved = function (listingId) {
+        var scopes = (FD.data && FD.data.rehab_scopes) || {};
+        return scopes[listingId] || null;
+    };
+
+    /** Suggested quantities with nothing selected. */
+    FD.scope.defaultScope = function (r) {
+        var items = {};
+        FD.scope.ITEMS.forEach(function (item) {
+            items[item.key] = { include: false, qty: item.qty(r), unit_cost: item.cost };
+        });
+        return { finish: 'standard', added_beds: 0, items: items };
+    };
+
+    /**
+     * Budget and projected layout for a scope.
+     */
+    FD.scope.calculate = function (r, scope) {
+        var finish = FD.scope.FINISH_LEVELS[scope.finish] || FD.scope.FINISH_LEVELS.standard;
+        var items = scope.items || {};
+        var lines = [];
+        var subtotal = 0;
+
+        FD.scope.ITEMS.forEach(function (def) {
+            var item = items[def.key];
+            if (!item || !item.include) return;
+            var cost = (item.qty || 0) * (item.unit_cost || 0);
+            subtotal += cost;
+            lines.push({ key: def.key, label: def.label, cost: cost });
+        });
+
+        var addedSqft = items.addition && items.addition.include ? (items.addition.qty || 0) : 0;
+        var addedBaths = items.bath_add && items.bath_add.include ? (items.bath_add.qty || 0) : 0;
+
+        return {
+            lines: lines,
+            subtotal: subtotal,
+            budget: Math.round(subtotal * finish.multiplier),
+            sqft: (r.building_area_total || 0) + addedSqft,
+            beds: (r.bedrooms_total || 0) + (scope.added_beds || 0),
+            baths: (r.bathrooms_total || 0) + addedBaths,
+        };
+    };
+
+    /**
+     * ARV and deal costs for a scope, using the projections' comp $/sqft model.
+     */
+    FD.scope.project = function (r, scope) {
+        var calc = FD.scope.calculate(r, scope);
+        var discount = 1 - (r.road_arv_discount || 0);
+        calc.arv = Math.round(r.avg_comp_ppsf * calc.sqft * discount);
+        calc.costs = FD.projections.calcProjectionCosts(r.list_price || 0, calc.arv, calc.budget);
+        return calc;
+    };
+
+    /* ─── Rendering ─────────────────────────────────────── */
+
+    /** "Scope" row for the ARV projections table. */
+    FD.scope.buildProjectionRow = function (pid, calc) {
+        var profitCls = calc.costs.profit >= 0 ? 'flip-positive' : 'flip-negative';
+
+        return '<tr class="flip-proj-scope" id="' + pid + '-scope">'
+            + '<td><strong>Scope</strong> <span style="color:#999;font-size:11px">' + h.formatCurrency(calc.budget) + '</span></td>'
+            + '<td>' + calc.beds + '</td>'
+            + '<td>' + calc.baths + '</td>'
+            + '<td>' + calc.sqft.toLocaleString() + '</td>'
+            + '<td>' + h.formatCurrency(calc.arv) + '</td>'
+            + '<td class="' + profitCls + '">' + h.formatCurrency(calc.costs.profit) + '</td>'
+            + '<td class="' + profitCls + '">' + calc.costs.roi.toFixed(1) + '%</td>'
+            + '</tr>';
+    };
+
+    FD.scope.buildScopeSection = function (r) {
+        if (r.disqualified || !r.avg_comp_ppsf || r.avg_comp_ppsf <= 0) return '';
+
+        var saved = FD.scope.getSaved(r.listing_id);
+        var scope = $.extend(true, FD.scope.defaultScope(r), saved || {});
+        var sid = 'scope-' + r.listing_id;
+
+        var html = '<div class="flip-section flip-scope-section" data-listing="' + r.listing_id + '" id="' + sid + '">';
+        html += '<h4 class="flip-scope-toggle"><span class="dashicons dashicons-hammer"></span> Renovation Scope Builder'
+            + (saved ? ' <span class="flip-scope-saved-badge">Saved</span>' : '')
+            + '<span class="dashicons dashicons-arrow-down-alt2 flip-scope-arrow"></span></h4>';
+
+        html += '<div class="flip-scope-body" style="display:none;">';
+
+        html += '<div class="flip-scope-options">'
+            + '<label>Finish level <select class="flip-scope-finish">';
+        $.each(FD.scope.FINISH_LEVELS, function (key, level) {
+            html += '<option value="' + key + '"' + (scope.finish === key ? ' selected' : '') + '>'
+                + level.label + ' (×' + level.multiplier.toFixed(2) + ')</option>';
+        });
+        html += '</select></label>'
+            + '<label>Added bedrooms <input type="number" class="flip-scope-beds" min="0" max="10" value="' + (scope.added_beds || 0) + '"></label>'
+            + '</div>';
+
+        html += '<table class="flip-comp-table flip-scope-table"><thead><tr>'
+            + '<th></th><th>Line Item</th><th>Qty</th><th>Unit</th><th>Unit Cost</th><th>Total</th>'
+            + '</tr></thead><tbody>';
+
+        FD.scope.ITEMS.forEach(function (def) {
+            var item = scope.items[def.key];
+            html += '<tr class="flip-scope-item" data-key="' + def.key + '">'
+                + '<td><input type="checkbox" class="flip-scope-include"' + (item.include ? ' checked' : '') + '></td>'
+                + '<td>' + def.label + '</td>'
+                + '<td><input type="number" class="flip-scope-qty" min="0" step="any" value="' + item.qty + '"></td>'
+                + '<td>' + def.unit + '</td>'
+                + '<td>$<input type="number" class="flip-scope-cost" min="0" step="any" value="' + item.unit_cost + '"></td>'
+                + '<td class="flip-scope-line">--</td>'
+                + '</tr>';
+        });
+
+        html += '</tbody></table>';
+        html += '<div class="flip-scope-summary"></div>';
+
+        html += '<div class="flip-scope-actions">'
+            + '<button type="button" class="button button-primary button-small flip-scope-save">Save to Report</button> '
+            + '<button type="button" class="button button-small flip-scope-clear"' + (saved ? '' : ' disabled') + '>Remove Saved Scope</button>'
+            + '<span class="flip-scope-status"></span>'
+            + '</div>';
+
+        html += '</div></div>';
+        return html;
+    };
+
+    /** Read the builder's inputs back into a scope object. */
+    FD.scope.collect = function ($section) {
+        var scope = {
+            finish: $section.find('.flip-scope-finish').val(),
+            added_beds: parseInt($section.find('.flip-scope-beds').val(), 10) || 0,
+            items: {},
+        };
+
+        $section.find('.flip-scope-item').each(function () {
+            var $row = $(this);
+            scope.items[$row.data('key')] = {
+                include: $row.find('.flip-scope-include').is(':checked'),
+                qty: parseFloat($row.find('.flip-scope-qty').val()) || 0,
+                unit_cost: parseFloat($row.find('.flip-scope-cost').val()) || 0,
+            };
+        });
+
+        return scope;
+    };
+
+    FD.scope.refresh = function ($section) {
+        var r = findResult($section.data('listing'));
+        if (!r) return;
+
+        var scope = FD.scope.collect($section);
+        var calc = FD.scope.project(r, scope);
+
+        $section.find('.flip-scope-item').each(function () {
+            var item = scope.items[$(this).data('key')];
+            $(this).toggleClass('flip-scope-item-off', !item.include)
+                .find('.flip-scope-line').text(item.include ? h.formatCurrency(item.qty * item.unit_cost) : '--');
+        });
+
+        var $summary = $section.find('.flip-scope-summary');
+        var draftNote = $section.data('dirty')
+            ? '<p class="flip-scope-draft">Unsaved draft — the projections use '
+                + (FD.scope.getSaved(r.listing_id) ? 'the saved scope' : 'no scope') + ' until you save.</p>'
+            : '';
+
+        if (!calc.lines.length) {
+            $summary.html(draftNote + '<p class="flip-no-data">Select line items to build a rehab budget.</p>');
+            return;
+        }
+
+        var cls = calc.costs.profit >= 0 ? 'flip-positive' : 'flip-negative';
+        var finish = FD.scope.FINISH_LEVELS[scope.finish] || FD.scope.FINISH_LEVELS.standard;
+
+        $summary.html(draftNote + '<div class="flip-kv-list">'
+            + h.kv('Line Items', h.formatCurrency(calc.subtotal))
+            + h.kv('Rehab Budget', '<strong>' + h.formatCurrency(calc.budget) + '</strong>'
+                + ' <span style="color:#999;font-size:11px">(' + finish.label + ', vs. ' + h.formatCurrency(r.estimated_rehab_cost) + ' estimated)</span>')
+            + h.kv('Projected Layout', calc.beds + ' bd / ' + calc.baths + ' ba / ' + calc.sqft.toLocaleString() + ' sqft')
+            + h.kv('Projected ARV', h.formatCurrency(calc.arv))
+            + h.kv('Profit', '<span class="' + cls + '">' + h.formatCurrency(calc.costs.profit) + '</span>')
+            + h.kv('Cash-on-Cash ROI', '<span class="' + cls + '">' + calc.costs.roi.toFixed(1) + '%</span>')
+            + '</div>');
+    };
+
+    /** Rebuild the projections table's Scope row from the saved scope (removes it when there is none). */
+    function syncProjectionRow($section) {
+        var listingId = $section.data('listing');
+        var pid = 'proj-' + listingId;
+        var $pane = $section.closest('.flip-tab-pane');
+        var $row = $pane.find('#' + pid + '-scope');
+        var saved = FD.scope.getSaved(listingId);
+        var r = findResult(listingId);
+
+        if (!saved || !r) {
+            $row.remove();
+            return;
+        }
+
+        var html = FD.scope.buildProjectionRow(pid, FD.scope.project(r, saved));
+        if ($row.length) {
+            $row.replaceWith(html);
+        } else {
+            $pane.find('.flip-proj-custom[data-pid="' + pid + '"]').before(html);
+        }
+    }
+
+    function findResult(listingId) {
+        var results = (FD.data && FD.data.results) || [];
+        for (var i = 0; i < results.length; i++) {
+            if (results[i].listing_id === listingId) return results[i];
+        }
+        return null;
+    }
+
+    function viewedReportId() {
+        if (FD.activeReportId) return FD.activeReportId;
+        return FD.data && FD.data.report ? parseInt(FD.data.report.id, 10) : null;
+    }
+
+    /* ─── AJAX ──────────────────────────────────────────── */
+
+    FD.scope.save = function ($section, remove) {
+        var reportId = viewedReportId();
+        if (!reportId) {
+            showStatus($section, 'Run or load a saved report to keep scopes.', 'error');
+            return;
+        }
+
+        $.post(flipData.ajaxUrl, {
+            action: 'flip_save_rehab_scope',
+            nonce: flipData.nonce,
+            report_id: reportId,
+            listing_id: $section.data('listing'),
+            scope: remove ? '' : JSON.stringify(FD.scope.collect($section)),
+        }, function (resp) {
+            if (resp.success) {
+                FD.data.rehab_scopes = resp.data.rehab_scopes;
+                $section.data('dirty', !!remove);
+                syncProjectionRow($section);
+                FD.scope.refresh($section);
+                $section.find('.flip-scope-clear').prop('disabled', remove);
+                $section.find('.flip-scope-saved-badge').remove();
+                if (!remove) {
+                    $section.find('.flip-scope-toggle .flip-scope-arrow')
+                        .before('<span class="flip-scope-saved-badge">Saved</span>');
+                }
+                showStatus($section, resp.data.message, 'success');
+            } else {
+                showStatus($section, resp.data || 'Save failed.', 'error');
+            }
+        });
+    };
+
+    function showStatus($section, msg, type) {
+        var $status = $section.find('.flip-scope-status');
+        $status.text(msg).css('color', type === 'error' ? '#dc3545' : '#198754');
+        setTimeout(function () { $status.text(''); }, 3000);
+    }
+
+    /* ─── Events (delegated; detail rows are rebuilt on every render) ── */
+
+    $(document).on('click', '.flip-scope-toggle', function () {
+        var $section = $(this).closest('.flip-scope-section');
+        $section.find('.flip-scope-body').slideToggle(200);
+        $section.find('.flip-scope-arrow').toggleClass('dashicons-arrow-down-alt2 dashicons-arrow-up-alt2');
+        FD.scope.refresh($section);
+    });
+
+    $(document).on('input change', '.flip-scope-section input, .flip-scope-section select', function () {
+        var $section = $(this).closest('.flip-scope-section');
+        $section.data('dirty', true);
+        FD.scope.refresh($section);
+    });
+
+    $(document).on('click', '.flip-scope-save', function () {
+        FD.scope.save($(this).closest('.flip-scope-section'), false);
+    });
+
+    $(document).on('click', '.flip-scope-clear', function () {
+        if (!confirm('Remove the saved renovation scope for this property?')) return;
+        FD.scope.save($(this).closest('.flip-scope-section'), true);
+    });
+
+})(window.FlipDashboard, jQuery);
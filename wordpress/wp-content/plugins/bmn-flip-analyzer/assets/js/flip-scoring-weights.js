@@ -149,6 +149,7 @@
                 );
                 if (response.success) {
                     flipData.scoringWeights = response.data.weights;
+                    FD.weightBacktest.clear();
                     FD.scoringWeights.showStatus('#flip-sw-status', 'Weights saved.', 'success');
                 } else {
                     FD.scoringWeights.showStatus('#flip-sw-status', response.data || 'Save failed.', 'error');
@@ -179,6 +180,7 @@
                 if (response.success) {
                     flipData.scoringWeights = response.data.weights;
                     FD.scoringWeights.populate(response.data.weights);
+                    FD.weightBacktest.clear();
                     FD.scoringWeights.showStatus('#flip-sw-status', 'Reset to defaults.', 'success');
                 }
             },
@@ -5,12 +5,22 @@
  * Uses flipData.data.results to populate the property selector and comparison table.
  *
  * v0.16.0: Initial implementation.
+ * v0.23.0: Multi-property mode — strategies × properties matrix for a shortlist
+ *          of up to MAX_COMPARE results, with best-strategy highlighting and CSV export.
  */
 (function ($) {
     'use strict';
 
     var h = window.FlipDashboard ? window.FlipDashboard.helpers : null;
 
+    var MAX_COMPARE = 5;
+
+    var STRATEGIES = [
+        { key: 'flip', label: 'Flip' },
+        { key: 'rental', label: 'Rental Hold' },
+        { key: 'brrrr', label: 'BRRRR' },
+    ];
+
     $(document).ready(function () {
         if (!h) return;
 
@@ -46,12 +56,196 @@
             $('#flip-comparison-empty').hide();
             $('#flip-comparison-content').show();
         });
+
+        initMultiCompare(results);
     });
 
+    /**
+     * Capital required, annualized return and score per strategy.
+     * Shared by the single-property table and the multi-property matrix.
+     */
+    function getStrategyMetrics(r) {
+        var rental = r.rental_analysis.rental || {};
+        var brrrr = r.rental_analysis.brrrr || {};
+        var scores = (r.rental_analysis.strategy || {}).scores || {};
+
+        var pick = function (perStrategy, fallback) {
+            return perStrategy !== null && perStrategy !== undefined ? perStrategy : (fallback || 0);
+        };
+
+        return {
+            flip: {
+                capital: r.list_price + r.estimated_rehab_cost + (r.list_price * 0.015),
+                annualized: r.annualized_roi,
+                score: pick(r.flip_score, scores.flip),
+            },
+            rental: {
+                capital: rental.total_investment,
+                annualized: rental.cap_rate,
+                score: pick(r.rental_score, scores.rental),
+            },
+            brrrr: {
+                capital: brrrr.total_cash_in,
+                annualized: brrrr.post_refi_cash_on_cash,
+                score: pick(r.brrrr_score, scores.brrrr),
+            },
+        };
+    }
+
+    function getBestStrategy(r, metrics) {
+        if (r.best_strategy) return r.best_strategy;
+        var strategy = r.rental_analysis.strategy || {};
+        if (strategy.recommended) return strategy.recommended;
+
+        var best = 'flip';
+        STRATEGIES.forEach(function (s) {
+            if (metrics[s.key].score > metrics[best].score) best = s.key;
+        });
+        return best;
+    }
+
+    /* ─── Multi-Property Comparison ─────────────────────── */
+
+    function initMultiCompare(results) {
+        var $list = $('#flip-compare-list');
+        var eligible = results.filter(function (r) { return r.rental_analysis; });
+
+        eligible.forEach(function (r) {
+            var label = r.address + ', ' + r.city + ' — ' + h.formatCurrency(r.list_price)
+                + ' (Score: ' + r.total_score.toFixed(0) + ')';
+            $list.append('<label class="flip-compare-option">'
+                + '<input type="checkbox" value="' + r.listing_id + '"> '
+                + h.escapeHtml(label) + '</label>');
+        });
+
+        $('input[name="flip-comparison-mode"]').on('change', function () {
+            var multi = $(this).val() === 'multi';
+            $('#flip-single-select').toggle(!multi);
+            $('#flip-multi-select').toggle(multi);
+            $('#flip-comparison-content').hide();
+            $('#flip-multi-content').hide();
+            $('#flip-comparison-empty').show().text(multi
+                ? 'Select 2–' + MAX_COMPARE + ' properties above to compare strategies across your shortlist.'
+                : 'Select a property above to see strategy comparison.');
+            if (multi) renderSelected();
+        });
+
+        $list.on('change', 'input[type="checkbox"]', function () {
+            var checked = $list.find('input:checked').length;
+            $list.find('input:not(:checked)').prop('disabled', checked >= MAX_COMPARE);
+            $('#flip-compare-count').text(checked + ' / ' + MAX_COMPARE + ' selected');
+            renderSelected();
+        });
+
+        $('#flip-compare-export').on('click', function () {
+            exportMatrixCSV(getSelected());
+        });
+
+        function getSelected() {
+            var ids = $list.find('input:checked').map(function () {
+                return parseInt($(this).val(), 10);
+            }).get();
+            return eligible.filter(function (r) { return ids.indexOf(r.listing_id) !== -1; });
+        }
+
+        function renderSelected() {
+            var selected = getSelected();
+            if (selected.length < 2) {
+                $('#flip-multi-content').hide();
+                $('#flip-comparison-empty').show();
+                return;
+            }
+            renderMatrix(selected);
+            $('#flip-comparison-empty').hide();
+            $('#flip-multi-content').show();
+        }
+    }
+
+    function renderMatrix(selected) {
+        var rows = selected.map(function (r) {
+            var metrics = getStrategyMetrics(r);
+            return { r: r, metrics: metrics, best: getBestStrategy(r, metrics) };
+        });
+
+        // Top annualized return per strategy across the shortlist
+        var topReturn = {};
+        STRATEGIES.forEach(function (s) {
+            rows.forEach(function (row) {
+                var v = row.metrics[s.key].annualized;
+                if (v !== null && v !== undefined && (topReturn[s.key] === undefined || v > topReturn[s.key])) {
+                    topReturn[s.key] = v;
+                }
+            });
+        });
+
+        var $tbody = $('#flip-multi-body').empty();
+        rows.forEach(function (row) {
+            var r = row.r;
+            var html = '<tr>'
+                + '<td><strong>' + h.escapeHtml(r.address) + '</strong><br>'
+                + '<span style="font-size:11px;color:#999">' + h.escapeHtml(r.city) + ' — ' + h.formatCurrency(r.list_price) + '</span></td>';
+
+            STRATEGIES.forEach(function (s) {
+                var m = row.metrics[s.key];
+                var cls = row.best === s.key ? ' flip-best-cell' : '';
+                var star = m.annualized === topReturn[s.key] && m.annualized !== undefined
+                    ? ' <span class="flip-compare-top" title="Highest ' + s.label + ' return in shortlist">★</span>' : '';
+
+                html += '<td class="flip-compare-group-start' + cls + '">' + Math.round(m.score) + '</td>'
+                    + '<td class="' + cls.trim() + '">' + h.formatCurrency(m.capital) + '</td>'
+                    + '<td class="' + cls.trim() + '">' + h.formatPercent(m.annualized) + star + '</td>';
+            });
+
+            html += '<td>' + h.strategyBadge({
+                recommended: row.best,
+                scores: { flip: Math.round(row.metrics.flip.score), rental: Math.round(row.metrics.rental.score), brrrr: Math.round(row.metrics.brrrr.score) },
+            }) + '</td></tr>';
+
+            $tbody.append(html);
+        });
+    }
+
+    function exportMatrixCSV(selected) {
+        if (selected.length === 0) {
+            alert('Select properties to export.');
+            return;
+        }
+
+        var quote = function (v) { return '"' + String(v === null || v === undefined ? '' : v).replace(/"/g, '""') + '"'; };
+        var num = function (v, d) { return v === null || v === undefined || isNaN(v) ? '' : Number(v).toFixed(d); };
+
+        var headers = ['MLS#', 'Address', 'City', 'List Price', 'Best Strategy'];
+        STRATEGIES.forEach(function (s) {
+            headers.push(s.label + ' Score', s.label + ' Capital Required', s.label + ' Annualized Return %');
+        });
+
+        var lines = selected.map(function (r) {
+            var metrics = getStrategyMetrics(r);
+            var cells = [r.listing_id, quote(r.address), quote(r.city), num(r.list_price, 0), getBestStrategy(r, metrics)];
+            STRATEGIES.forEach(function (s) {
+                cells.push(num(metrics[s.key].score, 1), num(metrics[s.key].capital, 0), num(metrics[s.key].annualized, 2));
+            });
+            return cells.join(',');
+        });
+
+        var csv = headers.map(quote).join(',') + '\n' + lines.join('\n');
+        var blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        var url = URL.createObjectURL(blob);
+
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = 'flip-strategy-comparison-' + new Date().toISOString().slice(0, 10) + '.csv';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
     function renderComparison(r) {
         var rental = r.rental_analysis.rental || {};
         var brrrr = r.rental_analysis.brrrr || {};
         var strategy = r.rental_analysis.strategy || {};
+        var metrics = getStrategyMetrics(r);
 
         $('#flip-comparison-title').text(r.address + ', ' + r.city);
 
@@ -63,9 +257,9 @@
         var rows = [
             {
                 label: 'Total Cash Required',
-                flip: h.formatCurrency(r.list_price + r.estimated_rehab_cost + (r.list_price * 0.015)),
-                rental: h.formatCurrency(rental.total_investment),
-                brrrr: h.formatCurrency(brrrr.total_cash_in),
+                flip: h.formatCurrency(metrics.flip.capital),
+                rental: h.formatCurrency(metrics.rental.capital),
+                brrrr: h.formatCurrency(metrics.brrrr.capital),
                 best: 'min',
             },
             {
@@ -84,9 +278,9 @@
             },
             {
                 label: 'Annualized Return',
-                flip: h.formatPercent(r.annualized_roi),
-                rental: h.formatPercent(rental.cap_rate),
-                brrrr: h.formatPercent(brrrr.post_refi_cash_on_cash),
+                flip: h.formatPercent(metrics.flip.annualized),
+                rental: h.formatPercent(metrics.rental.annualized),
+                brrrr: h.formatPercent(metrics.brrrr.annualized),
                 best: 'max',
             },
             {
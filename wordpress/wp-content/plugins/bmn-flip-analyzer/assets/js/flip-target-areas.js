@@ -0,0 +1,270 @@
+/**
+ * FlipDashboard Target Areas — Drawn polygons that widen the analysis scope (v0.34.0).
+ *
+ * Each area is { name, path: [[lat, lng], ...] }, saved as target_areas in
+ * the analysis filters. Drawing or removing an area saves only the areas
+ * (flip_save_target_areas); the filter panel's Save sends them along with
+ * the rest (FD.analysisFilters.collect()). Runs consider listings
+ * in the target cities OR inside any area, so a neighborhood or corridor can
+ * be targeted without adding its whole city. Reports and monitors keep the
+ * areas in their filters snapshot, so re-runs use the same shapes.
+ *
+ * Draw by clicking the map to place corners; double-click or "Finish" closes
+ * the shape. The Maps API is shared with the results map (FD.map.loadApi).
+ */
+(function (FD, $) {
+    'use strict';
+
+    var h = FD.helpers;
+
+    var MAX_AREAS = 10;
+    var MAX_POINTS = 100;
+    var COLOR = '#2271b1';
+
+    var _areas = [];
+    var _map = null;
+    var _polygons = [];
+
+    // Drawing
+    var _drawing = false;
+    var _drawPath = [];
+    var _drawShape = null;
+    var _listeners = [];
+
+    /* ─── Init ──────────────────────────────────────────── */
+
+    FD.targetAreas.init = function () {
+        FD.targetAreas.load((flipData.filters || {}).target_areas);
+
+        $('#flip-ta-draw').on('click', function () {
+            if (_areas.length >= MAX_AREAS) {
+                showStatus('Maximum of ' + MAX_AREAS + ' target areas. Remove one first.', '#cc1818');
+                return;
+            }
+            openMap(FD.targetAreas.startDrawing);
+        });
+        $('#flip-ta-finish').on('click', finishDrawing);
+        $('#flip-ta-cancel').on('click', stopDrawing);
+        $('#flip-ta-map-toggle').on('click', function () {
+            if ($('#flip-ta-canvas').is(':visible')) {
+                stopDrawing();
+                $('#flip-ta-canvas').slideUp(200);
+                $(this).text('Show Map');
+            } else {
+                openMap();
+            }
+        });
+
+        $('#flip-ta-tags').on('click', '.flip-city-remove', function () {
+            FD.targetAreas.remove(parseInt($(this).data('idx'), 10));
+        });
+        $('#flip-ta-tags').on('click', '.flip-ta-name', function (e) {
+            e.preventDefault();
+            var area = _areas[$(this).data('idx')];
+            openMap(function () { fitAreas([area]); });
+        });
+    };
+
+    /** Current areas (copies), in the shape saved with the analysis filters */
+    FD.targetAreas.get = function () {
+        return _areas.map(function (a) {
+            return { name: a.name, path: a.path.slice() };
+        });
+    };
+
+    FD.targetAreas.load = function (areas) {
+        _areas = (areas || []).slice();
+        FD.targetAreas.render();
+    };
+
+    /* ─── Rendering ─────────────────────────────────────── */
+
+    FD.targetAreas.render = function () {
+        var html = '';
+        _areas.forEach(function (a, i) {
+            html += '<span class="flip-city-tag flip-ta-tag">'
+                + '<a href="#" class="flip-ta-name" data-idx="' + i + '" title="Show on map">' + h.escapeHtml(a.name) + '</a>'
+                + '<button class="flip-city-remove" data-idx="' + i + '" title="Remove ' + h.escapeHtml(a.name) + '">&times;</button>'
+                + '</span>';
+        });
+
+        $('#flip-ta-tags').html(html || '<span class="flip-ta-none">No target areas.</span>');
+        renderPolygons();
+    };
+
+    function renderPolygons() {
+        if (!_map) return;
+
+        _polygons.forEach(function (p) { p.setMap(null); });
+        // Not clickable, so corners of a new area can be placed inside an existing one
+        _polygons = _areas.map(function (a) {
+            return new google.maps.Polygon({
+                map: _map,
+                paths: toLatLngs(a.path),
+                strokeColor: COLOR,
+                strokeWeight: 2,
+                fillColor: COLOR,
+                fillOpacity: 0.12,
+                clickable: false,
+            });
+        });
+    }
+
+    function toLatLngs(path) {
+        return path.map(function (p) { return { lat: p[0], lng: p[1] }; });
+    }
+
+    /* ─── Map ───────────────────────────────────────────── */
+
+    function openMap(callback) {
+        $('#flip-ta-map-toggle').text('Hide Map');
+        $('#flip-ta-canvas').slideDown(200, function () {
+            FD.map.loadApi(function () {
+                createMap();
+                if (callback) callback();
+            });
+        });
+    }
+
+    function createMap() {
+        if (_map) return;
+
+        _map = new google.maps.Map(document.getElementById('flip-ta-canvas'), {
+            center: { lat: 42.36, lng: -71.06 }, // Boston until areas are fitted
+            zoom: 11,
+            streetViewControl: false,
+            mapTypeControl: false,
+            clickableIcons: false,
+        });
+
+        renderPolygons();
+        if (_areas.length) fitAreas(_areas);
+    }
+
+    function fitAreas(areas) {
+        var bounds = new google.maps.LatLngBounds();
+        areas.forEach(function (a) {
+            toLatLngs(a.path).forEach(function (p) { bounds.extend(p); });
+        });
+        _map.fitBounds(bounds);
+    }
+
+    /* ─── Drawing ───────────────────────────────────────── */
+
+    FD.targetAreas.startDrawing = function () {
+        if (!_map || _drawing) return;
+
+        _drawing = true;
+        _drawPath = [];
+        _map.setOptions({ disableDoubleClickZoom: true, draggableCursor: 'crosshair' });
+        _drawShape = new google.maps.Polygon({
+            map: _map,
+            paths: [],
+            strokeColor: '#d9002c',
+            strokeWeight: 2,
+            fillColor: '#d9002c',
+            fillOpacity: 0.08,
+            clickable: false,
+        });
+
+        _listeners.push(_map.addListener('click', function (e) {
+            if (_drawPath.length >= MAX_POINTS) return;
+            _drawPath.push(e.latLng);
+            _drawShape.setPath(_drawPath);
+        }));
+        _listeners.push(_map.addListener('dblclick', finishDrawing));
+
+        $('#flip-ta-draw').prop('disabled', true);
+        $('#flip-ta-finish, #flip-ta-cancel').show();
+        showStatus('Click to place corners, double-click to finish.', '#666');
+    };
+
+    function stopDrawing() {
+        if (!_drawing) return;
+
+        _drawing = false;
+        _listeners.forEach(function (l) { google.maps.event.removeListener(l); });
+        _listeners = [];
+        if (_drawShape) _drawShape.setMap(null);
+        _drawShape = null;
+        _map.setOptions({ disableDoubleClickZoom: false, draggableCursor: null });
+
+        $('#flip-ta-draw').prop('disabled', false);
+        $('#flip-ta-finish, #flip-ta-cancel').hide();
+        showStatus('');
+    }
+
+    function finishDrawing() {
+        // A double-click also lands two clicks on the same spot
+        var path = [];
+        _drawPath.forEach(function (ll) {
+            var point = [+ll.lat().toFixed(6), +ll.lng().toFixed(6)];
+            var last = path[path.length - 1];
+            if (!last || last[0] !== point[0] || last[1] !== point[1]) path.push(point);
+        });
+        stopDrawing();
+
+        if (path.length < 3) {
+            showStatus('An area needs at least 3 corners.', '#cc1818');
+            return;
+        }
+
+        var name = prompt('Name this target area:', 'Area ' + (_areas.length + 1));
+        if (name === null) return;
+
+        _areas.push({ name: $.trim(name) || 'Area ' + (_areas.length + 1), path: path });
+        FD.targetAreas.render();
+        FD.targetAreas.save();
+    }
+
+    FD.targetAreas.remove = function (idx) {
+        var area = _areas[idx];
+        if (!area) return;
+
+        if (!(FD.data.cities || []).length && _areas.length === 1) {
+            alert('You must have at least one target city or target area.');
+            return;
+        }
+        if (!confirm('Remove target area "' + area.name + '"?')) return;
+
+        _areas.splice(idx, 1);
+        FD.targetAreas.render();
+        FD.targetAreas.save();
+    };
+
+    /* ─── AJAX ──────────────────────────────────────────── */
+
+    /** Save the areas alone; other analysis filters keep their saved values. */
+    FD.targetAreas.save = function () {
+        showStatus('Saving...');
+
+        $.ajax({
+            url: flipData.ajaxUrl,
+            method: 'POST',
+            data: {
+                action: 'flip_save_target_areas',
+                nonce: flipData.nonce,
+                target_areas: JSON.stringify(FD.targetAreas.get()),
+            },
+            success: function (response) {
+                if (response.success) {
+                    flipData.filters = $.extend({}, flipData.filters, { target_areas: response.data.target_areas });
+                    FD.targetAreas.load(response.data.target_areas);
+                    showStatus(response.data.message, '#00a32a');
+                } else {
+                    showStatus('Error: ' + (response.data || 'Unknown'), '#cc1818');
+                }
+                setTimeout(function () { $('#flip-ta-status').fadeOut(); }, 3000);
+            },
+            error: function () {
+                showStatus('Request failed.', '#cc1818');
+                setTimeout(function () { $('#flip-ta-status').fadeOut(); }, 3000);
+            }
+        });
+    };
+
+    function showStatus(msg, color) {
+        $('#flip-ta-status').stop(true, true).text(msg).css('color', color || '#666').show();
+    }
+
+})(window.FlipDashboard, jQuery);
@@ -0,0 +1,150 @@
+/**
+ * FlipDashboard Weight Backtest — Replay weights against resold properties (v0.32.0).
+ *
+ * Sends the main category weights currently in the Scoring Weights inputs
+ * (unsaved) to the server, which ranks analyzed properties with a known
+ * resale by both those weights and the saved weights. Shows Spearman rank
+ * correlation and precision@N against realized profit side by side, so a
+ * change can be judged before it is saved. Sub-weights aren't replayed —
+ * only group scores are stored.
+ */
+(function (FD, $) {
+    'use strict';
+
+    var h = FD.helpers;
+
+    /* ─── Init ──────────────────────────────────────────── */
+
+    FD.weightBacktest.init = function () {
+        $('#flip-run-backtest').on('click', FD.weightBacktest.run);
+
+        // Results describe the inputs they were run with
+        $('.flip-sw-group[data-group="main"]').on('input', '.flip-sw-input', function () {
+            if ($('#flip-bt-results').children().length) {
+                $('#flip-bt-stale').show();
+            }
+        });
+    };
+
+    FD.weightBacktest.clear = function () {
+        $('#flip-bt-results').empty();
+        $('#flip-bt-stale').hide();
+    };
+
+    /* ─── AJAX ──────────────────────────────────────────── */
+
+    FD.weightBacktest.run = function () {
+        var weights = FD.scoringWeights.collect();
+        var sum = 0;
+        $.each(weights.main, function (key, val) { sum += val; });
+
+        if (Math.abs(sum - 1) >= 0.005) {
+            FD.scoringWeights.showStatus('#flip-bt-status', 'Main category weights must sum to 100%.', 'error');
+            return;
+        }
+
+        var $btn = $('#flip-run-backtest').prop('disabled', true).text('Running...');
+        var restore = function () {
+            $btn.prop('disabled', false).text('Run Backtest');
+        };
+
+        $.ajax({
+            url: flipData.ajaxUrl,
+            method: 'POST',
+            timeout: 120000,
+            data: {
+                action: 'flip_backtest_weights',
+                nonce: flipData.nonce,
+                weights: JSON.stringify({ main: weights.main }),
+                top_n: parseInt($('#flip-bt-top-n').val(), 10) || 10,
+                refresh: $('#flip-bt-refresh').is(':checked') ? 1 : 0,
+            },
+            success: function (response) {
+                restore();
+                if (response.success) {
+                    $('#flip-bt-refresh').prop('checked', false);
+                    $('#flip-bt-stale').hide();
+                    $('#flip-bt-results').html(FD.weightBacktest.buildResults(response.data));
+                } else {
+                    FD.weightBacktest.clear();
+                    FD.scoringWeights.showStatus('#flip-bt-status', response.data || 'Backtest failed.', 'error');
+                }
+            },
+            error: function () {
+                restore();
+                FD.scoringWeights.showStatus('#flip-bt-status', 'Request failed.', 'error');
+            }
+        });
+    };
+
+    /* ─── Rendering ─────────────────────────────────────── */
+
+    FD.weightBacktest.buildResults = function (data) {
+        var html = '<p class="description">' + data.samples + ' resold properties; '
+            + (data.base_rate * 100).toFixed(0) + '% cleared ' + h.formatCurrency(data.min_profit)
+            + ' realized profit (the saved Min Profit threshold).</p>';
+
+        html += FD.weightBacktest.buildMetricsTable(data);
+        html += '<h4>Top ' + data.top_n + ' by Candidate Weights</h4>';
+        html += FD.weightBacktest.buildTopTable(data.top);
+
+        return html;
+    };
+
+    FD.weightBacktest.buildMetricsTable = function (data) {
+        var pct = function (v) { return (v * 100).toFixed(0) + '%'; };
+        var rho = function (v) { return v !== null ? v.toFixed(3) : 'N/A'; };
+
+        // [label, key, formatter, delta formatter]
+        var rows = [
+            ['Rank Correlation (Spearman &rho;)', 'spearman', rho, function (d) { return d.toFixed(3); }],
+            ['Precision@' + data.top_n, 'precision', pct, function (d) { return (d * 100).toFixed(0) + ' pts'; }],
+            ['Hits in Top ' + data.top_n, 'hits', String, String],
+            ['Avg Realized Profit, Top ' + data.top_n, 'avg_profit', h.formatCurrency, h.formatCurrency],
+        ];
+
+        var html = '<table class="flip-comp-table flip-bt-table"><thead><tr>'
+            + '<th></th><th>Saved</th><th>Candidate</th><th>Change</th></tr></thead><tbody>';
+
+        rows.forEach(function (row) {
+            var saved = data.saved[row[1]];
+            var cand = data.candidate[row[1]];
+            var change = '&mdash;';
+
+            if (saved !== null && cand !== null) {
+                var d = cand - saved;
+                var cls = d > 0 ? 'flip-positive' : (d < 0 ? 'flip-negative' : '');
+                change = '<span class="' + cls + '">' + (d > 0 ? '+' : '') + row[3](d) + '</span>';
+            }
+
+            html += '<tr><td><strong>' + row[0] + '</strong></td>'
+                + '<td>' + row[2](saved) + '</td>'
+                + '<td>' + row[2](cand) + '</td>'
+                + '<td>' + change + '</td></tr>';
+        });
+
+        html += '</tbody></table>';
+        return html;
+    };
+
+    FD.weightBacktest.buildTopTable = function (top) {
+        var html = '<table class="flip-comp-table flip-bt-table"><thead><tr>'
+            + '<th>#</th><th>Property</th><th>Score</th><th>Saved Rank</th>'
+            + '<th>Purchase</th><th>Resale</th><th>Realized Profit</th></tr></thead><tbody>';
+
+        top.forEach(function (t) {
+            html += '<tr><td>' + t.rank + '</td>'
+                + '<td>' + h.escapeHtml(t.address) + ', ' + h.escapeHtml(t.city) + '</td>'
+                + '<td>' + t.score.toFixed(1) + '</td>'
+                + '<td>' + t.saved_rank + '</td>'
+                + '<td>' + h.formatCurrency(t.purchase_price) + '</td>'
+                + '<td>' + h.formatCurrency(t.resale_price) + '</td>'
+                + '<td class="' + (t.realized_profit >= 0 ? 'flip-positive' : 'flip-negative') + '">'
+                + h.formatCurrency(t.realized_profit) + '</td></tr>';
+        });
+
+        html += '</tbody></table>';
+        return html;
+    };
+
+})(window.FlipDashboard, jQuery);
@@ -2,10 +2,215 @@
 /**
  * Plugin Name: BMN Flip Analyzer
  * Description: Identifies residential investment property candidates by scoring properties on financial viability, attributes, location, market timing, and photo analysis. Supports SFR, multifamily, and Residential Income properties.
- * Version: 0.20.1
+ * Version: 0.35.0
  * Author: BMN Boston
  * Requires PHP: 8.0
  *
+ * Version 0.35.0 - Run History
+ * - Add: Every analysis, re-run, photo and monitor run is recorded with its
+ *   duration, properties analyzed, viable/DQ counts, errors, API cost and
+ *   tokens, plus a snapshot of the cities, filters (incl. target areas),
+ *   scoring weights and cost profile in effect
+ * - Add: Run History card with a filterable run table, per-day trend charts
+ *   (volume, API cost, seconds per property) and a per-run settings view
+ * - Add: "Restore These Settings" makes a past run's settings current so it
+ *   can be reproduced (flip_restore_run)
+ * - Add: flip_get_run_history and flip_get_run_settings AJAX endpoints;
+ *   batch/finalize requests carry run_id, and failed batches are recorded
+ *   as run errors
+ * - Runs that never finalize are marked abandoned after 2 hours; history
+ *   keeps the latest 200 runs
+ * - DB migration: create_runs_table() adds wp_bmn_flip_runs
+ * - Modified: class-flip-database.php, class-flip-admin-dashboard.php,
+ *   class-flip-report-ajax.php, class-flip-monitor-runner.php, dashboard.php,
+ *   flip-ajax.js, flip-reports.js, flip-init.js, flip-core.js,
+ *   flip-dashboard.css
+ * - New: flip-run-history.js
+ *
+ * Version 0.34.0 - Drawn Target Areas
+ * - Add: Draw and name polygons on a map as analysis targets alongside the
+ *   target cities; runs consider listings in a target city OR inside any area
+ * - Add: target_areas analysis filter (max 10 areas, 100 corners each),
+ *   saved with FD.analysisFilters.collect() and kept in report/monitor
+ *   filter snapshots, so re-runs use the same shapes
+ * - Add: flip_save_target_areas AJAX — drawing or removing an area saves
+ *   only target_areas, not unsaved filter panel edits
+ * - Change: The target city list may be empty when areas are defined
+ * - Change: City metrics are computed for listings from areas outside the
+ *   target cities; default report names include area names
+ * - Modified: class-flip-property-fetcher.php, class-flip-database.php,
+ *   class-flip-analyzer.php, class-flip-admin-dashboard.php, dashboard.php,
+ *   flip-analysis-filters.js, flip-cities.js, flip-map.js, flip-init.js,
+ *   flip-core.js, flip-dashboard.css
+ * - New: flip-target-areas.js
+ *
+ * Version 0.33.0 - Deal Pipeline
+ * - Add: Pipeline status per property (watching, offer drafted, offer
+ *   submitted, under contract, passed) with offer price, offer/contract/
+ *   closing dates and notes
+ * - Add: Pipeline column in the results table and a Deal Pipeline kanban
+ *   card; drag a card between columns to change its status
+ * - Add: flip_save_pipeline and flip_delete_pipeline AJAX endpoints
+ * - Entries are keyed by listing, so they are shared across reports and
+ *   kept when a report is re-run
+ * - DB migration: create_pipeline_table() adds wp_bmn_flip_pipeline
+ * - Modified: class-flip-database.php, class-flip-admin-dashboard.php,
+ *   dashboard.php, flip-filters-table.js, flip-reports.js, flip-init.js,
+ *   flip-core.js, flip-dashboard.css
+ * - New: flip-pipeline.js
+ *
+ * Version 0.32.0 - Scoring Weight Backtest
+ * - Add: Backtest in the Scoring Weights panel — ranks analyzed properties
+ *   that later closed and resold at the same address by the unsaved main
+ *   category weights and by the saved weights, and compares Spearman rank
+ *   correlation and precision@N against realized profit
+ * - Add: flip_backtest_weights AJAX endpoint
+ * - Modified: class-flip-admin-dashboard.php, dashboard.php,
+ *   flip-scoring-weights.js, flip-init.js, flip-core.js, flip-dashboard.css
+ * - New: class-flip-weight-backtest.php, flip-weight-backtest.js
+ *
+ * Version 0.31.0 - Deal Package Export
+ * - Add: PDF export dialog — choose sections (score breakdown, financials,
+ *   risk & sensitivity, projections, comps, property, photos, rental/BRRRR);
+ *   the choice is remembered per user
+ * - Add: Deal Book — bundle a shortlist of up to 12 filtered results into
+ *   one PDF with a book cover, summary table, bookmarks and one contact page
+ * - Add: Editable PDF branding (company, agent, logo, accent color) replacing
+ *   the values hard-coded in the generator and footer
+ * - Add: flip_generate_deal_book and flip_save_pdf_branding AJAX endpoints
+ * - Change: ARV projection scenarios are their own section
+ * - Modified: class-flip-pdf-generator.php, class-flip-database.php,
+ *   class-flip-admin-dashboard.php, dashboard.php, flip-ajax.js,
+ *   flip-init.js, flip-core.js, flip-dashboard.css
+ * - New: flip-deal-package.js
+ *
+ * Version 0.30.0 - Rental Assumption Sets
+ * - Add: Named rental/BRRRR assumption sets saved per user alongside the
+ *   global defaults; new reports and monitors keep a snapshot of the active set
+ * - Add: flip_set_report_rental_set AJAX — attaching a set to a report
+ *   re-prices its stored rental/BRRRR results, strategy scores and best
+ *   strategy without re-running the data analysis; a row left with no
+ *   viable strategy is disqualified in the same step
+ * - Add: flip_compare_rental_sets AJAX — side-by-side summary of up to 4
+ *   sets on the viewed report (viable counts, cap rate, cash flow, DSCR)
+ * - Change: Report runs and re-runs use the report's set; explicit set
+ *   values win over multifamily defaults
+ * - DB migration: migrate_v0300() adds rental_set_json to reports table
+ * - Modified: class-flip-database.php, class-flip-analyzer.php,
+ *   class-flip-rental-calculator.php, class-flip-report-ajax.php,
+ *   class-flip-admin-dashboard.php, dashboard.php, flip-rental.js,
+ *   flip-init.js, flip-core.js, flip-strategy.css
+ * - New: flip-rental-sets.js
+ *
+ * Version 0.29.0 - Rental Comps Editor
+ * - Add: Rental Comps section is now editable — exclude lease comps, add
+ *   manual comps, or override the market rent
+ * - Add: Rental Hold and BRRRR panes, strategy cards and the results row
+ *   re-price from the edited rent (expenses, NOI, post-refi cash flow,
+ *   projections, scores, recommendation) via flip_preview_rent_edit, which
+ *   runs the PHP rental calculator — Flip_Analyzer::apply_rent_edit()
+ * - Add: Flip_Rental_Comp_Calculator::apply_edit() re-weights the edited comp set
+ * - Add: flip_save_rent_edit AJAX — edits saved per listing on the report
+ *   and re-applied by get_dashboard_data() when it is loaded
+ * - Change: Expanding a row looks the result up by listing ID
+ * - DB migration: migrate_v0290() adds rent_edits_json to reports table
+ * - Modified: class-flip-database.php, class-flip-report-ajax.php,
+ *   class-flip-admin-dashboard.php, class-flip-analyzer.php,
+ *   class-flip-rental-comp-calculator.php, flip-rental.js, flip-detail-row.js,
+ *   flip-filters-table.js, flip-core.js, flip-strategy.css
+ * - New: flip-rent-comps.js
+ *
+ * Version 0.28.0 - Advanced Filters & Saved Views
+ * - Add: "More Filters" panel — min/max ranges on profit, annualized ROI,
+ *   rehab $/sqft, days on market and list price; road type and market
+ *   strength checkboxes
+ * - Add: Sort direction and a secondary "Then Sort By" key; rows missing
+ *   a sort value now sort last in either direction
+ * - Add: Show/hide individual results table columns
+ * - Add: Named saved views per user (filters, sort and columns) with
+ *   Save / Save As / Delete; the last selected view is re-applied on load
+ * - Add: flip_save_view, flip_delete_view, flip_select_view AJAX (user meta,
+ *   max 20 views per user)
+ * - Modified: class-flip-database.php, class-flip-admin-dashboard.php,
+ *   dashboard.php, flip-filters-table.js, flip-init.js, flip-core.js, flip-dashboard.css
+ * - New: flip-saved-views.js
+ *
+ * Version 0.27.0 - Results Map
+ * - Add: Collapsible Map card plotting filtered results as MLD-style price pins,
+ *   colored by total score or best strategy (DQ in gray)
+ * - Add: Selecting a pin shows the property summary and draws its comps as
+ *   linked dot pins (hover for sold price, click for details)
+ * - Add: "Draw Area" lasso filters the results table to the drawn polygon
+ * - Add: flip_get_map_points AJAX — coordinates looked up from the MLS summary
+ *   tables on demand (Google Maps key shared with the MLD plugin)
+ * - Modified: class-flip-admin-dashboard.php, class-flip-property-fetcher.php,
+ *   dashboard.php, flip-filters-table.js, flip-init.js, flip-core.js, flip-dashboard.css
+ * - New: flip-map.js
+ *
+ * Version 0.26.0 - Batched, Resumable Photo Analysis
+ * - Change: Photo analysis runs in batches of 2 (init → batch×N → finalize) instead
+ *   of one 10-minute request; cancel button works between batches
+ * - Add: Live per-property log (photo score, renovation level, API cost, errors)
+ * - Add: Resume — a new run offers to skip candidates that already have photo
+ *   analysis, or to re-analyze all; cost tally carries across a resumed run
+ * - Add: Actual API cost from token usage vs. the up-front estimate
+ * - Change: Photo analysis targets the viewed report (was unsaved results only
+ *   unless a report had been explicitly loaded)
+ * - Modified: class-flip-photo-analyzer.php, class-flip-admin-dashboard.php,
+ *   flip-ajax.js, flip-dashboard.css
+ *
+ * Version 0.25.0 - Renovation Scope Builder
+ * - Add: Scope builder in the Flip tab — pick line items (kitchen, baths, roof, HVAC,
+ *   windows, flooring, paint, addition) with editable quantities and unit costs,
+ *   scaled by a finish level, producing a rehab budget for calcProjectionCosts()
+ * - Add: Scopes save per property on the viewed report and show as a "Scope" row
+ *   in the ARV projections table
+ * - Fix: avg_comp_ppsf was missing from dashboard results, hiding ARV projections
+ * - DB migration: migrate_v0250() adds rehab_scopes_json to reports table
+ * - Modified: class-flip-database.php, class-flip-admin-dashboard.php,
+ *   class-flip-report-ajax.php, flip-projections.js, flip-detail-row.js,
+ *   flip-core.js, flip-strategy.css
+ * - New: flip-scope-builder.js
+ *
+ * Version 0.24.0 - Report Changes Since Previous Run
+ * - Add: Run snapshots per report (score, viability, MLS price/status per listing)
+ * - Add: Changes panel when viewing a report — new, newly viable, price drops,
+ *   status changes, score changes, dropped-out listings — with row badges
+ * - Add: "Changes" filter on the results table to show only deltas
+ * - Change: Monitors re-score already-analyzed listings whose MLS price changed
+ * - DB: New wp_bmn_flip_report_snapshots table (last 5 runs per report)
+ * - Modified: class-flip-database.php, class-flip-property-fetcher.php,
+ *   class-flip-monitor-runner.php, class-flip-admin-dashboard.php,
+ *   class-flip-report-ajax.php, dashboard.php, flip-filters-table.js, flip-core.js
+ * - New: class-flip-report-diff.php, flip-changes.js
+ *
+ * Version 0.23.0 - Multi-Property Strategy Comparison
+ * - Add: "Compare Properties" mode on the Strategy Comparison page — select up to
+ *   5 results and view a strategies × properties matrix (score, capital, annualized return)
+ * - Add: Best-strategy highlighting per property, top return per strategy, CSV export
+ * - Change: Strategy metrics extracted into getStrategyMetrics() for both views
+ * - Modified: flip-strategy-comparison.js, strategy-comparison.php, flip-strategy.css
+ *
+ * Version 0.22.0 - Monte Carlo Risk Simulation
+ * - Add: Risk Simulation tab in the detail row — samples ARV (comp spread), rehab
+ *   overrun and hold time (contingency/hold tiers) through the active cost profile
+ * - Add: Profit histogram, probability of loss, P10/P50/P90 ROI per property
+ * - Add: "Risk-Adj. ROI (P10)" and "Probability of Profit" sort options
+ * - Change: calcDealCosts() split out of calcProjectionCosts() for reuse
+ * - Modified: flip-projections.js, flip-detail-row.js, flip-filters-table.js,
+ *   flip-core.js, dashboard.php, flip-strategy.css, class-flip-admin-dashboard.php
+ * - New: flip-risk-simulation.js
+ *
+ * Version 0.21.0 - Configurable Cost Profiles
+ * - Add: Per-user cost profiles (closing, commission, transfer tax, hard money terms,
+ *   holding costs, contingency/hold-month tiers) replacing hard-coded JS constants
+ * - Add: Reports store a cost profile snapshot; profile selectable per report
+ * - Change: Projections table and sensitivity analysis read the active profile
+ * - DB migration: migrate_v0210() adds cost_profile_json to reports table
+ * - Modified: class-flip-database.php, class-flip-admin-dashboard.php,
+ *   class-flip-report-ajax.php, dashboard.php, flip-projections.js, flip-detail-row.js
+ * - New: flip-cost-profile.js
+ *
  * Version 0.20.1 - Hardening (Resilience, Safety, Performance)
  * - Add: Try-catch in run() pipeline loop — one bad property no longer halts batch
  * - Add: $wpdb return value checking in upsert_result() and create_report()
@@ -292,7 +497,7 @@ if (!defined('ABSPATH')) {
     exit;
 }
 
-define('FLIP_VERSION', '0.20.1');
+define('FLIP_VERSION', '0.35.0');
 define('FLIP_PLUGIN_PATH', plugin_dir_path(__FILE__));
 define('FLIP_PLUGIN_URL', plugin_dir_url(__FILE__));
 
@@ -311,6 +516,8 @@ require_once FLIP_PLUGIN_PATH . 'includes/class-flip-rental-calculator.php';
 require_once FLIP_PLUGIN_PATH . 'includes/class-flip-analyzer.php';
 require_once FLIP_PLUGIN_PATH . 'includes/class-flip-photo-analyzer.php';
 require_once FLIP_PLUGIN_PATH . 'includes/class-flip-monitor-runner.php';
+require_once FLIP_PLUGIN_PATH . 'includes/class-flip-report-diff.php';
+require_once FLIP_PLUGIN_PATH . 'includes/class-flip-weight-backtest.php';
 
 // Load WP-CLI commands
 if (defined('WP_CLI') && WP_CLI) {
@@ -343,6 +550,7 @@ add_action('bmn_flip_monitor_check', ['Flip_Monitor_Runner', 'maybe_send_digest'
 add_action('bmn_flip_monitor_check', function () {
     Flip_Database::cleanup_deleted_report_scores();
     Flip_Database::cleanup_deleted_monitor_seen();
+    Flip_Database::cleanup_deleted_report_snapshots();
     Flip_Database::clear_old_results(30);
 
     // Clean up old PDF files (requires lazy-loading the class)
@@ -364,6 +572,13 @@ register_activation_hook(__FILE__, function () {
     Flip_Database::migrate_v0160();
     Flip_Database::migrate_v0180();
     Flip_Database::migrate_v0199();
+    Flip_Database::migrate_v0210();
+    Flip_Database::create_snapshots_table();
+    Flip_Database::migrate_v0250();
+    Flip_Database::migrate_v0290();
+    Flip_Database::migrate_v0300();
+    Flip_Database::create_pipeline_table();
+    Flip_Database::create_runs_table();
 
     // Schedule monitor cron if not already scheduled
     if (!wp_next_scheduled('bmn_flip_monitor_check')) {
@@ -412,6 +627,34 @@ add_action('plugins_loaded', function () {
         Flip_Database::migrate_v0199();
         update_option('bmn_flip_db_version', '0.19.9');
     }
+    if (version_compare($db_version, '0.21.0', '<')) {
+        Flip_Database::migrate_v0210();
+        update_option('bmn_flip_db_version', '0.21.0');
+    }
+    if (version_compare($db_version, '0.24.0', '<')) {
+        Flip_Database::create_snapshots_table();
+        update_option('bmn_flip_db_version', '0.24.0');
+    }
+    if (version_compare($db_version, '0.25.0', '<')) {
+        Flip_Database::migrate_v0250();
+        update_option('bmn_flip_db_version', '0.25.0');
+    }
+    if (version_compare($db_version, '0.29.0', '<')) {
+        Flip_Database::migrate_v0290();
+        update_option('bmn_flip_db_version', '0.29.0');
+    }
+    if (version_compare($db_version, '0.30.0', '<')) {
+        Flip_Database::migrate_v0300();
+        update_option('bmn_flip_db_version', '0.30.0');
+    }
+    if (version_compare($db_version, '0.33.0', '<')) {
+        Flip_Database::create_pipeline_table();
+        update_option('bmn_flip_db_version', '0.33.0');
+    }
+    if (version_compare($db_version, '0.35.0', '<')) {
+        Flip_Database::create_runs_table();
+        update_option('bmn_flip_db_version', '0.35.0');
+    }
 });
 
 // Deactivation hook
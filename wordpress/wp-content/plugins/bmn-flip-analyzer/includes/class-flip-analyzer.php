@@ -58,6 +58,9 @@ class Flip_Analyzer {
         'soft' => 0.82, 'cold' => 0.78,
     ];
 
+    /** disqualify_reason for rows left with no viable strategy by reprice_rental() */
+    const REPRICE_DQ_REASON = 'No viable strategy after rental re-pricing';
+
     /** ARV discount by road type */
     const ROAD_ARV_DISCOUNT = [
         'busy-road'        => 0.15,
@@ -265,14 +268,17 @@ class Flip_Analyzer {
             ? array_map('trim', explode(',', $options['city']))
             : Flip_Database::get_target_cities();
 
-        if (empty($cities)) {
-            return ['analyzed' => 0, 'disqualified' => 0, 'run_date' => '', 'error' => 'No target cities configured.'];
-        }
-
         // Load analysis filters (CLI overrides or saved settings)
         $filters = $options['filters'] ?? Flip_Database::get_analysis_filters();
+
+        if (empty($cities) && empty($filters['target_areas'])) {
+            return ['analyzed' => 0, 'disqualified' => 0, 'run_date' => '', 'error' => 'No target cities or areas configured.'];
+        }
         $report_id = $options['report_id'] ?? null;
 
+        // v0.30.0: Report's rental assumption set ([] = global rental defaults)
+        $rental_overrides = $report_id ? Flip_Database::get_report_rental_overrides((int) $report_id) : [];
+
         $log = $progress ?? function ($msg) {};
         $run_date = $options['run_date'] ?? current_time('mysql');
 
@@ -288,7 +294,7 @@ class Flip_Analyzer {
         }
         $sub_types = implode(', ', $filters['property_sub_types'] ?? ['SFR']);
         $statuses  = implode(', ', $filters['statuses'] ?? ['Active']);
-        $log("Found " . count($properties) . " Residential ({$sub_types}) [{$statuses}] listings in target cities.");
+        $log("Found " . count($properties) . " Residential ({$sub_types}) [{$statuses}] listings in target cities/areas.");
 
         if (empty($properties)) {
             return ['analyzed' => 0, 'disqualified' => 0, 'run_date' => $run_date];
@@ -307,7 +313,8 @@ class Flip_Analyzer {
                 $log("Analyzing property " . ($i + 1) . "/" . count($properties) . " (MLS# {$listing_id})...");
             }
 
-            // Get city metrics
+            // Get city metrics (v0.34.0: listings from target areas may be outside the target cities)
+            Flip_Location_Scorer::precompute_city_metrics([$city]);
             $city_metrics = Flip_Location_Scorer::get_city_metrics($city);
 
             // Fetch remarks early (needed for DQ distress check and later for market scoring + financials)
@@ -438,8 +445,8 @@ class Flip_Analyzer {
             ];
 
             $fin['deal_risk_grade'] = $deal_risk_grade;
-            $rental_data = Flip_Rental_Calculator::calculate_rental($fin, $property_data_for_rental, [], $rental_comp_result);
-            $brrrr_data  = Flip_Rental_Calculator::calculate_brrrr($fin, $rental_data, $property_data_for_rental);
+            $rental_data = Flip_Rental_Calculator::calculate_rental($fin, $property_data_for_rental, $rental_overrides, $rental_comp_result);
+            $brrrr_data  = Flip_Rental_Calculator::calculate_brrrr($fin, $rental_data, $property_data_for_rental, $rental_overrides);
 
             // Rental and BRRRR viability
             $rental_viable = Flip_Disqualifier::check_rental_viable($rental_data);
@@ -774,8 +781,9 @@ class Flip_Analyzer {
         ];
 
         $fin['deal_risk_grade'] = $deal_risk_grade;
-        $rental_data = Flip_Rental_Calculator::calculate_rental($fin, $property_data_for_rental, [], $rental_comp_result);
-        $brrrr_data  = Flip_Rental_Calculator::calculate_brrrr($fin, $rental_data, $property_data_for_rental);
+        $rental_overrides = $report_id ? Flip_Database::get_report_rental_overrides($report_id) : [];
+        $rental_data = Flip_Rental_Calculator::calculate_rental($fin, $property_data_for_rental, $rental_overrides, $rental_comp_result);
+        $brrrr_data  = Flip_Rental_Calculator::calculate_brrrr($fin, $rental_data, $property_data_for_rental, $rental_overrides);
 
         // 10. Per-strategy viability (force-analyze bypasses flip DQ, but still compute viability flags)
         $rental_viable = Flip_Disqualifier::check_rental_viable($rental_data);
@@ -851,6 +859,197 @@ class Flip_Analyzer {
         ];
     }
 
+    /**
+     * Re-price a stored result's rental/BRRRR analysis with new assumptions (v0.30.0).
+     *
+     * Works from the stored row only — no MLS queries — so a report can be
+     * switched to another assumption set without re-running the analysis.
+     * The monthly rent and how it was estimated are kept unless $rent supplies
+     * a new one; expenses, NOI, refinance, projections, strategy scores and
+     * viability are recomputed. A row whose last viable strategy fails is
+     * disqualified in the same step (REPRICE_DQ_REASON), and only such rows
+     * are re-qualified by a later re-price; other disqualifications are left
+     * as stored (a full re-run re-evaluates them).
+     *
+     * @param object     $result    Row from the scores table.
+     * @param array      $overrides Rental calculator overrides ([] = global defaults).
+     * @param array|null $rent      Replacement rent { amount, source, confidence } (v0.29.0 rent edits).
+     * @return array|null Column updates, or null when the row has no rental analysis.
+     */
+    public static function reprice_rental(object $result, array $overrides = [], ?array $rent = null): ?array {
+        $stored = !empty($result->rental_analysis_json) ? json_decode($result->rental_analysis_json, true) : null;
+        $old_rental = $stored['rental'] ?? null;
+        $old_brrrr  = $stored['brrrr'] ?? [];
+        if (!is_array($old_rental) || empty($old_rental['monthly_rent'])) {
+            return null;
+        }
+
+        $list_price = (float) $result->list_price;
+        $arv        = (float) ($old_rental['property_value'] ?? $result->estimated_arv);
+
+        // Rehab and purchase closing as the analysis was priced (photo analysis
+        // can later revise estimated_rehab_cost without touching the rental side)
+        $rehab   = (float) ($old_brrrr['rehab_cost'] ?? $result->estimated_rehab_cost);
+        $closing = (float) ($old_brrrr['purchase_closing']
+            ?? max(0, (float) ($old_rental['total_investment'] ?? 0) - $list_price - $rehab));
+
+        $fin = [
+            'rehab_cost'       => $rehab,
+            'purchase_closing' => $closing,
+            'estimated_profit' => (float) $result->estimated_profit,
+            'annualized_roi'   => (float) $result->annualized_roi,
+            'deal_risk_grade'  => $result->deal_risk_grade ?? 'C',
+        ];
+
+        $tax = (float) ($old_rental['expenses']['property_tax'] ?? 0);
+        $property_data = [
+            'list_price'            => $list_price,
+            'building_area_total'   => (int) $result->building_area_total,
+            'bedrooms_total'        => (int) $result->bedrooms_total,
+            'bathrooms_total'       => (float) $result->bathrooms_total,
+            'year_built'            => (int) $result->year_built,
+            'city'                  => $result->city ?? '',
+            'actual_tax_rate'       => $arv > 0 && $tax > 0 ? $tax / $arv : null,
+            'estimated_arv'         => $arv,
+            'property_sub_type'     => !empty($old_rental['params_used']['is_multifamily']) ? 'Multi Family' : 'Single Family Residence',
+            'number_of_units_total' => (int) ($old_rental['per_unit']['units'] ?? 1),
+        ];
+
+        $rental = Flip_Rental_Calculator::calculate_rental(
+            $fin, $property_data, $overrides + ['monthly_rent' => (float) ($rent['amount'] ?? $old_rental['monthly_rent'])]
+        );
+        if ($rent !== null) {
+            $rental['rent_source']     = $rent['source'];
+            $rental['rent_confidence'] = $rent['confidence'];
+        } else {
+            $rental['rent_source']     = $old_rental['rent_source'] ?? $rental['rent_source'];
+            $rental['rent_confidence'] = $old_rental['rent_confidence'] ?? $rental['rent_confidence'];
+            // The MLS income cross-check was against the stored rent
+            if (isset($old_rental['cross_reference'])) {
+                $rental['cross_reference'] = $old_rental['cross_reference'];
+            }
+        }
+        $brrrr = Flip_Rental_Calculator::calculate_brrrr($fin, $rental, $property_data, $overrides);
+
+        $quality_scores = [
+            'financial' => (float) $result->financial_score,
+            'property'  => (float) $result->property_score,
+            'location'  => (float) $result->location_score,
+            'market'    => (float) $result->market_score,
+        ];
+        $photo_data = !empty($result->photo_analysis_json) ? json_decode($result->photo_analysis_json, true) : null;
+        $strategy = Flip_Rental_Calculator::recommend_strategy(
+            $fin, $rental, $brrrr, $quality_scores, is_array($photo_data) ? $photo_data : null
+        );
+
+        $scores = $strategy['scores'];
+        $viable = [
+            'flip'   => (bool) $result->flip_viable,
+            'rental' => Flip_Disqualifier::check_rental_viable($rental),
+            'brrrr'  => Flip_Disqualifier::check_brrrr_viable($brrrr),
+        ];
+
+        // Composite score, best pick and DQ follow the viable strategies, as in run()
+        $total_score   = (float) $result->total_score;
+        $best_strategy = $result->best_strategy;
+        $disqualified  = !empty($result->disqualified);
+        $dq_reason     = $result->disqualify_reason ?? null;
+        $near_viable   = (int) ($result->near_viable ?? 0);
+        if (!$disqualified || $dq_reason === self::REPRICE_DQ_REASON) {
+            $viable_map = array_intersect_key($scores, array_filter($viable));
+            arsort($viable_map);
+            $best_strategy = array_key_first($viable_map);
+            $disqualified  = empty($viable_map);
+            $dq_reason     = $disqualified ? self::REPRICE_DQ_REASON : null;
+            $near_viable   = 0;
+
+            if ($disqualified) {
+                $thresholds = !empty($result->applied_thresholds_json)
+                    ? json_decode($result->applied_thresholds_json, true) : null;
+                if (is_array($thresholds) && isset($thresholds['min_profit'], $thresholds['min_roi'])) {
+                    $near_viable = ((float) $result->estimated_profit >= $thresholds['min_profit'] * 0.8
+                                 && (float) ($result->cash_on_cash_roi ?? 0) >= $thresholds['min_roi'] * 0.8) ? 1 : 0;
+                }
+            } else {
+                $total_score = max($viable_map);
+            }
+        }
+
+        return [
+            'disqualified'         => $disqualified ? 1 : 0,
+            'disqualify_reason'    => $dq_reason,
+            'near_viable'          => $near_viable,
+            'flip_score'           => $scores['flip'],
+            'rental_score'         => $scores['rental'],
+            'brrrr_score'          => $scores['brrrr'],
+            'rental_viable'        => $viable['rental'] ? 1 : 0,
+            'brrrr_viable'         => $viable['brrrr'] ? 1 : 0,
+            'total_score'          => round($total_score, 2),
+            'best_strategy'        => $best_strategy,
+            'rental_analysis_json' => wp_json_encode([
+                'rental'       => $rental,
+                'brrrr'        => $brrrr,
+                'strategy'     => $strategy,
+                'rental_comps' => $stored['rental_comps'] ?? null,
+            ]),
+        ];
+    }
+
+    /**
+     * Apply an analyst's rental comp edit to a stored result (v0.29.0).
+     *
+     * The market rent override wins; otherwise a changed comp set is
+     * re-weighted by Flip_Rental_Comp_Calculator::apply_edit(). The rental
+     * side is then re-priced through reprice_rental(), so the dashboard never
+     * has to reproduce the calculator. An empty edit leaves the row as stored.
+     *
+     * @param object $result    Row from the scores table.
+     * @param array  $edit      Edit from Flip_Database::sanitize_rent_edit().
+     * @param array  $overrides Rental calculator overrides of the report's assumption set.
+     * @return array|null { updates (column updates), rent_comps { rows, comp_estimate } },
+     *                    or null when the row has no rental analysis.
+     */
+    public static function apply_rent_edit(object $result, array $edit, array $overrides = []): ?array {
+        $stored = !empty($result->rental_analysis_json) ? json_decode($result->rental_analysis_json, true) : null;
+        if (!is_array($stored['rental'] ?? null)) {
+            return null;
+        }
+
+        $rental_comps = is_array($stored['rental_comps'] ?? null) ? $stored['rental_comps'] : null;
+        $edited = Flip_Rental_Comp_Calculator::apply_edit($rental_comps, $edit, $result);
+
+        // Comp-based rent, shown beside the override input
+        if ((!empty($edit['excluded']) || !empty($edit['manual'])) && $edited['comp_count'] > 0) {
+            $comp_estimate = [
+                'amount'     => $edited['estimated_monthly_rent'],
+                'source'     => 'edited_comps',
+                'confidence' => $edited['confidence'],
+            ];
+        } else {
+            $comp_estimate = [
+                'amount'     => (float) ($stored['rental']['monthly_rent'] ?? 0),
+                'source'     => $stored['rental']['rent_source'] ?? null,
+                'confidence' => $stored['rental']['rent_confidence'] ?? null,
+            ];
+        }
+        $comp_estimate['comp_count'] = $edited['comp_count'];
+
+        $rent = null;
+        if (!empty($edit['market_rent'])) {
+            $rent = ['amount' => (float) $edit['market_rent'], 'source' => 'user_override', 'confidence' => 'high'];
+        } elseif ($comp_estimate['source'] === 'edited_comps') {
+            $rent = $comp_estimate;
+        }
+
+        return [
+            'updates'    => $rent !== null ? (self::reprice_rental($result, $overrides, $rent) ?? []) : [],
+            'rent_comps' => [
+                'rows'          => $edited['rows'],
+                'comp_estimate' => $comp_estimate,
+            ],
+        ];
+    }
+
     /**
      * Compute rental/BRRRR analysis and attach as JSON to result data.
      *
@@ -2,7 +2,8 @@
 /**
  * Database layer for flip analysis results.
  *
- * Tables: wp_bmn_flip_scores, wp_bmn_flip_reports, wp_bmn_flip_monitor_seen
+ * Tables: wp_bmn_flip_scores, wp_bmn_flip_reports, wp_bmn_flip_monitor_seen,
+ *         wp_bmn_flip_report_snapshots, wp_bmn_flip_pipeline
  */
 
 if (!defined('ABSPATH')) {
@@ -14,8 +15,102 @@ class Flip_Database {
     const TABLE_NAME         = 'bmn_flip_scores';
     const REPORTS_TABLE      = 'bmn_flip_reports';
     const MONITOR_SEEN_TABLE = 'bmn_flip_monitor_seen';
+    const SNAPSHOTS_TABLE    = 'bmn_flip_report_snapshots';
+    const PIPELINE_TABLE     = 'bmn_flip_pipeline';
+    const RUNS_TABLE         = 'bmn_flip_runs';
     const MAX_REPORTS        = 25;
 
+    // v0.24.0: Run snapshots kept per report for the changes view
+    const MAX_SNAPSHOTS_PER_REPORT = 5;
+
+    // v0.21.0: Per-user cost profiles (user meta)
+    const COST_PROFILES_META       = 'bmn_flip_cost_profiles';
+    const ACTIVE_COST_PROFILE_META = 'bmn_flip_active_cost_profile';
+    const MAX_COST_PROFILES        = 10;
+
+    // v0.25.0: Renovation scope line items (mirrors FD.scope.ITEMS)
+    const REHAB_SCOPE_ITEMS   = ['kitchen', 'bath_remodel', 'bath_add', 'roof', 'hvac', 'windows', 'flooring', 'paint', 'addition', 'other'];
+    const REHAB_FINISH_LEVELS = ['rental', 'standard', 'premium'];
+
+    // v0.28.0: Per-user saved views of the results table (user meta)
+    const SAVED_VIEWS_META = 'bmn_flip_saved_views';
+    const ACTIVE_VIEW_META = 'bmn_flip_active_view';
+    const MAX_SAVED_VIEWS  = 20;
+
+    // v0.28.0: Allowed saved-view values (mirror the dashboard filter controls)
+    const VIEW_SORT_KEYS = [
+        'total_score', 'flip_score', 'rental_score', 'brrrr_score', 'estimated_profit',
+        'annualized_roi', 'estimated_roi', 'risk_p10_roi', 'risk_profit_prob', 'list_price',
+        'estimated_arv', 'estimated_rehab_cost', 'days_on_market',
+    ];
+    const VIEW_RANGE_KEYS       = ['profit', 'ann_roi', 'rehab_psf', 'dom', 'list_price'];
+    const VIEW_ROAD_TYPES       = ['cul-de-sac', 'dead-end', 'quiet-residential', 'moderate-traffic', 'busy-road', 'highway-adjacent', 'unknown'];
+    const VIEW_MARKET_STRENGTHS = ['very_hot', 'hot', 'balanced', 'soft', 'cold'];
+    const VIEW_COLUMNS          = ['city', 'score', 'strategy', 'risk', 'list_price', 'arv', 'profit', 'ann_roi', 'road', 'dom', 'photo', 'pipeline'];
+
+    // v0.29.0: Analyst-entered rental comps per listing
+    const MAX_MANUAL_RENT_COMPS = 10;
+
+    // v0.30.0: Per-user rental/BRRRR assumption sets (user meta)
+    const RENTAL_SETS_META       = 'bmn_flip_rental_sets';
+    const ACTIVE_RENTAL_SET_META = 'bmn_flip_active_rental_set';
+    const MAX_RENTAL_SETS        = 10;
+
+    // v0.30.0: Assumption set rates and their upper bounds (all decimals)
+    const RENTAL_SET_RATE_LIMITS = [
+        'vacancy_rate'        => 0.50,
+        'management_fee_rate' => 0.50,
+        'maintenance_rate'    => 0.10,
+        'capex_reserve_rate'  => 0.30,
+        'insurance_rate'      => 0.05,
+        'appreciation_rate'   => 0.20,
+        'rent_growth_rate'    => 0.20,
+        'marginal_tax_rate'   => 0.60,
+        'brrrr_refi_ltv'      => 1.00,
+        'brrrr_refi_rate'     => 0.30,
+    ];
+
+    // v0.31.0: Deal package export — PDF sections (key => label, in document order)
+    const DEAL_PACKAGE_SECTIONS = [
+        'scores'      => 'Score Breakdown',
+        'financials'  => 'Financials',
+        'sensitivity' => 'Risk & Sensitivity',
+        'projections' => 'Projections',
+        'comps'       => 'Comparables',
+        'property'    => 'Property & Location',
+        'photos'      => 'Photos & Photo Analysis',
+        'rental'      => 'Rental & BRRRR',
+    ];
+    const DEAL_PACKAGE_META         = 'bmn_flip_deal_package';
+    const PDF_BRANDING_OPTION       = 'bmn_flip_pdf_branding';
+    const MAX_DEAL_BOOK_PROPERTIES  = 12;
+
+    // v0.33.0: Deal pipeline stages (key => label, in board order)
+    const PIPELINE_STATUSES = [
+        'watching'        => 'Watching',
+        'offer_drafted'   => 'Offer Drafted',
+        'offer_submitted' => 'Offer Submitted',
+        'under_contract'  => 'Under Contract',
+        'passed'          => 'Passed',
+    ];
+    const PIPELINE_DATE_FIELDS    = ['offer_date', 'contract_date', 'closing_date'];
+    const MAX_PIPELINE_NOTES_LEN  = 2000;
+
+    // v0.34.0: Drawn target areas stored with the analysis filters
+    const MAX_TARGET_AREAS       = 10;
+    const MAX_TARGET_AREA_POINTS = 100;
+
+    // v0.35.0: Analysis run history (key => label)
+    const RUN_TYPES = [
+        'analysis' => 'Analysis',
+        'rerun'    => 'Re-run',
+        'photos'   => 'Photos',
+        'monitor'  => 'Monitor',
+    ];
+    const RUN_COUNTERS     = ['analyzed', 'viable', 'disqualified', 'errors', 'input_tokens', 'output_tokens'];
+    const MAX_RUN_HISTORY  = 200;
+    const RUN_STALE_HOURS  = 2;
+
     /** @var array|null Cached scoring weights for the current request. */
     private static ?array $scoring_weights_cache = null;
 
@@ -37,6 +132,21 @@ class Flip_Database {
         return $wpdb->prefix . self::MONITOR_SEEN_TABLE;
     }
 
+    public static function snapshots_table(): string {
+        global $wpdb;
+        return $wpdb->prefix . self::SNAPSHOTS_TABLE;
+    }
+
+    public static function pipeline_table(): string {
+        global $wpdb;
+        return $wpdb->prefix . self::PIPELINE_TABLE;
+    }
+
+    public static function runs_table(): string {
+        global $wpdb;
+        return $wpdb->prefix . self::RUNS_TABLE;
+    }
+
     /**
      * Create the results table via dbDelta.
      */
@@ -276,6 +386,8 @@ class Flip_Database {
             'monitor_frequency'     => $data['monitor_frequency'] ?? null,
             'notification_email'    => $data['notification_email'] ?? null,
             'notification_level'    => $data['notification_level'] ?? 'viable_only',
+            'cost_profile_json'     => $data['cost_profile_json'] ?? null,
+            'rental_set_json'       => $data['rental_set_json'] ?? null,
             'created_at'            => $data['created_at'] ?? current_time('mysql'),
             'updated_at'            => $data['updated_at'] ?? current_time('mysql'),
             'created_by'            => $data['created_by'] ?? get_current_user_id(),
@@ -567,6 +679,16 @@ class Flip_Database {
         update_option('bmn_flip_target_cities', wp_json_encode(array_values($cities)));
     }
 
+    /**
+     * Human-readable analysis scope: target cities, then target area names.
+     *
+     * v0.34.0: Used for default report names.
+     */
+    public static function describe_scope(array $cities, array $filters): string {
+        $areas = array_column($filters['target_areas'] ?? [], 'name');
+        return implode(', ', array_merge($cities, $areas));
+    }
+
     /**
      * Get saved analysis filters (merged with defaults).
      */
@@ -589,6 +711,7 @@ class Flip_Database {
             'min_beds'           => null,
             'min_baths'          => null,
             'has_garage'         => false,
+            'target_areas'       => [],
         ];
 
         $saved = get_option('bmn_flip_analysis_filters', '{}');
@@ -624,9 +747,75 @@ class Flip_Database {
             $filters[$date_key] = !empty($filters[$date_key]) ? sanitize_text_field($filters[$date_key]) : null;
         }
 
+        $filters['target_areas'] = self::sanitize_target_areas($filters['target_areas'] ?? []);
+
         update_option('bmn_flip_analysis_filters', wp_json_encode($filters));
     }
 
+    /**
+     * Save only the drawn target areas, leaving the other saved filters as they are.
+     *
+     * @return array The sanitized areas that were stored.
+     */
+    public static function set_target_areas($areas): array {
+        $saved = json_decode(get_option('bmn_flip_analysis_filters', '{}'), true) ?: [];
+        $saved['target_areas'] = self::sanitize_target_areas($areas);
+
+        update_option('bmn_flip_analysis_filters', wp_json_encode($saved));
+        return $saved['target_areas'];
+    }
+
+    /**
+     * Normalize drawn target areas: [{ name, path: [[lat, lng], ...] }].
+     *
+     * v0.34.0: Points outside valid coordinates are dropped, consecutive
+     * duplicates removed and the path left open (the fetcher closes it).
+     * Areas with fewer than 3 points are discarded.
+     */
+    public static function sanitize_target_areas($areas): array {
+        if (!is_array($areas)) {
+            return [];
+        }
+
+        $clean = [];
+        foreach ($areas as $area) {
+            if (!is_array($area) || !is_array($area['path'] ?? null)) {
+                continue;
+            }
+
+            $path = [];
+            foreach (array_slice($area['path'], 0, self::MAX_TARGET_AREA_POINTS + 1) as $point) {
+                if (!is_array($point) || !is_numeric($point[0] ?? null) || !is_numeric($point[1] ?? null)) {
+                    continue;
+                }
+                $lat = round((float) $point[0], 6);
+                $lng = round((float) $point[1], 6);
+                if (abs($lat) > 90 || abs($lng) > 180 || end($path) === [$lat, $lng]) {
+                    continue;
+                }
+                $path[] = [$lat, $lng];
+            }
+            if (count($path) > 1 && $path[0] === end($path)) {
+                array_pop($path);
+            }
+            if (count($path) < 3) {
+                continue;
+            }
+
+            $name = mb_substr(sanitize_text_field((string) ($area['name'] ?? '')), 0, 60);
+            $clean[] = [
+                'name' => $name !== '' ? $name : 'Area ' . (count($clean) + 1),
+                'path' => array_slice($path, 0, self::MAX_TARGET_AREA_POINTS),
+            ];
+
+            if (count($clean) >= self::MAX_TARGET_AREAS) {
+                break;
+            }
+        }
+
+        return $clean;
+    }
+
     /**
      * Get distinct residential property sub types from the database.
      */
@@ -1152,4 +1341,1517 @@ class Flip_Database {
 
         update_option('bmn_flip_rental_defaults', wp_json_encode($params));
     }
+
+    // ---------------------------------------------------------------
+    // v0.21.0: Configurable Cost Profiles
+    // ---------------------------------------------------------------
+
+    /**
+     * Add cost_profile_json column to reports table.
+     */
+    public static function migrate_v0210(): void {
+        global $wpdb;
+        $reports_table = self::reports_table();
+
+        $cols = $wpdb->get_col("SHOW COLUMNS FROM {$reports_table}", 0);
+
+        if (!in_array('cost_profile_json', $cols, true)) {
+            $wpdb->query("ALTER TABLE {$reports_table} ADD COLUMN cost_profile_json TEXT DEFAULT NULL AFTER filters_json");
+        }
+    }
+
+    /**
+     * Built-in cost profile, mirroring the Flip_Analyzer constants.
+     *
+     * Rehab tiers are keyed by effective rehab $/sqft (upper bound, null = no cap)
+     * and set both the contingency rate and the hold period for that scope.
+     */
+    public static function get_default_cost_profile(): array {
+        return [
+            'id'                    => 'default',
+            'name'                  => 'Default (MA Hard Money)',
+            'purchase_closing_pct'  => Flip_Analyzer::PURCHASE_CLOSING_PCT,
+            'sale_commission_pct'   => Flip_Analyzer::SALE_COMMISSION_PCT,
+            'sale_closing_pct'      => Flip_Analyzer::SALE_CLOSING_PCT,
+            'transfer_tax_rate'     => Flip_Analyzer::MA_TRANSFER_TAX_RATE,
+            'hard_money_rate'       => Flip_Analyzer::HARD_MONEY_RATE,
+            'hard_money_points'     => Flip_Analyzer::HARD_MONEY_POINTS,
+            'hard_money_ltv'        => Flip_Analyzer::HARD_MONEY_LTV,
+            'annual_tax_rate'       => Flip_Analyzer::ANNUAL_TAX_RATE,
+            'annual_insurance_rate' => Flip_Analyzer::ANNUAL_INSURANCE_RATE,
+            'monthly_utilities'     => Flip_Analyzer::MONTHLY_UTILITIES,
+            'rehab_tiers'           => [
+                ['max_per_sqft' => 20,   'contingency' => 0.08, 'hold_months' => 3],
+                ['max_per_sqft' => 35,   'contingency' => 0.12, 'hold_months' => 4],
+                ['max_per_sqft' => 50,   'contingency' => 0.15, 'hold_months' => 6],
+                ['max_per_sqft' => null, 'contingency' => 0.20, 'hold_months' => 8],
+            ],
+        ];
+    }
+
+    /**
+     * Get all cost profiles for a user (built-in default first).
+     */
+    public static function get_cost_profiles(int $user_id): array {
+        $saved = get_user_meta($user_id, self::COST_PROFILES_META, true);
+        $saved = is_string($saved) ? (json_decode($saved, true) ?: []) : [];
+
+        $profiles = [self::get_default_cost_profile()];
+        foreach ($saved as $profile) {
+            if (is_array($profile) && !empty($profile['id'])) {
+                $profiles[] = self::sanitize_cost_profile($profile);
+            }
+        }
+
+        return $profiles;
+    }
+
+    /**
+     * Get a single cost profile by ID, or null if the user has no such profile.
+     */
+    public static function get_cost_profile(int $user_id, string $profile_id): ?array {
+        foreach (self::get_cost_profiles($user_id) as $profile) {
+            if ($profile['id'] === $profile_id) {
+                return $profile;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the user's active cost profile (falls back to the built-in default).
+     */
+    public static function get_active_cost_profile(int $user_id): array {
+        $active_id = (string) get_user_meta($user_id, self::ACTIVE_COST_PROFILE_META, true);
+
+        return ($active_id ? self::get_cost_profile($user_id, $active_id) : null)
+            ?? self::get_default_cost_profile();
+    }
+
+    /**
+     * Set the user's active cost profile.
+     */
+    public static function set_active_cost_profile(int $user_id, string $profile_id): void {
+        update_user_meta($user_id, self::ACTIVE_COST_PROFILE_META, sanitize_key($profile_id));
+    }
+
+    /**
+     * Create or update a user's cost profile. Returns the saved profile.
+     *
+     * The built-in default is read-only: saving with id 'default' (or no id)
+     * creates a new profile instead.
+     */
+    public static function save_cost_profile(int $user_id, array $profile): ?array {
+        $saved = get_user_meta($user_id, self::COST_PROFILES_META, true);
+        $saved = is_string($saved) ? (json_decode($saved, true) ?: []) : [];
+
+        $id = sanitize_key($profile['id'] ?? '');
+        if ($id === '' || $id === 'default') {
+            if (count($saved) >= self::MAX_COST_PROFILES) {
+                return null;
+            }
+            $id = 'cp_' . strtolower(wp_generate_password(8, false));
+        }
+
+        $profile['id'] = $id;
+        $profile = self::sanitize_cost_profile($profile);
+
+        $replaced = false;
+        foreach ($saved as $i => $existing) {
+            if (($existing['id'] ?? '') === $id) {
+                $saved[$i] = $profile;
+                $replaced  = true;
+                break;
+            }
+        }
+        if (!$replaced) {
+            $saved[] = $profile;
+        }
+
+        update_user_meta($user_id, self::COST_PROFILES_META, wp_json_encode(array_values($saved)));
+
+        return $profile;
+    }
+
+    /**
+     * Delete a user's cost profile. The built-in default cannot be deleted.
+     */
+    public static function delete_cost_profile(int $user_id, string $profile_id): bool {
+        if ($profile_id === 'default') {
+            return false;
+        }
+
+        $saved = get_user_meta($user_id, self::COST_PROFILES_META, true);
+        $saved = is_string($saved) ? (json_decode($saved, true) ?: []) : [];
+
+        $remaining = array_values(array_filter($saved, function ($p) use ($profile_id) {
+            return ($p['id'] ?? '') !== $profile_id;
+        }));
+
+        if (count($remaining) === count($saved)) {
+            return false;
+        }
+
+        update_user_meta($user_id, self::COST_PROFILES_META, wp_json_encode($remaining));
+
+        if ((string) get_user_meta($user_id, self::ACTIVE_COST_PROFILE_META, true) === $profile_id) {
+            delete_user_meta($user_id, self::ACTIVE_COST_PROFILE_META);
+        }
+
+        return true;
+    }
+
+    /**
+     * Decode a report's cost profile snapshot (null when the report predates v0.21.0).
+     */
+    public static function get_report_cost_profile(object $report): ?array {
+        if (empty($report->cost_profile_json)) {
+            return null;
+        }
+        $profile = json_decode($report->cost_profile_json, true);
+        return is_array($profile) ? self::sanitize_cost_profile($profile) : null;
+    }
+
+    /**
+     * Normalize a cost profile: merge over defaults, cast and clamp values,
+     * and sort rehab tiers by $/sqft with a single open-ended top tier.
+     */
+    public static function sanitize_cost_profile(array $profile): array {
+        $defaults = self::get_default_cost_profile();
+
+        $clean = [
+            'id'   => sanitize_key($profile['id'] ?? $defaults['id']),
+            'name' => sanitize_text_field($profile['name'] ?? '') ?: 'Untitled Profile',
+        ];
+
+        $rate_limits = [
+            'purchase_closing_pct'  => 0.10,
+            'sale_commission_pct'   => 0.10,
+            'sale_closing_pct'      => 0.10,
+            'transfer_tax_rate'     => 0.05,
+            'hard_money_rate'       => 0.30,
+            'hard_money_points'     => 0.10,
+            'hard_money_ltv'        => 1.00,
+            'annual_tax_rate'       => 0.10,
+            'annual_insurance_rate' => 0.10,
+        ];
+        foreach ($rate_limits as $key => $max) {
+            $value = isset($profile[$key]) && is_numeric($profile[$key])
+                ? (float) $profile[$key] : (float) $defaults[$key];
+            $clean[$key] = max(0.0, min($max, $value));
+        }
+
+        $clean['monthly_utilities'] = isset($profile['monthly_utilities']) && is_numeric($profile['monthly_utilities'])
+            ? max(0.0, (float) $profile['monthly_utilities'])
+            : (float) $defaults['monthly_utilities'];
+
+        $tiers = [];
+        foreach ((array) ($profile['rehab_tiers'] ?? []) as $tier) {
+            if (!is_array($tier)) {
+                continue;
+            }
+            $max_per_sqft = isset($tier['max_per_sqft']) && is_numeric($tier['max_per_sqft'])
+                ? max(0.0, (float) $tier['max_per_sqft']) : null;
+            $tiers[] = [
+                'max_per_sqft' => $max_per_sqft,
+                'contingency'  => max(0.0, min(1.0, (float) ($tier['contingency'] ?? 0))),
+                'hold_months'  => max(1, min(36, (int) ($tier['hold_months'] ?? 6))),
+            ];
+        }
+
+        if (empty($tiers)) {
+            $tiers = $defaults['rehab_tiers'];
+        }
+
+        // Capped tiers ascending, then exactly one open-ended tier
+        $capped = array_values(array_filter($tiers, fn($t) => $t['max_per_sqft'] !== null));
+        $open   = array_values(array_filter($tiers, fn($t) => $t['max_per_sqft'] === null));
+        usort($capped, fn($a, $b) => $a['max_per_sqft'] <=> $b['max_per_sqft']);
+
+        if (empty($open)) {
+            $open = [array_pop($capped)];
+            $open[0]['max_per_sqft'] = null;
+        }
+
+        $clean['rehab_tiers'] = array_merge($capped, [$open[0]]);
+
+        return $clean;
+    }
+
+    // ---------------------------------------------------------------
+    // v0.24.0: Report Run Snapshots
+    // ---------------------------------------------------------------
+
+    /**
+     * Create the report snapshots table via dbDelta.
+     *
+     * One row per run: a compact per-listing state map used to diff
+     * consecutive runs (see Flip_Report_Diff).
+     */
+    public static function create_snapshots_table(): void {
+        global $wpdb;
+        $table           = self::snapshots_table();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE {$table} (
+            id BIGINT UNSIGNED AUTO_INCREMENT,
+            report_id BIGINT UNSIGNED NOT NULL,
+            run_date DATETIME NOT NULL,
+            listing_count INT UNSIGNED NOT NULL DEFAULT 0,
+            snapshot_json LONGTEXT NOT NULL,
+            created_at DATETIME NOT NULL,
+            PRIMARY KEY (id),
+            INDEX idx_report_run (report_id, run_date)
+        ) {$charset_collate};";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($sql);
+    }
+
+    /**
+     * Store a run snapshot and prune the report's oldest beyond MAX_SNAPSHOTS_PER_REPORT.
+     */
+    public static function save_report_snapshot(int $report_id, string $run_date, array $listings): int {
+        global $wpdb;
+        $table = self::snapshots_table();
+
+        $result = $wpdb->insert($table, [
+            'report_id'     => $report_id,
+            'run_date'      => $run_date,
+            'listing_count' => count($listings),
+            'snapshot_json' => wp_json_encode($listings),
+            'created_at'    => current_time('mysql'),
+        ]);
+
+        if ($result === false) {
+            error_log("[Flip Database] save_report_snapshot INSERT failed for report {$report_id}: {$wpdb->last_error}");
+            return 0;
+        }
+        $snapshot_id = (int) $wpdb->insert_id;
+
+        $keep_ids = $wpdb->get_col($wpdb->prepare(
+            "SELECT id FROM {$table} WHERE report_id = %d ORDER BY run_date DESC, id DESC LIMIT %d",
+            $report_id, self::MAX_SNAPSHOTS_PER_REPORT
+        ));
+        if (!empty($keep_ids)) {
+            $keep_list = implode(',', array_map('intval', $keep_ids));
+            $wpdb->query($wpdb->prepare(
+                "DELETE FROM {$table} WHERE report_id = %d AND id NOT IN ({$keep_list})",
+                $report_id
+            ));
+        }
+
+        return $snapshot_id;
+    }
+
+    /**
+     * Most recent snapshots for a report, newest first.
+     *
+     * @return array[] Each: { run_date: string, listings: array<int, array> }
+     */
+    public static function get_report_snapshots(int $report_id, int $limit = 2): array {
+        global $wpdb;
+        $table = self::snapshots_table();
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT run_date, snapshot_json FROM {$table}
+             WHERE report_id = %d
+             ORDER BY run_date DESC, id DESC
+             LIMIT %d",
+            $report_id, $limit
+        ));
+
+        return array_map(function ($row) {
+            return [
+                'run_date' => $row->run_date,
+                'listings' => json_decode($row->snapshot_json, true) ?: [],
+            ];
+        }, $rows ?: []);
+    }
+
+    /**
+     * Delete snapshots for soft-deleted reports.
+     */
+    public static function cleanup_deleted_report_snapshots(): int {
+        global $wpdb;
+        $snapshots_table = self::snapshots_table();
+        $reports_table   = self::reports_table();
+
+        return (int) $wpdb->query(
+            "DELETE sn FROM {$snapshots_table} sn
+             INNER JOIN {$reports_table} r ON sn.report_id = r.id
+             WHERE r.status = 'deleted'"
+        );
+    }
+
+    // ---------------------------------------------------------------
+    // v0.25.0: Renovation Scopes
+    // ---------------------------------------------------------------
+
+    /**
+     * Add rehab_scopes_json column to reports table.
+     */
+    public static function migrate_v0250(): void {
+        global $wpdb;
+        $reports_table = self::reports_table();
+
+        $cols = $wpdb->get_col("SHOW COLUMNS FROM {$reports_table}", 0);
+
+        if (!in_array('rehab_scopes_json', $cols, true)) {
+            $wpdb->query("ALTER TABLE {$reports_table} ADD COLUMN rehab_scopes_json LONGTEXT DEFAULT NULL AFTER cost_profile_json");
+        }
+    }
+
+    /**
+     * Saved renovation scopes for a report, keyed by listing ID.
+     */
+    public static function get_report_rehab_scopes(object $report): array {
+        if (empty($report->rehab_scopes_json)) {
+            return [];
+        }
+        $scopes = json_decode($report->rehab_scopes_json, true);
+        if (!is_array($scopes)) {
+            return [];
+        }
+
+        $clean = [];
+        foreach ($scopes as $listing_id => $scope) {
+            if ((int) $listing_id > 0 && is_array($scope)) {
+                $clean[(int) $listing_id] = self::sanitize_rehab_scope($scope);
+            }
+        }
+        return $clean;
+    }
+
+    /**
+     * Save (or remove, when $scope is null) one listing's scope on a report.
+     *
+     * @return array All of the report's scopes after the change.
+     */
+    public static function save_report_rehab_scope(int $report_id, int $listing_id, ?array $scope): array {
+        $report = self::get_report($report_id);
+        if (!$report) {
+            return [];
+        }
+
+        $scopes = self::get_report_rehab_scopes($report);
+        if ($scope === null) {
+            unset($scopes[$listing_id]);
+        } else {
+            $scopes[$listing_id] = self::sanitize_rehab_scope($scope);
+        }
+
+        self::update_report($report_id, [
+            'rehab_scopes_json' => empty($scopes) ? null : wp_json_encode($scopes),
+        ]);
+
+        return $scopes;
+    }
+
+    /**
+     * Normalize a renovation scope: known line items only, clamped
+     * quantities and unit costs, and a valid finish level.
+     */
+    public static function sanitize_rehab_scope(array $scope): array {
+        $items = [];
+        foreach (self::REHAB_SCOPE_ITEMS as $key) {
+            $item = isset($scope['items'][$key]) && is_array($scope['items'][$key])
+                ? $scope['items'][$key] : [];
+
+            $items[$key] = [
+                'include'   => !empty($item['include']),
+                'qty'       => max(0.0, min(100000.0, (float) ($item['qty'] ?? 0))),
+                'unit_cost' => max(0.0, min(1000000.0, (float) ($item['unit_cost'] ?? 0))),
+            ];
+        }
+
+        $finish = $scope['finish'] ?? 'standard';
+
+        return [
+            'finish'     => in_array($finish, self::REHAB_FINISH_LEVELS, true) ? $finish : 'standard',
+            'added_beds' => max(0, min(10, (int) ($scope['added_beds'] ?? 0))),
+            'items'      => $items,
+            'updated_at' => current_time('mysql'),
+        ];
+    }
+
+    // ---------------------------------------------------------------
+    // v0.28.0: Saved Views
+    // ---------------------------------------------------------------
+
+    /**
+     * Get all saved result views for a user.
+     */
+    public static function get_saved_views(int $user_id): array {
+        $saved = get_user_meta($user_id, self::SAVED_VIEWS_META, true);
+        $saved = is_string($saved) ? (json_decode($saved, true) ?: []) : [];
+
+        $views = [];
+        foreach ($saved as $view) {
+            if (is_array($view) && !empty($view['id'])) {
+                $views[] = self::sanitize_view($view);
+            }
+        }
+
+        return $views;
+    }
+
+    /**
+     * Get a single saved view by ID, or null if the user has no such view.
+     */
+    public static function get_saved_view(int $user_id, string $view_id): ?array {
+        foreach (self::get_saved_views($user_id) as $view) {
+            if ($view['id'] === $view_id) {
+                return $view;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * ID of the view the user last selected ('' when working unsaved).
+     */
+    public static function get_active_view_id(int $user_id): string {
+        $active_id = (string) get_user_meta($user_id, self::ACTIVE_VIEW_META, true);
+
+        return ($active_id && self::get_saved_view($user_id, $active_id)) ? $active_id : '';
+    }
+
+    /**
+     * Set (or clear, with '') the user's active view.
+     */
+    public static function set_active_view(int $user_id, string $view_id): void {
+        if ($view_id === '') {
+            delete_user_meta($user_id, self::ACTIVE_VIEW_META);
+            return;
+        }
+        update_user_meta($user_id, self::ACTIVE_VIEW_META, sanitize_key($view_id));
+    }
+
+    /**
+     * Create or update a user's saved view. Returns the saved view,
+     * or null when creating would exceed MAX_SAVED_VIEWS.
+     */
+    public static function save_view(int $user_id, array $view): ?array {
+        $saved = get_user_meta($user_id, self::SAVED_VIEWS_META, true);
+        $saved = is_string($saved) ? (json_decode($saved, true) ?: []) : [];
+
+        $id = sanitize_key($view['id'] ?? '');
+        $exists = $id !== '' && in_array($id, array_column($saved, 'id'), true);
+
+        if (!$exists) {
+            if (count($saved) >= self::MAX_SAVED_VIEWS) {
+                return null;
+            }
+            $id = 'sv_' . strtolower(wp_generate_password(8, false));
+        }
+
+        $view['id'] = $id;
+        $view = self::sanitize_view($view);
+
+        $replaced = false;
+        foreach ($saved as $i => $existing) {
+            if (($existing['id'] ?? '') === $id) {
+                $saved[$i] = $view;
+                $replaced  = true;
+                break;
+            }
+        }
+        if (!$replaced) {
+            $saved[] = $view;
+        }
+
+        update_user_meta($user_id, self::SAVED_VIEWS_META, wp_json_encode(array_values($saved)));
+
+        return $view;
+    }
+
+    /**
+     * Delete one of a user's saved views.
+     */
+    public static function delete_view(int $user_id, string $view_id): bool {
+        $saved = get_user_meta($user_id, self::SAVED_VIEWS_META, true);
+        $saved = is_string($saved) ? (json_decode($saved, true) ?: []) : [];
+
+        $remaining = array_values(array_filter($saved, function ($v) use ($view_id) {
+            return ($v['id'] ?? '') !== $view_id;
+        }));
+
+        if (count($remaining) === count($saved)) {
+            return false;
+        }
+
+        update_user_meta($user_id, self::SAVED_VIEWS_META, wp_json_encode($remaining));
+
+        if ((string) get_user_meta($user_id, self::ACTIVE_VIEW_META, true) === $view_id) {
+            delete_user_meta($user_id, self::ACTIVE_VIEW_META);
+        }
+
+        return true;
+    }
+
+    /**
+     * Normalize a saved view: whitelisted filter values, numeric range
+     * bounds (swapped when reversed), up to two sort keys and known columns.
+     */
+    public static function sanitize_view(array $view): array {
+        $show     = $view['show'] ?? 'all';
+        $strategy = $view['strategy'] ?? '';
+
+        // Cast: a view that was already sanitized carries ranges as an object
+        $input  = (array) ($view['ranges'] ?? []);
+        $ranges = [];
+        foreach (self::VIEW_RANGE_KEYS as $key) {
+            $range = isset($input[$key]) ? (array) $input[$key] : [];
+            $min = isset($range['min']) && is_numeric($range['min']) ? (float) $range['min'] : null;
+            $max = isset($range['max']) && is_numeric($range['max']) ? (float) $range['max'] : null;
+
+            if ($min === null && $max === null) {
+                continue;
+            }
+            if ($min !== null && $max !== null && $min > $max) {
+                [$min, $max] = [$max, $min];
+            }
+            $ranges[$key] = ['min' => $min, 'max' => $max];
+        }
+
+        $sort = [];
+        foreach ((array) ($view['sort'] ?? []) as $entry) {
+            if (!is_array($entry) || !in_array($entry['key'] ?? '', self::VIEW_SORT_KEYS, true)) {
+                continue;
+            }
+            if (in_array($entry['key'], array_column($sort, 'key'), true)) {
+                continue;
+            }
+            $sort[] = [
+                'key' => $entry['key'],
+                'dir' => ($entry['dir'] ?? 'desc') === 'asc' ? 'asc' : 'desc',
+            ];
+            if (count($sort) === 2) {
+                break;
+            }
+        }
+        if (empty($sort)) {
+            $sort = [['key' => 'total_score', 'dir' => 'desc']];
+        }
+
+        return [
+            'id'               => sanitize_key($view['id'] ?? ''),
+            'name'             => sanitize_text_field($view['name'] ?? '') ?: 'Untitled View',
+            'city'             => sanitize_text_field($view['city'] ?? ''),
+            'min_score'        => max(0, min(100, (int) ($view['min_score'] ?? 0))),
+            'show'             => in_array($show, ['all', 'viable', 'near_viable', 'disqualified'], true) ? $show : 'all',
+            'strategy'         => in_array($strategy, ['flip', 'rental', 'brrrr'], true) ? $strategy : '',
+            'ranges'           => (object) $ranges,
+            'road_types'       => self::whitelist_values($view['road_types'] ?? [], self::VIEW_ROAD_TYPES),
+            'market_strengths' => self::whitelist_values($view['market_strengths'] ?? [], self::VIEW_MARKET_STRENGTHS),
+            'sort'             => $sort,
+            'hidden_columns'   => self::whitelist_values($view['hidden_columns'] ?? [], self::VIEW_COLUMNS),
+        ];
+    }
+
+    /**
+     * Unique values from $values that appear in $allowed, in $allowed order.
+     */
+    private static function whitelist_values($values, array $allowed): array {
+        $values = array_map('strval', (array) $values);
+        return array_values(array_filter($allowed, fn($v) => in_array($v, $values, true)));
+    }
+
+    // ---------------------------------------------------------------
+    // v0.29.0: Rental Comp Edits
+    // ---------------------------------------------------------------
+
+    /**
+     * Add rent_edits_json column to reports table.
+     */
+    public static function migrate_v0290(): void {
+        global $wpdb;
+        $reports_table = self::reports_table();
+
+        $cols = $wpdb->get_col("SHOW COLUMNS FROM {$reports_table}", 0);
+
+        if (!in_array('rent_edits_json', $cols, true)) {
+            $wpdb->query("ALTER TABLE {$reports_table} ADD COLUMN rent_edits_json LONGTEXT DEFAULT NULL AFTER rehab_scopes_json");
+        }
+    }
+
+    /**
+     * Saved rental comp edits for a report, keyed by listing ID.
+     */
+    public static function get_report_rent_edits(object $report): array {
+        if (empty($report->rent_edits_json)) {
+            return [];
+        }
+        $edits = json_decode($report->rent_edits_json, true);
+        if (!is_array($edits)) {
+            return [];
+        }
+
+        $clean = [];
+        foreach ($edits as $listing_id => $edit) {
+            if ((int) $listing_id > 0 && is_array($edit)) {
+                $clean[(int) $listing_id] = self::sanitize_rent_edit($edit);
+            }
+        }
+        return $clean;
+    }
+
+    /**
+     * Save (or remove, when $edit is null) one listing's rent edits on a report.
+     *
+     * @return array All of the report's rent edits after the change.
+     */
+    public static function save_report_rent_edit(int $report_id, int $listing_id, ?array $edit): array {
+        $report = self::get_report($report_id);
+        if (!$report) {
+            return [];
+        }
+
+        $edits = self::get_report_rent_edits($report);
+        if ($edit === null) {
+            unset($edits[$listing_id]);
+        } else {
+            $edits[$listing_id] = self::sanitize_rent_edit($edit);
+        }
+
+        self::update_report($report_id, [
+            'rent_edits_json' => empty($edits) ? null : wp_json_encode($edits),
+        ]);
+
+        return $edits;
+    }
+
+    /**
+     * Normalize rent edits: excluded comp IDs, up to MAX_MANUAL_RENT_COMPS
+     * manual comps with clamped values, and an optional market rent override.
+     */
+    public static function sanitize_rent_edit(array $edit): array {
+        $excluded = [];
+        foreach ((array) ($edit['excluded'] ?? []) as $id) {
+            $id = preg_replace('/[^A-Za-z0-9_-]/', '', (string) $id);
+            if ($id !== '' && !in_array($id, $excluded, true)) {
+                $excluded[] = $id;
+            }
+        }
+
+        $manual = [];
+        foreach ((array) ($edit['manual'] ?? []) as $comp) {
+            if (!is_array($comp) || (float) ($comp['rent_amount'] ?? 0) <= 0) {
+                continue;
+            }
+            $manual[] = [
+                'address'        => sanitize_text_field($comp['address'] ?? '') ?: 'Manual comp',
+                'rent_amount'    => min(100000.0, (float) $comp['rent_amount']),
+                'bedrooms'       => max(0, min(20, (int) ($comp['bedrooms'] ?? 0))),
+                'bathrooms'      => max(0.0, min(20.0, (float) ($comp['bathrooms'] ?? 0))),
+                'sqft'           => max(0, min(50000, (int) ($comp['sqft'] ?? 0))),
+                'distance_miles' => max(0.0, min(50.0, (float) ($comp['distance_miles'] ?? 0.5))),
+            ];
+            if (count($manual) === self::MAX_MANUAL_RENT_COMPS) {
+                break;
+            }
+        }
+
+        $market_rent = isset($edit['market_rent']) && is_numeric($edit['market_rent'])
+            ? min(100000.0, (float) $edit['market_rent']) : 0.0;
+
+        return [
+            'excluded'    => array_slice($excluded, 0, 50),
+            'manual'      => $manual,
+            'market_rent' => $market_rent > 0 ? $market_rent : null,
+            'updated_at'  => current_time('mysql'),
+        ];
+    }
+
+    // ---------------------------------------------------------------
+    // v0.30.0: Rental Assumption Sets
+    // ---------------------------------------------------------------
+
+    /**
+     * Add rental_set_json column to reports table.
+     */
+    public static function migrate_v0300(): void {
+        global $wpdb;
+        $reports_table = self::reports_table();
+
+        $cols = $wpdb->get_col("SHOW COLUMNS FROM {$reports_table}", 0);
+
+        if (!in_array('rental_set_json', $cols, true)) {
+            $wpdb->query("ALTER TABLE {$reports_table} ADD COLUMN rental_set_json TEXT DEFAULT NULL AFTER cost_profile_json");
+        }
+    }
+
+    /**
+     * Built-in set: the live global rental defaults.
+     *
+     * Reports without a set of their own use these, including the
+     * multifamily adjustments in Flip_Rental_Calculator.
+     */
+    public static function get_default_rental_set(): array {
+        $set = ['id' => 'default', 'name' => 'Global Defaults'];
+        $defaults = self::get_rental_defaults();
+
+        foreach (array_keys(self::RENTAL_SET_RATE_LIMITS) as $key) {
+            $set[$key] = (float) $defaults[$key];
+        }
+        $set['brrrr_refi_term'] = (int) $defaults['brrrr_refi_term'];
+
+        return $set;
+    }
+
+    /**
+     * Get all rental assumption sets for a user (built-in default first).
+     */
+    public static function get_rental_sets(int $user_id): array {
+        $saved = get_user_meta($user_id, self::RENTAL_SETS_META, true);
+        $saved = is_string($saved) ? (json_decode($saved, true) ?: []) : [];
+
+        $sets = [self::get_default_rental_set()];
+        foreach ($saved as $set) {
+            if (is_array($set) && !empty($set['id'])) {
+                $sets[] = self::sanitize_rental_set($set);
+            }
+        }
+
+        return $sets;
+    }
+
+    /**
+     * Get a single rental set by ID, or null if the user has no such set.
+     */
+    public static function get_rental_set(int $user_id, string $set_id): ?array {
+        foreach (self::get_rental_sets($user_id) as $set) {
+            if ($set['id'] === $set_id) {
+                return $set;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the user's active rental set (falls back to the global defaults).
+     */
+    public static function get_active_rental_set(int $user_id): array {
+        $active_id = (string) get_user_meta($user_id, self::ACTIVE_RENTAL_SET_META, true);
+
+        return ($active_id ? self::get_rental_set($user_id, $active_id) : null)
+            ?? self::get_default_rental_set();
+    }
+
+    /**
+     * Set the user's active rental set.
+     */
+    public static function set_active_rental_set(int $user_id, string $set_id): void {
+        update_user_meta($user_id, self::ACTIVE_RENTAL_SET_META, sanitize_key($set_id));
+    }
+
+    /**
+     * Create or update a user's rental set. Returns the saved set.
+     *
+     * The global defaults are edited through set_rental_defaults(): saving
+     * with id 'default' (or no id) creates a new set instead.
+     */
+    public static function save_rental_set(int $user_id, array $set): ?array {
+        $saved = get_user_meta($user_id, self::RENTAL_SETS_META, true);
+        $saved = is_string($saved) ? (json_decode($saved, true) ?: []) : [];
+
+        $id = sanitize_key($set['id'] ?? '');
+        if ($id === '' || $id === 'default') {
+            if (count($saved) >= self::MAX_RENTAL_SETS) {
+                return null;
+            }
+            $id = 'rs_' . strtolower(wp_generate_password(8, false));
+        }
+
+        $set['id'] = $id;
+        $set = self::sanitize_rental_set($set);
+
+        $replaced = false;
+        foreach ($saved as $i => $existing) {
+            if (($existing['id'] ?? '') === $id) {
+                $saved[$i] = $set;
+                $replaced  = true;
+                break;
+            }
+        }
+        if (!$replaced) {
+            $saved[] = $set;
+        }
+
+        update_user_meta($user_id, self::RENTAL_SETS_META, wp_json_encode(array_values($saved)));
+
+        return $set;
+    }
+
+    /**
+     * Delete a user's rental set. The global defaults cannot be deleted.
+     *
+     * Reports keep their snapshot of a deleted set.
+     */
+    public static function delete_rental_set(int $user_id, string $set_id): bool {
+        if ($set_id === 'default') {
+            return false;
+        }
+
+        $saved = get_user_meta($user_id, self::RENTAL_SETS_META, true);
+        $saved = is_string($saved) ? (json_decode($saved, true) ?: []) : [];
+
+        $remaining = array_values(array_filter($saved, function ($s) use ($set_id) {
+            return ($s['id'] ?? '') !== $set_id;
+        }));
+
+        if (count($remaining) === count($saved)) {
+            return false;
+        }
+
+        update_user_meta($user_id, self::RENTAL_SETS_META, wp_json_encode($remaining));
+
+        if ((string) get_user_meta($user_id, self::ACTIVE_RENTAL_SET_META, true) === $set_id) {
+            delete_user_meta($user_id, self::ACTIVE_RENTAL_SET_META);
+        }
+
+        return true;
+    }
+
+    /**
+     * Snapshot to store on a new report or monitor: the user's active set,
+     * or null so the report follows the global defaults.
+     */
+    public static function get_rental_set_snapshot(int $user_id): ?string {
+        $set = self::get_active_rental_set($user_id);
+        return $set['id'] === 'default' ? null : wp_json_encode($set);
+    }
+
+    /**
+     * Decode a report's rental set snapshot (null = global defaults).
+     */
+    public static function get_report_rental_set(object $report): ?array {
+        if (empty($report->rental_set_json)) {
+            return null;
+        }
+        $set = json_decode($report->rental_set_json, true);
+        return is_array($set) ? self::sanitize_rental_set($set) : null;
+    }
+
+    /**
+     * Rental calculator overrides for a report's analysis runs ([] = global defaults).
+     */
+    public static function get_report_rental_overrides(int $report_id): array {
+        $report = self::get_report($report_id);
+        $set    = $report ? self::get_report_rental_set($report) : null;
+
+        return $set ? self::rental_set_overrides($set) : [];
+    }
+
+    /**
+     * Strip a set down to the parameters Flip_Rental_Calculator accepts as overrides.
+     */
+    public static function rental_set_overrides(array $set): array {
+        return array_intersect_key(
+            $set,
+            self::RENTAL_SET_RATE_LIMITS + ['brrrr_refi_term' => true]
+        );
+    }
+
+    /**
+     * Normalize a rental set: merge over the global defaults, cast and clamp rates.
+     */
+    public static function sanitize_rental_set(array $set): array {
+        $defaults = self::get_default_rental_set();
+
+        $clean = [
+            'id'   => sanitize_key($set['id'] ?? $defaults['id']),
+            'name' => sanitize_text_field($set['name'] ?? '') ?: 'Untitled Set',
+        ];
+
+        foreach (self::RENTAL_SET_RATE_LIMITS as $key => $max) {
+            $value = isset($set[$key]) && is_numeric($set[$key])
+                ? (float) $set[$key] : (float) $defaults[$key];
+            $clean[$key] = max(0.0, min($max, $value));
+        }
+
+        $term = isset($set['brrrr_refi_term']) && is_numeric($set['brrrr_refi_term'])
+            ? (int) $set['brrrr_refi_term'] : (int) $defaults['brrrr_refi_term'];
+        $clean['brrrr_refi_term'] = max(5, min(40, $term));
+
+        return $clean;
+    }
+
+    /**
+     * Update stored columns of a single result row.
+     */
+    public static function update_result(int $id, array $data): bool {
+        global $wpdb;
+        return $wpdb->update(self::table_name(), $data, ['id' => $id]) !== false;
+    }
+
+    // ---------------------------------------------------------------
+    // v0.31.0: Deal Package Export
+    // ---------------------------------------------------------------
+
+    /**
+     * Built-in PDF branding (the values the generator used to hard-code).
+     */
+    public static function get_default_pdf_branding(): array {
+        return [
+            'company_name'    => 'BMN Boston Real Estate',
+            'company_phone'   => '(617) 800-9008',
+            'company_address' => '20 Park Plaza, Boston, MA 02118',
+            'company_url'     => 'bmnboston.com',
+            'tagline'         => 'Member of Douglas Elliman',
+            'agent_name'      => 'Steve Novak',
+            'agent_title'     => 'Team Lead',
+            'agent_phone'     => '(617) 955-2224',
+            'agent_email'     => 'steve@bmnboston.com',
+            'agent_license'   => '#9517748',
+            'logo_url'        => 'https://bmnboston.com/wp-content/uploads/2025/12/BMN-Logo-Croped.png',
+            'agent_photo_url' => 'https://bmnboston.com/wp-content/uploads/2025/12/Steve-Novak-600x600-1.jpg',
+            'accent_color'    => '#2c5aa0',
+        ];
+    }
+
+    /**
+     * Get PDF branding (saved values merged over the defaults).
+     */
+    public static function get_pdf_branding(): array {
+        $saved = json_decode(get_option(self::PDF_BRANDING_OPTION, '{}'), true) ?: [];
+        return array_merge(self::get_default_pdf_branding(), $saved);
+    }
+
+    /**
+     * Save PDF branding. Blank fields fall back to the defaults.
+     *
+     * @return array The branding as stored.
+     */
+    public static function set_pdf_branding(array $branding): array {
+        $clean = self::sanitize_pdf_branding($branding);
+        update_option(self::PDF_BRANDING_OPTION, wp_json_encode($clean));
+        return array_merge(self::get_default_pdf_branding(), $clean);
+    }
+
+    /**
+     * Keep known branding fields only; drop blank or invalid values.
+     *
+     * The tagline may be cleared on purpose, so an empty tagline is kept.
+     */
+    public static function sanitize_pdf_branding(array $branding): array {
+        $clean = [];
+
+        foreach (array_keys(self::get_default_pdf_branding()) as $key) {
+            if (!isset($branding[$key]) || !is_scalar($branding[$key])) {
+                continue;
+            }
+            $value = trim((string) $branding[$key]);
+
+            if ($key === 'logo_url' || $key === 'agent_photo_url') {
+                $value = esc_url_raw($value);
+            } elseif ($key === 'agent_email') {
+                $value = sanitize_email($value);
+            } elseif ($key === 'accent_color') {
+                $value = preg_match('/^#[0-9a-f]{6}$/i', $value) ? strtolower($value) : '';
+            } else {
+                $value = sanitize_text_field($value);
+            }
+
+            if ($value !== '' || $key === 'tagline') {
+                $clean[$key] = $value;
+            }
+        }
+
+        return $clean;
+    }
+
+    /**
+     * Sections the user last exported (all sections until they choose).
+     */
+    public static function get_deal_package_sections(int $user_id): array {
+        $saved = get_user_meta($user_id, self::DEAL_PACKAGE_META, true);
+        return is_array($saved) ? self::sanitize_package_sections($saved) : array_keys(self::DEAL_PACKAGE_SECTIONS);
+    }
+
+    /**
+     * Remember the user's section choice for their next export.
+     */
+    public static function save_deal_package_sections(int $user_id, array $sections): array {
+        $clean = self::sanitize_package_sections($sections);
+        update_user_meta($user_id, self::DEAL_PACKAGE_META, $clean);
+        return $clean;
+    }
+
+    /**
+     * Known section keys in document order; an empty choice means all sections.
+     */
+    public static function sanitize_package_sections(array $sections): array {
+        $keys = array_map(fn($s) => sanitize_key((string) $s), array_filter($sections, 'is_scalar'));
+        $clean = array_values(array_intersect(array_keys(self::DEAL_PACKAGE_SECTIONS), $keys));
+
+        return $clean ?: array_keys(self::DEAL_PACKAGE_SECTIONS);
+    }
+
+    // ---------------------------------------------------------------
+    // v0.33.0: Deal Pipeline
+    // ---------------------------------------------------------------
+
+    /**
+     * Create the deal pipeline table via dbDelta.
+     *
+     * One row per listing, independent of reports and score rows, so the
+     * tracking survives re-runs (which replace a report's scores) and is
+     * shared by every report the property appears in.
+     */
+    public static function create_pipeline_table(): void {
+        global $wpdb;
+        $table           = self::pipeline_table();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE {$table} (
+            id BIGINT UNSIGNED AUTO_INCREMENT,
+            listing_id BIGINT UNSIGNED NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'watching',
+            address VARCHAR(255) DEFAULT '',
+            city VARCHAR(100) DEFAULT '',
+            offer_price DECIMAL(12,2) DEFAULT NULL,
+            offer_date DATE DEFAULT NULL,
+            contract_date DATE DEFAULT NULL,
+            closing_date DATE DEFAULT NULL,
+            notes TEXT,
+            updated_by BIGINT UNSIGNED DEFAULT NULL,
+            created_at DATETIME NOT NULL,
+            updated_at DATETIME NOT NULL,
+            PRIMARY KEY (id),
+            UNIQUE KEY idx_listing (listing_id),
+            INDEX idx_status (status)
+        ) {$charset_collate};";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($sql);
+    }
+
+    /**
+     * All tracked properties, keyed by listing ID.
+     *
+     * @return array<int, array>
+     */
+    public static function get_pipeline_entries(): array {
+        global $wpdb;
+        $table = self::pipeline_table();
+
+        $rows = $wpdb->get_results("SELECT * FROM {$table} ORDER BY updated_at DESC");
+
+        $entries = [];
+        foreach ($rows ?: [] as $row) {
+            $entries[(int) $row->listing_id] = self::format_pipeline_row($row);
+        }
+        return $entries;
+    }
+
+    /**
+     * Create or update a listing's pipeline entry.
+     *
+     * Address and city are copied from the latest score row so the board can
+     * show the property even when no loaded report contains it.
+     *
+     * @return array|null The saved entry, or null on failure.
+     */
+    public static function save_pipeline_entry(int $listing_id, array $entry, int $user_id): ?array {
+        global $wpdb;
+        $table = self::pipeline_table();
+        $clean = self::sanitize_pipeline_entry($entry);
+        $now   = current_time('mysql');
+
+        $data = array_merge($clean, [
+            'updated_by' => $user_id,
+            'updated_at' => $now,
+        ]);
+
+        $existing = $wpdb->get_var($wpdb->prepare(
+            "SELECT id FROM {$table} WHERE listing_id = %d", $listing_id
+        ));
+
+        if ($existing) {
+            $result = $wpdb->update($table, $data, ['id' => (int) $existing]);
+        } else {
+            $row = self::get_result_by_listing($listing_id);
+            if (!$row) {
+                return null;
+            }
+            $result = $wpdb->insert($table, array_merge($data, [
+                'listing_id' => $listing_id,
+                'address'    => (string) $row->address,
+                'city'       => (string) $row->city,
+                'created_at' => $now,
+            ]));
+        }
+
+        if ($result === false) {
+            error_log("[Flip Database] save_pipeline_entry failed for listing {$listing_id}: {$wpdb->last_error}");
+            return null;
+        }
+
+        return self::format_pipeline_row($wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$table} WHERE listing_id = %d", $listing_id
+        )));
+    }
+
+    /**
+     * Stop tracking a listing.
+     */
+    public static function delete_pipeline_entry(int $listing_id): bool {
+        global $wpdb;
+        return (bool) $wpdb->delete(self::pipeline_table(), ['listing_id' => $listing_id]);
+    }
+
+    /**
+     * Normalize a pipeline entry: known status, non-negative offer price,
+     * Y-m-d dates and plain-text notes. Blank values are stored as null.
+     */
+    public static function sanitize_pipeline_entry(array $entry): array {
+        $status = sanitize_key((string) ($entry['status'] ?? ''));
+        $price  = isset($entry['offer_price']) && is_numeric($entry['offer_price'])
+            ? max(0.0, min(100000000.0, (float) $entry['offer_price'])) : null;
+
+        $clean = [
+            'status'      => isset(self::PIPELINE_STATUSES[$status]) ? $status : 'watching',
+            'offer_price' => $price ?: null,
+        ];
+
+        foreach (self::PIPELINE_DATE_FIELDS as $field) {
+            $date = trim((string) ($entry[$field] ?? ''));
+            $parsed = DateTime::createFromFormat('!Y-m-d', $date);
+            $clean[$field] = $parsed && $parsed->format('Y-m-d') === $date ? $date : null;
+        }
+
+        $notes = sanitize_textarea_field((string) ($entry['notes'] ?? ''));
+        $clean['notes'] = mb_substr($notes, 0, self::MAX_PIPELINE_NOTES_LEN);
+
+        return $clean;
+    }
+
+    /**
+     * Pipeline row for JSON output.
+     */
+    private static function format_pipeline_row(object $row): array {
+        return [
+            'listing_id'    => (int) $row->listing_id,
+            'status'        => $row->status,
+            'address'       => $row->address,
+            'city'          => $row->city,
+            'offer_price'   => $row->offer_price !== null ? (float) $row->offer_price : null,
+            'offer_date'    => $row->offer_date,
+            'contract_date' => $row->contract_date,
+            'closing_date'  => $row->closing_date,
+            'notes'         => (string) $row->notes,
+            'updated_at'    => $row->updated_at,
+        ];
+    }
+
+    // ---------------------------------------------------------------
+    // v0.35.0: Analysis Run History
+    // ---------------------------------------------------------------
+
+    /**
+     * Create the run history table via dbDelta.
+     *
+     * One row per analysis, re-run, photo or monitor run: counts, API cost,
+     * duration and a snapshot of the cities, filters, scoring weights and
+     * cost profile in effect, so past runs can be compared and reproduced.
+     */
+    public static function create_runs_table(): void {
+        global $wpdb;
+        $table           = self::runs_table();
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE {$table} (
+            id BIGINT UNSIGNED AUTO_INCREMENT,
+            report_id BIGINT UNSIGNED DEFAULT NULL,
+            run_type VARCHAR(10) NOT NULL DEFAULT 'analysis',
+            status VARCHAR(10) NOT NULL DEFAULT 'running',
+            started_at DATETIME NOT NULL,
+            finished_at DATETIME DEFAULT NULL,
+            duration_sec INT UNSIGNED DEFAULT NULL,
+            listings_total INT UNSIGNED NOT NULL DEFAULT 0,
+            analyzed INT UNSIGNED NOT NULL DEFAULT 0,
+            viable INT UNSIGNED NOT NULL DEFAULT 0,
+            disqualified INT UNSIGNED NOT NULL DEFAULT 0,
+            errors INT UNSIGNED NOT NULL DEFAULT 0,
+            input_tokens BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            output_tokens BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            api_cost DECIMAL(10,4) NOT NULL DEFAULT 0,
+            cities_json TEXT NOT NULL,
+            filters_json TEXT NOT NULL,
+            weights_json TEXT NOT NULL,
+            cost_profile_json TEXT,
+            created_by BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            PRIMARY KEY (id),
+            INDEX idx_started_at (started_at),
+            INDEX idx_report (report_id)
+        ) {$charset_collate};";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($sql);
+    }
+
+    /**
+     * Record the start of a run and prune history beyond MAX_RUN_HISTORY.
+     *
+     * Scoring weights are global, so they are snapshotted here rather than
+     * passed in.
+     *
+     * @param array $data { type, report_id, listings_total, cities, filters, cost_profile, created_by }
+     * @return int Run ID, or 0 on failure (history never blocks a run).
+     */
+    public static function start_run(array $data): int {
+        global $wpdb;
+        $table = self::runs_table();
+        $type  = (string) ($data['type'] ?? '');
+
+        $result = $wpdb->insert($table, [
+            'report_id'         => !empty($data['report_id']) ? (int) $data['report_id'] : null,
+            'run_type'          => isset(self::RUN_TYPES[$type]) ? $type : 'analysis',
+            'status'            => 'running',
+            'started_at'        => current_time('mysql'),
+            'listings_total'    => max(0, (int) ($data['listings_total'] ?? 0)),
+            'cities_json'       => wp_json_encode(array_values($data['cities'] ?? [])),
+            'filters_json'      => wp_json_encode($data['filters'] ?? []),
+            'weights_json'      => wp_json_encode(self::get_scoring_weights()),
+            'cost_profile_json' => isset($data['cost_profile']) ? wp_json_encode($data['cost_profile']) : null,
+            'created_by'        => (int) ($data['created_by'] ?? 0),
+        ]);
+
+        if ($result === false) {
+            error_log("[Flip Database] start_run INSERT failed: {$wpdb->last_error}");
+            return 0;
+        }
+        $run_id = (int) $wpdb->insert_id;
+
+        $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$table} WHERE id <= %d",
+            $run_id - self::MAX_RUN_HISTORY
+        ));
+
+        return $run_id;
+    }
+
+    /**
+     * Add a batch's counts to a running run.
+     *
+     * Increments happen in SQL, so batches never overwrite each other.
+     */
+    public static function add_run_progress(int $run_id, array $counts): void {
+        global $wpdb;
+        if ($run_id <= 0) {
+            return;
+        }
+
+        $counts = self::sanitize_run_counts($counts);
+        $sets   = [];
+        $args   = [];
+        foreach (self::RUN_COUNTERS as $col) {
+            if ($counts[$col] > 0) {
+                $sets[] = "{$col} = {$col} + %d";
+                $args[] = $counts[$col];
+            }
+        }
+        if ($counts['api_cost'] > 0) {
+            $sets[] = 'api_cost = api_cost + %f';
+            $args[] = $counts['api_cost'];
+        }
+        if (empty($sets)) {
+            return;
+        }
+
+        $table  = self::runs_table();
+        $args[] = $run_id;
+        $wpdb->query($wpdb->prepare(
+            "UPDATE {$table} SET " . implode(', ', $sets) . " WHERE id = %d AND status = 'running'",
+            $args
+        ));
+    }
+
+    /**
+     * Close a running run with its final counts; duration is measured
+     * server-side from started_at.
+     *
+     * @param string $status 'completed' or 'cancelled'.
+     */
+    public static function finish_run(int $run_id, string $status, array $counts = []): void {
+        global $wpdb;
+        if ($run_id <= 0) {
+            return;
+        }
+
+        self::add_run_progress($run_id, $counts);
+
+        $table = self::runs_table();
+        $now   = current_time('mysql');
+        $wpdb->query($wpdb->prepare(
+            "UPDATE {$table}
+             SET status = %s, finished_at = %s,
+                 duration_sec = GREATEST(0, TIMESTAMPDIFF(SECOND, started_at, %s))
+             WHERE id = %d AND status = 'running'",
+            $status === 'cancelled' ? 'cancelled' : 'completed', $now, $now, $run_id
+        ));
+    }
+
+    /**
+     * Mark runs that never finalized (tab closed, session expired) as abandoned.
+     */
+    public static function expire_stale_runs(): int {
+        global $wpdb;
+        $table = self::runs_table();
+
+        return (int) $wpdb->query($wpdb->prepare(
+            "UPDATE {$table} SET status = 'abandoned'
+             WHERE status = 'running' AND started_at < DATE_SUB(%s, INTERVAL %d HOUR)",
+            current_time('mysql'), self::RUN_STALE_HOURS
+        ));
+    }
+
+    /**
+     * Most recent runs, newest first, with their report's name.
+     *
+     * Settings snapshots are summarized as a scope string; the full snapshot
+     * is loaded per run with get_run_settings().
+     */
+    public static function get_runs(int $limit = 100): array {
+        global $wpdb;
+        self::expire_stale_runs();
+
+        $runs_table    = self::runs_table();
+        $reports_table = self::reports_table();
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT ru.id, ru.report_id, ru.run_type, ru.status, ru.started_at, ru.duration_sec,
+                    ru.listings_total, ru.analyzed, ru.viable, ru.disqualified, ru.errors,
+                    ru.input_tokens, ru.output_tokens, ru.api_cost, ru.cities_json, ru.filters_json,
+                    rp.name AS report_name, rp.status AS report_status
+             FROM {$runs_table} ru
+             LEFT JOIN {$reports_table} rp ON ru.report_id = rp.id
+             ORDER BY ru.id DESC
+             LIMIT %d",
+            max(1, min(self::MAX_RUN_HISTORY, $limit))
+        ));
+
+        return array_map([__CLASS__, 'format_run_row'], $rows ?: []);
+    }
+
+    /**
+     * A run's settings snapshot, or null if the run no longer exists.
+     *
+     * @return array|null { cities, filters, weights, cost_profile|null }
+     */
+    public static function get_run_settings(int $run_id): ?array {
+        global $wpdb;
+        $table = self::runs_table();
+
+        $row = $wpdb->get_row($wpdb->prepare(
+            "SELECT cities_json, filters_json, weights_json, cost_profile_json FROM {$table} WHERE id = %d",
+            $run_id
+        ));
+        if (!$row) {
+            return null;
+        }
+
+        $cost_profile = $row->cost_profile_json ? json_decode($row->cost_profile_json, true) : null;
+
+        return [
+            'cities'       => json_decode($row->cities_json, true) ?: [],
+            'filters'      => json_decode($row->filters_json, true) ?: [],
+            'weights'      => json_decode($row->weights_json, true) ?: [],
+            'cost_profile' => is_array($cost_profile) ? self::sanitize_cost_profile($cost_profile) : null,
+        ];
+    }
+
+    /**
+     * Normalize run counts: non-negative integers and a non-negative cost.
+     */
+    public static function sanitize_run_counts(array $counts): array {
+        $clean = [];
+        foreach (self::RUN_COUNTERS as $col) {
+            $clean[$col] = max(0, (int) ($counts[$col] ?? 0));
+        }
+        $clean['api_cost'] = max(0.0, round((float) ($counts['api_cost'] ?? 0), 4));
+
+        return $clean;
+    }
+
+    /**
+     * Per-day totals of finished runs for the history trend charts, oldest first.
+     *
+     * Seconds per listing only counts data analysis runs (analysis, re-run);
+     * photo and monitor runs are dominated by vision calls and e-mail.
+     *
+     * @param array[] $runs Rows from get_runs().
+     * @return array[] Each: { date, runs, analyzed, viable, disqualified, errors, api_cost, sec_per_listing|null }
+     */
+    public static function summarize_run_trends(array $runs): array {
+        $days = [];
+        foreach ($runs as $run) {
+            if (($run['status'] ?? '') === 'running') {
+                continue;
+            }
+
+            $date = substr((string) $run['started_at'], 0, 10);
+            if (!isset($days[$date])) {
+                $days[$date] = [
+                    'date' => $date, 'runs' => 0, 'analyzed' => 0, 'viable' => 0,
+                    'disqualified' => 0, 'errors' => 0, 'api_cost' => 0.0,
+                    'timed_sec' => 0, 'timed_listings' => 0,
+                ];
+            }
+
+            $day = &$days[$date];
+            $day['runs']++;
+            $day['analyzed']     += (int) $run['analyzed'];
+            $day['viable']       += (int) $run['viable'];
+            $day['disqualified'] += (int) $run['disqualified'];
+            $day['errors']       += (int) $run['errors'];
+            $day['api_cost']     += (float) $run['api_cost'];
+
+            if (in_array($run['type'], ['analysis', 'rerun'], true)
+                && $run['duration_sec'] !== null && (int) $run['analyzed'] > 0) {
+                $day['timed_sec']      += (int) $run['duration_sec'];
+                $day['timed_listings'] += (int) $run['analyzed'];
+            }
+            unset($day);
+        }
+
+        ksort($days);
+
+        return array_values(array_map(function ($day) {
+            $day['api_cost']        = round($day['api_cost'], 4);
+            $day['sec_per_listing'] = $day['timed_listings'] > 0
+                ? round($day['timed_sec'] / $day['timed_listings'], 2) : null;
+            unset($day['timed_sec'], $day['timed_listings']);
+            return $day;
+        }, $days));
+    }
+
+    /**
+     * Run row for JSON output.
+     */
+    private static function format_run_row(object $row): array {
+        $cities  = json_decode($row->cities_json, true) ?: [];
+        $filters = json_decode($row->filters_json, true) ?: [];
+
+        return [
+            'id'             => (int) $row->id,
+            'report_id'      => $row->report_id !== null ? (int) $row->report_id : null,
+            'report_name'    => $row->report_name && $row->report_status !== 'deleted' ? $row->report_name : null,
+            'type'           => $row->run_type,
+            'status'         => $row->status,
+            'started_at'     => $row->started_at,
+            'duration_sec'   => $row->duration_sec !== null ? (int) $row->duration_sec : null,
+            'listings_total' => (int) $row->listings_total,
+            'analyzed'       => (int) $row->analyzed,
+            'viable'         => (int) $row->viable,
+            'disqualified'   => (int) $row->disqualified,
+            'errors'         => (int) $row->errors,
+            'input_tokens'   => (int) $row->input_tokens,
+            'output_tokens'  => (int) $row->output_tokens,
+            'api_cost'       => (float) $row->api_cost,
+            'scope'          => self::describe_scope($cities, $filters),
+        ];
+    }
 }
@@ -4,6 +4,9 @@
  *
  * Checks active monitors on schedule, analyzes only NEW listings,
  * and sends tiered notifications based on results.
+ *
+ * v0.24.0: Also re-scores already-analyzed listings whose MLS price changed,
+ * and captures a run snapshot for the "changes since previous run" view.
  */
 
 if (!defined('ABSPATH')) {
@@ -63,8 +66,11 @@ class Flip_Monitor_Runner {
      *
      * 1. Fetch all listing IDs matching the monitor's criteria
      * 2. Subtract already-seen listing IDs
-     * 3. If new listings found, run analysis on them
-     * 4. Send tiered notifications based on results
+     * 3. If new (or re-priced) listings found, run analysis on them
+     * 4. Send tiered notifications based on new-listing results
+     * 5. Capture a run snapshot for the changes view
+     *
+     * v0.35.0: Runs that analyze listings are recorded in the run history.
      */
     private static function run_incremental(object $monitor): void {
         global $wpdb;
@@ -81,6 +87,9 @@ class Flip_Monitor_Runner {
         $filters   = json_decode($monitor->filters_json, true) ?: [];
         $now       = current_time('mysql');
 
+        // Baseline for monitors created before run snapshots existed
+        Flip_Report_Diff::ensure_baseline($report_id);
+
         // Step 1: Get all matching listing IDs
         $all_listing_ids = Flip_Property_Fetcher::fetch_matching_listing_ids($cities, $filters);
 
@@ -89,6 +98,7 @@ class Flip_Monitor_Runner {
                 'monitor_last_check'     => $now,
                 'monitor_last_new_count' => 0,
             ]);
+            Flip_Report_Diff::capture($report_id, []);
             delete_transient($lock_key);
             return;
         }
@@ -102,36 +112,65 @@ class Flip_Monitor_Runner {
             Flip_Database::mark_listings_seen($report_id, $existing_ids);
         }
 
-        if (empty($new_listing_ids)) {
+        // Step 3b: Seen listings whose MLS price moved since they were scored
+        $repriced_ids = self::find_repriced_listing_ids($report_id, $existing_ids);
+
+        if (empty($new_listing_ids) && empty($repriced_ids)) {
             Flip_Database::update_report($report_id, [
                 'monitor_last_check'     => $now,
                 'monitor_last_new_count' => 0,
             ]);
+            Flip_Report_Diff::capture($report_id, $all_listing_ids);
             delete_transient($lock_key);
             return;
         }
 
-        // Step 4: Run analysis on new listings only
-        $result = Flip_Analyzer::run([
+        // Step 4: Run analysis on new and re-priced listings only
+        $history_id = Flip_Database::start_run([
+            'type'           => 'monitor',
+            'report_id'      => $report_id,
+            'listings_total' => count($new_listing_ids) + count($repriced_ids),
+            'cities'         => $cities,
+            'filters'        => $filters,
+            'cost_profile'   => Flip_Database::get_report_cost_profile($monitor),
+            'created_by'     => (int) $monitor->created_by,
+        ]);
+
+        Flip_Analyzer::run([
             'filters'     => $filters,
             'report_id'   => $report_id,
-            'listing_ids' => $new_listing_ids,
+            'listing_ids' => array_merge($new_listing_ids, $repriced_ids),
             'city'        => implode(',', $cities),
+            'run_date'    => $now,
         ]);
 
         // Step 4b: Mark only successfully analyzed listings as seen
         // (failed listings will be retried on the next run)
         $table = Flip_Database::table_name();
-        $id_list = implode(',', array_map('intval', $new_listing_ids));
-        $analyzed_ids = $wpdb->get_col($wpdb->prepare(
-            "SELECT listing_id FROM {$table} WHERE report_id = %d AND listing_id IN ({$id_list})",
-            $report_id
-        ));
-        if (!empty($analyzed_ids)) {
-            Flip_Database::mark_listings_seen($report_id, $analyzed_ids);
+        $run_id_list = implode(',', array_map('intval', array_merge($new_listing_ids, $repriced_ids)));
+        $analyzed_ids = array_map('intval', $wpdb->get_col($wpdb->prepare(
+            "SELECT listing_id FROM {$table} WHERE report_id = %d AND run_date = %s AND listing_id IN ({$run_id_list})",
+            $report_id, $now
+        )));
+        $new_analyzed_ids = array_values(array_diff($analyzed_ids, $repriced_ids));
+        if (!empty($new_analyzed_ids)) {
+            Flip_Database::mark_listings_seen($report_id, $new_analyzed_ids);
         }
 
-        $new_total = (int) ($result['analyzed'] ?? 0);
+        // Step 4c: Drop superseded rows for re-scored listings (keep old row if re-scoring failed)
+        $rescored_ids = array_values(array_intersect($analyzed_ids, $repriced_ids));
+        if (!empty($rescored_ids)) {
+            $rescored_list = implode(',', $rescored_ids);
+            $wpdb->query($wpdb->prepare(
+                "DELETE FROM {$table} WHERE report_id = %d AND run_date != %s AND listing_id IN ({$rescored_list})",
+                $report_id, $now
+            ));
+        }
+
+        $new_total = count($new_analyzed_ids);
+
+        // Notifications cover new listings only; re-priced ones surface in the changes view
+        $id_list = implode(',', array_map('intval', $new_listing_ids)) ?: '0';
 
         // Step 5: Identify viable properties from this batch
         $viable_results = $wpdb->get_results($wpdb->prepare(
@@ -143,10 +182,11 @@ class Flip_Monitor_Runner {
 
         // Step 6: Tiered notifications based on notification_level
         $notification_level = $monitor->notification_level ?? 'viable_only';
+        $photo_usage        = [];
 
         if (!empty($viable_results)) {
             // Viable found: photo analysis + PDF + email
-            self::process_viable($monitor, $viable_results);
+            $photo_usage = self::process_viable($monitor, $viable_results);
         }
 
         // Near-viable and DQ notifications (if notification_level allows)
@@ -196,27 +236,94 @@ class Flip_Monitor_Runner {
             'viable_count'           => $total_viable,
         ]);
 
+        Flip_Report_Diff::capture($report_id, $all_listing_ids);
+
+        $run_dq = (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$table} WHERE report_id = %d AND run_date = %s AND disqualified = 1",
+            $report_id, $now
+        ));
+        Flip_Database::finish_run($history_id, 'completed', array_merge($photo_usage, [
+            'analyzed'     => count($analyzed_ids),
+            'viable'       => count($analyzed_ids) - $run_dq,
+            'disqualified' => $run_dq,
+            'errors'       => count($new_listing_ids) + count($repriced_ids) - count($analyzed_ids)
+                + ($photo_usage['errors'] ?? 0),
+        ]));
+
         delete_transient($lock_key);
     }
 
+    /**
+     * Find analyzed listings whose current MLS list price differs from the
+     * price they were scored at.
+     *
+     * @param int   $report_id   Monitor report ID.
+     * @param array $listing_ids Already-seen listing IDs still matching the criteria.
+     * @return int[] Listing IDs to re-score.
+     */
+    private static function find_repriced_listing_ids(int $report_id, array $listing_ids): array {
+        global $wpdb;
+        if (empty($listing_ids)) {
+            return [];
+        }
+
+        $table = Flip_Database::table_name();
+        $scored = $wpdb->get_results($wpdb->prepare(
+            "SELECT listing_id, list_price FROM {$table} WHERE report_id = %d ORDER BY run_date DESC",
+            $report_id
+        ));
+
+        $scored_prices = [];
+        foreach ($scored ?: [] as $row) {
+            $lid = (int) $row->listing_id;
+            if (!isset($scored_prices[$lid])) {
+                $scored_prices[$lid] = (float) $row->list_price;
+            }
+        }
+
+        $candidates = array_values(array_filter(array_map('intval', $listing_ids), function ($lid) use ($scored_prices) {
+            return isset($scored_prices[$lid]);
+        }));
+        $states = Flip_Property_Fetcher::fetch_listing_states($candidates);
+
+        $repriced = [];
+        foreach ($candidates as $lid) {
+            if (isset($states[$lid]) && $states[$lid]['price'] > 0
+                && abs($states[$lid]['price'] - $scored_prices[$lid]) >= 1) {
+                $repriced[] = $lid;
+            }
+        }
+
+        return $repriced;
+    }
+
     /**
      * Process viable properties: run photo analysis, generate PDFs, send email.
+     *
+     * @return array Photo analysis usage for the run history
+     *               { input_tokens, output_tokens, api_cost, errors }.
      */
-    private static function process_viable(object $monitor, array $viable_results): void {
+    private static function process_viable(object $monitor, array $viable_results): array {
         $report_id   = (int) $monitor->id;
         $listing_ids = array_map(function ($r) {
             return (int) $r->listing_id;
         }, $viable_results);
 
         // Run photo analysis on viable properties (report-scoped)
+        $usage = ['input_tokens' => 0, 'output_tokens' => 0, 'api_cost' => 0.0, 'errors' => 0];
         if (class_exists('Flip_Photo_Analyzer')) {
             foreach ($listing_ids as $lid) {
                 try {
                     $result = Flip_Photo_Analyzer::analyze_and_update($lid, $report_id);
+                    $usage['input_tokens']  += $result['usage']['input_tokens'] ?? 0;
+                    $usage['output_tokens'] += $result['usage']['output_tokens'] ?? 0;
+                    $usage['api_cost']      += $result['usage']['cost'] ?? 0;
                     if (!$result['success']) {
+                        $usage['errors']++;
                         error_log("[Flip Monitor] Photo analysis failed for listing {$lid}: " . ($result['error'] ?? 'unknown'));
                     }
                 } catch (\Exception $e) {
+                    $usage['errors']++;
                     error_log("[Flip Monitor] Photo analysis failed for listing {$lid}: " . $e->getMessage());
                 }
             }
@@ -247,6 +354,8 @@ class Flip_Monitor_Runner {
         if (!empty($monitor->notification_email)) {
             self::send_viable_notification($monitor, $viable_results, $pdf_urls, $pdf_failures);
         }
+
+        return $usage;
     }
 
     /**
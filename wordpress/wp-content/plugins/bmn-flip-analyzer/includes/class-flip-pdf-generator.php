@@ -17,6 +17,10 @@
  * sensitivity line chart, comparable photo cards, blue section headers,
  * card shadows, larger fonts.
  *
+ * v0.31.0: Deal packages — sections are selectable, branding comes from
+ * Flip_Database::get_pdf_branding(), and generate_deal_book() bundles a
+ * shortlist into one document (book cover + summary, then each property).
+ *
  * @package BMN_Flip_Analyzer
  * @since 0.9.0
  */
@@ -46,6 +50,9 @@ if (class_exists('TCPDF') && !class_exists('Flip_TCPDF')) {
         /** @var string|false Path to logo temp file for footer */
         public $footer_logo = false;
 
+        /** @var string Branding line shown before the page number */
+        public $footer_text = '';
+
         public function Footer() {
             $this->SetY(-12);
 
@@ -61,7 +68,7 @@ if (class_exists('TCPDF') && !class_exists('Flip_TCPDF')) {
             $this->SetX($logo_x);
             $usable = 216 - 12 - $logo_x; // page width minus right margin minus logo offset
             $this->Cell($usable, 10,
-                'BMN Boston Real Estate  |  Steve Novak (617) 955-2224  |  bmnboston.com  |  Page ' . $this->getAliasNumPage() . '/' . $this->getAliasNbPages(),
+                ($this->footer_text !== '' ? $this->footer_text . '  |  ' : '') . 'Page ' . $this->getAliasNumPage() . '/' . $this->getAliasNbPages(),
                 0, false, 'C'
             );
         }
@@ -92,18 +99,41 @@ class Flip_PDF_Generator {
     private $bme = null;
 
     // ─── BRANDING ────────────────────────────────────────────────
+    // v0.31.0: Loaded from Flip_Database::get_pdf_branding()
+
+    private $logo_url;
+    private $agent_photo_url;
+    private $agent_name;
+    private $agent_title;
+    private $agent_phone;
+    private $agent_email;
+    private $agent_license;
+    private $company_name;
+    private $company_phone;
+    private $company_address;
+    private $company_url;
+    private $tagline;
+    private $accent_color;
+
+    /** @var string[] Section keys to include (see Flip_Database::DEAL_PACKAGE_SECTIONS) */
+    private $sections;
+
+    /** @var bool True while rendering a multi-property deal book */
+    private $book_mode = false;
+
+    /**
+     * @param array $options {
+     *     @type string[] $sections Section keys to include; empty = all sections.
+     * }
+     */
+    public function __construct(array $options = []) {
+        $branding = Flip_Database::get_pdf_branding();
+        foreach (array_keys(Flip_Database::get_default_pdf_branding()) as $key) {
+            $this->$key = (string) $branding[$key];
+        }
 
-    private $logo_url       = 'https://bmnboston.com/wp-content/uploads/2025/12/BMN-Logo-Croped.png';
-    private $agent_photo_url = 'https://bmnboston.com/wp-content/uploads/2025/12/Steve-Novak-600x600-1.jpg';
-    private $agent_name     = 'Steve Novak';
-    private $agent_title    = 'Team Lead';
-    private $agent_phone    = '(617) 955-2224';
-    private $agent_email    = 'steve@bmnboston.com';
-    private $agent_license  = '#9517748';
-    private $company_name   = 'BMN Boston Real Estate';
-    private $company_phone  = '(617) 800-9008';
-    private $company_address = '20 Park Plaza, Boston, MA 02118';
-    private $company_url    = 'bmnboston.com';
+        $this->sections = Flip_Database::sanitize_package_sections($options['sections'] ?? []);
+    }
 
     // ─── PUBLIC API ────────────────────────────────────────────────
 
@@ -114,45 +144,141 @@ class Flip_PDF_Generator {
      * @return string|false File path on success, false on failure.
      */
     public function generate(int $listing_id, ?int $report_id = null) {
-        if (!class_exists('Flip_TCPDF')) {
-            if (defined('WP_DEBUG') && WP_DEBUG) {
-                error_log('[Flip PDF] TCPDF library not found.');
-            }
+        if (!$this->tcpdf_available()) {
             return false;
         }
 
-        $this->raw = $report_id
-            ? Flip_Database::get_result_by_listing_and_report($listing_id, $report_id)
-            : Flip_Database::get_result_by_listing($listing_id);
+        $this->raw = $this->fetch_result($listing_id, $report_id);
         if (!$this->raw) {
             return false;
         }
 
+        $this->d = Flip_Admin_Dashboard::format_result($this->raw);
+        $this->fetch_enriched_data($listing_id);
+
+        $this->initialize_pdf('Property Investment Report - ' . $this->d['address']);
+        $this->add_property_pages();
+        $this->add_call_to_action();
+
+        return $this->save_pdf('flip-report-' . $this->d['listing_id']);
+    }
+
+    /**
+     * Generate a multi-property deal book (v0.31.0).
+     *
+     * One cover and summary table for the shortlist, then the selected
+     * sections for each property in the order given, and a single
+     * contact page at the end.
+     *
+     * @param int[]  $listing_ids MLS listing IDs (capped at MAX_DEAL_BOOK_PROPERTIES).
+     * @param string $title       Book title shown on the cover.
+     * @return string|false File path on success, false on failure.
+     */
+    public function generate_deal_book(array $listing_ids, ?int $report_id = null, string $title = '') {
+        if (!$this->tcpdf_available()) {
+            return false;
+        }
+
+        $ids = array_slice(array_values(array_unique(array_map('intval', $listing_ids))), 0, Flip_Database::MAX_DEAL_BOOK_PROPERTIES);
+        $rows = [];
+        foreach ($ids as $listing_id) {
+            $row = $listing_id > 0 ? $this->fetch_result($listing_id, $report_id) : null;
+            if ($row) {
+                $rows[] = $row;
+            }
+        }
+        if (empty($rows)) {
+            return false;
+        }
+
+        $this->book_mode = true;
+        $title = $title !== '' ? $title : 'Investment Deal Book';
+        $properties = array_map([Flip_Admin_Dashboard::class, 'format_result'], $rows);
+
+        $this->initialize_pdf($title);
+        $this->add_book_cover($title, $properties);
+
+        foreach ($rows as $i => $row) {
+            $this->raw = $row;
+            $this->d = $properties[$i];
+            $this->fetch_enriched_data((int) $row->listing_id);
+            $this->add_property_pages();
+        }
+
+        $this->add_call_to_action($properties);
+
+        return $this->save_pdf('flip-report-book-' . count($rows));
+    }
+
+    /**
+     * Whether a section was chosen for this package.
+     */
+    private function includes(string $section): bool {
+        return in_array($section, $this->sections, true);
+    }
+
+    private function tcpdf_available(): bool {
+        if (!class_exists('Flip_TCPDF')) {
+            if (defined('WP_DEBUG') && WP_DEBUG) {
+                error_log('[Flip PDF] TCPDF library not found.');
+            }
+            return false;
+        }
+        return true;
+    }
+
+    private function fetch_result(int $listing_id, ?int $report_id): ?object {
         if (!class_exists('Flip_Admin_Dashboard')) {
             require_once FLIP_PLUGIN_PATH . 'admin/class-flip-admin-dashboard.php';
         }
 
-        $this->d = Flip_Admin_Dashboard::format_result($this->raw);
-        $this->fetch_enriched_data($listing_id);
+        $row = $report_id
+            ? Flip_Database::get_result_by_listing_and_report($listing_id, $report_id)
+            : Flip_Database::get_result_by_listing($listing_id);
 
-        $this->initialize_pdf();
+        return $row ?: null;
+    }
+
+    /**
+     * Cover page plus the selected sections for the current property.
+     */
+    private function add_property_pages(): void {
         $this->add_cover_page();
-        $this->add_scores_and_valuation();
-        $this->add_financial_analysis();
-        $this->add_rental_analysis();
-        $this->add_brrrr_analysis();
-        $this->add_risk_and_sensitivity();
-        $this->add_comparables();
-        $this->add_property_and_location();
-        $this->add_photo_analysis();
-        $this->add_call_to_action();
 
-        return $this->save_pdf();
+        if ($this->book_mode) {
+            $this->pdf->Bookmark($this->d['address'] . ', ' . $this->d['city'], 0, 0);
+        }
+
+        if ($this->includes('scores')) {
+            $this->add_scores_and_valuation();
+        }
+        if ($this->includes('financials')) {
+            $this->add_financial_analysis();
+        }
+        if ($this->includes('rental')) {
+            $this->add_rental_analysis();
+            $this->add_brrrr_analysis();
+        }
+        if ($this->includes('sensitivity')) {
+            $this->add_risk_and_sensitivity();
+        }
+        if ($this->includes('comps')) {
+            $this->add_comparables();
+        }
+        if ($this->includes('property')) {
+            $this->add_property_and_location();
+        }
+        if ($this->includes('projections')) {
+            $this->add_arv_projections();
+        }
+        if ($this->includes('photos')) {
+            $this->add_photo_analysis();
+        }
     }
 
     // ─── INITIALISATION ────────────────────────────────────────────
 
-    private function initialize_pdf(): void {
+    private function initialize_pdf(string $title): void {
         $this->pdf = new Flip_TCPDF('P', 'mm', 'LETTER', true, 'UTF-8', false);
 
         // Initialize extracted helper classes
@@ -160,12 +286,21 @@ class Flip_PDF_Generator {
         $this->charts = new Flip_PDF_Charts($this->pdf, $this->c);
         $this->images = new Flip_PDF_Images($this->pdf, $this->c);
 
+        if (preg_match('/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i', $this->accent_color, $m)) {
+            $this->c->primary = [hexdec($m[1]), hexdec($m[2]), hexdec($m[3])];
+        }
+
         // Download logo once for footer use on every page
         $this->pdf->footer_logo = $this->images->download_image_temp($this->logo_url);
+        $this->pdf->footer_text = implode('  |  ', array_filter([
+            $this->company_name,
+            trim($this->agent_name . ' ' . $this->agent_phone),
+            $this->company_url,
+        ]));
 
         $this->pdf->SetCreator('BMN Flip Analyzer');
-        $this->pdf->SetAuthor('BMN Boston');
-        $this->pdf->SetTitle('Property Investment Report - ' . $this->d['address']);
+        $this->pdf->SetAuthor($this->company_name);
+        $this->pdf->SetTitle($title);
 
         $this->pdf->SetMargins(Flip_PDF_Components::LM, Flip_PDF_Components::LM, Flip_PDF_Components::LM);
         $this->pdf->SetAutoPageBreak(true, 15);
@@ -267,9 +402,12 @@ class Flip_PDF_Generator {
         }
 
         // Photo thumbnail strip
-        $photos = $this->images->fetch_property_photos($d['listing_id']);
         $strip_y = max($this->pdf->GetY() + 4, $badge_y + 16);
-        $after_strip_y = $this->images->render_photo_strip($photos, $strip_y);
+        $after_strip_y = $strip_y;
+        if ($this->includes('photos')) {
+            $photos = $this->images->fetch_property_photos($d['listing_id']);
+            $after_strip_y = $this->images->render_photo_strip($photos, $strip_y);
+        }
 
         // 6 metric cards — 3 columns x 2 rows
         $metrics_y = $after_strip_y + 2;
@@ -747,7 +885,7 @@ class Flip_PDF_Generator {
 
         // ── Multi-Year Projections table ──
         $proj = $rental['projections'] ?? [];
-        if (!empty($proj)) {
+        if (!empty($proj) && $this->includes('projections')) {
             // Check if we need a new page
             if ($this->pdf->GetY() > 200) {
                 $this->pdf->AddPage();
@@ -936,7 +1074,7 @@ class Flip_PDF_Generator {
 
         // ── BRRRR Projections table ──
         $proj = $brrrr['projections'] ?? [];
-        if (!empty($proj)) {
+        if (!empty($proj) && $this->includes('projections')) {
             if ($this->pdf->GetY() > 210) {
                 $this->pdf->AddPage();
             }
@@ -1241,10 +1379,20 @@ class Flip_PDF_Generator {
 
         // ── Rent Roll card (multifamily — BME enrichment) ──
         $this->render_rent_roll_card();
+    }
+
+    // ─── ARV PROJECTIONS ──────────────────────────────────────────
+
+    private function add_arv_projections(): void {
+        $d = $this->d;
+        $sqft = $d['building_area_total'] ?? 0;
 
-        // ARV Projections
         $avg_ppsf = (float) ($this->raw->avg_comp_ppsf ?? 0);
         if ($avg_ppsf > 0 && $sqft > 0) {
+            // Continues the property page when that section is included
+            if (!$this->includes('property')) {
+                $this->pdf->AddPage();
+            }
             $this->c->add_section_header('ARV Projection Scenarios');
 
             $road_disc = Flip_Analyzer::ROAD_ARV_DISCOUNT[$d['road_type'] ?? ''] ?? 0;
@@ -1471,7 +1619,10 @@ class Flip_PDF_Generator {
 
     // ─── CALL TO ACTION PAGE ──────────────────────────────────────
 
-    private function add_call_to_action(): void {
+    /**
+     * @param array $book Formatted properties when closing a deal book (v0.31.0).
+     */
+    private function add_call_to_action(array $book = []): void {
         $this->pdf->AddPage();
         $d = $this->d;
 
@@ -1497,14 +1648,16 @@ class Flip_PDF_Generator {
         // Headline
         $this->pdf->SetFont('helvetica', 'B', 24);
         $this->c->set_color($this->c->primary);
-        $this->pdf->Cell(Flip_PDF_Components::PW, 12, 'Interested in This Property?', 0, 1, 'C');
+        $this->pdf->Cell(Flip_PDF_Components::PW, 12, $book ? 'Interested in These Properties?' : 'Interested in This Property?', 0, 1, 'C');
         $this->pdf->Ln(4);
 
         // Subheadline
         $this->pdf->SetFont('helvetica', '', 12);
         $this->c->set_color($this->c->gray);
         $this->pdf->MultiCell(Flip_PDF_Components::PW, 7,
-            'This analysis was prepared exclusively for you. If you\'d like to discuss this opportunity, schedule a walkthrough, or explore other flip candidates, I\'m here to help.',
+            $book
+                ? 'This deal book was prepared exclusively for you. If you\'d like to discuss any of these opportunities, schedule walkthroughs, or talk through financing, I\'m here to help.'
+                : 'This analysis was prepared exclusively for you. If you\'d like to discuss this opportunity, schedule a walkthrough, or explore other flip candidates, I\'m here to help.',
             0, 'C'
         );
         $this->pdf->Ln(8);
@@ -1605,7 +1758,7 @@ class Flip_PDF_Generator {
         $this->pdf->SetFont('helvetica', 'B', 10);
         $this->c->set_color($this->c->primary);
         $this->pdf->SetXY($btn_x2, $btn_y + 2);
-        $this->pdf->Cell($btn_w, 8, 'Email Steve', 0, 0, 'C');
+        $this->pdf->Cell($btn_w, 8, 'Email ' . strtok($this->agent_name, ' '), 0, 0, 'C');
 
         $this->pdf->SetY($btn_y + $btn_h + 14);
 
@@ -1619,12 +1772,17 @@ class Flip_PDF_Generator {
         $this->c->set_color($this->c->gray);
         $this->pdf->Cell(Flip_PDF_Components::PW, 5, $this->company_name . '  |  ' . $this->company_address, 0, 1, 'C');
         $this->pdf->Cell(Flip_PDF_Components::PW, 5, $this->company_phone . '  |  ' . $this->company_url, 0, 1, 'C');
-        $this->pdf->Ln(3);
-        $this->pdf->SetFont('helvetica', 'I', 8);
-        $this->pdf->Cell(Flip_PDF_Components::PW, 4, 'Member of Douglas Elliman', 0, 1, 'C');
+        if ($this->tagline !== '') {
+            $this->pdf->Ln(3);
+            $this->pdf->SetFont('helvetica', 'I', 8);
+            $this->pdf->Cell(Flip_PDF_Components::PW, 4, $this->tagline, 0, 1, 'C');
+        }
 
-        // Property offered by disclosure
-        $listing_info = $this->images->fetch_listing_agent_info($d['listing_id']);
+        // Property offered by disclosure (one line per property in a deal book)
+        if ($book) {
+            $this->render_book_disclosures($book);
+        }
+        $listing_info = $book ? null : $this->images->fetch_listing_agent_info($d['listing_id']);
         if ($listing_info) {
             $this->pdf->Ln(6);
 
@@ -1662,6 +1820,123 @@ class Flip_PDF_Generator {
         );
     }
 
+    // ─── DEAL BOOK (v0.31.0) ──────────────────────────────────────
+
+    /**
+     * Book cover with a summary table of every property in the book.
+     *
+     * @param string $title      Book title.
+     * @param array  $properties Formatted results, in book order.
+     */
+    private function add_book_cover(string $title, array $properties): void {
+        $this->pdf->AddPage();
+        $this->pdf->Bookmark('Summary', 0, 0);
+
+        // Top accent bar
+        $this->pdf->SetFillColor($this->c->primary[0], $this->c->primary[1], $this->c->primary[2]);
+        $this->pdf->Rect(Flip_PDF_Components::LM, Flip_PDF_Components::LM, Flip_PDF_Components::PW, 3, 'F');
+
+        $logo_file = $this->images->download_image_temp($this->logo_url);
+        if ($logo_file) {
+            $this->pdf->Image($logo_file, Flip_PDF_Components::LM + (Flip_PDF_Components::PW - 60) / 2, Flip_PDF_Components::LM + 10, 60, 0, '', '', '', false, 300, '', false, false, 0);
+            @unlink($logo_file);
+        }
+
+        $this->pdf->SetY(Flip_PDF_Components::LM + 40);
+        $this->pdf->SetFont('helvetica', 'B', 26);
+        $this->c->set_color($this->c->primary);
+        $this->pdf->MultiCell(Flip_PDF_Components::PW, 12, $title, 0, 'C');
+
+        $cities = array_unique(array_filter(array_column($properties, 'city')));
+        $this->pdf->SetFont('helvetica', '', 12);
+        $this->c->set_color($this->c->gray);
+        $this->pdf->Cell(Flip_PDF_Components::PW, 7,
+            count($properties) . ' ' . (count($properties) === 1 ? 'Property' : 'Properties') . '  |  ' . implode(', ', array_slice($cities, 0, 5)) . (count($cities) > 5 ? ' +' . (count($cities) - 5) : ''),
+            0, 1, 'C'
+        );
+        $this->pdf->Cell(Flip_PDF_Components::PW, 7, 'Prepared by ' . $this->agent_name . '  |  ' . current_time('F j, Y'), 0, 1, 'C');
+        $this->pdf->Ln(8);
+
+        $profits = array_column($properties, 'estimated_profit');
+        $cards = [
+            ['label' => 'Properties',    'value' => (string) count($properties),                                         'color' => $this->c->text],
+            ['label' => 'Avg Score',     'value' => $this->c->fmt_score(array_sum(array_column($properties, 'total_score')) / count($properties)), 'color' => $this->c->primary],
+            ['label' => 'Total Profit (Fin.)', 'value' => $this->c->fmt_currency(array_sum($profits)),                  'color' => array_sum($profits) >= 0 ? $this->c->success : $this->c->danger],
+        ];
+        $this->c->render_metric_grid($cards, 3, $this->pdf->GetY());
+        $this->pdf->Ln(4);
+
+        $this->c->add_section_header('Properties in This Book');
+
+        $strategy_labels = ['flip' => 'Flip', 'rental' => 'Rental', 'brrrr' => 'BRRRR'];
+        $cols = [8, 62, 16, 20, 22, 22, 24, 18];
+        $this->c->render_styled_table_header($cols, ['#', 'Property', 'Score', 'Strategy', 'List Price', 'ARV', 'Profit', 'Ann. ROI']);
+
+        $this->pdf->SetFont('helvetica', '', 8.5);
+        foreach ($properties as $i => $p) {
+            $is_zebra = ($i % 2 === 1);
+            if ($is_zebra) {
+                $this->pdf->SetFillColor($this->c->zebra[0], $this->c->zebra[1], $this->c->zebra[2]);
+            }
+
+            $addr = $p['address'] . ', ' . $p['city'];
+            if (strlen($addr) > 38) $addr = substr($addr, 0, 36) . '...';
+
+            $this->c->set_text_color();
+            $this->pdf->Cell($cols[0], 7, (string) ($i + 1), 0, 0, 'C', $is_zebra);
+            $this->pdf->Cell($cols[1], 7, $addr, 0, 0, 'L', $is_zebra);
+            $this->c->set_color($this->c->get_score_color($p['total_score']));
+            $this->pdf->Cell($cols[2], 7, $this->c->fmt_score($p['total_score']), 0, 0, 'R', $is_zebra);
+            $this->c->set_text_color();
+            $this->pdf->Cell($cols[3], 7, $strategy_labels[$p['best_strategy'] ?? ''] ?? '--', 0, 0, 'C', $is_zebra);
+            $this->pdf->Cell($cols[4], 7, '$' . number_format($p['list_price'] / 1000) . 'K', 0, 0, 'R', $is_zebra);
+            $this->pdf->Cell($cols[5], 7, '$' . number_format($p['estimated_arv'] / 1000) . 'K', 0, 0, 'R', $is_zebra);
+            $this->c->set_color($p['estimated_profit'] >= 0 ? $this->c->success : $this->c->danger);
+            $this->pdf->Cell($cols[6], 7, $this->c->fmt_currency($p['estimated_profit']), 0, 0, 'R', $is_zebra);
+            $this->c->set_color($p['annualized_roi'] >= 0 ? $this->c->success : $this->c->danger);
+            $this->pdf->Cell($cols[7], 7, $this->c->fmt_pct($p['annualized_roi']), 0, 0, 'R', $is_zebra);
+            $this->pdf->Ln();
+        }
+    }
+
+    /**
+     * "Property Offered By" lines for every listing in a deal book.
+     */
+    private function render_book_disclosures(array $properties): void {
+        $lines = [];
+        foreach ($properties as $p) {
+            $info = $this->images->fetch_listing_agent_info($p['listing_id']);
+            if ($info) {
+                $lines[] = $p['address'] . ':  ' . $info['agent_name']
+                    . (!empty($info['office_name']) ? '  |  ' . $info['office_name'] : '');
+            }
+        }
+        if (empty($lines)) {
+            return;
+        }
+
+        $this->pdf->Ln(6);
+        $disc_y = $this->pdf->GetY();
+        $disc_h = 10 + count($lines) * 3.8;
+
+        $this->pdf->SetFillColor($this->c->light[0], $this->c->light[1], $this->c->light[2]);
+        $this->pdf->RoundedRect(Flip_PDF_Components::LM + 10, $disc_y, Flip_PDF_Components::PW - 20, $disc_h, 3, '1111', 'F');
+
+        $this->pdf->SetXY(Flip_PDF_Components::LM + 10, $disc_y + 3);
+        $this->pdf->SetFont('helvetica', 'B', 8);
+        $this->c->set_color($this->c->gray);
+        $this->pdf->Cell(Flip_PDF_Components::PW - 20, 5, 'Properties Offered By', 0, 1, 'C');
+
+        $this->pdf->SetFont('helvetica', '', 7.5);
+        $this->c->set_text_color();
+        foreach ($lines as $line) {
+            $this->pdf->SetX(Flip_PDF_Components::LM + 10);
+            $this->pdf->Cell(Flip_PDF_Components::PW - 20, 3.8, $line, 0, 1, 'C');
+        }
+
+        $this->pdf->SetY($disc_y + $disc_h + 2);
+    }
+
     // ─── ENRICHMENT CARDS ────────────────────────────────────────
 
     /**
@@ -2096,7 +2371,10 @@ class Flip_PDF_Generator {
 
     // ─── FILE OUTPUT ──────────────────────────────────────────────
 
-    private function save_pdf(): string|false {
+    /**
+     * @param string $prefix File name prefix; keep it under "flip-report-" so cleanup_old_pdfs() finds it.
+     */
+    private function save_pdf(string $prefix): string|false {
         $upload_dir = wp_upload_dir();
         $pdf_dir = $upload_dir['basedir'] . '/flip-reports';
 
@@ -2104,7 +2382,7 @@ class Flip_PDF_Generator {
             wp_mkdir_p($pdf_dir);
         }
 
-        $filename = 'flip-report-' . $this->d['listing_id'] . '-' . time() . '.pdf';
+        $filename = $prefix . '-' . time() . '.pdf';
         $filepath = $pdf_dir . '/' . $filename;
 
         // Clean up footer logo temp file
@@ -21,6 +21,13 @@ class Flip_Photo_Analyzer {
     /** Default rehab cost per sqft when photo analysis unavailable */
     const DEFAULT_REHAB_COST_PER_SQFT = 30;
 
+    /** API pricing for CLAUDE_MODEL, USD per million tokens (v0.26.0) */
+    const INPUT_COST_PER_MTOK  = 3.00;
+    const OUTPUT_COST_PER_MTOK = 15.00;
+
+    /** Up-front estimate shown before a run (~10 photos per property) */
+    const ESTIMATED_COST_PER_PROPERTY = 0.04;
+
     /**
      * Get the Claude API key from the chatbot settings table.
      *
@@ -64,6 +71,7 @@ class Flip_Photo_Analyzer {
      *     analysis: array|null (parsed JSON from Claude),
      *     rehab_cost_per_sqft: float,
      *     photo_score: float (0-100),
+     *     usage: array { input_tokens: int, output_tokens: int, cost: float },
      *     error: string|null,
      * }
      */
@@ -73,6 +81,7 @@ class Flip_Photo_Analyzer {
             'analysis'            => null,
             'rehab_cost_per_sqft' => self::DEFAULT_REHAB_COST_PER_SQFT,
             'photo_score'         => 50,
+            'usage'               => self::usage_from_response([]),
             'error'               => null,
         ];
 
@@ -101,6 +110,9 @@ class Flip_Photo_Analyzer {
             return $result;
         }
 
+        // Billed even when the response can't be parsed
+        $result['usage'] = self::usage_from_response($response);
+
         // Parse the response
         $analysis = self::parse_response($response);
         if (!$analysis) {
@@ -374,6 +386,25 @@ PROMPT;
         return $data;
     }
 
+    /**
+     * Token usage and USD cost from an API response.
+     *
+     * @return array { input_tokens: int, output_tokens: int, cost: float }
+     */
+    public static function usage_from_response(array $response): array {
+        $input  = (int) ($response['usage']['input_tokens'] ?? 0);
+        $output = (int) ($response['usage']['output_tokens'] ?? 0);
+
+        return [
+            'input_tokens'  => $input,
+            'output_tokens' => $output,
+            'cost'          => round(
+                ($input * self::INPUT_COST_PER_MTOK + $output * self::OUTPUT_COST_PER_MTOK) / 1000000,
+                4
+            ),
+        ];
+    }
+
     /**
      * Parse Claude response to extract JSON analysis.
      */
@@ -550,21 +581,17 @@ PROMPT;
     }
 
     /**
-     * Run photo analysis on top candidates.
+     * Score rows eligible for photo analysis, best first.
      *
-     * When $report_id is provided, queries only that report's results and
-     * uses analyze_and_update() for correct report-scoped DB updates.
-     * When null, falls back to global latest run (CLI backward compat).
+     * v0.26.0: Extracted from analyze_top_candidates() so the dashboard can
+     * run the same candidate set in batches.
      *
-     * @param int           $top       Number of top candidates to analyze.
-     * @param float         $min_score Minimum total_score to qualify.
-     * @param int|null      $report_id Optional report ID to scope candidates.
-     * @param callable|null $progress  Progress callback.
-     * @return array { analyzed: int, updated: int, errors: int }
+     * @param int      $top       Number of top candidates.
+     * @param float    $min_score Minimum total_score to qualify.
+     * @param int|null $report_id Report to scope to; null = global latest run.
+     * @return object[] Score rows.
      */
-    public static function analyze_top_candidates(int $top = 50, float $min_score = 40, ?int $report_id = null, ?callable $progress = null): array {
-        $log = $progress ?? function ($msg) {};
-
+    public static function get_candidates(int $top = 50, float $min_score = 40, ?int $report_id = null): array {
         if ($report_id) {
             // Report-scoped: query this report's non-DQ'd results
             $all_results = Flip_Database::get_results_by_report($report_id);
@@ -589,7 +616,28 @@ PROMPT;
             ]);
         }
 
-        $stats = ['analyzed' => 0, 'updated' => 0, 'errors' => 0];
+        return $results;
+    }
+
+    /**
+     * Run photo analysis on top candidates.
+     *
+     * When $report_id is provided, queries only that report's results and
+     * uses analyze_and_update() for correct report-scoped DB updates.
+     * When null, falls back to global latest run (CLI backward compat).
+     *
+     * @param int           $top       Number of top candidates to analyze.
+     * @param float         $min_score Minimum total_score to qualify.
+     * @param int|null      $report_id Optional report ID to scope candidates.
+     * @param callable|null $progress  Progress callback.
+     * @return array { analyzed: int, updated: int, errors: int, cost: float }
+     */
+    public static function analyze_top_candidates(int $top = 50, float $min_score = 40, ?int $report_id = null, ?callable $progress = null): array {
+        $log = $progress ?? function ($msg) {};
+
+        $results = self::get_candidates($top, $min_score, $report_id);
+
+        $stats = ['analyzed' => 0, 'updated' => 0, 'errors' => 0, 'cost' => 0.0];
 
         if (empty($results)) {
             $log("No candidates found with score >= {$min_score}");
@@ -606,6 +654,7 @@ PROMPT;
                 // Report-scoped: use analyze_and_update for correct row targeting
                 $analysis = self::analyze_and_update($listing_id, $report_id);
                 $stats['analyzed']++;
+                $stats['cost'] += $analysis['usage']['cost'];
 
                 if (!$analysis['success']) {
                     $log("    Error: " . ($analysis['error'] ?? 'unknown'));
@@ -621,6 +670,7 @@ PROMPT;
                 // Global: use raw analyze + update (original behavior)
                 $analysis = self::analyze($listing_id);
                 $stats['analyzed']++;
+                $stats['cost'] += $analysis['usage']['cost'];
 
                 if (!$analysis['success']) {
                     $log("    Error: " . $analysis['error']);
@@ -639,7 +689,7 @@ PROMPT;
             usleep(500000); // 0.5 second
         }
 
-        $log("Photo analysis complete: {$stats['updated']} updated, {$stats['errors']} errors.");
+        $log(sprintf('Photo analysis complete: %d updated, %d errors, $%.2f API cost.', $stats['updated'], $stats['errors'], $stats['cost']));
         return $stats;
     }
 
@@ -43,7 +43,7 @@ class Flip_Property_Fetcher {
      * fetch_properties() and fetch_matching_listing_ids().
      *
      * @param array $cities  Target city names.
-     * @param array $filters Analysis filter settings.
+     * @param array $filters Analysis filter settings (target_areas widen the city scope).
      * @return array { where: string[], params: mixed[], join: string, statuses: string[] }
      */
     private static function build_filter_conditions(array $cities, array $filters): array {
@@ -77,10 +77,21 @@ class Flip_Property_Fetcher {
         $where[] = "s.standard_status IN ({$ph})";
         $params  = array_merge($params, $statuses);
 
-        // Cities
-        $ph = implode(',', array_fill(0, count($cities), '%s'));
-        $where[] = "s.city IN ({$ph})";
-        $params  = array_merge($params, $cities);
+        // Scope: target cities OR any drawn target area (v0.34.0)
+        $scope = [];
+        if (!empty($cities)) {
+            $ph = implode(',', array_fill(0, count($cities), '%s'));
+            $scope[] = "s.city IN ({$ph})";
+            $params  = array_merge($params, $cities);
+        }
+        foreach ($filters['target_areas'] ?? [] as $area) {
+            $area_sql = self::build_area_condition($area['path'] ?? []);
+            if ($area_sql) {
+                $scope[] = $area_sql['sql'];
+                $params  = array_merge($params, $area_sql['params']);
+            }
+        }
+        $where[] = $scope ? '(' . implode(' OR ', $scope) . ')' : '1 = 0';
 
         // Sewer (requires JOIN to bme_listing_details)
         if (!empty($filters['sewer_public_only'])) {
@@ -167,6 +178,49 @@ class Flip_Property_Fetcher {
         ];
     }
 
+    /**
+     * Point-in-polygon condition on s.latitude/s.longitude for a drawn area.
+     *
+     * v0.34.0: A bounding box check (index-friendly) followed by ray casting:
+     * a listing is inside when a ray cast east from it crosses an odd number
+     * of edges. Same approach as the MLD summary polygon filter.
+     *
+     * @param array $path [[lat, lng], ...] open ring, at least 3 points.
+     * @return array|null { sql: string, params: float[] } or null if invalid.
+     */
+    private static function build_area_condition(array $path): ?array {
+        $n = count($path);
+        if ($n < 3) {
+            return null;
+        }
+
+        $lats = array_column($path, 0);
+        $lngs = array_column($path, 1);
+
+        $sql    = "(s.latitude BETWEEN %f AND %f AND s.longitude BETWEEN %f AND %f AND MOD(";
+        $params = [min($lats), max($lats), min($lngs), max($lngs)];
+
+        $edges = [];
+        for ($i = 0; $i < $n; $i++) {
+            [$lat1, $lng1] = $path[$i];
+            [$lat2, $lng2] = $path[($i + 1) % $n];
+            if ($lat1 == $lat2) {
+                continue; // Horizontal edges never cross an eastward ray
+            }
+            $edges[] = "IF((%f > s.latitude) <> (%f > s.latitude)"
+                . " AND s.longitude < (%f - %f) * (s.latitude - %f) / (%f - %f) + %f, 1, 0)";
+            array_push($params, $lat1, $lat2, $lng2, $lng1, $lat1, $lat2, $lat1, $lng1);
+        }
+
+        if (!$edges) {
+            return null;
+        }
+
+        $sql .= implode(' + ', $edges) . ", 2) = 1)";
+
+        return ['sql' => $sql, 'params' => $params];
+    }
+
     /**
      * Fetch listings matching analysis filters from target cities.
      *
@@ -260,6 +314,90 @@ class Flip_Property_Fetcher {
         return $results;
     }
 
+    /**
+     * Fetch current MLS status and list price for specific listings.
+     * Active table first, archive for the rest (sold/expired listings move there).
+     *
+     * v0.24.0: Used by run snapshots and monitor re-pricing checks.
+     *
+     * @param array $listing_ids Array of MLS listing IDs.
+     * @return array listing_id => { status: string, price: float }
+     */
+    public static function fetch_listing_states(array $listing_ids): array {
+        global $wpdb;
+        $ids = array_values(array_unique(array_map('intval', $listing_ids)));
+        if (empty($ids)) {
+            return [];
+        }
+
+        $states = [];
+        $tables = [$wpdb->prefix . 'bme_listing_summary', $wpdb->prefix . 'bme_listing_summary_archive'];
+
+        foreach ($tables as $table) {
+            $missing = array_values(array_filter($ids, function ($id) use ($states) {
+                return !isset($states[$id]);
+            }));
+
+            foreach (array_chunk($missing, 500) as $chunk) {
+                $ph = implode(',', array_fill(0, count($chunk), '%d'));
+                $rows = $wpdb->get_results($wpdb->prepare(
+                    "SELECT listing_id, standard_status, list_price FROM {$table} WHERE listing_id IN ({$ph})",
+                    $chunk
+                ));
+                foreach ($rows ?: [] as $row) {
+                    $states[(int) $row->listing_id] = [
+                        'status' => (string) $row->standard_status,
+                        'price'  => (float) $row->list_price,
+                    ];
+                }
+            }
+        }
+
+        return $states;
+    }
+
+    /**
+     * Fetch map coordinates for specific listings (active table, then archive).
+     *
+     * v0.27.0: Used by the dashboard map for results and their comps.
+     *
+     * @param array $listing_ids Array of MLS listing IDs.
+     * @return array listing_id => { lat: float, lng: float } (listings without coordinates omitted)
+     */
+    public static function fetch_coordinates(array $listing_ids): array {
+        global $wpdb;
+        $ids = array_values(array_unique(array_map('intval', $listing_ids)));
+        if (empty($ids)) {
+            return [];
+        }
+
+        $points = [];
+        $tables = [$wpdb->prefix . 'bme_listing_summary', $wpdb->prefix . 'bme_listing_summary_archive'];
+
+        foreach ($tables as $table) {
+            $missing = array_values(array_filter($ids, function ($id) use ($points) {
+                return !isset($points[$id]);
+            }));
+
+            foreach (array_chunk($missing, 500) as $chunk) {
+                $ph = implode(',', array_fill(0, count($chunk), '%d'));
+                $rows = $wpdb->get_results($wpdb->prepare(
+                    "SELECT listing_id, latitude, longitude FROM {$table}
+                     WHERE listing_id IN ({$ph}) AND latitude <> 0 AND longitude <> 0",
+                    $chunk
+                ));
+                foreach ($rows ?: [] as $row) {
+                    $points[(int) $row->listing_id] = [
+                        'lat' => (float) $row->latitude,
+                        'lng' => (float) $row->longitude,
+                    ];
+                }
+            }
+        }
+
+        return $points;
+    }
+
     /**
      * Fetch just listing_ids matching criteria (for monitor new-listing detection).
      *
@@ -9,6 +9,7 @@
  *
  * v0.16.0: Initial implementation
  * v0.19.0: Comp-based rental rate estimation tier added
+ * v0.30.0: Explicit overrides (report assumption sets) win over multifamily defaults
  */
 
 if (!defined('ABSPATH')) {
@@ -226,7 +227,7 @@ class Flip_Rental_Calculator {
 
         // Apply multifamily-specific defaults if not already overridden
         if ($is_multifamily) {
-            $params = self::apply_multifamily_defaults($params);
+            $params = self::apply_multifamily_defaults($params, $overrides);
         }
 
         // Total acquisition cost (purchase + rehab + closing)
@@ -453,7 +454,7 @@ class Flip_Rental_Calculator {
 
         // Apply multifamily-specific refi terms
         if ($is_multifamily) {
-            $params = self::apply_multifamily_defaults($params);
+            $params = self::apply_multifamily_defaults($params, $overrides);
         }
 
         $list_price  = (float) ($property_data['list_price'] ?? 0);
@@ -858,11 +859,12 @@ class Flip_Rental_Calculator {
     /**
      * Apply multifamily-specific defaults to params.
      *
-     * Only overrides defaults — user-configured overrides are preserved.
+     * Only overrides defaults — user-configured overrides are preserved,
+     * whether set globally or passed in (e.g. a report's assumption set).
      * Multifamily properties have higher operating costs and different
      * financing terms than single-family residences.
      */
-    private static function apply_multifamily_defaults(array $params): array {
+    private static function apply_multifamily_defaults(array $params, array $overrides = []): array {
         $mf_defaults = [
             'vacancy_rate'        => 0.08,   // 8% (higher tenant turnover)
             'insurance_rate'      => 0.010,  // 1.0% (higher liability, more units)
@@ -878,7 +880,7 @@ class Flip_Rental_Calculator {
 
         foreach ($mf_defaults as $key => $mf_value) {
             // Only apply multifamily default if user hasn't explicitly set this parameter
-            if (!isset($user_set[$key])) {
+            if (!isset($user_set[$key]) && !isset($overrides[$key])) {
                 $params[$key] = $mf_value;
             }
         }
@@ -6,6 +6,7 @@
  * via the same expanding-radius pattern as the ARV calculator.
  *
  * v0.19.0: Initial implementation.
+ * v0.29.0: apply_edit() re-weights a stored comp set after analyst edits.
  */
 
 if (!defined('ABSPATH')) {
@@ -104,33 +105,8 @@ class Flip_Rental_Comp_Calculator {
         }
 
         // Distance + time + source weighted average
-        $weighted_rent_sum = 0;
-        $weight_sum = 0;
         $now_ts = current_time('timestamp');
-
-        foreach ($comps as $c) {
-            $dist = max(0.05, (float) $c->distance_miles);
-
-            // Time decay: half-weight at 9 months (ln(2)/9 ≈ 0.077)
-            $date_field = !empty($c->close_date) ? $c->close_date : ($c->listing_contract_date ?? null);
-            $months_ago = 0;
-            if ($date_field) {
-                $comp_ts = strtotime($date_field);
-                $months_ago = max(0, ($now_ts - $comp_ts) / (30 * 86400));
-            }
-            $time_weight = exp(-0.077 * $months_ago);
-
-            // Source weight: closed leases more reliable than active listings
-            $source_weight = ((int) ($c->is_closed ?? 0) === 1) ? 1.2 : 1.0;
-
-            // Combined weight
-            $weight = $source_weight * $time_weight / pow($dist + 0.1, 2);
-
-            $weighted_rent_sum += (float) $c->adjusted_rent * $weight;
-            $weight_sum += $weight;
-        }
-
-        $weighted_rent = $weight_sum > 0 ? round($weighted_rent_sum / $weight_sum, 2) : 0;
+        $weighted_rent = self::weighted_rent($comps, $now_ts);
 
         // Compute stats
         $active_count = 0;
@@ -172,6 +148,70 @@ class Flip_Rental_Comp_Calculator {
         return $result;
     }
 
+    /**
+     * Re-estimate rent from an analyst's edits to a stored comp set (v0.29.0).
+     *
+     * Excluded comps are dropped and manual comps are adjusted toward the
+     * subject at the comps' average rental $/sqft; the remaining set is
+     * weighted and scored for confidence exactly as in calculate().
+     *
+     * @param array|null $rental_comps Stored rental_comps block from rental_analysis_json.
+     * @param array      $edit         Edit from Flip_Database::sanitize_rent_edit().
+     * @param object     $subject      Subject with bedrooms_total, bathrooms_total, building_area_total.
+     * @return array { rows[] (all comps with id/manual/included flags), estimated_monthly_rent, confidence, comp_count }
+     */
+    public static function apply_edit(?array $rental_comps, array $edit, object $subject): array {
+        $excluded = $edit['excluded'] ?? [];
+        $ppsf = (float) ($rental_comps['avg_rental_ppsf'] ?? 0);
+        if ($ppsf <= 0) {
+            $ppsf = 2.00;
+        }
+
+        $rows = [];
+        foreach ($rental_comps['comps'] ?? [] as $i => $comp) {
+            $id = !empty($comp['listing_id']) ? (string) $comp['listing_id'] : 'comp-' . $i;
+            $rows[] = array_merge($comp, [
+                'id'       => $id,
+                'manual'   => false,
+                'included' => !in_array($id, $excluded, true),
+            ]);
+        }
+
+        foreach ($edit['manual'] ?? [] as $i => $comp) {
+            $adj = self::adjust_comp_rent((object) [
+                'rent_amount'     => $comp['rent_amount'],
+                'bedrooms_total'  => $comp['bedrooms'],
+                'bathrooms_total' => $comp['bathrooms'],
+                'sqft'            => $comp['sqft'],
+            ], $subject, $ppsf);
+
+            $rows[] = array_merge($comp, [
+                'id'            => 'manual-' . $i,
+                'index'         => $i,
+                'manual'        => true,
+                'included'      => true,
+                'is_closed'     => 1,
+                'close_date'    => null,
+                'adjusted_rent' => $adj['adjusted_rent'],
+            ]);
+        }
+
+        $used = [];
+        foreach ($rows as $row) {
+            if ($row['included']) {
+                $used[] = (object) $row;
+            }
+        }
+        $now_ts = current_time('timestamp');
+
+        return [
+            'rows'                   => $rows,
+            'estimated_monthly_rent' => self::weighted_rent($used, $now_ts),
+            'confidence'             => self::calc_confidence($used, $now_ts),
+            'comp_count'             => count($used),
+        ];
+    }
+
     /**
      * Cross-reference rental comp estimate with MLS gross_income.
      *
@@ -470,6 +510,38 @@ class Flip_Rental_Comp_Calculator {
         ];
     }
 
+    /**
+     * Distance, recency and source weighted average of adjusted comp rents.
+     */
+    private static function weighted_rent(array $comps, int $now_ts): float {
+        $weighted_rent_sum = 0;
+        $weight_sum = 0;
+
+        foreach ($comps as $c) {
+            $dist = max(0.05, (float) $c->distance_miles);
+
+            // Time decay: half-weight at 9 months (ln(2)/9 ≈ 0.077)
+            $date_field = !empty($c->close_date) ? $c->close_date : ($c->listing_contract_date ?? null);
+            $months_ago = 0;
+            if ($date_field) {
+                $comp_ts = strtotime($date_field);
+                $months_ago = max(0, ($now_ts - $comp_ts) / (30 * 86400));
+            }
+            $time_weight = exp(-0.077 * $months_ago);
+
+            // Source weight: closed leases more reliable than active listings
+            $source_weight = ((int) ($c->is_closed ?? 0) === 1) ? 1.2 : 1.0;
+
+            // Combined weight
+            $weight = $source_weight * $time_weight / pow($dist + 0.1, 2);
+
+            $weighted_rent_sum += (float) $c->adjusted_rent * $weight;
+            $weight_sum += $weight;
+        }
+
+        return $weight_sum > 0 ? round($weighted_rent_sum / $weight_sum, 2) : 0;
+    }
+
     /**
      * Multi-factor rental confidence score.
      *
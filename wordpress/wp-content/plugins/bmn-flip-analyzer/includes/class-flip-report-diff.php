@@ -0,0 +1,228 @@
+<?php
+/**
+ * Report Diff — "what changed since the previous run" for saved reports and monitors.
+ *
+ * v0.24.0: After every run a compact per-listing snapshot (score, viability,
+ * current MLS price and status) is stored. The dashboard diffs the two most
+ * recent snapshots to flag new listings, newly viable listings, price drops,
+ * status changes, score changes and listings that dropped out of the criteria.
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class Flip_Report_Diff {
+
+    /** Minimum total_score movement reported as a score change. */
+    const SCORE_CHANGE_MIN = 2.0;
+
+    /** Matches the viable threshold used by summaries and monitor notifications. */
+    const VIABLE_SCORE = 60;
+
+    /** Change types in display order. */
+    const CHANGE_TYPES = ['new', 'newly_viable', 'price_drop', 'status_change', 'score_change', 'dropped'];
+
+    /**
+     * Capture a snapshot of the report's current results.
+     *
+     * Skipped when nothing changed since the latest snapshot, so a quiet monitor
+     * check doesn't push the last real changes out of view.
+     *
+     * @param int        $report_id    Report ID.
+     * @param array|null $matching_ids Listing IDs currently matching the report criteria
+     *                                 (monitors). Null treats every stored result as matching.
+     * @return bool True if a new snapshot was stored.
+     */
+    public static function capture(int $report_id, ?array $matching_ids = null): bool {
+        $rows   = Flip_Database::get_results_by_report($report_id);
+        $latest = Flip_Database::get_report_snapshots($report_id, 1);
+        $previous = !empty($latest) ? $latest[0]['listings'] : [];
+
+        if (empty($rows) && empty($previous)) {
+            return false;
+        }
+
+        $listing_ids = array_merge(
+            array_map(function ($r) { return (int) $r->listing_id; }, $rows),
+            array_keys($previous)
+        );
+        $states = Flip_Property_Fetcher::fetch_listing_states($listing_ids);
+
+        $snapshot = self::build_snapshot($rows, $states, $matching_ids, $previous);
+
+        if (!empty($latest) && $snapshot == $previous) {
+            return false;
+        }
+
+        return Flip_Database::save_report_snapshot($report_id, current_time('mysql'), $snapshot) > 0;
+    }
+
+    /**
+     * Capture the current state if the report has no snapshot yet.
+     *
+     * Called before reruns and monitor checks so reports created before v0.24.0
+     * get a baseline to diff against.
+     */
+    public static function ensure_baseline(int $report_id): void {
+        if (empty(Flip_Database::get_report_snapshots($report_id, 1))) {
+            self::capture($report_id);
+        }
+    }
+
+    /**
+     * Build a snapshot map from result rows.
+     *
+     * Listings that were matching in the previous snapshot but have no result row
+     * any more are carried forward once as non-matching, with their current MLS
+     * state, so the diff can report them as dropped out (and why).
+     *
+     * @param object[]   $rows         Result rows (newest row per listing wins).
+     * @param array      $states       listing_id => { status, price } from the MLS.
+     * @param array|null $matching_ids Listing IDs matching the criteria, or null for all.
+     * @param array      $previous     Previous snapshot map.
+     * @return array listing_id => { address, city, score, price, status, viable, disqualified, matching }
+     */
+    public static function build_snapshot(array $rows, array $states, ?array $matching_ids = null, array $previous = []): array {
+        $matching_map = $matching_ids !== null ? array_flip(array_map('intval', $matching_ids)) : null;
+        $snapshot = [];
+
+        foreach ($rows as $row) {
+            $lid = (int) $row->listing_id;
+            if (isset($snapshot[$lid])) {
+                continue;
+            }
+
+            $disqualified = (bool) $row->disqualified;
+            $score = round((float) $row->total_score, 1);
+
+            $snapshot[$lid] = [
+                'address'      => (string) $row->address,
+                'city'         => (string) $row->city,
+                'score'        => $score,
+                'price'        => $states[$lid]['price'] ?? (float) $row->list_price,
+                'status'       => $states[$lid]['status'] ?? '',
+                'viable'       => !$disqualified && $score >= self::VIABLE_SCORE,
+                'disqualified' => $disqualified,
+                'matching'     => $matching_map === null || isset($matching_map[$lid]),
+            ];
+        }
+
+        foreach ($previous as $lid => $prev) {
+            if (isset($snapshot[$lid]) || empty($prev['matching'])) {
+                continue;
+            }
+            $snapshot[$lid] = array_merge($prev, [
+                'price'    => $states[$lid]['price'] ?? $prev['price'],
+                'status'   => $states[$lid]['status'] ?? '',
+                'matching' => false,
+            ]);
+        }
+
+        ksort($snapshot);
+        return $snapshot;
+    }
+
+    /**
+     * Diff two snapshot maps.
+     *
+     * @return array {
+     *     listings: array<int, { types: string[], previous: { price, score, status }|null, current: { price, score, status }|null }>,
+     *     dropped:  array[] Last known state of listings that dropped out,
+     *     counts:   array<string, int> Listings per change type,
+     * }
+     */
+    public static function diff(array $previous, array $current): array {
+        $listings = [];
+        $dropped  = [];
+
+        foreach ($current as $lid => $curr) {
+            $prev  = $previous[$lid] ?? null;
+            $types = [];
+
+            if ($prev === null || empty($prev['matching'])) {
+                if (!empty($curr['matching'])) {
+                    $types[] = 'new';
+                }
+            } elseif (empty($curr['matching'])) {
+                $types[] = 'dropped';
+                $dropped[] = array_merge(['listing_id' => (int) $lid], $curr);
+            } else {
+                if (!empty($curr['viable']) && empty($prev['viable'])) {
+                    $types[] = 'newly_viable';
+                }
+                if ($curr['price'] > 0 && $curr['price'] < $prev['price']) {
+                    $types[] = 'price_drop';
+                }
+                if ($prev['status'] !== '' && $curr['status'] !== '' && $curr['status'] !== $prev['status']) {
+                    $types[] = 'status_change';
+                }
+                if (abs($curr['score'] - $prev['score']) >= self::SCORE_CHANGE_MIN) {
+                    $types[] = 'score_change';
+                }
+            }
+
+            if (!empty($types)) {
+                $listings[$lid] = [
+                    'types'    => $types,
+                    'previous' => $prev === null ? null : [
+                        'price'  => $prev['price'],
+                        'score'  => $prev['score'],
+                        'status' => $prev['status'],
+                    ],
+                    'current'  => [
+                        'price'  => $curr['price'],
+                        'score'  => $curr['score'],
+                        'status' => $curr['status'],
+                    ],
+                ];
+            }
+        }
+
+        // Listings missing from the current snapshot altogether (not carried forward)
+        foreach ($previous as $lid => $prev) {
+            if (!isset($current[$lid]) && !empty($prev['matching'])) {
+                $listings[$lid] = [
+                    'types'    => ['dropped'],
+                    'previous' => ['price' => $prev['price'], 'score' => $prev['score'], 'status' => $prev['status']],
+                    'current'  => null,
+                ];
+                $dropped[] = array_merge(['listing_id' => (int) $lid], $prev, ['matching' => false]);
+            }
+        }
+
+        $counts = array_fill_keys(self::CHANGE_TYPES, 0);
+        foreach ($listings as $entry) {
+            foreach ($entry['types'] as $type) {
+                $counts[$type]++;
+            }
+        }
+
+        return [
+            'listings' => $listings,
+            'dropped'  => $dropped,
+            'counts'   => $counts,
+        ];
+    }
+
+    /**
+     * Changes between the report's two most recent snapshots, for the dashboard.
+     *
+     * @return array|null Diff plus since/run_date, or null with fewer than two snapshots.
+     */
+    public static function get_changes(int $report_id): ?array {
+        $snapshots = Flip_Database::get_report_snapshots($report_id, 2);
+        if (count($snapshots) < 2) {
+            return null;
+        }
+
+        $diff = self::diff($snapshots[1]['listings'], $snapshots[0]['listings']);
+        $diff['since']    = $snapshots[1]['run_date'];
+        $diff['run_date'] = $snapshots[0]['run_date'];
+
+        // JSON objects, not arrays, even when empty or sequential
+        $diff['listings'] = (object) $diff['listings'];
+
+        return $diff;
+    }
+}
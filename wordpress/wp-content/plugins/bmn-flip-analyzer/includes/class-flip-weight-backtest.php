@@ -0,0 +1,372 @@
+<?php
+/**
+ * Weight Backtest — replay scoring weights against properties with a known outcome.
+ *
+ * v0.32.0: A sample is an analyzed (non-disqualified) listing that later closed
+ * and then resold at the same address within RESALE_MAX_MONTHS. Realized profit
+ * is resale price − purchase price − the analyzer's rehab estimate. Each weight
+ * set re-ranks the samples by composite score, and is measured by Spearman rank
+ * correlation with realized profit and precision@N (share of the top N that
+ * cleared the saved min-profit threshold).
+ *
+ * Only the main category weights can be replayed: the scores table stores the
+ * group scores but not the sub-factor scores they were built from.
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class Flip_Weight_Backtest {
+
+    /** Resales closing sooner than this after the purchase are treated as data noise. */
+    const RESALE_MIN_DAYS = 60;
+
+    /** Resales later than this are too far out to credit to the flip. */
+    const RESALE_MAX_MONTHS = 24;
+
+    /** Purchase/resale rows read, most recent purchases first (keeps the archive self-join bounded). */
+    const MAX_SALE_ROWS = 2000;
+
+    /** Fewer samples than this can't support a meaningful comparison. */
+    const MIN_SAMPLES = 5;
+
+    const DEFAULT_TOP_N = 10;
+
+    const MAX_TOP_N = 50;
+
+    /** Samples are cached briefly; the archive only changes with the nightly import. */
+    const CACHE_KEY = 'bmn_flip_backtest_samples';
+    const CACHE_TTL = 3600;
+
+    /** Main category keys, in display order. */
+    const MAIN_KEYS = ['financial', 'property', 'location', 'market'];
+
+    /**
+     * Backtest candidate main weights against the saved weights.
+     *
+     * @param array $candidate_main Candidate main weights (decimals summing to 1).
+     * @param int   $top_n          N for precision@N.
+     * @param bool  $refresh        Bypass the sample cache.
+     * @return array|WP_Error Comparison payload, or an error when there aren't enough samples.
+     */
+    public static function run(array $candidate_main, int $top_n = self::DEFAULT_TOP_N, bool $refresh = false) {
+        $samples = self::fetch_samples($refresh);
+
+        if (count($samples) < self::MIN_SAMPLES) {
+            return new WP_Error('insufficient_samples', sprintf(
+                'Only %d analyzed properties have a recorded resale; at least %d are needed to backtest.',
+                count($samples),
+                self::MIN_SAMPLES
+            ));
+        }
+
+        $saved      = Flip_Database::get_scoring_weights();
+        $min_profit = (float) ($saved['thresholds']['min_profit'] ?? 25000);
+        $top_n      = max(1, min(self::MAX_TOP_N, $top_n, count($samples)));
+
+        return self::compare($samples, $saved['main'], $candidate_main, $top_n, $min_profit);
+    }
+
+    /**
+     * Evaluate the saved and candidate weights on the same samples.
+     *
+     * @param array $samples        Samples from build_samples().
+     * @param array $saved_main     Saved main weights.
+     * @param array $candidate_main Candidate main weights.
+     * @param int   $top_n          N for precision@N.
+     * @param float $min_profit     Realized profit that counts as a hit.
+     * @return array { samples, top_n, min_profit, base_rate, saved, candidate, top }
+     */
+    public static function compare(array $samples, array $saved_main, array $candidate_main, int $top_n, float $min_profit): array {
+        $saved     = self::evaluate($samples, $saved_main, $top_n, $min_profit);
+        $candidate = self::evaluate($samples, $candidate_main, $top_n, $min_profit);
+
+        $hits = count(array_filter($samples, function ($s) use ($min_profit) {
+            return $s['realized_profit'] >= $min_profit;
+        }));
+
+        $saved_rank = array_flip($saved['order']);
+        $top = [];
+        foreach (array_slice($candidate['order'], 0, $top_n) as $rank => $i) {
+            $s = $samples[$i];
+            $top[] = [
+                'listing_id'      => $s['listing_id'],
+                'address'         => $s['address'],
+                'city'            => $s['city'],
+                'score'           => round(self::composite($s, $candidate_main), 1),
+                'rank'            => $rank + 1,
+                'saved_rank'      => $saved_rank[$i] + 1,
+                'purchase_price'  => $s['purchase_price'],
+                'resale_price'    => $s['resale_price'],
+                'realized_profit' => $s['realized_profit'],
+            ];
+        }
+
+        unset($saved['order'], $candidate['order']);
+
+        return [
+            'samples'    => count($samples),
+            'top_n'      => $top_n,
+            'min_profit' => $min_profit,
+            'base_rate'  => round($hits / count($samples), 4),
+            'saved'      => $saved,
+            'candidate'  => $candidate,
+            'top'        => $top,
+        ];
+    }
+
+    /**
+     * Rank samples by composite score under one weight set and measure the ranking.
+     *
+     * @return array { spearman: float|null, precision: float, hits: int, avg_profit: float, order: int[] }
+     *               order is sample indexes, best score first.
+     */
+    public static function evaluate(array $samples, array $main, int $top_n, float $min_profit): array {
+        $scores  = [];
+        $profits = [];
+        foreach ($samples as $i => $s) {
+            $scores[$i]  = self::composite($s, $main);
+            $profits[$i] = (float) $s['realized_profit'];
+        }
+
+        // Stable on ties: equal scores keep sample order
+        $order = array_keys($scores);
+        usort($order, function ($a, $b) use ($scores) {
+            return $scores[$b] <=> $scores[$a] ?: $a <=> $b;
+        });
+
+        $top  = array_slice($order, 0, $top_n);
+        $hits = 0;
+        $sum  = 0.0;
+        foreach ($top as $i) {
+            $sum += $profits[$i];
+            if ($profits[$i] >= $min_profit) {
+                $hits++;
+            }
+        }
+
+        $spearman = self::spearman(array_values($scores), array_values($profits));
+
+        return [
+            'spearman'   => $spearman !== null ? round($spearman, 4) : null,
+            'precision'  => empty($top) ? 0.0 : round($hits / count($top), 4),
+            'hits'       => $hits,
+            'avg_profit' => empty($top) ? 0.0 : round($sum / count($top), 2),
+            'order'      => $order,
+        ];
+    }
+
+    /**
+     * Weighted composite of the stored group scores (mirrors the analyzer's base total).
+     */
+    public static function composite(array $sample, array $main): float {
+        $total = 0.0;
+        foreach (self::MAIN_KEYS as $key) {
+            $total += (float) ($sample[$key . '_score'] ?? 0) * (float) ($main[$key] ?? 0);
+        }
+        return $total;
+    }
+
+    /**
+     * Spearman rank correlation (Pearson on average ranks, so ties are handled).
+     *
+     * @return float|null Null with fewer than 3 pairs or when either side is constant.
+     */
+    public static function spearman(array $x, array $y): ?float {
+        $n = count($x);
+        if ($n < 3 || $n !== count($y)) {
+            return null;
+        }
+
+        $rx = self::ranks(array_values($x));
+        $ry = self::ranks(array_values($y));
+        $mean = ($n + 1) / 2;
+
+        $cov = $vx = $vy = 0.0;
+        for ($i = 0; $i < $n; $i++) {
+            $dx = $rx[$i] - $mean;
+            $dy = $ry[$i] - $mean;
+            $cov += $dx * $dy;
+            $vx  += $dx * $dx;
+            $vy  += $dy * $dy;
+        }
+
+        if ($vx == 0 || $vy == 0) {
+            return null;
+        }
+        return $cov / sqrt($vx * $vy);
+    }
+
+    /**
+     * 1-based ascending ranks; tied values share the average of their positions.
+     */
+    private static function ranks(array $values): array {
+        $idx = array_keys($values);
+        usort($idx, function ($a, $b) use ($values) {
+            return $values[$a] <=> $values[$b];
+        });
+
+        $ranks = [];
+        $count = count($idx);
+        for ($i = 0; $i < $count;) {
+            $j = $i;
+            while ($j + 1 < $count && $values[$idx[$j + 1]] == $values[$idx[$i]]) {
+                $j++;
+            }
+            $avg = ($i + $j) / 2 + 1;
+            for ($k = $i; $k <= $j; $k++) {
+                $ranks[$idx[$k]] = $avg;
+            }
+            $i = $j + 1;
+        }
+
+        ksort($ranks);
+        return $ranks;
+    }
+
+    /**
+     * Pair purchases with their first resale and the score known before the purchase.
+     *
+     * @param array $sales      Rows { listing_id, purchase_price, purchase_date, resale_price, resale_date },
+     *                          possibly several resales per purchase.
+     * @param array $score_rows Scores table rows (objects), any order.
+     * @return array Samples, one per listing, ordered by purchase date.
+     */
+    public static function build_samples(array $sales, array $score_rows): array {
+        // First resale per purchase
+        $first = [];
+        foreach ($sales as $sale) {
+            $sale = (array) $sale;
+            $id = (int) $sale['listing_id'];
+            if (!isset($first[$id]) || $sale['resale_date'] < $first[$id]['resale_date']) {
+                $first[$id] = $sale;
+            }
+        }
+
+        // Latest analysis run on or before the purchase closed
+        $scored = [];
+        foreach ($score_rows as $row) {
+            $id = (int) $row->listing_id;
+            if (!isset($first[$id]) || substr((string) $row->run_date, 0, 10) > substr((string) $first[$id]['purchase_date'], 0, 10)) {
+                continue;
+            }
+            if (!isset($scored[$id]) || $row->run_date > $scored[$id]->run_date) {
+                $scored[$id] = $row;
+            }
+        }
+
+        $samples = [];
+        foreach ($first as $id => $sale) {
+            if (!isset($scored[$id])) {
+                continue;
+            }
+            $row      = $scored[$id];
+            $purchase = (float) $sale['purchase_price'];
+            $resale   = (float) $sale['resale_price'];
+            $rehab    = (float) $row->estimated_rehab_cost;
+
+            $samples[] = [
+                'listing_id'      => $id,
+                'address'         => (string) $row->address,
+                'city'            => (string) $row->city,
+                'run_date'        => (string) $row->run_date,
+                'financial_score' => (float) $row->financial_score,
+                'property_score'  => (float) $row->property_score,
+                'location_score'  => (float) $row->location_score,
+                'market_score'    => (float) $row->market_score,
+                'purchase_price'  => $purchase,
+                'purchase_date'   => substr((string) $sale['purchase_date'], 0, 10),
+                'resale_price'    => $resale,
+                'resale_date'     => substr((string) $sale['resale_date'], 0, 10),
+                'realized_profit' => round($resale - $purchase - $rehab, 2),
+            ];
+        }
+
+        usort($samples, function ($a, $b) {
+            return strcmp($a['purchase_date'], $b['purchase_date']) ?: $a['listing_id'] <=> $b['listing_id'];
+        });
+
+        return $samples;
+    }
+
+    /**
+     * Load samples from the archive and scores tables (cached).
+     */
+    public static function fetch_samples(bool $refresh = false): array {
+        if (!$refresh) {
+            $cached = get_transient(self::CACHE_KEY);
+            if (is_array($cached)) {
+                return $cached;
+            }
+        }
+
+        $sales   = self::fetch_sales();
+        $samples = self::build_samples($sales, self::fetch_score_rows(array_column($sales, 'listing_id')));
+
+        set_transient(self::CACHE_KEY, $samples, self::CACHE_TTL);
+        return $samples;
+    }
+
+    /**
+     * Closed sales of analyzed listings joined to later closed sales at the same address.
+     */
+    private static function fetch_sales(): array {
+        global $wpdb;
+        $archive = $wpdb->prefix . 'bme_listing_summary_archive';
+        $scores  = Flip_Database::table_name();
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT p.listing_id, p.close_price AS purchase_price, p.close_date AS purchase_date,
+                    r.close_price AS resale_price, r.close_date AS resale_date
+             FROM {$archive} p
+             INNER JOIN {$archive} r
+                ON r.street_number = p.street_number
+               AND r.street_name = p.street_name
+               AND r.city = p.city
+               AND r.listing_id <> p.listing_id
+               AND r.standard_status = 'Closed'
+               AND r.close_price > 0
+               AND r.close_date >= DATE_ADD(p.close_date, INTERVAL %d DAY)
+               AND r.close_date <= DATE_ADD(p.close_date, INTERVAL %d MONTH)
+             WHERE p.standard_status = 'Closed'
+               AND p.close_price > 0
+               AND p.street_number <> ''
+               AND p.listing_id IN (SELECT listing_id FROM {$scores} WHERE disqualified = 0)
+             ORDER BY p.close_date DESC
+             LIMIT %d",
+            self::RESALE_MIN_DAYS,
+            self::RESALE_MAX_MONTHS,
+            self::MAX_SALE_ROWS
+        ), ARRAY_A);
+
+        return $rows ?: [];
+    }
+
+    /**
+     * Non-disqualified score rows for the given listings.
+     */
+    private static function fetch_score_rows(array $listing_ids): array {
+        global $wpdb;
+        $ids = array_values(array_unique(array_map('intval', $listing_ids)));
+        if (empty($ids)) {
+            return [];
+        }
+
+        $table = Flip_Database::table_name();
+        $rows  = [];
+        foreach (array_chunk($ids, 500) as $chunk) {
+            $ph = implode(',', array_fill(0, count($chunk), '%d'));
+            $found = $wpdb->get_results($wpdb->prepare(
+                "SELECT listing_id, run_date, address, city, financial_score, property_score,
+                        location_score, market_score, estimated_rehab_cost
+                 FROM {$table}
+                 WHERE disqualified = 0 AND listing_id IN ({$ph})",
+                $chunk
+            ));
+            $rows = array_merge($rows, $found ?: []);
+        }
+
+        return $rows;
+    }
+}
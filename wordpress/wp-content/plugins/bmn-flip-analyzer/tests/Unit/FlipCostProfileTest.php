@@ -0,0 +1,149 @@
+<?php
+/**
+ * Unit Tests for per-user cost profiles: saving, selecting, deleting and
+ * report snapshots.
+ *
+ * @package BMN_Flip_Analyzer\Tests\Unit
+ * @since 0.21.0
+ */
+
+namespace FlipAnalyzer\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+
+class FlipCostProfileTest extends TestCase {
+
+    private const USER = 7;
+
+    protected function setUp(): void {
+        parent::setUp();
+        flip_reset_test_data();
+    }
+
+    protected function tearDown(): void {
+        parent::tearDown();
+        flip_reset_test_data();
+    }
+
+    public function test_default_profile_mirrors_analyzer_constants(): void {
+        $profile = \Flip_Database::get_default_cost_profile();
+
+        $this->assertSame('default', $profile['id']);
+        $this->assertEquals(\Flip_Analyzer::MA_TRANSFER_TAX_RATE, $profile['transfer_tax_rate']);
+        $this->assertEquals(\Flip_Analyzer::HARD_MONEY_RATE, $profile['hard_money_rate']);
+        $this->assertEquals(\Flip_Analyzer::HARD_MONEY_POINTS, $profile['hard_money_points']);
+        $this->assertEquals(\Flip_Analyzer::HARD_MONEY_LTV, $profile['hard_money_ltv']);
+        $this->assertEquals(\Flip_Analyzer::SALE_COMMISSION_PCT, $profile['sale_commission_pct']);
+        $this->assertNull(end($profile['rehab_tiers'])['max_per_sqft']);
+    }
+
+    public function test_new_user_has_only_the_default_profile_active(): void {
+        $profiles = \Flip_Database::get_cost_profiles(self::USER);
+
+        $this->assertCount(1, $profiles);
+        $this->assertSame('default', $profiles[0]['id']);
+        $this->assertSame('default', \Flip_Database::get_active_cost_profile(self::USER)['id']);
+    }
+
+    public function test_saving_creates_a_profile_after_the_default(): void {
+        $saved = \Flip_Database::save_cost_profile(self::USER, [
+            'name'            => 'NH Lender',
+            'hard_money_rate' => 0.12,
+        ]);
+
+        $this->assertStringStartsWith('cp_', $saved['id']);
+
+        $profiles = \Flip_Database::get_cost_profiles(self::USER);
+        $this->assertCount(2, $profiles);
+        $this->assertSame('default', $profiles[0]['id']);
+        $this->assertSame($saved['id'], $profiles[1]['id']);
+        $this->assertEquals(0.12, $profiles[1]['hard_money_rate']);
+        $this->assertEquals(\Flip_Analyzer::HARD_MONEY_LTV, $profiles[1]['hard_money_ltv']);
+
+        // Saving does not switch the active profile
+        $this->assertSame('default', \Flip_Database::get_active_cost_profile(self::USER)['id']);
+    }
+
+    public function test_saving_over_the_default_creates_a_copy(): void {
+        $saved = \Flip_Database::save_cost_profile(self::USER, [
+            'id'              => 'default',
+            'name'            => 'Cheaper Money',
+            'hard_money_rate' => 0.09,
+        ]);
+
+        $this->assertNotSame('default', $saved['id']);
+        $this->assertEquals(\Flip_Analyzer::HARD_MONEY_RATE, \Flip_Database::get_cost_profile(self::USER, 'default')['hard_money_rate']);
+        $this->assertEquals(0.09, \Flip_Database::get_cost_profile(self::USER, $saved['id'])['hard_money_rate']);
+    }
+
+    public function test_saving_an_existing_id_updates_it_in_place(): void {
+        $saved = \Flip_Database::save_cost_profile(self::USER, ['name' => 'Lender A', 'hard_money_points' => 0.02]);
+        \Flip_Database::save_cost_profile(self::USER, ['name' => 'Other']);
+
+        \Flip_Database::save_cost_profile(self::USER, ['id' => $saved['id'], 'name' => 'Lender A', 'hard_money_points' => 0.01]);
+
+        $profiles = \Flip_Database::get_cost_profiles(self::USER);
+        $this->assertCount(3, $profiles);
+        $this->assertSame($saved['id'], $profiles[1]['id']);
+        $this->assertEquals(0.01, $profiles[1]['hard_money_points']);
+    }
+
+    public function test_profile_count_is_capped(): void {
+        for ($i = 0; $i < \Flip_Database::MAX_COST_PROFILES; $i++) {
+            $this->assertNotNull(\Flip_Database::save_cost_profile(self::USER, ['name' => 'Profile ' . $i]));
+        }
+
+        $this->assertNull(\Flip_Database::save_cost_profile(self::USER, ['name' => 'One too many']));
+        $this->assertCount(\Flip_Database::MAX_COST_PROFILES + 1, \Flip_Database::get_cost_profiles(self::USER));
+    }
+
+    public function test_profiles_are_kept_per_user(): void {
+        $saved = \Flip_Database::save_cost_profile(self::USER, ['name' => 'Mine']);
+        \Flip_Database::set_active_cost_profile(self::USER, $saved['id']);
+
+        $this->assertCount(1, \Flip_Database::get_cost_profiles(8));
+        $this->assertNull(\Flip_Database::get_cost_profile(8, $saved['id']));
+        $this->assertSame('default', \Flip_Database::get_active_cost_profile(8)['id']);
+    }
+
+    public function test_selected_profile_is_active_until_deleted(): void {
+        $saved = \Flip_Database::save_cost_profile(self::USER, ['name' => 'NH Lender', 'hard_money_rate' => 0.12]);
+        \Flip_Database::set_active_cost_profile(self::USER, $saved['id']);
+
+        $active = \Flip_Database::get_active_cost_profile(self::USER);
+        $this->assertSame($saved['id'], $active['id']);
+        $this->assertEquals(0.12, $active['hard_money_rate']);
+
+        $this->assertTrue(\Flip_Database::delete_cost_profile(self::USER, $saved['id']));
+        $this->assertCount(1, \Flip_Database::get_cost_profiles(self::USER));
+        $this->assertSame('default', \Flip_Database::get_active_cost_profile(self::USER)['id']);
+    }
+
+    public function test_default_and_unknown_profiles_cannot_be_deleted(): void {
+        \Flip_Database::save_cost_profile(self::USER, ['name' => 'Keep']);
+
+        $this->assertFalse(\Flip_Database::delete_cost_profile(self::USER, 'default'));
+        $this->assertFalse(\Flip_Database::delete_cost_profile(self::USER, 'cp_missing'));
+        $this->assertCount(2, \Flip_Database::get_cost_profiles(self::USER));
+    }
+
+    public function test_active_id_of_a_missing_profile_falls_back_to_default(): void {
+        \Flip_Database::set_active_cost_profile(self::USER, 'cp_gone');
+
+        $this->assertSame('default', \Flip_Database::get_active_cost_profile(self::USER)['id']);
+    }
+
+    public function test_report_snapshot_is_decoded_over_defaults(): void {
+        $this->assertNull(\Flip_Database::get_report_cost_profile((object) ['cost_profile_json' => null]));
+
+        $report = (object) [
+            'cost_profile_json' => wp_json_encode(['id' => 'cp_snap', 'name' => 'Snapshot', 'sale_commission_pct' => 0.05]),
+        ];
+        $profile = \Flip_Database::get_report_cost_profile($report);
+
+        $this->assertSame('cp_snap', $profile['id']);
+        $this->assertEquals(0.05, $profile['sale_commission_pct']);
+        $this->assertEquals(\Flip_Analyzer::HARD_MONEY_RATE, $profile['hard_money_rate']);
+        $this->assertCount(4, $profile['rehab_tiers']);
+    }
+}
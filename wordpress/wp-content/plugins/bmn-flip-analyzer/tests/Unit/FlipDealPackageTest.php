@@ -0,0 +1,119 @@
+<?php
+/**
+ * Unit Tests for deal package exports: the section choice remembered per
+ * user and the branding saved for PDF covers and footers.
+ *
+ * @package BMN_Flip_Analyzer\Tests\Unit
+ * @since 0.31.0
+ */
+
+namespace FlipAnalyzer\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+
+class FlipDealPackageTest extends TestCase {
+
+    private const USER = 7;
+
+    protected function setUp(): void {
+        parent::setUp();
+        flip_reset_test_data();
+    }
+
+    protected function tearDown(): void {
+        parent::tearDown();
+        flip_reset_test_data();
+    }
+
+    // ── Sections ────────────────────────────────────────────────
+
+    public function test_new_user_exports_every_section(): void {
+        $this->assertSame(
+            array_keys(\Flip_Database::DEAL_PACKAGE_SECTIONS),
+            \Flip_Database::get_deal_package_sections(self::USER)
+        );
+    }
+
+    public function test_section_choice_is_remembered_in_document_order(): void {
+        $saved = \Flip_Database::save_deal_package_sections(self::USER, ['rental', 'comps', 'appendix', 'scores']);
+
+        $this->assertSame(['scores', 'comps', 'rental'], $saved);
+        $this->assertSame(['scores', 'comps', 'rental'], \Flip_Database::get_deal_package_sections(self::USER));
+    }
+
+    public function test_later_choice_replaces_the_earlier_one(): void {
+        \Flip_Database::save_deal_package_sections(self::USER, ['scores', 'comps']);
+        \Flip_Database::save_deal_package_sections(self::USER, ['financials']);
+
+        $this->assertSame(['financials'], \Flip_Database::get_deal_package_sections(self::USER));
+    }
+
+    public function test_choice_of_only_unknown_sections_exports_everything(): void {
+        \Flip_Database::save_deal_package_sections(self::USER, ['scores']);
+        $saved = \Flip_Database::save_deal_package_sections(self::USER, ['appendix', ['photos']]);
+
+        $this->assertSame(array_keys(\Flip_Database::DEAL_PACKAGE_SECTIONS), $saved);
+        $this->assertSame($saved, \Flip_Database::get_deal_package_sections(self::USER));
+    }
+
+    public function test_section_choice_is_kept_per_user(): void {
+        \Flip_Database::save_deal_package_sections(self::USER, ['photos']);
+
+        $this->assertCount(count(\Flip_Database::DEAL_PACKAGE_SECTIONS), \Flip_Database::get_deal_package_sections(8));
+    }
+
+    // ── Branding ────────────────────────────────────────────────
+
+    public function test_branding_defaults_when_nothing_saved(): void {
+        $this->assertSame(\Flip_Database::get_default_pdf_branding(), \Flip_Database::get_pdf_branding());
+    }
+
+    public function test_saved_branding_is_used_for_later_exports(): void {
+        \Flip_Database::set_pdf_branding([
+            'company_name' => 'Acme Capital',
+            'agent_name'   => 'Dana Reyes',
+            'agent_email'  => 'dana@acme.test',
+            'logo_url'     => 'https://acme.test/logo.png',
+            'accent_color' => '#AA00FF',
+        ]);
+
+        $branding = \Flip_Database::get_pdf_branding();
+        $this->assertSame('Acme Capital', $branding['company_name']);
+        $this->assertSame('Dana Reyes', $branding['agent_name']);
+        $this->assertSame('dana@acme.test', $branding['agent_email']);
+        $this->assertSame('https://acme.test/logo.png', $branding['logo_url']);
+        $this->assertSame('#aa00ff', $branding['accent_color']);
+        // Fields left out keep the defaults
+        $this->assertSame('(617) 800-9008', $branding['company_phone']);
+    }
+
+    public function test_blank_and_invalid_fields_fall_back_to_defaults(): void {
+        $defaults = \Flip_Database::get_default_pdf_branding();
+
+        $branding = \Flip_Database::set_pdf_branding([
+            'agent_name'   => '  ',
+            'accent_color' => 'red',
+            'logo_url'     => 'javascript:alert(1)',
+            'agent_email'  => 'not-an-email',
+            'footer_html'  => '<b>x</b>',
+        ]);
+
+        $this->assertSame($defaults, $branding);
+        $this->assertSame($defaults, \Flip_Database::get_pdf_branding());
+    }
+
+    public function test_saving_again_replaces_earlier_branding(): void {
+        \Flip_Database::set_pdf_branding(['company_name' => 'Acme Capital', 'agent_name' => 'Dana Reyes']);
+        \Flip_Database::set_pdf_branding(['company_name' => 'Beacon Partners']);
+
+        $branding = \Flip_Database::get_pdf_branding();
+        $this->assertSame('Beacon Partners', $branding['company_name']);
+        $this->assertSame('Steve Novak', $branding['agent_name']);
+    }
+
+    public function test_tagline_can_be_cleared(): void {
+        \Flip_Database::set_pdf_branding(['tagline' => '']);
+
+        $this->assertSame('', \Flip_Database::get_pdf_branding()['tagline']);
+    }
+}
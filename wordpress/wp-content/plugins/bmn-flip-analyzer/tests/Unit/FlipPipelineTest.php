@@ -0,0 +1,164 @@
+<?php
+/**
+ * Unit Tests for the deal pipeline: tracking a listing, moving it through
+ * the stages and listing the board.
+ *
+ * @package BMN_Flip_Analyzer\Tests\Unit
+ * @since 0.33.0
+ */
+
+namespace FlipAnalyzer\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+
+class FlipPipelineTest extends TestCase {
+
+    private const USER = 7;
+
+    /** @var \MockWPDB Scores and pipeline table double, both keyed by listing ID */
+    private $wpdb;
+
+    protected function setUp(): void {
+        parent::setUp();
+        flip_reset_test_data();
+        flip_set_current_time('2026-03-01 09:00:00');
+
+        $this->wpdb = new class extends \MockWPDB {
+            public $scores = [];
+            public $pipeline = [];
+
+            private function listing_id($query): int {
+                return preg_match('/listing_id = (\d+)/', $query, $m) ? (int) $m[1] : 0;
+            }
+
+            public function get_var($query) {
+                $row = $this->pipeline[$this->listing_id($query)] ?? null;
+                return $row ? $row->id : null;
+            }
+
+            public function get_row($query, $output = OBJECT) {
+                $rows = strpos($query, \Flip_Database::PIPELINE_TABLE) !== false ? $this->pipeline : $this->scores;
+                return $rows[$this->listing_id($query)] ?? null;
+            }
+
+            public function get_results($query, $output = OBJECT) {
+                $rows = array_values($this->pipeline);
+                usort($rows, fn($a, $b) => strcmp($b->updated_at, $a->updated_at));
+                return $rows;
+            }
+
+            public function insert($table, $data, $format = null) {
+                $this->insert_id = count($this->pipeline) + 1;
+                $this->pipeline[$data['listing_id']] = (object) (['id' => $this->insert_id] + $data);
+                return 1;
+            }
+
+            public function update($table, $data, $where, $format = null, $where_format = null) {
+                foreach ($this->pipeline as $row) {
+                    if ($row->id === $where['id']) {
+                        foreach ($data as $column => $value) {
+                            $row->$column = $value;
+                        }
+                        return 1;
+                    }
+                }
+                return 0;
+            }
+
+            public function delete($table, $where, $where_format = null) {
+                if (!isset($this->pipeline[$where['listing_id']])) {
+                    return 0;
+                }
+                unset($this->pipeline[$where['listing_id']]);
+                return 1;
+            }
+        };
+        $this->wpdb->scores = [
+            101 => (object) ['listing_id' => 101, 'address' => '12 Elm St', 'city' => 'Reading'],
+            102 => (object) ['listing_id' => 102, 'address' => '40 Oak Ave', 'city' => 'Woburn'],
+        ];
+        $GLOBALS['wpdb'] = $this->wpdb;
+    }
+
+    protected function tearDown(): void {
+        parent::tearDown();
+        flip_reset_test_data();
+        $GLOBALS['wpdb'] = new \MockWPDB();
+    }
+
+    public function test_tracking_a_listing_copies_its_address(): void {
+        $entry = \Flip_Database::save_pipeline_entry(101, ['status' => 'watching'], self::USER);
+
+        $this->assertSame(101, $entry['listing_id']);
+        $this->assertSame('watching', $entry['status']);
+        $this->assertSame('12 Elm St', $entry['address']);
+        $this->assertSame('Reading', $entry['city']);
+        $this->assertSame('2026-03-01 09:00:00', $entry['updated_at']);
+        $this->assertSame(self::USER, $this->wpdb->pipeline[101]->updated_by);
+        $this->assertSame('2026-03-01 09:00:00', $this->wpdb->pipeline[101]->created_at);
+    }
+
+    public function test_moving_a_listing_updates_its_entry_in_place(): void {
+        \Flip_Database::save_pipeline_entry(101, ['status' => 'watching', 'notes' => 'Drive by first'], self::USER);
+        flip_set_current_time('2026-03-05 14:30:00');
+
+        $entry = \Flip_Database::save_pipeline_entry(101, [
+            'status'      => 'offer_submitted',
+            'offer_price' => '505000',
+            'offer_date'  => '2026-03-05',
+            'notes'       => 'Seller wants a quick close',
+        ], 8);
+
+        $this->assertCount(1, $this->wpdb->pipeline);
+        $this->assertSame('offer_submitted', $entry['status']);
+        $this->assertSame(505000.0, $entry['offer_price']);
+        $this->assertSame('2026-03-05', $entry['offer_date']);
+        $this->assertSame('Seller wants a quick close', $entry['notes']);
+        $this->assertSame('12 Elm St', $entry['address']);
+        $this->assertSame('2026-03-05 14:30:00', $entry['updated_at']);
+        $this->assertSame(8, $this->wpdb->pipeline[101]->updated_by);
+        $this->assertSame('2026-03-01 09:00:00', $this->wpdb->pipeline[101]->created_at);
+    }
+
+    public function test_entry_is_normalized_before_it_is_stored(): void {
+        $entry = \Flip_Database::save_pipeline_entry(101, [
+            'status'        => 'closed_won',
+            'offer_price'   => '-10',
+            'contract_date' => '2026-02-30',
+            'closing_date'  => '04/15/2026',
+            'notes'         => '<b>Seller</b> ' . str_repeat('a', 5000),
+        ], self::USER);
+
+        $this->assertSame('watching', $entry['status']);
+        $this->assertNull($entry['offer_price']);
+        $this->assertNull($entry['contract_date']);
+        $this->assertNull($entry['closing_date']);
+        $this->assertStringStartsWith('Seller a', $entry['notes']);
+        $this->assertSame(\Flip_Database::MAX_PIPELINE_NOTES_LEN, mb_strlen($entry['notes']));
+    }
+
+    public function test_listing_without_analysis_cannot_be_tracked(): void {
+        $this->assertNull(\Flip_Database::save_pipeline_entry(999, ['status' => 'watching'], self::USER));
+        $this->assertSame([], $this->wpdb->pipeline);
+    }
+
+    public function test_board_lists_entries_by_listing_most_recent_first(): void {
+        \Flip_Database::save_pipeline_entry(101, ['status' => 'watching'], self::USER);
+        flip_set_current_time('2026-03-02 09:00:00');
+        \Flip_Database::save_pipeline_entry(102, ['status' => 'under_contract'], self::USER);
+
+        $entries = \Flip_Database::get_pipeline_entries();
+
+        $this->assertSame([102, 101], array_keys($entries));
+        $this->assertSame('under_contract', $entries[102]['status']);
+        $this->assertSame('Woburn', $entries[102]['city']);
+    }
+
+    public function test_untracking_removes_the_entry(): void {
+        \Flip_Database::save_pipeline_entry(101, ['status' => 'passed'], self::USER);
+
+        $this->assertTrue(\Flip_Database::delete_pipeline_entry(101));
+        $this->assertSame([], \Flip_Database::get_pipeline_entries());
+        $this->assertFalse(\Flip_Database::delete_pipeline_entry(101));
+    }
+}
@@ -0,0 +1,115 @@
+<?php
+/**
+ * Unit Tests for renovation scopes saved per listing on a report.
+ *
+ * @package BMN_Flip_Analyzer\Tests\Unit
+ * @since 0.25.0
+ */
+
+namespace FlipAnalyzer\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+
+class FlipRehabScopeTest extends TestCase {
+
+    /** @var \MockWPDB Report table double: get_row() returns $report, update() writes to it */
+    private $wpdb;
+
+    protected function setUp(): void {
+        parent::setUp();
+        flip_reset_test_data();
+
+        $this->wpdb = new class extends \MockWPDB {
+            public $report = null;
+            public $updates = [];
+
+            public function get_row($query, $output = OBJECT) {
+                return $this->report;
+            }
+
+            public function update($table, $data, $where, $format = null, $where_format = null) {
+                $this->updates[] = $data;
+                foreach ($data as $column => $value) {
+                    $this->report->$column = $value;
+                }
+                return 1;
+            }
+        };
+        $this->wpdb->report = (object) ['id' => 1, 'rehab_scopes_json' => null];
+        $GLOBALS['wpdb'] = $this->wpdb;
+    }
+
+    protected function tearDown(): void {
+        parent::tearDown();
+        flip_reset_test_data();
+        $GLOBALS['wpdb'] = new \MockWPDB();
+    }
+
+    private function kitchenScope(float $cost = 42000): array {
+        return [
+            'finish' => 'premium',
+            'items'  => ['kitchen' => ['include' => true, 'qty' => 1, 'unit_cost' => $cost]],
+        ];
+    }
+
+    public function test_saved_scope_is_stored_on_the_report(): void {
+        $scopes = \Flip_Database::save_report_rehab_scope(1, 12345, $this->kitchenScope());
+
+        $this->assertSame([12345], array_keys($scopes));
+        $this->assertCount(1, $this->wpdb->updates);
+
+        $stored = \Flip_Database::get_report_rehab_scopes($this->wpdb->report);
+        $this->assertSame('premium', $stored[12345]['finish']);
+        $this->assertTrue($stored[12345]['items']['kitchen']['include']);
+        $this->assertEquals(42000.0, $stored[12345]['items']['kitchen']['unit_cost']);
+        // Every known line item is stored, unused ones excluded
+        $this->assertSame(\Flip_Database::REHAB_SCOPE_ITEMS, array_keys($stored[12345]['items']));
+        $this->assertFalse($stored[12345]['items']['roof']['include']);
+    }
+
+    public function test_saving_one_listing_keeps_the_others(): void {
+        \Flip_Database::save_report_rehab_scope(1, 100, $this->kitchenScope(30000));
+        \Flip_Database::save_report_rehab_scope(1, 200, $this->kitchenScope(50000));
+        $scopes = \Flip_Database::save_report_rehab_scope(1, 100, $this->kitchenScope(35000));
+
+        $this->assertSame([100, 200], array_keys($scopes));
+        $this->assertEquals(35000.0, $scopes[100]['items']['kitchen']['unit_cost']);
+        $this->assertEquals(50000.0, $scopes[200]['items']['kitchen']['unit_cost']);
+    }
+
+    public function test_removing_the_last_scope_clears_the_column(): void {
+        \Flip_Database::save_report_rehab_scope(1, 100, $this->kitchenScope());
+        \Flip_Database::save_report_rehab_scope(1, 200, $this->kitchenScope());
+
+        $scopes = \Flip_Database::save_report_rehab_scope(1, 100, null);
+        $this->assertSame([200], array_keys($scopes));
+        $this->assertNotNull($this->wpdb->report->rehab_scopes_json);
+
+        $scopes = \Flip_Database::save_report_rehab_scope(1, 200, null);
+        $this->assertSame([], $scopes);
+        $this->assertNull($this->wpdb->report->rehab_scopes_json);
+    }
+
+    public function test_missing_report_is_not_written(): void {
+        $this->wpdb->report = null;
+
+        $this->assertSame([], \Flip_Database::save_report_rehab_scope(99, 100, $this->kitchenScope()));
+        $this->assertSame([], $this->wpdb->updates);
+    }
+
+    public function test_report_scopes_decode_by_listing(): void {
+        $report = (object) [
+            'rehab_scopes_json' => wp_json_encode([
+                '12345' => ['finish' => 'premium', 'items' => ['roof' => ['include' => true, 'qty' => 1200, 'unit_cost' => 9]]],
+                'bad'   => ['finish' => 'premium'],
+            ]),
+        ];
+
+        $scopes = \Flip_Database::get_report_rehab_scopes($report);
+
+        $this->assertSame([12345], array_keys($scopes));
+        $this->assertSame('premium', $scopes[12345]['finish']);
+        $this->assertTrue($scopes[12345]['items']['roof']['include']);
+        $this->assertSame([], \Flip_Database::get_report_rehab_scopes((object) ['rehab_scopes_json' => null]));
+    }
+}
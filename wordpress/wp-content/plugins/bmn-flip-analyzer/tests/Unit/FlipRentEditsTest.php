@@ -0,0 +1,289 @@
+<?php
+/**
+ * Unit Tests for rental comp edits: re-weighting an edited comp set and
+ * re-pricing the rental side from it.
+ *
+ * @package BMN_Flip_Analyzer\Tests\Unit
+ * @since 0.29.0
+ */
+
+namespace FlipAnalyzer\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+
+class FlipRentEditsTest extends TestCase {
+
+    protected function setUp(): void {
+        parent::setUp();
+        flip_reset_test_data();
+        flip_set_current_time('2026-03-01 12:00:00');
+    }
+
+    protected function tearDown(): void {
+        parent::tearDown();
+        flip_reset_test_data();
+    }
+
+    /**
+     * Subject: 3 bed / 2 bath / 1,500 sqft.
+     */
+    private function subject(): object {
+        return (object) ['bedrooms_total' => 3, 'bathrooms_total' => 2.0, 'building_area_total' => 1500];
+    }
+
+    /**
+     * Stored rental_comps block as written by Flip_Analyzer::build_rental_comps_json().
+     */
+    private function compsBlock(): array {
+        return [
+            'estimated_monthly_rent' => 3400,
+            'confidence'             => 'medium',
+            'comp_count'             => 3,
+            'avg_rental_ppsf'        => 2.00,
+            'search_radius_used'     => 1.5,
+            'active_count'           => 1,
+            'closed_count'           => 2,
+            'comps'                  => [
+                $this->comp(1001, 3300, 0.3, '2026-01-15'),
+                $this->comp(1002, 3450, 0.5, '2026-02-01'),
+                $this->comp(1003, 3900, 1.2, null),
+            ],
+        ];
+    }
+
+    private function comp(int $listing_id, float $adjusted_rent, float $distance, ?string $close_date): array {
+        return [
+            'listing_id'     => $listing_id,
+            'address'        => "{$listing_id} Main St",
+            'rent_amount'    => $adjusted_rent,
+            'adjusted_rent'  => $adjusted_rent,
+            'sqft'           => 1500,
+            'bedrooms'       => 3,
+            'bathrooms'      => 2.0,
+            'distance_miles' => $distance,
+            'is_closed'      => $close_date ? 1 : 0,
+            'close_date'     => $close_date,
+        ];
+    }
+
+    private function manual(float $rent, int $beds, float $distance = 0.5): array {
+        return [
+            'address'        => 'Manual comp',
+            'rent_amount'    => $rent,
+            'bedrooms'       => $beds,
+            'bathrooms'      => 2.0,
+            'sqft'           => 1500,
+            'distance_miles' => $distance,
+        ];
+    }
+
+    private function edit(array $edit): array {
+        return \Flip_Database::sanitize_rent_edit($edit);
+    }
+
+    /**
+     * Stored result row, its rental side built the way Flip_Analyzer::run() does.
+     */
+    private function result(float $rent = 3400): object {
+        $fin = [
+            'rehab_cost'       => 40000,
+            'purchase_closing' => 6000,
+            'estimated_profit' => 30000,
+            'annualized_roi'   => 25,
+            'deal_risk_grade'  => 'B',
+        ];
+        $property = [
+            'list_price'            => 400000,
+            'building_area_total'   => 1500,
+            'bedrooms_total'        => 3,
+            'bathrooms_total'       => 2.0,
+            'year_built'            => 1960,
+            'city'                  => 'Reading',
+            'actual_tax_rate'       => 0.013,
+            'estimated_arv'         => 520000,
+            'property_sub_type'     => 'Single Family Residence',
+            'number_of_units_total' => 1,
+        ];
+        $quality = ['financial' => 60, 'property' => 55, 'location' => 65, 'market' => 50];
+
+        $rental = \Flip_Rental_Calculator::calculate_rental($fin, $property, ['monthly_rent' => $rent]);
+        $rental['rent_source']     = 'rental_comps';
+        $rental['rent_confidence'] = 'medium';
+        $brrrr    = \Flip_Rental_Calculator::calculate_brrrr($fin, $rental, $property);
+        $strategy = \Flip_Rental_Calculator::recommend_strategy($fin, $rental, $brrrr, $quality);
+
+        return (object) [
+            'id'                   => 1,
+            'listing_id'           => 5001,
+            'list_price'           => 400000,
+            'estimated_arv'        => 520000,
+            'estimated_rehab_cost' => 40000,
+            'estimated_profit'     => 30000,
+            'annualized_roi'       => 25,
+            'cash_on_cash_roi'     => 20,
+            'deal_risk_grade'      => 'B',
+            'building_area_total'  => 1500,
+            'bedrooms_total'       => 3,
+            'bathrooms_total'      => 2.0,
+            'year_built'           => 1960,
+            'city'                 => 'Reading',
+            'financial_score'      => 60,
+            'property_score'       => 55,
+            'location_score'       => 65,
+            'market_score'         => 50,
+            'photo_analysis_json'  => null,
+            'flip_score'           => $strategy['scores']['flip'],
+            'rental_score'         => $strategy['scores']['rental'],
+            'brrrr_score'          => $strategy['scores']['brrrr'],
+            'flip_viable'          => 1,
+            'total_score'          => 70,
+            'best_strategy'        => 'flip',
+            'disqualified'         => 0,
+            'disqualify_reason'    => null,
+            'near_viable'          => 0,
+            'rental_analysis_json' => wp_json_encode([
+                'rental'       => $rental,
+                'brrrr'        => $brrrr,
+                'strategy'     => $strategy,
+                'rental_comps' => $this->compsBlock(),
+            ]),
+        ];
+    }
+
+    private function analysis(array $updates): array {
+        return json_decode($updates['rental_analysis_json'], true);
+    }
+
+    // ---------------------------------------------------------------
+    // Flip_Rental_Comp_Calculator::apply_edit()
+    // ---------------------------------------------------------------
+
+    public function test_blank_edit_uses_every_stored_comp(): void {
+        $edited = \Flip_Rental_Comp_Calculator::apply_edit($this->compsBlock(), $this->edit([]), $this->subject());
+
+        $this->assertCount(3, $edited['rows']);
+        $this->assertSame(3, $edited['comp_count']);
+        $this->assertSame(['1001', '1002', '1003'], array_column($edited['rows'], 'id'));
+        $this->assertSame([true, true, true], array_column($edited['rows'], 'included'));
+        $this->assertGreaterThan(3300, $edited['estimated_monthly_rent']);
+        $this->assertLessThan(3900, $edited['estimated_monthly_rent']);
+    }
+
+    public function test_excluded_comp_is_listed_but_not_weighted(): void {
+        $edited = \Flip_Rental_Comp_Calculator::apply_edit(
+            $this->compsBlock(), $this->edit(['excluded' => ['1003']]), $this->subject()
+        );
+
+        $this->assertCount(3, $edited['rows']);
+        $this->assertFalse($edited['rows'][2]['included']);
+        $this->assertSame(2, $edited['comp_count']);
+        $this->assertGreaterThanOrEqual(3300, $edited['estimated_monthly_rent']);
+        $this->assertLessThanOrEqual(3450, $edited['estimated_monthly_rent']);
+    }
+
+    public function test_manual_comp_is_adjusted_toward_the_subject(): void {
+        // One bedroom short of the subject: +$300/mo at $2.00/sqft
+        $edited = \Flip_Rental_Comp_Calculator::apply_edit(
+            $this->compsBlock(),
+            $this->edit(['excluded' => ['1001', '1002', '1003'], 'manual' => [$this->manual(3100, 2)]]),
+            $this->subject()
+        );
+
+        $manual = $edited['rows'][3];
+        $this->assertSame('manual-0', $manual['id']);
+        $this->assertTrue($manual['manual']);
+        $this->assertTrue($manual['included']);
+        $this->assertEquals(3400.0, $manual['adjusted_rent']);
+        $this->assertSame(1, $edited['comp_count']);
+        $this->assertEquals(3400.0, $edited['estimated_monthly_rent']);
+    }
+
+    public function test_closer_comps_weigh_more(): void {
+        $edited = \Flip_Rental_Comp_Calculator::apply_edit(
+            $this->compsBlock(),
+            $this->edit([
+                'excluded' => ['1001', '1002', '1003'],
+                'manual'   => [$this->manual(2000, 3, 0.1), $this->manual(3000, 3, 1.0)],
+            ]),
+            $this->subject()
+        );
+
+        $this->assertSame(2, $edited['comp_count']);
+        $this->assertLessThan(2100, $edited['estimated_monthly_rent']);
+    }
+
+    public function test_excluding_every_comp_leaves_no_estimate(): void {
+        $edited = \Flip_Rental_Comp_Calculator::apply_edit(
+            $this->compsBlock(), $this->edit(['excluded' => ['1001', '1002', '1003']]), $this->subject()
+        );
+
+        $this->assertSame(0, $edited['comp_count']);
+        $this->assertEquals(0, $edited['estimated_monthly_rent']);
+        $this->assertSame('none', $edited['confidence']);
+    }
+
+    // ---------------------------------------------------------------
+    // Flip_Analyzer::apply_rent_edit()
+    // ---------------------------------------------------------------
+
+    public function test_blank_edit_leaves_the_row_as_stored(): void {
+        $applied = \Flip_Analyzer::apply_rent_edit($this->result(), $this->edit([]));
+
+        $this->assertSame([], $applied['updates']);
+        $this->assertEquals(3400, $applied['rent_comps']['comp_estimate']['amount']);
+        $this->assertSame('rental_comps', $applied['rent_comps']['comp_estimate']['source']);
+        $this->assertCount(3, $applied['rent_comps']['rows']);
+    }
+
+    public function test_market_rent_override_reprices_the_rental(): void {
+        $row = $this->result();
+        $applied = \Flip_Analyzer::apply_rent_edit($row, $this->edit(['market_rent' => 4200]));
+        $rental = $this->analysis($applied['updates'])['rental'];
+
+        $this->assertEquals(4200, $rental['monthly_rent']);
+        $this->assertSame('user_override', $rental['rent_source']);
+        $this->assertSame('high', $rental['rent_confidence']);
+        $this->assertGreaterThan($row->rental_score, $applied['updates']['rental_score']);
+        // Stored comps are kept for the editor
+        $this->assertSame(3, $this->analysis($applied['updates'])['rental_comps']['comp_count']);
+    }
+
+    public function test_edited_comps_set_the_rent(): void {
+        $applied = \Flip_Analyzer::apply_rent_edit($this->result(), $this->edit(['excluded' => ['1003']]));
+        $estimate = $applied['rent_comps']['comp_estimate'];
+        $rental = $this->analysis($applied['updates'])['rental'];
+
+        $this->assertSame('edited_comps', $estimate['source']);
+        $this->assertSame(2, $estimate['comp_count']);
+        $this->assertEquals($estimate['amount'], $rental['monthly_rent']);
+        $this->assertSame('edited_comps', $rental['rent_source']);
+        $this->assertArrayNotHasKey('cross_reference', $rental);
+    }
+
+    public function test_override_wins_over_edited_comps(): void {
+        $applied = \Flip_Analyzer::apply_rent_edit(
+            $this->result(), $this->edit(['excluded' => ['1003'], 'market_rent' => 3000])
+        );
+
+        $this->assertEquals(3000, $this->analysis($applied['updates'])['rental']['monthly_rent']);
+        // The comp estimate beside the override still reflects the edited set
+        $this->assertSame('edited_comps', $applied['rent_comps']['comp_estimate']['source']);
+    }
+
+    public function test_excluding_every_comp_keeps_the_stored_rent(): void {
+        $applied = \Flip_Analyzer::apply_rent_edit(
+            $this->result(), $this->edit(['excluded' => ['1001', '1002', '1003']])
+        );
+
+        $this->assertSame([], $applied['updates']);
+        $this->assertEquals(3400, $applied['rent_comps']['comp_estimate']['amount']);
+        $this->assertSame(0, $applied['rent_comps']['comp_estimate']['comp_count']);
+    }
+
+    public function test_row_without_rental_analysis_is_skipped(): void {
+        $row = $this->result();
+        $row->rental_analysis_json = null;
+
+        $this->assertNull(\Flip_Analyzer::apply_rent_edit($row, $this->edit(['market_rent' => 4200])));
+    }
+}
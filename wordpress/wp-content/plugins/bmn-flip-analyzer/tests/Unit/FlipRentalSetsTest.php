@@ -0,0 +1,299 @@
+<?php
+/**
+ * Unit Tests for rental assumption sets: saving and selecting them, and
+ * re-pricing a stored result's rental side with a set.
+ *
+ * @package BMN_Flip_Analyzer\Tests\Unit
+ * @since 0.30.0
+ */
+
+namespace FlipAnalyzer\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+
+class FlipRentalSetsTest extends TestCase {
+
+    private const USER = 7;
+
+    protected function setUp(): void {
+        parent::setUp();
+        flip_reset_test_data();
+    }
+
+    protected function tearDown(): void {
+        parent::tearDown();
+        flip_reset_test_data();
+    }
+
+    /**
+     * Calculator overrides of a set saved with the given rates.
+     */
+    private function overrides(array $set): array {
+        return \Flip_Database::rental_set_overrides(\Flip_Database::sanitize_rental_set($set));
+    }
+
+    /**
+     * Stored result row, its rental side built the way Flip_Analyzer::run() does.
+     * Fixed expenses run ~$15k/yr on a $520k ARV, so $3,400/mo clears the 3%
+     * cap rate bar under the default set and $1,200/mo does not.
+     */
+    private function result(float $rent = 3400, array $row = []): object {
+        $fin = [
+            'rehab_cost'       => 40000,
+            'purchase_closing' => 6000,
+            'estimated_profit' => 30000,
+            'annualized_roi'   => 25,
+            'deal_risk_grade'  => 'B',
+        ];
+        $property = [
+            'list_price'            => 400000,
+            'building_area_total'   => 1500,
+            'bedrooms_total'        => 3,
+            'bathrooms_total'       => 2.0,
+            'year_built'            => 1960,
+            'city'                  => 'Reading',
+            'actual_tax_rate'       => 0.013,
+            'estimated_arv'         => 520000,
+            'property_sub_type'     => 'Single Family Residence',
+            'number_of_units_total' => 1,
+        ];
+        $quality = ['financial' => 60, 'property' => 55, 'location' => 65, 'market' => 50];
+
+        $rental = \Flip_Rental_Calculator::calculate_rental($fin, $property, ['monthly_rent' => $rent]);
+        $rental['rent_source']     = 'rental_comps';
+        $rental['rent_confidence'] = 'medium';
+        $rental['cross_reference'] = ['mls_income' => $rent];
+        $brrrr    = \Flip_Rental_Calculator::calculate_brrrr($fin, $rental, $property);
+        $strategy = \Flip_Rental_Calculator::recommend_strategy($fin, $rental, $brrrr, $quality);
+
+        return (object) ($row + [
+            'id'                      => 1,
+            'listing_id'              => 5001,
+            'list_price'              => 400000,
+            'estimated_arv'           => 520000,
+            'estimated_rehab_cost'    => 40000,
+            'estimated_profit'        => 30000,
+            'annualized_roi'          => 25,
+            'cash_on_cash_roi'        => 20,
+            'deal_risk_grade'         => 'B',
+            'building_area_total'     => 1500,
+            'bedrooms_total'          => 3,
+            'bathrooms_total'         => 2.0,
+            'year_built'              => 1960,
+            'city'                    => 'Reading',
+            'financial_score'         => 60,
+            'property_score'          => 55,
+            'location_score'          => 65,
+            'market_score'            => 50,
+            'photo_analysis_json'     => null,
+            'flip_score'              => $strategy['scores']['flip'],
+            'rental_score'            => $strategy['scores']['rental'],
+            'brrrr_score'             => $strategy['scores']['brrrr'],
+            'flip_viable'             => 1,
+            'total_score'             => 70,
+            'best_strategy'           => 'flip',
+            'disqualified'            => 0,
+            'disqualify_reason'       => null,
+            'near_viable'             => 0,
+            'applied_thresholds_json' => null,
+            'rental_analysis_json'    => wp_json_encode([
+                'rental'       => $rental,
+                'brrrr'        => $brrrr,
+                'strategy'     => $strategy,
+                'rental_comps' => null,
+            ]),
+        ]);
+    }
+
+    private function rental(array $updates): array {
+        return json_decode($updates['rental_analysis_json'], true)['rental'];
+    }
+
+    /**
+     * Rental-only row: the flip failed, the rental carried it.
+     */
+    private function rentalOnly(float $rent = 3400, array $row = []): object {
+        return $this->result($rent, $row + ['flip_viable' => 0, 'best_strategy' => 'rental', 'total_score' => 55]);
+    }
+
+    // ---------------------------------------------------------------
+    // Saving and selecting sets
+    // ---------------------------------------------------------------
+
+    public function test_default_set_follows_saved_global_defaults(): void {
+        update_option('bmn_flip_rental_defaults', json_encode(['vacancy_rate' => 0.08]));
+
+        $this->assertEquals(0.08, \Flip_Database::get_default_rental_set()['vacancy_rate']);
+        $this->assertEquals(0.08, \Flip_Database::get_active_rental_set(self::USER)['vacancy_rate']);
+    }
+
+    public function test_selected_set_is_active_until_deleted(): void {
+        $saved = \Flip_Database::save_rental_set(self::USER, ['name' => 'Conservative', 'vacancy_rate' => 0.1]);
+        $this->assertStringStartsWith('rs_', $saved['id']);
+
+        \Flip_Database::set_active_rental_set(self::USER, $saved['id']);
+        $active = \Flip_Database::get_active_rental_set(self::USER);
+        $this->assertSame($saved['id'], $active['id']);
+        $this->assertEquals(0.1, $active['vacancy_rate']);
+        $this->assertEquals(0.08, $active['management_fee_rate']);
+
+        $this->assertTrue(\Flip_Database::delete_rental_set(self::USER, $saved['id']));
+        $this->assertSame('default', \Flip_Database::get_active_rental_set(self::USER)['id']);
+        $this->assertCount(1, \Flip_Database::get_rental_sets(self::USER));
+    }
+
+    public function test_saving_over_the_default_creates_a_copy(): void {
+        $saved = \Flip_Database::save_rental_set(self::USER, ['id' => 'default', 'vacancy_rate' => 0.12]);
+
+        $this->assertNotSame('default', $saved['id']);
+        $this->assertEquals(0.05, \Flip_Database::get_default_rental_set()['vacancy_rate']);
+        $this->assertFalse(\Flip_Database::delete_rental_set(self::USER, 'default'));
+    }
+
+    public function test_set_count_is_capped(): void {
+        for ($i = 0; $i < \Flip_Database::MAX_RENTAL_SETS; $i++) {
+            $this->assertNotNull(\Flip_Database::save_rental_set(self::USER, ['name' => 'Set ' . $i]));
+        }
+
+        $this->assertNull(\Flip_Database::save_rental_set(self::USER, ['name' => 'One too many']));
+        $this->assertCount(\Flip_Database::MAX_RENTAL_SETS + 1, \Flip_Database::get_rental_sets(self::USER));
+    }
+
+    public function test_sets_are_kept_per_user(): void {
+        $saved = \Flip_Database::save_rental_set(self::USER, ['name' => 'Mine']);
+        \Flip_Database::set_active_rental_set(8, $saved['id']);
+
+        $this->assertCount(1, \Flip_Database::get_rental_sets(8));
+        $this->assertSame('default', \Flip_Database::get_active_rental_set(8)['id']);
+    }
+
+    public function test_overrides_keep_only_calculator_params(): void {
+        $overrides = $this->overrides(['id' => 'rs_abc', 'name' => 'Lender B', 'monthly_rent' => 2500]);
+
+        $this->assertArrayNotHasKey('id', $overrides);
+        $this->assertArrayNotHasKey('name', $overrides);
+        $this->assertArrayNotHasKey('monthly_rent', $overrides);
+        $this->assertArrayHasKey('brrrr_refi_term', $overrides);
+        $this->assertCount(count(\Flip_Database::RENTAL_SET_RATE_LIMITS) + 1, $overrides);
+    }
+
+    // ---------------------------------------------------------------
+    // Flip_Analyzer::reprice_rental()
+    // ---------------------------------------------------------------
+
+    public function test_default_set_reproduces_the_stored_rental(): void {
+        $row = $this->result();
+        $stored = json_decode($row->rental_analysis_json, true)['rental'];
+
+        $updates = \Flip_Analyzer::reprice_rental($row, $this->overrides([]));
+        $rental = $this->rental($updates);
+
+        $this->assertEquals(3400, $rental['monthly_rent']);
+        $this->assertEqualsWithDelta($stored['noi'], $rental['noi'], 0.01);
+        $this->assertEqualsWithDelta($stored['monthly_cash_flow'], $rental['monthly_cash_flow'], 0.01);
+        $this->assertEqualsWithDelta($row->rental_score, $updates['rental_score'], 0.01);
+        // How the rent was estimated is kept with it
+        $this->assertSame('rental_comps', $rental['rent_source']);
+        $this->assertSame('medium', $rental['rent_confidence']);
+        $this->assertSame(['mls_income' => 3400], $rental['cross_reference']);
+    }
+
+    public function test_higher_vacancy_lowers_cash_flow_but_keeps_the_rent(): void {
+        $row = $this->result();
+        $base = $this->rental(\Flip_Analyzer::reprice_rental($row, $this->overrides([])));
+
+        $updates = \Flip_Analyzer::reprice_rental($row, $this->overrides(['vacancy_rate' => 0.15]));
+        $rental = $this->rental($updates);
+
+        $this->assertEquals(3400, $rental['monthly_rent']);
+        $this->assertLessThan($base['noi'], $rental['noi']);
+        $this->assertLessThan($base['monthly_cash_flow'], $rental['monthly_cash_flow']);
+        $this->assertLessThanOrEqual($row->rental_score, $updates['rental_score']);
+    }
+
+    public function test_higher_refi_rate_lowers_brrrr_dscr(): void {
+        $row = $this->result(5000);
+        $base = json_decode(\Flip_Analyzer::reprice_rental($row, $this->overrides([]))['rental_analysis_json'], true);
+
+        $updates = \Flip_Analyzer::reprice_rental($row, $this->overrides(['brrrr_refi_rate' => 0.12]));
+        $brrrr = json_decode($updates['rental_analysis_json'], true)['brrrr'];
+
+        $this->assertLessThan($base['brrrr']['dscr'], $brrrr['dscr']);
+        $this->assertEqualsWithDelta($base['rental']['noi'], json_decode($updates['rental_analysis_json'], true)['rental']['noi'], 0.01);
+    }
+
+    public function test_viable_flip_keeps_its_pick_and_score(): void {
+        $updates = \Flip_Analyzer::reprice_rental($this->result(1200), $this->overrides([]));
+
+        $this->assertSame(0, $updates['rental_viable']);
+        $this->assertSame(0, $updates['disqualified']);
+        $this->assertNull($updates['disqualify_reason']);
+        $this->assertSame('flip', $updates['best_strategy']);
+    }
+
+    public function test_losing_the_last_viable_strategy_disqualifies_the_row(): void {
+        // Half the rent lost to vacancy leaves no NOI to speak of
+        $updates = \Flip_Analyzer::reprice_rental($this->rentalOnly(), $this->overrides(['vacancy_rate' => 0.5]));
+
+        $this->assertSame(0, $updates['rental_viable']);
+        $this->assertSame(0, $updates['brrrr_viable']);
+        $this->assertSame(1, $updates['disqualified']);
+        $this->assertSame(\Flip_Analyzer::REPRICE_DQ_REASON, $updates['disqualify_reason']);
+        $this->assertNull($updates['best_strategy']);
+        $this->assertEquals(55, $updates['total_score']);
+        $this->assertSame(0, $updates['near_viable']);
+    }
+
+    public function test_disqualified_row_is_near_viable_against_its_thresholds(): void {
+        $row = $this->rentalOnly(3400, [
+            'applied_thresholds_json' => wp_json_encode(['min_profit' => 35000, 'min_roi' => 20]),
+        ]);
+
+        // $30k profit / 20% cash-on-cash clear 80% of the $35k / 20% bars
+        $updates = \Flip_Analyzer::reprice_rental($row, $this->overrides(['vacancy_rate' => 0.5]));
+        $this->assertSame(1, $updates['disqualified']);
+        $this->assertSame(1, $updates['near_viable']);
+
+        $row->applied_thresholds_json = wp_json_encode(['min_profit' => 50000, 'min_roi' => 20]);
+        $this->assertSame(0, \Flip_Analyzer::reprice_rental($row, $this->overrides(['vacancy_rate' => 0.5]))['near_viable']);
+    }
+
+    public function test_reprice_disqualification_is_lifted_by_a_later_set(): void {
+        $row = $this->rentalOnly();
+        foreach (\Flip_Analyzer::reprice_rental($row, $this->overrides(['vacancy_rate' => 0.5])) as $column => $value) {
+            $row->$column = $value;
+        }
+
+        $updates = \Flip_Analyzer::reprice_rental($row, $this->overrides([]));
+
+        $this->assertSame(1, $updates['rental_viable']);
+        $this->assertSame(0, $updates['disqualified']);
+        $this->assertNull($updates['disqualify_reason']);
+        $this->assertSame('rental', $updates['best_strategy']);
+        $this->assertEquals(round($updates['rental_score'], 2), $updates['total_score']);
+    }
+
+    public function test_other_disqualifications_are_left_as_stored(): void {
+        $row = $this->rentalOnly(3400, [
+            'disqualified'      => 1,
+            'disqualify_reason' => 'Estimated profit below minimum',
+            'best_strategy'     => null,
+            'near_viable'       => 1,
+        ]);
+
+        $updates = \Flip_Analyzer::reprice_rental($row, $this->overrides([]));
+
+        $this->assertSame(1, $updates['rental_viable']);
+        $this->assertSame(1, $updates['disqualified']);
+        $this->assertSame('Estimated profit below minimum', $updates['disqualify_reason']);
+        $this->assertNull($updates['best_strategy']);
+        $this->assertSame(1, $updates['near_viable']);
+    }
+
+    public function test_row_without_rental_analysis_is_skipped(): void {
+        $row = $this->result();
+        $row->rental_analysis_json = null;
+
+        $this->assertNull(\Flip_Analyzer::reprice_rental($row, $this->overrides([])));
+    }
+}
@@ -0,0 +1,131 @@
+<?php
+/**
+ * Unit Tests for Flip_Report_Diff snapshot building and run diffing.
+ *
+ * @package BMN_Flip_Analyzer\Tests\Unit
+ * @since 0.24.0
+ */
+
+namespace FlipAnalyzer\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+
+class FlipReportDiffTest extends TestCase {
+
+    protected function setUp(): void {
+        parent::setUp();
+        flip_reset_test_data();
+    }
+
+    protected function tearDown(): void {
+        parent::tearDown();
+        flip_reset_test_data();
+    }
+
+    private function row(int $listing_id, float $score, float $price, bool $dq = false): object {
+        return (object) [
+            'listing_id'   => $listing_id,
+            'address'      => "{$listing_id} Main St",
+            'city'         => 'Reading',
+            'total_score'  => $score,
+            'list_price'   => $price,
+            'disqualified' => $dq ? 1 : 0,
+        ];
+    }
+
+    private function entry(float $score, float $price, string $status = 'Active', bool $viable = false, bool $matching = true): array {
+        return [
+            'address'      => 'x',
+            'city'         => 'Reading',
+            'score'        => $score,
+            'price'        => $price,
+            'status'       => $status,
+            'viable'       => $viable,
+            'disqualified' => false,
+            'matching'     => $matching,
+        ];
+    }
+
+    public function test_snapshot_prefers_mls_state_and_flags_viability(): void {
+        $snapshot = \Flip_Report_Diff::build_snapshot(
+            [$this->row(101, 72.0, 500000), $this->row(102, 80.0, 450000, true)],
+            [101 => ['status' => 'Active', 'price' => 479000]],
+            [101]
+        );
+
+        $this->assertEquals(479000, $snapshot[101]['price']);
+        $this->assertSame('Active', $snapshot[101]['status']);
+        $this->assertTrue($snapshot[101]['viable']);
+        $this->assertTrue($snapshot[101]['matching']);
+
+        $this->assertEquals(450000, $snapshot[102]['price']);
+        $this->assertFalse($snapshot[102]['viable']);
+        $this->assertFalse($snapshot[102]['matching']);
+    }
+
+    public function test_snapshot_carries_forward_listings_missing_from_results(): void {
+        $previous = [
+            201 => $this->entry(65.0, 600000),
+            202 => $this->entry(40.0, 300000, 'Active', false, false),
+        ];
+
+        $snapshot = \Flip_Report_Diff::build_snapshot([], [201 => ['status' => 'Pending', 'price' => 600000]], null, $previous);
+
+        $this->assertArrayHasKey(201, $snapshot);
+        $this->assertSame('Pending', $snapshot[201]['status']);
+        $this->assertFalse($snapshot[201]['matching']);
+        // Already dropped last time — not carried again
+        $this->assertArrayNotHasKey(202, $snapshot);
+    }
+
+    public function test_diff_detects_each_change_type(): void {
+        $previous = [
+            1 => $this->entry(55.0, 500000),
+            2 => $this->entry(70.0, 400000, 'Active', true),
+            3 => $this->entry(70.0, 350000, 'Active', true),
+            4 => $this->entry(62.0, 300000, 'Active', true),
+        ];
+        $current = [
+            1 => $this->entry(63.0, 475000, 'Active', true),
+            2 => $this->entry(70.5, 400000, 'Active Under Contract', true),
+            3 => $this->entry(70.0, 350000, 'Pending', true, false),
+            5 => $this->entry(66.0, 420000, 'Active', true),
+        ];
+
+        $diff = \Flip_Report_Diff::diff($previous, $current);
+
+        $this->assertSame(['newly_viable', 'price_drop', 'score_change'], $diff['listings'][1]['types']);
+        $this->assertEquals(500000, $diff['listings'][1]['previous']['price']);
+        $this->assertEquals(475000, $diff['listings'][1]['current']['price']);
+
+        $this->assertSame(['status_change'], $diff['listings'][2]['types']);
+        $this->assertSame(['dropped'], $diff['listings'][3]['types']);
+        $this->assertSame(['dropped'], $diff['listings'][4]['types']);
+        $this->assertSame(['new'], $diff['listings'][5]['types']);
+        $this->assertNull($diff['listings'][5]['previous']);
+
+        $this->assertCount(2, $diff['dropped']);
+        $this->assertSame(1, $diff['counts']['newly_viable']);
+        $this->assertSame(2, $diff['counts']['dropped']);
+        $this->assertSame(1, $diff['counts']['new']);
+    }
+
+    public function test_small_score_moves_and_unchanged_listings_are_ignored(): void {
+        $previous = [7 => $this->entry(64.0, 500000, 'Active', true)];
+        $current  = [7 => $this->entry(65.5, 500000, 'Active', true)];
+
+        $diff = \Flip_Report_Diff::diff($previous, $current);
+
+        $this->assertEmpty($diff['listings']);
+        $this->assertSame(0, array_sum($diff['counts']));
+    }
+
+    public function test_unknown_status_is_not_a_status_change(): void {
+        $previous = [8 => $this->entry(50.0, 500000, '')];
+        $current  = [8 => $this->entry(50.0, 500000, 'Active')];
+
+        $diff = \Flip_Report_Diff::diff($previous, $current);
+
+        $this->assertArrayNotHasKey(8, $diff['listings']);
+    }
+}
@@ -0,0 +1,285 @@
+<?php
+/**
+ * Unit Tests for analysis run history: recording a run, accumulating its
+ * counters batch by batch, closing it, and the per-day trend summaries.
+ *
+ * @package BMN_Flip_Analyzer\Tests\Unit
+ * @since 0.35.0
+ */
+
+namespace FlipAnalyzer\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+
+class FlipRunHistoryTest extends TestCase {
+
+    /** @var \MockWPDB Runs table double: applies the counter, finish, expiry and prune statements */
+    private $wpdb;
+
+    protected function setUp(): void {
+        parent::setUp();
+        flip_reset_test_data();
+        flip_set_current_time('2026-03-02 09:15:00');
+
+        $this->wpdb = new class extends \MockWPDB {
+            public $runs = [];
+            public $queries = [];
+            public $next_id = 1;
+
+            public function prepare($query, ...$args) {
+                $args = isset($args[0]) && is_array($args[0]) ? $args[0] : $args;
+                return preg_replace_callback('/%[sdf]/', function ($m) use (&$args) {
+                    $arg = array_shift($args);
+                    if ($m[0] === '%f') {
+                        return sprintf('%F', $arg);
+                    }
+                    return $m[0] === '%d' ? (string) (int) $arg : "'" . addslashes($arg) . "'";
+                }, $query);
+            }
+
+            public function insert($table, $data, $format = null) {
+                $this->insert_id = $this->next_id++;
+                $counters = array_fill_keys(\Flip_Database::RUN_COUNTERS, 0);
+                $this->runs[$this->insert_id] = (object) (['id' => $this->insert_id] + $data + $counters + [
+                    'api_cost'     => 0.0,
+                    'finished_at'  => null,
+                    'duration_sec' => null,
+                ]);
+                return 1;
+            }
+
+            public function query($query) {
+                $this->queries[] = $query;
+
+                if (preg_match('/^DELETE FROM \S+ WHERE id <= (-?\d+)$/', $query, $m)) {
+                    $before = count($this->runs);
+                    $this->runs = array_filter($this->runs, fn($run) => $run->id > (int) $m[1]);
+                    return $before - count($this->runs);
+                }
+
+                if (preg_match("/SET status = 'abandoned'.*DATE_SUB\('([^']+)', INTERVAL (\d+) HOUR\)/s", $query, $m)) {
+                    $cutoff = strtotime($m[1]) - 3600 * (int) $m[2];
+                    $expired = 0;
+                    foreach ($this->runs as $run) {
+                        if ($run->status === 'running' && strtotime($run->started_at) < $cutoff) {
+                            $run->status = 'abandoned';
+                            $expired++;
+                        }
+                    }
+                    return $expired;
+                }
+
+                if (!preg_match("/WHERE id = (\d+) AND status = 'running'\s*$/", $query, $m)) {
+                    return 0;
+                }
+                $run = $this->runs[(int) $m[1]] ?? null;
+                if (!$run || $run->status !== 'running') {
+                    return 0;
+                }
+
+                preg_match_all('/(\w+) = \1 \+ ([0-9.]+)/', $query, $increments, PREG_SET_ORDER);
+                foreach ($increments as [, $col, $value]) {
+                    $run->$col += $col === 'api_cost' ? (float) $value : (int) $value;
+                }
+                if (preg_match("/SET status = '(\w+)', finished_at = '([^']+)'/", $query, $m)) {
+                    $run->status       = $m[1];
+                    $run->finished_at  = $m[2];
+                    $run->duration_sec = max(0, strtotime($m[2]) - strtotime($run->started_at));
+                }
+                return 1;
+            }
+        };
+        $GLOBALS['wpdb'] = $this->wpdb;
+    }
+
+    protected function tearDown(): void {
+        parent::tearDown();
+        flip_reset_test_data();
+        $GLOBALS['wpdb'] = new \MockWPDB();
+    }
+
+    private function start(array $data = []): int {
+        return \Flip_Database::start_run($data + [
+            'type'           => 'analysis',
+            'listings_total' => 120,
+            'cities'         => ['Reading', 'Melrose'],
+            'filters'        => ['min_price' => 300000],
+            'created_by'     => 7,
+        ]);
+    }
+
+    // ── Recording runs ──────────────────────────────────────────
+
+    public function test_started_run_snapshots_its_settings(): void {
+        $run = $this->wpdb->runs[$this->start()];
+
+        $this->assertSame('analysis', $run->run_type);
+        $this->assertSame('running', $run->status);
+        $this->assertSame('2026-03-02 09:15:00', $run->started_at);
+        $this->assertSame(120, $run->listings_total);
+        $this->assertSame(['Reading', 'Melrose'], json_decode($run->cities_json, true));
+        $this->assertSame(['min_price' => 300000], json_decode($run->filters_json, true));
+        $this->assertEquals(\Flip_Database::get_scoring_weights(), json_decode($run->weights_json, true));
+        $this->assertNull($run->cost_profile_json);
+        $this->assertNull($run->report_id);
+    }
+
+    public function test_unknown_run_type_is_recorded_as_analysis(): void {
+        $run = $this->wpdb->runs[$this->start(['type' => 'backfill', 'listings_total' => -5])];
+
+        $this->assertSame('analysis', $run->run_type);
+        $this->assertSame(0, $run->listings_total);
+    }
+
+    public function test_history_is_pruned_to_the_newest_runs(): void {
+        $this->start();
+        $this->wpdb->next_id = \Flip_Database::MAX_RUN_HISTORY + 1;
+        $latest = $this->start();
+
+        $this->assertSame([$latest], array_keys($this->wpdb->runs));
+    }
+
+    // ── Counters ────────────────────────────────────────────────
+
+    public function test_batches_add_up(): void {
+        $run_id = $this->start(['type' => 'photos']);
+
+        \Flip_Database::add_run_progress($run_id, ['analyzed' => 10, 'input_tokens' => 5000, 'api_cost' => 0.125]);
+        \Flip_Database::add_run_progress($run_id, ['analyzed' => '15', 'output_tokens' => 800, 'api_cost' => 0.0625]);
+
+        $run = $this->wpdb->runs[$run_id];
+        $this->assertSame(25, $run->analyzed);
+        $this->assertSame(5000, $run->input_tokens);
+        $this->assertSame(800, $run->output_tokens);
+        $this->assertEqualsWithDelta(0.1875, $run->api_cost, 0.00001);
+    }
+
+    public function test_empty_or_negative_batches_change_nothing(): void {
+        $run_id = $this->start();
+
+        \Flip_Database::add_run_progress($run_id, []);
+        \Flip_Database::add_run_progress($run_id, ['analyzed' => -4, 'api_cost' => -1]);
+
+        $this->assertSame(1, count($this->wpdb->queries)); // the prune at start
+        $this->assertSame(0, $this->wpdb->runs[$run_id]->analyzed);
+    }
+
+    public function test_finishing_adds_final_counts_and_measures_duration(): void {
+        $run_id = $this->start();
+        \Flip_Database::add_run_progress($run_id, ['analyzed' => 40, 'viable' => 12, 'disqualified' => 28]);
+
+        flip_set_current_time('2026-03-02 09:17:30');
+        \Flip_Database::finish_run($run_id, 'completed', ['errors' => 3]);
+
+        $run = $this->wpdb->runs[$run_id];
+        $this->assertSame('completed', $run->status);
+        $this->assertSame('2026-03-02 09:17:30', $run->finished_at);
+        $this->assertSame(150, $run->duration_sec);
+        $this->assertSame(40, $run->analyzed);
+        $this->assertSame(3, $run->errors);
+    }
+
+    public function test_finished_run_ignores_late_batches(): void {
+        $run_id = $this->start();
+        \Flip_Database::finish_run($run_id, 'cancelled', ['analyzed' => 5]);
+
+        \Flip_Database::add_run_progress($run_id, ['analyzed' => 50]);
+        \Flip_Database::finish_run($run_id, 'completed');
+
+        $run = $this->wpdb->runs[$run_id];
+        $this->assertSame('cancelled', $run->status);
+        $this->assertSame(5, $run->analyzed);
+    }
+
+    public function test_unknown_finish_status_completes_the_run(): void {
+        $run_id = $this->start();
+        \Flip_Database::finish_run($run_id, 'exploded');
+
+        $this->assertSame('completed', $this->wpdb->runs[$run_id]->status);
+    }
+
+    public function test_run_that_failed_to_record_is_not_updated(): void {
+        \Flip_Database::add_run_progress(0, ['analyzed' => 10]);
+        \Flip_Database::finish_run(0, 'completed', ['errors' => 1]);
+
+        $this->assertSame([], $this->wpdb->queries);
+    }
+
+    public function test_unfinished_runs_expire_after_the_stale_window(): void {
+        $stale = $this->start();
+        flip_set_current_time('2026-03-02 11:00:00');
+        $recent = $this->start();
+
+        flip_set_current_time('2026-03-02 11:20:00');
+        $this->assertSame(1, \Flip_Database::expire_stale_runs());
+
+        $this->assertSame('abandoned', $this->wpdb->runs[$stale]->status);
+        $this->assertSame('running', $this->wpdb->runs[$recent]->status);
+        // An abandoned run is closed for good
+        \Flip_Database::finish_run($stale, 'completed', ['analyzed' => 10]);
+        $this->assertSame(0, $this->wpdb->runs[$stale]->analyzed);
+    }
+
+    // ── Trends ──────────────────────────────────────────────────
+
+    private function run_row(array $overrides = []): array {
+        return array_merge([
+            'type'         => 'analysis',
+            'status'       => 'completed',
+            'started_at'   => '2026-03-02 09:15:00',
+            'duration_sec' => 100,
+            'analyzed'     => 50,
+            'viable'       => 20,
+            'disqualified' => 30,
+            'errors'       => 0,
+            'api_cost'     => 0.0,
+        ], $overrides);
+    }
+
+    public function test_trends_group_runs_by_day_oldest_first(): void {
+        $trends = \Flip_Database::summarize_run_trends([
+            $this->run_row(['started_at' => '2026-03-03 08:00:00', 'analyzed' => 10, 'viable' => 4, 'disqualified' => 6]),
+            $this->run_row(['started_at' => '2026-03-02 17:30:00', 'type' => 'photos', 'api_cost' => 1.25, 'viable' => 0, 'disqualified' => 0]),
+            $this->run_row(['started_at' => '2026-03-02 09:15:00', 'errors' => 5]),
+        ]);
+
+        $this->assertCount(2, $trends);
+        $this->assertSame('2026-03-02', $trends[0]['date']);
+        $this->assertSame(2, $trends[0]['runs']);
+        $this->assertSame(100, $trends[0]['analyzed']);
+        $this->assertSame(20, $trends[0]['viable']);
+        $this->assertSame(5, $trends[0]['errors']);
+        $this->assertSame(1.25, $trends[0]['api_cost']);
+        $this->assertSame('2026-03-03', $trends[1]['date']);
+        $this->assertSame(10, $trends[1]['analyzed']);
+    }
+
+    public function test_seconds_per_listing_uses_data_analysis_runs_only(): void {
+        $trends = \Flip_Database::summarize_run_trends([
+            $this->run_row(['duration_sec' => 100, 'analyzed' => 50]),
+            $this->run_row(['type' => 'rerun', 'duration_sec' => 50, 'analyzed' => 50]),
+            $this->run_row(['type' => 'photos', 'duration_sec' => 900, 'analyzed' => 20]),
+            $this->run_row(['type' => 'monitor', 'duration_sec' => 600, 'analyzed' => 5]),
+        ]);
+
+        $this->assertSame(1.5, $trends[0]['sec_per_listing']);
+    }
+
+    public function test_seconds_per_listing_is_null_without_timed_runs(): void {
+        $trends = \Flip_Database::summarize_run_trends([
+            $this->run_row(['type' => 'photos']),
+            $this->run_row(['status' => 'abandoned', 'duration_sec' => null]),
+        ]);
+
+        $this->assertNull($trends[0]['sec_per_listing']);
+        $this->assertSame(2, $trends[0]['runs']);
+    }
+
+    public function test_running_runs_are_left_out_of_trends(): void {
+        $trends = \Flip_Database::summarize_run_trends([
+            $this->run_row(['status' => 'running', 'duration_sec' => null]),
+        ]);
+
+        $this->assertSame([], $trends);
+    }
+}
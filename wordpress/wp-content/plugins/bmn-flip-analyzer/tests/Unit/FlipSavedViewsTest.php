@@ -0,0 +1,131 @@
+<?php
+/**
+ * Unit Tests for per-user saved views of the results table: saving,
+ * restoring filter state, selecting and deleting.
+ *
+ * @package BMN_Flip_Analyzer\Tests\Unit
+ * @since 0.28.0
+ */
+
+namespace FlipAnalyzer\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+
+class FlipSavedViewsTest extends TestCase {
+
+    private const USER = 7;
+
+    protected function setUp(): void {
+        parent::setUp();
+        flip_reset_test_data();
+    }
+
+    protected function tearDown(): void {
+        parent::tearDown();
+        flip_reset_test_data();
+    }
+
+    private function quietFlips(): array {
+        return [
+            'name'             => 'Quiet Flips',
+            'show'             => 'viable',
+            'strategy'         => 'flip',
+            'min_score'        => 60,
+            'road_types'       => ['dead-end', 'cul-de-sac', 'quiet-residential'],
+            'market_strengths' => ['hot', 'very_hot'],
+            'ranges'           => ['profit' => ['min' => 30000], 'list_price' => ['max' => 650000]],
+            'sort'             => [['key' => 'annualized_roi', 'dir' => 'desc'], ['key' => 'list_price', 'dir' => 'asc']],
+            'hidden_columns'   => ['photo'],
+        ];
+    }
+
+    public function test_saved_view_restores_its_filters(): void {
+        $saved = \Flip_Database::save_view(self::USER, $this->quietFlips());
+        $view  = \Flip_Database::get_saved_view(self::USER, $saved['id']);
+
+        $this->assertStringStartsWith('sv_', $view['id']);
+        $this->assertSame('viable', $view['show']);
+        $this->assertSame('flip', $view['strategy']);
+        $this->assertSame(60, $view['min_score']);
+        $this->assertEqualsCanonicalizing(['dead-end', 'cul-de-sac', 'quiet-residential'], $view['road_types']);
+        $this->assertEqualsCanonicalizing(['hot', 'very_hot'], $view['market_strengths']);
+        $this->assertSame(['min' => 30000.0, 'max' => null], ((array) $view['ranges'])['profit']);
+        $this->assertSame(['min' => null, 'max' => 650000.0], ((array) $view['ranges'])['list_price']);
+        $this->assertSame([['key' => 'annualized_roi', 'dir' => 'desc'], ['key' => 'list_price', 'dir' => 'asc']], $view['sort']);
+        $this->assertSame(['photo'], $view['hidden_columns']);
+    }
+
+    /**
+     * @dataProvider analyzerRoadTypes
+     */
+    public function test_every_analyzer_road_type_survives_saving(string $road_type): void {
+        $saved = \Flip_Database::save_view(self::USER, ['name' => $road_type, 'road_types' => [$road_type]]);
+
+        $this->assertSame([$road_type], \Flip_Database::get_saved_view(self::USER, $saved['id'])['road_types']);
+    }
+
+    /** Road types Flip_Road_Analyzer / Flip_Photo_Analyzer can assign to a result. */
+    public static function analyzerRoadTypes(): array {
+        return [
+            ['cul-de-sac'], ['dead-end'], ['quiet-residential'], ['moderate-traffic'],
+            ['busy-road'], ['highway-adjacent'], ['unknown'],
+        ];
+    }
+
+    public function test_saving_an_existing_id_updates_it_in_place(): void {
+        $saved = \Flip_Database::save_view(self::USER, $this->quietFlips());
+        \Flip_Database::save_view(self::USER, ['name' => 'Rentals', 'strategy' => 'rental']);
+
+        $updated = \Flip_Database::save_view(self::USER, ['id' => $saved['id']] + ['min_score' => 75] + $this->quietFlips());
+
+        $this->assertSame($saved['id'], $updated['id']);
+        $views = \Flip_Database::get_saved_views(self::USER);
+        $this->assertCount(2, $views);
+        $this->assertSame(75, $views[0]['min_score']);
+    }
+
+    public function test_unknown_id_creates_a_new_view(): void {
+        $view = \Flip_Database::save_view(self::USER, ['id' => 'sv_other_user'] + $this->quietFlips());
+
+        $this->assertNotSame('sv_other_user', $view['id']);
+        $this->assertCount(1, \Flip_Database::get_saved_views(self::USER));
+    }
+
+    public function test_view_count_is_capped(): void {
+        for ($i = 0; $i < \Flip_Database::MAX_SAVED_VIEWS; $i++) {
+            $this->assertNotNull(\Flip_Database::save_view(self::USER, ['name' => 'View ' . $i]));
+        }
+
+        $this->assertNull(\Flip_Database::save_view(self::USER, ['name' => 'One too many']));
+        $this->assertCount(\Flip_Database::MAX_SAVED_VIEWS, \Flip_Database::get_saved_views(self::USER));
+    }
+
+    public function test_active_view_is_cleared_when_deleted(): void {
+        $saved = \Flip_Database::save_view(self::USER, $this->quietFlips());
+        \Flip_Database::set_active_view(self::USER, $saved['id']);
+        $this->assertSame($saved['id'], \Flip_Database::get_active_view_id(self::USER));
+
+        $this->assertTrue(\Flip_Database::delete_view(self::USER, $saved['id']));
+        $this->assertSame('', \Flip_Database::get_active_view_id(self::USER));
+        $this->assertSame([], \Flip_Database::get_saved_views(self::USER));
+        $this->assertFalse(\Flip_Database::delete_view(self::USER, $saved['id']));
+    }
+
+    public function test_active_view_can_be_cleared_to_unsaved(): void {
+        $saved = \Flip_Database::save_view(self::USER, $this->quietFlips());
+        \Flip_Database::set_active_view(self::USER, $saved['id']);
+
+        \Flip_Database::set_active_view(self::USER, '');
+
+        $this->assertSame('', \Flip_Database::get_active_view_id(self::USER));
+        $this->assertNotNull(\Flip_Database::get_saved_view(self::USER, $saved['id']));
+    }
+
+    public function test_views_are_kept_per_user(): void {
+        $saved = \Flip_Database::save_view(self::USER, $this->quietFlips());
+        \Flip_Database::set_active_view(8, $saved['id']);
+
+        $this->assertSame([], \Flip_Database::get_saved_views(8));
+        $this->assertSame('', \Flip_Database::get_active_view_id(8));
+    }
+}
@@ -0,0 +1,216 @@
+<?php
+/**
+ * Unit Tests for drawn target areas: normalization, saving, and the
+ * point-in-polygon condition the property fetcher scopes listings with.
+ *
+ * @package BMN_Flip_Analyzer\Tests\Unit
+ * @since 0.34.0
+ */
+
+namespace FlipAnalyzer\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+
+class FlipTargetAreasTest extends TestCase {
+
+    private const TRIANGLE = [[42.50, -71.10], [42.52, -71.05], [42.48, -71.04]];
+
+    /** L-shaped (concave) area: the north-east quarter of a 2x2 degree square is cut out */
+    private const ELL = [[42, -72], [42, -70], [43, -70], [43, -71], [44, -71], [44, -72]];
+
+    /** @var \MockWPDB Binds prepare() placeholders and records the listing query */
+    private $wpdb;
+
+    protected function setUp(): void {
+        parent::setUp();
+        flip_reset_test_data();
+
+        $this->wpdb = new class extends \MockWPDB {
+            public $queries = [];
+
+            public function prepare($query, ...$args) {
+                $args = isset($args[0]) && is_array($args[0]) ? $args[0] : $args;
+                return preg_replace_callback('/%[sdf]/', function ($m) use (&$args) {
+                    $arg = array_shift($args);
+                    if ($m[0] === '%f') {
+                        return sprintf('%F', $arg);
+                    }
+                    return $m[0] === '%d' ? (string) (int) $arg : "'" . addslashes($arg) . "'";
+                }, $query);
+            }
+
+            public function get_col($query) {
+                $this->queries[] = $query;
+                return [];
+            }
+        };
+        $GLOBALS['wpdb'] = $this->wpdb;
+    }
+
+    protected function tearDown(): void {
+        parent::tearDown();
+        flip_reset_test_data();
+        $GLOBALS['wpdb'] = new \MockWPDB();
+    }
+
+    /**
+     * WHERE clause the fetcher builds for the given scope.
+     */
+    private function whereSql(array $cities, array $areas): string {
+        \Flip_Property_Fetcher::fetch_matching_listing_ids($cities, ['target_areas' => $areas]);
+
+        return substr(end($this->wpdb->queries), strpos(end($this->wpdb->queries), 'WHERE '));
+    }
+
+    /**
+     * Evaluate each area condition in $sql for a listing at ($lat, $lng), as
+     * MySQL would: bounding box first, then the odd/even edge-crossing sum.
+     *
+     * @return bool[] One result per area condition, in order.
+     */
+    private function areaMatches(string $sql, float $lat, float $lng): array {
+        $num = '(-?[0-9.]+)';
+        preg_match_all(
+            "/\\(s\\.latitude BETWEEN {$num} AND {$num} AND s\\.longitude BETWEEN {$num} AND {$num} AND MOD\\((.+?), 2\\) = 1\\)/",
+            $sql, $areas, PREG_SET_ORDER
+        );
+
+        $matches = [];
+        foreach ($areas as $area) {
+            preg_match_all(
+                "/IF\\(\\({$num} > s\\.latitude\\) <> \\({$num} > s\\.latitude\\)"
+                . " AND s\\.longitude < \\({$num} - {$num}\\) \\* \\(s\\.latitude - {$num}\\) \\/ \\({$num} - {$num}\\) \\+ {$num}, 1, 0\\)/",
+                $area[5], $edges, PREG_SET_ORDER
+            );
+            $this->assertSame(substr_count($area[5], 'IF('), count($edges), 'Every edge term is understood');
+
+            $crossings = 0;
+            foreach ($edges as $e) {
+                $e = array_map('floatval', array_slice($e, 1));
+                if ((($e[0] > $lat) !== ($e[1] > $lat))
+                    && $lng < ($e[2] - $e[3]) * ($lat - $e[4]) / ($e[5] - $e[6]) + $e[7]) {
+                    $crossings++;
+                }
+            }
+
+            $matches[] = $lat >= (float) $area[1] && $lat <= (float) $area[2]
+                && $lng >= (float) $area[3] && $lng <= (float) $area[4]
+                && $crossings % 2 === 1;
+        }
+        return $matches;
+    }
+
+    public function test_non_array_input_yields_no_areas(): void {
+        $this->assertSame([], \Flip_Database::sanitize_target_areas(null));
+        $this->assertSame([], \Flip_Database::sanitize_target_areas('Reading'));
+    }
+
+    public function test_valid_area_is_kept_with_rounded_points(): void {
+        $areas = \Flip_Database::sanitize_target_areas([
+            ['name' => 'Main St Corridor', 'path' => [
+                ['42.5000004', '-71.1'], [42.52, -71.05], [42.48, -71.04],
+            ]],
+        ]);
+
+        $this->assertCount(1, $areas);
+        $this->assertSame('Main St Corridor', $areas[0]['name']);
+        $this->assertSame(self::TRIANGLE, $areas[0]['path']);
+    }
+
+    public function test_invalid_points_and_duplicates_are_dropped(): void {
+        $areas = \Flip_Database::sanitize_target_areas([
+            ['name' => 'Messy', 'path' => [
+                [42.50, -71.10], [42.50, -71.10], ['north', -71.0], [95, -71.0],
+                [42.52, -71.05], [42.48, -71.04], [42.50, -71.10],
+            ]],
+        ]);
+
+        $this->assertSame(self::TRIANGLE, $areas[0]['path']);
+    }
+
+    public function test_areas_with_fewer_than_three_points_are_discarded(): void {
+        $areas = \Flip_Database::sanitize_target_areas([
+            ['name' => 'Line', 'path' => [[42.50, -71.10], [42.52, -71.05]]],
+            ['name' => 'No path'],
+        ]);
+
+        $this->assertSame([], $areas);
+    }
+
+    public function test_blank_names_are_numbered_and_count_is_capped(): void {
+        $input = array_fill(0, \Flip_Database::MAX_TARGET_AREAS + 3, ['name' => '  ', 'path' => self::TRIANGLE]);
+        $areas = \Flip_Database::sanitize_target_areas($input);
+
+        $this->assertCount(\Flip_Database::MAX_TARGET_AREAS, $areas);
+        $this->assertSame('Area 1', $areas[0]['name']);
+        $this->assertSame('Area 2', $areas[1]['name']);
+    }
+
+    public function test_describe_scope_lists_cities_then_areas(): void {
+        $filters = ['target_areas' => [['name' => 'Highlands', 'path' => self::TRIANGLE]]];
+
+        $this->assertSame('Reading, Melrose, Highlands', \Flip_Database::describe_scope(['Reading', 'Melrose'], $filters));
+        $this->assertSame('Highlands', \Flip_Database::describe_scope([], $filters));
+    }
+
+    public function test_saving_areas_keeps_the_other_filters(): void {
+        update_option('bmn_flip_analysis_filters', wp_json_encode(['min_price' => 300000, 'statuses' => ['Active', 'Pending']]));
+
+        $stored = \Flip_Database::set_target_areas([['name' => 'Highlands', 'path' => self::TRIANGLE]]);
+
+        $this->assertSame('Highlands', $stored[0]['name']);
+        $filters = \Flip_Database::get_analysis_filters();
+        $this->assertEquals(300000, $filters['min_price']);
+        $this->assertSame(['Active', 'Pending'], $filters['statuses']);
+        $this->assertSame(self::TRIANGLE, $filters['target_areas'][0]['path']);
+    }
+
+    // ── Fetcher polygon condition ───────────────────────────────
+
+    public function test_listing_inside_the_area_matches(): void {
+        $sql = $this->whereSql([], [['name' => 'Triangle', 'path' => self::TRIANGLE]]);
+
+        $this->assertSame([true], $this->areaMatches($sql, 42.50, -71.06));
+        $this->assertSame([true], $this->areaMatches($sql, 42.49, -71.045));
+    }
+
+    public function test_listing_in_the_bounding_box_but_outside_the_area_does_not_match(): void {
+        $sql = $this->whereSql([], [['name' => 'Triangle', 'path' => self::TRIANGLE]]);
+
+        // West of the NW edge, and south of the SW edge
+        $this->assertSame([false], $this->areaMatches($sql, 42.515, -71.09));
+        $this->assertSame([false], $this->areaMatches($sql, 42.482, -71.09));
+        // Outside the box altogether
+        $this->assertSame([false], $this->areaMatches($sql, 42.60, -71.06));
+    }
+
+    public function test_concave_area_excludes_its_notch(): void {
+        $sql = $this->whereSql([], [['name' => 'Ell', 'path' => self::ELL]]);
+
+        $this->assertSame([true], $this->areaMatches($sql, 42.5, -70.5));
+        $this->assertSame([true], $this->areaMatches($sql, 43.5, -71.5));
+        $this->assertSame([false], $this->areaMatches($sql, 43.5, -70.5));
+        // Horizontal edges add no terms: 3 of the 6 edges are checked
+        $this->assertSame(3, substr_count($sql, 'IF('));
+    }
+
+    public function test_areas_widen_the_city_scope(): void {
+        $south = array_map(fn($p) => [$p[0] - 0.2, $p[1] - 0.2], self::TRIANGLE);
+        $sql = $this->whereSql(['Reading'], [
+            ['name' => 'Triangle', 'path' => self::TRIANGLE],
+            ['name' => 'South', 'path' => $south],
+        ]);
+
+        $this->assertStringContainsString("(s.city IN ('Reading') OR (s.latitude BETWEEN", $sql);
+        $this->assertSame([true, false], $this->areaMatches($sql, 42.50, -71.06));
+        $this->assertSame([false, true], $this->areaMatches($sql, 42.30, -71.26));
+    }
+
+    public function test_no_cities_and_no_usable_areas_match_nothing(): void {
+        $this->assertStringContainsString('1 = 0', $this->whereSql([], []));
+        $this->assertStringContainsString('1 = 0', $this->whereSql([], [
+            ['name' => 'Line', 'path' => [[42.50, -71.10], [42.52, -71.05]]],
+            ['name' => 'Flat', 'path' => [[42.50, -71.10], [42.50, -71.05], [42.50, -71.00]]],
+        ]));
+    }
+}
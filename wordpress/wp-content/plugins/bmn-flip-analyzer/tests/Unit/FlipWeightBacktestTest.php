@@ -0,0 +1,160 @@
+<?php
+/**
+ * Unit Tests for Flip_Weight_Backtest sample building and ranking metrics.
+ *
+ * @package BMN_Flip_Analyzer\Tests\Unit
+ * @since 0.32.0
+ */
+
+namespace FlipAnalyzer\Tests\Unit;
+
+use PHPUnit\Framework\TestCase;
+
+class FlipWeightBacktestTest extends TestCase {
+
+    protected function setUp(): void {
+        parent::setUp();
+        flip_reset_test_data();
+    }
+
+    protected function tearDown(): void {
+        parent::tearDown();
+        flip_reset_test_data();
+    }
+
+    private function score_row(int $listing_id, string $run_date, float $financial, float $location, float $rehab = 50000): object {
+        return (object) [
+            'listing_id'           => $listing_id,
+            'run_date'             => $run_date,
+            'address'              => "{$listing_id} Main St",
+            'city'                 => 'Reading',
+            'financial_score'      => $financial,
+            'property_score'       => 50,
+            'location_score'       => $location,
+            'market_score'         => 50,
+            'estimated_rehab_cost' => $rehab,
+        ];
+    }
+
+    private function sale(int $listing_id, float $purchase, string $purchase_date, float $resale, string $resale_date): array {
+        return [
+            'listing_id'     => $listing_id,
+            'purchase_price' => $purchase,
+            'purchase_date'  => $purchase_date,
+            'resale_price'   => $resale,
+            'resale_date'    => $resale_date,
+        ];
+    }
+
+    private function sample(int $listing_id, float $financial, float $location, float $profit): array {
+        return [
+            'listing_id'      => $listing_id,
+            'address'         => "{$listing_id} Main St",
+            'city'            => 'Reading',
+            'financial_score' => $financial,
+            'property_score'  => 50,
+            'location_score'  => $location,
+            'market_score'    => 50,
+            'purchase_price'  => 400000,
+            'resale_price'    => 400000 + $profit,
+            'realized_profit' => $profit,
+        ];
+    }
+
+    // ---------------------------------------------------------------
+    // Spearman
+    // ---------------------------------------------------------------
+
+    public function test_spearman_perfect_and_inverse_order(): void {
+        $this->assertEqualsWithDelta(1.0, \Flip_Weight_Backtest::spearman([1, 2, 3, 4], [10, 20, 30, 40]), 1e-9);
+        $this->assertEqualsWithDelta(-1.0, \Flip_Weight_Backtest::spearman([1, 2, 3, 4], [40, 30, 20, 10]), 1e-9);
+    }
+
+    public function test_spearman_is_rank_based(): void {
+        // Monotonic but non-linear relationship is still a perfect rank correlation
+        $this->assertEqualsWithDelta(1.0, \Flip_Weight_Backtest::spearman([1, 2, 3, 4, 5], [1, 4, 9, 1000, 5000]), 1e-9);
+    }
+
+    public function test_spearman_averages_tied_ranks(): void {
+        // x ranks 1, 2.5, 2.5, 4 against y ranks 1..4
+        $rho = \Flip_Weight_Backtest::spearman([1, 2, 2, 3], [1, 2, 3, 4]);
+        $this->assertEqualsWithDelta(0.9486833, $rho, 1e-6);
+    }
+
+    public function test_spearman_null_for_constant_or_short_input(): void {
+        $this->assertNull(\Flip_Weight_Backtest::spearman([5, 5, 5], [1, 2, 3]));
+        $this->assertNull(\Flip_Weight_Backtest::spearman([1, 2], [1, 2]));
+    }
+
+    // ---------------------------------------------------------------
+    // Sample building
+    // ---------------------------------------------------------------
+
+    public function test_build_samples_uses_first_resale_and_latest_prior_score(): void {
+        $sales = [
+            $this->sale(1, 400000, '2024-03-01', 560000, '2024-11-15'),
+            $this->sale(1, 400000, '2024-03-01', 610000, '2025-09-01'),
+        ];
+        $rows = [
+            $this->score_row(1, '2024-01-05 06:00:00', 60, 40),
+            $this->score_row(1, '2024-02-20 06:00:00', 70, 45, 60000),
+            $this->score_row(1, '2024-04-01 06:00:00', 90, 90),  // after purchase — ignored
+        ];
+
+        $samples = \Flip_Weight_Backtest::build_samples($sales, $rows);
+
+        $this->assertCount(1, $samples);
+        $this->assertEquals(560000, $samples[0]['resale_price']);
+        $this->assertEquals(70, $samples[0]['financial_score']);
+        $this->assertEquals(100000, $samples[0]['realized_profit']);  // 560k - 400k - 60k rehab
+        $this->assertSame('2024-11-15', $samples[0]['resale_date']);
+    }
+
+    public function test_build_samples_skips_listings_scored_only_after_purchase(): void {
+        $sales = [$this->sale(2, 300000, '2024-03-01', 420000, '2024-10-01')];
+        $rows  = [$this->score_row(2, '2024-05-01 06:00:00', 80, 80)];
+
+        $this->assertSame([], \Flip_Weight_Backtest::build_samples($sales, $rows));
+    }
+
+    // ---------------------------------------------------------------
+    // Evaluation
+    // ---------------------------------------------------------------
+
+    public function test_composite_matches_main_weights(): void {
+        $main = ['financial' => 0.40, 'property' => 0.25, 'location' => 0.25, 'market' => 0.10];
+        $s = $this->sample(1, 80, 60, 0);
+
+        // 80*.40 + 50*.25 + 60*.25 + 50*.10
+        $this->assertEqualsWithDelta(64.5, \Flip_Weight_Backtest::composite($s, $main), 1e-9);
+    }
+
+    public function test_compare_rewards_weights_that_rank_profitable_deals_higher(): void {
+        // Location score tracks realized profit; financial score runs against it
+        $samples = [
+            $this->sample(1, 90, 20, -20000),
+            $this->sample(2, 80, 40, 5000),
+            $this->sample(3, 70, 60, 30000),
+            $this->sample(4, 60, 80, 60000),
+            $this->sample(5, 50, 95, 90000),
+        ];
+        $saved     = ['financial' => 0.70, 'property' => 0.10, 'location' => 0.10, 'market' => 0.10];
+        $candidate = ['financial' => 0.10, 'property' => 0.10, 'location' => 0.70, 'market' => 0.10];
+
+        $result = \Flip_Weight_Backtest::compare($samples, $saved, $candidate, 2, 25000);
+
+        $this->assertSame(5, $result['samples']);
+        $this->assertEquals(0.6, $result['base_rate']);
+        $this->assertEquals(-1.0, $result['saved']['spearman']);
+        $this->assertEquals(1.0, $result['candidate']['spearman']);
+        $this->assertEquals(0.0, $result['saved']['precision']);
+        $this->assertEquals(1.0, $result['candidate']['precision']);
+        $this->assertSame(2, $result['candidate']['hits']);
+        $this->assertEquals(75000, $result['candidate']['avg_profit']);
+
+        $this->assertCount(2, $result['top']);
+        $this->assertSame(5, $result['top'][0]['listing_id']);
+        $this->assertSame(5, $result['top'][0]['saved_rank']);
+        $this->assertArrayNotHasKey('order', $result['saved']);
+    }
+}
@@ -56,6 +56,7 @@ if (!defined('ARRAY_A')) {
 // ---------------------------------------------------------------
 
 $_flip_options_test_data = [];
+$_flip_user_meta_test_data = [];  // user_id => [meta_key => value]
 $_flip_test_current_time = null;  // Override for current_time()
 $_flip_test_wp_date_year = null;  // Override for wp_date('Y')
 
@@ -130,6 +131,44 @@ if (!function_exists('update_option')) {
     }
 }
 
+if (!function_exists('get_user_meta')) {
+    function get_user_meta($user_id, $key = '', $single = false) {
+        global $_flip_user_meta_test_data;
+        if (!isset($_flip_user_meta_test_data[$user_id][$key])) {
+            return $single ? '' : [];
+        }
+        $value = $_flip_user_meta_test_data[$user_id][$key];
+        return $single ? $value : [$value];
+    }
+}
+
+if (!function_exists('update_user_meta')) {
+    function update_user_meta($user_id, $key, $value) {
+        global $_flip_user_meta_test_data;
+        $_flip_user_meta_test_data[$user_id][$key] = $value;
+        return true;
+    }
+}
+
+if (!function_exists('delete_user_meta')) {
+    function delete_user_meta($user_id, $key) {
+        global $_flip_user_meta_test_data;
+        unset($_flip_user_meta_test_data[$user_id][$key]);
+        return true;
+    }
+}
+
+if (!function_exists('wp_generate_password')) {
+    function wp_generate_password($length = 12, $special_chars = true) {
+        $chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+        $password = '';
+        for ($i = 0; $i < $length; $i++) {
+            $password .= $chars[random_int(0, strlen($chars) - 1)];
+        }
+        return $password;
+    }
+}
+
 if (!function_exists('wp_json_encode')) {
     function wp_json_encode($data, $options = 0, $depth = 512) {
         return json_encode($data, $options | JSON_UNESCAPED_UNICODE, $depth);
@@ -148,6 +187,30 @@ if (!function_exists('sanitize_text_field')) {
     }
 }
 
+if (!function_exists('sanitize_textarea_field')) {
+    function sanitize_textarea_field($str) {
+        return trim(strip_tags($str));
+    }
+}
+
+if (!function_exists('esc_url_raw')) {
+    function esc_url_raw($url) {
+        return preg_match('#^https?://#i', (string) $url) && filter_var($url, FILTER_VALIDATE_URL) ? $url : '';
+    }
+}
+
+if (!function_exists('sanitize_email')) {
+    function sanitize_email($email) {
+        return filter_var($email, FILTER_VALIDATE_EMAIL) ? $email : '';
+    }
+}
+
+if (!function_exists('sanitize_key')) {
+    function sanitize_key($key) {
+        return preg_replace('/[^a-z0-9_\-]/', '', strtolower((string) $key));
+    }
+}
+
 if (!function_exists('absint')) {
     function absint($value) {
         return abs((int) $value);
@@ -270,8 +333,9 @@ class MockWPDB {
 // ---------------------------------------------------------------
 
 function flip_reset_test_data(): void {
-    global $_flip_options_test_data, $_flip_test_current_time, $_flip_test_wp_date_year;
+    global $_flip_options_test_data, $_flip_user_meta_test_data, $_flip_test_current_time, $_flip_test_wp_date_year;
     $_flip_options_test_data = [];
+    $_flip_user_meta_test_data = [];
     $_flip_test_current_time = null;
     $_flip_test_wp_date_year = null;
 }
@@ -303,5 +367,10 @@ require_once $includes_dir . 'class-flip-arv-calculator.php';
 require_once $includes_dir . 'class-flip-financial-scorer.php';
 require_once $includes_dir . 'class-flip-property-scorer.php';
 require_once $includes_dir . 'class-flip-market-scorer.php';
+require_once $includes_dir . 'class-flip-property-fetcher.php';
 require_once $includes_dir . 'class-flip-disqualifier.php';
+require_once $includes_dir . 'class-flip-rental-comp-calculator.php';
+require_once $includes_dir . 'class-flip-rental-calculator.php';
 require_once $includes_dir . 'class-flip-analyzer.php';
+require_once $includes_dir . 'class-flip-report-diff.php';
+require_once $includes_dir . 'class-flip-weight-backtest.php';
@@ -2285,6 +2285,7 @@ class MLD_Database_Verify {
                     consent_to_text tinyint(1) DEFAULT 0,
                     ma_disclosure_acknowledged tinyint(1) DEFAULT 0,
                     ma_disclosure_timestamp datetime DEFAULT NULL,
+                    preferred_language varchar(10) DEFAULT 'en',
                     interest_level varchar(50) DEFAULT 'unknown',
                     agent_notes text DEFAULT NULL,
                     user_id bigint unsigned DEFAULT NULL,
@@ -24,7 +24,7 @@ class MLD_Open_House_REST_API {
      * Database version for schema migrations
      * @since 6.71.0
      */
-    const DB_VERSION = '6.71.0';
+    const DB_VERSION = '6.78.0';
 
     /**
      * Initialize the REST API
@@ -51,6 +51,7 @@ class MLD_Open_House_REST_API {
      * Upgrade database schema for Enhanced Open House Sign-In System
      * Adds columns for: other_agent_phone, other_agent_email, auto_crm_processed,
      * auto_search_created, auto_search_id, ma_disclosure_acknowledged, ma_disclosure_timestamp
+     * v6.78.0: preferred_language (language the visitor used on the sign-in kiosk)
      * @since 6.71.0
      */
     private static function upgrade_database() {
@@ -70,6 +71,7 @@ class MLD_Open_House_REST_API {
             'auto_search_id' => "ALTER TABLE {$table} ADD COLUMN auto_search_id INT DEFAULT NULL AFTER auto_search_created",
             'ma_disclosure_acknowledged' => "ALTER TABLE {$table} ADD COLUMN ma_disclosure_acknowledged TINYINT(1) DEFAULT 0 AFTER auto_search_id",
             'ma_disclosure_timestamp' => "ALTER TABLE {$table} ADD COLUMN ma_disclosure_timestamp DATETIME DEFAULT NULL AFTER ma_disclosure_acknowledged",
+            'preferred_language' => "ALTER TABLE {$table} ADD COLUMN preferred_language VARCHAR(10) DEFAULT 'en' AFTER ma_disclosure_timestamp",
         );
 
         foreach ($new_columns as $column => $sql) {
@@ -195,6 +197,13 @@ class MLD_Open_House_REST_API {
             'permission_callback' => array(__CLASS__, 'check_agent_permission'),
         ));
 
+        // Look up a returning visitor by email or phone (kiosk step 1 prefill)
+        register_rest_route(self::NAMESPACE, '/open-houses/attendees/lookup', array(
+            'methods' => 'GET',
+            'callback' => array(__CLASS__, 'handle_lookup_attendee'),
+            'permission_callback' => array(__CLASS__, 'check_agent_permission'),
+        ));
+
         // Get property images for slideshow (v6.71.0 - Enhanced Open House Sign-In)
         register_rest_route(self::NAMESPACE, '/open-houses/(?P<id>\d+)/property-images', array(
             'methods' => 'GET',
@@ -886,6 +895,8 @@ class MLD_Open_House_REST_API {
             // v6.71.0: Massachusetts disclosure acknowledgment
             'ma_disclosure_acknowledged' => $request->get_param('ma_disclosure_acknowledged') ? 1 : 0,
             'ma_disclosure_timestamp' => $request->get_param('ma_disclosure_acknowledged') ? current_time('mysql') : null,
+            // v6.78.0: Kiosk sign-in language
+            'preferred_language' => self::sanitize_language($request->get_param('preferred_language')),
             'interest_level' => sanitize_text_field($request->get_param('interest_level')) ?: 'unknown',
             'agent_notes' => sanitize_textarea_field($request->get_param('notes')) ?: null,
             'signed_in_at' => self::parse_signed_in_at($request->get_param('signed_in_at')),
@@ -1424,6 +1435,8 @@ class MLD_Open_House_REST_API {
                 // v6.71.0: Massachusetts disclosure
                 'ma_disclosure_acknowledged' => !empty($attendee['ma_disclosure_acknowledged']) ? 1 : 0,
                 'ma_disclosure_timestamp' => !empty($attendee['ma_disclosure_acknowledged']) ? current_time('mysql') : null,
+                // v6.78.0: Kiosk sign-in language
+                'preferred_language' => self::sanitize_language($attendee['preferred_language'] ?? ''),
                 'interest_level' => sanitize_text_field($attendee['interest_level'] ?? 'unknown'),
                 'agent_notes' => sanitize_textarea_field($attendee['notes'] ?? '') ?: null,
                 'signed_in_at' => sanitize_text_field($attendee['signed_in_at'] ?? current_time('mysql')),
@@ -1835,6 +1848,8 @@ class MLD_Open_House_REST_API {
             // v6.71.0: Massachusetts disclosure
             'ma_disclosure_acknowledged' => isset($a->ma_disclosure_acknowledged) ? (bool)$a->ma_disclosure_acknowledged : false,
             'ma_disclosure_timestamp' => isset($a->ma_disclosure_timestamp) ? $a->ma_disclosure_timestamp : null,
+            // v6.78.0: Kiosk sign-in language
+            'preferred_language' => isset($a->preferred_language) ? $a->preferred_language : 'en',
             'interest_level' => $a->interest_level,
             'notes' => $a->agent_notes,
             // CRM fields (v6.70.0)
@@ -1866,6 +1881,18 @@ class MLD_Open_House_REST_API {
      * Tiers: Hot (80-100), Warm (50-79), Cool (0-49)
      */
 
+    /**
+     * v6.78.0: Normalize a kiosk language code ("es", "pt-BR", "zh-Hans") to a short tag.
+     * Falls back to English for anything that isn't a plausible language tag.
+     */
+    private static function sanitize_language($raw_value) {
+        $language = strtolower(sanitize_text_field((string) $raw_value));
+        if (!preg_match('/^[a-z]{2,3}(-[a-z0-9]{2,4})?$/', $language)) {
+            return 'en';
+        }
+        return $language;
+    }
+
     /**
      * v6.76.1: Parse signed_in_at timestamp, converting ISO 8601 UTC to WordPress timezone.
      * iOS sends ISO 8601 UTC (e.g., "2026-02-14T22:36:00Z"), which must be converted
@@ -2252,6 +2279,83 @@ class MLD_Open_House_REST_API {
         ), 200));
     }
 
+    /**
+     * Handle GET /open-houses/attendees/lookup
+     *
+     * Find the most recent sign-in for a returning visitor at any of this
+     * agent's open houses, matched by email or by the last 10 phone digits.
+     * Used by the kiosk to prefill contact details and agent status.
+     *
+     * @param WP_REST_Request $request The request object (email, phone)
+     * @return WP_REST_Response
+     */
+    public static function handle_lookup_attendee($request) {
+        global $wpdb;
+        $user_id = get_current_user_id();
+
+        $attendees_table = $wpdb->prefix . 'mld_open_house_attendees';
+        $open_houses_table = $wpdb->prefix . 'mld_open_houses';
+
+        $email = sanitize_email($request->get_param('email'));
+        $phone_digits = substr(preg_replace('/[^0-9]/', '', (string) $request->get_param('phone')), -10);
+
+        if (empty($email) && strlen($phone_digits) < 10) {
+            return self::add_no_cache_headers(new WP_REST_Response(array(
+                'success' => false,
+                'message' => 'Provide an email or a 10-digit phone number'
+            ), 400));
+        }
+
+        $where = array();
+        $params = array();
+
+        if (!empty($email)) {
+            $where[] = "a.email = %s";
+            $params[] = $email;
+        }
+
+        if (strlen($phone_digits) === 10) {
+            // Strip common formatting characters so "(617) 555-0123" matches "6175550123"
+            $where[] = "RIGHT(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(a.phone, ' ', ''), '-', ''), '(', ''), ')', ''), '+', ''), 10) = %s";
+            $params[] = $phone_digits;
+        }
+
+        $params[] = $user_id;
+        $match_clause = implode(' OR ', $where);
+
+        $matches = $wpdb->get_results($wpdb->prepare(
+            "SELECT a.*
+             FROM {$attendees_table} a
+             JOIN {$open_houses_table} oh ON a.open_house_id = oh.id
+             WHERE ({$match_clause}) AND oh.agent_user_id = %d
+             ORDER BY a.signed_in_at DESC",
+            $params
+        ));
+
+        if (empty($matches)) {
+            return self::add_no_cache_headers(new WP_REST_Response(array(
+                'success' => true,
+                'data' => array(
+                    'found' => false
+                )
+            ), 200));
+        }
+
+        $open_house_ids = array_unique(array_map(function($a) {
+            return intval($a->open_house_id);
+        }, $matches));
+
+        return self::add_no_cache_headers(new WP_REST_Response(array(
+            'success' => true,
+            'data' => array(
+                'found' => true,
+                'attendee' => self::format_attendee($matches[0]),
+                'open_house_ids' => array_values($open_house_ids),
+                'total_visits' => count($open_house_ids)
+            )
+        ), 200));
+    }
+
     /**
      * Handle GET /open-houses/{id}/property-images (v6.71.0)
      *
@@ -3,7 +3,7 @@
  * Plugin Name:       MLS Listings Display
  * Plugin URI:        https://example.com/
  * Description:       Displays real estate listings from the Bridge MLS Extractor Pro plugin using shortcodes with mobile-optimized property search and display.
- * Version: 6.77.0
+ * Version: 6.78.0
  * Author:            AZ Home Solutions LLC
  * Author URI:        https://example.com/
  * License:           GPL-2.0+
@@ -12,6 +12,13 @@
  *
  * @package           MLS_Listings_Display
  *
+ * Version 6.78.0 - MULTILINGUAL OPEN HOUSE KIOSK (Oct 19, 2026)
+ * The open house sign-in kiosk can be used in the visitor's language.
+ * - Kiosk sign-in flow available in English, Spanish, Portuguese and Chinese
+ * - Attendee records store the language used at sign-in (preferred_language)
+ * - Open house REST endpoints accept and return preferred_language
+ * - Schema change: wp_mld_open_house_attendees.preferred_language (open house DB version 6.78.0)
+ *
  * Version 6.77.0 - OPEN HOUSE EMAIL DRIP SEQUENCES (Feb 14, 2026)
  * Automated follow-up email sequences for open house attendees.
  * - 5-step drip sequence: Thank You (1d), Similar Properties (3d), Buyer Resources (7d), Check-in (14d), Final Touch (30d)
@@ -2569,7 +2576,7 @@ if ( ! defined( 'WPINC' ) ) {
 
 // Define plugin constants.
 // Add timestamp for cache busting during development
-define('MLD_VERSION', '6.77.0');
+define('MLD_VERSION', '6.78.0');
 
 define( 'MLD_PLUGIN_PATH', plugin_dir_path( __FILE__ ) );
 define( 'MLD_PLUGIN_DIR', plugin_dir_path( __FILE__ ) ); // Alias for MLD_PLUGIN_PATH for backward compatibility
@@ -6,6 +6,7 @@
  * @package SN_Appointment_Booking
  * @since 1.0.0
  * @updated 1.1.0 - Added create and reschedule functionality
+ * @updated 1.15.0 - Added recurring series
  */
 
 (function($) {
@@ -148,6 +149,23 @@
                 }
             });
 
+            // Repeat change in create modal - show series options
+            $(document).on('change', '#snab-create-repeat', function() {
+                $('.snab-repeat-options').toggle(!!$(this).val());
+                $('#snab-series-preview').empty();
+            });
+
+            // Any change to the first date, time or end of a series makes the preview stale
+            $(document).on('change', '#snab-create-type, #snab-create-date, #snab-create-time, #snab-create-repeat-count, #snab-create-repeat-until, input[name="repeat_end"]', function() {
+                $('#snab-series-preview').empty();
+            });
+
+            // Check series dates for conflicts
+            $(document).on('click', '.snab-preview-series', function(e) {
+                e.preventDefault();
+                self.previewSeries();
+            });
+
             // Date change in reschedule modal - load available slots
             $(document).on('change', '#snab-reschedule-date', function() {
                 var date = $(this).val();
@@ -204,6 +222,7 @@
             this.currentAppointmentId = id;
             $('#snab-cancel-reason').val('');
             $('#snab-send-cancel-email').prop('checked', true);
+            this.resetSeriesScope('#snab-cancel-modal', id);
             $('#snab-cancel-modal').show();
         },
 
@@ -216,6 +235,8 @@
             $('#snab-create-time').prop('disabled', true).html('<option value="">' + snabAppointments.i18n.selectDateFirst + '</option>');
             $('#snab-create-send-email').prop('checked', true);
             $('.snab-time-hint').hide();
+            $('.snab-repeat-options').hide();
+            $('#snab-series-preview').empty();
 
             $('#snab-create-modal').show();
         },
@@ -232,6 +253,7 @@
             $('#snab-reschedule-id').val(id);
             $('#snab-reschedule-time').prop('disabled', true).html('<option value="">' + snabAppointments.i18n.selectDateFirst + '</option>');
             $('#snab-reschedule-send-email').prop('checked', true);
+            this.resetSeriesScope('#snab-reschedule-modal', id);
 
             // Show loading in current details
             $('.snab-current-details').html('<span class="spinner is-active"></span>');
@@ -273,6 +295,108 @@
             });
         },
 
+        /**
+         * Show the "this / following / all" choice in a modal when the appointment is part of a series.
+         */
+        resetSeriesScope: function(modalSelector, id) {
+            var $scope = $(modalSelector).find('.snab-series-scope');
+            var seriesId = $('tr[data-id="' + id + '"]').data('series-id');
+
+            $scope.find('input[type="radio"][value="this"]').prop('checked', true);
+            $scope.toggle(!!seriesId);
+        },
+
+        /**
+         * Selected scope in a modal ("this" unless the appointment is part of a series).
+         */
+        getSeriesScope: function(modalSelector) {
+            var $scope = $(modalSelector).find('.snab-series-scope');
+            return $scope.is(':visible') ? $scope.find('input[type="radio"]:checked').val() : 'this';
+        },
+
+        /**
+         * Series fields from the create form.
+         */
+        getSeriesFields: function() {
+            return {
+                appointment_type_id: $('#snab-create-type').val(),
+                appointment_date: $('#snab-create-date').val(),
+                start_time: $('#snab-create-time').val(),
+                repeat: $('#snab-create-repeat').val(),
+                repeat_end: $('input[name="repeat_end"]:checked').val(),
+                repeat_count: $('#snab-create-repeat-count').val(),
+                repeat_until: $('#snab-create-repeat-until').val()
+            };
+        },
+
+        /**
+         * Check series dates against bookings and blocked time, then show them.
+         */
+        previewSeries: function(callback) {
+            var self = this;
+            var $button = $('.snab-preview-series');
+            var fields = this.getSeriesFields();
+
+            if (!fields.appointment_type_id || !fields.appointment_date || !fields.start_time) {
+                self.showNotice(snabAppointments.i18n.fillRequired, 'error');
+                return;
+            }
+
+            $button.prop('disabled', true).text(snabAppointments.i18n.checking);
+
+            $.ajax({
+                url: snabAppointments.ajaxUrl,
+                type: 'POST',
+                data: $.extend({
+                    action: 'snab_preview_series',
+                    nonce: snabAppointments.nonce
+                }, fields),
+                success: function(response) {
+                    $button.prop('disabled', false).text(snabAppointments.i18n.checkDates);
+
+                    if (response.success) {
+                        self.renderSeriesPreview(response.data);
+                        if (callback) {
+                            callback(response.data);
+                        }
+                    } else {
+                        $('#snab-series-preview').empty();
+                        self.showNotice(response.data || snabAppointments.i18n.error, 'error');
+                    }
+                },
+                error: function() {
+                    $button.prop('disabled', false).text(snabAppointments.i18n.checkDates);
+                    self.showNotice(snabAppointments.i18n.error, 'error');
+                }
+            });
+        },
+
+        /**
+         * Render series dates with their conflicts.
+         */
+        renderSeriesPreview: function(data) {
+            var total = data.occurrences.length;
+            var summary = data.conflicts > 0
+                ? snabAppointments.i18n.seriesConflicts.replace('%1$d', data.conflicts).replace('%2$d', total)
+                : snabAppointments.i18n.seriesNoConflicts.replace('%d', total);
+
+            if (data.conflicts === total) {
+                summary = snabAppointments.i18n.seriesAllConflict;
+            }
+
+            var html = '<p class="snab-series-summary">' + summary + '</p><ul class="snab-series-preview-list">';
+            data.occurrences.forEach(function(occurrence) {
+                html += '<li class="' + (occurrence.conflict ? 'snab-series-conflict' : 'snab-series-ok') + '">' + occurrence.label;
+                if (occurrence.conflict) {
+                    html += ' <span class="snab-series-flag">' + occurrence.conflict_label + '</span>';
+                }
+                html += '</li>';
+            });
+            html += '</ul>';
+
+            $('#snab-series-preview').html(html);
+        },
+
         /**
          * Close all modals.
          */
@@ -325,7 +449,6 @@
         submitCreateAppointment: function() {
             var self = this;
             var $form = $('#snab-create-form');
-            var $button = $('.snab-submit-create');
 
             // Basic validation
             var clientName = $('#snab-create-name').val().trim();
@@ -339,24 +462,51 @@
                 return;
             }
 
+            var data = $.extend({
+                action: 'snab_create_appointment',
+                nonce: snabAppointments.nonce,
+                client_name: clientName,
+                client_email: clientEmail,
+                client_phone: $('#snab-create-phone').val(),
+                property_address: $('#snab-create-address').val(),
+                client_notes: $('#snab-create-notes').val(),
+                send_confirmation: $('#snab-create-send-email').is(':checked') ? '1' : '0'
+            }, self.getSeriesFields());
+
+            // Series: check the dates first and ask before skipping conflicts
+            if (data.repeat) {
+                self.previewSeries(function(preview) {
+                    if (preview.conflicts === preview.occurrences.length) {
+                        self.showNotice(snabAppointments.i18n.seriesAllConflict, 'error');
+                        return;
+                    }
+                    if (preview.conflicts > 0) {
+                        if (!window.confirm(snabAppointments.i18n.seriesConflictsConfirm)) {
+                            return;
+                        }
+                        data.skip_conflicts = '1';
+                    }
+                    self.sendCreateAppointment(data);
+                });
+                return;
+            }
+
+            self.sendCreateAppointment(data);
+        },
+
+        /**
+         * Send the create appointment request.
+         */
+        sendCreateAppointment: function(data) {
+            var self = this;
+            var $button = $('.snab-submit-create');
+
             $button.prop('disabled', true).text(snabAppointments.i18n.creating);
 
             $.ajax({
                 url: snabAppointments.ajaxUrl,
                 type: 'POST',
-                data: {
-                    action: 'snab_create_appointment',
-                    nonce: snabAppointments.nonce,
-                    client_name: clientName,
-                    client_email: clientEmail,
-                    client_phone: $('#snab-create-phone').val(),
-                    property_address: $('#snab-create-address').val(),
-                    client_notes: $('#snab-create-notes').val(),
-                    appointment_type_id: typeId,
-                    appointment_date: date,
-                    start_time: time,
-                    send_confirmation: $('#snab-create-send-email').is(':checked') ? '1' : '0'
-                },
+                data: data,
                 success: function(response) {
                     $button.prop('disabled', false).text(snabAppointments.i18n.createAppointment);
 
@@ -408,6 +558,7 @@
                     new_date: newDate,
                     new_time: newTime,
                     reason: reason,
+                    scope: self.getSeriesScope('#snab-reschedule-modal'),
                     send_notification: sendNotification ? '1' : '0'
                 },
                 success: function(response) {
@@ -498,6 +649,7 @@
                     nonce: snabAppointments.nonce,
                     id: id,
                     reason: reason,
+                    scope: self.getSeriesScope('#snab-cancel-modal'),
                     send_email: sendEmail ? 'true' : 'false'
                 },
                 success: function(response) {
@@ -506,17 +658,19 @@
                     if (response.success) {
                         self.closeModals();
 
-                        // Update the row in the table
-                        var $row = $('tr[data-id="' + id + '"]');
-                        var $statusSpan = $row.find('.snab-status');
+                        // Update the rows in the table (several for a series)
+                        (response.data.cancelled_ids || [id]).forEach(function(cancelledId) {
+                            var $row = $('tr[data-id="' + cancelledId + '"]');
+                            var $statusSpan = $row.find('.snab-status');
 
-                        // Update status badge
-                        $statusSpan.removeClass('snab-status-pending snab-status-confirmed')
-                                   .addClass('snab-status-cancelled')
-                                   .text(snabAppointments.i18n.cancelled);
+                            // Update status badge
+                            $statusSpan.removeClass('snab-status-pending snab-status-confirmed')
+                                       .addClass('snab-status-cancelled')
+                                       .text(snabAppointments.i18n.cancelled);
 
-                        // Remove action buttons
-                        $row.find('.snab-complete-btn, .snab-cancel-btn, .snab-reschedule-btn').remove();
+                            // Remove action buttons
+                            $row.find('.snab-complete-btn, .snab-cancel-btn, .snab-reschedule-btn').remove();
+                        });
 
                         // Show success message
                         self.showNotice(response.data.message, 'success');
@@ -47,6 +47,16 @@
             this.ccEmails = []; // Array of CC email addresses
             this.additionalGuests = []; // Array of {name, email} for manual guest invites (v1.10.4)
 
+            // Showing tour state (v1.11.0)
+            this.tourMode = false;
+            this.tourStops = []; // Array of {listing_id, address} in visiting order
+            this.tourOptions = {}; // Chained start times for the selected date, keyed by first start
+            this.tourSearchTimer = null;
+
+            // Waitlist state (v1.13.0)
+            this.fullDates = []; // Fully booked dates that can be waitlisted
+            this.waitlistToken = null; // Offer token from the email link
+
             // Cache DOM elements
             this.$steps = this.$container.find('.snab-step');
             this.$form = this.$container.find('.snab-booking-form');
@@ -64,6 +74,42 @@
 
             // Load agent clients if user is logged in as an agent
             this.loadAgentClients();
+
+            // Tell visitors in another timezone which times they are looking at (v1.12.0)
+            this.showVisitorTimezone();
+
+            // Offer link from a waitlist email (v1.13.0) - only the first widget on the page handles it
+            const token = new URLSearchParams(window.location.search).get('snab_waitlist_offer');
+            if (token && this.$container.is($('.snab-booking-widget').first())) {
+                this.loadWaitlistOffer(token);
+            }
+        }
+
+        /**
+         * Show the office/local timezone notice when the visitor's clock differs (v1.12.0)
+         */
+        showVisitorTimezone() {
+            if (!SNABTimezone.differs(snabBooking.timezone)) {
+                return;
+            }
+
+            this.$container.find('.snab-visitor-timezone')
+                .text(snabBooking.i18n.timezoneNotice
+                    .replace('%1$s', snabBooking.timezoneAbbr)
+                    .replace('%2$s', SNABTimezone.visitorZoneName()))
+                .show();
+        }
+
+        /**
+         * Visitor's local time for an office slot, as a secondary label (v1.12.0)
+         *
+         * @param {string} dateStr Date (Y-m-d) in office time
+         * @param {string} time Time (H:i) in office time
+         * @returns {string} HTML, or '' when local time is the same as office time
+         */
+        localTimeHtml(dateStr, time) {
+            const local = SNABTimezone.localTime(dateStr, time, snabBooking.timezone);
+            return local ? '<span class="snab-local-time">' + this.escapeHtml(local) + '</span>' : '';
         }
 
         bindEvents() {
@@ -103,8 +149,8 @@
                 }
             });
 
-            // Date selection
-            this.$container.on('click', '.snab-calendar-day.available', function() {
+            // Date selection (fully booked days open the waitlist form)
+            this.$container.on('click', '.snab-calendar-day.available, .snab-calendar-day.full', function() {
                 self.selectDate($(this).data('date'));
             });
 
@@ -171,6 +217,51 @@
                 const index = $(this).closest('.snab-guest-chip').data('index');
                 self.removeGuest(index);
             });
+
+            // Showing tour builder (v1.11.0)
+            this.$container.on('change', '.snab-tour-toggle-input', function() {
+                self.setTourMode($(this).is(':checked'));
+            });
+
+            this.$container.on('input', '.snab-tour-search-input', function() {
+                const term = $(this).val();
+                clearTimeout(self.tourSearchTimer);
+                self.tourSearchTimer = setTimeout(function() {
+                    self.searchTourListings(term);
+                }, 300);
+            });
+
+            this.$container.on('click', '.snab-tour-result', function() {
+                self.addTourStop({
+                    listing_id: $(this).data('listing-id') ? String($(this).data('listing-id')) : '',
+                    address: $(this).data('address')
+                });
+            });
+
+            this.$container.on('click', '.snab-tour-move-up', function() {
+                self.moveTourStop($(this).closest('.snab-tour-stop').data('index'), -1);
+            });
+
+            this.$container.on('click', '.snab-tour-move-down', function() {
+                self.moveTourStop($(this).closest('.snab-tour-stop').data('index'), 1);
+            });
+
+            this.$container.on('click', '.snab-tour-remove', function() {
+                self.removeTourStop($(this).closest('.snab-tour-stop').data('index'));
+            });
+
+            // Waitlist (v1.13.0)
+            this.$container.on('click', '.snab-waitlist-join-btn', function() {
+                self.joinWaitlist();
+            });
+
+            this.$container.on('click', '.snab-waitlist-book-btn', function() {
+                self.claimWaitlistOffer();
+            });
+
+            this.$container.on('click', '.snab-waitlist-decline-btn', function() {
+                self.declineWaitlistOffer();
+            });
         }
 
         /**
@@ -233,6 +324,15 @@
                 this.$container.find('.snab-property-field').hide();
             }
 
+            // Showings can be booked as a multi-home tour (v1.11.0)
+            if (this.selectedType.slug.includes('showing')) {
+                this.$container.find('.snab-tour-builder').show();
+            } else {
+                this.$container.find('.snab-tour-builder').hide();
+                this.$container.find('.snab-tour-toggle-input').prop('checked', false);
+                this.setTourMode(false);
+            }
+
             // Check if staff is pre-selected via URL parameter
             if (this.preselectedStaffId) {
                 // Auto-select the pre-selected staff and skip the staff selection step
@@ -404,6 +504,7 @@
                 success: function(response) {
                     if (response.success) {
                         self.availabilityData = response.data.slots || {};
+                        self.fullDates = response.data.full_dates || [];
                         self.renderCalendar();
                     } else {
                         $grid.html('<div class="snab-error">' + (response.data || snabBooking.i18n.error) + '</div>');
@@ -420,8 +521,8 @@
          */
         renderCalendar() {
             const $grid = this.$container.find('.snab-calendar-grid');
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
+            // Days are office dates, so "today" is the office's today (v1.12.0)
+            const today = new Date(SNABTimezone.officeToday(snabBooking.timezone) + 'T00:00:00');
 
             // Calculate week boundaries
             const weekStart = new Date(this.currentWeekStart);
@@ -439,19 +540,24 @@
                 const isPast = date < today;
                 const hasSlots = this.availabilityData[dateStr] && this.availabilityData[dateStr].length > 0;
                 const isSelected = this.selectedDate === dateStr;
+                // Tours are planned against open slots, so there is nothing to waitlist (v1.13.0)
+                const isFull = !hasSlots && !isPast && !this.tourMode && this.fullDates.indexOf(dateStr) !== -1;
 
                 let classes = 'snab-calendar-day';
                 if (isToday) classes += ' today';
                 if (isPast) classes += ' past';
                 if (hasSlots && !isPast) classes += ' available';
+                if (isFull) classes += ' full';
                 if (isSelected) classes += ' selected';
-                if (!hasSlots && !isPast) classes += ' unavailable';
+                if (!hasSlots && !isPast && !isFull) classes += ' unavailable';
 
                 html += '<div class="' + classes + '" data-date="' + dateStr + '">';
                 html += '<span class="snab-day-name">' + snabBooking.i18n.days[date.getDay()] + '</span>';
                 html += '<span class="snab-day-number">' + date.getDate() + '</span>';
                 if (hasSlots && !isPast) {
                     html += '<span class="snab-slots-count">' + this.availabilityData[dateStr].length + ' slots</span>';
+                } else if (isFull) {
+                    html += '<span class="snab-slots-count">' + snabBooking.i18n.full + '</span>';
                 }
                 html += '</div>';
             }
@@ -489,8 +595,7 @@
          * Update calendar navigation buttons
          */
         updateCalendarNavigation() {
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
+            const today = new Date(SNABTimezone.officeToday(snabBooking.timezone) + 'T00:00:00');
 
             const minDate = new Date(this.startDate);
             const maxDate = new Date(this.endDate);
@@ -517,6 +622,12 @@
          * Select a date
          */
         selectDate(dateStr) {
+            // A tour needs its homes before start times can be planned
+            if (this.tourMode && this.tourStops.length < snabBooking.i18n.tourMinStops) {
+                this.$container.find('.snab-tour-status').text(snabBooking.i18n.tourNeedsStops).addClass('snab-tour-status-error');
+                return;
+            }
+
             this.selectedDate = dateStr;
 
             // Update UI
@@ -547,6 +658,12 @@
             const self = this;
             const $slotsContainer = this.$container.find('.snab-time-slots');
 
+            // Tour start times depend on the stops, so they are never cached
+            if (this.tourMode) {
+                this.loadTourSlots(dateStr);
+                return;
+            }
+
             // Check if we already have the slots
             if (this.availabilityData[dateStr]) {
                 this.renderTimeSlots(this.availabilityData[dateStr]);
@@ -604,7 +721,11 @@
             const $container = this.$container.find('.snab-time-slots');
 
             if (!slots || slots.length === 0) {
-                $container.html('<div class="snab-no-slots">' + snabBooking.i18n.noSlots + '</div>');
+                if (this.fullDates.indexOf(this.selectedDate) !== -1) {
+                    this.renderWaitlistForm();
+                } else {
+                    $container.html('<div class="snab-no-slots">' + snabBooking.i18n.noSlots + '</div>');
+                }
                 return;
             }
 
@@ -614,13 +735,487 @@
                 const formatted = this.formatTime(time);
                 const isSelected = this.selectedTime === time;
                 html += '<button type="button" class="snab-time-slot' + (isSelected ? ' selected' : '') + '" data-time="' + time + '">' +
-                    formatted + '</button>';
+                    formatted + this.localTimeHtml(this.selectedDate, time) + '</button>';
+            }, this);
+
+            html += '</div>';
+            $container.html(html);
+        }
+
+        /**
+         * Show the waitlist form for a fully booked day (v1.13.0)
+         */
+        renderWaitlistForm() {
+            // Prefill from the booking form, then the logged-in account
+            const user = snabBooking.currentUser || {};
+            const name = this.$form.find('[name="client_name"]').val() || user.name || '';
+            const email = this.$form.find('[name="client_email"]').val() || user.email || '';
+            const phone = this.$form.find('[name="client_phone"]').val() || '';
+
+            let html = '<div class="snab-waitlist">';
+            html += '<div class="snab-no-slots">' + snabBooking.i18n.waitlistFull + '</div>';
+            html += '<p class="snab-waitlist-intro">' + snabBooking.i18n.waitlistIntro + '</p>';
+            html += '<div class="snab-form-row"><input type="text" class="snab-waitlist-name" placeholder="' +
+                this.escapeHtml(snabBooking.i18n.name) + '" value="' + this.escapeHtml(name) + '"></div>';
+            html += '<div class="snab-form-row"><input type="email" class="snab-waitlist-email" placeholder="' +
+                this.escapeHtml(snabBooking.i18n.email) + '" value="' + this.escapeHtml(email) + '"></div>';
+            html += '<div class="snab-form-row"><input type="tel" class="snab-waitlist-phone" placeholder="' +
+                this.escapeHtml(snabBooking.i18n.phone) + '" value="' + this.escapeHtml(phone) + '"></div>';
+            html += '<div class="snab-form-error" style="display: none;"></div>';
+            html += '<button type="button" class="snab-submit-btn snab-waitlist-join-btn">' + snabBooking.i18n.waitlistJoin + '</button>';
+            html += '</div>';
+
+            this.$container.find('.snab-time-slots').html(html);
+        }
+
+        /**
+         * Join the waitlist for the selected day (v1.13.0)
+         */
+        joinWaitlist() {
+            const self = this;
+            const $waitlist = this.$container.find('.snab-waitlist');
+            const $errorDiv = $waitlist.find('.snab-form-error');
+            const $button = $waitlist.find('.snab-waitlist-join-btn');
+
+            const name = $waitlist.find('.snab-waitlist-name').val().trim();
+            const email = $waitlist.find('.snab-waitlist-email').val().trim();
+
+            if (!name) {
+                $errorDiv.text(snabBooking.i18n.required).show();
+                $waitlist.find('.snab-waitlist-name').focus();
+                return;
+            }
+
+            if (!email || !this.isValidEmail(email)) {
+                $errorDiv.text(snabBooking.i18n.invalidEmail).show();
+                $waitlist.find('.snab-waitlist-email').focus();
+                return;
+            }
+
+            $errorDiv.hide();
+            $button.prop('disabled', true).text(snabBooking.i18n.loading);
+
+            $.ajax({
+                url: snabBooking.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'snab_join_waitlist',
+                    nonce: snabBooking.nonce,
+                    type_id: this.selectedType.id,
+                    staff_id: this.selectedStaff ? this.selectedStaff.id : '',
+                    date: this.selectedDate,
+                    client_name: name,
+                    client_email: email,
+                    client_phone: $waitlist.find('.snab-waitlist-phone').val().trim(),
+                    client_timezone: SNABTimezone.visitorZone(),
+                    // The offer email links back here
+                    claim_url: window.location.href
+                },
+                success: function(response) {
+                    if (response.success) {
+                        $waitlist.html('<div class="snab-waitlist-joined">' +
+                            self.escapeHtml(snabBooking.i18n.waitlistJoined.replace('%d', response.data.position)) + '</div>');
+                    } else {
+                        $errorDiv.text(response.data || snabBooking.i18n.error).show();
+                        $button.prop('disabled', false).text(snabBooking.i18n.waitlistJoin);
+                    }
+                },
+                error: function() {
+                    $errorDiv.text(snabBooking.i18n.error).show();
+                    $button.prop('disabled', false).text(snabBooking.i18n.waitlistJoin);
+                }
+            });
+        }
+
+        /**
+         * Load a waitlist offer from an email link (v1.13.0)
+         *
+         * @param {string} token Offer token
+         */
+        loadWaitlistOffer(token) {
+            const self = this;
+
+            $.ajax({
+                url: snabBooking.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'snab_get_waitlist_offer',
+                    nonce: snabBooking.nonce,
+                    token: token
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        self.showWaitlistOfferMessage(response.data || snabBooking.i18n.error, true);
+                        return;
+                    }
+
+                    const offer = response.data;
+                    if (offer.status === 'booked') {
+                        self.showWaitlistOfferMessage(snabBooking.i18n.waitlistOfferBooked, false);
+                        return;
+                    }
+                    if (!offer.live) {
+                        self.showWaitlistOfferMessage(snabBooking.i18n.waitlistOfferExpired, true);
+                        return;
+                    }
+
+                    self.waitlistToken = token;
+                    self.renderWaitlistOffer(offer);
+                },
+                error: function() {
+                    self.showWaitlistOfferMessage(snabBooking.i18n.error, true);
+                }
+            });
+        }
+
+        /**
+         * Render the held slot with book/decline buttons (v1.13.0)
+         *
+         * @param {Object} offer Offer from snab_get_waitlist_offer
+         */
+        renderWaitlistOffer(offer) {
+            let html = '<h3 class="snab-step-title">' + snabBooking.i18n.waitlistOfferTitle + '</h3>';
+            html += '<div class="snab-waitlist-offer-details">';
+            html += '<span class="snab-type-badge" style="background-color: ' + this.escapeHtml(offer.type_color) + '">' +
+                this.escapeHtml(offer.type_name) + '</span> ';
+            html += '<strong>' + this.escapeHtml(offer.formatted_date) + '</strong> at <strong>' +
+                this.escapeHtml(offer.formatted_time) + '</strong>';
+            html += this.localTimeHtml(offer.date, offer.offered_time);
+            html += '</div>';
+            html += '<p class="snab-waitlist-offer-held">' +
+                this.escapeHtml(snabBooking.i18n.waitlistOfferHeld.replace('%s', offer.formatted_expires)) + '</p>';
+            html += '<div class="snab-form-error" style="display: none;"></div>';
+            html += '<div class="snab-waitlist-offer-actions">';
+            html += '<button type="button" class="snab-submit-btn snab-waitlist-book-btn">' + snabBooking.i18n.waitlistBook + '</button>';
+            html += '<button type="button" class="snab-waitlist-decline-btn">' + snabBooking.i18n.waitlistDecline + '</button>';
+            html += '</div>';
+
+            this.$container.find('.snab-waitlist-offer').html(html).show();
+        }
+
+        /**
+         * Replace the offer panel with a message (v1.13.0)
+         *
+         * @param {string} message Message text
+         * @param {boolean} isError Whether to style it as an error
+         */
+        showWaitlistOfferMessage(message, isError) {
+            this.$container.find('.snab-waitlist-offer')
+                .html('<div class="' + (isError ? 'snab-form-error' : 'snab-waitlist-joined') + '">' +
+                    this.escapeHtml(message) + '</div>')
+                .show();
+        }
+
+        /**
+         * Book the held slot (v1.13.0)
+         */
+        claimWaitlistOffer() {
+            const self = this;
+            const $panel = this.$container.find('.snab-waitlist-offer');
+            const $buttons = $panel.find('button').prop('disabled', true);
+
+            $panel.find('.snab-waitlist-book-btn').text(snabBooking.i18n.loading);
+
+            $.ajax({
+                url: snabBooking.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'snab_claim_waitlist_offer',
+                    nonce: snabBooking.nonce,
+                    token: this.waitlistToken,
+                    client_timezone: SNABTimezone.visitorZone()
+                },
+                success: function(response) {
+                    if (response.success) {
+                        $panel.hide().empty();
+                        self.showConfirmation(response.data);
+                    } else {
+                        self.showWaitlistOfferMessage(response.data || snabBooking.i18n.bookingFailed, true);
+                    }
+                },
+                error: function() {
+                    $panel.find('.snab-form-error').text(snabBooking.i18n.error).show();
+                    $buttons.prop('disabled', false);
+                    $panel.find('.snab-waitlist-book-btn').text(snabBooking.i18n.waitlistBook);
+                }
+            });
+        }
+
+        /**
+         * Turn down the held slot so the next person gets it (v1.13.0)
+         */
+        declineWaitlistOffer() {
+            const self = this;
+            const $panel = this.$container.find('.snab-waitlist-offer');
+
+            $panel.find('button').prop('disabled', true);
+
+            $.ajax({
+                url: snabBooking.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'snab_decline_waitlist_offer',
+                    nonce: snabBooking.nonce,
+                    token: this.waitlistToken
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.showWaitlistOfferMessage(snabBooking.i18n.waitlistDeclined, false);
+                    } else {
+                        self.showWaitlistOfferMessage(response.data || snabBooking.i18n.error, true);
+                    }
+                },
+                error: function() {
+                    self.showWaitlistOfferMessage(snabBooking.i18n.error, true);
+                }
+            });
+        }
+
+        /**
+         * Load chained tour start times for a date (v1.11.0)
+         */
+        loadTourSlots(dateStr) {
+            const self = this;
+            const $slotsContainer = this.$container.find('.snab-time-slots');
+
+            $slotsContainer.html('<div class="snab-slots-loading"><span class="spinner is-active"></span> ' +
+                snabBooking.i18n.loading + '</div>');
+
+            const requestData = {
+                action: 'snab_get_tour_slots',
+                nonce: snabBooking.nonce,
+                date: dateStr,
+                type_id: this.selectedType.id,
+                staff_id: this.selectedStaff ? this.selectedStaff.id : '',
+                stops: JSON.stringify(this.tourStops)
+            };
+
+            // Add filter parameters if set
+            if (this.allowedDays) {
+                requestData.allowed_days = this.allowedDays;
+            }
+            if (this.startHour !== undefined && this.startHour !== '') {
+                requestData.start_hour = this.startHour;
+            }
+            if (this.endHour !== undefined && this.endHour !== '') {
+                requestData.end_hour = this.endHour;
+            }
+
+            $.ajax({
+                url: snabBooking.ajaxUrl,
+                type: 'POST',
+                data: requestData,
+                success: function(response) {
+                    if (response.success) {
+                        self.tourOptions = {};
+                        response.data.options.forEach(function(option) {
+                            self.tourOptions[option.value] = option;
+                        });
+                        self.renderTourOptions(response.data.options);
+                    } else {
+                        $slotsContainer.html('<div class="snab-error">' + (response.data || snabBooking.i18n.error) + '</div>');
+                    }
+                },
+                error: function() {
+                    $slotsContainer.html('<div class="snab-error">' + snabBooking.i18n.error + '</div>');
+                }
+            });
+        }
+
+        /**
+         * Render tour start times as "start – end" options (v1.11.0)
+         */
+        renderTourOptions(options) {
+            const $container = this.$container.find('.snab-time-slots');
+
+            if (!options || options.length === 0) {
+                $container.html('<div class="snab-no-slots">' + snabBooking.i18n.tourNoSlots + '</div>');
+                return;
+            }
+
+            let html = '<div class="snab-slots-grid snab-tour-options">';
+
+            options.forEach(function(option) {
+                const isSelected = this.selectedTime === option.value;
+                html += '<button type="button" class="snab-time-slot snab-tour-option' + (isSelected ? ' selected' : '') + '" data-time="' + option.value + '">' +
+                    option.label + ' &ndash; ' + option.end_label + this.localTimeHtml(this.selectedDate, option.value) + '</button>';
             }, this);
 
             html += '</div>';
             $container.html(html);
         }
 
+        /**
+         * Build the itinerary list for a planned tour (v1.11.0)
+         *
+         * @param {Object} option Tour option from snab_get_tour_slots
+         * @returns {string} HTML
+         */
+        buildTourItinerary(option) {
+            let html = '<ol class="snab-tour-itinerary">';
+
+            option.stops.forEach(function(stop, index) {
+                const tourStop = this.tourStops[index] || {};
+                if (stop.drive_minutes > 0) {
+                    html += '<li class="snab-tour-drive">' + snabBooking.i18n.tourDrive.replace('%d', stop.drive_minutes) + '</li>';
+                }
+                html += '<li class="snab-tour-itinerary-stop">' +
+                    '<span class="snab-tour-itinerary-time">' + stop.label + ' &ndash; ' + stop.end_label + '</span>' +
+                    '<span class="snab-tour-itinerary-address">' + this.escapeHtml(tourStop.address || '') + '</span>' +
+                    '</li>';
+            }, this);
+
+            html += '</ol>';
+            return html;
+        }
+
+        /**
+         * Turn tour mode on or off (v1.11.0)
+         */
+        setTourMode(enabled) {
+            this.tourMode = enabled;
+            this.tourOptions = {};
+            this.$container.find('.snab-tour-panel').toggle(enabled);
+
+            // Tour stops carry their own addresses
+            if (this.selectedType && this.selectedType.slug.includes('showing')) {
+                this.$container.find('.snab-property-field').toggle(!enabled);
+            }
+
+            // Full days can't be waitlisted as a tour (v1.13.0)
+            if (this.currentStep === 2) {
+                this.renderCalendar();
+            }
+        }
+
+        /**
+         * Search listings to add as tour stops (v1.11.0)
+         */
+        searchTourListings(term) {
+            const self = this;
+            const $results = this.$container.find('.snab-tour-results');
+            term = term.trim();
+
+            if (term.length < 2) {
+                $results.html('');
+                return;
+            }
+
+            $.ajax({
+                url: snabBooking.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'snab_search_tour_listings',
+                    nonce: snabBooking.nonce,
+                    term: term
+                },
+                success: function(response) {
+                    const listings = response.success ? response.data.listings : [];
+                    let html = '';
+
+                    listings.forEach(function(listing) {
+                        html += '<button type="button" class="snab-tour-result" ' +
+                            'data-listing-id="' + self.escapeHtml(listing.listing_id) + '" ' +
+                            'data-address="' + self.escapeHtml(listing.address) + '">' +
+                            '<span class="snab-tour-result-address">' + self.escapeHtml(listing.address) + '</span>' +
+                            '<span class="snab-tour-result-mls">MLS #' + self.escapeHtml(listing.listing_id) + '</span>' +
+                            '</button>';
+                    });
+
+                    // Homes that are not in the listing feed can be typed in
+                    html += '<button type="button" class="snab-tour-result snab-tour-result-address-only" ' +
+                        'data-listing-id="" data-address="' + self.escapeHtml(term) + '">' +
+                        self.escapeHtml(snabBooking.i18n.tourAddAddress.replace('%s', term)) +
+                        '</button>';
+
+                    $results.html(html);
+                }
+            });
+        }
+
+        /**
+         * Add a stop to the tour (v1.11.0)
+         */
+        addTourStop(stop) {
+            const $status = this.$container.find('.snab-tour-status');
+
+            if (this.tourStops.length >= snabBooking.i18n.tourMaxStops) {
+                $status.text(snabBooking.i18n.tourFull).addClass('snab-tour-status-error');
+                return;
+            }
+
+            const isDuplicate = this.tourStops.some(function(existing) {
+                return stop.listing_id ? existing.listing_id === stop.listing_id : existing.address === stop.address;
+            });
+            if (isDuplicate) {
+                $status.text(snabBooking.i18n.tourDuplicate).addClass('snab-tour-status-error');
+                return;
+            }
+
+            this.tourStops.push(stop);
+            this.$container.find('.snab-tour-search-input').val('');
+            this.$container.find('.snab-tour-results').html('');
+            this.renderTourStops();
+        }
+
+        /**
+         * Move a tour stop up (-1) or down (+1) (v1.11.0)
+         */
+        moveTourStop(index, direction) {
+            const target = index + direction;
+            if (target < 0 || target >= this.tourStops.length) {
+                return;
+            }
+
+            const stop = this.tourStops[index];
+            this.tourStops[index] = this.tourStops[target];
+            this.tourStops[target] = stop;
+            this.renderTourStops();
+        }
+
+        /**
+         * Remove a tour stop (v1.11.0)
+         */
+        removeTourStop(index) {
+            this.tourStops.splice(index, 1);
+            this.renderTourStops();
+        }
+
+        /**
+         * Render the ordered tour stop list (v1.11.0)
+         */
+        renderTourStops() {
+            const $list = this.$container.find('.snab-tour-stops');
+            const $status = this.$container.find('.snab-tour-status');
+            const lastIndex = this.tourStops.length - 1;
+            let html = '';
+
+            // Stop order changes the chained times
+            this.tourOptions = {};
+
+            this.tourStops.forEach(function(stop, index) {
+                html += '<li class="snab-tour-stop" data-index="' + index + '">' +
+                    '<span class="snab-tour-stop-address">' + this.escapeHtml(stop.address) +
+                    (stop.listing_id ? ' <span class="snab-tour-result-mls">MLS #' + this.escapeHtml(stop.listing_id) + '</span>' : '') +
+                    '</span>' +
+                    '<span class="snab-tour-stop-actions">' +
+                    '<button type="button" class="snab-tour-move-up" aria-label="' + snabBooking.i18n.moveUp + '"' + (index === 0 ? ' disabled' : '') + '>&uarr;</button>' +
+                    '<button type="button" class="snab-tour-move-down" aria-label="' + snabBooking.i18n.moveDown + '"' + (index === lastIndex ? ' disabled' : '') + '>&darr;</button>' +
+                    '<button type="button" class="snab-tour-remove" aria-label="' + snabBooking.i18n.remove + '">&times;</button>' +
+                    '</span>' +
+                    '</li>';
+            }, this);
+
+            $list.html(html);
+
+            if (this.tourStops.length < snabBooking.i18n.tourMinStops) {
+                $status.text(snabBooking.i18n.tourNeedsStops);
+            } else {
+                $status.text('');
+            }
+            $status.removeClass('snab-tour-status-error');
+        }
+
         /**
          * Select a time slot
          */
@@ -648,9 +1243,22 @@
                 this.selectedType.name + '</span>';
             summaryHtml += '</div>';
             summaryHtml += '<div class="snab-summary-item"><strong>' + formattedDate + '</strong> at <strong>' + formattedTime + '</strong></div>';
+
+            // Local time for visitors outside the office timezone (v1.12.0)
+            const localTime = SNABTimezone.localTime(this.selectedDate, time, snabBooking.timezone);
+            if (localTime) {
+                summaryHtml += '<div class="snab-summary-item snab-local-time">' +
+                    this.escapeHtml(snabBooking.i18n.yourTime.replace('%s', localTime)) + '</div>';
+            }
             summaryHtml += '<div class="snab-summary-item snab-duration">' + this.selectedType.duration + ' ' +
                 (this.selectedType.duration === 1 ? snabBooking.i18n.minute : snabBooking.i18n.minutes) + '</div>';
 
+            // Tours show every stop with the drive time between them (v1.11.0)
+            if (this.tourMode && this.tourOptions[time]) {
+                summaryHtml += '<div class="snab-summary-item"><strong>' + snabBooking.i18n.tourItinerary + '</strong>' +
+                    this.buildTourItinerary(this.tourOptions[time]) + '</div>';
+            }
+
             this.$container.find('.snab-booking-summary').html(summaryHtml);
 
             // Go to info step
@@ -685,7 +1293,18 @@
             $submitBtn.prop('disabled', true).text(snabBooking.i18n.loading);
 
             // Build form data including multi-attendee fields (v1.10.0)
-            let formData = this.$form.serialize() + '&action=snab_book_appointment';
+            let formData = this.$form.serialize() + '&action=' + (this.tourMode ? 'snab_book_tour' : 'snab_book_appointment');
+
+            // Visitor timezone so emails can show their local time (v1.12.0)
+            const visitorZone = SNABTimezone.visitorZone();
+            if (visitorZone) {
+                formData += '&client_timezone=' + encodeURIComponent(visitorZone);
+            }
+
+            // Tour stops in visiting order (v1.11.0)
+            if (this.tourMode) {
+                formData += '&stops=' + encodeURIComponent(JSON.stringify(this.tourStops));
+            }
 
             // Add additional clients (exclude the primary who is already in the form)
             // Combine agent-selected clients with manually added guests (v1.10.4)
@@ -736,8 +1355,27 @@
                 data.type_name + '</span>';
             detailsHtml += '</div>';
             detailsHtml += '<div class="snab-confirmation-item"><strong>' + data.date + '</strong> at <strong>' + data.time + '</strong></div>';
+
+            // Same local time the confirmation email shows (v1.12.0)
+            if (data.local_time) {
+                detailsHtml += '<div class="snab-confirmation-item snab-local-time">' +
+                    this.escapeHtml(snabBooking.i18n.yourTime.replace('%s', data.local_time)) + '</div>';
+            }
             detailsHtml += '<div class="snab-confirmation-item">' + data.client_name + ' &lt;' + data.client_email + '&gt;</div>';
 
+            // Tour itinerary (v1.11.0)
+            if (data.tour_id && data.stops) {
+                detailsHtml += '<div class="snab-confirmation-item"><strong>' + snabBooking.i18n.tourItinerary + '</strong>' +
+                    '<ol class="snab-tour-itinerary">';
+                data.stops.forEach(function(stop) {
+                    detailsHtml += '<li class="snab-tour-itinerary-stop">' +
+                        '<span class="snab-tour-itinerary-time">' + stop.time + ' &ndash; ' + stop.end_time + '</span>' +
+                        '<span class="snab-tour-itinerary-address">' + this.escapeHtml(stop.address || '') + '</span>' +
+                        '</li>';
+                }, this);
+                detailsHtml += '</ol></div>';
+            }
+
             if (data.google_synced) {
                 detailsHtml += '<div class="snab-confirmation-item snab-gcal-synced">' +
                     '<span class="dashicons dashicons-calendar-alt"></span> Added to Google Calendar</div>';
@@ -750,6 +1388,15 @@
             }
 
             this.$container.find('.snab-confirmation-details').html(detailsHtml);
+
+            // .ics download for Apple/Outlook/Google calendars (v1.14.0)
+            const $addToCalendar = this.$container.find('.snab-add-to-calendar');
+            if (data.ics_url) {
+                $addToCalendar.attr('href', data.ics_url).show();
+            } else {
+                $addToCalendar.attr('href', '#').hide();
+            }
+
             this.goToStep(5);
         }
 
@@ -790,11 +1437,24 @@
             this.$container.find('.snab-guest-list').html('');
             this.filterClientBubbles('');
 
+            // Clear tour builder (v1.11.0)
+            this.tourStops = [];
+            this.tourOptions = {};
+            this.$container.find('.snab-tour-toggle-input').prop('checked', false);
+            this.setTourMode(false);
+            this.$container.find('.snab-tour-builder').hide();
+            this.$container.find('.snab-tour-search-input').val('');
+            this.$container.find('.snab-tour-results').html('');
+            this.renderTourStops();
+
             this.goToStep(1);
         }
 
         /**
-         * Format date to ISO string (Y-m-d)
+         * Format a calendar date to ISO string (Y-m-d)
+         *
+         * Calendar Date objects stand for office dates, not instants,
+         * so the browser's own timezone doesn't matter here.
          */
         formatDateISO(date) {
             const year = date.getFullYear();
@@ -804,7 +1464,7 @@
         }
 
         /**
-         * Format time for display
+         * Format an office time (H:i) for display
          */
         formatTime(time) {
             const parts = time.split(':');
@@ -36,6 +36,9 @@
             this.selectedAppointment = null;
             this.rescheduleSlots = {};
             this.rescheduleWeekStart = null;
+            this.rescheduleIsTour = false;
+            this.waitlist = [];
+            this.calendarFeeds = null;
 
             // Cache elements
             this.$loading = $container.find('.snab-portal-loading');
@@ -44,6 +47,9 @@
             this.$pagination = $container.find('.snab-portal-pagination');
             this.$cancelModal = $container.find('.snab-cancel-modal');
             this.$rescheduleModal = $container.find('.snab-reschedule-modal');
+            this.$appointments = $container.find('.snab-portal-appointments');
+            this.$waitlist = $container.find('.snab-portal-waitlist');
+            this.$calendarSync = $container.find('.snab-portal-calendar-sync');
 
             this.init();
         }
@@ -53,7 +59,48 @@
          */
         init() {
             this.bindEvents();
-            this.loadAppointments();
+            this.showVisitorTimezone();
+
+            // Offer links from waitlist emails open the waitlist tab (v1.13.0)
+            if (new URLSearchParams(window.location.search).get('snab_waitlist_offer')) {
+                this.switchTab('waitlist');
+            } else {
+                this.loadAppointments();
+                this.loadWaitlist();
+            }
+        }
+
+        /**
+         * Show the office/local timezone notice when the visitor's clock differs (v1.12.0)
+         */
+        showVisitorTimezone() {
+            if (!SNABTimezone.differs(snabPortal.timezone)) {
+                return;
+            }
+
+            this.$container.find('.snab-visitor-timezone')
+                .text(snabPortal.i18n.timezoneNotice
+                    .replace('%1$s', snabPortal.timezoneAbbr)
+                    .replace('%2$s', SNABTimezone.visitorZoneName()))
+                .show();
+        }
+
+        /**
+         * Visitor's local time for an office date/time (v1.12.0)
+         * @param {string} date - Date in Y-m-d format (office time)
+         * @param {string} time - Time in H:i or H:i:s format (office time)
+         * @returns {string} Local time, or '' when it matches office time
+         */
+        localTime(date, time) {
+            return SNABTimezone.localTime(date, time.substring(0, 5), snabPortal.timezone);
+        }
+
+        /**
+         * Today in office time, as a calendar Date (v1.12.0)
+         * @returns {Date} Midnight of the office's current date
+         */
+        officeToday() {
+            return new Date(SNABTimezone.officeToday(snabPortal.timezone) + 'T00:00:00');
         }
 
         /**
@@ -134,11 +181,42 @@
                 e.preventDefault();
                 self.submitReschedule();
             });
+
+            // Waitlist (v1.13.0)
+            this.$waitlist.on('click', '.snab-waitlist-book-btn', function() {
+                self.respondToWaitlistOffer($(this).closest('.snab-waitlist-card').data('entry-id'), true);
+            });
+
+            this.$waitlist.on('click', '.snab-waitlist-decline-btn', function() {
+                self.respondToWaitlistOffer($(this).closest('.snab-waitlist-card').data('entry-id'), false);
+            });
+
+            this.$waitlist.on('click', '.snab-waitlist-leave-btn', function() {
+                self.leaveWaitlist($(this).closest('.snab-waitlist-card').data('entry-id'));
+            });
+
+            this.$waitlist.on('submit', '.snab-waitlist-join-form', function(e) {
+                e.preventDefault();
+                self.joinWaitlist();
+            });
+
+            // Calendar subscription (v1.14.0)
+            this.$calendarSync.on('click', '.snab-calendar-sync-toggle', function() {
+                self.toggleCalendarSync();
+            });
+
+            this.$calendarSync.on('click', '.snab-calendar-copy-btn', function() {
+                self.copyCalendarFeed($(this));
+            });
+
+            this.$calendarSync.on('click', '.snab-calendar-reset-btn', function() {
+                self.resetCalendarFeeds();
+            });
         }
 
         /**
          * Switch between tabs
-         * @param {string} tab - Tab name ('upcoming' or 'past')
+         * @param {string} tab - Tab name ('upcoming', 'past' or 'waitlist')
          */
         switchTab(tab) {
             this.currentTab = tab;
@@ -148,6 +226,17 @@
             this.$container.find('.snab-tab-btn').removeClass('active');
             this.$container.find(`.snab-tab-btn[data-tab="${tab}"]`).addClass('active');
 
+            // The waitlist has its own list instead of appointments (v1.13.0)
+            const isWaitlist = tab === 'waitlist';
+            this.$appointments.toggle(!isWaitlist);
+            this.$waitlist.toggle(isWaitlist);
+
+            if (isWaitlist) {
+                this.$pagination.hide();
+                this.loadWaitlist();
+                return;
+            }
+
             this.loadAppointments();
         }
 
@@ -230,9 +319,17 @@
         renderAppointmentCard(apt) {
             const statusClass = `status-${apt.status}`;
             const statusLabel = snabPortal.i18n.statuses[apt.status] || apt.status_label;
+            const localStart = this.localTime(apt.date, apt.start_time);
 
             let actionsHtml = '';
             if (apt.is_upcoming) {
+                // .ics download (v1.14.0)
+                if (apt.ics_url) {
+                    actionsHtml += `<a href="${this.escapeHtml(apt.ics_url)}" class="snab-action-btn snab-ics-btn">
+                        <span class="dashicons dashicons-download"></span>
+                        ${snabPortal.i18n.addToCalendar}
+                    </a>`;
+                }
                 if (this.options.allowCancel && apt.can_cancel) {
                     actionsHtml += `<button type="button" class="snab-action-btn snab-cancel-btn">
                         <span class="dashicons dashicons-no-alt"></span>
@@ -252,6 +349,9 @@
                     <div class="snab-card-header">
                         <span class="snab-type-indicator" style="background-color: ${apt.type_color}"></span>
                         <span class="snab-type-name">${this.escapeHtml(apt.type_name)}</span>
+                        ${apt.tour_id ? `
+                            <span class="snab-tour-badge">${snabPortal.i18n.tourStopOf.replace('%1$d', apt.tour_stop).replace('%2$d', apt.tour_stop_count)}</span>
+                        ` : ''}
                         <span class="snab-status-badge ${statusClass}">${this.escapeHtml(statusLabel)}</span>
                     </div>
                     <div class="snab-card-body">
@@ -264,6 +364,11 @@
                                 <span class="dashicons dashicons-clock"></span>
                                 ${this.escapeHtml(apt.formatted_time)} - ${this.escapeHtml(apt.formatted_end_time)}
                             </div>
+                            ${localStart ? `
+                                <div class="snab-card-local-time">
+                                    ${this.escapeHtml(snabPortal.i18n.yourTime.replace('%s', localStart))}
+                                </div>
+                            ` : ''}
                         </div>
                         ${apt.property_address ? `
                             <div class="snab-card-address">
@@ -322,6 +427,7 @@
                     <p><strong>${this.escapeHtml(apt.type_name)}</strong></p>
                     <p><span class="dashicons dashicons-calendar-alt"></span> ${this.escapeHtml(apt.formatted_date)}</p>
                     <p><span class="dashicons dashicons-clock"></span> ${this.escapeHtml(apt.formatted_time)} - ${this.escapeHtml(apt.formatted_end_time)}</p>
+                    ${apt.tour_id ? `<p class="snab-tour-note">${snabPortal.i18n.tourCancelNote}</p>` : ''}
                 </div>
             `;
 
@@ -347,6 +453,7 @@
             const $form = this.$cancelModal.find('.snab-cancel-form');
             const appointmentId = $form.find('[name="appointment_id"]').val();
             const reason = $form.find('[name="reason"]').val();
+            const tourId = this.selectedAppointment ? this.selectedAppointment.tour_id : null;
 
             if (snabPortal.requireCancelReason && !reason.trim()) {
                 alert(snabPortal.i18n.reasonRequired);
@@ -359,7 +466,13 @@
             $.ajax({
                 url: snabPortal.ajaxUrl,
                 type: 'POST',
-                data: {
+                // Tour stops are cancelled together (v1.11.0)
+                data: tourId ? {
+                    action: 'snab_client_cancel_tour',
+                    nonce: snabPortal.nonce,
+                    tour_id: tourId,
+                    reason: reason
+                } : {
                     action: 'snab_client_cancel_appointment',
                     nonce: snabPortal.nonce,
                     appointment_id: appointmentId,
@@ -368,7 +481,7 @@
                 success: function(response) {
                     if (response.success) {
                         self.hideCancelModal();
-                        self.showSuccess(snabPortal.i18n.cancelSuccess);
+                        self.showSuccess(tourId ? snabPortal.i18n.tourCancelSuccess : snabPortal.i18n.cancelSuccess);
                         self.loadAppointments();
                     } else {
                         alert(response.data || snabPortal.i18n.error);
@@ -396,6 +509,7 @@
                     <p><strong>Current Appointment:</strong></p>
                     <p><span class="dashicons dashicons-calendar-alt"></span> ${this.escapeHtml(apt.formatted_date)}</p>
                     <p><span class="dashicons dashicons-clock"></span> ${this.escapeHtml(apt.formatted_time)} - ${this.escapeHtml(apt.formatted_end_time)}</p>
+                    ${apt.tour_id ? `<p class="snab-tour-note">${snabPortal.i18n.tourRescheduleNote}</p>` : ''}
                 </div>
             `;
 
@@ -404,8 +518,8 @@
             this.$rescheduleModal.find('.snab-reschedule-form').hide();
             this.$rescheduleModal.find('.snab-reschedule-times').hide();
 
-            // Set initial week to today
-            const today = new Date();
+            // Set initial week to today (office time)
+            const today = this.officeToday();
             this.rescheduleWeekStart = this.getWeekStart(today);
 
             this.$rescheduleModal.show();
@@ -419,6 +533,7 @@
             this.$rescheduleModal.hide();
             this.selectedAppointment = null;
             this.rescheduleSlots = {};
+            this.rescheduleIsTour = false;
         }
 
         /**
@@ -442,8 +557,7 @@
             newStart.setDate(newStart.getDate() + (direction * 7));
 
             // Don't go before today
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
+            const today = this.officeToday();
             if (newStart < today) {
                 return;
             }
@@ -491,6 +605,7 @@
 
                     if (response.success) {
                         self.rescheduleSlots = response.data.slots;
+                        self.rescheduleIsTour = !!response.data.is_tour;
                         console.log('SNAB Debug: Slots received', {
                             slotDates: Object.keys(response.data.slots || {}),
                             totalSlots: Object.values(response.data.slots || {}).reduce((sum, arr) => sum + arr.length, 0)
@@ -533,8 +648,7 @@
          * Update reschedule navigation buttons
          */
         updateRescheduleNavigation() {
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
+            const today = this.officeToday();
 
             const canGoPrev = this.rescheduleWeekStart > today;
             this.$rescheduleModal.find('.snab-prev-week').prop('disabled', !canGoPrev);
@@ -545,8 +659,7 @@
          */
         renderRescheduleCalendar() {
             const $grid = this.$rescheduleModal.find('.snab-calendar-grid');
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
+            const today = this.officeToday();
 
             let html = '<div class="snab-calendar-week">';
 
@@ -606,9 +719,11 @@
             let slotsHtml = '';
 
             slots.forEach(slot => {
+                const localSlot = this.localTime(date, slot.value);
                 slotsHtml += `
                     <button type="button" class="snab-time-slot" data-time="${slot.value}">
-                        ${this.escapeHtml(slot.label)}
+                        ${this.escapeHtml(this.formatRescheduleSlot(slot))}
+                        ${localSlot ? `<span class="snab-local-time">${this.escapeHtml(localSlot)}</span>` : ''}
                     </button>
                 `;
             });
@@ -639,13 +754,15 @@
                 snabPortal.i18n.months[dateObj.getMonth()] + ' ' + dateObj.getDate() + ', ' + dateObj.getFullYear();
 
             const slot = this.rescheduleSlots[date].find(s => s.value === time);
-            const formattedTime = slot ? slot.label : time;
+            const formattedTime = slot ? this.formatRescheduleSlot(slot) : time;
+            const localNew = this.localTime(date, time);
 
             const summaryHtml = `
                 <div class="snab-reschedule-summary-content">
                     <p><strong>New Appointment Time:</strong></p>
                     <p><span class="dashicons dashicons-calendar-alt"></span> ${this.escapeHtml(formattedDate)}</p>
                     <p><span class="dashicons dashicons-clock"></span> ${this.escapeHtml(formattedTime)}</p>
+                    ${localNew ? `<p class="snab-local-time">${this.escapeHtml(snabPortal.i18n.yourTime.replace('%s', localNew))}</p>` : ''}
                 </div>
             `;
 
@@ -653,6 +770,15 @@
             this.$rescheduleModal.find('.snab-reschedule-form').show();
         }
 
+        /**
+         * Label a reschedule slot; tours show when the last stop ends (v1.11.0)
+         * @param {Object} slot - Slot with value, label and (tours) end_label
+         * @returns {string} Label
+         */
+        formatRescheduleSlot(slot) {
+            return this.rescheduleIsTour ? `${slot.label} – ${slot.end_label}` : slot.label;
+        }
+
         /**
          * Reset reschedule selection
          */
@@ -674,6 +800,7 @@
             const appointmentId = $form.find('[name="appointment_id"]').val();
             const newDate = $form.find('[name="new_date"]').val();
             const newTime = $form.find('[name="new_time"]').val();
+            const tourId = this.selectedAppointment ? this.selectedAppointment.tour_id : null;
 
             if (!newDate || !newTime) {
                 alert(snabPortal.i18n.selectDateTime);
@@ -686,17 +813,26 @@
             $.ajax({
                 url: snabPortal.ajaxUrl,
                 type: 'POST',
-                data: {
+                // Tour stops move together (v1.11.0)
+                data: tourId ? {
+                    action: 'snab_client_reschedule_tour',
+                    nonce: snabPortal.nonce,
+                    tour_id: tourId,
+                    new_date: newDate,
+                    new_time: newTime,
+                    client_timezone: SNABTimezone.visitorZone()
+                } : {
                     action: 'snab_client_reschedule_appointment',
                     nonce: snabPortal.nonce,
                     appointment_id: appointmentId,
                     new_date: newDate,
-                    new_time: newTime
+                    new_time: newTime,
+                    client_timezone: SNABTimezone.visitorZone()
                 },
                 success: function(response) {
                     if (response.success) {
                         self.hideRescheduleModal();
-                        self.showSuccess(snabPortal.i18n.rescheduleSuccess);
+                        self.showSuccess(tourId ? snabPortal.i18n.tourRescheduleSuccess : snabPortal.i18n.rescheduleSuccess);
                         self.loadAppointments();
                     } else {
                         alert(response.data || snabPortal.i18n.error);
@@ -710,6 +846,352 @@
             });
         }
 
+        /**
+         * Load the user's open waitlist entries (v1.13.0)
+         */
+        loadWaitlist() {
+            const self = this;
+
+            $.ajax({
+                url: snabPortal.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'snab_client_get_waitlist',
+                    nonce: snabPortal.nonce
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.waitlist = response.data.entries;
+                        self.renderWaitlist();
+                    } else {
+                        self.$waitlist.find('.snab-waitlist-list')
+                            .html('<div class="snab-error">' + self.escapeHtml(response.data || snabPortal.i18n.error) + '</div>');
+                    }
+                },
+                error: function() {
+                    self.$waitlist.find('.snab-waitlist-list')
+                        .html('<div class="snab-error">' + self.escapeHtml(snabPortal.i18n.error) + '</div>');
+                }
+            });
+        }
+
+        /**
+         * Render waitlist entries (v1.13.0)
+         */
+        renderWaitlist() {
+            this.$container.find('.snab-tab-count[data-count="waitlist"]').text(this.waitlist.length);
+
+            if (this.waitlist.length === 0) {
+                this.$waitlist.find('.snab-waitlist-list')
+                    .html('<p class="snab-empty-message">' + this.escapeHtml(snabPortal.i18n.noWaitlist) + '</p>');
+                return;
+            }
+
+            let html = '';
+            this.waitlist.forEach(entry => {
+                html += this.renderWaitlistCard(entry);
+            });
+
+            this.$waitlist.find('.snab-waitlist-list').html(html);
+        }
+
+        /**
+         * Render a single waitlist entry (v1.13.0)
+         * @param {Object} entry - Waitlist entry
+         * @returns {string} HTML string
+         */
+        renderWaitlistCard(entry) {
+            const offered = entry.status === 'offered';
+            const localStart = offered ? this.localTime(entry.date, entry.offered_time) : '';
+
+            let statusHtml;
+            let actionsHtml = '';
+            if (offered) {
+                statusHtml = `
+                    <div class="snab-waitlist-offer-time">
+                        <span class="dashicons dashicons-clock"></span>
+                        ${this.escapeHtml(snabPortal.i18n.waitlistOffered.replace('%s', entry.formatted_time))}
+                    </div>
+                    ${localStart ? `
+                        <div class="snab-card-local-time">
+                            ${this.escapeHtml(snabPortal.i18n.yourTime.replace('%s', localStart))}
+                        </div>
+                    ` : ''}
+                    <div class="snab-waitlist-held">
+                        ${this.escapeHtml(snabPortal.i18n.waitlistOfferHeld.replace('%s', entry.formatted_expires))}
+                    </div>`;
+                actionsHtml = `
+                    <button type="button" class="snab-action-btn snab-waitlist-book-btn">
+                        <span class="dashicons dashicons-yes"></span>
+                        ${snabPortal.i18n.waitlistBook}
+                    </button>
+                    <button type="button" class="snab-action-btn snab-waitlist-decline-btn">
+                        ${snabPortal.i18n.waitlistDecline}
+                    </button>`;
+            } else {
+                statusHtml = `
+                    <div class="snab-waitlist-position">
+                        ${this.escapeHtml(snabPortal.i18n.waitlistPosition.replace('%d', entry.position))}
+                    </div>`;
+                actionsHtml = `
+                    <button type="button" class="snab-action-btn snab-waitlist-leave-btn">
+                        <span class="dashicons dashicons-no-alt"></span>
+                        ${snabPortal.i18n.waitlistLeave}
+                    </button>`;
+            }
+
+            return `
+                <div class="snab-appointment-card snab-waitlist-card status-${entry.status}" data-entry-id="${entry.id}">
+                    <div class="snab-card-header">
+                        <span class="snab-type-indicator" style="background-color: ${entry.type_color}"></span>
+                        <span class="snab-type-name">${this.escapeHtml(entry.type_name)}</span>
+                    </div>
+                    <div class="snab-card-body">
+                        <div class="snab-card-date">
+                            <span class="dashicons dashicons-calendar-alt"></span>
+                            ${this.escapeHtml(entry.formatted_date)}
+                        </div>
+                        ${statusHtml}
+                    </div>
+                    <div class="snab-card-actions">${actionsHtml}</div>
+                </div>
+            `;
+        }
+
+        /**
+         * Book or turn down a held waitlist slot (v1.13.0)
+         * @param {number} entryId - Waitlist entry ID
+         * @param {boolean} claim - True to book, false to decline
+         */
+        respondToWaitlistOffer(entryId, claim) {
+            const self = this;
+            const $card = this.$waitlist.find(`.snab-waitlist-card[data-entry-id="${entryId}"]`);
+
+            $card.find('button').prop('disabled', true);
+
+            $.ajax({
+                url: snabPortal.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: claim ? 'snab_client_claim_waitlist_offer' : 'snab_client_decline_waitlist_offer',
+                    nonce: snabPortal.nonce,
+                    entry_id: entryId,
+                    client_timezone: SNABTimezone.visitorZone()
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.showSuccess(response.data.message);
+                    } else {
+                        alert(response.data || snabPortal.i18n.error);
+                    }
+                    self.loadWaitlist();
+                },
+                error: function() {
+                    alert(snabPortal.i18n.error);
+                    $card.find('button').prop('disabled', false);
+                }
+            });
+        }
+
+        /**
+         * Leave the waitlist for a day (v1.13.0)
+         * @param {number} entryId - Waitlist entry ID
+         */
+        leaveWaitlist(entryId) {
+            const self = this;
+
+            if (!confirm(snabPortal.i18n.confirmLeaveWaitlist)) {
+                return;
+            }
+
+            $.ajax({
+                url: snabPortal.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'snab_client_leave_waitlist',
+                    nonce: snabPortal.nonce,
+                    entry_id: entryId
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.showSuccess(response.data.message);
+                        self.loadWaitlist();
+                    } else {
+                        alert(response.data || snabPortal.i18n.error);
+                    }
+                },
+                error: function() {
+                    alert(snabPortal.i18n.error);
+                }
+            });
+        }
+
+        /**
+         * Join the waitlist for a fully booked day (v1.13.0)
+         */
+        joinWaitlist() {
+            const self = this;
+            const $form = this.$waitlist.find('.snab-waitlist-join-form');
+            const $message = $form.find('.snab-waitlist-message');
+            const typeId = $form.find('[name="type_id"]').val();
+            const date = $form.find('[name="date"]').val();
+
+            if (!typeId || !date) {
+                $message.removeClass('snab-success').addClass('snab-error').text(snabPortal.i18n.waitlistSelectDay).show();
+                return;
+            }
+
+            const $submitBtn = $form.find('[type="submit"]').prop('disabled', true);
+
+            $.ajax({
+                url: snabPortal.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'snab_client_join_waitlist',
+                    nonce: snabPortal.nonce,
+                    type_id: typeId,
+                    date: date,
+                    client_timezone: SNABTimezone.visitorZone()
+                },
+                success: function(response) {
+                    if (response.success) {
+                        $message.removeClass('snab-error').addClass('snab-success').text(response.data.message).show();
+                        $form.find('[name="date"]').val('');
+                        self.loadWaitlist();
+                    } else {
+                        $message.removeClass('snab-success').addClass('snab-error').text(response.data || snabPortal.i18n.error).show();
+                    }
+                    $submitBtn.prop('disabled', false);
+                },
+                error: function() {
+                    $message.removeClass('snab-success').addClass('snab-error').text(snabPortal.i18n.error).show();
+                    $submitBtn.prop('disabled', false);
+                }
+            });
+        }
+
+        /**
+         * Show or hide the calendar subscription links, loading them the first time (v1.14.0)
+         *
+         * Links are only fetched on request because the first fetch creates
+         * the user's private feed token.
+         */
+        toggleCalendarSync() {
+            const self = this;
+            const $panel = this.$calendarSync.find('.snab-calendar-sync-panel');
+
+            $panel.slideToggle(200);
+            if (this.calendarFeeds) {
+                return;
+            }
+
+            $.ajax({
+                url: snabPortal.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'snab_client_get_calendar_feeds',
+                    nonce: snabPortal.nonce
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.calendarFeeds = response.data.feeds;
+                        self.renderCalendarFeeds();
+                    } else {
+                        $panel.find('.snab-calendar-feeds')
+                            .html('<div class="snab-error">' + self.escapeHtml(response.data || snabPortal.i18n.error) + '</div>');
+                    }
+                },
+                error: function() {
+                    $panel.find('.snab-calendar-feeds')
+                        .html('<div class="snab-error">' + self.escapeHtml(snabPortal.i18n.error) + '</div>');
+                }
+            });
+        }
+
+        /**
+         * Render the calendar subscription links (v1.14.0)
+         */
+        renderCalendarFeeds() {
+            const labels = {
+                client: snabPortal.i18n.calendarFeedClient,
+                staff: snabPortal.i18n.calendarFeedStaff
+            };
+
+            let html = '';
+            Object.keys(this.calendarFeeds).forEach(scope => {
+                const feed = this.calendarFeeds[scope];
+                html += `
+                    <div class="snab-calendar-feed" data-scope="${scope}">
+                        <label class="snab-calendar-feed-label">${this.escapeHtml(labels[scope] || scope)}</label>
+                        <div class="snab-calendar-feed-row">
+                            <input type="text" class="snab-calendar-feed-url" value="${this.escapeHtml(feed.url)}" readonly>
+                            <button type="button" class="snab-btn-secondary snab-calendar-copy-btn">${this.escapeHtml(snabPortal.i18n.copy)}</button>
+                            <a href="${this.escapeHtml(feed.webcal_url)}" class="snab-btn-primary snab-calendar-subscribe-btn">${this.escapeHtml(snabPortal.i18n.calendarSubscribe)}</a>
+                        </div>
+                    </div>
+                `;
+            });
+
+            this.$calendarSync.find('.snab-calendar-feeds').html(html);
+        }
+
+        /**
+         * Copy a feed link to the clipboard (v1.14.0)
+         * @param {jQuery} $btn - The copy button
+         */
+        copyCalendarFeed($btn) {
+            const $input = $btn.siblings('.snab-calendar-feed-url');
+            const done = function() {
+                $btn.text(snabPortal.i18n.copied);
+                setTimeout(() => $btn.text(snabPortal.i18n.copy), 2000);
+            };
+
+            if (navigator.clipboard && window.isSecureContext) {
+                navigator.clipboard.writeText($input.val()).then(done);
+                return;
+            }
+
+            $input.trigger('select');
+            document.execCommand('copy');
+            done();
+        }
+
+        /**
+         * Replace the calendar links; calendars using the old ones stop updating (v1.14.0)
+         */
+        resetCalendarFeeds() {
+            const self = this;
+
+            if (!confirm(snabPortal.i18n.confirmResetFeeds)) {
+                return;
+            }
+
+            const $resetBtn = this.$calendarSync.find('.snab-calendar-reset-btn').prop('disabled', true);
+
+            $.ajax({
+                url: snabPortal.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'snab_client_reset_calendar_feeds',
+                    nonce: snabPortal.nonce
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.calendarFeeds = response.data.feeds;
+                        self.renderCalendarFeeds();
+                        self.showSuccess(response.data.message);
+                    } else {
+                        alert(response.data || snabPortal.i18n.error);
+                    }
+                    $resetBtn.prop('disabled', false);
+                },
+                error: function() {
+                    alert(snabPortal.i18n.error);
+                    $resetBtn.prop('disabled', false);
+                }
+            });
+        }
+
         /**
          * Show success message
          * @param {string} message - Success message
@@ -731,7 +1213,11 @@
         }
 
         /**
-         * Format date as Y-m-d
+         * Format a calendar date as Y-m-d
+         *
+         * Reschedule calendar dates stand for office dates, so the
+         * browser's timezone is not applied (v1.12.0).
+         *
          * @param {Date} date - Date object
          * @returns {string} Formatted date
          */
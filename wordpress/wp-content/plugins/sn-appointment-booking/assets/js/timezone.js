@@ -0,0 +1,171 @@
+/**
+ * SNAB Timezone Helpers
+ *
+ * Shared by the booking widget and client portal. Slot times from the server
+ * are always in office time (the WordPress timezone); these helpers convert
+ * them to the visitor's local time for display.
+ *
+ * @package SN_Appointment_Booking
+ * @since 1.12.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const SNABTimezone = {
+        /**
+         * Visitor's IANA timezone (e.g. America/Los_Angeles), or '' if the browser can't tell
+         */
+        visitorZone() {
+            try {
+                return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+            } catch (e) {
+                return '';
+            }
+        },
+
+        /**
+         * UTC offset in minutes of a timezone at a given instant
+         *
+         * Accepts IANA names and WordPress fixed offsets ("+05:30", "UTC").
+         *
+         * @param {string} zone Timezone
+         * @param {number} timestamp Milliseconds since epoch
+         * @returns {number|null} Offset in minutes, or null if the zone is unknown
+         */
+        offsetAt(zone, timestamp) {
+            const fixed = /^(?:UTC)?([+-])(\d{1,2}):?(\d{2})?$/.exec(zone);
+            if (fixed) {
+                const minutes = parseInt(fixed[2], 10) * 60 + parseInt(fixed[3] || '0', 10);
+                return fixed[1] === '-' ? -minutes : minutes;
+            }
+            if (zone === 'UTC') {
+                return 0;
+            }
+
+            try {
+                const parts = {};
+                new Intl.DateTimeFormat('en-US', {
+                    timeZone: zone,
+                    hourCycle: 'h23',
+                    year: 'numeric', month: '2-digit', day: '2-digit',
+                    hour: '2-digit', minute: '2-digit', second: '2-digit'
+                }).formatToParts(new Date(timestamp)).forEach(function(part) {
+                    parts[part.type] = part.value;
+                });
+
+                const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+                return Math.round((asUtc - Math.floor(timestamp / 1000) * 1000) / 60000);
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Instant of an office date/time
+         *
+         * @param {string} dateStr Date (Y-m-d) in office time
+         * @param {string} time Time (H:i) in office time
+         * @param {string} officeZone Office timezone
+         * @returns {number|null} Milliseconds since epoch
+         */
+        officeTimestamp(dateStr, time, officeZone) {
+            const d = dateStr.split('-');
+            const t = time.split(':');
+            const wallClock = Date.UTC(d[0], d[1] - 1, d[2], t[0], t[1]);
+
+            // Check the offset again at the result so DST changes land on the right side
+            let offset = this.offsetAt(officeZone, wallClock);
+            if (offset === null) {
+                return null;
+            }
+            offset = this.offsetAt(officeZone, wallClock - offset * 60000);
+            return wallClock - offset * 60000;
+        },
+
+        /**
+         * Whether the visitor's clock differs from the office's at an instant
+         *
+         * @param {string} officeZone Office timezone
+         * @param {number} timestamp Milliseconds since epoch (defaults to now)
+         * @returns {boolean}
+         */
+        differs(officeZone, timestamp) {
+            const visitor = this.visitorZone();
+            if (!visitor || !officeZone) {
+                return false;
+            }
+            const at = timestamp || Date.now();
+            const officeOffset = this.offsetAt(officeZone, at);
+            return officeOffset !== null && officeOffset !== this.offsetAt(visitor, at);
+        },
+
+        /**
+         * Visitor's local time for an office date/time, e.g. "7:00 AM PDT"
+         *
+         * @param {string} dateStr Date (Y-m-d) in office time
+         * @param {string} time Time (H:i) in office time
+         * @param {string} officeZone Office timezone
+         * @returns {string} Local time, or '' when it matches office time
+         */
+        localTime(dateStr, time, officeZone) {
+            const timestamp = this.officeTimestamp(dateStr, time, officeZone);
+            if (timestamp === null || !this.differs(officeZone, timestamp)) {
+                return '';
+            }
+
+            let label = new Date(timestamp).toLocaleTimeString([], {
+                hour: 'numeric',
+                minute: '2-digit',
+                timeZoneName: 'short'
+            });
+
+            // Flag when the local day is different from the office day
+            const local = new Date(timestamp);
+            const localDate = local.getFullYear() + '-' + String(local.getMonth() + 1).padStart(2, '0') + '-' +
+                String(local.getDate()).padStart(2, '0');
+            if (localDate < dateStr) {
+                label += ' (-1)';
+            } else if (localDate > dateStr) {
+                label += ' (+1)';
+            }
+
+            return label;
+        },
+
+        /**
+         * Short name of the visitor's timezone at an instant, e.g. "PDT"
+         *
+         * @param {number} timestamp Milliseconds since epoch (defaults to now)
+         * @returns {string}
+         */
+        visitorZoneName(timestamp) {
+            const part = new Intl.DateTimeFormat([], { timeZoneName: 'short' })
+                .formatToParts(new Date(timestamp || Date.now()))
+                .find(function(p) {
+                    return p.type === 'timeZoneName';
+                });
+            return part ? part.value : this.visitorZone();
+        },
+
+        /**
+         * Today's date (Y-m-d) in office time
+         *
+         * Calendars are laid out in office dates, so "today" has to be the
+         * office's today, not the visitor's.
+         *
+         * @param {string} officeZone Office timezone
+         * @returns {string}
+         */
+        officeToday(officeZone) {
+            const now = Date.now();
+            const offset = this.offsetAt(officeZone, now);
+            const office = new Date(now + (offset === null ? -new Date().getTimezoneOffset() : offset) * 60000);
+            return office.getUTCFullYear() + '-' + String(office.getUTCMonth() + 1).padStart(2, '0') + '-' +
+                String(office.getUTCDate()).padStart(2, '0');
+        }
+    };
+
+    window.SNABTimezone = SNABTimezone;
+
+})(window);
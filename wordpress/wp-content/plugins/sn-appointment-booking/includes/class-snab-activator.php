@@ -146,6 +146,7 @@ class SNAB_Activator {
             client_name VARCHAR(100) NOT NULL,
             client_email VARCHAR(100) NOT NULL,
             client_phone VARCHAR(20) DEFAULT NULL,
+            client_timezone VARCHAR(64) DEFAULT NULL,
             listing_id VARCHAR(50) DEFAULT NULL,
             property_address TEXT DEFAULT NULL,
             google_event_id VARCHAR(255) DEFAULT NULL,
@@ -164,12 +165,18 @@ class SNAB_Activator {
             rescheduled_by VARCHAR(50) DEFAULT NULL,
             reschedule_reason TEXT DEFAULT NULL,
             created_by VARCHAR(50) DEFAULT 'client',
+            tour_id BIGINT UNSIGNED DEFAULT NULL,
+            tour_stop TINYINT UNSIGNED DEFAULT NULL,
+            series_id BIGINT UNSIGNED DEFAULT NULL,
+            series_index SMALLINT UNSIGNED DEFAULT NULL,
             KEY idx_staff (staff_id),
             KEY idx_date (appointment_date),
             KEY idx_status (status),
             KEY idx_user (user_id),
             KEY idx_type (appointment_type_id),
             KEY idx_google (google_event_id),
+            KEY idx_tour (tour_id),
+            KEY idx_series (series_id),
             UNIQUE KEY unique_slot (staff_id, appointment_date, start_time)
         ) {$charset_collate};";
 
@@ -252,6 +259,81 @@ class SNAB_Activator {
 
         dbDelta($sql_attendees);
 
+        // Table: Showing Tours (added in v1.11.0 - links the stops of a multi-property tour)
+        $table_tours = $wpdb->prefix . 'snab_tours';
+        $sql_tours = "CREATE TABLE {$table_tours} (
+            id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+            staff_id BIGINT UNSIGNED NOT NULL,
+            appointment_type_id BIGINT UNSIGNED NOT NULL,
+            user_id BIGINT UNSIGNED DEFAULT NULL,
+            client_name VARCHAR(100) NOT NULL,
+            client_email VARCHAR(100) NOT NULL,
+            tour_date DATE NOT NULL,
+            stop_count TINYINT UNSIGNED NOT NULL DEFAULT 0,
+            status ENUM('active', 'cancelled') DEFAULT 'active',
+            created_at DATETIME NOT NULL,
+            updated_at DATETIME DEFAULT NULL,
+            KEY idx_staff (staff_id),
+            KEY idx_user (user_id),
+            KEY idx_date (tour_date)
+        ) {$charset_collate};";
+
+        dbDelta($sql_tours);
+
+        // Table: Waitlist (added in v1.13.0 - clients waiting for a fully booked day)
+        $table_waitlist = $wpdb->prefix . 'snab_waitlist';
+        $sql_waitlist = "CREATE TABLE {$table_waitlist} (
+            id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+            appointment_type_id BIGINT UNSIGNED NOT NULL,
+            staff_id BIGINT UNSIGNED DEFAULT NULL,
+            waitlist_date DATE NOT NULL,
+            user_id BIGINT UNSIGNED DEFAULT NULL,
+            client_name VARCHAR(100) NOT NULL,
+            client_email VARCHAR(100) NOT NULL,
+            client_phone VARCHAR(20) DEFAULT NULL,
+            client_timezone VARCHAR(64) DEFAULT NULL,
+            claim_url VARCHAR(255) DEFAULT NULL,
+            status ENUM('waiting', 'offered', 'booked', 'expired', 'cancelled') DEFAULT 'waiting',
+            offered_staff_id BIGINT UNSIGNED DEFAULT NULL,
+            offered_time TIME DEFAULT NULL,
+            offer_token VARCHAR(64) DEFAULT NULL,
+            offered_at DATETIME DEFAULT NULL,
+            offer_expires_at DATETIME DEFAULT NULL,
+            appointment_id BIGINT UNSIGNED DEFAULT NULL,
+            created_at DATETIME NOT NULL,
+            updated_at DATETIME DEFAULT NULL,
+            KEY idx_date_type (waitlist_date, appointment_type_id),
+            KEY idx_status (status),
+            KEY idx_user (user_id),
+            KEY idx_email (client_email),
+            KEY idx_token (offer_token)
+        ) {$charset_collate};";
+
+        dbDelta($sql_waitlist);
+
+        // Table: Appointment Series (added in v1.15.0 - links the occurrences of a recurring appointment)
+        $table_series = $wpdb->prefix . 'snab_appointment_series';
+        $sql_series = "CREATE TABLE {$table_series} (
+            id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+            staff_id BIGINT UNSIGNED NOT NULL,
+            appointment_type_id BIGINT UNSIGNED NOT NULL,
+            client_name VARCHAR(100) NOT NULL,
+            client_email VARCHAR(100) NOT NULL,
+            frequency ENUM('weekly', 'biweekly', 'monthly') NOT NULL,
+            start_date DATE NOT NULL,
+            start_time TIME NOT NULL,
+            until_date DATE DEFAULT NULL,
+            occurrence_count SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+            status ENUM('active', 'cancelled') DEFAULT 'active',
+            created_by VARCHAR(50) DEFAULT 'admin',
+            created_at DATETIME NOT NULL,
+            updated_at DATETIME DEFAULT NULL,
+            KEY idx_staff (staff_id),
+            KEY idx_status (status)
+        ) {$charset_collate};";
+
+        dbDelta($sql_series);
+
         // Log table creation
         if (class_exists('SNAB_Logger')) {
             SNAB_Logger::info('Database tables created/updated');
@@ -483,6 +565,7 @@ class SNAB_Activator {
             'snab_max_reschedules_per_appointment' => '2',
             'snab_require_cancel_reason' => '1',
             'snab_notify_admin_on_client_changes' => '1',
+            'snab_waitlist_hold_minutes' => '120',
         );
 
         foreach ($portal_options as $option_name => $default_value) {
@@ -546,6 +629,9 @@ class SNAB_Activator {
             'snab_shortcode_presets',
             'snab_staff_services',
             'snab_appointment_attendees',
+            'snab_tours',
+            'snab_waitlist',
+            'snab_appointment_series',
         );
 
         $status = array();
@@ -613,7 +699,8 @@ class SNAB_Activator {
             'google_calendar_synced', 'client_notes', 'admin_notes', 'cancellation_reason',
             'cancelled_by', 'reminder_24h_sent', 'reminder_1h_sent', 'created_at', 'updated_at',
             'cancelled_at', 'reschedule_count', 'original_datetime', 'rescheduled_by',
-            'reschedule_reason', 'created_by'
+            'reschedule_reason', 'created_by', 'tour_id', 'tour_stop', 'client_timezone',
+            'series_id', 'series_index'
         );
 
         $table_exists = $wpdb->get_var("SHOW TABLES LIKE '{$appointments_table}'");
@@ -724,6 +811,11 @@ class SNAB_Activator {
             'rescheduled_by' => "ALTER TABLE {$appointments_table} ADD COLUMN rescheduled_by VARCHAR(50) DEFAULT NULL AFTER original_datetime",
             'reschedule_reason' => "ALTER TABLE {$appointments_table} ADD COLUMN reschedule_reason TEXT DEFAULT NULL AFTER rescheduled_by",
             'created_by' => "ALTER TABLE {$appointments_table} ADD COLUMN created_by VARCHAR(50) DEFAULT 'client' AFTER reschedule_reason",
+            'tour_id' => "ALTER TABLE {$appointments_table} ADD COLUMN tour_id BIGINT UNSIGNED DEFAULT NULL AFTER created_by",
+            'tour_stop' => "ALTER TABLE {$appointments_table} ADD COLUMN tour_stop TINYINT UNSIGNED DEFAULT NULL AFTER tour_id",
+            'series_id' => "ALTER TABLE {$appointments_table} ADD COLUMN series_id BIGINT UNSIGNED DEFAULT NULL AFTER tour_stop, ADD KEY idx_series (series_id)",
+            'series_index' => "ALTER TABLE {$appointments_table} ADD COLUMN series_index SMALLINT UNSIGNED DEFAULT NULL AFTER series_id",
+            'client_timezone' => "ALTER TABLE {$appointments_table} ADD COLUMN client_timezone VARCHAR(64) DEFAULT NULL AFTER client_phone",
         );
 
         foreach ($appointments_column_defs as $col => $sql) {
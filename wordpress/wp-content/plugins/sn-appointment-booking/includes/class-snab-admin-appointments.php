@@ -38,6 +38,7 @@ class SNAB_Admin_Appointments {
         add_action('wp_ajax_snab_create_appointment', array($this, 'ajax_create_appointment'));
         add_action('wp_ajax_snab_reschedule_appointment', array($this, 'ajax_reschedule_appointment'));
         add_action('wp_ajax_snab_get_available_slots', array($this, 'ajax_get_available_slots'));
+        add_action('wp_ajax_snab_preview_series', array($this, 'ajax_preview_series'));
     }
 
     /**
@@ -197,9 +198,14 @@ class SNAB_Admin_Appointments {
                             $is_past = snab_datetime_to_timestamp($apt->appointment_date, $apt->end_time) < current_time('timestamp');
                             $row_class = $is_past ? 'snab-past-appointment' : '';
                             ?>
-                            <tr class="<?php echo esc_attr($row_class); ?>" data-id="<?php echo esc_attr($apt->id); ?>">
+                            <tr class="<?php echo esc_attr($row_class); ?>" data-id="<?php echo esc_attr($apt->id); ?>"
+                                data-series-id="<?php echo esc_attr($apt->series_id ? $apt->series_id : ''); ?>">
                                 <td class="column-date">
                                     <strong><?php echo esc_html(snab_format_date($apt->appointment_date)); ?></strong>
+                                    <?php if ($apt->series_id): ?>
+                                        <span class="dashicons dashicons-controls-repeat snab-series-icon"
+                                              title="<?php esc_attr_e('Part of a recurring series', 'sn-appointment-booking'); ?>"></span>
+                                    <?php endif; ?>
                                     <br>
                                     <span class="snab-time">
                                         <?php echo esc_html(snab_format_time($apt->appointment_date, $apt->start_time)); ?>
@@ -345,6 +351,12 @@ class SNAB_Admin_Appointments {
                         <label for="snab-cancel-reason"><?php esc_html_e('Reason (optional)', 'sn-appointment-booking'); ?></label>
                         <textarea id="snab-cancel-reason" rows="3" placeholder="<?php esc_attr_e('Enter cancellation reason...', 'sn-appointment-booking'); ?>"></textarea>
                     </div>
+                    <div class="snab-form-row snab-series-scope" style="display: none;">
+                        <label><?php esc_html_e('This appointment is part of a recurring series. Cancel:', 'sn-appointment-booking'); ?></label>
+                        <label><input type="radio" name="snab_cancel_scope" value="this" checked> <?php esc_html_e('This appointment only', 'sn-appointment-booking'); ?></label>
+                        <label><input type="radio" name="snab_cancel_scope" value="following"> <?php esc_html_e('This and following appointments', 'sn-appointment-booking'); ?></label>
+                        <label><input type="radio" name="snab_cancel_scope" value="all"> <?php esc_html_e('All upcoming appointments in the series', 'sn-appointment-booking'); ?></label>
+                    </div>
                     <div class="snab-form-row">
                         <label>
                             <input type="checkbox" id="snab-send-cancel-email" checked>
@@ -416,6 +428,32 @@ class SNAB_Admin_Appointments {
                                     </select>
                                     <p class="description snab-time-hint" style="display: none;"><?php esc_html_e('Available slots based on schedule', 'sn-appointment-booking'); ?></p>
                                 </div>
+                                <div class="snab-form-row">
+                                    <label for="snab-create-repeat"><?php esc_html_e('Repeat', 'sn-appointment-booking'); ?></label>
+                                    <select id="snab-create-repeat" name="repeat">
+                                        <option value=""><?php esc_html_e('Does not repeat', 'sn-appointment-booking'); ?></option>
+                                        <?php foreach (SNAB_Series_Service::FREQUENCIES as $frequency): ?>
+                                            <option value="<?php echo esc_attr($frequency); ?>">
+                                                <?php echo esc_html(SNAB_Series_Service::get_frequency_label($frequency)); ?>
+                                            </option>
+                                        <?php endforeach; ?>
+                                    </select>
+                                </div>
+                                <div class="snab-form-row snab-repeat-options" style="display: none;">
+                                    <label>
+                                        <input type="radio" name="repeat_end" value="count" checked>
+                                        <?php esc_html_e('Ends after', 'sn-appointment-booking'); ?>
+                                        <input type="number" id="snab-create-repeat-count" name="repeat_count" value="4" min="2" max="<?php echo esc_attr(SNAB_Series_Service::MAX_OCCURRENCES); ?>" class="small-text">
+                                        <?php esc_html_e('occurrences', 'sn-appointment-booking'); ?>
+                                    </label>
+                                    <label>
+                                        <input type="radio" name="repeat_end" value="until">
+                                        <?php esc_html_e('Ends on', 'sn-appointment-booking'); ?>
+                                        <input type="date" id="snab-create-repeat-until" name="repeat_until" min="<?php echo esc_attr(wp_date('Y-m-d')); ?>">
+                                    </label>
+                                    <button type="button" class="button snab-preview-series"><?php esc_html_e('Check Dates', 'sn-appointment-booking'); ?></button>
+                                    <div id="snab-series-preview"></div>
+                                </div>
                                 <div class="snab-form-row snab-checkbox-row">
                                     <label>
                                         <input type="checkbox" id="snab-create-send-email" name="send_confirmation" value="1" checked>
@@ -448,6 +486,13 @@ class SNAB_Admin_Appointments {
                     <hr>
                     <form id="snab-reschedule-form">
                         <input type="hidden" id="snab-reschedule-id" name="appointment_id">
+                        <div class="snab-form-row snab-series-scope" style="display: none;">
+                            <label><?php esc_html_e('This appointment is part of a recurring series. Move:', 'sn-appointment-booking'); ?></label>
+                            <label><input type="radio" name="snab_reschedule_scope" value="this" checked> <?php esc_html_e('This appointment only', 'sn-appointment-booking'); ?></label>
+                            <label><input type="radio" name="snab_reschedule_scope" value="following"> <?php esc_html_e('This and following appointments', 'sn-appointment-booking'); ?></label>
+                            <label><input type="radio" name="snab_reschedule_scope" value="all"> <?php esc_html_e('All upcoming appointments in the series', 'sn-appointment-booking'); ?></label>
+                            <p class="description"><?php esc_html_e('Other appointments move by the same number of days, to the new time.', 'sn-appointment-booking'); ?></p>
+                        </div>
                         <h4><?php esc_html_e('New Date & Time', 'sn-appointment-booking'); ?></h4>
                         <div class="snab-form-row">
                             <label for="snab-reschedule-date"><?php esc_html_e('New Date', 'sn-appointment-booking'); ?> <span class="required">*</span></label>
@@ -679,6 +724,25 @@ class SNAB_Admin_Appointments {
         $appointment->status_label = $this->get_status_label($appointment->status);
         $appointment->notifications = $notifications;
 
+        // Recurring series position, e.g. "Weekly, 3 of 8" (v1.15.0)
+        $appointment->series_label = '';
+        if ($appointment->series_id) {
+            $series = $wpdb->get_row($wpdb->prepare(
+                "SELECT frequency, occurrence_count FROM {$wpdb->prefix}snab_appointment_series WHERE id = %d",
+                $appointment->series_id
+            ));
+
+            if ($series) {
+                $appointment->series_label = sprintf(
+                    /* translators: 1: frequency, 2: occurrence number, 3: number of occurrences */
+                    __('%1$s, %2$d of %3$d', 'sn-appointment-booking'),
+                    SNAB_Series_Service::get_frequency_label($series->frequency),
+                    $appointment->series_index,
+                    $series->occurrence_count
+                );
+            }
+        }
+
         // Build HTML
         ob_start();
         ?>
@@ -706,6 +770,12 @@ class SNAB_Admin_Appointments {
                         <th><?php esc_html_e('Duration', 'sn-appointment-booking'); ?></th>
                         <td><?php echo esc_html($appointment->duration_minutes); ?> <?php esc_html_e('minutes', 'sn-appointment-booking'); ?></td>
                     </tr>
+                    <?php if ($appointment->series_label): ?>
+                        <tr>
+                            <th><?php esc_html_e('Series', 'sn-appointment-booking'); ?></th>
+                            <td><?php echo esc_html($appointment->series_label); ?></td>
+                        </tr>
+                    <?php endif; ?>
                     <tr>
                         <th><?php esc_html_e('Status', 'sn-appointment-booking'); ?></th>
                         <td>
@@ -910,6 +980,12 @@ class SNAB_Admin_Appointments {
             wp_send_json_error(__('Appointment not found.', 'sn-appointment-booking'));
         }
 
+        // Recurring series: this one, it and the following ones, or all (v1.15.0)
+        $scope = isset($_POST['scope']) ? SNAB_Series_Service::sanitize_scope(sanitize_key($_POST['scope'])) : SNAB_Series_Service::SCOPE_THIS;
+        if ($appointment->series_id && $scope !== SNAB_Series_Service::SCOPE_THIS) {
+            $this->cancel_series_occurrences($appointment, $scope, $reason, $send_email);
+        }
+
         // Update status
         $result = $wpdb->update(
             $table,
@@ -942,6 +1018,9 @@ class SNAB_Admin_Appointments {
             $notifications->send_cancellation($id, $reason);
         }
 
+        // Offer the freed slot to the waitlist (v1.13.0)
+        (new SNAB_Waitlist_Service())->release_slot($appointment);
+
         SNAB_Logger::info('Appointment cancelled', array(
             'appointment_id' => $id,
             'reason' => $reason,
@@ -950,6 +1029,41 @@ class SNAB_Admin_Appointments {
 
         wp_send_json_success(array(
             'message' => __('Appointment cancelled successfully.', 'sn-appointment-booking'),
+            'cancelled_ids' => array($id),
+        ));
+    }
+
+    /**
+     * Cancel several occurrences of a series and send the response.
+     *
+     * @since 1.15.0
+     * @param object $appointment Selected occurrence.
+     * @param string $scope       SNAB_Series_Service::SCOPE_FOLLOWING or SCOPE_ALL.
+     * @param string $reason      Cancellation reason.
+     * @param bool   $send_email  Whether to email the client about each cancellation.
+     */
+    private function cancel_series_occurrences($appointment, $scope, $reason, $send_email) {
+        $series_service = new SNAB_Series_Service();
+        $cancelled = $series_service->cancel_occurrences($appointment, $scope, $reason, 'admin');
+
+        if (is_wp_error($cancelled)) {
+            wp_send_json_error($cancelled->get_error_message());
+        }
+
+        if ($send_email) {
+            $notifications = snab_notifications();
+            foreach ($cancelled as $occurrence) {
+                $notifications->send_cancellation($occurrence->id, $reason);
+            }
+        }
+
+        wp_send_json_success(array(
+            'message' => sprintf(
+                /* translators: %d: number of appointments */
+                _n('%d appointment cancelled.', '%d appointments cancelled.', count($cancelled), 'sn-appointment-booking'),
+                count($cancelled)
+            ),
+            'cancelled_ids' => array_map('intval', wp_list_pluck($cancelled, 'id')),
         ));
     }
 
@@ -1114,6 +1228,61 @@ class SNAB_Admin_Appointments {
             wp_send_json_error(__('No staff member configured.', 'sn-appointment-booking'));
         }
 
+        // Recurring series (v1.15.0)
+        $frequency = isset($_POST['repeat']) ? sanitize_key($_POST['repeat']) : '';
+        if (in_array($frequency, SNAB_Series_Service::FREQUENCIES, true)) {
+            list($count, $until) = $this->get_repeat_end();
+
+            $series_service = new SNAB_Series_Service();
+            $result = $series_service->create_series(array(
+                'type' => $type,
+                'staff_id' => $staff->id,
+                'start_date' => $appointment_date,
+                'start_time' => date('H:i', strtotime($start_time)),
+                'frequency' => $frequency,
+                'count' => $count,
+                'until' => $until,
+                'client_name' => $client_name,
+                'client_email' => $client_email,
+                'client_phone' => $client_phone,
+                'property_address' => $property_address,
+                'client_notes' => $client_notes,
+                'skip_conflicts' => isset($_POST['skip_conflicts']) && $_POST['skip_conflicts'] === '1',
+                'created_by' => 'admin',
+            ));
+
+            if (is_wp_error($result)) {
+                wp_send_json_error($this->get_series_error_message($result));
+            }
+
+            // One confirmation for the series; reminders still go out before each occurrence
+            if ($send_confirmation && !empty($result['appointments'])) {
+                $notifications = snab_notifications();
+                $notifications->send_client_confirmation($result['appointments'][0]->id);
+                $notifications->send_admin_confirmation($result['appointments'][0]->id);
+            }
+
+            $message = sprintf(
+                /* translators: 1: appointments created, 2: dates in the series */
+                __('Created %1$d of %2$d appointments in the series.', 'sn-appointment-booking'),
+                count($result['appointments']),
+                $result['series']->occurrence_count
+            );
+            if (!empty($result['skipped'])) {
+                $message .= ' ' . sprintf(
+                    /* translators: %s: list of dates */
+                    __('Skipped: %s', 'sn-appointment-booking'),
+                    implode(', ', array_map('snab_format_date', wp_list_pluck($result['skipped'], 'date')))
+                );
+            }
+
+            wp_send_json_success(array(
+                'message' => $message,
+                'series_id' => (int) $result['series']->id,
+                'appointment_ids' => array_map('intval', wp_list_pluck($result['appointments'], 'id')),
+            ));
+        }
+
         // Calculate end time
         $start_datetime = strtotime($start_time);
         $end_datetime = $start_datetime + ($type->duration_minutes * 60);
@@ -1231,6 +1400,12 @@ class SNAB_Admin_Appointments {
             wp_send_json_error(__('This appointment cannot be rescheduled.', 'sn-appointment-booking'));
         }
 
+        // Recurring series: this one, it and the following ones, or all (v1.15.0)
+        $scope = isset($_POST['scope']) ? SNAB_Series_Service::sanitize_scope(sanitize_key($_POST['scope'])) : SNAB_Series_Service::SCOPE_THIS;
+        if ($appointment->series_id && $scope !== SNAB_Series_Service::SCOPE_THIS) {
+            $this->reschedule_series_occurrences($appointment, $scope, $new_date, date('H:i', strtotime($new_time)), $reason, $send_notification);
+        }
+
         // Store original datetime (only on first reschedule)
         $original_datetime = $appointment->original_datetime ?: ($appointment->appointment_date . ' ' . $appointment->start_time);
 
@@ -1308,6 +1483,9 @@ class SNAB_Admin_Appointments {
             $notifications->send_reschedule($appointment_id, $old_date, $old_time, $reason);
         }
 
+        // $appointment still holds the old date/time - offer that slot to the waitlist (v1.13.0)
+        (new SNAB_Waitlist_Service())->release_slot($appointment);
+
         SNAB_Logger::info('Appointment rescheduled', array(
             'appointment_id' => $appointment_id,
             'old_datetime' => $old_date . ' ' . $old_time,
@@ -1320,6 +1498,41 @@ class SNAB_Admin_Appointments {
         ));
     }
 
+    /**
+     * Move several occurrences of a series and send the response.
+     *
+     * @since 1.15.0
+     * @param object $appointment       Selected occurrence.
+     * @param string $scope             SNAB_Series_Service::SCOPE_FOLLOWING or SCOPE_ALL.
+     * @param string $new_date          New date of the selected occurrence (Y-m-d).
+     * @param string $new_time          New start time (H:i).
+     * @param string $reason            Reschedule reason.
+     * @param bool   $send_notification Whether to email the client about each move.
+     */
+    private function reschedule_series_occurrences($appointment, $scope, $new_date, $new_time, $reason, $send_notification) {
+        $series_service = new SNAB_Series_Service();
+        $moved = $series_service->reschedule_occurrences($appointment, $scope, $new_date, $new_time, $reason, 'admin');
+
+        if (is_wp_error($moved)) {
+            wp_send_json_error($this->get_series_error_message($moved));
+        }
+
+        if ($send_notification) {
+            $notifications = snab_notifications();
+            foreach ($moved as $item) {
+                $notifications->send_reschedule($item['appointment']->id, $item['appointment']->appointment_date, $item['appointment']->start_time, $reason);
+            }
+        }
+
+        wp_send_json_success(array(
+            'message' => sprintf(
+                /* translators: %d: number of appointments */
+                _n('%d appointment rescheduled.', '%d appointments rescheduled.', count($moved), 'sn-appointment-booking'),
+                count($moved)
+            ),
+        ));
+    }
+
     /**
      * AJAX: Get available slots for a date.
      *
@@ -1363,4 +1576,100 @@ class SNAB_Admin_Appointments {
             'slots' => $filtered_slots,
         ));
     }
+
+    /**
+     * AJAX: Preview the dates of a recurring series and their conflicts.
+     *
+     * @since 1.15.0
+     */
+    public function ajax_preview_series() {
+        check_ajax_referer('snab_admin_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(__('Permission denied.', 'sn-appointment-booking'));
+        }
+
+        $appointment_type_id = isset($_POST['appointment_type_id']) ? absint($_POST['appointment_type_id']) : 0;
+        $appointment_date = isset($_POST['appointment_date']) ? sanitize_text_field($_POST['appointment_date']) : '';
+        $start_time = isset($_POST['start_time']) ? sanitize_text_field($_POST['start_time']) : '';
+        $frequency = isset($_POST['repeat']) ? sanitize_key($_POST['repeat']) : '';
+
+        if (!$appointment_type_id || empty($appointment_date) || empty($start_time) || !in_array($frequency, SNAB_Series_Service::FREQUENCIES, true)) {
+            wp_send_json_error(__('Please fill in all required fields.', 'sn-appointment-booking'));
+        }
+
+        global $wpdb;
+
+        $staff_id = $wpdb->get_var(
+            "SELECT id FROM {$wpdb->prefix}snab_staff WHERE is_primary = 1 LIMIT 1"
+        );
+
+        if (!$staff_id) {
+            wp_send_json_error(__('No staff member configured.', 'sn-appointment-booking'));
+        }
+
+        list($count, $until) = $this->get_repeat_end();
+        $dates = SNAB_Series_Service::get_occurrence_dates($appointment_date, $frequency, $count, $until);
+
+        if (count($dates) < 2) {
+            wp_send_json_error(__('A recurring series needs at least two dates. Check the end date or number of occurrences.', 'sn-appointment-booking'));
+        }
+
+        $series_service = new SNAB_Series_Service();
+        $occurrences = $series_service->check_occurrences($dates, date('H:i', strtotime($start_time)), $appointment_type_id, $staff_id);
+
+        $conflict_labels = array(
+            SNAB_Series_Service::CONFLICT_BOOKED => __('Already booked', 'sn-appointment-booking'),
+            SNAB_Series_Service::CONFLICT_BLOCKED => __('Blocked / outside hours', 'sn-appointment-booking'),
+        );
+
+        foreach ($occurrences as &$occurrence) {
+            $occurrence['label'] = snab_format_date($occurrence['date']);
+            $occurrence['conflict_label'] = $occurrence['conflict'] ? $conflict_labels[$occurrence['conflict']] : '';
+        }
+        unset($occurrence);
+
+        wp_send_json_success(array(
+            'occurrences' => $occurrences,
+            'conflicts' => count(SNAB_Series_Service::get_conflicts($occurrences)),
+        ));
+    }
+
+    /**
+     * Read how a new series ends from the create form.
+     *
+     * @since 1.15.0
+     * @return array Occurrence count (0 when ending on a date) and end date ('' when ending after a count).
+     */
+    private function get_repeat_end() {
+        $ends_on_date = isset($_POST['repeat_end']) && $_POST['repeat_end'] === 'until';
+
+        if ($ends_on_date) {
+            $until = isset($_POST['repeat_until']) ? sanitize_text_field($_POST['repeat_until']) : '';
+            return array(0, preg_match('/^\d{4}-\d{2}-\d{2}$/', $until) ? $until : '');
+        }
+
+        return array(isset($_POST['repeat_count']) ? absint($_POST['repeat_count']) : 0, '');
+    }
+
+    /**
+     * Error message for a series change, listing conflicting dates when there are any.
+     *
+     * @since 1.15.0
+     * @param WP_Error $error Error from SNAB_Series_Service.
+     * @return string
+     */
+    private function get_series_error_message($error) {
+        $message = $error->get_error_message();
+        $occurrences = $error->get_error_data();
+
+        if (is_array($occurrences)) {
+            $conflicts = SNAB_Series_Service::get_conflicts($occurrences);
+            if (!empty($conflicts)) {
+                $message .= ' ' . implode(', ', array_map('snab_format_date', wp_list_pluck($conflicts, 'date')));
+            }
+        }
+
+        return $message;
+    }
 }
@@ -145,6 +145,7 @@ class SNAB_Admin_Settings {
             'max_reschedules_per_appointment' => isset($_POST['max_reschedules_per_appointment']) ? absint($_POST['max_reschedules_per_appointment']) : 0,
             'require_cancel_reason' => isset($_POST['require_cancel_reason']) ? (bool) $_POST['require_cancel_reason'] : false,
             'notify_admin_on_client_changes' => isset($_POST['notify_admin_on_client_changes']) ? (bool) $_POST['notify_admin_on_client_changes'] : true,
+            'waitlist_hold_minutes' => SNAB_Waitlist_Service::sanitize_hold_minutes(isset($_POST['waitlist_hold_minutes']) ? absint($_POST['waitlist_hold_minutes']) : 0),
         );
 
         foreach ($settings as $key => $value) {
@@ -909,6 +910,7 @@ class SNAB_Admin_Settings {
         $max_reschedules = get_option('snab_max_reschedules_per_appointment', 0);
         $require_reason = get_option('snab_require_cancel_reason', false);
         $notify_admin = get_option('snab_notify_admin_on_client_changes', true);
+        $hold_minutes = SNAB_Waitlist_Service::get_hold_minutes();
         ?>
 
         <div class="snab-settings-section">
@@ -999,6 +1001,22 @@ class SNAB_Admin_Settings {
                             </label>
                         </td>
                     </tr>
+
+                    <tr>
+                        <th scope="row">
+                            <label for="snab-waitlist-hold"><?php esc_html_e('Waitlist Hold Window', 'sn-appointment-booking'); ?></label>
+                        </th>
+                        <td>
+                            <input type="number" id="snab-waitlist-hold" name="waitlist_hold_minutes"
+                                   value="<?php echo esc_attr($hold_minutes); ?>"
+                                   min="<?php echo esc_attr(SNAB_Waitlist_Service::MIN_HOLD_MINUTES); ?>"
+                                   max="<?php echo esc_attr(SNAB_Waitlist_Service::MAX_HOLD_MINUTES); ?>"
+                                   class="small-text"> <?php esc_html_e('minutes', 'sn-appointment-booking'); ?>
+                            <p class="description">
+                                <?php esc_html_e('When a slot opens on a fully booked day, the next person on the waitlist gets this long to book it before it is offered to the person after them.', 'sn-appointment-booking'); ?>
+                            </p>
+                        </td>
+                    </tr>
                 </table>
 
                 <p class="submit">
@@ -1087,7 +1105,8 @@ class SNAB_Admin_Settings {
                         reschedule_hours_before: $('input[name="reschedule_hours_before"]').val(),
                         max_reschedules_per_appointment: $('input[name="max_reschedules_per_appointment"]').val(),
                         require_cancel_reason: $('input[name="require_cancel_reason"]').is(':checked') ? 1 : 0,
-                        notify_admin_on_client_changes: $('input[name="notify_admin_on_client_changes"]').is(':checked') ? 1 : 0
+                        notify_admin_on_client_changes: $('input[name="notify_admin_on_client_changes"]').is(':checked') ? 1 : 0,
+                        waitlist_hold_minutes: $('input[name="waitlist_hold_minutes"]').val()
                     },
                     success: function(response) {
                         if (response.success) {
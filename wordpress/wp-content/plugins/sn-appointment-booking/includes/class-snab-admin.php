@@ -354,6 +354,13 @@ class SNAB_Admin {
                     'selectDateAndTime' => __('Please select a date and time.', 'sn-appointment-booking'),
                     'rescheduling' => __('Rescheduling...', 'sn-appointment-booking'),
                     'reschedule' => __('Reschedule', 'sn-appointment-booking'),
+                    // Recurring series (v1.15.0)
+                    'checking' => __('Checking...', 'sn-appointment-booking'),
+                    'checkDates' => __('Check Dates', 'sn-appointment-booking'),
+                    'seriesNoConflicts' => __('All %d dates are available.', 'sn-appointment-booking'),
+                    'seriesConflicts' => __('%1$d of %2$d dates conflict and will be skipped.', 'sn-appointment-booking'),
+                    'seriesAllConflict' => __('None of these dates are available at the selected time.', 'sn-appointment-booking'),
+                    'seriesConflictsConfirm' => __('Some dates conflict with existing bookings or blocked time. Create the other appointments and skip those dates?', 'sn-appointment-booking'),
                 ),
             ));
         }
@@ -49,11 +49,16 @@ class SNAB_Availability_Service {
      * @param string $end_date End date (Y-m-d format).
      * @param int|null $appointment_type_id Optional appointment type ID.
      * @param int|null $staff_id Optional staff ID (defaults to primary staff).
-     * @param array $filters Optional filters: allowed_days (array of 0-6), start_hour (0-23), end_hour (0-23).
+     * @param array $filters Optional filters: allowed_days (array of 0-6), start_hour (0-23), end_hour (0-23),
+     *                       exclude_appointment_ids (appointments to treat as free, e.g. a tour being moved),
+     *                       exclude_waitlist_ids (waitlist holds to treat as free, e.g. the one being booked),
+     *                       ignore_bookings (only apply working hours, used to find fully booked days).
      * @return array Array of dates with available slots.
      *
      * @since 1.0.0
      * @since 1.2.0 Added $filters parameter for day/hour filtering.
+     * @since 1.11.0 Added exclude_appointment_ids filter.
+     * @since 1.13.0 Slots held for waitlist offers are unavailable; added exclude_waitlist_ids and ignore_bookings filters.
      */
     public function get_available_slots($start_date, $end_date, $appointment_type_id = null, $staff_id = null, $filters = array()) {
         global $wpdb;
@@ -95,11 +100,21 @@ class SNAB_Availability_Service {
         // Get manual availability rules
         $rules = $this->get_availability_rules($staff_id);
 
+        $ignore_bookings = !empty($filters['ignore_bookings']);
+
         // Get Google Calendar busy times
-        $google_busy = $this->get_google_busy_times($start_date, $end_date);
+        $google_busy = $ignore_bookings ? array() : $this->get_google_busy_times($start_date, $end_date);
 
         // Get existing appointments
-        $booked_times = $this->get_booked_appointments($staff_id, $start_date, $end_date);
+        $booked_times = array();
+        if (!$ignore_bookings) {
+            $exclude_ids = isset($filters['exclude_appointment_ids']) && is_array($filters['exclude_appointment_ids']) ? $filters['exclude_appointment_ids'] : array();
+            $booked_times = $this->get_booked_appointments($staff_id, $start_date, $end_date, $exclude_ids);
+
+            // Slots held for a waitlist offer count as booked (v1.13.0)
+            $exclude_waitlist_ids = isset($filters['exclude_waitlist_ids']) && is_array($filters['exclude_waitlist_ids']) ? $filters['exclude_waitlist_ids'] : array();
+            $booked_times = array_merge($booked_times, $this->get_waitlist_holds($staff_id, $start_date, $end_date, $exclude_waitlist_ids));
+        }
 
         // Parse filters
         $allowed_days = isset($filters['allowed_days']) && is_array($filters['allowed_days']) ? $filters['allowed_days'] : array();
@@ -408,18 +423,24 @@ class SNAB_Availability_Service {
      * @param int $staff_id Staff ID.
      * @param string $start_date Start date.
      * @param string $end_date End date.
+     * @param array $exclude_ids Appointment IDs to leave out.
      * @return array
      */
-    private function get_booked_appointments($staff_id, $start_date, $end_date) {
+    private function get_booked_appointments($staff_id, $start_date, $end_date, $exclude_ids = array()) {
         global $wpdb;
         $table = $wpdb->prefix . 'snab_appointments';
 
+        $exclude_sql = '';
+        if (!empty($exclude_ids)) {
+            $exclude_sql = ' AND id NOT IN (' . implode(',', array_map('absint', $exclude_ids)) . ')';
+        }
+
         return $wpdb->get_results($wpdb->prepare(
             "SELECT appointment_date, start_time, end_time
              FROM {$table}
              WHERE staff_id = %d
                AND appointment_date BETWEEN %s AND %s
-               AND status IN ('pending', 'confirmed')
+               AND status IN ('pending', 'confirmed'){$exclude_sql}
              ORDER BY appointment_date, start_time",
             $staff_id,
             $start_date,
@@ -427,6 +448,41 @@ class SNAB_Availability_Service {
         ));
     }
 
+    /**
+     * Get slots held for waitlist offers, shaped like booked appointments.
+     *
+     * @since 1.13.0
+     * @param int $staff_id Staff ID.
+     * @param string $start_date Start date.
+     * @param string $end_date End date.
+     * @param array $exclude_ids Waitlist entry IDs to leave out.
+     * @return array
+     */
+    private function get_waitlist_holds($staff_id, $start_date, $end_date, $exclude_ids = array()) {
+        global $wpdb;
+
+        $exclude_sql = '';
+        if (!empty($exclude_ids)) {
+            $exclude_sql = ' AND w.id NOT IN (' . implode(',', array_map('absint', $exclude_ids)) . ')';
+        }
+
+        return $wpdb->get_results($wpdb->prepare(
+            "SELECT w.waitlist_date AS appointment_date,
+                    w.offered_time AS start_time,
+                    ADDTIME(w.offered_time, SEC_TO_TIME(t.duration_minutes * 60)) AS end_time
+             FROM {$wpdb->prefix}snab_waitlist w
+             JOIN {$wpdb->prefix}snab_appointment_types t ON w.appointment_type_id = t.id
+             WHERE w.offered_staff_id = %d
+               AND w.waitlist_date BETWEEN %s AND %s
+               AND w.status = 'offered'
+               AND w.offer_expires_at > %s{$exclude_sql}",
+            $staff_id,
+            $start_date,
+            $end_date,
+            current_time('mysql')
+        ));
+    }
+
     /**
      * Remove slots that conflict with Google Calendar busy times.
      *
@@ -579,6 +635,36 @@ class SNAB_Availability_Service {
         );
     }
 
+    /**
+     * Get fully booked dates: days with working hours but no open slots left.
+     *
+     * These are the days a client can join the waitlist for.
+     *
+     * @since 1.13.0
+     * @param string $start_date Start date (Y-m-d format).
+     * @param string $end_date End date (Y-m-d format).
+     * @param int|null $appointment_type_id Optional appointment type ID.
+     * @param int|null $staff_id Optional staff ID (defaults to primary staff).
+     * @param array $filters Optional filters (see get_available_slots()).
+     * @param array|null $available_slots Result of get_available_slots() for the same arguments, if already fetched.
+     * @return array Dates (Y-m-d).
+     */
+    public function get_full_dates($start_date, $end_date, $appointment_type_id = null, $staff_id = null, $filters = array(), $available_slots = null) {
+        if (null === $available_slots) {
+            $available_slots = $this->get_available_slots($start_date, $end_date, $appointment_type_id, $staff_id, $filters);
+        }
+
+        $working_slots = $this->get_available_slots(
+            $start_date,
+            $end_date,
+            $appointment_type_id,
+            $staff_id,
+            array_merge($filters, array('ignore_bookings' => true))
+        );
+
+        return array_values(array_diff(array_keys($working_slots), array_keys($available_slots)));
+    }
+
     /**
      * Get dates with availability for calendar display.
      *
@@ -0,0 +1,392 @@
+<?php
+/**
+ * Calendar Feed Class
+ *
+ * Gets appointments into clients' and agents' own calendars without a live
+ * integration: signed .ics download links for single appointments and tours,
+ * and a private subscription feed per user that Google, Apple and Outlook
+ * calendars re-fetch, so reschedules and cancellations show up on their own.
+ *
+ * @package SN_Appointment_Booking
+ * @since 1.14.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Calendar Feed class.
+ *
+ * @since 1.14.0
+ */
+class SNAB_Calendar_Feed {
+
+    /**
+     * User meta key holding the private feed token.
+     */
+    const TOKEN_META_KEY = 'snab_calendar_feed_token';
+
+    /**
+     * Feed scopes: a client's own bookings, or an agent's schedule.
+     */
+    const SCOPE_CLIENT = 'client';
+    const SCOPE_STAFF = 'staff';
+
+    /**
+     * How far back feeds go, in days.
+     */
+    const FEED_PAST_DAYS = 90;
+
+    /**
+     * Register the feed and download endpoints.
+     *
+     * Both are public: calendar apps and guests who booked without an
+     * account have no session, so access is by feed token or signed key.
+     */
+    public static function init() {
+        add_action('wp_ajax_snab_calendar_feed', array(__CLASS__, 'serve_feed'));
+        add_action('wp_ajax_nopriv_snab_calendar_feed', array(__CLASS__, 'serve_feed'));
+
+        add_action('wp_ajax_snab_download_ics', array(__CLASS__, 'serve_download'));
+        add_action('wp_ajax_nopriv_snab_download_ics', array(__CLASS__, 'serve_download'));
+    }
+
+    // ============ Helpers (no database) ============
+
+    /**
+     * Strip anything that can't be part of a feed token.
+     *
+     * @param string $token Raw token.
+     * @return string
+     */
+    public static function sanitize_token($token) {
+        return preg_replace('/[^A-Za-z0-9]/', '', (string) $token);
+    }
+
+    /**
+     * Normalize a feed scope, defaulting to the client feed.
+     *
+     * @param string $scope Raw scope.
+     * @return string
+     */
+    public static function sanitize_scope($scope) {
+        return $scope === self::SCOPE_STAFF ? self::SCOPE_STAFF : self::SCOPE_CLIENT;
+    }
+
+    /**
+     * Turn an http(s) feed URL into a webcal:// one, which calendar apps
+     * open as a subscription instead of a one-off import.
+     *
+     * @param string $url Feed URL.
+     * @return string
+     */
+    public static function to_webcal_url($url) {
+        return preg_replace('#^https?://#i', 'webcal://', $url);
+    }
+
+    /**
+     * Signature for a download link.
+     *
+     * @param string $kind 'appointment' or 'tour'.
+     * @param int    $id   Appointment or tour ID.
+     * @return string
+     */
+    public static function get_download_key($kind, $id) {
+        return substr(hash_hmac('sha256', $kind . '|' . (int) $id, wp_salt('auth')), 0, 32);
+    }
+
+    // ============ Links ============
+
+    /**
+     * Signed .ics download link for an appointment.
+     *
+     * @param int $appointment_id Appointment ID.
+     * @return string
+     */
+    public static function get_download_url($appointment_id) {
+        return add_query_arg(array(
+            'action' => 'snab_download_ics',
+            'appointment' => (int) $appointment_id,
+            'key' => self::get_download_key('appointment', $appointment_id),
+        ), admin_url('admin-ajax.php'));
+    }
+
+    /**
+     * Signed .ics download link for every stop of a showing tour.
+     *
+     * @param int $tour_id Tour ID.
+     * @return string
+     */
+    public static function get_tour_download_url($tour_id) {
+        return add_query_arg(array(
+            'action' => 'snab_download_ics',
+            'tour' => (int) $tour_id,
+            'key' => self::get_download_key('tour', $tour_id),
+        ), admin_url('admin-ajax.php'));
+    }
+
+    /**
+     * Download link for an appointment row, covering the whole tour for tour stops.
+     *
+     * @param object $appointment Appointment object.
+     * @return string
+     */
+    public static function get_appointment_download_url($appointment) {
+        if (!empty($appointment->tour_id)) {
+            return self::get_tour_download_url($appointment->tour_id);
+        }
+
+        return self::get_download_url($appointment->id);
+    }
+
+    /**
+     * Subscription feed URL for a user.
+     *
+     * @param int    $user_id User ID.
+     * @param string $scope   Feed scope.
+     * @return string
+     */
+    public static function get_feed_url($user_id, $scope = self::SCOPE_CLIENT) {
+        return add_query_arg(array(
+            'action' => 'snab_calendar_feed',
+            'token' => self::get_token($user_id),
+            'scope' => self::sanitize_scope($scope),
+        ), admin_url('admin-ajax.php'));
+    }
+
+    /**
+     * Feed URLs available to a user: their bookings, plus their schedule if they are an agent.
+     *
+     * @param int $user_id User ID.
+     * @return array Keyed by scope, each with 'url' and 'webcal_url'.
+     */
+    public static function get_feed_urls($user_id) {
+        $scopes = array(self::SCOPE_CLIENT);
+        if (self::get_staff_id($user_id)) {
+            $scopes[] = self::SCOPE_STAFF;
+        }
+
+        $feeds = array();
+        foreach ($scopes as $scope) {
+            $url = self::get_feed_url($user_id, $scope);
+            $feeds[$scope] = array(
+                'url' => $url,
+                'webcal_url' => self::to_webcal_url($url),
+            );
+        }
+
+        return $feeds;
+    }
+
+    // ============ Tokens ============
+
+    /**
+     * Get a user's feed token, creating one on first use.
+     *
+     * @param int $user_id User ID.
+     * @return string
+     */
+    public static function get_token($user_id) {
+        $token = get_user_meta($user_id, self::TOKEN_META_KEY, true);
+
+        if (empty($token)) {
+            $token = self::reset_token($user_id);
+        }
+
+        return $token;
+    }
+
+    /**
+     * Replace a user's feed token, cutting off every calendar subscribed with the old one.
+     *
+     * @param int $user_id User ID.
+     * @return string New token.
+     */
+    public static function reset_token($user_id) {
+        $token = wp_generate_password(32, false);
+        update_user_meta($user_id, self::TOKEN_META_KEY, $token);
+
+        return $token;
+    }
+
+    /**
+     * Find the user a feed token belongs to.
+     *
+     * @param string $token Feed token.
+     * @return int User ID, or 0 if not found.
+     */
+    public static function get_user_id_by_token($token) {
+        $token = self::sanitize_token($token);
+        if (strlen($token) < 32) {
+            return 0;
+        }
+
+        $users = get_users(array(
+            'meta_key' => self::TOKEN_META_KEY,
+            'meta_value' => $token,
+            'number' => 1,
+            'fields' => 'ID',
+        ));
+
+        return empty($users) ? 0 : (int) $users[0];
+    }
+
+    /**
+     * Staff record linked to a user, if any.
+     *
+     * @param int $user_id User ID.
+     * @return int Staff ID, or 0.
+     */
+    public static function get_staff_id($user_id) {
+        global $wpdb;
+
+        return (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT id FROM {$wpdb->prefix}snab_staff WHERE user_id = %d",
+            $user_id
+        ));
+    }
+
+    // ============ Feeds ============
+
+    /**
+     * Appointments in a user's feed, cancelled ones included.
+     *
+     * @param int    $user_id User ID.
+     * @param string $scope   Feed scope.
+     * @return array Appointment objects.
+     */
+    public static function get_feed_appointments($user_id, $scope) {
+        global $wpdb;
+
+        if ($scope === self::SCOPE_STAFF) {
+            $staff_id = self::get_staff_id($user_id);
+            if (!$staff_id) {
+                return array();
+            }
+            $where = $wpdb->prepare('a.staff_id = %d', $staff_id);
+        } else {
+            $where = $wpdb->prepare('a.user_id = %d', $user_id);
+        }
+
+        $since = wp_date('Y-m-d', current_time('timestamp') - (self::FEED_PAST_DAYS * DAY_IN_SECONDS));
+
+        return $wpdb->get_results($wpdb->prepare(
+            "SELECT a.*, t.name AS type_name, t.duration_minutes, s.name AS staff_name
+             FROM {$wpdb->prefix}snab_appointments a
+             LEFT JOIN {$wpdb->prefix}snab_appointment_types t ON a.appointment_type_id = t.id
+             LEFT JOIN {$wpdb->prefix}snab_staff s ON a.staff_id = s.id
+             WHERE {$where} AND a.appointment_date >= %s
+             ORDER BY a.appointment_date ASC, a.start_time ASC",
+            $since
+        ));
+    }
+
+    /**
+     * AJAX: serve a subscription feed by token.
+     */
+    public static function serve_feed() {
+        $token = isset($_GET['token']) ? self::sanitize_token($_GET['token']) : '';
+        $scope = isset($_GET['scope']) ? self::sanitize_scope(sanitize_key($_GET['scope'])) : self::SCOPE_CLIENT;
+
+        $user_id = self::get_user_id_by_token($token);
+        if (!$user_id || ($scope === self::SCOPE_STAFF && !self::get_staff_id($user_id))) {
+            wp_die(esc_html__('Calendar feed not found.', 'sn-appointment-booking'), '', array('response' => 404));
+        }
+
+        if ($scope === self::SCOPE_STAFF) {
+            $calendar_name = sprintf(__('%s Schedule', 'sn-appointment-booking'), get_bloginfo('name'));
+        } else {
+            $calendar_name = sprintf(__('%s Appointments', 'sn-appointment-booking'), get_bloginfo('name'));
+        }
+
+        $content = SNAB_ICS_Generator::generate_feed(
+            self::get_feed_appointments($user_id, $scope),
+            $calendar_name,
+            $scope === self::SCOPE_STAFF
+        );
+
+        self::send_ics($content, sanitize_title($calendar_name) . '.ics', false);
+    }
+
+    /**
+     * AJAX: serve a signed .ics download for an appointment or tour.
+     *
+     * Cancelled appointments download as a cancellation so importing the
+     * file removes the event rather than adding it.
+     */
+    public static function serve_download() {
+        global $wpdb;
+
+        $key = isset($_GET['key']) ? self::sanitize_token($_GET['key']) : '';
+        $kind = isset($_GET['tour']) ? 'tour' : 'appointment';
+        $id = isset($_GET[$kind]) ? absint($_GET[$kind]) : 0;
+
+        if (!$id || !hash_equals(self::get_download_key($kind, $id), $key)) {
+            wp_die(esc_html__('This calendar link is not valid.', 'sn-appointment-booking'), '', array('response' => 403));
+        }
+
+        $select = "SELECT a.*, t.name AS type_name, t.duration_minutes, s.name AS staff_name, s.email AS staff_email
+                   FROM {$wpdb->prefix}snab_appointments a
+                   LEFT JOIN {$wpdb->prefix}snab_appointment_types t ON a.appointment_type_id = t.id
+                   LEFT JOIN {$wpdb->prefix}snab_staff s ON a.staff_id = s.id";
+
+        if ($kind === 'tour') {
+            $stops = $wpdb->get_results($wpdb->prepare(
+                "{$select} WHERE a.tour_id = %d ORDER BY a.tour_stop ASC",
+                $id
+            ));
+
+            if (empty($stops)) {
+                wp_die(esc_html__('Appointment not found.', 'sn-appointment-booking'), '', array('response' => 404));
+            }
+
+            $content = SNAB_ICS_Generator::generate_feed(
+                $stops,
+                sprintf(__('%s Showing Tour', 'sn-appointment-booking'), get_bloginfo('name'))
+            );
+            $filename = sprintf('showing-tour-%s.ics', $stops[0]->appointment_date);
+        } else {
+            $appointment = $wpdb->get_row($wpdb->prepare("{$select} WHERE a.id = %d", $id));
+
+            if (!$appointment) {
+                wp_die(esc_html__('Appointment not found.', 'sn-appointment-booking'), '', array('response' => 404));
+            }
+
+            if ($appointment->status === 'cancelled') {
+                $content = SNAB_ICS_Generator::generate_cancellation($appointment);
+                $filename = SNAB_ICS_Generator::get_filename($appointment, 'cancellation');
+            } else {
+                $attendees = $wpdb->get_results($wpdb->prepare(
+                    "SELECT name, email, attendee_type FROM {$wpdb->prefix}snab_appointment_attendees
+                     WHERE appointment_id = %d
+                     ORDER BY FIELD(attendee_type, 'primary', 'additional', 'cc')",
+                    $id
+                ));
+
+                $content = SNAB_ICS_Generator::generate($appointment, $attendees);
+                $filename = SNAB_ICS_Generator::get_filename($appointment);
+            }
+        }
+
+        self::send_ics($content, $filename, true);
+    }
+
+    /**
+     * Send ICS content and end the request.
+     *
+     * @param string $content    ICS content.
+     * @param string $filename   Filename.
+     * @param bool   $attachment Download (true) or show inline, as feeds are (false).
+     */
+    private static function send_ics($content, $filename, $attachment) {
+        nocache_headers();
+        header('Content-Type: text/calendar; charset=utf-8');
+        header('Content-Disposition: ' . ($attachment ? 'attachment' : 'inline') . '; filename="' . $filename . '"');
+        header('X-Robots-Tag: noindex, nofollow');
+
+        echo $content;
+        exit;
+    }
+}
@@ -48,6 +48,15 @@ class SNAB_Client_Portal_Ajax {
         add_action('wp_ajax_snab_client_cancel_appointment', array($this, 'cancel_appointment'));
         add_action('wp_ajax_snab_client_reschedule_appointment', array($this, 'reschedule_appointment'));
         add_action('wp_ajax_snab_client_get_reschedule_slots', array($this, 'get_reschedule_slots'));
+        add_action('wp_ajax_snab_client_cancel_tour', array($this, 'cancel_tour'));
+        add_action('wp_ajax_snab_client_reschedule_tour', array($this, 'reschedule_tour'));
+        add_action('wp_ajax_snab_client_get_waitlist', array($this, 'get_waitlist'));
+        add_action('wp_ajax_snab_client_join_waitlist', array($this, 'join_waitlist'));
+        add_action('wp_ajax_snab_client_leave_waitlist', array($this, 'leave_waitlist'));
+        add_action('wp_ajax_snab_client_claim_waitlist_offer', array($this, 'claim_waitlist_offer'));
+        add_action('wp_ajax_snab_client_decline_waitlist_offer', array($this, 'decline_waitlist_offer'));
+        add_action('wp_ajax_snab_client_get_calendar_feeds', array($this, 'get_calendar_feeds'));
+        add_action('wp_ajax_snab_client_reset_calendar_feeds', array($this, 'reset_calendar_feeds'));
     }
 
     /**
@@ -194,7 +203,9 @@ class SNAB_Client_Portal_Ajax {
             wp_send_json_error(__('Please select a new date and time.', 'sn-appointment-booking'));
         }
 
-        $result = $this->portal->reschedule_appointment($appointment_id, $user_id, $new_date, $new_time);
+        $client_timezone = isset($_POST['client_timezone']) ? snab_sanitize_timezone($_POST['client_timezone']) : '';
+
+        $result = $this->portal->reschedule_appointment($appointment_id, $user_id, $new_date, $new_time, $client_timezone);
 
         if ($result['success']) {
             // Return updated appointment data
@@ -258,6 +269,25 @@ class SNAB_Client_Portal_Ajax {
             wp_send_json_error(__('Invalid date format.', 'sn-appointment-booking'));
         }
 
+        // Tours move as a whole: offer start times that fit every remaining stop (v1.11.0)
+        if (!empty($appointment->tour_id)) {
+            $tour_service = new SNAB_Tour_Service();
+            $tour_slots = $tour_service->find_reschedule_slots($appointment->tour_id, $start_date, $end_date);
+
+            $formatted_slots = array();
+            foreach ($tour_slots as $date => $chains) {
+                foreach ($chains as $chain) {
+                    $formatted_slots[$date][] = SNAB_Tour_Service::format_chain($date, $chain);
+                }
+            }
+
+            wp_send_json_success(array(
+                'slots' => $formatted_slots,
+                'dates_with_availability' => array_keys($tour_slots),
+                'is_tour' => true,
+            ));
+        }
+
         // Get available slots
         $slots = $this->availability_service->get_available_slots(
             $start_date,
@@ -284,6 +314,287 @@ class SNAB_Client_Portal_Ajax {
         ));
     }
 
+    /**
+     * Cancel every remaining stop of a showing tour.
+     *
+     * @since 1.11.0
+     */
+    public function cancel_tour() {
+        check_ajax_referer('snab_client_portal_nonce', 'nonce');
+
+        if (!$this->portal->is_enabled()) {
+            wp_send_json_error(__('Client portal is not enabled.', 'sn-appointment-booking'));
+        }
+
+        $user_id = get_current_user_id();
+        if (!$user_id) {
+            wp_send_json_error(__('You must be logged in to cancel appointments.', 'sn-appointment-booking'));
+        }
+
+        $tour_id = isset($_POST['tour_id']) ? absint($_POST['tour_id']) : 0;
+        $reason = isset($_POST['reason']) ? sanitize_textarea_field($_POST['reason']) : '';
+
+        if (!$tour_id) {
+            wp_send_json_error(__('Invalid tour ID.', 'sn-appointment-booking'));
+        }
+
+        $result = $this->portal->cancel_tour($tour_id, $user_id, $reason);
+
+        if ($result['success']) {
+            wp_send_json_success(array(
+                'message' => $result['message'],
+            ));
+        } else {
+            wp_send_json_error($result['message']);
+        }
+    }
+
+    /**
+     * Move every remaining stop of a showing tour.
+     *
+     * @since 1.11.0
+     */
+    public function reschedule_tour() {
+        check_ajax_referer('snab_client_portal_nonce', 'nonce');
+
+        if (!$this->portal->is_enabled()) {
+            wp_send_json_error(__('Client portal is not enabled.', 'sn-appointment-booking'));
+        }
+
+        $user_id = get_current_user_id();
+        if (!$user_id) {
+            wp_send_json_error(__('You must be logged in to reschedule appointments.', 'sn-appointment-booking'));
+        }
+
+        $tour_id = isset($_POST['tour_id']) ? absint($_POST['tour_id']) : 0;
+        $new_date = isset($_POST['new_date']) ? sanitize_text_field($_POST['new_date']) : '';
+        $new_time = isset($_POST['new_time']) ? sanitize_text_field($_POST['new_time']) : '';
+
+        if (!$tour_id) {
+            wp_send_json_error(__('Invalid tour ID.', 'sn-appointment-booking'));
+        }
+
+        if (empty($new_date) || empty($new_time)) {
+            wp_send_json_error(__('Please select a new date and time.', 'sn-appointment-booking'));
+        }
+
+        $client_timezone = isset($_POST['client_timezone']) ? snab_sanitize_timezone($_POST['client_timezone']) : '';
+
+        $result = $this->portal->reschedule_tour($tour_id, $user_id, $new_date, $new_time, $client_timezone);
+
+        if ($result['success']) {
+            wp_send_json_success(array(
+                'message' => $result['message'],
+            ));
+        } else {
+            wp_send_json_error($result['message']);
+        }
+    }
+
+    /**
+     * Get the user's open waitlist entries.
+     *
+     * @since 1.13.0
+     */
+    public function get_waitlist() {
+        check_ajax_referer('snab_client_portal_nonce', 'nonce');
+
+        if (!$this->portal->is_enabled()) {
+            wp_send_json_error(__('Client portal is not enabled.', 'sn-appointment-booking'));
+        }
+
+        $user_id = get_current_user_id();
+        if (!$user_id) {
+            wp_send_json_error(__('You must be logged in to view your waitlist.', 'sn-appointment-booking'));
+        }
+
+        $waitlist = new SNAB_Waitlist_Service();
+        $entries = array();
+        foreach ($waitlist->get_user_entries($user_id) as $entry) {
+            $entries[] = $waitlist->format_entry($entry);
+        }
+
+        wp_send_json_success(array(
+            'entries' => $entries,
+        ));
+    }
+
+    /**
+     * Join the waitlist for a fully booked day.
+     *
+     * @since 1.13.0
+     */
+    public function join_waitlist() {
+        check_ajax_referer('snab_client_portal_nonce', 'nonce');
+
+        if (!$this->portal->is_enabled()) {
+            wp_send_json_error(__('Client portal is not enabled.', 'sn-appointment-booking'));
+        }
+
+        $user = wp_get_current_user();
+        if (!$user->ID) {
+            wp_send_json_error(__('You must be logged in to join the waitlist.', 'sn-appointment-booking'));
+        }
+
+        $date = isset($_POST['date']) ? sanitize_text_field($_POST['date']) : '';
+        if (!$this->validate_date($date)) {
+            wp_send_json_error(__('Please select a valid date.', 'sn-appointment-booking'));
+        }
+
+        $waitlist = new SNAB_Waitlist_Service();
+        $entry = $waitlist->join(array(
+            'type_id' => isset($_POST['type_id']) ? absint($_POST['type_id']) : 0,
+            'date' => $date,
+            'user_id' => $user->ID,
+            'client_name' => $user->display_name,
+            'client_email' => $user->user_email,
+            'client_timezone' => isset($_POST['client_timezone']) ? snab_sanitize_timezone($_POST['client_timezone']) : '',
+            'claim_url' => wp_validate_redirect(wp_get_referer(), ''),
+        ));
+
+        if (is_wp_error($entry)) {
+            wp_send_json_error($entry->get_error_message());
+        }
+
+        wp_send_json_success(array(
+            'message' => __('You are on the waitlist. We will email you if a time opens up.', 'sn-appointment-booking'),
+            'entry' => $waitlist->format_entry($entry),
+        ));
+    }
+
+    /**
+     * Leave the waitlist.
+     *
+     * @since 1.13.0
+     */
+    public function leave_waitlist() {
+        check_ajax_referer('snab_client_portal_nonce', 'nonce');
+
+        $user_id = get_current_user_id();
+        if (!$user_id) {
+            wp_send_json_error(__('You must be logged in.', 'sn-appointment-booking'));
+        }
+
+        $entry_id = isset($_POST['entry_id']) ? absint($_POST['entry_id']) : 0;
+
+        $result = (new SNAB_Waitlist_Service())->leave($entry_id, $user_id);
+
+        if (is_wp_error($result)) {
+            wp_send_json_error($result->get_error_message());
+        }
+
+        wp_send_json_success(array(
+            'message' => __('You have been removed from the waitlist.', 'sn-appointment-booking'),
+        ));
+    }
+
+    /**
+     * Book the slot held by one of the user's waitlist offers.
+     *
+     * @since 1.13.0
+     */
+    public function claim_waitlist_offer() {
+        check_ajax_referer('snab_client_portal_nonce', 'nonce');
+
+        $entry = $this->get_waitlist_offer_entry();
+        $client_timezone = isset($_POST['client_timezone']) ? snab_sanitize_timezone($_POST['client_timezone']) : '';
+
+        $result = (new SNAB_Waitlist_Service())->claim_offer($entry->offer_token, $client_timezone);
+
+        if (is_wp_error($result)) {
+            wp_send_json_error($result->get_error_message());
+        }
+
+        wp_send_json_success(array(
+            'message' => __('Your appointment has been booked.', 'sn-appointment-booking'),
+            'appointment_id' => $result['appointment_id'],
+        ));
+    }
+
+    /**
+     * Turn down one of the user's waitlist offers.
+     *
+     * @since 1.13.0
+     */
+    public function decline_waitlist_offer() {
+        check_ajax_referer('snab_client_portal_nonce', 'nonce');
+
+        $entry = $this->get_waitlist_offer_entry();
+
+        $result = (new SNAB_Waitlist_Service())->decline_offer($entry->offer_token);
+
+        if (is_wp_error($result)) {
+            wp_send_json_error($result->get_error_message());
+        }
+
+        wp_send_json_success(array(
+            'message' => __('No problem - we have passed this time on to the next person.', 'sn-appointment-booking'),
+        ));
+    }
+
+    /**
+     * Get the user's private calendar subscription links.
+     *
+     * @since 1.14.0
+     */
+    public function get_calendar_feeds() {
+        check_ajax_referer('snab_client_portal_nonce', 'nonce');
+
+        $user_id = get_current_user_id();
+        if (!$user_id) {
+            wp_send_json_error(__('You must be logged in.', 'sn-appointment-booking'));
+        }
+
+        wp_send_json_success(array(
+            'feeds' => SNAB_Calendar_Feed::get_feed_urls($user_id),
+        ));
+    }
+
+    /**
+     * Replace the user's calendar links, e.g. after sharing one by mistake.
+     *
+     * @since 1.14.0
+     */
+    public function reset_calendar_feeds() {
+        check_ajax_referer('snab_client_portal_nonce', 'nonce');
+
+        $user_id = get_current_user_id();
+        if (!$user_id) {
+            wp_send_json_error(__('You must be logged in.', 'sn-appointment-booking'));
+        }
+
+        SNAB_Calendar_Feed::reset_token($user_id);
+
+        wp_send_json_success(array(
+            'feeds' => SNAB_Calendar_Feed::get_feed_urls($user_id),
+            'message' => __('Your calendar links have been replaced. Calendars using the old links will stop updating.', 'sn-appointment-booking'),
+        ));
+    }
+
+    /**
+     * Get the current user's offered waitlist entry from the request.
+     *
+     * Sends a JSON error and exits when there is no such offer.
+     *
+     * @since 1.13.0
+     * @return object Waitlist entry.
+     */
+    private function get_waitlist_offer_entry() {
+        $user_id = get_current_user_id();
+        if (!$user_id) {
+            wp_send_json_error(__('You must be logged in.', 'sn-appointment-booking'));
+        }
+
+        $entry_id = isset($_POST['entry_id']) ? absint($_POST['entry_id']) : 0;
+        $entry = (new SNAB_Waitlist_Service())->get_user_entry($entry_id, $user_id);
+
+        if (!$entry || $entry->status !== 'offered' || empty($entry->offer_token)) {
+            wp_send_json_error(__('This offer is no longer available.', 'sn-appointment-booking'));
+        }
+
+        return $entry;
+    }
+
     /**
      * Format appointment object for JSON response.
      *
@@ -312,6 +623,11 @@ class SNAB_Client_Portal_Ajax {
             'is_upcoming' => $appointment->is_upcoming,
             'reschedule_count' => (int) $appointment->reschedule_count,
             'google_synced' => (bool) $appointment->google_calendar_synced,
+            'tour_id' => $appointment->tour_id ? (int) $appointment->tour_id : null,
+            'tour_stop' => $appointment->tour_stop ? (int) $appointment->tour_stop : null,
+            'tour_stop_count' => $appointment->tour_id ? (int) $appointment->tour_stop_count : null,
+            'client_timezone' => $appointment->client_timezone,
+            'ics_url' => SNAB_Calendar_Feed::get_appointment_download_url($appointment),
         );
     }
 
@@ -85,6 +85,7 @@ class SNAB_Client_Portal {
         $appointments_table = $wpdb->prefix . 'snab_appointments';
         $types_table = $wpdb->prefix . 'snab_appointment_types';
         $staff_table = $wpdb->prefix . 'snab_staff';
+        $tours_table = $wpdb->prefix . 'snab_tours';
 
         $today = wp_date('Y-m-d');
         $past_date = wp_date('Y-m-d', current_time('timestamp') - ($days_past * DAY_IN_SECONDS));
@@ -139,9 +140,10 @@ class SNAB_Client_Portal {
         // Get appointments with type information
         $order = ($status === 'past') ? 'DESC' : 'ASC';
         $query_sql = $wpdb->prepare(
-            "SELECT a.*, t.name AS type_name, t.color AS type_color, t.duration_minutes
+            "SELECT a.*, t.name AS type_name, t.color AS type_color, t.duration_minutes, tr.stop_count AS tour_stop_count
              FROM {$appointments_table} a
              LEFT JOIN {$types_table} t ON a.appointment_type_id = t.id
+             LEFT JOIN {$tours_table} tr ON a.tour_id = tr.id
              WHERE {$where_sql}
              ORDER BY a.appointment_date {$order}, a.start_time {$order}
              LIMIT %d OFFSET %d",
@@ -185,6 +187,7 @@ class SNAB_Client_Portal {
         $appointments_table = $wpdb->prefix . 'snab_appointments';
         $types_table = $wpdb->prefix . 'snab_appointment_types';
         $staff_table = $wpdb->prefix . 'snab_staff';
+        $tours_table = $wpdb->prefix . 'snab_tours';
 
         // Check if user is a staff member (staff can access appointments booked WITH them)
         $staff_id = $wpdb->get_var($wpdb->prepare(
@@ -196,9 +199,10 @@ class SNAB_Client_Portal {
         if ($staff_id) {
             // Staff can access appointments they booked OR appointments booked with them
             $appointment = $wpdb->get_row($wpdb->prepare(
-                "SELECT a.*, t.name AS type_name, t.color AS type_color, t.duration_minutes
+                "SELECT a.*, t.name AS type_name, t.color AS type_color, t.duration_minutes, tr.stop_count AS tour_stop_count
                  FROM {$appointments_table} a
                  LEFT JOIN {$types_table} t ON a.appointment_type_id = t.id
+                 LEFT JOIN {$tours_table} tr ON a.tour_id = tr.id
                  WHERE a.id = %d AND (a.user_id = %d OR a.staff_id = %d)",
                 $appointment_id,
                 $user_id,
@@ -207,9 +211,10 @@ class SNAB_Client_Portal {
         } else {
             // Regular clients can only access their own appointments
             $appointment = $wpdb->get_row($wpdb->prepare(
-                "SELECT a.*, t.name AS type_name, t.color AS type_color, t.duration_minutes
+                "SELECT a.*, t.name AS type_name, t.color AS type_color, t.duration_minutes, tr.stop_count AS tour_stop_count
                  FROM {$appointments_table} a
                  LEFT JOIN {$types_table} t ON a.appointment_type_id = t.id
+                 LEFT JOIN {$tours_table} tr ON a.tour_id = tr.id
                  WHERE a.id = %d AND a.user_id = %d",
                 $appointment_id,
                 $user_id
@@ -223,6 +228,7 @@ class SNAB_Client_Portal {
             // Determine if current user is the staff member (staff bypass time restrictions)
             $is_staff_viewing = $staff_id && ($appointment->staff_id == $staff_id);
 
+            $appointment->is_staff_viewing = $is_staff_viewing;
             $appointment->can_cancel = $this->can_user_cancel_appointment($appointment, $now, $apt_timestamp, $is_staff_viewing);
             $appointment->can_reschedule = $this->can_user_reschedule_appointment($appointment, $now, $apt_timestamp, $is_staff_viewing);
             $appointment->formatted_date = snab_format_date($appointment->appointment_date);
@@ -405,6 +411,9 @@ class SNAB_Client_Portal {
         $notifications = snab_notifications();
         $notifications->send_client_cancel_client_notification($appointment_id);
 
+        // Offer the freed slot to the waitlist (v1.13.0)
+        (new SNAB_Waitlist_Service())->release_slot($appointment);
+
         SNAB_Logger::info('Client cancelled appointment', array(
             'appointment_id' => $appointment_id,
             'user_id' => $user_id,
@@ -424,12 +433,13 @@ class SNAB_Client_Portal {
      * @param int    $user_id        User ID.
      * @param string $new_date       New date (Y-m-d).
      * @param string $new_time       New time (H:i).
+     * @param string $client_timezone Client's IANA timezone, stored when the client reschedules (since 1.12.0).
      * @return array {
      *     @type bool   $success Whether reschedule succeeded.
      *     @type string $message Success/error message.
      * }
      */
-    public function reschedule_appointment($appointment_id, $user_id, $new_date, $new_time) {
+    public function reschedule_appointment($appointment_id, $user_id, $new_date, $new_time, $client_timezone = '') {
         global $wpdb;
 
         // Get the appointment and verify ownership
@@ -515,11 +525,17 @@ class SNAB_Client_Portal {
             $update_data['original_datetime'] = $old_date . ' ' . $old_time;
         }
 
+        // Keep the client's timezone current for emails (v1.12.0) - not the staff member's
+        $client_timezone = snab_sanitize_timezone($client_timezone);
+        if ($client_timezone && empty($appointment->is_staff_viewing)) {
+            $update_data['client_timezone'] = $client_timezone;
+        }
+
         $result = $wpdb->update(
             $appointments_table,
             $update_data,
             array('id' => $appointment_id),
-            array('%s', '%s', '%s', '%d', '%s', '%s', '%s'),
+            array('%s', '%s', '%s', '%d', '%s', '%s', '%s', '%s'),
             array('%d')
         );
 
@@ -599,6 +615,9 @@ class SNAB_Client_Portal {
         // Send confirmation to client
         $notifications->send_client_reschedule_client_notification($appointment_id, $old_date, $old_time);
 
+        // $appointment still holds the old date/time - offer that slot to the waitlist (v1.13.0)
+        (new SNAB_Waitlist_Service())->release_slot($appointment);
+
         SNAB_Logger::info('Client rescheduled appointment', array(
             'appointment_id' => $appointment_id,
             'user_id' => $user_id,
@@ -614,6 +633,188 @@ class SNAB_Client_Portal {
         );
     }
 
+    /**
+     * Cancel every remaining stop of a showing tour by client.
+     *
+     * Ownership and the cancellation window are checked against the
+     * tour's first remaining stop.
+     *
+     * @since 1.11.0
+     * @param int    $tour_id Tour ID.
+     * @param int    $user_id User ID.
+     * @param string $reason  Cancellation reason.
+     * @return array {
+     *     @type bool   $success Whether cancellation succeeded.
+     *     @type string $message Success/error message.
+     * }
+     */
+    public function cancel_tour($tour_id, $user_id, $reason = '') {
+        $first_stop = $this->get_user_tour_first_stop($tour_id, $user_id);
+
+        if (!$first_stop) {
+            return array(
+                'success' => false,
+                'message' => __('Tour not found or you do not have permission to cancel it.', 'sn-appointment-booking'),
+            );
+        }
+
+        if (!$first_stop->can_cancel) {
+            $min_hours = (int) get_option('snab_cancellation_hours_before', 24);
+            return array(
+                'success' => false,
+                'message' => sprintf(
+                    __('This tour cannot be cancelled. Cancellations must be made at least %d hours in advance.', 'sn-appointment-booking'),
+                    $min_hours
+                ),
+            );
+        }
+
+        // Check if reason is required
+        $require_reason = get_option('snab_require_cancel_reason', '1') === '1';
+        if ($require_reason && empty(trim($reason))) {
+            return array(
+                'success' => false,
+                'message' => __('Please provide a reason for cancellation.', 'sn-appointment-booking'),
+            );
+        }
+
+        $tour_service = new SNAB_Tour_Service();
+        $result = $tour_service->cancel_tour($tour_id, sanitize_textarea_field($reason), $first_stop->is_staff_viewing ? 'staff' : 'client');
+
+        if (is_wp_error($result)) {
+            return array(
+                'success' => false,
+                'message' => $result->get_error_message(),
+            );
+        }
+
+        snab_notifications()->send_tour_cancellation($tour_id, $reason);
+
+        return array(
+            'success' => true,
+            'message' => __('Your tour has been cancelled successfully.', 'sn-appointment-booking'),
+        );
+    }
+
+    /**
+     * Move every remaining stop of a showing tour by client.
+     *
+     * The stops keep their order and drive buffers; $new_time is the
+     * start of the first stop.
+     *
+     * @since 1.11.0
+     * @param int    $tour_id  Tour ID.
+     * @param int    $user_id  User ID.
+     * @param string $new_date New date (Y-m-d).
+     * @param string $new_time New first stop start (H:i).
+     * @param string $client_timezone Client's IANA timezone, stored when the client reschedules (since 1.12.0).
+     * @return array {
+     *     @type bool   $success Whether reschedule succeeded.
+     *     @type string $message Success/error message.
+     * }
+     */
+    public function reschedule_tour($tour_id, $user_id, $new_date, $new_time, $client_timezone = '') {
+        $first_stop = $this->get_user_tour_first_stop($tour_id, $user_id);
+
+        if (!$first_stop) {
+            return array(
+                'success' => false,
+                'message' => __('Tour not found or you do not have permission to reschedule it.', 'sn-appointment-booking'),
+            );
+        }
+
+        if (!$first_stop->can_reschedule) {
+            $max_reschedules = (int) get_option('snab_max_reschedules_per_appointment', 2);
+            if ($max_reschedules > 0 && (int) $first_stop->reschedule_count >= $max_reschedules) {
+                return array(
+                    'success' => false,
+                    'message' => sprintf(
+                        __('This tour has reached the maximum number of reschedules (%d).', 'sn-appointment-booking'),
+                        $max_reschedules
+                    ),
+                );
+            }
+
+            $min_hours = (int) get_option('snab_reschedule_hours_before', 24);
+            return array(
+                'success' => false,
+                'message' => sprintf(
+                    __('This tour cannot be rescheduled. Changes must be made at least %d hours in advance.', 'sn-appointment-booking'),
+                    $min_hours
+                ),
+            );
+        }
+
+        if (!$this->validate_date($new_date)) {
+            return array(
+                'success' => false,
+                'message' => __('Invalid date format.', 'sn-appointment-booking'),
+            );
+        }
+
+        if (!$this->validate_time($new_time)) {
+            return array(
+                'success' => false,
+                'message' => __('Invalid time format.', 'sn-appointment-booking'),
+            );
+        }
+
+        $old_date = $first_stop->appointment_date;
+        $old_time = $first_stop->start_time;
+
+        $tour_service = new SNAB_Tour_Service();
+        $result = $tour_service->reschedule_tour($tour_id, $new_date, substr($new_time, 0, 5), $first_stop->is_staff_viewing ? 'staff' : 'client');
+
+        if (is_wp_error($result)) {
+            return array(
+                'success' => false,
+                'message' => $result->get_error_message(),
+            );
+        }
+
+        // Keep the client's timezone current for emails (v1.12.0) - not the staff member's
+        $client_timezone = snab_sanitize_timezone($client_timezone);
+        if ($client_timezone && !$first_stop->is_staff_viewing) {
+            global $wpdb;
+            $wpdb->update(
+                $wpdb->prefix . 'snab_appointments',
+                array('client_timezone' => $client_timezone),
+                array('tour_id' => $tour_id),
+                array('%s'),
+                array('%d')
+            );
+        }
+
+        snab_notifications()->send_tour_reschedule($tour_id, $old_date, $old_time);
+
+        return array(
+            'success' => true,
+            'message' => __('Your tour has been rescheduled successfully.', 'sn-appointment-booking'),
+        );
+    }
+
+    /**
+     * Get the first remaining stop of a tour, if the user may manage it.
+     *
+     * @since 1.11.0
+     * @param int $tour_id Tour ID.
+     * @param int $user_id User ID.
+     * @return object|null Appointment (see get_user_appointment()) or null.
+     */
+    public function get_user_tour_first_stop($tour_id, $user_id) {
+        global $wpdb;
+
+        $appointment_id = $wpdb->get_var($wpdb->prepare(
+            "SELECT id FROM {$wpdb->prefix}snab_appointments
+             WHERE tour_id = %d AND status IN ('pending', 'confirmed')
+             ORDER BY tour_stop ASC
+             LIMIT 1",
+            $tour_id
+        ));
+
+        return $appointment_id ? $this->get_user_appointment($appointment_id, $user_id) : null;
+    }
+
     /**
      * Get cancellation policy text.
      *
@@ -56,5 +56,6 @@ class SNAB_Deactivator {
         // Clear any other scheduled events
         wp_clear_scheduled_hook('snab_send_reminders');
         wp_clear_scheduled_hook('snab_cleanup_expired');
+        wp_unschedule_hook('snab_waitlist_offer_expired');
     }
 }
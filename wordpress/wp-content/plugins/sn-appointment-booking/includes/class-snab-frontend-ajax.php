@@ -51,6 +51,29 @@ class SNAB_Frontend_Ajax {
         add_action('wp_ajax_snab_book_appointment', array($this, 'book_appointment'));
         add_action('wp_ajax_nopriv_snab_book_appointment', array($this, 'book_appointment'));
 
+        // Showing tours (v1.11.0)
+        add_action('wp_ajax_snab_search_tour_listings', array($this, 'search_tour_listings'));
+        add_action('wp_ajax_nopriv_snab_search_tour_listings', array($this, 'search_tour_listings'));
+
+        add_action('wp_ajax_snab_get_tour_slots', array($this, 'get_tour_slots'));
+        add_action('wp_ajax_nopriv_snab_get_tour_slots', array($this, 'get_tour_slots'));
+
+        add_action('wp_ajax_snab_book_tour', array($this, 'book_tour'));
+        add_action('wp_ajax_nopriv_snab_book_tour', array($this, 'book_tour'));
+
+        // Waitlist (v1.13.0)
+        add_action('wp_ajax_snab_join_waitlist', array($this, 'join_waitlist'));
+        add_action('wp_ajax_nopriv_snab_join_waitlist', array($this, 'join_waitlist'));
+
+        add_action('wp_ajax_snab_get_waitlist_offer', array($this, 'get_waitlist_offer'));
+        add_action('wp_ajax_nopriv_snab_get_waitlist_offer', array($this, 'get_waitlist_offer'));
+
+        add_action('wp_ajax_snab_claim_waitlist_offer', array($this, 'claim_waitlist_offer'));
+        add_action('wp_ajax_nopriv_snab_claim_waitlist_offer', array($this, 'claim_waitlist_offer'));
+
+        add_action('wp_ajax_snab_decline_waitlist_offer', array($this, 'decline_waitlist_offer'));
+        add_action('wp_ajax_nopriv_snab_decline_waitlist_offer', array($this, 'decline_waitlist_offer'));
+
         // Agent client search (logged-in agents only)
         add_action('wp_ajax_snab_get_agent_clients', array($this, 'get_agent_clients'));
     }
@@ -100,6 +123,7 @@ class SNAB_Frontend_Ajax {
      *
      * @since 1.0.0
      * @since 1.2.0 Added support for allowed_days, start_hour, end_hour filters.
+     * @since 1.13.0 Returns fully booked dates for the waitlist.
      */
     public function get_availability() {
         check_ajax_referer('snab_frontend_nonce', 'nonce');
@@ -134,6 +158,7 @@ class SNAB_Frontend_Ajax {
         wp_send_json_success(array(
             'dates' => $dates_with_availability,
             'slots' => $slots,
+            'full_dates' => $this->availability_service->get_full_dates($start_date, $end_date, $type_id, null, $filters, $slots),
         ));
     }
 
@@ -195,44 +220,13 @@ class SNAB_Frontend_Ajax {
         $client_name = isset($_POST['client_name']) ? sanitize_text_field($_POST['client_name']) : '';
         $client_email = isset($_POST['client_email']) ? sanitize_email($_POST['client_email']) : '';
         $client_phone = isset($_POST['client_phone']) ? sanitize_text_field($_POST['client_phone']) : '';
+        $client_timezone = isset($_POST['client_timezone']) ? snab_sanitize_timezone($_POST['client_timezone']) : '';
         $property_address = isset($_POST['property_address']) ? sanitize_text_field($_POST['property_address']) : '';
         $client_notes = isset($_POST['client_notes']) ? sanitize_textarea_field($_POST['client_notes']) : '';
 
         // Multi-attendee fields (v1.10.0)
-        $additional_clients = array();
-        if (!empty($_POST['additional_clients'])) {
-            $raw_additional = is_array($_POST['additional_clients'])
-                ? $_POST['additional_clients']
-                : json_decode(stripslashes($_POST['additional_clients']), true);
-
-            if (is_array($raw_additional)) {
-                foreach ($raw_additional as $client) {
-                    if (!empty($client['name']) && !empty($client['email'])) {
-                        $additional_clients[] = array(
-                            'name' => sanitize_text_field($client['name']),
-                            'email' => sanitize_email($client['email']),
-                            'phone' => isset($client['phone']) ? sanitize_text_field($client['phone']) : '',
-                        );
-                    }
-                }
-            }
-        }
-
-        $cc_emails = array();
-        if (!empty($_POST['cc_emails'])) {
-            $raw_cc = is_array($_POST['cc_emails'])
-                ? $_POST['cc_emails']
-                : json_decode(stripslashes($_POST['cc_emails']), true);
-
-            if (is_array($raw_cc)) {
-                foreach ($raw_cc as $email) {
-                    $clean_email = sanitize_email($email);
-                    if (is_email($clean_email)) {
-                        $cc_emails[] = $clean_email;
-                    }
-                }
-            }
-        }
+        $additional_clients = $this->parse_additional_clients($_POST);
+        $cc_emails = $this->parse_cc_emails($_POST);
 
         // Validate required fields
         $errors = array();
@@ -279,28 +273,7 @@ class SNAB_Frontend_Ajax {
         }
 
         // Get staff ID - use selected staff or fall back to primary
-        $staff_table = $wpdb->prefix . 'snab_staff';
-
-        if ($selected_staff_id > 0) {
-            // Verify selected staff exists and is active
-            $staff_id = $wpdb->get_var($wpdb->prepare(
-                "SELECT id FROM {$staff_table} WHERE id = %d AND is_active = 1",
-                $selected_staff_id
-            ));
-
-            if (!$staff_id) {
-                wp_send_json_error(__('Selected staff member is not available. Please try again.', 'sn-appointment-booking'));
-            }
-        } else {
-            // No staff selected - use primary staff
-            $staff_id = $wpdb->get_var(
-                "SELECT id FROM {$staff_table} WHERE is_primary = 1 AND is_active = 1 LIMIT 1"
-            );
-        }
-
-        if (!$staff_id) {
-            wp_send_json_error(__('No staff available. Please contact us directly.', 'sn-appointment-booking'));
-        }
+        $staff_id = $this->resolve_staff_id($selected_staff_id);
 
         // Calculate end time
         $start_datetime = new DateTime($date . ' ' . $time, wp_timezone());
@@ -340,11 +313,12 @@ class SNAB_Frontend_Ajax {
                 'client_name' => $client_name,
                 'client_email' => $client_email,
                 'client_phone' => $client_phone,
+                'client_timezone' => $client_timezone ?: null,
                 'property_address' => $property_address,
                 'client_notes' => $client_notes,
                 'created_at' => current_time('mysql'),
             ),
-            array('%d', '%d', '%s', '%s', '%s', '%s', '%d', '%s', '%s', '%s', '%s', '%s', '%s')
+            array('%d', '%d', '%s', '%s', '%s', '%s', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s')
         );
 
         if ($result === false) {
@@ -508,17 +482,446 @@ class SNAB_Frontend_Ajax {
             'type_color' => $appointment_type->color,
             'date' => snab_format_date($date),
             'time' => snab_format_time($date, $time),
+            'local_time' => snab_format_client_time($date, $time, $client_timezone),
             'duration' => $appointment_type->duration_minutes,
             'client_name' => $client_name,
             'client_email' => $client_email,
             'google_synced' => !empty($google_event_id),
             'attendees' => $attendees,
             'attendee_count' => count($attendees),
+            'ics_url' => SNAB_Calendar_Feed::get_download_url($appointment_id),
         );
 
         wp_send_json_success($response);
     }
 
+    /**
+     * Search listings to add as tour stops.
+     *
+     * @since 1.11.0
+     */
+    public function search_tour_listings() {
+        check_ajax_referer('snab_frontend_nonce', 'nonce');
+
+        $term = isset($_POST['term']) ? sanitize_text_field($_POST['term']) : '';
+
+        $tour_service = new SNAB_Tour_Service();
+
+        wp_send_json_success(array(
+            'listings' => $tour_service->search_listings($term),
+        ));
+    }
+
+    /**
+     * Get chained tour start times for a date.
+     *
+     * @since 1.11.0
+     */
+    public function get_tour_slots() {
+        check_ajax_referer('snab_frontend_nonce', 'nonce');
+
+        $date = isset($_POST['date']) ? sanitize_text_field($_POST['date']) : '';
+        $type_id = isset($_POST['type_id']) ? absint($_POST['type_id']) : 0;
+        $selected_staff_id = isset($_POST['staff_id']) ? absint($_POST['staff_id']) : 0;
+        $filters = $this->parse_availability_filters($_POST);
+
+        if (empty($date) || !$this->validate_date($date)) {
+            wp_send_json_error(__('Invalid date format.', 'sn-appointment-booking'));
+        }
+
+        $appointment_type = $this->get_appointment_type($type_id);
+        if (!$appointment_type) {
+            wp_send_json_error(__('Invalid appointment type.', 'sn-appointment-booking'));
+        }
+
+        $tour_service = new SNAB_Tour_Service();
+        $stops = $tour_service->resolve_stops($this->parse_json_field($_POST, 'stops'));
+        if (is_wp_error($stops)) {
+            wp_send_json_error($stops->get_error_message());
+        }
+
+        $staff_id = $this->resolve_staff_id($selected_staff_id);
+        $slots = $tour_service->find_tour_slots($date, $date, $appointment_type, $staff_id, $stops, $filters);
+
+        $options = array();
+        if (isset($slots[$date])) {
+            foreach ($slots[$date] as $chain) {
+                $options[] = SNAB_Tour_Service::format_chain($date, $chain);
+            }
+        }
+
+        wp_send_json_success(array(
+            'date' => $date,
+            'stops' => $stops,
+            'legs' => SNAB_Tour_Service::get_drive_legs($stops),
+            'options' => $options,
+        ));
+    }
+
+    /**
+     * Book a showing tour (one appointment per stop).
+     *
+     * @since 1.11.0
+     */
+    public function book_tour() {
+        // Verify the booking form nonce
+        if (!isset($_POST['snab_booking_nonce']) || !wp_verify_nonce($_POST['snab_booking_nonce'], 'snab_book_appointment')) {
+            wp_send_json_error(__('Security check failed. Please refresh the page and try again.', 'sn-appointment-booking'));
+        }
+
+        $type_id = isset($_POST['appointment_type_id']) ? absint($_POST['appointment_type_id']) : 0;
+        $selected_staff_id = isset($_POST['staff_id']) ? absint($_POST['staff_id']) : 0;
+        $date = isset($_POST['appointment_date']) ? sanitize_text_field($_POST['appointment_date']) : '';
+        $time = isset($_POST['appointment_time']) ? sanitize_text_field($_POST['appointment_time']) : '';
+        $client_name = isset($_POST['client_name']) ? sanitize_text_field($_POST['client_name']) : '';
+        $client_email = isset($_POST['client_email']) ? sanitize_email($_POST['client_email']) : '';
+        $client_phone = isset($_POST['client_phone']) ? sanitize_text_field($_POST['client_phone']) : '';
+        $client_timezone = isset($_POST['client_timezone']) ? snab_sanitize_timezone($_POST['client_timezone']) : '';
+        $client_notes = isset($_POST['client_notes']) ? sanitize_textarea_field($_POST['client_notes']) : '';
+
+        // Validate required fields
+        $errors = array();
+
+        if (empty($date) || !$this->validate_date($date)) {
+            $errors[] = __('Please select a valid date.', 'sn-appointment-booking');
+        }
+
+        if (empty($time) || !$this->validate_time($time)) {
+            $errors[] = __('Please select a valid time.', 'sn-appointment-booking');
+        }
+
+        if (empty($client_name)) {
+            $errors[] = __('Please enter your name.', 'sn-appointment-booking');
+        }
+
+        if (empty($client_email) || !is_email($client_email)) {
+            $errors[] = __('Please enter a valid email address.', 'sn-appointment-booking');
+        }
+
+        if (!empty($errors)) {
+            wp_send_json_error(implode(' ', $errors));
+        }
+
+        $appointment_type = $this->get_appointment_type($type_id);
+        if (!$appointment_type) {
+            wp_send_json_error(__('Invalid appointment type.', 'sn-appointment-booking'));
+        }
+
+        $tour_service = new SNAB_Tour_Service();
+        $stops = $tour_service->resolve_stops($this->parse_json_field($_POST, 'stops'));
+        if (is_wp_error($stops)) {
+            wp_send_json_error($stops->get_error_message());
+        }
+
+        // Same user matching as single bookings (client_email first, then logged-in user)
+        $user_id = null;
+        $client_user = get_user_by('email', $client_email);
+        if ($client_user) {
+            $user_id = $client_user->ID;
+        } elseif (is_user_logged_in()) {
+            $user_id = get_current_user_id();
+        }
+
+        $result = $tour_service->book_tour(array(
+            'type' => $appointment_type,
+            'staff_id' => $this->resolve_staff_id($selected_staff_id),
+            'date' => $date,
+            'start_time' => substr($time, 0, 5),
+            'stops' => $stops,
+            'user_id' => $user_id,
+            'client_name' => $client_name,
+            'client_email' => $client_email,
+            'client_phone' => $client_phone,
+            'client_timezone' => $client_timezone,
+            'client_notes' => $client_notes,
+            'additional_clients' => $this->parse_additional_clients($_POST),
+            'cc_emails' => $this->parse_cc_emails($_POST),
+        ));
+
+        if (is_wp_error($result)) {
+            wp_send_json_error($result->get_error_message());
+        }
+
+        snab_notifications()->send_tour_confirmation($result['tour']->id);
+
+        $stops_response = array();
+        foreach ($result['stops'] as $stop) {
+            $stops_response[] = array(
+                'appointment_id' => (int) $stop->id,
+                'stop' => (int) $stop->tour_stop,
+                'address' => $stop->property_address,
+                'time' => snab_format_time($date, $stop->start_time),
+                'end_time' => snab_format_time($date, $stop->end_time),
+            );
+        }
+
+        wp_send_json_success(array(
+            'tour_id' => (int) $result['tour']->id,
+            'status' => $result['stops'][0]->status,
+            'type_name' => $appointment_type->name,
+            'type_color' => $appointment_type->color,
+            'date' => snab_format_date($date),
+            'time' => snab_format_time($date, $time),
+            'local_time' => snab_format_client_time($date, $time, $client_timezone),
+            'duration' => $appointment_type->duration_minutes,
+            'client_name' => $client_name,
+            'client_email' => $client_email,
+            'google_synced' => !empty($result['stops'][0]->google_calendar_synced),
+            'stops' => $stops_response,
+            'ics_url' => SNAB_Calendar_Feed::get_tour_download_url($result['tour']->id),
+        ));
+    }
+
+    /**
+     * Join the waitlist for a fully booked day.
+     *
+     * @since 1.13.0
+     */
+    public function join_waitlist() {
+        check_ajax_referer('snab_frontend_nonce', 'nonce');
+
+        $date = isset($_POST['date']) ? sanitize_text_field($_POST['date']) : '';
+        $client_email = isset($_POST['client_email']) ? sanitize_email($_POST['client_email']) : '';
+
+        if (empty($date) || !$this->validate_date($date)) {
+            wp_send_json_error(__('Please select a valid date.', 'sn-appointment-booking'));
+        }
+
+        // Offer emails link back to the page the client joined from
+        $claim_url = isset($_POST['claim_url']) ? esc_url_raw($_POST['claim_url']) : '';
+        $claim_url = $claim_url ? wp_validate_redirect(remove_query_arg('snab_waitlist_offer', $claim_url), '') : '';
+
+        // Same user matching as bookings (client_email first, then logged-in user)
+        $user_id = null;
+        $client_user = $client_email ? get_user_by('email', $client_email) : false;
+        if ($client_user) {
+            $user_id = $client_user->ID;
+        } elseif (is_user_logged_in()) {
+            $user_id = get_current_user_id();
+        }
+
+        $waitlist = new SNAB_Waitlist_Service();
+        $entry = $waitlist->join(array(
+            'type_id' => isset($_POST['type_id']) ? absint($_POST['type_id']) : 0,
+            'staff_id' => isset($_POST['staff_id']) ? absint($_POST['staff_id']) : 0,
+            'date' => $date,
+            'user_id' => $user_id,
+            'client_name' => isset($_POST['client_name']) ? sanitize_text_field($_POST['client_name']) : '',
+            'client_email' => $client_email,
+            'client_phone' => isset($_POST['client_phone']) ? sanitize_text_field($_POST['client_phone']) : '',
+            'client_timezone' => isset($_POST['client_timezone']) ? snab_sanitize_timezone($_POST['client_timezone']) : '',
+            'claim_url' => $claim_url,
+        ));
+
+        if (is_wp_error($entry)) {
+            wp_send_json_error($entry->get_error_message());
+        }
+
+        wp_send_json_success($waitlist->format_entry($entry));
+    }
+
+    /**
+     * Get a waitlist offer by its token (from the offer email link).
+     *
+     * @since 1.13.0
+     */
+    public function get_waitlist_offer() {
+        check_ajax_referer('snab_frontend_nonce', 'nonce');
+
+        $token = isset($_POST['token']) ? preg_replace('/[^A-Za-z0-9]/', '', $_POST['token']) : '';
+
+        $waitlist = new SNAB_Waitlist_Service();
+        $entry = $token ? $waitlist->get_entry_by_token($token) : null;
+
+        if (!$entry) {
+            wp_send_json_error(__('This offer is no longer available.', 'sn-appointment-booking'));
+        }
+
+        $offer = $waitlist->format_entry($entry);
+        $offer['live'] = SNAB_Waitlist_Service::is_offer_live($entry, current_time('mysql'));
+        $offer['client_name'] = $entry->client_name;
+        $offer['local_time'] = $offer['live']
+            ? snab_format_client_time($entry->waitlist_date, $entry->offered_time, $entry->client_timezone)
+            : '';
+
+        wp_send_json_success($offer);
+    }
+
+    /**
+     * Book the slot held by a waitlist offer.
+     *
+     * @since 1.13.0
+     */
+    public function claim_waitlist_offer() {
+        check_ajax_referer('snab_frontend_nonce', 'nonce');
+
+        $token = isset($_POST['token']) ? preg_replace('/[^A-Za-z0-9]/', '', $_POST['token']) : '';
+        $client_timezone = isset($_POST['client_timezone']) ? snab_sanitize_timezone($_POST['client_timezone']) : '';
+
+        $result = (new SNAB_Waitlist_Service())->claim_offer($token, $client_timezone);
+
+        if (is_wp_error($result)) {
+            wp_send_json_error($result->get_error_message());
+        }
+
+        $entry = $result['entry'];
+        $type = $result['type'];
+        $date = $entry->waitlist_date;
+        $time = substr($entry->offered_time, 0, 5);
+
+        global $wpdb;
+        $appointment = $wpdb->get_row($wpdb->prepare(
+            "SELECT status, client_timezone, google_calendar_synced FROM {$wpdb->prefix}snab_appointments WHERE id = %d",
+            $result['appointment_id']
+        ));
+
+        wp_send_json_success(array(
+            'appointment_id' => $result['appointment_id'],
+            'status' => $appointment->status,
+            'type_name' => $type->name,
+            'type_color' => $type->color,
+            'date' => snab_format_date($date),
+            'time' => snab_format_time($date, $time),
+            'local_time' => snab_format_client_time($date, $time, $appointment->client_timezone),
+            'duration' => $type->duration_minutes,
+            'client_name' => $entry->client_name,
+            'client_email' => $entry->client_email,
+            'google_synced' => !empty($appointment->google_calendar_synced),
+            'ics_url' => SNAB_Calendar_Feed::get_download_url($result['appointment_id']),
+        ));
+    }
+
+    /**
+     * Turn down a waitlist offer so the next person gets the slot.
+     *
+     * @since 1.13.0
+     */
+    public function decline_waitlist_offer() {
+        check_ajax_referer('snab_frontend_nonce', 'nonce');
+
+        $token = isset($_POST['token']) ? preg_replace('/[^A-Za-z0-9]/', '', $_POST['token']) : '';
+
+        $result = (new SNAB_Waitlist_Service())->decline_offer($token);
+
+        if (is_wp_error($result)) {
+            wp_send_json_error($result->get_error_message());
+        }
+
+        wp_send_json_success(array(
+            'message' => __('No problem - we have passed this time on to the next person.', 'sn-appointment-booking'),
+        ));
+    }
+
+    /**
+     * Get an active appointment type.
+     *
+     * @param int $type_id Appointment type ID.
+     * @return object|null
+     */
+    private function get_appointment_type($type_id) {
+        global $wpdb;
+
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$wpdb->prefix}snab_appointment_types WHERE id = %d AND is_active = 1",
+            $type_id
+        ));
+    }
+
+    /**
+     * Resolve the staff member for a booking: the selected one or the primary.
+     *
+     * Sends a JSON error and exits when no staff member is available.
+     *
+     * @param int $selected_staff_id Staff ID chosen in the widget (0 for none).
+     * @return int Staff ID.
+     */
+    private function resolve_staff_id($selected_staff_id) {
+        global $wpdb;
+
+        $staff_table = $wpdb->prefix . 'snab_staff';
+
+        if ($selected_staff_id > 0) {
+            // Verify selected staff exists and is active
+            $staff_id = $wpdb->get_var($wpdb->prepare(
+                "SELECT id FROM {$staff_table} WHERE id = %d AND is_active = 1",
+                $selected_staff_id
+            ));
+
+            if (!$staff_id) {
+                wp_send_json_error(__('Selected staff member is not available. Please try again.', 'sn-appointment-booking'));
+            }
+        } else {
+            // No staff selected - use primary staff
+            $staff_id = $wpdb->get_var(
+                "SELECT id FROM {$staff_table} WHERE is_primary = 1 AND is_active = 1 LIMIT 1"
+            );
+        }
+
+        if (!$staff_id) {
+            wp_send_json_error(__('No staff available. Please contact us directly.', 'sn-appointment-booking'));
+        }
+
+        return (int) $staff_id;
+    }
+
+    /**
+     * Decode a field posted as JSON or as an array.
+     *
+     * @param array  $data  Request data.
+     * @param string $field Field name.
+     * @return array
+     */
+    private function parse_json_field($data, $field) {
+        if (empty($data[$field])) {
+            return array();
+        }
+
+        $value = is_array($data[$field]) ? $data[$field] : json_decode(stripslashes($data[$field]), true);
+
+        return is_array($value) ? $value : array();
+    }
+
+    /**
+     * Parse additional clients (v1.10.0 multi-attendee support).
+     *
+     * @param array $data Request data.
+     * @return array Clients with name, email and phone.
+     */
+    private function parse_additional_clients($data) {
+        $additional_clients = array();
+
+        foreach ($this->parse_json_field($data, 'additional_clients') as $client) {
+            if (!empty($client['name']) && !empty($client['email'])) {
+                $additional_clients[] = array(
+                    'name' => sanitize_text_field($client['name']),
+                    'email' => sanitize_email($client['email']),
+                    'phone' => isset($client['phone']) ? sanitize_text_field($client['phone']) : '',
+                );
+            }
+        }
+
+        return $additional_clients;
+    }
+
+    /**
+     * Parse CC email addresses (v1.10.0 multi-attendee support).
+     *
+     * @param array $data Request data.
+     * @return array Valid email addresses.
+     */
+    private function parse_cc_emails($data) {
+        $cc_emails = array();
+
+        foreach ($this->parse_json_field($data, 'cc_emails') as $email) {
+            $clean_email = sanitize_email($email);
+            if (is_email($clean_email)) {
+                $cc_emails[] = $clean_email;
+            }
+        }
+
+        return $cc_emails;
+    }
+
     /**
      * Validate date format (Y-m-d).
      *
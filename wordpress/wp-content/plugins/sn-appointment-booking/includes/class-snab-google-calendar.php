@@ -935,6 +935,30 @@ class SNAB_Google_Calendar {
         return $response;
     }
 
+    /**
+     * Delete event for a staff member.
+     *
+     * @since 1.11.0
+     * @param int    $staff_id Staff member ID.
+     * @param string $event_id Google Calendar event ID.
+     * @return array|WP_Error Empty response or WP_Error.
+     */
+    public function delete_staff_event($staff_id, $event_id) {
+        $calendar_id = $this->get_staff_calendar($staff_id);
+        $endpoint = '/calendars/' . urlencode($calendar_id) . '/events/' . urlencode($event_id);
+
+        $response = $this->staff_api_request($staff_id, $endpoint, 'DELETE');
+
+        if (!is_wp_error($response)) {
+            SNAB_Logger::info('Staff Google Calendar event deleted', array(
+                'staff_id' => $staff_id,
+                'event_id' => $event_id,
+            ));
+        }
+
+        return $response;
+    }
+
     /**
      * Build Google Calendar attendees array from appointment attendees.
      *
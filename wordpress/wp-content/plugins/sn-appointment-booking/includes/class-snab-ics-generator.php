@@ -21,6 +21,11 @@ if (!defined('ABSPATH')) {
  */
 class SNAB_ICS_Generator {
 
+    /**
+     * How long subscribed calendar apps should wait between feed refreshes.
+     */
+    const FEED_REFRESH_INTERVAL = 'PT1H';
+
     /**
      * Generate an ICS file content for an appointment.
      *
@@ -47,34 +52,13 @@ class SNAB_ICS_Generator {
         $dtstamp = gmdate('Ymd\THis\Z'); // Current time in UTC
 
         // Generate unique ID
-        $uid = sprintf(
-            'appointment-%d-%s@%s',
-            $appointment->id,
-            $start_dt->format('Ymd'),
-            parse_url(home_url(), PHP_URL_HOST)
-        );
+        $uid = self::get_uid($appointment, $start_dt);
 
         // Build summary
         $summary = self::escape_ics_text($appointment->type_name);
 
         // Build description
-        $description_parts = array();
-        $description_parts[] = sprintf(__('Appointment Type: %s', 'sn-appointment-booking'), $appointment->type_name);
-
-        if (!empty($appointment->staff_name)) {
-            $description_parts[] = sprintf(__('With: %s', 'sn-appointment-booking'), $appointment->staff_name);
-        }
-
-        if (!empty($appointment->property_address)) {
-            $description_parts[] = sprintf(__('Property: %s', 'sn-appointment-booking'), $appointment->property_address);
-        }
-
-        $description_parts[] = '';
-        $description_parts[] = sprintf(__('Confirmation #%d', 'sn-appointment-booking'), $appointment->id);
-        $description_parts[] = '';
-        $description_parts[] = sprintf(__('Booked via %s', 'sn-appointment-booking'), get_bloginfo('name'));
-
-        $description = self::escape_ics_text(implode('\n', $description_parts));
+        $description = self::escape_ics_text(implode("\n", self::get_description_parts($appointment)));
 
         // Build location
         $location = '';
@@ -93,49 +77,7 @@ class SNAB_ICS_Generator {
         $ics[] = 'X-WR-TIMEZONE:' . $tz_string;
 
         // Timezone definition (important for proper local time display)
-        $ics[] = 'BEGIN:VTIMEZONE';
-        $ics[] = 'TZID:' . $tz_string;
-        $ics[] = 'X-LIC-LOCATION:' . $tz_string;
-
-        // Get timezone transitions for the year
-        $year = (int) $start_dt->format('Y');
-        $transitions = $timezone->getTransitions(
-            mktime(0, 0, 0, 1, 1, $year),
-            mktime(23, 59, 59, 12, 31, $year)
-        );
-
-        // Add standard/daylight components
-        if ($transitions) {
-            foreach ($transitions as $i => $trans) {
-                if ($i === 0) continue; // Skip the first entry
-
-                $is_dst = $trans['isdst'];
-                $component = $is_dst ? 'DAYLIGHT' : 'STANDARD';
-                $trans_dt = new DateTime('@' . $trans['ts']);
-                $trans_dt->setTimezone($timezone);
-
-                $offset_hours = (int) floor(abs($trans['offset']) / 3600);
-                $offset_mins = (int) ((abs($trans['offset']) % 3600) / 60);
-                $offset_sign = $trans['offset'] >= 0 ? '+' : '-';
-                $offset_str = sprintf('%s%02d%02d', $offset_sign, $offset_hours, $offset_mins);
-
-                // Get previous offset
-                $prev_offset = isset($transitions[$i - 1]) ? $transitions[$i - 1]['offset'] : $trans['offset'];
-                $prev_hours = (int) floor(abs($prev_offset) / 3600);
-                $prev_mins = (int) ((abs($prev_offset) % 3600) / 60);
-                $prev_sign = $prev_offset >= 0 ? '+' : '-';
-                $prev_str = sprintf('%s%02d%02d', $prev_sign, $prev_hours, $prev_mins);
-
-                $ics[] = 'BEGIN:' . $component;
-                $ics[] = 'TZOFFSETFROM:' . $prev_str;
-                $ics[] = 'TZOFFSETTO:' . $offset_str;
-                $ics[] = 'TZNAME:' . $trans['abbr'];
-                $ics[] = 'DTSTART:' . $trans_dt->format('Ymd\THis');
-                $ics[] = 'END:' . $component;
-            }
-        }
-
-        $ics[] = 'END:VTIMEZONE';
+        $ics = array_merge($ics, self::get_timezone_lines($timezone, array((int) $start_dt->format('Y'))));
 
         // Event
         $ics[] = 'BEGIN:VEVENT';
@@ -214,12 +156,7 @@ class SNAB_ICS_Generator {
         $dtstamp = gmdate('Ymd\THis\Z');
 
         // Same UID as original
-        $uid = sprintf(
-            'appointment-%d-%s@%s',
-            $appointment->id,
-            $start_dt->format('Ymd'),
-            parse_url(home_url(), PHP_URL_HOST)
-        );
+        $uid = self::get_uid($appointment, $start_dt);
 
         $summary = self::escape_ics_text($appointment->type_name . ' (Cancelled)');
 
@@ -244,6 +181,156 @@ class SNAB_ICS_Generator {
         return implode("\r\n", $ics);
     }
 
+    /**
+     * Generate a subscription feed (or multi-event download) for a set of appointments.
+     *
+     * Unlike generate(), which is a one-off invite, the feed is re-fetched by
+     * calendar apps, so every event carries its current STATUS and a SEQUENCE
+     * that grows with each reschedule. Cancelled appointments stay in the feed
+     * as STATUS:CANCELLED so subscribers drop them.
+     *
+     * @since 1.14.0
+     * @param array  $appointments  Appointment objects (with type_name, staff_name).
+     * @param string $calendar_name Calendar name shown by the calendar app.
+     * @param bool   $show_client   Whether to add the client's contact details (staff feeds).
+     * @return string ICS file content.
+     */
+    public static function generate_feed($appointments, $calendar_name, $show_client = false) {
+        $timezone = wp_timezone();
+        $tz_string = $timezone->getName();
+        $dtstamp = gmdate('Ymd\THis\Z');
+
+        $ics = array();
+        $ics[] = 'BEGIN:VCALENDAR';
+        $ics[] = 'VERSION:2.0';
+        $ics[] = 'PRODID:-//BMN Boston//Appointment Booking//EN';
+        $ics[] = 'CALSCALE:GREGORIAN';
+        $ics[] = 'METHOD:PUBLISH';
+        $ics[] = 'X-WR-CALNAME:' . self::escape_ics_text($calendar_name);
+        $ics[] = 'X-WR-TIMEZONE:' . $tz_string;
+        $ics[] = 'REFRESH-INTERVAL;VALUE=DURATION:' . self::FEED_REFRESH_INTERVAL;
+        $ics[] = 'X-PUBLISHED-TTL:' . self::FEED_REFRESH_INTERVAL;
+
+        $years = array();
+        foreach ($appointments as $appointment) {
+            $years[] = (int) substr($appointment->appointment_date, 0, 4);
+        }
+        if (empty($years)) {
+            $years[] = (int) wp_date('Y');
+        }
+        $ics = array_merge($ics, self::get_timezone_lines($timezone, array_unique($years)));
+
+        foreach ($appointments as $appointment) {
+            $start_dt = new DateTime($appointment->appointment_date . ' ' . $appointment->start_time, $timezone);
+
+            if (!empty($appointment->end_time)) {
+                $end_dt = new DateTime($appointment->appointment_date . ' ' . $appointment->end_time, $timezone);
+            } else {
+                $duration_minutes = isset($appointment->duration_minutes) ? (int) $appointment->duration_minutes : 30;
+                $end_dt = clone $start_dt;
+                $end_dt->add(new DateInterval('PT' . $duration_minutes . 'M'));
+            }
+
+            $summary = $appointment->type_name;
+            if ($show_client && !empty($appointment->client_name)) {
+                $summary .= ' - ' . $appointment->client_name;
+            }
+
+            $description_parts = self::get_description_parts($appointment);
+            if ($show_client) {
+                $client_parts = array();
+                foreach (array('client_name', 'client_email', 'client_phone') as $field) {
+                    if (!empty($appointment->$field)) {
+                        $client_parts[] = $appointment->$field;
+                    }
+                }
+                if (!empty($client_parts)) {
+                    array_splice($description_parts, 1, 0, array(
+                        sprintf(__('Client: %s', 'sn-appointment-booking'), implode(', ', $client_parts)),
+                    ));
+                }
+            }
+
+            $status = self::get_event_status($appointment->status);
+
+            $ics[] = 'BEGIN:VEVENT';
+            $ics[] = 'UID:' . self::get_uid($appointment, $start_dt);
+            $ics[] = 'DTSTAMP:' . $dtstamp;
+
+            $modified = !empty($appointment->updated_at) ? $appointment->updated_at : (isset($appointment->created_at) ? $appointment->created_at : '');
+            if (!empty($modified)) {
+                $modified_dt = new DateTime($modified, $timezone);
+                $modified_dt->setTimezone(new DateTimeZone('UTC'));
+                $ics[] = 'LAST-MODIFIED:' . $modified_dt->format('Ymd\THis\Z');
+            }
+
+            $ics[] = 'DTSTART;TZID=' . $tz_string . ':' . $start_dt->format('Ymd\THis');
+            $ics[] = 'DTEND;TZID=' . $tz_string . ':' . $end_dt->format('Ymd\THis');
+            $ics[] = 'SUMMARY:' . self::escape_ics_text($summary);
+            $ics[] = 'DESCRIPTION:' . self::escape_ics_text(implode("\n", $description_parts));
+
+            if (!empty($appointment->property_address)) {
+                $ics[] = 'LOCATION:' . self::escape_ics_text($appointment->property_address);
+            }
+
+            // Only live appointments get a reminder
+            if ($status !== 'CANCELLED') {
+                $ics[] = 'BEGIN:VALARM';
+                $ics[] = 'TRIGGER:-PT1H';
+                $ics[] = 'ACTION:DISPLAY';
+                $ics[] = 'DESCRIPTION:' . sprintf(__('Reminder: %s in 1 hour', 'sn-appointment-booking'), $appointment->type_name);
+                $ics[] = 'END:VALARM';
+            }
+
+            $ics[] = 'STATUS:' . $status;
+            $ics[] = 'SEQUENCE:' . self::get_event_sequence($appointment);
+            $ics[] = 'END:VEVENT';
+        }
+
+        $ics[] = 'END:VCALENDAR';
+
+        return implode("\r\n", $ics);
+    }
+
+    /**
+     * Map an appointment status to an iCalendar event STATUS.
+     *
+     * @since 1.14.0
+     * @param string $status Appointment status.
+     * @return string CONFIRMED, TENTATIVE or CANCELLED.
+     */
+    public static function get_event_status($status) {
+        if ($status === 'cancelled') {
+            return 'CANCELLED';
+        }
+
+        if ($status === 'pending') {
+            return 'TENTATIVE';
+        }
+
+        return 'CONFIRMED';
+    }
+
+    /**
+     * Get the iCalendar SEQUENCE for an appointment.
+     *
+     * Calendar apps only replace a copy they already have when the sequence
+     * goes up, so it counts reschedules and bumps once more on cancellation.
+     *
+     * @since 1.14.0
+     * @param object $appointment Appointment object.
+     * @return int
+     */
+    public static function get_event_sequence($appointment) {
+        $sequence = isset($appointment->reschedule_count) ? (int) $appointment->reschedule_count : 0;
+
+        if ($appointment->status === 'cancelled') {
+            $sequence++;
+        }
+
+        return $sequence;
+    }
+
     /**
      * Get the filename for an appointment ICS file.
      *
@@ -262,6 +349,107 @@ class SNAB_ICS_Generator {
         return sprintf('%s-%s.ics', $slug, $date);
     }
 
+    /**
+     * Build the unique event ID for an appointment.
+     *
+     * @param object   $appointment Appointment object.
+     * @param DateTime $start_dt    Appointment start.
+     * @return string
+     */
+    private static function get_uid($appointment, $start_dt) {
+        return sprintf(
+            'appointment-%d-%s@%s',
+            $appointment->id,
+            $start_dt->format('Ymd'),
+            parse_url(home_url(), PHP_URL_HOST)
+        );
+    }
+
+    /**
+     * Build the event description lines for an appointment.
+     *
+     * @param object $appointment Appointment object.
+     * @return array Lines (joined with newlines by the caller, escaped by escape_ics_text()).
+     */
+    private static function get_description_parts($appointment) {
+        $description_parts = array();
+        $description_parts[] = sprintf(__('Appointment Type: %s', 'sn-appointment-booking'), $appointment->type_name);
+
+        if (!empty($appointment->staff_name)) {
+            $description_parts[] = sprintf(__('With: %s', 'sn-appointment-booking'), $appointment->staff_name);
+        }
+
+        if (!empty($appointment->property_address)) {
+            $description_parts[] = sprintf(__('Property: %s', 'sn-appointment-booking'), $appointment->property_address);
+        }
+
+        $description_parts[] = '';
+        $description_parts[] = sprintf(__('Confirmation #%d', 'sn-appointment-booking'), $appointment->id);
+        $description_parts[] = '';
+        $description_parts[] = sprintf(__('Booked via %s', 'sn-appointment-booking'), get_bloginfo('name'));
+
+        return $description_parts;
+    }
+
+    /**
+     * Build the VTIMEZONE block for the site timezone.
+     *
+     * @param DateTimeZone $timezone Site timezone.
+     * @param array        $years    Years to include transitions for.
+     * @return array ICS lines.
+     */
+    private static function get_timezone_lines($timezone, $years) {
+        $tz_string = $timezone->getName();
+
+        $ics = array();
+        $ics[] = 'BEGIN:VTIMEZONE';
+        $ics[] = 'TZID:' . $tz_string;
+        $ics[] = 'X-LIC-LOCATION:' . $tz_string;
+
+        sort($years);
+
+        // Get timezone transitions for the years covered
+        $transitions = $timezone->getTransitions(
+            mktime(0, 0, 0, 1, 1, reset($years)),
+            mktime(23, 59, 59, 12, 31, end($years))
+        );
+
+        // Add standard/daylight components
+        if ($transitions) {
+            foreach ($transitions as $i => $trans) {
+                if ($i === 0) continue; // Skip the first entry
+
+                $is_dst = $trans['isdst'];
+                $component = $is_dst ? 'DAYLIGHT' : 'STANDARD';
+                $trans_dt = new DateTime('@' . $trans['ts']);
+                $trans_dt->setTimezone($timezone);
+
+                $offset_hours = (int) floor(abs($trans['offset']) / 3600);
+                $offset_mins = (int) ((abs($trans['offset']) % 3600) / 60);
+                $offset_sign = $trans['offset'] >= 0 ? '+' : '-';
+                $offset_str = sprintf('%s%02d%02d', $offset_sign, $offset_hours, $offset_mins);
+
+                // Get previous offset
+                $prev_offset = isset($transitions[$i - 1]) ? $transitions[$i - 1]['offset'] : $trans['offset'];
+                $prev_hours = (int) floor(abs($prev_offset) / 3600);
+                $prev_mins = (int) ((abs($prev_offset) % 3600) / 60);
+                $prev_sign = $prev_offset >= 0 ? '+' : '-';
+                $prev_str = sprintf('%s%02d%02d', $prev_sign, $prev_hours, $prev_mins);
+
+                $ics[] = 'BEGIN:' . $component;
+                $ics[] = 'TZOFFSETFROM:' . $prev_str;
+                $ics[] = 'TZOFFSETTO:' . $offset_str;
+                $ics[] = 'TZNAME:' . $trans['abbr'];
+                $ics[] = 'DTSTART:' . $trans_dt->format('Ymd\THis');
+                $ics[] = 'END:' . $component;
+            }
+        }
+
+        $ics[] = 'END:VTIMEZONE';
+
+        return $ics;
+    }
+
     /**
      * Save ICS content to a temporary file.
      *
@@ -314,12 +502,12 @@ class SNAB_ICS_Generator {
      * @return string Escaped text.
      */
     private static function escape_ics_text($text) {
+        // Escape special characters (backslashes first, so the newline escapes below survive)
+        $text = str_replace(array('\\', ';', ','), array('\\\\', '\;', '\,'), $text);
+
         // Replace actual newlines with ICS newline
         $text = str_replace(array("\r\n", "\r", "\n"), '\n', $text);
 
-        // Escape special characters
-        $text = str_replace(array('\\', ';', ','), array('\\\\', '\;', '\,'), $text);
-
         return $text;
     }
 }
@@ -31,6 +31,11 @@ class SNAB_Notifications {
     const TYPE_CLIENT_CANCEL = 'client_cancel';
     const TYPE_CLIENT_RESCHEDULE = 'client_reschedule';
     const TYPE_APP_INVITE = 'app_invite';
+    const TYPE_TOUR_CONFIRMATION = 'tour_confirmation';
+    const TYPE_TOUR_CANCELLED = 'tour_cancelled';
+    const TYPE_TOUR_RESCHEDULED = 'tour_rescheduled';
+    const TYPE_WAITLIST_JOINED = 'waitlist_joined';
+    const TYPE_WAITLIST_OFFER = 'waitlist_offer';
 
     /**
      * Single instance.
@@ -750,6 +755,309 @@ class SNAB_Notifications {
         return $sent;
     }
 
+    /**
+     * Send the itinerary email for a newly booked showing tour.
+     *
+     * One email per attendee and one to the agent, with a calendar file
+     * for every stop, instead of a confirmation per stop.
+     *
+     * @since 1.11.0
+     * @param int $tour_id Tour ID.
+     * @return bool
+     */
+    public function send_tour_confirmation($tour_id) {
+        return $this->send_tour_notification(
+            $tour_id,
+            self::TYPE_TOUR_CONFIRMATION,
+            __('Your showing tour is booked', 'sn-appointment-booking'),
+            __('Your showing tour is booked. Here is your itinerary:', 'sn-appointment-booking'),
+            __('New showing tour booked with %s:', 'sn-appointment-booking')
+        );
+    }
+
+    /**
+     * Send the cancellation email for a showing tour.
+     *
+     * @since 1.11.0
+     * @param int    $tour_id Tour ID.
+     * @param string $reason  Cancellation reason.
+     * @return bool
+     */
+    public function send_tour_cancellation($tour_id, $reason = '') {
+        $footer = '';
+        if (!empty($reason)) {
+            $footer = sprintf(__('Reason: %s', 'sn-appointment-booking'), $reason);
+        }
+
+        return $this->send_tour_notification(
+            $tour_id,
+            self::TYPE_TOUR_CANCELLED,
+            __('Your showing tour has been cancelled', 'sn-appointment-booking'),
+            __('Your showing tour has been cancelled. These showings will not take place:', 'sn-appointment-booking'),
+            __('Showing tour with %s was cancelled:', 'sn-appointment-booking'),
+            $footer
+        );
+    }
+
+    /**
+     * Send the updated itinerary for a rescheduled showing tour.
+     *
+     * @since 1.11.0
+     * @param int    $tour_id  Tour ID.
+     * @param string $old_date Original tour date (Y-m-d).
+     * @param string $old_time Original first stop start (H:i).
+     * @return bool
+     */
+    public function send_tour_reschedule($tour_id, $old_date, $old_time) {
+        $footer = sprintf(
+            __('Previously scheduled: %1$s at %2$s', 'sn-appointment-booking'),
+            snab_format_date($old_date),
+            snab_format_time($old_date, $old_time)
+        );
+
+        return $this->send_tour_notification(
+            $tour_id,
+            self::TYPE_TOUR_RESCHEDULED,
+            __('Your showing tour has been rescheduled', 'sn-appointment-booking'),
+            __('Your showing tour has been moved. Here is your updated itinerary:', 'sn-appointment-booking'),
+            __('Showing tour with %s was rescheduled:', 'sn-appointment-booking'),
+            $footer
+        );
+    }
+
+    /**
+     * Send a tour itinerary email to the attendees and the assigned agent.
+     *
+     * @since 1.11.0
+     * @param int    $tour_id     Tour ID.
+     * @param string $type        Notification type (TYPE_TOUR_*).
+     * @param string $subject     Subject line (date is appended).
+     * @param string $client_lead Opening line for attendees.
+     * @param string $staff_lead  Opening line for the agent (%s = client name).
+     * @param string $footer      Optional closing line.
+     * @return bool
+     */
+    private function send_tour_notification($tour_id, $type, $subject, $client_lead, $staff_lead, $footer = '') {
+        global $wpdb;
+
+        $stops = $wpdb->get_results($wpdb->prepare(
+            "SELECT a.*,
+                    t.name as type_name,
+                    t.color as type_color,
+                    t.duration_minutes,
+                    s.name as staff_name,
+                    s.email as staff_email,
+                    s.phone as staff_phone
+             FROM {$wpdb->prefix}snab_appointments a
+             JOIN {$wpdb->prefix}snab_appointment_types t ON a.appointment_type_id = t.id
+             JOIN {$wpdb->prefix}snab_staff s ON a.staff_id = s.id
+             WHERE a.tour_id = %d
+             ORDER BY a.tour_stop ASC",
+            $tour_id
+        ));
+
+        // A cancellation lists the stops it cancelled; otherwise the live ones
+        $stops = array_values(array_filter($stops, function($stop) use ($type) {
+            $active = in_array($stop->status, array('pending', 'confirmed'), true);
+            return $type === self::TYPE_TOUR_CANCELLED ? !$active : $active;
+        }));
+
+        if (empty($stops)) {
+            return false;
+        }
+
+        $first = $stops[0];
+        $subject = sprintf('%s - %s', $subject, snab_format_date($first->appointment_date));
+        $itinerary = $this->build_tour_itinerary($stops);
+        $ics_type = $type === self::TYPE_TOUR_CANCELLED ? 'cancellation' : 'appointment';
+
+        $recipients = array();
+        foreach ($this->get_attendees($first->id) as $attendee) {
+            $recipients[] = array('client', $attendee->email, $attendee->name);
+        }
+        if (empty($recipients)) {
+            $recipients[] = array('client', $first->client_email, $first->client_name);
+        }
+        if (!empty($first->staff_email)) {
+            $recipients[] = array('staff', $first->staff_email, $first->staff_name);
+        }
+
+        $all_sent = true;
+
+        foreach ($recipients as $recipient) {
+            list($recipient_type, $email, $name) = $recipient;
+
+            $lead = $recipient_type === 'staff' ? sprintf($staff_lead, $first->client_name) : $client_lead;
+            $message = sprintf(__('Hi %s,', 'sn-appointment-booking'), $name) . "\n\n" . $lead . "\n\n" . $itinerary;
+
+            if ($recipient_type === 'client') {
+                $message .= "\n\n" . sprintf(__('Agent: %s', 'sn-appointment-booking'), $first->staff_name);
+            }
+            if (!empty($footer)) {
+                $message .= "\n\n" . $footer;
+            }
+
+            // Files are removed after each send, so build them per recipient
+            $attachments = array();
+            foreach ($stops as $stop) {
+                $ics_file = $this->generate_ics_attachment($stop, $ics_type);
+                if ($ics_file) {
+                    $attachments[] = $ics_file;
+                }
+            }
+
+            $sent = $this->send_email($email, $subject, $message, $attachments);
+
+            $this->log_notification($first->id, $type, $recipient_type, $email, $subject, $sent);
+
+            if (!$sent) {
+                $all_sent = false;
+            }
+        }
+
+        return $all_sent;
+    }
+
+    /**
+     * Build the plain-text itinerary for a tour.
+     *
+     * @since 1.11.0
+     * @param array $stops Tour stop appointments, in order.
+     * @return string
+     */
+    private function build_tour_itinerary($stops) {
+        $lines = array(__('Tour Itinerary', 'sn-appointment-booking') . ':');
+        $previous = null;
+
+        foreach ($stops as $index => $stop) {
+            if ($previous) {
+                $gap = (int) round((snab_datetime_to_timestamp($stop->appointment_date, $stop->start_time)
+                    - snab_datetime_to_timestamp($previous->appointment_date, $previous->end_time)) / MINUTE_IN_SECONDS);
+                $lines[] = '   ' . sprintf(__('(%d min to drive to the next home)', 'sn-appointment-booking'), $gap);
+            }
+
+            $lines[] = sprintf(
+                '%d. %s - %s  %s',
+                $index + 1,
+                $this->with_client_time(
+                    snab_format_time($stop->appointment_date, $stop->start_time),
+                    $stop->appointment_date,
+                    $stop->start_time,
+                    $stop->client_timezone
+                ),
+                snab_format_time($stop->appointment_date, $stop->end_time),
+                $stop->property_address
+            );
+
+            $previous = $stop;
+        }
+
+        return implode("\n", $lines);
+    }
+
+    /**
+     * Confirm to a client that they joined the waitlist for a day.
+     *
+     * @since 1.13.0
+     * @param int $entry_id Waitlist entry ID.
+     * @return bool
+     */
+    public function send_waitlist_joined($entry_id) {
+        $waitlist = new SNAB_Waitlist_Service();
+        $entry = $waitlist->get_entry($entry_id);
+        if (!$entry) {
+            return false;
+        }
+
+        $formatted_date = snab_format_date($entry->waitlist_date);
+        $subject = sprintf(__('You are on the waitlist for %s', 'sn-appointment-booking'), $formatted_date);
+
+        $message = sprintf(__('Hi %s,', 'sn-appointment-booking'), $entry->client_name) . "\n\n"
+            . sprintf(
+                __('%1$s on %2$s is fully booked, so we have added you to the waitlist. You are number %3$d in line.', 'sn-appointment-booking'),
+                $entry->type_name,
+                $formatted_date,
+                $waitlist->get_position($entry)
+            ) . "\n\n"
+            . sprintf(
+                __('If a time opens up, we will email you and hold it for you for %s. Nothing is booked until you confirm.', 'sn-appointment-booking'),
+                human_time_diff(0, SNAB_Waitlist_Service::get_hold_minutes() * MINUTE_IN_SECONDS)
+            );
+
+        return $this->send_email($entry->client_email, $subject, $message);
+    }
+
+    /**
+     * Offer a freed slot to the next client on the waitlist.
+     *
+     * The link goes back to the page the client joined from, which shows
+     * the offer with buttons to book it or pass.
+     *
+     * @since 1.13.0
+     * @param int $entry_id Waitlist entry ID.
+     * @return bool
+     */
+    public function send_waitlist_offer($entry_id) {
+        $waitlist = new SNAB_Waitlist_Service();
+        $entry = $waitlist->get_entry($entry_id);
+        if (!$entry || $entry->status !== 'offered') {
+            return false;
+        }
+
+        $formatted_date = snab_format_date($entry->waitlist_date);
+        $formatted_time = $this->with_client_time(
+            snab_format_time($entry->waitlist_date, $entry->offered_time),
+            $entry->waitlist_date,
+            $entry->offered_time,
+            $entry->client_timezone
+        );
+        $claim_url = add_query_arg('snab_waitlist_offer', $entry->offer_token, $entry->claim_url ?: home_url('/'));
+
+        $subject = sprintf(__('A time opened up on %s', 'sn-appointment-booking'), $formatted_date);
+
+        $message = sprintf(__('Hi %s,', 'sn-appointment-booking'), $entry->client_name) . "\n\n"
+            . sprintf(
+                __('Good news - a %1$s time opened up on %2$s at %3$s.', 'sn-appointment-booking'),
+                $entry->type_name,
+                $formatted_date,
+                $formatted_time
+            ) . "\n\n"
+            . sprintf(
+                __('We are holding it for you until %s. After that it goes to the next person on the waitlist.', 'sn-appointment-booking'),
+                $waitlist->format_expiry($entry->offer_expires_at)
+            ) . "\n\n"
+            . sprintf(__('Book it or let it go here: %s', 'sn-appointment-booking'), $claim_url);
+
+        return $this->send_email($entry->client_email, $subject, $message);
+    }
+
+    /**
+     * Add the client's local time to an office time when their timezone differs.
+     *
+     * Office time comes first with its zone abbreviation so the line reads the
+     * same for staff and clients, e.g. "10:00 AM EDT (7:00 AM PDT)".
+     *
+     * @since 1.12.0
+     * @param string $formatted_time  Office time, already formatted.
+     * @param string $date            Date (Y-m-d) in office time.
+     * @param string $time            Time (H:i or H:i:s) in office time.
+     * @param string $client_timezone Client IANA timezone.
+     * @return string
+     */
+    private function with_client_time($formatted_time, $date, $time, $client_timezone) {
+        $client_time = snab_format_client_time($date, $time, $client_timezone);
+        if ($client_time === '') {
+            return $formatted_time;
+        }
+
+        return sprintf(
+            '%s %s (%s)',
+            $formatted_time,
+            wp_date('T', snab_datetime_to_timestamp($date, $time)),
+            $client_time
+        );
+    }
+
     /**
      * Get client portal notification template.
      *
@@ -1389,6 +1697,10 @@ If you have any questions or need to make further changes, please contact us.
         $date = wp_date(get_option('date_format'), $appointment_timestamp);
         $time = wp_date(get_option('time_format'), $appointment_timestamp);
 
+        // Clients booking from another timezone see their local time too (v1.12.0)
+        $client_timezone = isset($appointment->client_timezone) ? $appointment->client_timezone : '';
+        $time = $this->with_client_time($time, $appointment->appointment_date, $appointment->start_time, $client_timezone);
+
         $replacements = array(
             '{client_name}' => $appointment->client_name,
             '{client_email}' => $appointment->client_email,
@@ -1442,7 +1754,12 @@ If you have any questions or need to make further changes, please contact us.
             $replacements['{old_date}'] = '';
         }
         if (!empty($appointment->old_time) && !empty($appointment->old_date)) {
-            $replacements['{old_time}'] = snab_format_time($appointment->old_date, $appointment->old_time);
+            $replacements['{old_time}'] = $this->with_client_time(
+                snab_format_time($appointment->old_date, $appointment->old_time),
+                $appointment->old_date,
+                $appointment->old_time,
+                $client_timezone
+            );
         } else {
             $replacements['{old_time}'] = '';
         }
@@ -717,6 +717,57 @@ class SNAB_Push_Notifications {
         ));
     }
 
+    /**
+     * Send a waitlist offer push notification.
+     *
+     * Offers are time-limited, so they go out straight away rather than
+     * through the reminder cron. The offer token lets the app book or
+     * decline the held slot.
+     *
+     * @since 1.13.0
+     * @param object $entry Waitlist entry (from SNAB_Waitlist_Service::get_entry()).
+     */
+    public function send_waitlist_offer($entry) {
+        if (!get_option('snab_enable_push_notifications', false) || empty($entry->user_id)) {
+            return;
+        }
+
+        $devices = $this->get_user_devices($entry->user_id);
+        if (empty($devices)) {
+            return;
+        }
+
+        $title = 'A Time Opened Up';
+        $body = sprintf(
+            '%s on %s at %s - book it before someone else does',
+            $entry->type_name,
+            snab_format_date($entry->waitlist_date, 'M j'),
+            snab_format_time($entry->waitlist_date, $entry->offered_time)
+        );
+
+        $data = array(
+            'waitlist_id' => (int) $entry->id,
+            'offer_token' => $entry->offer_token,
+            'notification_type' => 'waitlist_offer',
+        );
+
+        foreach ($devices as $device) {
+            $this->send_notification(
+                $device->device_token,
+                $title,
+                $body,
+                $data,
+                (bool) $device->is_sandbox,
+                (int) $entry->user_id
+            );
+        }
+
+        SNAB_Logger::info('Push waitlist offer sent', array(
+            'entry_id' => $entry->id,
+            'devices_count' => count($devices),
+        ));
+    }
+
     /**
      * Get property data from MLD listing summary for notification enrichment.
      *
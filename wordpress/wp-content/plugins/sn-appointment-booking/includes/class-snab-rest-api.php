@@ -255,6 +255,48 @@ class SNAB_REST_API {
             'permission_callback' => array('MLD_JWT_Handler', 'check_optional_auth'),
         ));
 
+        // Plan a showing tour (chained start times for a date)
+        register_rest_route(self::NAMESPACE, '/tours/plan', array(
+            'methods' => 'POST',
+            'callback' => array(__CLASS__, 'plan_tour'),
+            'permission_callback' => '__return_true',
+        ));
+
+        // Book a showing tour (guest or authenticated)
+        register_rest_route(self::NAMESPACE, '/tours', array(
+            'methods' => 'POST',
+            'callback' => array(__CLASS__, 'create_tour'),
+            'permission_callback' => array('MLD_JWT_Handler', 'check_optional_auth'),
+        ));
+
+        // Join the waitlist for a fully booked day (guest or authenticated)
+        register_rest_route(self::NAMESPACE, '/waitlist', array(
+            'methods' => 'POST',
+            'callback' => array(__CLASS__, 'join_waitlist'),
+            'permission_callback' => array('MLD_JWT_Handler', 'check_optional_auth'),
+        ));
+
+        // Get a waitlist offer (the token is the credential)
+        register_rest_route(self::NAMESPACE, '/waitlist/offers/(?P<token>[A-Za-z0-9]+)', array(
+            'methods' => 'GET',
+            'callback' => array(__CLASS__, 'get_waitlist_offer'),
+            'permission_callback' => '__return_true',
+        ));
+
+        // Book the slot held by a waitlist offer
+        register_rest_route(self::NAMESPACE, '/waitlist/offers/(?P<token>[A-Za-z0-9]+)/claim', array(
+            'methods' => 'POST',
+            'callback' => array(__CLASS__, 'claim_waitlist_offer'),
+            'permission_callback' => '__return_true',
+        ));
+
+        // Turn down a waitlist offer
+        register_rest_route(self::NAMESPACE, '/waitlist/offers/(?P<token>[A-Za-z0-9]+)/decline', array(
+            'methods' => 'POST',
+            'callback' => array(__CLASS__, 'decline_waitlist_offer'),
+            'permission_callback' => '__return_true',
+        ));
+
         // Get portal policy
         register_rest_route(self::NAMESPACE, '/portal/policy', array(
             'methods' => 'GET',
@@ -306,6 +348,48 @@ class SNAB_REST_API {
             'permission_callback' => array('MLD_JWT_Handler', 'check_auth'),
         ));
 
+        // Private calendar subscription links (v1.14.0)
+        register_rest_route(self::NAMESPACE, '/calendar-feeds', array(
+            'methods' => 'GET',
+            'callback' => array(__CLASS__, 'get_calendar_feeds'),
+            'permission_callback' => array('MLD_JWT_Handler', 'check_auth'),
+        ));
+
+        // Replace the calendar subscription links
+        register_rest_route(self::NAMESPACE, '/calendar-feeds/reset', array(
+            'methods' => 'POST',
+            'callback' => array(__CLASS__, 'reset_calendar_feeds'),
+            'permission_callback' => array('MLD_JWT_Handler', 'check_auth'),
+        ));
+
+        // Cancel every remaining stop of a showing tour
+        register_rest_route(self::NAMESPACE, '/tours/(?P<id>\d+)', array(
+            'methods' => 'DELETE',
+            'callback' => array(__CLASS__, 'cancel_tour'),
+            'permission_callback' => array('MLD_JWT_Handler', 'check_auth'),
+        ));
+
+        // Move a showing tour to a new date/start time
+        register_rest_route(self::NAMESPACE, '/tours/(?P<id>\d+)/reschedule', array(
+            'methods' => array('PATCH', 'POST'),
+            'callback' => array(__CLASS__, 'reschedule_tour'),
+            'permission_callback' => array('MLD_JWT_Handler', 'check_auth'),
+        ));
+
+        // Get user's waitlist entries
+        register_rest_route(self::NAMESPACE, '/waitlist', array(
+            'methods' => 'GET',
+            'callback' => array(__CLASS__, 'get_user_waitlist'),
+            'permission_callback' => array('MLD_JWT_Handler', 'check_auth'),
+        ));
+
+        // Leave the waitlist
+        register_rest_route(self::NAMESPACE, '/waitlist/(?P<id>\d+)', array(
+            'methods' => 'DELETE',
+            'callback' => array(__CLASS__, 'leave_waitlist'),
+            'permission_callback' => array('MLD_JWT_Handler', 'check_auth'),
+        ));
+
         // Register device token for push notifications
         register_rest_route(self::NAMESPACE, '/device-tokens', array(
             'methods' => 'POST',
@@ -528,11 +612,22 @@ class SNAB_REST_API {
 
         sort($dates_with_availability);
 
+        // Fully booked days can be waitlisted (v1.13.0)
+        $full_dates = $service->get_full_dates(
+            $start_date,
+            $end_date,
+            $type_id > 0 ? $type_id : null,
+            $staff_id > 0 ? $staff_id : null,
+            $filters,
+            $slots
+        );
+
         return new WP_REST_Response(array(
             'success' => true,
             'data' => array(
                 'dates_with_availability' => $dates_with_availability,
                 'slots' => $slots_by_date,
+                'full_dates' => $full_dates,
             )
         ), 200);
     }
@@ -556,6 +651,7 @@ class SNAB_REST_API {
         $client_phone = sanitize_text_field($params['client_phone'] ?? '');
 
         // Optional fields
+        $client_timezone = snab_sanitize_timezone($params['client_timezone'] ?? '');
         $listing_id = sanitize_text_field($params['listing_id'] ?? '');
         $property_address = sanitize_text_field($params['property_address'] ?? '');
         $notes = sanitize_textarea_field($params['notes'] ?? '');
@@ -750,6 +846,7 @@ class SNAB_REST_API {
                 'client_name' => $client_name,
                 'client_email' => $client_email,
                 'client_phone' => $client_phone,
+                'client_timezone' => !empty($client_timezone) ? $client_timezone : null,
                 'listing_id' => !empty($listing_id) ? $listing_id : null,
                 'property_address' => !empty($property_address) ? $property_address : null,
                 'client_notes' => !empty($notes) ? $notes : null,
@@ -757,7 +854,7 @@ class SNAB_REST_API {
                 'created_at' => current_time('mysql'),
                 'updated_at' => current_time('mysql'),
             ),
-            array('%d', '%d', '%s', '%s', '%s', '%s', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s')
+            array('%d', '%d', '%s', '%s', '%s', '%s', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s')
         );
 
         if (!$result) {
@@ -969,6 +1066,7 @@ class SNAB_REST_API {
                 'type_color' => $type->color,
                 'date' => snab_format_date($date),
                 'time' => snab_format_time($date, $time),
+                'local_time' => snab_format_client_time($date, $time, $client_timezone),
                 'date_raw' => $date,  // ISO format for calendar integration
                 'time_raw' => $time,  // 24h format for calendar integration
                 'duration' => (int) $type->duration_minutes,
@@ -977,10 +1075,554 @@ class SNAB_REST_API {
                 'client_email' => $client_email,
                 'attendees' => $attendees,
                 'attendee_count' => $attendee_count,
+                'ics_url' => SNAB_Calendar_Feed::get_download_url($appointment_id),
             )
         ), 201);
     }
 
+    /**
+     * POST /tours/plan
+     * Chained start times for a showing tour on a date
+     *
+     * @since 1.11.0
+     */
+    public static function plan_tour($request) {
+        global $wpdb;
+
+        $params = $request->get_json_params();
+        $type_id = absint($params['appointment_type_id'] ?? 0);
+        $staff_id = absint($params['staff_id'] ?? 0);
+        $date = sanitize_text_field($params['date'] ?? '');
+
+        if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $date)) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'code' => 'invalid_date',
+                'message' => 'Date must be in Y-m-d format'
+            ), 400);
+        }
+
+        $type = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$wpdb->prefix}snab_appointment_types WHERE id = %d AND is_active = 1",
+            $type_id
+        ));
+
+        if (!$type) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'code' => 'invalid_type',
+                'message' => 'Invalid appointment type'
+            ), 400);
+        }
+
+        $staff = self::get_tour_staff($staff_id);
+        if (!$staff) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'code' => 'no_staff',
+                'message' => 'No available staff member found'
+            ), 400);
+        }
+
+        $tour_service = new SNAB_Tour_Service();
+        $stops = $tour_service->resolve_stops($params['stops'] ?? array());
+        if (is_wp_error($stops)) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'code' => $stops->get_error_code(),
+                'message' => $stops->get_error_message()
+            ), 400);
+        }
+
+        $slots = $tour_service->find_tour_slots($date, $date, $type, $staff->id, $stops);
+
+        $options = array();
+        if (isset($slots[$date])) {
+            foreach ($slots[$date] as $chain) {
+                $options[] = SNAB_Tour_Service::format_chain($date, $chain);
+            }
+        }
+
+        return new WP_REST_Response(array(
+            'success' => true,
+            'data' => array(
+                'date' => $date,
+                'stops' => $stops,
+                'legs' => SNAB_Tour_Service::get_drive_legs($stops),
+                'options' => $options,
+            )
+        ), 200);
+    }
+
+    /**
+     * POST /tours
+     * Book a showing tour (one appointment per stop)
+     *
+     * @since 1.11.0
+     */
+    public static function create_tour($request) {
+        global $wpdb;
+
+        $params = $request->get_json_params();
+
+        $type_id = absint($params['appointment_type_id'] ?? 0);
+        $staff_id = absint($params['staff_id'] ?? 0);
+        $date = sanitize_text_field($params['date'] ?? '');
+        $time = sanitize_text_field($params['time'] ?? '');
+        $client_name = sanitize_text_field($params['client_name'] ?? '');
+        $client_email = sanitize_email($params['client_email'] ?? '');
+        $client_phone = sanitize_text_field($params['client_phone'] ?? '');
+        $client_timezone = snab_sanitize_timezone($params['client_timezone'] ?? '');
+        $notes = sanitize_textarea_field($params['notes'] ?? '');
+
+        if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $date) || !preg_match('/^\d{2}:\d{2}/', $time)) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'code' => 'missing_datetime',
+                'message' => 'Date and time are required'
+            ), 400);
+        }
+
+        if (empty($client_name) || !is_email($client_email)) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'code' => 'missing_contact',
+                'message' => 'Name and a valid email are required'
+            ), 400);
+        }
+
+        // Check rate limit
+        $rate_limited = self::check_booking_rate_limit($client_email);
+        if ($rate_limited) {
+            return $rate_limited;
+        }
+
+        $type = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$wpdb->prefix}snab_appointment_types WHERE id = %d AND is_active = 1",
+            $type_id
+        ));
+
+        if (!$type) {
+            self::record_booking_attempt($client_email);
+            return new WP_REST_Response(array(
+                'success' => false,
+                'code' => 'invalid_type',
+                'message' => 'Invalid appointment type'
+            ), 400);
+        }
+
+        if ($type->requires_login && !is_user_logged_in()) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'code' => 'login_required',
+                'message' => 'You must be logged in to book this appointment type'
+            ), 401);
+        }
+
+        $staff = self::get_tour_staff($staff_id);
+        if (!$staff) {
+            self::record_booking_attempt($client_email);
+            return new WP_REST_Response(array(
+                'success' => false,
+                'code' => 'no_staff',
+                'message' => 'No available staff member found'
+            ), 400);
+        }
+
+        $tour_service = new SNAB_Tour_Service();
+        $stops = $tour_service->resolve_stops($params['stops'] ?? array());
+        if (is_wp_error($stops)) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'code' => $stops->get_error_code(),
+                'message' => $stops->get_error_message()
+            ), 400);
+        }
+
+        // Multi-attendee fields (v1.10.0)
+        $additional_clients = array();
+        foreach ((isset($params['additional_clients']) && is_array($params['additional_clients']) ? $params['additional_clients'] : array()) as $client) {
+            if (!empty($client['name']) && !empty($client['email']) && is_email($client['email'])) {
+                $additional_clients[] = array(
+                    'name' => sanitize_text_field($client['name']),
+                    'email' => sanitize_email($client['email']),
+                    'phone' => isset($client['phone']) ? sanitize_text_field($client['phone']) : '',
+                );
+            }
+        }
+        $cc_emails = array();
+        foreach ((isset($params['cc_emails']) && is_array($params['cc_emails']) ? $params['cc_emails'] : array()) as $email) {
+            $email = sanitize_email($email);
+            if (is_email($email)) {
+                $cc_emails[] = $email;
+            }
+        }
+
+        // Same user matching as single bookings (client_email first, then logged-in user)
+        $user_id = null;
+        $client_user = get_user_by('email', $client_email);
+        if ($client_user) {
+            $user_id = $client_user->ID;
+        } elseif (is_user_logged_in()) {
+            $user_id = get_current_user_id();
+        }
+
+        $result = $tour_service->book_tour(array(
+            'type' => $type,
+            'staff_id' => $staff->id,
+            'date' => $date,
+            'start_time' => substr($time, 0, 5),
+            'stops' => $stops,
+            'user_id' => $user_id,
+            'client_name' => $client_name,
+            'client_email' => $client_email,
+            'client_phone' => $client_phone,
+            'client_timezone' => $client_timezone,
+            'client_notes' => $notes,
+            'additional_clients' => $additional_clients,
+            'cc_emails' => $cc_emails,
+        ));
+
+        if (is_wp_error($result)) {
+            self::record_booking_attempt($client_email);
+            $code = $result->get_error_code();
+            return new WP_REST_Response(array(
+                'success' => false,
+                'code' => $code,
+                'message' => $result->get_error_message()
+            ), $code === 'slot_unavailable' ? 409 : 500);
+        }
+
+        try {
+            snab_notifications()->send_tour_confirmation($result['tour']->id);
+        } catch (Exception $e) {
+            SNAB_Logger::error('Failed to send tour confirmation email', array(
+                'tour_id' => $result['tour']->id,
+                'error' => $e->getMessage(),
+            ));
+        }
+
+        self::clear_booking_rate_limit($client_email);
+
+        $stops_data = array();
+        foreach ($result['stops'] as $stop) {
+            $stops_data[] = array(
+                'appointment_id' => (int) $stop->id,
+                'tour_stop' => (int) $stop->tour_stop,
+                'listing_id' => $stop->listing_id,
+                'property_address' => $stop->property_address,
+                'time' => snab_format_time($date, $stop->start_time),
+                'end_time' => snab_format_time($date, $stop->end_time),
+                'time_raw' => substr($stop->start_time, 0, 5),
+            );
+        }
+
+        return new WP_REST_Response(array(
+            'success' => true,
+            'code' => 'tour_created',
+            'message' => 'Your showing tour has been booked successfully',
+            'data' => array(
+                'tour_id' => (int) $result['tour']->id,
+                'status' => $result['stops'][0]->status,
+                'type_name' => $type->name,
+                'date' => snab_format_date($date),
+                'date_raw' => $date,
+                'duration' => (int) $type->duration_minutes,
+                'stops' => $stops_data,
+                'ics_url' => SNAB_Calendar_Feed::get_tour_download_url($result['tour']->id),
+            )
+        ), 201);
+    }
+
+    /**
+     * DELETE /tours/{id}
+     * Cancel every remaining stop of a showing tour
+     *
+     * @since 1.11.0
+     */
+    public static function cancel_tour($request) {
+        MLD_JWT_Handler::send_no_cache_headers();
+
+        $params = $request->get_json_params();
+        $result = snab_client_portal()->cancel_tour(
+            absint($request->get_param('id')),
+            get_current_user_id(),
+            sanitize_textarea_field($params['reason'] ?? '')
+        );
+
+        return new WP_REST_Response(array(
+            'success' => $result['success'],
+            'code' => $result['success'] ? 'tour_cancelled' : 'cannot_cancel',
+            'message' => $result['message']
+        ), $result['success'] ? 200 : 400);
+    }
+
+    /**
+     * PATCH /tours/{id}/reschedule
+     * Move every remaining stop of a showing tour
+     *
+     * @since 1.11.0
+     */
+    public static function reschedule_tour($request) {
+        MLD_JWT_Handler::send_no_cache_headers();
+
+        $params = $request->get_json_params();
+        $result = snab_client_portal()->reschedule_tour(
+            absint($request->get_param('id')),
+            get_current_user_id(),
+            sanitize_text_field($params['new_date'] ?? ''),
+            sanitize_text_field($params['new_time'] ?? ''),
+            $params['client_timezone'] ?? ''
+        );
+
+        return new WP_REST_Response(array(
+            'success' => $result['success'],
+            'code' => $result['success'] ? 'tour_rescheduled' : 'cannot_reschedule',
+            'message' => $result['message']
+        ), $result['success'] ? 200 : 400);
+    }
+
+    /**
+     * POST /waitlist
+     * Join the waitlist for a fully booked day
+     *
+     * @since 1.13.0
+     */
+    public static function join_waitlist($request) {
+        $params = $request->get_json_params();
+
+        $date = sanitize_text_field($params['date'] ?? '');
+        $client_email = sanitize_email($params['client_email'] ?? '');
+
+        if (!preg_match('/^\d{4}-\d{2}-\d{2}$/', $date)) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'code' => 'missing_date',
+                'message' => 'Date is required'
+            ), 400);
+        }
+
+        // Check rate limit (joining sends an email, like booking)
+        $rate_limited = self::check_booking_rate_limit($client_email);
+        if ($rate_limited) {
+            return $rate_limited;
+        }
+
+        // Same user matching as bookings (client_email first, then logged-in user)
+        $user_id = null;
+        $client_user = $client_email ? get_user_by('email', $client_email) : false;
+        if ($client_user) {
+            $user_id = $client_user->ID;
+        } elseif (is_user_logged_in()) {
+            $user_id = get_current_user_id();
+        }
+
+        $waitlist = new SNAB_Waitlist_Service();
+        $entry = $waitlist->join(array(
+            'type_id' => absint($params['appointment_type_id'] ?? 0),
+            'staff_id' => absint($params['staff_id'] ?? 0),
+            'date' => $date,
+            'user_id' => $user_id,
+            'client_name' => sanitize_text_field($params['client_name'] ?? ''),
+            'client_email' => $client_email,
+            'client_phone' => sanitize_text_field($params['client_phone'] ?? ''),
+            'client_timezone' => snab_sanitize_timezone($params['client_timezone'] ?? ''),
+        ));
+
+        if (is_wp_error($entry)) {
+            self::record_booking_attempt($client_email);
+            return self::waitlist_error_response($entry);
+        }
+
+        return new WP_REST_Response(array(
+            'success' => true,
+            'code' => 'waitlist_joined',
+            'message' => 'You have been added to the waitlist',
+            'data' => $waitlist->format_entry($entry)
+        ), 201);
+    }
+
+    /**
+     * GET /waitlist
+     * Get the user's open waitlist entries
+     *
+     * Offer tokens are included so the app can claim or decline in place.
+     *
+     * @since 1.13.0
+     */
+    public static function get_user_waitlist($request) {
+        MLD_JWT_Handler::send_no_cache_headers();
+
+        $waitlist = new SNAB_Waitlist_Service();
+        $entries = array();
+        foreach ($waitlist->get_user_entries(get_current_user_id()) as $entry) {
+            $entries[] = $waitlist->format_entry($entry, true);
+        }
+
+        return new WP_REST_Response(array(
+            'success' => true,
+            'data' => array(
+                'entries' => $entries,
+                'hold_minutes' => SNAB_Waitlist_Service::get_hold_minutes(),
+            )
+        ), 200);
+    }
+
+    /**
+     * DELETE /waitlist/{id}
+     * Leave the waitlist
+     *
+     * @since 1.13.0
+     */
+    public static function leave_waitlist($request) {
+        MLD_JWT_Handler::send_no_cache_headers();
+
+        $result = (new SNAB_Waitlist_Service())->leave(absint($request->get_param('id')), get_current_user_id());
+
+        if (is_wp_error($result)) {
+            return self::waitlist_error_response($result);
+        }
+
+        return new WP_REST_Response(array(
+            'success' => true,
+            'code' => 'waitlist_left',
+            'message' => 'You have been removed from the waitlist'
+        ), 200);
+    }
+
+    /**
+     * GET /waitlist/offers/{token}
+     * Get a waitlist offer
+     *
+     * @since 1.13.0
+     */
+    public static function get_waitlist_offer($request) {
+        MLD_JWT_Handler::send_no_cache_headers();
+
+        $waitlist = new SNAB_Waitlist_Service();
+        $entry = $waitlist->get_entry_by_token($request->get_param('token'));
+
+        if (!$entry) {
+            return new WP_REST_Response(array(
+                'success' => false,
+                'code' => 'offer_not_found',
+                'message' => 'This offer is no longer available'
+            ), 404);
+        }
+
+        $offer = $waitlist->format_entry($entry);
+        $offer['live'] = SNAB_Waitlist_Service::is_offer_live($entry, current_time('mysql'));
+
+        return new WP_REST_Response(array(
+            'success' => true,
+            'data' => $offer
+        ), 200);
+    }
+
+    /**
+     * POST /waitlist/offers/{token}/claim
+     * Book the slot held by a waitlist offer
+     *
+     * @since 1.13.0
+     */
+    public static function claim_waitlist_offer($request) {
+        $params = $request->get_json_params();
+
+        $result = (new SNAB_Waitlist_Service())->claim_offer(
+            $request->get_param('token'),
+            snab_sanitize_timezone($params['client_timezone'] ?? '')
+        );
+
+        if (is_wp_error($result)) {
+            return self::waitlist_error_response($result);
+        }
+
+        $entry = $result['entry'];
+        $type = $result['type'];
+        $date = $entry->waitlist_date;
+
+        return new WP_REST_Response(array(
+            'success' => true,
+            'code' => 'appointment_created',
+            'message' => 'Your appointment has been booked successfully',
+            'data' => array(
+                'id' => (int) $result['appointment_id'],
+                'status' => $type->requires_approval ? 'pending' : 'confirmed',
+                'type_name' => $type->name,
+                'date' => snab_format_date($date),
+                'date_raw' => $date,
+                'time' => snab_format_time($date, $entry->offered_time),
+                'time_raw' => substr($entry->offered_time, 0, 5),
+                'duration' => (int) $type->duration_minutes,
+                'ics_url' => SNAB_Calendar_Feed::get_download_url($result['appointment_id']),
+            )
+        ), 201);
+    }
+
+    /**
+     * POST /waitlist/offers/{token}/decline
+     * Turn down a waitlist offer so the next person gets the slot
+     *
+     * @since 1.13.0
+     */
+    public static function decline_waitlist_offer($request) {
+        $result = (new SNAB_Waitlist_Service())->decline_offer($request->get_param('token'));
+
+        if (is_wp_error($result)) {
+            return self::waitlist_error_response($result);
+        }
+
+        return new WP_REST_Response(array(
+            'success' => true,
+            'code' => 'offer_declined',
+            'message' => 'The time has been passed on to the next person'
+        ), 200);
+    }
+
+    /**
+     * Build an error response from a waitlist service error
+     *
+     * @param WP_Error $error Service error
+     * @return WP_REST_Response
+     */
+    private static function waitlist_error_response($error) {
+        $statuses = array(
+            'not_found' => 404,
+            'offer_not_found' => 404,
+            'already_waiting' => 409,
+            'offer_claimed' => 409,
+            'slot_unavailable' => 409,
+            'offer_expired' => 410,
+            'database_error' => 500,
+        );
+        $code = $error->get_error_code();
+
+        return new WP_REST_Response(array(
+            'success' => false,
+            'code' => $code,
+            'message' => $error->get_error_message()
+        ), isset($statuses[$code]) ? $statuses[$code] : 400);
+    }
+
+    /**
+     * Get the staff member for a tour (selected, or primary if none)
+     *
+     * @param int $staff_id Selected staff ID (0 for none)
+     * @return object|null Staff row
+     */
+    private static function get_tour_staff($staff_id) {
+        global $wpdb;
+
+        if ($staff_id <= 0) {
+            return $wpdb->get_row("SELECT * FROM {$wpdb->prefix}snab_staff WHERE is_active = 1 ORDER BY is_primary DESC LIMIT 1");
+        }
+
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$wpdb->prefix}snab_staff WHERE id = %d AND is_active = 1",
+            $staff_id
+        ));
+    }
+
     /**
      * GET /appointments
      * Get user's appointments
@@ -1093,6 +1735,9 @@ class SNAB_REST_API {
                 'staff_name' => $appt->staff_name,
                 'property_address' => $appt->property_address,
                 'listing_id' => $appt->listing_id,
+                'tour_id' => $appt->tour_id ? (int) $appt->tour_id : null,
+                'tour_stop' => $appt->tour_stop ? (int) $appt->tour_stop : null,
+                'client_timezone' => $appt->client_timezone,
                 'client_notes' => $appt->client_notes,
                 'can_cancel' => $can_cancel,
                 'can_reschedule' => $can_reschedule,
@@ -1103,6 +1748,7 @@ class SNAB_REST_API {
                 'client_email' => $appt->client_email,
                 'attendees' => $attendees,
                 'attendee_count' => $attendee_count,
+                'ics_url' => SNAB_Calendar_Feed::get_appointment_download_url($appt),
             );
         }
 
@@ -1204,9 +1850,12 @@ class SNAB_REST_API {
                 'staff_phone' => $appt->staff_phone,
                 'property_address' => $appt->property_address,
                 'listing_id' => $appt->listing_id,
+                'tour_id' => $appt->tour_id ? (int) $appt->tour_id : null,
+                'tour_stop' => $appt->tour_stop ? (int) $appt->tour_stop : null,
                 'client_name' => $appt->client_name,
                 'client_email' => $appt->client_email,
                 'client_phone' => $appt->client_phone,
+                'client_timezone' => $appt->client_timezone,
                 'client_notes' => $appt->client_notes,
                 'admin_notes' => $appt->admin_notes,
                 'can_cancel' => $can_cancel,
@@ -1218,6 +1867,7 @@ class SNAB_REST_API {
                 'created_at' => $appt->created_at,
                 'attendees' => $attendees,
                 'attendee_count' => $attendee_count,
+                'ics_url' => SNAB_Calendar_Feed::get_appointment_download_url($appt),
             )
         ), 200);
     }
@@ -1354,6 +2004,9 @@ class SNAB_REST_API {
             ));
         }
 
+        // Offer the freed slot to the waitlist (v1.13.0)
+        (new SNAB_Waitlist_Service())->release_slot($appt);
+
         return new WP_REST_Response(array(
             'success' => true,
             'code' => 'appointment_cancelled',
@@ -1500,19 +2153,29 @@ class SNAB_REST_API {
         }
 
         // Update appointment
+        $update_data = array(
+            'appointment_date' => $new_date,
+            'start_time' => $new_time,
+            'end_time' => $new_end_datetime->format('H:i:s'),
+            'reschedule_count' => $appt->reschedule_count + 1,
+            'original_datetime' => $original_datetime,
+            'rescheduled_by' => 'client',
+            'updated_at' => current_time('mysql'),
+        );
+        $update_formats = array('%s', '%s', '%s', '%d', '%s', '%s', '%s');
+
+        // Keep the client's timezone current for emails (v1.12.0) - not the staff member's
+        $client_timezone = snab_sanitize_timezone($params['client_timezone'] ?? '');
+        if ($client_timezone && !$is_staff_rescheduling) {
+            $update_data['client_timezone'] = $client_timezone;
+            $update_formats[] = '%s';
+        }
+
         $result = $wpdb->update(
             $wpdb->prefix . 'snab_appointments',
-            array(
-                'appointment_date' => $new_date,
-                'start_time' => $new_time,
-                'end_time' => $new_end_datetime->format('H:i:s'),
-                'reschedule_count' => $appt->reschedule_count + 1,
-                'original_datetime' => $original_datetime,
-                'rescheduled_by' => 'client',
-                'updated_at' => current_time('mysql'),
-            ),
+            $update_data,
             array('id' => $id),
-            array('%s', '%s', '%s', '%d', '%s', '%s', '%s'),
+            $update_formats,
             array('%d')
         );
 
@@ -1573,6 +2236,9 @@ class SNAB_REST_API {
             ));
         }
 
+        // $appt still holds the old date/time - offer that slot to the waitlist (v1.13.0)
+        (new SNAB_Waitlist_Service())->release_slot($appt);
+
         // Get updated appointment
         $updated = $wpdb->get_row($wpdb->prepare(
             "SELECT a.*, t.name as type_name, t.color as type_color
@@ -1797,8 +2463,14 @@ class SNAB_REST_API {
             require_once SNAB_PLUGIN_DIR . 'includes/class-snab-ics-generator.php';
         }
 
-        $ics_content = SNAB_ICS_Generator::generate($appointment);
-        $filename = SNAB_ICS_Generator::get_filename($appointment);
+        // Cancelled appointments download as a cancellation (v1.14.0)
+        if ($appointment->status === 'cancelled') {
+            $ics_content = SNAB_ICS_Generator::generate_cancellation($appointment);
+            $filename = SNAB_ICS_Generator::get_filename($appointment, 'cancellation');
+        } else {
+            $ics_content = SNAB_ICS_Generator::generate($appointment, self::get_ics_attendees($appointment->id));
+            $filename = SNAB_ICS_Generator::get_filename($appointment);
+        }
 
         // Return as downloadable file
         return new WP_REST_Response(array(
@@ -1811,6 +2483,66 @@ class SNAB_REST_API {
         ), 200);
     }
 
+    /**
+     * Attendees in the shape the ICS generator expects.
+     *
+     * @since 1.14.0
+     * @param int $appointment_id Appointment ID.
+     * @return array
+     */
+    private static function get_ics_attendees($appointment_id) {
+        global $wpdb;
+
+        return $wpdb->get_results($wpdb->prepare(
+            "SELECT name, email, attendee_type FROM {$wpdb->prefix}snab_appointment_attendees
+             WHERE appointment_id = %d
+             ORDER BY FIELD(attendee_type, 'primary', 'additional', 'cc')",
+            $appointment_id
+        ));
+    }
+
+    /**
+     * GET /calendar-feeds
+     * Private calendar subscription links for the current user
+     *
+     * Returns the client feed (their bookings) and, for agents, the staff
+     * feed (their schedule). Each has an https URL and a webcal:// URL.
+     *
+     * @since 1.14.0
+     */
+    public static function get_calendar_feeds($request) {
+        MLD_JWT_Handler::send_no_cache_headers();
+
+        return new WP_REST_Response(array(
+            'success' => true,
+            'data' => array(
+                'feeds' => SNAB_Calendar_Feed::get_feed_urls(get_current_user_id()),
+            )
+        ), 200);
+    }
+
+    /**
+     * POST /calendar-feeds/reset
+     * Replace the current user's calendar links; the old ones stop working
+     *
+     * @since 1.14.0
+     */
+    public static function reset_calendar_feeds($request) {
+        MLD_JWT_Handler::send_no_cache_headers();
+
+        $user_id = get_current_user_id();
+        SNAB_Calendar_Feed::reset_token($user_id);
+
+        return new WP_REST_Response(array(
+            'success' => true,
+            'code' => 'calendar_feeds_reset',
+            'message' => 'Your calendar links have been replaced',
+            'data' => array(
+                'feeds' => SNAB_Calendar_Feed::get_feed_urls($user_id),
+            )
+        ), 200);
+    }
+
     /**
      * POST /device-tokens
      * Register a device token for push notifications
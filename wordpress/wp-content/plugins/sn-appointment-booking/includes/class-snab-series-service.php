@@ -0,0 +1,827 @@
+<?php
+/**
+ * Series Service Class
+ *
+ * Creates and manages recurring appointments, such as weekly consultations
+ * or monthly office hours. Each occurrence is a regular appointment linked
+ * by a series record, so one occurrence, it and the ones after it, or the
+ * whole series can be rescheduled or cancelled together.
+ *
+ * @package SN_Appointment_Booking
+ * @since 1.15.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Series Service class.
+ *
+ * @since 1.15.0
+ */
+class SNAB_Series_Service {
+
+    /**
+     * Supported repeat frequencies.
+     */
+    const FREQUENCIES = array('weekly', 'biweekly', 'monthly');
+
+    /**
+     * Scopes for changing an occurrence: just it, it and later ones, or every upcoming one.
+     */
+    const SCOPE_THIS = 'this';
+    const SCOPE_FOLLOWING = 'following';
+    const SCOPE_ALL = 'all';
+
+    /**
+     * Most occurrences a single series can have (a year of weekly meetings).
+     */
+    const MAX_OCCURRENCES = 52;
+
+    /**
+     * Conflict reasons for an occurrence.
+     * 'booked'  - overlaps another booking, a Google Calendar event or a waitlist hold.
+     * 'blocked' - falls in blocked time or outside working hours.
+     */
+    const CONFLICT_BOOKED = 'booked';
+    const CONFLICT_BLOCKED = 'blocked';
+
+    /**
+     * Availability service instance.
+     *
+     * @var SNAB_Availability_Service
+     */
+    private $availability_service;
+
+    /**
+     * Google Calendar instance.
+     *
+     * @var SNAB_Google_Calendar
+     */
+    private $google_calendar;
+
+    /**
+     * Constructor.
+     */
+    public function __construct() {
+        $this->availability_service = new SNAB_Availability_Service();
+        $this->google_calendar = snab_google_calendar();
+    }
+
+    // ============ Recurrence ============
+
+    /**
+     * Dates of a series, starting with its first date.
+     *
+     * Monthly series keep the first date's day of the month, falling back to
+     * the last day in shorter months (Jan 31, Feb 28, Mar 31, ...).
+     *
+     * @param string $start_date First date (Y-m-d).
+     * @param string $frequency  One of FREQUENCIES.
+     * @param int    $count      Number of occurrences (0 to use $until only).
+     * @param string $until      Last allowed date (Y-m-d), or '' to use $count only.
+     * @return array Dates (Y-m-d), at most MAX_OCCURRENCES.
+     */
+    public static function get_occurrence_dates($start_date, $frequency, $count = 0, $until = '') {
+        if (!in_array($frequency, self::FREQUENCIES, true)
+            || !preg_match('/^(\d{4})-(\d{2})-(\d{2})$/', $start_date, $parts)) {
+            return array();
+        }
+
+        $count = (int) $count;
+        if ($count <= 0 && empty($until)) {
+            return array($start_date);
+        }
+
+        $limit = $count > 0 ? min($count, self::MAX_OCCURRENCES) : self::MAX_OCCURRENCES;
+        $dates = array();
+
+        for ($index = 0; $index < $limit; $index++) {
+            if ($frequency === 'monthly') {
+                $months = (int) $parts[2] - 1 + $index;
+                $year = (int) $parts[1] + intdiv($months, 12);
+                $month = $months % 12 + 1;
+                $days_in_month = (int) gmdate('t', gmmktime(0, 0, 0, $month, 1, $year));
+                $date = sprintf('%04d-%02d-%02d', $year, $month, min((int) $parts[3], $days_in_month));
+            } else {
+                $days = $index * ($frequency === 'biweekly' ? 14 : 7);
+                $date = gmdate('Y-m-d', gmmktime(0, 0, 0, (int) $parts[2], (int) $parts[3] + $days, (int) $parts[1]));
+            }
+
+            if (!empty($until) && $date > $until) {
+                break;
+            }
+
+            $dates[] = $date;
+        }
+
+        return $dates;
+    }
+
+    /**
+     * Move dates by the number of days between two dates.
+     *
+     * Used when moving part of a series: every occurrence keeps its spacing.
+     *
+     * @param array  $dates     Dates (Y-m-d).
+     * @param string $from_date Original date of the occurrence being moved.
+     * @param string $to_date   Its new date.
+     * @return array Shifted dates, in the same order.
+     */
+    public static function shift_dates($dates, $from_date, $to_date) {
+        $utc = new DateTimeZone('UTC');
+        $offset = (int) (new DateTime($from_date, $utc))->diff(new DateTime($to_date, $utc))->format('%r%a');
+
+        return array_map(function($date) use ($offset, $utc) {
+            return (new DateTime($date, $utc))->modify(sprintf('%+d days', $offset))->format('Y-m-d');
+        }, $dates);
+    }
+
+    /**
+     * Mark each occurrence as free or conflicting.
+     *
+     * @param array  $dates         Dates (Y-m-d).
+     * @param string $time          Start time (H:i).
+     * @param array  $open_slots    Bookable slots per date (see get_available_slots()).
+     * @param array  $working_slots Slots per date from working hours and blocked
+     *                              times only (the ignore_bookings filter).
+     * @return array Occurrences: date, time and conflict (null, CONFLICT_BOOKED or CONFLICT_BLOCKED).
+     */
+    public static function classify_occurrences($dates, $time, $open_slots, $working_slots) {
+        $occurrences = array();
+
+        foreach ($dates as $date) {
+            $conflict = null;
+            if (empty($working_slots[$date]) || !in_array($time, $working_slots[$date], true)) {
+                $conflict = self::CONFLICT_BLOCKED;
+            } elseif (empty($open_slots[$date]) || !in_array($time, $open_slots[$date], true)) {
+                $conflict = self::CONFLICT_BOOKED;
+            }
+
+            $occurrences[] = array(
+                'date' => $date,
+                'time' => $time,
+                'conflict' => $conflict,
+            );
+        }
+
+        return $occurrences;
+    }
+
+    /**
+     * Occurrences that have a conflict.
+     *
+     * @param array $occurrences From classify_occurrences().
+     * @return array
+     */
+    public static function get_conflicts($occurrences) {
+        return array_values(array_filter($occurrences, function($occurrence) {
+            return !empty($occurrence['conflict']);
+        }));
+    }
+
+    /**
+     * Check series dates against existing bookings and blocked times.
+     *
+     * @param array  $dates       Dates (Y-m-d).
+     * @param string $time        Start time (H:i).
+     * @param int    $type_id     Appointment type ID.
+     * @param int    $staff_id    Staff ID.
+     * @param array  $exclude_ids Appointments to treat as free (occurrences being moved).
+     * @return array Occurrences (see classify_occurrences()).
+     */
+    public function check_occurrences($dates, $time, $type_id, $staff_id, $exclude_ids = array()) {
+        if (empty($dates)) {
+            return array();
+        }
+
+        $first = min($dates);
+        $last = max($dates);
+
+        $open_slots = $this->availability_service->get_available_slots($first, $last, $type_id, $staff_id, array(
+            'exclude_appointment_ids' => $exclude_ids,
+        ));
+        $working_slots = $this->availability_service->get_available_slots($first, $last, $type_id, $staff_id, array(
+            'ignore_bookings' => true,
+        ));
+
+        return self::classify_occurrences($dates, $time, $open_slots, $working_slots);
+    }
+
+    // ============ Series ============
+
+    /**
+     * Create a recurring series of appointments.
+     *
+     * Permission checks are the caller's job (see
+     * SNAB_Admin_Appointments::ajax_create_appointment()).
+     *
+     * @param array $booking {
+     *     @type object $type             Appointment type row.
+     *     @type int    $staff_id         Staff ID.
+     *     @type string $start_date       First date (Y-m-d).
+     *     @type string $start_time       Start time (H:i).
+     *     @type string $frequency        One of FREQUENCIES.
+     *     @type int    $count            Number of occurrences (optional with $until).
+     *     @type string $until            Last allowed date (optional with $count).
+     *     @type string $client_name      Client name.
+     *     @type string $client_email     Client email.
+     *     @type string $client_phone     Client phone.
+     *     @type string $property_address Property address.
+     *     @type string $client_notes     Client notes.
+     *     @type bool   $skip_conflicts   Book the free dates and skip the rest, instead of failing.
+     *     @type string $created_by       Who created the series ('admin').
+     * }
+     * @return array|WP_Error The series (see get_series()) and the skipped occurrences as 'skipped'.
+     *                        A 'series_conflicts' error carries the occurrences as its data.
+     */
+    public function create_series($booking) {
+        global $wpdb;
+
+        $type = $booking['type'];
+        $staff_id = (int) $booking['staff_id'];
+        $time = $booking['start_time'];
+
+        $dates = self::get_occurrence_dates(
+            $booking['start_date'],
+            $booking['frequency'],
+            isset($booking['count']) ? $booking['count'] : 0,
+            isset($booking['until']) ? $booking['until'] : ''
+        );
+
+        if (count($dates) < 2) {
+            return new WP_Error('invalid_series', __('A recurring series needs at least two dates. Check the end date or number of occurrences.', 'sn-appointment-booking'));
+        }
+
+        $occurrences = $this->check_occurrences($dates, $time, $type->id, $staff_id);
+        $conflicts = self::get_conflicts($occurrences);
+
+        if (count($conflicts) === count($occurrences)) {
+            return new WP_Error('slot_unavailable', __('None of the dates in this series are available at the selected time.', 'sn-appointment-booking'), $occurrences);
+        }
+
+        if (!empty($conflicts) && empty($booking['skip_conflicts'])) {
+            return new WP_Error('series_conflicts', sprintf(
+                /* translators: %d: number of conflicting dates */
+                _n('%d date in this series conflicts with existing bookings or blocked time.', '%d dates in this series conflict with existing bookings or blocked time.', count($conflicts), 'sn-appointment-booking'),
+                count($conflicts)
+            ), $occurrences);
+        }
+
+        $now = current_time('mysql');
+        $created_by = isset($booking['created_by']) ? $booking['created_by'] : 'admin';
+
+        // Start transaction so the free dates are booked together or not at all
+        $wpdb->query('START TRANSACTION');
+
+        $wpdb->insert(
+            $wpdb->prefix . 'snab_appointment_series',
+            array(
+                'staff_id' => $staff_id,
+                'appointment_type_id' => $type->id,
+                'client_name' => $booking['client_name'],
+                'client_email' => $booking['client_email'],
+                'frequency' => $booking['frequency'],
+                'start_date' => $dates[0],
+                'start_time' => $time . ':00',
+                'until_date' => !empty($booking['until']) ? $booking['until'] : null,
+                'occurrence_count' => count($dates),
+                'status' => 'active',
+                'created_by' => $created_by,
+                'created_at' => $now,
+            ),
+            array('%d', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%s', '%s', '%s')
+        );
+        $series_id = $wpdb->insert_id;
+
+        if (!$series_id) {
+            $error = $wpdb->last_error;
+            $wpdb->query('ROLLBACK');
+            SNAB_Logger::error('Failed to create appointment series', array('error' => $error));
+            return new WP_Error('database_error', __('Failed to create the series. Please try again.', 'sn-appointment-booking'));
+        }
+
+        $end_time = self::add_minutes($time, (int) $type->duration_minutes);
+
+        foreach ($occurrences as $index => $occurrence) {
+            if (!empty($occurrence['conflict'])) {
+                continue;
+            }
+
+            $this->release_cancelled_slot($staff_id, $occurrence['date'], $time);
+
+            $result = $wpdb->insert(
+                $wpdb->prefix . 'snab_appointments',
+                array(
+                    'staff_id' => $staff_id,
+                    'appointment_type_id' => $type->id,
+                    'status' => 'confirmed',
+                    'appointment_date' => $occurrence['date'],
+                    'start_time' => $time . ':00',
+                    'end_time' => $end_time . ':00',
+                    'client_name' => $booking['client_name'],
+                    'client_email' => $booking['client_email'],
+                    'client_phone' => $booking['client_phone'],
+                    'property_address' => $booking['property_address'],
+                    'client_notes' => $booking['client_notes'],
+                    'series_id' => $series_id,
+                    'series_index' => $index + 1,
+                    'created_by' => $created_by,
+                    'created_at' => $now,
+                ),
+                array('%d', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%d', '%s', '%s')
+            );
+
+            if ($result === false) {
+                // Capture error BEFORE rollback (rollback clears last_error)
+                $error = $wpdb->last_error;
+                $wpdb->query('ROLLBACK');
+
+                if (strpos($error, 'Duplicate entry') !== false || strpos($error, 'unique_slot') !== false) {
+                    return new WP_Error('slot_unavailable', sprintf(
+                        /* translators: %s: date */
+                        __('%s was just booked by someone else. Please check the dates again.', 'sn-appointment-booking'),
+                        snab_format_date($occurrence['date'])
+                    ));
+                }
+
+                SNAB_Logger::error('Failed to create series occurrence', array(
+                    'error' => $error,
+                    'series_id' => $series_id,
+                    'date' => $occurrence['date'],
+                ));
+                return new WP_Error('database_error', __('Failed to create the series. Please try again.', 'sn-appointment-booking'));
+            }
+        }
+
+        $wpdb->query('COMMIT');
+
+        $series = $this->get_series($series_id);
+
+        foreach ($series['appointments'] as $appointment) {
+            $this->create_occurrence_event($appointment, $series['series']);
+        }
+
+        SNAB_Logger::info('Appointment series created', array(
+            'series_id' => $series_id,
+            'frequency' => $booking['frequency'],
+            'booked' => count($series['appointments']),
+            'skipped' => count($conflicts),
+            'client' => $booking['client_name'],
+        ));
+
+        $series['skipped'] = $conflicts;
+
+        return $series;
+    }
+
+    /**
+     * Get a series with its appointments.
+     *
+     * @param int $series_id Series ID.
+     * @return array|null Series row as 'series' and appointments in date order as 'appointments'.
+     */
+    public function get_series($series_id) {
+        global $wpdb;
+
+        $series = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$wpdb->prefix}snab_appointment_series WHERE id = %d",
+            $series_id
+        ));
+
+        if (!$series) {
+            return null;
+        }
+
+        $appointments = $wpdb->get_results($wpdb->prepare(
+            "SELECT a.*, t.name AS type_name, t.duration_minutes
+             FROM {$wpdb->prefix}snab_appointments a
+             LEFT JOIN {$wpdb->prefix}snab_appointment_types t ON a.appointment_type_id = t.id
+             WHERE a.series_id = %d
+             ORDER BY a.appointment_date ASC, a.start_time ASC",
+            $series_id
+        ));
+
+        return array(
+            'series' => $series,
+            'appointments' => $appointments,
+        );
+    }
+
+    /**
+     * Human-readable frequency, e.g. "Every 2 weeks".
+     *
+     * @param string $frequency One of FREQUENCIES.
+     * @return string
+     */
+    public static function get_frequency_label($frequency) {
+        $labels = array(
+            'weekly' => __('Weekly', 'sn-appointment-booking'),
+            'biweekly' => __('Every 2 weeks', 'sn-appointment-booking'),
+            'monthly' => __('Monthly', 'sn-appointment-booking'),
+        );
+
+        return isset($labels[$frequency]) ? $labels[$frequency] : $frequency;
+    }
+
+    /**
+     * Sanitize a change scope, defaulting to SCOPE_THIS.
+     *
+     * @param string $scope Raw scope.
+     * @return string
+     */
+    public static function sanitize_scope($scope) {
+        return in_array($scope, array(self::SCOPE_FOLLOWING, self::SCOPE_ALL), true) ? $scope : self::SCOPE_THIS;
+    }
+
+    /**
+     * Pending or confirmed occurrences a change applies to.
+     *
+     * SCOPE_FOLLOWING is the occurrence and every later one; SCOPE_ALL is every
+     * occurrence from today on (past ones are left as they are).
+     *
+     * @param object $appointment Selected occurrence.
+     * @param string $scope       One of the SCOPE_* constants.
+     * @return array Appointment rows in date order.
+     */
+    public function get_scope_appointments($appointment, $scope) {
+        global $wpdb;
+
+        if (empty($appointment->series_id) || $scope === self::SCOPE_THIS) {
+            return array($appointment);
+        }
+
+        if ($scope === self::SCOPE_FOLLOWING) {
+            $from_date = $appointment->appointment_date;
+            $from_time = $appointment->start_time;
+        } else {
+            $from_date = wp_date('Y-m-d');
+            $from_time = '00:00:00';
+        }
+
+        return $wpdb->get_results($wpdb->prepare(
+            "SELECT a.*, t.name AS type_name, t.duration_minutes
+             FROM {$wpdb->prefix}snab_appointments a
+             LEFT JOIN {$wpdb->prefix}snab_appointment_types t ON a.appointment_type_id = t.id
+             WHERE a.series_id = %d
+               AND a.status IN ('pending', 'confirmed')
+               AND (a.appointment_date > %s OR (a.appointment_date = %s AND a.start_time >= %s))
+             ORDER BY a.appointment_date ASC, a.start_time ASC",
+            $appointment->series_id,
+            $from_date,
+            $from_date,
+            $from_time
+        ));
+    }
+
+    /**
+     * Cancel an occurrence, it and the later ones, or the whole series.
+     *
+     * Permission checks and notifications are the caller's job (see
+     * SNAB_Admin_Appointments::ajax_cancel_appointment()).
+     *
+     * @param object $appointment  Selected occurrence.
+     * @param string $scope        One of the SCOPE_* constants.
+     * @param string $reason       Cancellation reason.
+     * @param string $cancelled_by Who cancelled ('admin').
+     * @return array|WP_Error Cancelled appointment rows.
+     */
+    public function cancel_occurrences($appointment, $scope, $reason = '', $cancelled_by = 'admin') {
+        global $wpdb;
+
+        $appointments = $this->get_scope_appointments($appointment, $scope);
+        if (empty($appointments)) {
+            return new WP_Error('not_found', __('There are no upcoming appointments left in this series.', 'sn-appointment-booking'));
+        }
+
+        $ids = array_map('absint', wp_list_pluck($appointments, 'id'));
+        $now = current_time('mysql');
+
+        $result = $wpdb->query($wpdb->prepare(
+            "UPDATE {$wpdb->prefix}snab_appointments
+             SET status = 'cancelled', cancellation_reason = %s, cancelled_by = %s, cancelled_at = %s, updated_at = %s
+             WHERE id IN (" . implode(',', $ids) . ") AND status IN ('pending', 'confirmed')",
+            $reason,
+            $cancelled_by,
+            $now,
+            $now
+        ));
+
+        if ($result === false) {
+            SNAB_Logger::error('Failed to cancel series occurrences', array(
+                'series_id' => $appointment->series_id,
+                'error' => $wpdb->last_error,
+            ));
+            return new WP_Error('database_error', __('Failed to cancel appointments. Please try again.', 'sn-appointment-booking'));
+        }
+
+        $this->refresh_series_status($appointment->series_id);
+
+        // Remove the Google Calendar events
+        foreach ($appointments as $occurrence) {
+            if (empty($occurrence->google_event_id) || !$this->google_calendar->is_staff_connected($occurrence->staff_id)) {
+                continue;
+            }
+
+            $delete_result = $this->google_calendar->delete_staff_event($occurrence->staff_id, $occurrence->google_event_id);
+            if (is_wp_error($delete_result)) {
+                SNAB_Logger::warning('Failed to delete Google Calendar event for series occurrence', array(
+                    'appointment_id' => $occurrence->id,
+                    'event_id' => $occurrence->google_event_id,
+                    'error' => $delete_result->get_error_message(),
+                ));
+            }
+        }
+
+        // Offer each freed slot to the waitlist
+        $waitlist = new SNAB_Waitlist_Service();
+        foreach ($appointments as $occurrence) {
+            $waitlist->release_slot($occurrence);
+        }
+
+        SNAB_Logger::info('Series occurrences cancelled', array(
+            'series_id' => $appointment->series_id,
+            'scope' => $scope,
+            'count' => count($appointments),
+            'cancelled_by' => $cancelled_by,
+        ));
+
+        return $appointments;
+    }
+
+    /**
+     * Move an occurrence, it and the later ones, or the whole series.
+     *
+     * Every occurrence is moved by the same number of days as the selected
+     * one and to the same new start time. Nothing moves if any new date
+     * conflicts with other bookings or blocked time.
+     *
+     * Permission checks and notifications are the caller's job (see
+     * SNAB_Admin_Appointments::ajax_reschedule_appointment()).
+     *
+     * @param object $appointment    Selected occurrence.
+     * @param string $scope          One of the SCOPE_* constants.
+     * @param string $new_date       New date of the selected occurrence (Y-m-d).
+     * @param string $new_time       New start time (H:i).
+     * @param string $reason         Reschedule reason.
+     * @param string $rescheduled_by Who rescheduled ('admin').
+     * @return array|WP_Error Moved appointment rows (with their old times) as 'appointment',
+     *                        plus 'new_date'. A 'series_conflicts' error carries the occurrences as its data.
+     */
+    public function reschedule_occurrences($appointment, $scope, $new_date, $new_time, $reason = '', $rescheduled_by = 'admin') {
+        global $wpdb;
+
+        $appointments = $this->get_scope_appointments($appointment, $scope);
+        if (empty($appointments)) {
+            return new WP_Error('not_found', __('There are no upcoming appointments left in this series.', 'sn-appointment-booking'));
+        }
+
+        $ids = wp_list_pluck($appointments, 'id');
+        $new_dates = self::shift_dates(wp_list_pluck($appointments, 'appointment_date'), $appointment->appointment_date, $new_date);
+
+        if (min($new_dates) < wp_date('Y-m-d')) {
+            return new WP_Error('invalid_date', __('Moving these appointments would put some of them in the past.', 'sn-appointment-booking'));
+        }
+
+        $occurrences = $this->check_occurrences($new_dates, $new_time, $appointment->appointment_type_id, $appointment->staff_id, $ids);
+        $conflicts = self::get_conflicts($occurrences);
+
+        if (!empty($conflicts)) {
+            return new WP_Error('series_conflicts', sprintf(
+                /* translators: %d: number of conflicting dates */
+                _n('%d of the new dates conflicts with existing bookings or blocked time.', '%d of the new dates conflict with existing bookings or blocked time.', count($conflicts), 'sn-appointment-booking'),
+                count($conflicts)
+            ), $occurrences);
+        }
+
+        $new_end_time = self::add_minutes($new_time, (int) $appointments[0]->duration_minutes);
+
+        // Occurrences keep their spacing, so update in the direction of the
+        // move to avoid passing through another occurrence's unique slot
+        $order = array_keys($appointments);
+        if ($new_dates[0] . ' ' . $new_time > $appointments[0]->appointment_date . ' ' . substr($appointments[0]->start_time, 0, 5)) {
+            $order = array_reverse($order);
+        }
+
+        $wpdb->query('START TRANSACTION');
+
+        foreach ($order as $index) {
+            $occurrence = $appointments[$index];
+
+            $this->release_cancelled_slot($occurrence->staff_id, $new_dates[$index], $new_time);
+
+            $update_data = array(
+                'appointment_date' => $new_dates[$index],
+                'start_time' => $new_time . ':00',
+                'end_time' => $new_end_time . ':00',
+                'reschedule_count' => (int) $occurrence->reschedule_count + 1,
+                'rescheduled_by' => $rescheduled_by,
+                'reschedule_reason' => $reason,
+                'updated_at' => current_time('mysql'),
+            );
+
+            // Store original datetime on first reschedule
+            if (empty($occurrence->original_datetime)) {
+                $update_data['original_datetime'] = $occurrence->appointment_date . ' ' . $occurrence->start_time;
+            }
+
+            $result = $wpdb->update(
+                $wpdb->prefix . 'snab_appointments',
+                $update_data,
+                array('id' => $occurrence->id),
+                null,
+                array('%d')
+            );
+
+            if ($result === false) {
+                $error = $wpdb->last_error;
+                $wpdb->query('ROLLBACK');
+                SNAB_Logger::error('Failed to reschedule series occurrence', array(
+                    'series_id' => $appointment->series_id,
+                    'appointment_id' => $occurrence->id,
+                    'error' => $error,
+                ));
+                return new WP_Error('database_error', __('Failed to reschedule appointments. Please try again.', 'sn-appointment-booking'));
+            }
+        }
+
+        $wpdb->query('COMMIT');
+
+        // Move the Google Calendar events
+        $timezone = wp_timezone_string();
+        foreach ($appointments as $index => $occurrence) {
+            if (empty($occurrence->google_event_id) || !$this->google_calendar->is_staff_connected($occurrence->staff_id)) {
+                continue;
+            }
+
+            $event_data = array(
+                'start' => array('dateTime' => $new_dates[$index] . 'T' . $new_time . ':00', 'timeZone' => $timezone),
+                'end' => array('dateTime' => $new_dates[$index] . 'T' . $new_end_time . ':00', 'timeZone' => $timezone),
+            );
+
+            $attendees_array = $this->google_calendar->build_attendees_array($occurrence->id);
+            if (!empty($attendees_array)) {
+                $event_data['attendees'] = $attendees_array;
+            }
+
+            $result = $this->google_calendar->update_staff_event($occurrence->staff_id, $occurrence->google_event_id, $event_data);
+            if (is_wp_error($result)) {
+                SNAB_Logger::warning('Failed to update Google Calendar event for series occurrence', array(
+                    'appointment_id' => $occurrence->id,
+                    'event_id' => $occurrence->google_event_id,
+                    'error' => $result->get_error_message(),
+                ));
+            }
+        }
+
+        // $appointments still hold the old times - offer the freed slots to the waitlist
+        $waitlist = new SNAB_Waitlist_Service();
+        $moved = array();
+        foreach ($appointments as $index => $occurrence) {
+            $waitlist->release_slot($occurrence);
+            $moved[] = array(
+                'appointment' => $occurrence,
+                'new_date' => $new_dates[$index],
+            );
+        }
+
+        SNAB_Logger::info('Series occurrences rescheduled', array(
+            'series_id' => $appointment->series_id,
+            'scope' => $scope,
+            'count' => count($appointments),
+            'from' => $appointment->appointment_date . ' ' . $appointment->start_time,
+            'to' => $new_date . ' ' . $new_time,
+            'rescheduled_by' => $rescheduled_by,
+        ));
+
+        return $moved;
+    }
+
+    // ============ Helpers ============
+
+    /**
+     * Mark a series cancelled once none of its occurrences are pending or confirmed.
+     *
+     * @param int $series_id Series ID.
+     */
+    private function refresh_series_status($series_id) {
+        global $wpdb;
+
+        $active = (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$wpdb->prefix}snab_appointments
+             WHERE series_id = %d AND status IN ('pending', 'confirmed')",
+            $series_id
+        ));
+
+        if ($active === 0) {
+            $wpdb->update(
+                $wpdb->prefix . 'snab_appointment_series',
+                array(
+                    'status' => 'cancelled',
+                    'updated_at' => current_time('mysql'),
+                ),
+                array('id' => $series_id),
+                array('%s', '%s'),
+                array('%d')
+            );
+        }
+    }
+
+    /**
+     * Create the Google Calendar event for one occurrence.
+     *
+     * @param object $appointment Occurrence appointment row.
+     * @param object $series      Series row.
+     */
+    private function create_occurrence_event($appointment, $series) {
+        global $wpdb;
+
+        if (!$this->google_calendar->is_staff_connected($appointment->staff_id)) {
+            return;
+        }
+
+        $timezone = wp_timezone_string();
+
+        $description_parts = array(
+            sprintf('Type: %s', $appointment->type_name),
+            sprintf('Series: %s (%d of %d)', self::get_frequency_label($series->frequency), $appointment->series_index, $series->occurrence_count),
+            sprintf('Client: %s', $appointment->client_name),
+            sprintf('Email: %s', $appointment->client_email),
+        );
+        if (!empty($appointment->client_phone)) {
+            $description_parts[] = sprintf('Phone: %s', $appointment->client_phone);
+        }
+        if (!empty($appointment->client_notes)) {
+            $description_parts[] = sprintf('Notes: %s', $appointment->client_notes);
+        }
+
+        $event_data = array(
+            'summary' => sprintf('%s - %s', $appointment->type_name, $appointment->client_name),
+            'description' => implode("\n", $description_parts),
+            'location' => $appointment->property_address,
+            'start' => array('dateTime' => $appointment->appointment_date . 'T' . $appointment->start_time, 'timeZone' => $timezone),
+            'end' => array('dateTime' => $appointment->appointment_date . 'T' . $appointment->end_time, 'timeZone' => $timezone),
+        );
+
+        $attendees_array = $this->google_calendar->build_attendees_array($appointment->id);
+        if (!empty($attendees_array)) {
+            $event_data['attendees'] = $attendees_array;
+        }
+
+        $event_result = $this->google_calendar->create_staff_event($appointment->staff_id, $event_data);
+
+        if (!is_wp_error($event_result) && isset($event_result['id'])) {
+            $wpdb->update(
+                $wpdb->prefix . 'snab_appointments',
+                array(
+                    'google_event_id' => $event_result['id'],
+                    'google_calendar_synced' => 1,
+                ),
+                array('id' => $appointment->id),
+                array('%s', '%d'),
+                array('%d')
+            );
+        } else {
+            SNAB_Logger::warning('Failed to create Google Calendar event for series occurrence', array(
+                'appointment_id' => $appointment->id,
+                'error' => is_wp_error($event_result) ? $event_result->get_error_message() : 'Unknown error',
+            ));
+        }
+    }
+
+    /**
+     * Delete cancelled/no-show rows holding a slot's unique key.
+     *
+     * @param int    $staff_id Staff ID.
+     * @param string $date     Date (Y-m-d).
+     * @param string $time     Start time (H:i).
+     */
+    private function release_cancelled_slot($staff_id, $date, $time) {
+        global $wpdb;
+
+        $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$wpdb->prefix}snab_appointments
+             WHERE staff_id = %d AND appointment_date = %s AND start_time = %s
+             AND status IN ('cancelled', 'no_show')",
+            $staff_id,
+            $date,
+            $time . ':00'
+        ));
+    }
+
+    /**
+     * Add minutes to a time of day.
+     *
+     * @param string $time    Time (H:i or H:i:s).
+     * @param int    $minutes Minutes to add.
+     * @return string Time (H:i).
+     */
+    private static function add_minutes($time, $minutes) {
+        $parts = explode(':', $time);
+        $total = ((int) $parts[0]) * 60 + (int) $parts[1] + $minutes;
+
+        return sprintf('%02d:%02d', intdiv($total, 60) % 24, $total % 60);
+    }
+}
@@ -195,6 +195,9 @@ class SNAB_Shortcodes {
                 <h2 class="snab-widget-title"><?php echo esc_html($custom_title); ?></h2>
             <?php endif; ?>
 
+            <!-- Waitlist offer from an email link (v1.13.0) -->
+            <div class="snab-waitlist-offer" style="display: none;"></div>
+
             <!-- Step 1: Select Appointment Type -->
             <div class="snab-step snab-step-type active" data-step="1">
                 <h3 class="snab-step-title"><?php esc_html_e('Select Appointment Type', 'sn-appointment-booking'); ?></h3>
@@ -285,6 +288,31 @@ class SNAB_Shortcodes {
                     <?php esc_html_e('Select Date', 'sn-appointment-booking'); ?>
                 </h3>
                 <div class="snab-selected-type"></div>
+
+                <!-- Showing tour builder (v1.11.0, shown for showing types via JS) -->
+                <div class="snab-tour-builder" style="display: none;">
+                    <label class="snab-tour-toggle">
+                        <input type="checkbox" class="snab-tour-toggle-input">
+                        <?php esc_html_e('Tour several homes in one visit', 'sn-appointment-booking'); ?>
+                    </label>
+                    <div class="snab-tour-panel" style="display: none;">
+                        <p class="snab-tour-help">
+                            <?php echo esc_html(sprintf(
+                                __('Add %1$d to %2$d homes in the order you want to see them. We leave time to drive between each one.', 'sn-appointment-booking'),
+                                SNAB_Tour_Service::MIN_STOPS,
+                                SNAB_Tour_Service::MAX_STOPS
+                            )); ?>
+                        </p>
+                        <div class="snab-tour-search">
+                            <input type="text" class="snab-tour-search-input" autocomplete="off"
+                                   placeholder="<?php esc_attr_e('Search by address, city or MLS #', 'sn-appointment-booking'); ?>">
+                            <div class="snab-tour-results"></div>
+                        </div>
+                        <ol class="snab-tour-stops"></ol>
+                        <div class="snab-tour-status"></div>
+                    </div>
+                </div>
+
                 <div class="snab-calendar-container">
                     <div class="snab-calendar-header">
                         <button type="button" class="snab-calendar-nav snab-prev-week" disabled>
@@ -313,6 +341,7 @@ class SNAB_Shortcodes {
                     <?php esc_html_e('Select Time', 'sn-appointment-booking'); ?>
                 </h3>
                 <div class="snab-selected-date"></div>
+                <div class="snab-visitor-timezone" style="display: none;"></div>
                 <div class="snab-time-slots">
                     <div class="snab-slots-loading">
                         <span class="spinner is-active"></span>
@@ -452,6 +481,10 @@ class SNAB_Shortcodes {
                 </p>
                 <div class="snab-confirmation-details"></div>
                 <div class="snab-confirmation-actions">
+                    <a href="#" class="snab-add-to-calendar" style="display: none;">
+                        <span class="dashicons dashicons-calendar-alt"></span>
+                        <?php esc_html_e('Add to Calendar', 'sn-appointment-booking'); ?>
+                    </a>
                     <button type="button" class="snab-book-another">
                         <?php esc_html_e('Book Another Appointment', 'sn-appointment-booking'); ?>
                     </button>
@@ -519,6 +552,9 @@ class SNAB_Shortcodes {
         // Check if user is logged in
         $is_logged_in = is_user_logged_in();
 
+        // Appointment types for the waitlist join form (v1.13.0)
+        $types = $is_logged_in ? $this->availability_service->get_active_appointment_types() : array();
+
         // Start output buffering
         ob_start();
         ?>
@@ -544,6 +580,8 @@ class SNAB_Shortcodes {
             <?php else: ?>
                 <!-- Portal Content -->
                 <div class="snab-portal-content">
+                    <div class="snab-visitor-timezone" style="display: none;"></div>
+
                     <!-- Tabs -->
                     <div class="snab-portal-tabs">
                         <button type="button" class="snab-tab-btn active" data-tab="upcoming">
@@ -556,6 +594,31 @@ class SNAB_Shortcodes {
                                 <span class="snab-tab-count" data-count="past">0</span>
                             </button>
                         <?php endif; ?>
+                        <button type="button" class="snab-tab-btn" data-tab="waitlist">
+                            <?php esc_html_e('Waitlist', 'sn-appointment-booking'); ?>
+                            <span class="snab-tab-count" data-count="waitlist">0</span>
+                        </button>
+                    </div>
+
+                    <!-- Waitlist (v1.13.0) -->
+                    <div class="snab-portal-waitlist" style="display: none;">
+                        <div class="snab-waitlist-list"></div>
+                        <form class="snab-waitlist-join-form">
+                            <h4><?php esc_html_e('Join the waitlist for a fully booked day', 'sn-appointment-booking'); ?></h4>
+                            <div class="snab-form-row">
+                                <select name="type_id">
+                                    <option value=""><?php esc_html_e('Appointment type', 'sn-appointment-booking'); ?></option>
+                                    <?php foreach ($types as $type): ?>
+                                        <option value="<?php echo esc_attr($type->id); ?>"><?php echo esc_html($type->name); ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                                <input type="date" name="date" min="<?php echo esc_attr(wp_date('Y-m-d')); ?>">
+                                <button type="submit" class="snab-btn-primary">
+                                    <?php esc_html_e('Join Waitlist', 'sn-appointment-booking'); ?>
+                                </button>
+                            </div>
+                            <div class="snab-waitlist-message" style="display: none;"></div>
+                        </form>
                     </div>
 
                     <!-- Appointments List -->
@@ -589,6 +652,26 @@ class SNAB_Shortcodes {
                         </button>
                     </div>
 
+                    <!-- Calendar subscription (v1.14.0) -->
+                    <div class="snab-portal-calendar-sync">
+                        <button type="button" class="snab-calendar-sync-toggle">
+                            <span class="dashicons dashicons-calendar-alt"></span>
+                            <?php esc_html_e('Subscribe in Your Calendar', 'sn-appointment-booking'); ?>
+                        </button>
+                        <div class="snab-calendar-sync-panel" style="display: none;">
+                            <p class="snab-calendar-sync-intro">
+                                <?php esc_html_e('Add this link to Google Calendar, Apple Calendar or Outlook to see your appointments there. New bookings, reschedules and cancellations show up automatically when your calendar app next checks the link (Google Calendar can take up to a day).', 'sn-appointment-booking'); ?>
+                            </p>
+                            <p class="snab-calendar-sync-warning">
+                                <?php esc_html_e('Keep these links private - anyone who has them can see your appointments.', 'sn-appointment-booking'); ?>
+                            </p>
+                            <div class="snab-calendar-feeds"></div>
+                            <button type="button" class="snab-btn-secondary snab-calendar-reset-btn">
+                                <?php esc_html_e('Reset Links', 'sn-appointment-booking'); ?>
+                            </button>
+                        </div>
+                    </div>
+
                     <!-- Policy Notice -->
                     <div class="snab-portal-policies">
                         <div class="snab-policy-item">
@@ -730,11 +813,20 @@ class SNAB_Shortcodes {
         // Add dynamic theme overrides from settings
         $this->add_theme_overrides();
 
+        // Office/local time conversion (v1.12.0)
+        wp_enqueue_script(
+            'snab-timezone',
+            SNAB_PLUGIN_URL . 'assets/js/timezone.js',
+            array(),
+            SNAB_VERSION,
+            true
+        );
+
         // Client portal JavaScript
         wp_enqueue_script(
             'snab-client-portal',
             SNAB_PLUGIN_URL . 'assets/js/client-portal.js',
-            array('jquery'),
+            array('jquery', 'snab-timezone'),
             SNAB_VERSION,
             true
         );
@@ -744,6 +836,7 @@ class SNAB_Shortcodes {
             'ajaxUrl' => admin_url('admin-ajax.php'),
             'nonce' => wp_create_nonce('snab_client_portal_nonce'),
             'timezone' => wp_timezone_string(),
+            'timezoneAbbr' => wp_date('T'),
             'dateFormat' => get_option('date_format'),
             'timeFormat' => get_option('time_format'),
             'requireCancelReason' => get_option('snab_require_cancel_reason', '1') === '1',
@@ -762,6 +855,33 @@ class SNAB_Shortcodes {
                 'reschedule' => __('Reschedule', 'sn-appointment-booking'),
                 'view' => __('View Details', 'sn-appointment-booking'),
                 'pageOf' => __('Page %1$d of %2$d', 'sn-appointment-booking'),
+                // Showing tours (v1.11.0)
+                'tourStopOf' => __('Tour · Stop %1$d of %2$d', 'sn-appointment-booking'),
+                'tourCancelNote' => __('This cancels every remaining home on the tour.', 'sn-appointment-booking'),
+                'tourRescheduleNote' => __('All homes on this tour move together, keeping the drive time between them.', 'sn-appointment-booking'),
+                'tourCancelSuccess' => __('Your showing tour has been cancelled.', 'sn-appointment-booking'),
+                'tourRescheduleSuccess' => __('Your showing tour has been rescheduled.', 'sn-appointment-booking'),
+                // Visitor timezone (v1.12.0)
+                'timezoneNotice' => __('Times are in office time (%1$s). Your local time (%2$s) is shown in grey.', 'sn-appointment-booking'),
+                'yourTime' => __('%s your time', 'sn-appointment-booking'),
+                // Waitlist (v1.13.0)
+                'noWaitlist' => __('You are not on any waitlists.', 'sn-appointment-booking'),
+                'waitlistPosition' => __('#%d in line', 'sn-appointment-booking'),
+                'waitlistOffered' => __('A time opened up: %s', 'sn-appointment-booking'),
+                'waitlistOfferHeld' => __('Held for you until %s', 'sn-appointment-booking'),
+                'waitlistBook' => __('Book This Time', 'sn-appointment-booking'),
+                'waitlistDecline' => __('No Thanks', 'sn-appointment-booking'),
+                'waitlistLeave' => __('Leave Waitlist', 'sn-appointment-booking'),
+                'confirmLeaveWaitlist' => __('Leave the waitlist for this day?', 'sn-appointment-booking'),
+                'waitlistSelectDay' => __('Please choose an appointment type and a date.', 'sn-appointment-booking'),
+                // Calendar downloads and feeds (v1.14.0)
+                'addToCalendar' => __('Add to Calendar', 'sn-appointment-booking'),
+                'calendarFeedClient' => __('My appointments', 'sn-appointment-booking'),
+                'calendarFeedStaff' => __('My schedule (appointments booked with me)', 'sn-appointment-booking'),
+                'calendarSubscribe' => __('Subscribe', 'sn-appointment-booking'),
+                'copy' => __('Copy', 'sn-appointment-booking'),
+                'copied' => __('Copied', 'sn-appointment-booking'),
+                'confirmResetFeeds' => __('Reset your calendar links? Calendars subscribed with the old links will stop updating until you subscribe again.', 'sn-appointment-booking'),
                 'days' => array(
                     __('Sun', 'sn-appointment-booking'),
                     __('Mon', 'sn-appointment-booking'),
@@ -822,11 +942,20 @@ class SNAB_Shortcodes {
         // Add dynamic theme overrides from settings
         $this->add_theme_overrides();
 
+        // Office/local time conversion (v1.12.0)
+        wp_enqueue_script(
+            'snab-timezone',
+            SNAB_PLUGIN_URL . 'assets/js/timezone.js',
+            array(),
+            SNAB_VERSION,
+            true
+        );
+
         // Frontend JavaScript
         wp_enqueue_script(
             'snab-booking-widget',
             SNAB_PLUGIN_URL . 'assets/js/booking-widget.js',
-            array('jquery'),
+            array('jquery', 'snab-timezone'),
             SNAB_VERSION,
             true
         );
@@ -837,8 +966,10 @@ class SNAB_Shortcodes {
             'nonce' => wp_create_nonce('snab_frontend_nonce'),
             'isLoggedIn' => is_user_logged_in(),
             'timezone' => wp_timezone_string(),
+            'timezoneAbbr' => wp_date('T'),
             'dateFormat' => get_option('date_format'),
             'timeFormat' => get_option('time_format'),
+            'currentUser' => $this->get_current_user_contact(),
             'i18n' => array(
                 'selectType' => __('Select Appointment Type', 'sn-appointment-booking'),
                 'selectDate' => __('Select Date', 'sn-appointment-booking'),
@@ -853,6 +984,39 @@ class SNAB_Shortcodes {
                 'slotTaken' => __('Sorry, this time slot is no longer available. Please select another time.', 'sn-appointment-booking'),
                 'minute' => __('minute', 'sn-appointment-booking'),
                 'minutes' => __('minutes', 'sn-appointment-booking'),
+                // Showing tours (v1.11.0)
+                'tourMinStops' => SNAB_Tour_Service::MIN_STOPS,
+                'tourMaxStops' => SNAB_Tour_Service::MAX_STOPS,
+                'tourNeedsStops' => sprintf(__('Add at least %d homes to plan a tour.', 'sn-appointment-booking'), SNAB_Tour_Service::MIN_STOPS),
+                'tourFull' => sprintf(__('A tour can include up to %d homes.', 'sn-appointment-booking'), SNAB_Tour_Service::MAX_STOPS),
+                'tourDuplicate' => __('This home is already on your tour.', 'sn-appointment-booking'),
+                'tourAddAddress' => __('Add "%s" as an address', 'sn-appointment-booking'),
+                'tourNoSlots' => __('No start time on this day fits every home. Try another date or fewer homes.', 'sn-appointment-booking'),
+                'tourItinerary' => __('Tour Itinerary', 'sn-appointment-booking'),
+                'tourStop' => __('Stop %d', 'sn-appointment-booking'),
+                'tourDrive' => __('%d min drive', 'sn-appointment-booking'),
+                'moveUp' => __('Move up', 'sn-appointment-booking'),
+                'moveDown' => __('Move down', 'sn-appointment-booking'),
+                'remove' => __('Remove', 'sn-appointment-booking'),
+                // Visitor timezone (v1.12.0)
+                'timezoneNotice' => __('Times are in office time (%1$s). Your local time (%2$s) is shown in grey.', 'sn-appointment-booking'),
+                'yourTime' => __('%s your time', 'sn-appointment-booking'),
+                // Waitlist (v1.13.0)
+                'full' => __('Full', 'sn-appointment-booking'),
+                'waitlistFull' => __('This day is fully booked.', 'sn-appointment-booking'),
+                'waitlistIntro' => __('Join the waitlist and we will email you if a time opens up. Waitlisted times are offered in the order people joined.', 'sn-appointment-booking'),
+                'waitlistJoin' => __('Join Waitlist', 'sn-appointment-booking'),
+                'waitlistJoined' => __('You are #%d on the waitlist for this day. We will email you if a time opens up.', 'sn-appointment-booking'),
+                'waitlistOfferTitle' => __('A time opened up for you', 'sn-appointment-booking'),
+                'waitlistOfferHeld' => __('We are holding it for you until %s.', 'sn-appointment-booking'),
+                'waitlistBook' => __('Book This Time', 'sn-appointment-booking'),
+                'waitlistDecline' => __('No Thanks', 'sn-appointment-booking'),
+                'waitlistDeclined' => __('No problem - we have passed this time on to the next person.', 'sn-appointment-booking'),
+                'waitlistOfferExpired' => __('Sorry, this time is no longer being held for you. You are no longer on the waitlist for this day.', 'sn-appointment-booking'),
+                'waitlistOfferBooked' => __('You have already booked this time.', 'sn-appointment-booking'),
+                'name' => __('Your name', 'sn-appointment-booking'),
+                'email' => __('Email address', 'sn-appointment-booking'),
+                'phone' => __('Phone (optional)', 'sn-appointment-booking'),
                 'days' => array(
                     __('Sun', 'sn-appointment-booking'),
                     __('Mon', 'sn-appointment-booking'),
@@ -1154,6 +1318,24 @@ class SNAB_Shortcodes {
         return $staff;
     }
 
+    /**
+     * Get the logged-in user's name and email to prefill forms.
+     *
+     * @since 1.13.0
+     * @return array|null Array with name and email, or null for guests.
+     */
+    private function get_current_user_contact() {
+        $user = wp_get_current_user();
+        if (!$user->ID) {
+            return null;
+        }
+
+        return array(
+            'name' => $user->display_name,
+            'email' => $user->user_email,
+        );
+    }
+
     /**
      * Get initials from a name.
      *
@@ -0,0 +1,1059 @@
+<?php
+/**
+ * Tour Service Class
+ *
+ * Plans and books multi-property showing tours. Each stop of a tour is a
+ * regular appointment; stops are chained back to back with a drive-time
+ * buffer between addresses and linked by a tour record, so the whole tour
+ * can be rescheduled or cancelled together.
+ *
+ * @package SN_Appointment_Booking
+ * @since 1.11.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Tour Service class.
+ *
+ * @since 1.11.0
+ */
+class SNAB_Tour_Service {
+
+    /**
+     * Number of stops allowed in one tour.
+     */
+    const MIN_STOPS = 2;
+    const MAX_STOPS = 8;
+
+    /**
+     * Drive-time estimate between stops.
+     * Straight-line distance is stretched by ROAD_FACTOR and driven at
+     * AVERAGE_SPEED_MPH, then rounded up to the next 5 minutes. Stops
+     * without coordinates (typed-in addresses) use DEFAULT_DRIVE_MINUTES.
+     */
+    const AVERAGE_SPEED_MPH = 25;
+    const ROAD_FACTOR = 1.3;
+    const MIN_DRIVE_MINUTES = 10;
+    const DEFAULT_DRIVE_MINUTES = 20;
+
+    /**
+     * Availability service instance.
+     *
+     * @var SNAB_Availability_Service
+     */
+    private $availability_service;
+
+    /**
+     * Google Calendar instance.
+     *
+     * @var SNAB_Google_Calendar
+     */
+    private $google_calendar;
+
+    /**
+     * Constructor.
+     */
+    public function __construct() {
+        $this->availability_service = new SNAB_Availability_Service();
+        $this->google_calendar = snab_google_calendar();
+    }
+
+    // ============ Chain Planning ============
+
+    /**
+     * Straight-line distance between two points in miles.
+     *
+     * @param float $lat1 Latitude of the first point.
+     * @param float $lng1 Longitude of the first point.
+     * @param float $lat2 Latitude of the second point.
+     * @param float $lng2 Longitude of the second point.
+     * @return float
+     */
+    public static function distance_miles($lat1, $lng1, $lat2, $lng2) {
+        $earth_radius = 3958.8;
+
+        $d_lat = deg2rad($lat2 - $lat1);
+        $d_lng = deg2rad($lng2 - $lng1);
+
+        $a = sin($d_lat / 2) * sin($d_lat / 2)
+            + cos(deg2rad($lat1)) * cos(deg2rad($lat2)) * sin($d_lng / 2) * sin($d_lng / 2);
+
+        return $earth_radius * 2 * atan2(sqrt($a), sqrt(1 - $a));
+    }
+
+    /**
+     * Estimate the drive between two stops in minutes.
+     *
+     * @param array $from Stop with latitude/longitude (may be null).
+     * @param array $to   Stop with latitude/longitude (may be null).
+     * @return int
+     */
+    public static function estimate_drive_minutes($from, $to) {
+        if (!self::has_coordinates($from) || !self::has_coordinates($to)) {
+            return self::DEFAULT_DRIVE_MINUTES;
+        }
+
+        $miles = self::distance_miles(
+            (float) $from['latitude'],
+            (float) $from['longitude'],
+            (float) $to['latitude'],
+            (float) $to['longitude']
+        ) * self::ROAD_FACTOR;
+
+        $minutes = (int) ceil(($miles / self::AVERAGE_SPEED_MPH * 60) / 5) * 5;
+
+        return max(self::MIN_DRIVE_MINUTES, $minutes);
+    }
+
+    /**
+     * Get the drive minutes between each pair of consecutive stops.
+     *
+     * @param array $stops Ordered stops.
+     * @return array One entry per leg (count($stops) - 1).
+     */
+    public static function get_drive_legs($stops) {
+        $stops = array_values($stops);
+        $legs = array();
+
+        for ($i = 1; $i < count($stops); $i++) {
+            $legs[] = self::estimate_drive_minutes($stops[$i - 1], $stops[$i]);
+        }
+
+        return $legs;
+    }
+
+    /**
+     * Build a chain of stop times starting at a given slot.
+     *
+     * Each stop starts at the first slot boundary after the previous stop
+     * ends plus the drive to it. Every stop must land on an open slot.
+     *
+     * @param string $start_time First stop start (H:i).
+     * @param int    $duration   Minutes per stop.
+     * @param array  $legs       Drive minutes between consecutive stops.
+     * @param array  $slots      Open slot start times for the day (H:i).
+     * @param int    $interval   Slot interval in minutes.
+     * @return array|null Stops as start/end/drive_minutes, or null if the chain doesn't fit.
+     */
+    public static function build_chain($start_time, $duration, $legs, $slots, $interval = SNAB_Availability_Service::DEFAULT_SLOT_INTERVAL) {
+        $duration = (int) $duration;
+        $legs = array_values($legs);
+        $start = self::time_to_minutes($start_time);
+        $chain = array();
+
+        for ($i = 0; $i <= count($legs); $i++) {
+            $drive = 0;
+
+            if ($i > 0) {
+                $drive = (int) $legs[$i - 1];
+                $ready = $start + $duration + $drive;
+                $start = (int) ceil($ready / $interval) * $interval;
+            }
+
+            $time = self::minutes_to_time($start);
+            if ($start + $duration > 24 * 60 || !in_array($time, $slots, true)) {
+                return null;
+            }
+
+            $chain[] = array(
+                'start' => $time,
+                'end' => self::minutes_to_time($start + $duration),
+                'drive_minutes' => $drive,
+            );
+        }
+
+        return $chain;
+    }
+
+    /**
+     * Find every start slot of a day that fits the whole chain.
+     *
+     * @param int   $duration Minutes per stop.
+     * @param array $legs     Drive minutes between consecutive stops.
+     * @param array $slots    Open slot start times for the day (H:i).
+     * @return array Chains keyed by first stop start time.
+     */
+    public static function find_chains($duration, $legs, $slots) {
+        $chains = array();
+
+        foreach ($slots as $slot) {
+            $chain = self::build_chain($slot, $duration, $legs, $slots);
+            if ($chain) {
+                $chains[$slot] = $chain;
+            }
+        }
+
+        return $chains;
+    }
+
+    /**
+     * Find tour start times for a date range.
+     *
+     * @param string $start_date Start date (Y-m-d).
+     * @param string $end_date   End date (Y-m-d).
+     * @param object $type       Appointment type row.
+     * @param int    $staff_id   Staff ID.
+     * @param array  $stops      Resolved stops (see resolve_stops()).
+     * @param array  $filters    Availability filters.
+     * @return array Chains per date: [date => [start => chain]].
+     */
+    public function find_tour_slots($start_date, $end_date, $type, $staff_id, $stops, $filters = array()) {
+        $legs = self::get_drive_legs($stops);
+        $slots = $this->availability_service->get_available_slots($start_date, $end_date, $type->id, $staff_id, $filters);
+
+        $result = array();
+        foreach ($slots as $date => $times) {
+            $chains = self::find_chains($type->duration_minutes, $legs, $times);
+            if (!empty($chains)) {
+                $result[$date] = $chains;
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * Format a chain for the widget and portal.
+     *
+     * @param string $date  Date (Y-m-d).
+     * @param array  $chain Chain from build_chain().
+     * @return array
+     */
+    public static function format_chain($date, $chain) {
+        $stops = array();
+        foreach ($chain as $stop) {
+            $stops[] = array(
+                'start' => $stop['start'],
+                'end' => $stop['end'],
+                'label' => snab_format_time($date, $stop['start']),
+                'end_label' => snab_format_time($date, $stop['end']),
+                'drive_minutes' => $stop['drive_minutes'],
+            );
+        }
+
+        $last = end($chain);
+
+        return array(
+            'value' => $chain[0]['start'],
+            'label' => snab_format_time($date, $chain[0]['start']),
+            'end_label' => snab_format_time($date, $last['end']),
+            'stops' => $stops,
+        );
+    }
+
+    // ============ Listings ============
+
+    /**
+     * Search active listings by address, city or MLS number.
+     *
+     * @param string $term  Search term.
+     * @param int    $limit Maximum results.
+     * @return array Formatted listings.
+     */
+    public function search_listings($term, $limit = 8) {
+        global $wpdb;
+
+        $term = trim($term);
+        $summary_table = $wpdb->prefix . 'bme_listing_summary';
+
+        if (strlen($term) < 2 || $wpdb->get_var("SHOW TABLES LIKE '{$summary_table}'") !== $summary_table) {
+            return array();
+        }
+
+        $like = '%' . $wpdb->esc_like($term) . '%';
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT listing_id, street_number, street_name, unit_number, city, state_or_province,
+                    postal_code, latitude, longitude, main_photo_url, list_price
+             FROM {$summary_table}
+             WHERE listing_id = %s
+                OR CONCAT_WS(' ', street_number, street_name) LIKE %s
+                OR city LIKE %s
+             ORDER BY (listing_id = %s) DESC, city, street_name, street_number
+             LIMIT %d",
+            $term,
+            $like,
+            $like,
+            $term,
+            $limit
+        ));
+
+        return array_map(array(__CLASS__, 'format_listing'), $rows);
+    }
+
+    /**
+     * Get a listing by MLS number (active first, then archive).
+     *
+     * @param string $listing_id MLS listing ID.
+     * @return array|null Formatted listing or null.
+     */
+    public function get_listing($listing_id) {
+        global $wpdb;
+
+        $tables = array(
+            $wpdb->prefix . 'bme_listing_summary',
+            $wpdb->prefix . 'bme_listing_summary_archive',
+        );
+
+        foreach ($tables as $table) {
+            if ($wpdb->get_var("SHOW TABLES LIKE '{$table}'") !== $table) {
+                continue;
+            }
+
+            $row = $wpdb->get_row($wpdb->prepare(
+                "SELECT listing_id, street_number, street_name, unit_number, city, state_or_province,
+                        postal_code, latitude, longitude, main_photo_url, list_price
+                 FROM {$table} WHERE listing_id = %s LIMIT 1",
+                $listing_id
+            ));
+
+            if ($row) {
+                return self::format_listing($row);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Format a listing summary row as a tour stop.
+     *
+     * @param object $row Listing summary row.
+     * @return array
+     */
+    public static function format_listing($row) {
+        $street = trim($row->street_number . ' ' . $row->street_name);
+        if (!empty($row->unit_number)) {
+            $street .= ' #' . $row->unit_number;
+        }
+
+        $locality = trim($row->state_or_province . ' ' . $row->postal_code);
+        $address = implode(', ', array_filter(array($street, $row->city, $locality)));
+
+        return array(
+            'listing_id' => (string) $row->listing_id,
+            'address' => $address,
+            'latitude' => $row->latitude !== null ? (float) $row->latitude : null,
+            'longitude' => $row->longitude !== null ? (float) $row->longitude : null,
+            'photo_url' => $row->main_photo_url,
+            'price' => $row->list_price !== null ? (int) $row->list_price : null,
+        );
+    }
+
+    /**
+     * Resolve submitted stops into ordered tour stops.
+     *
+     * Listings are looked up by MLS number so coordinates come from the
+     * database; typed addresses are kept as-is without coordinates.
+     *
+     * @param array $raw_stops Stops as listing_id and/or address.
+     * @return array|WP_Error Resolved stops.
+     */
+    public function resolve_stops($raw_stops) {
+        if (!is_array($raw_stops)) {
+            $raw_stops = array();
+        }
+
+        $stops = array();
+        foreach ($raw_stops as $raw) {
+            $listing_id = isset($raw['listing_id']) ? sanitize_text_field($raw['listing_id']) : '';
+            $address = isset($raw['address']) ? sanitize_text_field($raw['address']) : '';
+
+            $listing = $listing_id !== '' ? $this->get_listing($listing_id) : null;
+
+            if ($listing) {
+                $stops[] = $listing;
+            } elseif ($address !== '') {
+                $stops[] = array(
+                    'listing_id' => $listing_id !== '' ? $listing_id : null,
+                    'address' => $address,
+                    'latitude' => null,
+                    'longitude' => null,
+                    'photo_url' => null,
+                    'price' => null,
+                );
+            } else {
+                return new WP_Error('invalid_stop', __('Each tour stop needs a listing or an address.', 'sn-appointment-booking'));
+            }
+        }
+
+        if (count($stops) < self::MIN_STOPS || count($stops) > self::MAX_STOPS) {
+            return new WP_Error('invalid_stop_count', sprintf(
+                __('A tour needs between %1$d and %2$d homes.', 'sn-appointment-booking'),
+                self::MIN_STOPS,
+                self::MAX_STOPS
+            ));
+        }
+
+        return $stops;
+    }
+
+    // ============ Booking ============
+
+    /**
+     * Book a tour: one appointment per stop, all in one transaction.
+     *
+     * @param array $booking {
+     *     @type object $type               Appointment type row.
+     *     @type int    $staff_id           Staff ID.
+     *     @type string $date               Tour date (Y-m-d).
+     *     @type string $start_time         First stop start (H:i).
+     *     @type array  $stops              Resolved stops.
+     *     @type int    $user_id            Client user ID (optional).
+     *     @type string $client_name        Client name.
+     *     @type string $client_email       Client email.
+     *     @type string $client_phone       Client phone.
+     *     @type string $client_timezone    Client IANA timezone (optional).
+     *     @type string $client_notes       Client notes.
+     *     @type array  $additional_clients Additional clients (name, email, phone).
+     *     @type array  $cc_emails          CC email addresses.
+     *     @type string $created_by         Who booked ('client', 'agent').
+     * }
+     * @return array|WP_Error The booked tour (see get_tour()).
+     */
+    public function book_tour($booking) {
+        global $wpdb;
+
+        $type = $booking['type'];
+        $date = $booking['date'];
+        $staff_id = (int) $booking['staff_id'];
+        $user_id = !empty($booking['user_id']) ? (int) $booking['user_id'] : null;
+
+        // Re-check the whole chain against current availability
+        $legs = self::get_drive_legs($booking['stops']);
+        $slots = $this->availability_service->get_available_slots($date, $date, $type->id, $staff_id);
+        $chain = self::build_chain(
+            $booking['start_time'],
+            $type->duration_minutes,
+            $legs,
+            isset($slots[$date]) ? $slots[$date] : array()
+        );
+
+        if (!$chain) {
+            return new WP_Error('slot_unavailable', __('Sorry, this tour no longer fits the schedule. Please choose another start time.', 'sn-appointment-booking'));
+        }
+
+        $attendees = $this->prepare_attendees(
+            $booking['client_name'],
+            $booking['client_email'],
+            $booking['client_phone'],
+            $user_id,
+            isset($booking['additional_clients']) ? $booking['additional_clients'] : array(),
+            isset($booking['cc_emails']) ? $booking['cc_emails'] : array()
+        );
+
+        $now = current_time('mysql');
+        $status = $type->requires_approval ? 'pending' : 'confirmed';
+        $appointments_table = $wpdb->prefix . 'snab_appointments';
+
+        // Start transaction so a tour is booked whole or not at all
+        $wpdb->query('START TRANSACTION');
+
+        $wpdb->insert(
+            $wpdb->prefix . 'snab_tours',
+            array(
+                'staff_id' => $staff_id,
+                'appointment_type_id' => $type->id,
+                'user_id' => $user_id,
+                'client_name' => $booking['client_name'],
+                'client_email' => $booking['client_email'],
+                'tour_date' => $date,
+                'stop_count' => count($chain),
+                'status' => 'active',
+                'created_at' => $now,
+            ),
+            array('%d', '%d', '%d', '%s', '%s', '%s', '%d', '%s', '%s')
+        );
+        $tour_id = $wpdb->insert_id;
+
+        if (!$tour_id) {
+            $error = $wpdb->last_error;
+            $wpdb->query('ROLLBACK');
+            SNAB_Logger::error('Failed to create tour', array('error' => $error));
+            return new WP_Error('database_error', __('Failed to book tour. Please try again.', 'sn-appointment-booking'));
+        }
+
+        $stops = array_values($booking['stops']);
+        foreach ($chain as $index => $times) {
+            $this->release_cancelled_slot($staff_id, $date, $times['start']);
+
+            $result = $wpdb->insert(
+                $appointments_table,
+                array(
+                    'staff_id' => $staff_id,
+                    'appointment_type_id' => $type->id,
+                    'status' => $status,
+                    'appointment_date' => $date,
+                    'start_time' => $times['start'] . ':00',
+                    'end_time' => $times['end'] . ':00',
+                    'user_id' => $user_id,
+                    'client_name' => $booking['client_name'],
+                    'client_email' => $booking['client_email'],
+                    'client_phone' => $booking['client_phone'],
+                    'client_timezone' => !empty($booking['client_timezone']) ? $booking['client_timezone'] : null,
+                    'listing_id' => $stops[$index]['listing_id'],
+                    'property_address' => $stops[$index]['address'],
+                    'client_notes' => $booking['client_notes'],
+                    'tour_id' => $tour_id,
+                    'tour_stop' => $index + 1,
+                    'created_by' => isset($booking['created_by']) ? $booking['created_by'] : 'client',
+                    'created_at' => $now,
+                ),
+                array('%d', '%d', '%s', '%s', '%s', '%s', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%d', '%s', '%s')
+            );
+
+            if ($result === false) {
+                // Capture error BEFORE rollback (rollback clears last_error)
+                $error = $wpdb->last_error;
+                $wpdb->query('ROLLBACK');
+
+                if (strpos($error, 'Duplicate entry') !== false || strpos($error, 'unique_slot') !== false) {
+                    SNAB_Logger::warning('Tour booking race condition detected', array(
+                        'date' => $date,
+                        'time' => $times['start'],
+                        'stop' => $index + 1,
+                        'client' => $booking['client_name'],
+                    ));
+                    return new WP_Error('slot_unavailable', __('Sorry, one of these times was just booked by someone else. Please choose another start time.', 'sn-appointment-booking'));
+                }
+
+                SNAB_Logger::error('Failed to create tour stop', array(
+                    'error' => $error,
+                    'date' => $date,
+                    'time' => $times['start'],
+                    'stop' => $index + 1,
+                ));
+                return new WP_Error('database_error', __('Failed to book tour. Please try again.', 'sn-appointment-booking'));
+            }
+
+            $this->insert_attendees($wpdb->insert_id, $attendees);
+        }
+
+        $wpdb->query('COMMIT');
+
+        $tour = $this->get_tour($tour_id);
+
+        foreach ($tour['stops'] as $stop) {
+            $this->create_stop_event($stop, $type);
+        }
+
+        SNAB_Logger::info('Tour booked successfully', array(
+            'tour_id' => $tour_id,
+            'stops' => count($chain),
+            'date' => $date,
+            'start' => $booking['start_time'],
+            'client' => $booking['client_name'],
+        ));
+
+        return $this->get_tour($tour_id);
+    }
+
+    /**
+     * Get a tour with its stops.
+     *
+     * @param int $tour_id Tour ID.
+     * @return array|null Tour row as 'tour' and ordered appointments as 'stops'.
+     */
+    public function get_tour($tour_id) {
+        global $wpdb;
+
+        $tour = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$wpdb->prefix}snab_tours WHERE id = %d",
+            $tour_id
+        ));
+
+        if (!$tour) {
+            return null;
+        }
+
+        $stops = $wpdb->get_results($wpdb->prepare(
+            "SELECT a.*, t.name AS type_name, t.color AS type_color, t.duration_minutes
+             FROM {$wpdb->prefix}snab_appointments a
+             LEFT JOIN {$wpdb->prefix}snab_appointment_types t ON a.appointment_type_id = t.id
+             WHERE a.tour_id = %d
+             ORDER BY a.tour_stop ASC",
+            $tour_id
+        ));
+
+        return array(
+            'tour' => $tour,
+            'stops' => $stops,
+        );
+    }
+
+    /**
+     * Get the stops of a tour that are still pending or confirmed.
+     *
+     * @param array $tour Tour from get_tour().
+     * @return array
+     */
+    public static function get_active_stops($tour) {
+        return array_values(array_filter($tour['stops'], function($stop) {
+            return in_array($stop->status, array('pending', 'confirmed'), true);
+        }));
+    }
+
+    /**
+     * Find start times to move a tour to, ignoring the tour's own stops.
+     *
+     * @param int    $tour_id    Tour ID.
+     * @param string $start_date Start date (Y-m-d).
+     * @param string $end_date   End date (Y-m-d).
+     * @return array Chains per date: [date => [start => chain]].
+     */
+    public function find_reschedule_slots($tour_id, $start_date, $end_date) {
+        global $wpdb;
+
+        $tour = $this->get_tour($tour_id);
+        $active = $tour ? self::get_active_stops($tour) : array();
+        if (empty($active)) {
+            return array();
+        }
+
+        $type = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$wpdb->prefix}snab_appointment_types WHERE id = %d",
+            $tour['tour']->appointment_type_id
+        ));
+        if (!$type) {
+            return array();
+        }
+
+        return $this->find_tour_slots(
+            $start_date,
+            $end_date,
+            $type,
+            $tour['tour']->staff_id,
+            $this->stops_from_appointments($active),
+            array('exclude_appointment_ids' => wp_list_pluck($active, 'id'))
+        );
+    }
+
+    /**
+     * Move all remaining stops of a tour to a new date and start time.
+     *
+     * Ownership and policy checks are the caller's job (see
+     * SNAB_Client_Portal::reschedule_tour()).
+     *
+     * @param int    $tour_id        Tour ID.
+     * @param string $new_date       New date (Y-m-d).
+     * @param string $new_start      New first stop start (H:i).
+     * @param string $rescheduled_by Who rescheduled ('client', 'staff').
+     * @return true|WP_Error
+     */
+    public function reschedule_tour($tour_id, $new_date, $new_start, $rescheduled_by = 'client') {
+        global $wpdb;
+
+        $tour = $this->get_tour($tour_id);
+        $active = $tour ? self::get_active_stops($tour) : array();
+        if (empty($active)) {
+            return new WP_Error('not_found', __('Tour not found or already cancelled.', 'sn-appointment-booking'));
+        }
+
+        $slots = $this->find_reschedule_slots($tour_id, $new_date, $new_date);
+        if (empty($slots[$new_date][$new_start])) {
+            return new WP_Error('slot_unavailable', __('The selected start time no longer fits the whole tour. Please choose another time.', 'sn-appointment-booking'));
+        }
+        $chain = $slots[$new_date][$new_start];
+
+        $old_date = $active[0]->appointment_date;
+        $old_start = substr($active[0]->start_time, 0, 5);
+
+        // Stops keep their spacing, so on the same day update in the direction
+        // of the move to avoid passing through another stop's unique slot
+        $order = array_keys($active);
+        if ($new_date === $old_date && $new_start > $old_start) {
+            $order = array_reverse($order);
+        }
+
+        $wpdb->query('START TRANSACTION');
+
+        foreach ($order as $index) {
+            $stop = $active[$index];
+            $times = $chain[$index];
+
+            $this->release_cancelled_slot($stop->staff_id, $new_date, $times['start']);
+
+            $update_data = array(
+                'appointment_date' => $new_date,
+                'start_time' => $times['start'] . ':00',
+                'end_time' => $times['end'] . ':00',
+                'reschedule_count' => (int) $stop->reschedule_count + 1,
+                'rescheduled_by' => $rescheduled_by,
+                'updated_at' => current_time('mysql'),
+            );
+
+            // Store original datetime on first reschedule
+            if (empty($stop->original_datetime)) {
+                $update_data['original_datetime'] = $stop->appointment_date . ' ' . $stop->start_time;
+            }
+
+            $result = $wpdb->update(
+                $wpdb->prefix . 'snab_appointments',
+                $update_data,
+                array('id' => $stop->id),
+                null,
+                array('%d')
+            );
+
+            if ($result === false) {
+                $error = $wpdb->last_error;
+                $wpdb->query('ROLLBACK');
+                SNAB_Logger::error('Failed to reschedule tour stop', array(
+                    'tour_id' => $tour_id,
+                    'appointment_id' => $stop->id,
+                    'error' => $error,
+                ));
+                return new WP_Error('database_error', __('Failed to reschedule tour. Please try again.', 'sn-appointment-booking'));
+            }
+        }
+
+        $wpdb->update(
+            $wpdb->prefix . 'snab_tours',
+            array(
+                'tour_date' => $new_date,
+                'updated_at' => current_time('mysql'),
+            ),
+            array('id' => $tour_id),
+            array('%s', '%s'),
+            array('%d')
+        );
+
+        $wpdb->query('COMMIT');
+
+        // Move the Google Calendar events
+        $timezone = wp_timezone_string();
+        foreach ($active as $index => $stop) {
+            if (empty($stop->google_event_id) || !$this->google_calendar->is_staff_connected($stop->staff_id)) {
+                continue;
+            }
+
+            $event_data = array(
+                'start' => array('dateTime' => $new_date . 'T' . $chain[$index]['start'] . ':00', 'timeZone' => $timezone),
+                'end' => array('dateTime' => $new_date . 'T' . $chain[$index]['end'] . ':00', 'timeZone' => $timezone),
+            );
+
+            $result = $this->google_calendar->update_staff_event($stop->staff_id, $stop->google_event_id, $event_data);
+            if (is_wp_error($result)) {
+                SNAB_Logger::warning('Failed to update Google Calendar event for tour stop', array(
+                    'appointment_id' => $stop->id,
+                    'event_id' => $stop->google_event_id,
+                    'error' => $result->get_error_message(),
+                ));
+            }
+        }
+
+        // $active still holds the old times - offer the freed slots to the waitlist (v1.13.0)
+        $waitlist = new SNAB_Waitlist_Service();
+        foreach ($active as $stop) {
+            $waitlist->release_slot($stop);
+        }
+
+        SNAB_Logger::info('Tour rescheduled', array(
+            'tour_id' => $tour_id,
+            'old_date' => $old_date,
+            'old_start' => $old_start,
+            'new_date' => $new_date,
+            'new_start' => $new_start,
+            'rescheduled_by' => $rescheduled_by,
+        ));
+
+        return true;
+    }
+
+    /**
+     * Cancel all remaining stops of a tour.
+     *
+     * Ownership and policy checks are the caller's job (see
+     * SNAB_Client_Portal::cancel_tour()).
+     *
+     * @param int    $tour_id      Tour ID.
+     * @param string $reason       Cancellation reason.
+     * @param string $cancelled_by Who cancelled ('client', 'staff').
+     * @return true|WP_Error
+     */
+    public function cancel_tour($tour_id, $reason = '', $cancelled_by = 'client') {
+        global $wpdb;
+
+        $tour = $this->get_tour($tour_id);
+        $active = $tour ? self::get_active_stops($tour) : array();
+        if (empty($active)) {
+            return new WP_Error('not_found', __('Tour not found or already cancelled.', 'sn-appointment-booking'));
+        }
+
+        $now = current_time('mysql');
+
+        $result = $wpdb->query($wpdb->prepare(
+            "UPDATE {$wpdb->prefix}snab_appointments
+             SET status = 'cancelled', cancellation_reason = %s, cancelled_by = %s, cancelled_at = %s, updated_at = %s
+             WHERE tour_id = %d AND status IN ('pending', 'confirmed')",
+            $reason,
+            $cancelled_by,
+            $now,
+            $now,
+            $tour_id
+        ));
+
+        if ($result === false) {
+            SNAB_Logger::error('Failed to cancel tour', array(
+                'tour_id' => $tour_id,
+                'error' => $wpdb->last_error,
+            ));
+            return new WP_Error('database_error', __('Failed to cancel tour. Please try again.', 'sn-appointment-booking'));
+        }
+
+        $wpdb->update(
+            $wpdb->prefix . 'snab_tours',
+            array(
+                'status' => 'cancelled',
+                'updated_at' => $now,
+            ),
+            array('id' => $tour_id),
+            array('%s', '%s'),
+            array('%d')
+        );
+
+        // Remove the Google Calendar events
+        foreach ($active as $stop) {
+            if (empty($stop->google_event_id) || !$this->google_calendar->is_staff_connected($stop->staff_id)) {
+                continue;
+            }
+
+            $delete_result = $this->google_calendar->delete_staff_event($stop->staff_id, $stop->google_event_id);
+            if (is_wp_error($delete_result)) {
+                SNAB_Logger::warning('Failed to delete Google Calendar event for tour stop', array(
+                    'appointment_id' => $stop->id,
+                    'event_id' => $stop->google_event_id,
+                    'error' => $delete_result->get_error_message(),
+                ));
+            }
+        }
+
+        // Offer each freed stop slot to the waitlist (v1.13.0)
+        $waitlist = new SNAB_Waitlist_Service();
+        foreach ($active as $stop) {
+            $waitlist->release_slot($stop);
+        }
+
+        SNAB_Logger::info('Tour cancelled', array(
+            'tour_id' => $tour_id,
+            'stops' => count($active),
+            'cancelled_by' => $cancelled_by,
+        ));
+
+        return true;
+    }
+
+    // ============ Helpers ============
+
+    /**
+     * Rebuild stop locations from booked appointments.
+     *
+     * @param array $appointments Tour stop appointments.
+     * @return array Stops with address and coordinates.
+     */
+    private function stops_from_appointments($appointments) {
+        $stops = array();
+
+        foreach ($appointments as $appointment) {
+            $listing = !empty($appointment->listing_id) ? $this->get_listing($appointment->listing_id) : null;
+
+            $stops[] = array(
+                'listing_id' => $appointment->listing_id,
+                'address' => $appointment->property_address,
+                'latitude' => $listing ? $listing['latitude'] : null,
+                'longitude' => $listing ? $listing['longitude'] : null,
+            );
+        }
+
+        return $stops;
+    }
+
+    /**
+     * Create the Google Calendar event for one tour stop.
+     *
+     * @param object $stop Stop appointment row.
+     * @param object $type Appointment type row.
+     */
+    private function create_stop_event($stop, $type) {
+        global $wpdb;
+
+        if (!$this->google_calendar->is_staff_connected($stop->staff_id)) {
+            return;
+        }
+
+        $timezone = wp_timezone_string();
+
+        $description_parts = array(
+            sprintf('Type: %s', $type->name),
+            sprintf('Tour stop: %d', $stop->tour_stop),
+            sprintf('Client: %s', $stop->client_name),
+            sprintf('Email: %s', $stop->client_email),
+        );
+        if (!empty($stop->client_phone)) {
+            $description_parts[] = sprintf('Phone: %s', $stop->client_phone);
+        }
+        if (!empty($stop->listing_id)) {
+            $description_parts[] = sprintf('MLS #: %s', $stop->listing_id);
+        }
+
+        $event_data = array(
+            'summary' => sprintf('%s (Tour stop %d) - %s', $type->name, $stop->tour_stop, $stop->client_name),
+            'description' => implode("\n", $description_parts),
+            'location' => $stop->property_address,
+            'start' => array('dateTime' => $stop->appointment_date . 'T' . $stop->start_time, 'timeZone' => $timezone),
+            'end' => array('dateTime' => $stop->appointment_date . 'T' . $stop->end_time, 'timeZone' => $timezone),
+        );
+
+        $attendees_array = $this->google_calendar->build_attendees_array($stop->id);
+        if (!empty($attendees_array)) {
+            $event_data['attendees'] = $attendees_array;
+        }
+
+        $event_result = $this->google_calendar->create_staff_event($stop->staff_id, $event_data);
+
+        if (!is_wp_error($event_result) && isset($event_result['id'])) {
+            $wpdb->update(
+                $wpdb->prefix . 'snab_appointments',
+                array(
+                    'google_event_id' => $event_result['id'],
+                    'google_calendar_synced' => 1,
+                ),
+                array('id' => $stop->id),
+                array('%s', '%d'),
+                array('%d')
+            );
+        } else {
+            SNAB_Logger::warning('Failed to create Google Calendar event for tour stop', array(
+                'appointment_id' => $stop->id,
+                'error' => is_wp_error($event_result) ? $event_result->get_error_message() : 'Unknown error',
+            ));
+        }
+    }
+
+    /**
+     * Delete cancelled/no-show rows holding a slot's unique key.
+     *
+     * @param int    $staff_id Staff ID.
+     * @param string $date     Date (Y-m-d).
+     * @param string $time     Start time (H:i).
+     */
+    private function release_cancelled_slot($staff_id, $date, $time) {
+        global $wpdb;
+
+        $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$wpdb->prefix}snab_appointments
+             WHERE staff_id = %d AND appointment_date = %s AND start_time = %s
+             AND status IN ('cancelled', 'no_show')",
+            $staff_id,
+            $date,
+            $time . ':00'
+        ));
+    }
+
+    /**
+     * Build the attendee rows shared by every stop of a tour.
+     *
+     * @param string   $client_name        Primary client name.
+     * @param string   $client_email       Primary client email.
+     * @param string   $client_phone       Primary client phone.
+     * @param int|null $user_id            Primary client user ID.
+     * @param array    $additional_clients Additional clients (name, email, phone).
+     * @param array    $cc_emails          CC email addresses.
+     * @return array
+     */
+    private function prepare_attendees($client_name, $client_email, $client_phone, $user_id, $additional_clients, $cc_emails) {
+        $attendees = array(
+            array(
+                'attendee_type' => 'primary',
+                'user_id' => $user_id,
+                'name' => $client_name,
+                'email' => $client_email,
+                'phone' => $client_phone ?: null,
+            ),
+        );
+
+        foreach ($additional_clients as $client) {
+            if (empty($client['name']) || empty($client['email'])) {
+                continue;
+            }
+
+            $user = get_user_by('email', $client['email']);
+            $attendees[] = array(
+                'attendee_type' => 'additional',
+                'user_id' => $user ? $user->ID : null,
+                'name' => $client['name'],
+                'email' => $client['email'],
+                'phone' => !empty($client['phone']) ? $client['phone'] : null,
+            );
+        }
+
+        foreach ($cc_emails as $email) {
+            $attendees[] = array(
+                'attendee_type' => 'cc',
+                'user_id' => null,
+                'name' => ucfirst(explode('@', $email)[0]),
+                'email' => $email,
+                'phone' => null,
+            );
+        }
+
+        return $attendees;
+    }
+
+    /**
+     * Insert attendee rows for a tour stop.
+     *
+     * @param int   $appointment_id Appointment ID.
+     * @param array $attendees      Rows from prepare_attendees().
+     */
+    private function insert_attendees($appointment_id, $attendees) {
+        global $wpdb;
+
+        $now = current_time('mysql');
+
+        foreach ($attendees as $attendee) {
+            $wpdb->insert(
+                $wpdb->prefix . 'snab_appointment_attendees',
+                array_merge(array('appointment_id' => $appointment_id), $attendee, array('created_at' => $now)),
+                array('%d', '%s', '%d', '%s', '%s', '%s', '%s')
+            );
+        }
+    }
+
+    /**
+     * Whether a stop has usable coordinates.
+     *
+     * @param array $stop Stop.
+     * @return bool
+     */
+    private static function has_coordinates($stop) {
+        return isset($stop['latitude'], $stop['longitude'])
+            && (float) $stop['latitude'] !== 0.0
+            && (float) $stop['longitude'] !== 0.0;
+    }
+
+    /**
+     * Convert H:i to minutes after midnight.
+     *
+     * @param string $time Time (H:i or H:i:s).
+     * @return int
+     */
+    private static function time_to_minutes($time) {
+        $parts = explode(':', $time);
+        return ((int) $parts[0]) * 60 + (int) $parts[1];
+    }
+
+    /**
+     * Convert minutes after midnight to H:i.
+     *
+     * @param int $minutes Minutes after midnight.
+     * @return string
+     */
+    private static function minutes_to_time($minutes) {
+        return sprintf('%02d:%02d', intdiv($minutes, 60), $minutes % 60);
+    }
+}
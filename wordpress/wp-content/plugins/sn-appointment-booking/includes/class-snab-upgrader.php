@@ -24,13 +24,13 @@ class SNAB_Upgrader {
      * Current plugin version.
      * IMPORTANT: Keep in sync with SNAB_VERSION in main plugin file.
      */
-    const CURRENT_VERSION = '1.10.0';
+    const CURRENT_VERSION = '1.15.0';
 
     /**
      * Current database version.
      * IMPORTANT: Keep in sync with SNAB_DB_VERSION in main plugin file.
      */
-    const CURRENT_DB_VERSION = '1.10.0';
+    const CURRENT_DB_VERSION = '1.15.0';
 
     /**
      * Check version and run upgrades if needed.
@@ -115,6 +115,26 @@ class SNAB_Upgrader {
             self::upgrade_to_1_7_0();
         }
 
+        // Version 1.11.0 - Showing tours table and appointment tour columns
+        if (version_compare($from_version, '1.11.0', '<')) {
+            self::upgrade_to_1_11_0();
+        }
+
+        // Version 1.12.0 - Client timezone on appointments
+        if (version_compare($from_version, '1.12.0', '<')) {
+            self::upgrade_to_1_12_0();
+        }
+
+        // Version 1.13.0 - Waitlist table
+        if (version_compare($from_version, '1.13.0', '<')) {
+            self::upgrade_to_1_13_0();
+        }
+
+        // Version 1.15.0 - Recurring appointment series
+        if (version_compare($from_version, '1.15.0', '<')) {
+            self::upgrade_to_1_15_0();
+        }
+
         // Update stored version
         update_option('snab_db_version', self::CURRENT_DB_VERSION);
         update_option('snab_version', self::CURRENT_VERSION);
@@ -393,6 +413,61 @@ class SNAB_Upgrader {
         }
     }
 
+    /**
+     * Upgrade to version 1.11.0.
+     *
+     * Creates the tours table and adds tour_id/tour_stop to appointments.
+     * dbDelta in create_tables() handles both.
+     *
+     * @since 1.11.0
+     */
+    private static function upgrade_to_1_11_0() {
+        SNAB_Logger::info('Running upgrade to 1.11.0 - Adding showing tours');
+
+        SNAB_Activator::create_tables();
+    }
+
+    /**
+     * Upgrade to version 1.12.0.
+     *
+     * Adds client_timezone to appointments so emails can show the
+     * client's local time next to office time.
+     *
+     * @since 1.12.0
+     */
+    private static function upgrade_to_1_12_0() {
+        SNAB_Logger::info('Running upgrade to 1.12.0 - Adding client timezone');
+
+        SNAB_Activator::create_tables();
+    }
+
+    /**
+     * Upgrade to version 1.13.0.
+     *
+     * Creates the waitlist table for fully booked days.
+     *
+     * @since 1.13.0
+     */
+    private static function upgrade_to_1_13_0() {
+        SNAB_Logger::info('Running upgrade to 1.13.0 - Adding waitlist');
+
+        SNAB_Activator::create_tables();
+    }
+
+    /**
+     * Upgrade to version 1.15.0.
+     *
+     * Creates the appointment series table and adds series_id/series_index
+     * to appointments. dbDelta in create_tables() handles both.
+     *
+     * @since 1.15.0
+     */
+    private static function upgrade_to_1_15_0() {
+        SNAB_Logger::info('Running upgrade to 1.15.0 - Adding recurring appointment series');
+
+        SNAB_Activator::create_tables();
+    }
+
     /**
      * Get current versions.
      *
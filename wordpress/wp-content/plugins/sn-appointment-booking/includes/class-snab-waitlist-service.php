@@ -0,0 +1,817 @@
+<?php
+/**
+ * Waitlist Service Class
+ *
+ * Lets clients wait for a fully booked day. When a booking on that day is
+ * cancelled, the freed slot is offered to the first person waiting for the
+ * same appointment type. The slot is held for them for a limited time;
+ * if they don't book it (or turn it down) it passes to the next person.
+ *
+ * @package SN_Appointment_Booking
+ * @since 1.13.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Waitlist Service class.
+ *
+ * @since 1.13.0
+ */
+class SNAB_Waitlist_Service {
+
+    /**
+     * How long an offered slot is held, in minutes.
+     * The site setting (snab_waitlist_hold_minutes) is clamped to this range.
+     */
+    const DEFAULT_HOLD_MINUTES = 120;
+    const MIN_HOLD_MINUTES = 15;
+    const MAX_HOLD_MINUTES = 1440;
+
+    /**
+     * Cron hook fired when an offer's hold runs out.
+     */
+    const EXPIRE_HOOK = 'snab_waitlist_offer_expired';
+
+    /**
+     * Availability service instance.
+     *
+     * @var SNAB_Availability_Service
+     */
+    private $availability_service;
+
+    /**
+     * Google Calendar instance.
+     *
+     * @var SNAB_Google_Calendar
+     */
+    private $google_calendar;
+
+    /**
+     * Constructor.
+     */
+    public function __construct() {
+        $this->availability_service = new SNAB_Availability_Service();
+        $this->google_calendar = snab_google_calendar();
+    }
+
+    /**
+     * Register the offer expiry cron hook.
+     */
+    public static function init() {
+        add_action(self::EXPIRE_HOOK, array(__CLASS__, 'handle_offer_expired'));
+    }
+
+    /**
+     * Cron callback: expire an offer and pass its slot on.
+     *
+     * @param int $entry_id Waitlist entry ID.
+     */
+    public static function handle_offer_expired($entry_id) {
+        $service = new self();
+        $service->expire_offer($entry_id);
+    }
+
+    // ============ Helpers (no database) ============
+
+    /**
+     * Clamp a hold window to the allowed range.
+     *
+     * @param mixed $minutes Hold window in minutes.
+     * @return int
+     */
+    public static function sanitize_hold_minutes($minutes) {
+        $minutes = (int) $minutes;
+
+        if ($minutes <= 0) {
+            return self::DEFAULT_HOLD_MINUTES;
+        }
+
+        return max(self::MIN_HOLD_MINUTES, min(self::MAX_HOLD_MINUTES, $minutes));
+    }
+
+    /**
+     * Get the configured hold window in minutes.
+     *
+     * @return int
+     */
+    public static function get_hold_minutes() {
+        return self::sanitize_hold_minutes(get_option('snab_waitlist_hold_minutes', self::DEFAULT_HOLD_MINUTES));
+    }
+
+    /**
+     * Pick who gets offered a freed slot.
+     *
+     * Entries must already be in waiting order. An entry tied to a staff
+     * member only matches that staff member's slots.
+     *
+     * @param array $entries  Waiting entries, oldest first.
+     * @param int   $staff_id Staff ID of the freed slot.
+     * @return object|null
+     */
+    public static function pick_next_entry($entries, $staff_id) {
+        foreach ($entries as $entry) {
+            if (empty($entry->staff_id) || (int) $entry->staff_id === (int) $staff_id) {
+                return $entry;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether an entry holds a slot that can still be booked.
+     *
+     * @param object $entry Waitlist entry.
+     * @param string $now   Current site time (Y-m-d H:i:s).
+     * @return bool
+     */
+    public static function is_offer_live($entry, $now) {
+        return $entry->status === 'offered'
+            && !empty($entry->offer_expires_at)
+            && $entry->offer_expires_at > $now;
+    }
+
+    // ============ Joining ============
+
+    /**
+     * Add a client to the waitlist for a fully booked day.
+     *
+     * @param array $data {
+     *     @type int    $type_id         Appointment type ID.
+     *     @type int    $staff_id        Staff ID (optional, 0 = any).
+     *     @type string $date            Date (Y-m-d).
+     *     @type int    $user_id         Client user ID (optional).
+     *     @type string $client_name     Client name.
+     *     @type string $client_email    Client email.
+     *     @type string $client_phone    Client phone (optional).
+     *     @type string $client_timezone Client IANA timezone (optional).
+     *     @type string $claim_url       Page the offer email links back to (optional).
+     * }
+     * @return object|WP_Error The new entry.
+     */
+    public function join($data) {
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'snab_waitlist';
+        $date = $data['date'];
+        $staff_id = !empty($data['staff_id']) ? (int) $data['staff_id'] : null;
+
+        $type = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$wpdb->prefix}snab_appointment_types WHERE id = %d AND is_active = 1",
+            $data['type_id']
+        ));
+
+        if (!$type) {
+            return new WP_Error('invalid_type', __('Please select an appointment type.', 'sn-appointment-booking'));
+        }
+
+        if (empty($data['client_name'])) {
+            return new WP_Error('missing_name', __('Please enter your name.', 'sn-appointment-booking'));
+        }
+
+        if (empty($data['client_email']) || !is_email($data['client_email'])) {
+            return new WP_Error('invalid_email', __('Please enter a valid email address.', 'sn-appointment-booking'));
+        }
+
+        $slots = $this->availability_service->get_available_slots($date, $date, $type->id, $staff_id);
+        if (!empty($slots[$date])) {
+            return new WP_Error('slots_available', __('Times are still open on this day. Please pick one of them.', 'sn-appointment-booking'));
+        }
+
+        $full_dates = $this->availability_service->get_full_dates($date, $date, $type->id, $staff_id, array(), $slots);
+        if (!in_array($date, $full_dates, true)) {
+            return new WP_Error('not_bookable', __('Appointments are not available on this day.', 'sn-appointment-booking'));
+        }
+
+        $existing = $wpdb->get_var($wpdb->prepare(
+            "SELECT id FROM {$table}
+             WHERE appointment_type_id = %d AND waitlist_date = %s AND client_email = %s
+             AND status IN ('waiting', 'offered')",
+            $type->id,
+            $date,
+            $data['client_email']
+        ));
+
+        if ($existing) {
+            return new WP_Error('already_waiting', __('You are already on the waitlist for this day.', 'sn-appointment-booking'));
+        }
+
+        $result = $wpdb->insert(
+            $table,
+            array(
+                'appointment_type_id' => $type->id,
+                'staff_id' => $staff_id,
+                'waitlist_date' => $date,
+                'user_id' => !empty($data['user_id']) ? (int) $data['user_id'] : null,
+                'client_name' => $data['client_name'],
+                'client_email' => $data['client_email'],
+                'client_phone' => !empty($data['client_phone']) ? $data['client_phone'] : null,
+                'client_timezone' => !empty($data['client_timezone']) ? $data['client_timezone'] : null,
+                'claim_url' => !empty($data['claim_url']) ? $data['claim_url'] : null,
+                'status' => 'waiting',
+                'created_at' => current_time('mysql'),
+            ),
+            array('%d', '%d', '%s', '%d', '%s', '%s', '%s', '%s', '%s', '%s', '%s')
+        );
+
+        if ($result === false) {
+            SNAB_Logger::error('Failed to join waitlist', array(
+                'error' => $wpdb->last_error,
+                'type_id' => $type->id,
+                'date' => $date,
+            ));
+            return new WP_Error('database_error', __('Failed to join the waitlist. Please try again.', 'sn-appointment-booking'));
+        }
+
+        $entry_id = $wpdb->insert_id;
+
+        snab_notifications()->send_waitlist_joined($entry_id);
+
+        SNAB_Logger::info('Client joined waitlist', array(
+            'entry_id' => $entry_id,
+            'type_id' => $type->id,
+            'date' => $date,
+            'client' => $data['client_name'],
+        ));
+
+        return $this->get_entry($entry_id);
+    }
+
+    /**
+     * Take a client off the waitlist.
+     *
+     * Leaving while holding an offer passes the slot on straight away.
+     *
+     * @param int $entry_id Entry ID.
+     * @param int $user_id  User ID (must own the entry).
+     * @return true|WP_Error
+     */
+    public function leave($entry_id, $user_id) {
+        $entry = $this->get_user_entry($entry_id, $user_id);
+
+        if (!$entry || !in_array($entry->status, array('waiting', 'offered'), true)) {
+            return new WP_Error('not_found', __('Waitlist entry not found.', 'sn-appointment-booking'));
+        }
+
+        $this->close_entry($entry, 'cancelled');
+
+        return true;
+    }
+
+    // ============ Offering ============
+
+    /**
+     * Offer a slot freed by a cancellation to the waitlist.
+     *
+     * @param object $appointment Cancelled appointment row (staff_id, appointment_type_id,
+     *                            appointment_date, start_time).
+     * @return bool Whether someone was offered the slot.
+     */
+    public function release_slot($appointment) {
+        if ($appointment->appointment_date < wp_date('Y-m-d')) {
+            return false;
+        }
+
+        return $this->offer_slot(
+            (int) $appointment->appointment_type_id,
+            (int) $appointment->staff_id,
+            $appointment->appointment_date,
+            substr($appointment->start_time, 0, 5)
+        );
+    }
+
+    /**
+     * Expire an offer whose hold has run out and pass the slot on.
+     *
+     * @param int $entry_id Entry ID.
+     * @return bool Whether the offer was expired.
+     */
+    public function expire_offer($entry_id) {
+        $entry = $this->get_entry($entry_id);
+
+        if (!$entry || $entry->status !== 'offered') {
+            return false;
+        }
+
+        // Cron can run early; leave live holds alone
+        if (self::is_offer_live($entry, current_time('mysql'))) {
+            return false;
+        }
+
+        SNAB_Logger::info('Waitlist offer expired', array(
+            'entry_id' => $entry->id,
+            'date' => $entry->waitlist_date,
+            'time' => $entry->offered_time,
+        ));
+
+        $this->close_entry($entry, 'expired');
+
+        return true;
+    }
+
+    /**
+     * Turn down an offer so the next person can have the slot.
+     *
+     * @param string $token Offer token.
+     * @return true|WP_Error
+     */
+    public function decline_offer($token) {
+        $entry = $this->get_entry_by_token($token);
+
+        if (!$entry || $entry->status !== 'offered') {
+            return new WP_Error('offer_not_found', __('This offer is no longer available.', 'sn-appointment-booking'));
+        }
+
+        $this->close_entry($entry, 'cancelled');
+
+        return true;
+    }
+
+    /**
+     * Book the slot held by an offer.
+     *
+     * @param string $token           Offer token.
+     * @param string $client_timezone Client IANA timezone (optional, falls back to the one given on joining).
+     * @return array|WP_Error {
+     *     @type int    $appointment_id Booked appointment ID.
+     *     @type object $entry          Waitlist entry.
+     *     @type object $type           Appointment type row.
+     * }
+     */
+    public function claim_offer($token, $client_timezone = '') {
+        global $wpdb;
+
+        $entry = $this->get_entry_by_token($token);
+
+        if (!$entry) {
+            return new WP_Error('offer_not_found', __('This offer is no longer available.', 'sn-appointment-booking'));
+        }
+
+        if ($entry->status === 'booked') {
+            return new WP_Error('offer_claimed', __('You have already booked this time.', 'sn-appointment-booking'));
+        }
+
+        if (!self::is_offer_live($entry, current_time('mysql'))) {
+            return new WP_Error('offer_expired', __('Sorry, this time is no longer being held for you.', 'sn-appointment-booking'));
+        }
+
+        $type = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$wpdb->prefix}snab_appointment_types WHERE id = %d",
+            $entry->appointment_type_id
+        ));
+
+        if (!$type) {
+            return new WP_Error('invalid_type', __('Invalid appointment type.', 'sn-appointment-booking'));
+        }
+
+        $date = $entry->waitlist_date;
+        $time = substr($entry->offered_time, 0, 5);
+        $staff_id = (int) $entry->offered_staff_id;
+
+        // The hold keeps the slot out of everyone else's availability, but not ours
+        $slots = $this->availability_service->get_available_slots($date, $date, $type->id, $staff_id, array(
+            'exclude_waitlist_ids' => array($entry->id),
+        ));
+
+        if (empty($slots[$date]) || !in_array($time, $slots[$date], true)) {
+            return new WP_Error('slot_unavailable', __('Sorry, this time is no longer available.', 'sn-appointment-booking'));
+        }
+
+        $client_timezone = $client_timezone ?: $entry->client_timezone;
+        $start = new DateTime($date . ' ' . $time, wp_timezone());
+        $end = clone $start;
+        $end->modify('+' . $type->duration_minutes . ' minutes');
+
+        $appointments_table = $wpdb->prefix . 'snab_appointments';
+
+        $wpdb->query('START TRANSACTION');
+
+        // Free the unique slot key held by the cancelled booking
+        $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$appointments_table}
+             WHERE staff_id = %d AND appointment_date = %s AND start_time = %s
+             AND status IN ('cancelled', 'no_show')",
+            $staff_id,
+            $date,
+            $start->format('H:i:s')
+        ));
+
+        $result = $wpdb->insert(
+            $appointments_table,
+            array(
+                'staff_id' => $staff_id,
+                'appointment_type_id' => $type->id,
+                'status' => $type->requires_approval ? 'pending' : 'confirmed',
+                'appointment_date' => $date,
+                'start_time' => $start->format('H:i:s'),
+                'end_time' => $end->format('H:i:s'),
+                'user_id' => $entry->user_id,
+                'client_name' => $entry->client_name,
+                'client_email' => $entry->client_email,
+                'client_phone' => $entry->client_phone,
+                'client_timezone' => $client_timezone ?: null,
+                'created_by' => 'waitlist',
+                'created_at' => current_time('mysql'),
+            ),
+            array('%d', '%d', '%s', '%s', '%s', '%s', '%d', '%s', '%s', '%s', '%s', '%s', '%s')
+        );
+
+        if ($result === false) {
+            // Capture error BEFORE rollback (rollback clears last_error)
+            $error = $wpdb->last_error;
+            $wpdb->query('ROLLBACK');
+
+            SNAB_Logger::error('Failed to book waitlist offer', array(
+                'entry_id' => $entry->id,
+                'error' => $error,
+            ));
+
+            if (strpos($error, 'Duplicate entry') !== false || strpos($error, 'unique_slot') !== false) {
+                return new WP_Error('slot_unavailable', __('Sorry, this time is no longer available.', 'sn-appointment-booking'));
+            }
+            return new WP_Error('database_error', __('Failed to book appointment. Please try again.', 'sn-appointment-booking'));
+        }
+
+        $appointment_id = $wpdb->insert_id;
+
+        $wpdb->insert(
+            $wpdb->prefix . 'snab_appointment_attendees',
+            array(
+                'appointment_id' => $appointment_id,
+                'attendee_type' => 'primary',
+                'user_id' => $entry->user_id,
+                'name' => $entry->client_name,
+                'email' => $entry->client_email,
+                'phone' => $entry->client_phone,
+                'created_at' => current_time('mysql'),
+            ),
+            array('%d', '%s', '%d', '%s', '%s', '%s', '%s')
+        );
+
+        $wpdb->update(
+            $wpdb->prefix . 'snab_waitlist',
+            array(
+                'status' => 'booked',
+                'appointment_id' => $appointment_id,
+                'updated_at' => current_time('mysql'),
+            ),
+            array('id' => $entry->id),
+            array('%s', '%d', '%s'),
+            array('%d')
+        );
+
+        $wpdb->query('COMMIT');
+
+        wp_clear_scheduled_hook(self::EXPIRE_HOOK, array((int) $entry->id));
+
+        $this->create_calendar_event($appointment_id, $type);
+
+        $notifications = snab_notifications();
+        $notifications->send_client_confirmation($appointment_id);
+        $notifications->send_staff_confirmation($appointment_id);
+        $notifications->send_admin_confirmation($appointment_id);
+
+        SNAB_Logger::info('Waitlist offer booked', array(
+            'entry_id' => $entry->id,
+            'appointment_id' => $appointment_id,
+            'date' => $date,
+            'time' => $time,
+            'client' => $entry->client_name,
+        ));
+
+        return array(
+            'appointment_id' => $appointment_id,
+            'entry' => $this->get_entry($entry->id),
+            'type' => $type,
+        );
+    }
+
+    // ============ Lookups ============
+
+    /**
+     * Get an entry with its appointment type.
+     *
+     * @param int $entry_id Entry ID.
+     * @return object|null
+     */
+    public function get_entry($entry_id) {
+        global $wpdb;
+
+        return $wpdb->get_row($wpdb->prepare(
+            "SELECT w.*, t.name as type_name, t.color as type_color, t.duration_minutes
+             FROM {$wpdb->prefix}snab_waitlist w
+             JOIN {$wpdb->prefix}snab_appointment_types t ON w.appointment_type_id = t.id
+             WHERE w.id = %d",
+            $entry_id
+        ));
+    }
+
+    /**
+     * Get an entry by its offer token.
+     *
+     * @param string $token Offer token.
+     * @return object|null
+     */
+    public function get_entry_by_token($token) {
+        global $wpdb;
+
+        if (empty($token)) {
+            return null;
+        }
+
+        $entry_id = $wpdb->get_var($wpdb->prepare(
+            "SELECT id FROM {$wpdb->prefix}snab_waitlist WHERE offer_token = %s",
+            $token
+        ));
+
+        return $entry_id ? $this->get_entry($entry_id) : null;
+    }
+
+    /**
+     * Get an entry owned by a user (by user ID or account email).
+     *
+     * @param int $entry_id Entry ID.
+     * @param int $user_id  User ID.
+     * @return object|null
+     */
+    public function get_user_entry($entry_id, $user_id) {
+        $entry = $this->get_entry($entry_id);
+        if (!$entry || !$user_id) {
+            return null;
+        }
+
+        $user = get_userdata($user_id);
+        $owns = (int) $entry->user_id === (int) $user_id
+            || ($user && strcasecmp($entry->client_email, $user->user_email) === 0);
+
+        return $owns ? $entry : null;
+    }
+
+    /**
+     * Get a user's open waitlist entries (waiting or holding an offer).
+     *
+     * @param int $user_id User ID.
+     * @return array
+     */
+    public function get_user_entries($user_id) {
+        global $wpdb;
+
+        $user = get_userdata($user_id);
+        if (!$user) {
+            return array();
+        }
+
+        return $wpdb->get_results($wpdb->prepare(
+            "SELECT w.*, t.name as type_name, t.color as type_color, t.duration_minutes
+             FROM {$wpdb->prefix}snab_waitlist w
+             JOIN {$wpdb->prefix}snab_appointment_types t ON w.appointment_type_id = t.id
+             WHERE (w.user_id = %d OR w.client_email = %s)
+             AND w.status IN ('waiting', 'offered')
+             AND w.waitlist_date >= %s
+             ORDER BY w.waitlist_date ASC, w.id ASC",
+            $user_id,
+            $user->user_email,
+            wp_date('Y-m-d')
+        ));
+    }
+
+    /**
+     * Place of a waiting entry in its queue (1 = next in line).
+     *
+     * @param object $entry Waitlist entry.
+     * @return int
+     */
+    public function get_position($entry) {
+        global $wpdb;
+
+        return (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM {$wpdb->prefix}snab_waitlist
+             WHERE appointment_type_id = %d AND waitlist_date = %s
+             AND status = 'waiting' AND id <= %d",
+            $entry->appointment_type_id,
+            $entry->waitlist_date,
+            $entry->id
+        ));
+    }
+
+    /**
+     * Format an entry for AJAX/REST responses.
+     *
+     * @param object $entry         Waitlist entry (from get_entry()).
+     * @param bool   $include_token Whether to include the offer token (owner only).
+     * @return array
+     */
+    public function format_entry($entry, $include_token = false) {
+        $offered = $entry->status === 'offered' && !empty($entry->offered_time);
+
+        $data = array(
+            'id' => (int) $entry->id,
+            'appointment_type_id' => (int) $entry->appointment_type_id,
+            'type_name' => $entry->type_name,
+            'type_color' => $entry->type_color,
+            'date' => $entry->waitlist_date,
+            'formatted_date' => snab_format_date($entry->waitlist_date),
+            'status' => $entry->status,
+            'position' => $entry->status === 'waiting' ? $this->get_position($entry) : null,
+            'offered_time' => $offered ? substr($entry->offered_time, 0, 5) : null,
+            'formatted_time' => $offered ? snab_format_time($entry->waitlist_date, $entry->offered_time) : null,
+            'offer_expires_at' => $offered ? $entry->offer_expires_at : null,
+            'formatted_expires' => $offered ? $this->format_expiry($entry->offer_expires_at) : null,
+            'appointment_id' => !empty($entry->appointment_id) ? (int) $entry->appointment_id : null,
+        );
+
+        if ($include_token) {
+            $data['offer_token'] = $offered ? $entry->offer_token : null;
+        }
+
+        return $data;
+    }
+
+    /**
+     * Format an offer's hold deadline, e.g. "Oct 21, 2:30 PM".
+     *
+     * @param string $expires_at Site time (Y-m-d H:i:s).
+     * @return string
+     */
+    public function format_expiry($expires_at) {
+        list($date, $time) = explode(' ', $expires_at);
+
+        return wp_date('M j, ' . get_option('time_format'), snab_datetime_to_timestamp($date, $time));
+    }
+
+    // ============ Internals ============
+
+    /**
+     * Offer a slot to the first matching person waiting for it.
+     *
+     * @param int    $type_id  Appointment type ID.
+     * @param int    $staff_id Staff ID.
+     * @param string $date     Date (Y-m-d).
+     * @param string $time     Start time (H:i).
+     * @return bool Whether someone was offered the slot.
+     */
+    private function offer_slot($type_id, $staff_id, $date, $time) {
+        global $wpdb;
+
+        $table = $wpdb->prefix . 'snab_waitlist';
+
+        $entries = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM {$table}
+             WHERE appointment_type_id = %d AND waitlist_date = %s AND status = 'waiting'
+             ORDER BY id ASC",
+            $type_id,
+            $date
+        ));
+
+        $entry = self::pick_next_entry($entries, $staff_id);
+        if (!$entry) {
+            return false;
+        }
+
+        // Another booking or a calendar event may already cover the slot
+        if (!$this->availability_service->is_slot_available($date, $time, $type_id, $staff_id)) {
+            return false;
+        }
+
+        $expires = time() + self::get_hold_minutes() * MINUTE_IN_SECONDS;
+
+        $updated = $wpdb->query($wpdb->prepare(
+            "UPDATE {$table}
+             SET status = 'offered', offered_staff_id = %d, offered_time = %s, offer_token = %s,
+                 offered_at = %s, offer_expires_at = %s, updated_at = %s
+             WHERE id = %d AND status = 'waiting'",
+            $staff_id,
+            $time . ':00',
+            wp_generate_password(32, false),
+            current_time('mysql'),
+            wp_date('Y-m-d H:i:s', $expires),
+            current_time('mysql'),
+            $entry->id
+        ));
+
+        // Someone else got to this entry first
+        if (!$updated) {
+            return false;
+        }
+
+        wp_schedule_single_event($expires, self::EXPIRE_HOOK, array((int) $entry->id));
+
+        snab_notifications()->send_waitlist_offer($entry->id);
+
+        if (!empty($entry->user_id) && class_exists('SNAB_Push_Notifications')) {
+            SNAB_Push_Notifications::instance()->send_waitlist_offer($this->get_entry($entry->id));
+        }
+
+        SNAB_Logger::info('Waitlist slot offered', array(
+            'entry_id' => $entry->id,
+            'date' => $date,
+            'time' => $time,
+            'client' => $entry->client_name,
+        ));
+
+        return true;
+    }
+
+    /**
+     * Close an entry; if it held an offer, pass the slot to the next person.
+     *
+     * @param object $entry  Waitlist entry.
+     * @param string $status New status ('expired' or 'cancelled').
+     */
+    private function close_entry($entry, $status) {
+        global $wpdb;
+
+        $wpdb->update(
+            $wpdb->prefix . 'snab_waitlist',
+            array(
+                'status' => $status,
+                'updated_at' => current_time('mysql'),
+            ),
+            array('id' => $entry->id),
+            array('%s', '%s'),
+            array('%d')
+        );
+
+        if ($entry->status !== 'offered') {
+            return;
+        }
+
+        wp_clear_scheduled_hook(self::EXPIRE_HOOK, array((int) $entry->id));
+
+        if ($entry->waitlist_date >= wp_date('Y-m-d')) {
+            $this->offer_slot(
+                (int) $entry->appointment_type_id,
+                (int) $entry->offered_staff_id,
+                $entry->waitlist_date,
+                substr($entry->offered_time, 0, 5)
+            );
+        }
+    }
+
+    /**
+     * Create the Google Calendar event for a booked offer.
+     *
+     * @param int    $appointment_id Appointment ID.
+     * @param object $type           Appointment type row.
+     */
+    private function create_calendar_event($appointment_id, $type) {
+        global $wpdb;
+
+        $appointment = $wpdb->get_row($wpdb->prepare(
+            "SELECT * FROM {$wpdb->prefix}snab_appointments WHERE id = %d",
+            $appointment_id
+        ));
+
+        if (!$appointment || !$this->google_calendar->is_staff_connected($appointment->staff_id)) {
+            return;
+        }
+
+        $timezone = wp_timezone_string();
+
+        $description_parts = array(
+            sprintf('Type: %s', $type->name),
+            sprintf('Client: %s', $appointment->client_name),
+            sprintf('Email: %s', $appointment->client_email),
+            'Booked from the waitlist',
+        );
+        if (!empty($appointment->client_phone)) {
+            $description_parts[] = sprintf('Phone: %s', $appointment->client_phone);
+        }
+
+        $event_data = array(
+            'summary' => sprintf('%s - %s', $type->name, $appointment->client_name),
+            'description' => implode("\n", $description_parts),
+            'start' => array('dateTime' => $appointment->appointment_date . 'T' . $appointment->start_time, 'timeZone' => $timezone),
+            'end' => array('dateTime' => $appointment->appointment_date . 'T' . $appointment->end_time, 'timeZone' => $timezone),
+        );
+
+        $attendees_array = $this->google_calendar->build_attendees_array($appointment_id);
+        if (!empty($attendees_array)) {
+            $event_data['attendees'] = $attendees_array;
+        }
+
+        $event_result = $this->google_calendar->create_staff_event($appointment->staff_id, $event_data);
+
+        if (!is_wp_error($event_result) && isset($event_result['id'])) {
+            $wpdb->update(
+                $wpdb->prefix . 'snab_appointments',
+                array(
+                    'google_event_id' => $event_result['id'],
+                    'google_calendar_synced' => 1,
+                ),
+                array('id' => $appointment_id),
+                array('%s', '%d'),
+                array('%d')
+            );
+        } else {
+            SNAB_Logger::warning('Failed to create Google Calendar event for waitlist booking', array(
+                'appointment_id' => $appointment_id,
+                'error' => is_wp_error($event_result) ? $event_result->get_error_message() : 'Unknown error',
+            ));
+        }
+    }
+}
@@ -0,0 +1,129 @@
+<?php
+/**
+ * Date and Time Helpers
+ *
+ * Convert appointment dates and times between the office (WordPress)
+ * timezone and the timezones clients book from.
+ *
+ * @package SN_Appointment_Booking
+ * @since 1.4.4
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Convert date and/or time strings to Unix timestamp using WordPress timezone.
+ *
+ * IMPORTANT: This function fixes timezone issues that occur when using strtotime()
+ * directly on date/time strings. strtotime() uses PHP's default timezone (usually UTC),
+ * not WordPress timezone, causing times to display incorrectly (e.g., 9am becomes 4am).
+ *
+ * @since 1.4.4
+ * @param string $date Date string (Y-m-d format) or empty for current date.
+ * @param string $time Time string (H:i or H:i:s format) or empty for midnight.
+ * @return int Unix timestamp in WordPress timezone.
+ */
+function snab_datetime_to_timestamp($date = '', $time = '') {
+    $timezone = wp_timezone();
+
+    // If no date, use today
+    if (empty($date)) {
+        $date = wp_date('Y-m-d');
+    }
+
+    // If no time, use midnight
+    if (empty($time)) {
+        $time = '00:00:00';
+    }
+
+    // Ensure time has seconds
+    if (strlen($time) === 5) {
+        $time .= ':00';
+    }
+
+    // Create DateTime with WordPress timezone
+    $dt = new DateTime($date . ' ' . $time, $timezone);
+    return $dt->getTimestamp();
+}
+
+/**
+ * Format a date string for display using WordPress timezone.
+ *
+ * @since 1.4.4
+ * @param string $date Date string (Y-m-d format).
+ * @param string $format Optional format, defaults to WordPress date_format.
+ * @return string Formatted date.
+ */
+function snab_format_date($date, $format = '') {
+    if (empty($format)) {
+        $format = get_option('date_format');
+    }
+    return wp_date($format, snab_datetime_to_timestamp($date));
+}
+
+/**
+ * Format a time string for display using WordPress timezone.
+ *
+ * @since 1.4.4
+ * @param string $date Date string (Y-m-d format) - required for proper timezone context.
+ * @param string $time Time string (H:i or H:i:s format).
+ * @param string $format Optional format, defaults to WordPress time_format.
+ * @return string Formatted time.
+ */
+function snab_format_time($date, $time, $format = '') {
+    if (empty($format)) {
+        $format = get_option('time_format');
+    }
+    return wp_date($format, snab_datetime_to_timestamp($date, $time));
+}
+
+/**
+ * Validate a client's IANA timezone identifier.
+ *
+ * @since 1.12.0
+ * @param string $timezone Timezone identifier from the browser or app (e.g. America/Los_Angeles).
+ * @return string The timezone, or empty string if it is not a known identifier.
+ */
+function snab_sanitize_timezone($timezone) {
+    $timezone = sanitize_text_field((string) $timezone);
+    if ($timezone === '' || !in_array($timezone, timezone_identifiers_list(DateTimeZone::ALL_WITH_BC), true)) {
+        return '';
+    }
+    return $timezone;
+}
+
+/**
+ * Format an office date/time in the client's own timezone.
+ *
+ * Returns an empty string when there is no client timezone or it has the
+ * same UTC offset as the office at that moment, so callers only show a
+ * second time when it actually differs.
+ *
+ * @since 1.12.0
+ * @param string $date            Date string (Y-m-d format) in office time.
+ * @param string $time            Time string (H:i or H:i:s format) in office time.
+ * @param string $client_timezone Client IANA timezone identifier.
+ * @param string $format          Optional format, defaults to WordPress time_format plus zone abbreviation.
+ * @return string Formatted client time, or empty string.
+ */
+function snab_format_client_time($date, $time, $client_timezone, $format = '') {
+    $client_timezone = snab_sanitize_timezone($client_timezone);
+    if ($client_timezone === '') {
+        return '';
+    }
+
+    $timestamp = snab_datetime_to_timestamp($date, $time);
+    $client_zone = new DateTimeZone($client_timezone);
+    $office_offset = wp_timezone()->getOffset(new DateTime('@' . $timestamp));
+    if ($client_zone->getOffset(new DateTime('@' . $timestamp)) === $office_offset) {
+        return '';
+    }
+
+    if (empty($format)) {
+        $format = get_option('time_format') . ' T';
+    }
+    return wp_date($format, $timestamp, $client_zone);
+}
@@ -3,7 +3,7 @@
  * Plugin Name: SN Appointment Booking
  * Plugin URI: https://steve-novak.com
  * Description: Google Calendar-integrated appointment booking system for real estate professionals. Allows clients to book showings, consultations, and other appointments directly from your website.
- * Version: 1.10.4
+ * Version: 1.15.0
  * Author: Steve Novak
  * Author URI: https://steve-novak.com
  * License: GPL-2.0+
@@ -18,6 +18,47 @@
  *
  * == Changelog ==
  *
+ * = 1.15.0 (2026-10-19) =
+ * * FEATURE: Recurring appointments - create weekly, every-2-weeks or monthly series from the admin
+ * * Series end on a date or after a number of occurrences (up to 52)
+ * * Dates are checked against existing bookings and blocked time before booking; conflicts can be skipped
+ * * Reschedule and cancel one occurrence, it and the following ones, or the whole series
+ * * New wp_snab_appointment_series table; appointments gain series_id and series_index columns
+ *
+ * = 1.14.0 (2026-10-19) =
+ * * FEATURE: Add-to-calendar (.ics) downloads on the booking confirmation and client portal cards
+ * * Private calendar subscription feeds: one for a client's bookings, one for an agent's schedule
+ * * Feeds carry status and sequence so reschedules and cancellations update subscribed calendars
+ * * Client portal "Subscribe in Your Calendar" panel with copy, webcal subscribe and reset links
+ * * REST API: GET /calendar-feeds, POST /calendar-feeds/reset, ics_url on bookings and appointments
+ * * Cancelled appointments download as a cancellation from GET /appointments/{id}/ics
+ * * Fixed ICS descriptions showing a literal "\n" instead of line breaks
+ *
+ * = 1.13.0 (2026-10-19) =
+ * * FEATURE: Waitlist for fully booked days - join from the booking widget, client portal or REST API
+ * * Booking calendar marks fully booked days; picking one offers "notify me if something opens"
+ * * Cancelled slots are offered to the waitlist in joining order, by email (and push for app users)
+ * * Offered slots are held for a set time (Client Portal settings) before passing to the next person
+ * * New wp_snab_waitlist table; availability treats held slots as booked
+ * * Client portal Waitlist tab to book or decline an offer and leave a waitlist
+ *
+ * = 1.12.0 (2026-10-19) =
+ * * FEATURE: Timezone-aware booking - visitors see slots in office time and their own local time
+ * * Booking widget and client portal detect the visitor's timezone and flag when it differs
+ * * Calendars use the office's "today" instead of the visitor's
+ * * Bookings and client reschedules store the client's timezone (new client_timezone column)
+ * * Emails show the client's local time next to office time when they differ
+ * * REST API accepts client_timezone on bookings and returns it with appointments
+ *
+ * = 1.11.0 (2026-10-19) =
+ * * FEATURE: Showing tours - book several homes back to back from the booking widget
+ * * Tour mode on showing types: pick listings (or type addresses), get chained start times
+ * * Drive-time buffers between stops estimated from listing coordinates
+ * * New wp_snab_tours table; appointments gain tour_id and tour_stop columns
+ * * Tours are rescheduled and cancelled as a whole from the client portal and REST API
+ * * One itinerary email per tour change, with a calendar file for each stop
+ * * Added delete_staff_event() for per-staff Google Calendar deletes
+ *
  * = 1.10.4 (2026-02-05) =
  * * FEATURE: Google Calendar invites now include all attendees (additional + CC)
  * * FEATURE: CC'd guests without accounts receive app invite email with signup CTA
@@ -260,13 +301,13 @@ if (!defined('ABSPATH')) {
  * Update this when releasing new versions.
  * Also update in: class-snab-upgrader.php, version.json, .context/SESSION_RESUME.md
  */
-define('SNAB_VERSION', '1.10.4');
+define('SNAB_VERSION', '1.15.0');
 
 /**
  * Database version.
  * Increment when database schema changes.
  */
-define('SNAB_DB_VERSION', '1.10.0');
+define('SNAB_DB_VERSION', '1.15.0');
 
 /**
  * Plugin file path.
@@ -289,70 +330,9 @@ define('SNAB_PLUGIN_URL', plugin_dir_url(__FILE__));
 define('SNAB_PLUGIN_BASENAME', plugin_basename(__FILE__));
 
 /**
- * Convert date and/or time strings to Unix timestamp using WordPress timezone.
- *
- * IMPORTANT: This function fixes timezone issues that occur when using strtotime()
- * directly on date/time strings. strtotime() uses PHP's default timezone (usually UTC),
- * not WordPress timezone, causing times to display incorrectly (e.g., 9am becomes 4am).
- *
- * @since 1.4.4
- * @param string $date Date string (Y-m-d format) or empty for current date.
- * @param string $time Time string (H:i or H:i:s format) or empty for midnight.
- * @return int Unix timestamp in WordPress timezone.
- */
-function snab_datetime_to_timestamp($date = '', $time = '') {
-    $timezone = wp_timezone();
-
-    // If no date, use today
-    if (empty($date)) {
-        $date = wp_date('Y-m-d');
-    }
-
-    // If no time, use midnight
-    if (empty($time)) {
-        $time = '00:00:00';
-    }
-
-    // Ensure time has seconds
-    if (strlen($time) === 5) {
-        $time .= ':00';
-    }
-
-    // Create DateTime with WordPress timezone
-    $dt = new DateTime($date . ' ' . $time, $timezone);
-    return $dt->getTimestamp();
-}
-
-/**
- * Format a date string for display using WordPress timezone.
- *
- * @since 1.4.4
- * @param string $date Date string (Y-m-d format).
- * @param string $format Optional format, defaults to WordPress date_format.
- * @return string Formatted date.
+ * Date and time helpers, loaded early so every component can use them.
  */
-function snab_format_date($date, $format = '') {
-    if (empty($format)) {
-        $format = get_option('date_format');
-    }
-    return wp_date($format, snab_datetime_to_timestamp($date));
-}
-
-/**
- * Format a time string for display using WordPress timezone.
- *
- * @since 1.4.4
- * @param string $date Date string (Y-m-d format) - required for proper timezone context.
- * @param string $time Time string (H:i or H:i:s format).
- * @param string $format Optional format, defaults to WordPress time_format.
- * @return string Formatted time.
- */
-function snab_format_time($date, $time, $format = '') {
-    if (empty($format)) {
-        $format = get_option('time_format');
-    }
-    return wp_date($format, snab_datetime_to_timestamp($date, $time));
-}
+require_once SNAB_PLUGIN_DIR . 'includes/snab-datetime-functions.php';
 
 /**
  * Main plugin class.
@@ -411,6 +391,15 @@ final class SN_Appointment_Booking {
         // Availability service (needed for both admin and frontend)
         require_once SNAB_PLUGIN_DIR . 'includes/class-snab-availability-service.php';
 
+        // Showing tours (widget, client portal and REST API)
+        require_once SNAB_PLUGIN_DIR . 'includes/class-snab-tour-service.php';
+
+        // Waitlist for fully booked days (widget, client portal and REST API)
+        require_once SNAB_PLUGIN_DIR . 'includes/class-snab-waitlist-service.php';
+
+        // Recurring appointment series (admin)
+        require_once SNAB_PLUGIN_DIR . 'includes/class-snab-series-service.php';
+
         // Admin classes (only load in admin)
         if (is_admin()) {
             require_once SNAB_PLUGIN_DIR . 'includes/class-snab-admin-types.php';
@@ -444,6 +433,9 @@ final class SN_Appointment_Booking {
 
         // ICS Generator
         require_once SNAB_PLUGIN_DIR . 'includes/class-snab-ics-generator.php';
+
+        // Calendar downloads and subscription feeds
+        require_once SNAB_PLUGIN_DIR . 'includes/class-snab-calendar-feed.php';
     }
 
     /**
@@ -467,6 +459,12 @@ final class SN_Appointment_Booking {
         // Initialize Push Notifications
         add_action('init', array($this, 'init_push_notifications'));
 
+        // Initialize waitlist offer expiry
+        add_action('init', array($this, 'init_waitlist'));
+
+        // Initialize calendar downloads and subscription feeds
+        add_action('init', array($this, 'init_calendar_feed'));
+
         // Load textdomain
         add_action('plugins_loaded', array($this, 'load_textdomain'));
     }
@@ -516,6 +514,24 @@ final class SN_Appointment_Booking {
         }
     }
 
+    /**
+     * Initialize the waitlist offer expiry cron hook.
+     *
+     * @since 1.13.0
+     */
+    public function init_waitlist() {
+        SNAB_Waitlist_Service::init();
+    }
+
+    /**
+     * Initialize the .ics download and calendar feed endpoints.
+     *
+     * @since 1.14.0
+     */
+    public function init_calendar_feed() {
+        SNAB_Calendar_Feed::init();
+    }
+
     /**
      * Load plugin textdomain.
      */
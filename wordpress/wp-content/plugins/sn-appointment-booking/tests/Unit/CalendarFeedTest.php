@@ -0,0 +1,86 @@
+<?php
+/**
+ * Calendar Feed Unit Tests
+ *
+ * Tests for the pieces of the .ics downloads and subscription feeds that
+ * decide how calendar apps treat an event: status, sequence and feed links.
+ *
+ * @package SN_Appointment_Booking\Tests\Unit
+ * @since 1.14.0
+ */
+
+namespace SNAB\Tests\Unit;
+
+require_once dirname(__DIR__) . '/bootstrap.php';
+require_once __DIR__ . '/SNAB_Unit_TestCase.php';
+require_once dirname(__DIR__, 2) . '/includes/class-snab-ics-generator.php';
+require_once dirname(__DIR__, 2) . '/includes/class-snab-calendar-feed.php';
+
+use SNAB_Calendar_Feed;
+use SNAB_ICS_Generator;
+
+/**
+ * Calendar Feed Test Class
+ */
+class CalendarFeedTest extends SNAB_Unit_TestCase {
+
+    /**
+     * Test that appointment statuses map to iCalendar statuses.
+     */
+    public function test_event_status() {
+        $this->assertEquals('CONFIRMED', SNAB_ICS_Generator::get_event_status('confirmed'));
+        $this->assertEquals('TENTATIVE', SNAB_ICS_Generator::get_event_status('pending'));
+        $this->assertEquals('CANCELLED', SNAB_ICS_Generator::get_event_status('cancelled'));
+        $this->assertEquals('CONFIRMED', SNAB_ICS_Generator::get_event_status('completed'),
+            'Finished appointments still happened');
+    }
+
+    /**
+     * Test that the sequence follows reschedules.
+     */
+    public function test_sequence_counts_reschedules() {
+        $appointment = (object) ['status' => 'confirmed', 'reschedule_count' => 0];
+        $this->assertEquals(0, SNAB_ICS_Generator::get_event_sequence($appointment));
+
+        $appointment->reschedule_count = 2;
+        $this->assertEquals(2, SNAB_ICS_Generator::get_event_sequence($appointment));
+    }
+
+    /**
+     * Test that cancelling bumps the sequence past the last version.
+     */
+    public function test_sequence_bumps_on_cancel() {
+        $appointment = (object) ['status' => 'cancelled', 'reschedule_count' => 2];
+
+        $this->assertEquals(3, SNAB_ICS_Generator::get_event_sequence($appointment));
+    }
+
+    /**
+     * Test that unknown scopes fall back to the client feed.
+     */
+    public function test_scope_defaults_to_client() {
+        $this->assertEquals(SNAB_Calendar_Feed::SCOPE_STAFF, SNAB_Calendar_Feed::sanitize_scope('staff'));
+        $this->assertEquals(SNAB_Calendar_Feed::SCOPE_CLIENT, SNAB_Calendar_Feed::sanitize_scope('client'));
+        $this->assertEquals(SNAB_Calendar_Feed::SCOPE_CLIENT, SNAB_Calendar_Feed::sanitize_scope('admin'));
+        $this->assertEquals(SNAB_Calendar_Feed::SCOPE_CLIENT, SNAB_Calendar_Feed::sanitize_scope(''));
+    }
+
+    /**
+     * Test that tokens are stripped to letters and digits.
+     */
+    public function test_sanitize_token() {
+        $this->assertEquals('abcDEF123', SNAB_Calendar_Feed::sanitize_token("abc-DEF_123'"));
+        $this->assertEquals('', SNAB_Calendar_Feed::sanitize_token(null));
+    }
+
+    /**
+     * Test that feed links become webcal:// subscription links.
+     */
+    public function test_webcal_url() {
+        $this->assertEquals(
+            'webcal://example.com/wp-admin/admin-ajax.php?action=snab_calendar_feed',
+            SNAB_Calendar_Feed::to_webcal_url('https://example.com/wp-admin/admin-ajax.php?action=snab_calendar_feed')
+        );
+        $this->assertEquals('webcal://example.com/feed', SNAB_Calendar_Feed::to_webcal_url('http://example.com/feed'));
+    }
+}
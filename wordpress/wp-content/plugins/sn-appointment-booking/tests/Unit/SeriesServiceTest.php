@@ -0,0 +1,160 @@
+<?php
+/**
+ * Series Service Unit Tests
+ *
+ * Tests for recurring appointments: occurrence dates, moving part of a
+ * series and flagging dates that conflict with bookings or blocked time.
+ *
+ * @package SN_Appointment_Booking\Tests\Unit
+ * @since 1.15.0
+ */
+
+namespace SNAB\Tests\Unit;
+
+require_once dirname(__DIR__) . '/bootstrap.php';
+require_once __DIR__ . '/SNAB_Unit_TestCase.php';
+require_once dirname(__DIR__, 2) . '/includes/class-snab-series-service.php';
+
+use SNAB_Series_Service;
+
+/**
+ * Series Service Test Class
+ */
+class SeriesServiceTest extends SNAB_Unit_TestCase {
+
+    /**
+     * Test that a weekly series with a count has that many dates a week apart.
+     */
+    public function test_weekly_series_by_count() {
+        $dates = SNAB_Series_Service::get_occurrence_dates('2026-10-20', 'weekly', 4);
+
+        $this->assertEquals(['2026-10-20', '2026-10-27', '2026-11-03', '2026-11-10'], $dates);
+    }
+
+    /**
+     * Test that a biweekly series stops at its end date.
+     */
+    public function test_biweekly_series_until_date() {
+        $dates = SNAB_Series_Service::get_occurrence_dates('2026-12-01', 'biweekly', 0, '2027-01-12');
+
+        $this->assertEquals(['2026-12-01', '2026-12-15', '2026-12-29', '2027-01-12'], $dates,
+            'The end date itself is included');
+    }
+
+    /**
+     * Test that monthly series keep the day of the month, clamped in short months.
+     */
+    public function test_monthly_series_clamps_to_month_end() {
+        $dates = SNAB_Series_Service::get_occurrence_dates('2027-01-31', 'monthly', 4);
+
+        $this->assertEquals(['2027-01-31', '2027-02-28', '2027-03-31', '2027-04-30'], $dates);
+    }
+
+    /**
+     * Test that monthly series cross the year boundary.
+     */
+    public function test_monthly_series_across_year_end() {
+        $dates = SNAB_Series_Service::get_occurrence_dates('2026-11-15', 'monthly', 3);
+
+        $this->assertEquals(['2026-11-15', '2026-12-15', '2027-01-15'], $dates);
+    }
+
+    /**
+     * Test that the first of count or end date wins.
+     */
+    public function test_count_and_until_together() {
+        $this->assertCount(2, SNAB_Series_Service::get_occurrence_dates('2026-10-20', 'weekly', 5, '2026-10-29'));
+        $this->assertCount(3, SNAB_Series_Service::get_occurrence_dates('2026-10-20', 'weekly', 3, '2027-10-20'));
+    }
+
+    /**
+     * Test that series are capped at the maximum number of occurrences.
+     */
+    public function test_series_capped_at_max_occurrences() {
+        $this->assertCount(SNAB_Series_Service::MAX_OCCURRENCES,
+            SNAB_Series_Service::get_occurrence_dates('2026-10-20', 'weekly', 500));
+        $this->assertCount(SNAB_Series_Service::MAX_OCCURRENCES,
+            SNAB_Series_Service::get_occurrence_dates('2026-10-20', 'weekly', 0, '2030-01-01'));
+    }
+
+    /**
+     * Test that bad input gives no dates, and no end gives just the first date.
+     */
+    public function test_invalid_series_input() {
+        $this->assertEquals([], SNAB_Series_Service::get_occurrence_dates('2026-10-20', 'daily', 4));
+        $this->assertEquals([], SNAB_Series_Service::get_occurrence_dates('10/20/2026', 'weekly', 4));
+        $this->assertEquals(['2026-10-20'], SNAB_Series_Service::get_occurrence_dates('2026-10-20', 'weekly'));
+    }
+
+    /**
+     * Test that shifting moves every date by the same number of days.
+     */
+    public function test_shift_dates_keeps_spacing() {
+        $dates = ['2026-10-27', '2026-11-03', '2026-11-10'];
+
+        $this->assertEquals(['2026-10-29', '2026-11-05', '2026-11-12'],
+            SNAB_Series_Service::shift_dates($dates, '2026-10-27', '2026-10-29'));
+        $this->assertEquals(['2026-10-26', '2026-11-02', '2026-11-09'],
+            SNAB_Series_Service::shift_dates($dates, '2026-10-27', '2026-10-26'),
+            'Dates can move earlier');
+        $this->assertEquals($dates, SNAB_Series_Service::shift_dates($dates, '2026-10-27', '2026-10-27'));
+    }
+
+    /**
+     * Test that occurrences are flagged as free, booked or blocked.
+     */
+    public function test_classify_occurrences() {
+        $dates = ['2026-10-20', '2026-10-27', '2026-11-03'];
+        $working = [
+            '2026-10-20' => ['09:00', '10:00'],
+            '2026-10-27' => ['09:00', '10:00'],
+            // 2026-11-03 is blocked all day
+        ];
+        $open = [
+            '2026-10-20' => ['09:00', '10:00'],
+            '2026-10-27' => ['09:00'],
+        ];
+
+        $occurrences = SNAB_Series_Service::classify_occurrences($dates, '10:00', $open, $working);
+
+        $this->assertEquals([null, 'booked', 'blocked'], array_column($occurrences, 'conflict'));
+        $this->assertEquals($dates, array_column($occurrences, 'date'));
+        $this->assertEquals('10:00', $occurrences[0]['time']);
+    }
+
+    /**
+     * Test that a time outside working hours is blocked even when the day has hours.
+     */
+    public function test_time_outside_working_hours_is_blocked() {
+        $slots = ['2026-10-20' => ['09:00', '10:00']];
+
+        $occurrences = SNAB_Series_Service::classify_occurrences(['2026-10-20'], '18:00', $slots, $slots);
+
+        $this->assertEquals(SNAB_Series_Service::CONFLICT_BLOCKED, $occurrences[0]['conflict']);
+    }
+
+    /**
+     * Test that only conflicting occurrences are returned as conflicts.
+     */
+    public function test_get_conflicts() {
+        $occurrences = [
+            ['date' => '2026-10-20', 'time' => '10:00', 'conflict' => null],
+            ['date' => '2026-10-27', 'time' => '10:00', 'conflict' => 'booked'],
+        ];
+
+        $conflicts = SNAB_Series_Service::get_conflicts($occurrences);
+
+        $this->assertCount(1, $conflicts);
+        $this->assertEquals('2026-10-27', $conflicts[0]['date']);
+    }
+
+    /**
+     * Test that unknown scopes fall back to just this occurrence.
+     */
+    public function test_sanitize_scope() {
+        $this->assertEquals('following', SNAB_Series_Service::sanitize_scope('following'));
+        $this->assertEquals('all', SNAB_Series_Service::sanitize_scope('all'));
+        $this->assertEquals('this', SNAB_Series_Service::sanitize_scope('everything'));
+        $this->assertEquals('this', SNAB_Series_Service::sanitize_scope(''));
+    }
+}
@@ -0,0 +1,105 @@
+<?php
+/**
+ * Timezone Helper Unit Tests
+ *
+ * Tests for validating client timezones and showing a booking in the
+ * client's own time next to office time.
+ *
+ * @package SN_Appointment_Booking\Tests\Unit
+ * @since 1.12.0
+ */
+
+namespace SNAB\Tests\Unit;
+
+require_once dirname(__DIR__) . '/bootstrap.php';
+require_once __DIR__ . '/SNAB_Unit_TestCase.php';
+require_once dirname(__DIR__, 2) . '/includes/snab-datetime-functions.php';
+
+/**
+ * Timezone Test Class
+ *
+ * The test office runs on America/New_York (see wp_timezone() in bootstrap).
+ */
+class TimezoneTest extends SNAB_Unit_TestCase {
+
+    /**
+     * Test that canonical IANA identifiers are kept.
+     */
+    public function test_sanitize_accepts_canonical_ids() {
+        $this->assertEquals('America/Los_Angeles', snab_sanitize_timezone('America/Los_Angeles'));
+        $this->assertEquals('Europe/London', snab_sanitize_timezone(' Europe/London '),
+            'Surrounding whitespace is trimmed');
+        $this->assertEquals('UTC', snab_sanitize_timezone('UTC'));
+    }
+
+    /**
+     * Test that legacy identifiers some browsers still report are kept.
+     */
+    public function test_sanitize_accepts_legacy_ids() {
+        $this->assertEquals('US/Eastern', snab_sanitize_timezone('US/Eastern'));
+        $this->assertEquals('US/Pacific', snab_sanitize_timezone('US/Pacific'));
+        $this->assertEquals('Asia/Calcutta', snab_sanitize_timezone('Asia/Calcutta'));
+    }
+
+    /**
+     * Test that anything that is not a known identifier is dropped.
+     */
+    public function test_sanitize_rejects_garbage() {
+        $this->assertSame('', snab_sanitize_timezone(''));
+        $this->assertSame('', snab_sanitize_timezone(null));
+        $this->assertSame('', snab_sanitize_timezone('Mars/Olympus_Mons'));
+        $this->assertSame('', snab_sanitize_timezone('+05:00'), 'Raw offsets are not identifiers');
+        $this->assertSame('', snab_sanitize_timezone('../../etc/passwd'));
+        $this->assertSame('', snab_sanitize_timezone('<script>alert(1)</script>'));
+    }
+
+    /**
+     * Test that the client time is shown when it differs from the office.
+     */
+    public function test_client_time_in_other_zone() {
+        $this->assertEquals('07:00', snab_format_client_time('2026-07-15', '10:00', 'America/Los_Angeles', 'H:i'));
+        $this->assertEquals('15:00', snab_format_client_time('2026-07-15', '10:00:00', 'Europe/London', 'H:i'));
+    }
+
+    /**
+     * Test the default format uses the site time format plus the zone abbreviation.
+     */
+    public function test_client_time_default_format() {
+        update_option('time_format', 'g:i a');
+
+        $this->assertEquals('7:00 am PDT', snab_format_client_time('2026-07-15', '10:00', 'America/Los_Angeles'));
+        $this->assertEquals('7:00 am PST', snab_format_client_time('2026-01-15', '10:00', 'America/Los_Angeles'));
+    }
+
+    /**
+     * Test that nothing is shown when the client shares the office offset.
+     */
+    public function test_client_time_empty_for_same_offset() {
+        $this->assertSame('', snab_format_client_time('2026-07-15', '10:00', 'America/New_York', 'H:i'));
+        $this->assertSame('', snab_format_client_time('2026-07-15', '10:00', 'America/Toronto', 'H:i'));
+        $this->assertSame('', snab_format_client_time('2026-07-15', '10:00', 'US/Eastern', 'H:i'),
+            'Legacy ids are compared by offset too');
+    }
+
+    /**
+     * Test that the offset is compared at the appointment's instant, not today.
+     *
+     * Bogota stays on UTC-5 all year, so it matches New York in winter only.
+     */
+    public function test_client_time_follows_office_dst() {
+        $this->assertSame('', snab_format_client_time('2026-01-15', '10:00', 'America/Bogota', 'H:i'));
+        $this->assertEquals('09:00', snab_format_client_time('2026-07-15', '10:00', 'America/Bogota', 'H:i'));
+
+        // New York springs forward at 2:00 on 2026-03-08
+        $this->assertSame('', snab_format_client_time('2026-03-08', '01:30', 'America/Bogota', 'H:i'));
+        $this->assertEquals('02:30', snab_format_client_time('2026-03-08', '03:30', 'America/Bogota', 'H:i'));
+    }
+
+    /**
+     * Test that a missing or invalid client timezone shows nothing.
+     */
+    public function test_client_time_empty_for_invalid_zone() {
+        $this->assertSame('', snab_format_client_time('2026-07-15', '10:00', '', 'H:i'));
+        $this->assertSame('', snab_format_client_time('2026-07-15', '10:00', 'Not/A_Zone', 'H:i'));
+    }
+}
@@ -0,0 +1,168 @@
+<?php
+/**
+ * Tour Service Unit Tests
+ *
+ * Tests for showing tour planning: drive-time estimates between stops and
+ * chaining stop start times onto open slots.
+ *
+ * @package SN_Appointment_Booking\Tests\Unit
+ * @since 1.11.0
+ */
+
+namespace SNAB\Tests\Unit;
+
+require_once dirname(__DIR__) . '/bootstrap.php';
+require_once __DIR__ . '/SNAB_Unit_TestCase.php';
+require_once dirname(__DIR__, 2) . '/includes/class-snab-availability-service.php';
+require_once dirname(__DIR__, 2) . '/includes/class-snab-tour-service.php';
+
+use SNAB_Tour_Service;
+
+/**
+ * Tour Service Test Class
+ */
+class TourServiceTest extends SNAB_Unit_TestCase {
+
+    /**
+     * Open 15-minute slots between two times (H:i), end exclusive.
+     *
+     * @param string $from First slot.
+     * @param string $to   End of the range.
+     * @param array  $skip Slots to leave out (booked).
+     * @return array
+     */
+    private function slots($from, $to, $skip = []) {
+        $slots = [];
+        $start = strtotime('2026-01-01 ' . $from);
+        $end = strtotime('2026-01-01 ' . $to);
+
+        for ($time = $start; $time < $end; $time += 15 * 60) {
+            $slot = date('H:i', $time);
+            if (!in_array($slot, $skip, true)) {
+                $slots[] = $slot;
+            }
+        }
+
+        return $slots;
+    }
+
+    /**
+     * Test that stops without coordinates get the default drive buffer.
+     */
+    public function test_drive_estimate_defaults_without_coordinates() {
+        $with = ['latitude' => 42.35, 'longitude' => -71.06];
+        $without = ['latitude' => null, 'longitude' => null];
+
+        $this->assertEquals(SNAB_Tour_Service::DEFAULT_DRIVE_MINUTES,
+            SNAB_Tour_Service::estimate_drive_minutes($with, $without));
+        $this->assertEquals(SNAB_Tour_Service::DEFAULT_DRIVE_MINUTES,
+            SNAB_Tour_Service::estimate_drive_minutes($without, $with),
+            'Missing coordinates on either end use the default');
+    }
+
+    /**
+     * Test that nearby stops still get the minimum drive buffer.
+     */
+    public function test_drive_estimate_minimum() {
+        $stop = ['latitude' => 42.35, 'longitude' => -71.06];
+
+        $this->assertEquals(SNAB_Tour_Service::MIN_DRIVE_MINUTES,
+            SNAB_Tour_Service::estimate_drive_minutes($stop, $stop));
+    }
+
+    /**
+     * Test that drive estimates round up to 5 minutes.
+     */
+    public function test_drive_estimate_rounds_up_to_five_minutes() {
+        // One degree of latitude is ~69.1 miles; x1.3 road factor at 25 mph is ~215.6 minutes
+        $minutes = SNAB_Tour_Service::estimate_drive_minutes(
+            ['latitude' => 42.0, 'longitude' => -71.0],
+            ['latitude' => 43.0, 'longitude' => -71.0]
+        );
+
+        $this->assertEquals(220, $minutes);
+        $this->assertEquals(0, $minutes % 5);
+    }
+
+    /**
+     * Test that there is one drive leg between each pair of stops.
+     */
+    public function test_drive_legs_per_pair_of_stops() {
+        $stops = [
+            ['address' => '1 Main St', 'latitude' => null, 'longitude' => null],
+            ['address' => '2 Main St', 'latitude' => null, 'longitude' => null],
+            ['address' => '3 Main St', 'latitude' => null, 'longitude' => null],
+        ];
+
+        $legs = SNAB_Tour_Service::get_drive_legs($stops);
+
+        $this->assertCount(2, $legs);
+        $this->assertEquals([20, 20], $legs);
+        $this->assertEquals([], SNAB_Tour_Service::get_drive_legs([$stops[0]]));
+    }
+
+    /**
+     * Test that the next stop starts after the drive, on a slot boundary.
+     */
+    public function test_chain_rounds_next_stop_to_slot_boundary() {
+        // 09:00 + 30 min showing + 10 min drive = 09:40, next slot is 09:45
+        $chain = SNAB_Tour_Service::build_chain('09:00', 30, [10], $this->slots('09:00', '17:00'));
+
+        $this->assertCount(2, $chain);
+        $this->assertEquals(['start' => '09:00', 'end' => '09:30', 'drive_minutes' => 0], $chain[0]);
+        $this->assertEquals(['start' => '09:45', 'end' => '10:15', 'drive_minutes' => 10], $chain[1]);
+    }
+
+    /**
+     * Test that a drive ending on a boundary is not pushed to the next slot.
+     */
+    public function test_chain_keeps_exact_boundary() {
+        // 09:00 + 30 + 30 = 10:00 exactly
+        $chain = SNAB_Tour_Service::build_chain('09:00', 30, [30], $this->slots('09:00', '17:00'));
+
+        $this->assertEquals('10:00', $chain[1]['start']);
+    }
+
+    /**
+     * Test that a chain fails when any stop lands on a booked slot.
+     */
+    public function test_chain_fails_when_a_stop_slot_is_taken() {
+        $slots = $this->slots('09:00', '17:00', ['09:45']);
+
+        $this->assertNull(SNAB_Tour_Service::build_chain('09:00', 30, [10], $slots));
+        $this->assertNull(SNAB_Tour_Service::build_chain('08:00', 30, [10], $slots),
+            'The first stop must be an open slot too');
+    }
+
+    /**
+     * Test that a chain cannot run past midnight.
+     */
+    public function test_chain_fails_past_midnight() {
+        $slots = ['23:00', '23:45'];
+
+        $this->assertNull(SNAB_Tour_Service::build_chain('23:00', 30, [10], $slots));
+    }
+
+    /**
+     * Test that only start slots fitting every stop are offered.
+     */
+    public function test_find_chains_keys_by_first_start() {
+        // 09:45 is booked, so 09:00 (next stop 09:45) cannot start a tour
+        $slots = ['09:00', '09:15', '09:30', '10:00'];
+
+        $chains = SNAB_Tour_Service::find_chains(30, [10], $slots);
+
+        $this->assertEquals(['09:15'], array_keys($chains));
+        $this->assertEquals('10:00', $chains['09:15'][1]['start']);
+    }
+
+    /**
+     * Test that a three-stop chain accumulates each drive.
+     */
+    public function test_three_stop_chain() {
+        $chain = SNAB_Tour_Service::build_chain('10:00', 30, [20, 15], $this->slots('09:00', '17:00'));
+
+        $this->assertEquals(['10:00', '11:00', '11:45'], array_column($chain, 'start'));
+        $this->assertEquals([0, 20, 15], array_column($chain, 'drive_minutes'));
+    }
+}
@@ -0,0 +1,112 @@
+<?php
+/**
+ * Waitlist Service Unit Tests
+ *
+ * Tests for the waitlist hold window, who gets offered a freed slot,
+ * and when an offer can still be booked.
+ *
+ * @package SN_Appointment_Booking\Tests\Unit
+ * @since 1.13.0
+ */
+
+namespace SNAB\Tests\Unit;
+
+require_once dirname(__DIR__) . '/bootstrap.php';
+require_once __DIR__ . '/SNAB_Unit_TestCase.php';
+require_once dirname(__DIR__, 2) . '/includes/class-snab-availability-service.php';
+require_once dirname(__DIR__, 2) . '/includes/class-snab-waitlist-service.php';
+
+use SNAB_Waitlist_Service;
+
+/**
+ * Waitlist Service Test Class
+ */
+class WaitlistServiceTest extends SNAB_Unit_TestCase {
+
+    /**
+     * Build a waitlist entry.
+     *
+     * @param int      $id       Entry ID.
+     * @param int|null $staff_id Staff ID (null = any).
+     * @return object
+     */
+    private function entry($id, $staff_id = null) {
+        return (object) [
+            'id' => $id,
+            'staff_id' => $staff_id,
+            'status' => 'waiting',
+            'offer_expires_at' => null,
+        ];
+    }
+
+    /**
+     * Test that an unset or invalid hold window falls back to the default.
+     */
+    public function test_hold_minutes_default() {
+        $this->assertEquals(SNAB_Waitlist_Service::DEFAULT_HOLD_MINUTES, SNAB_Waitlist_Service::sanitize_hold_minutes(0));
+        $this->assertEquals(SNAB_Waitlist_Service::DEFAULT_HOLD_MINUTES, SNAB_Waitlist_Service::sanitize_hold_minutes(-30));
+        $this->assertEquals(SNAB_Waitlist_Service::DEFAULT_HOLD_MINUTES, SNAB_Waitlist_Service::sanitize_hold_minutes(''));
+    }
+
+    /**
+     * Test that the hold window is clamped to the allowed range.
+     */
+    public function test_hold_minutes_clamped() {
+        $this->assertEquals(SNAB_Waitlist_Service::MIN_HOLD_MINUTES, SNAB_Waitlist_Service::sanitize_hold_minutes(5));
+        $this->assertEquals(SNAB_Waitlist_Service::MAX_HOLD_MINUTES, SNAB_Waitlist_Service::sanitize_hold_minutes(5000));
+        $this->assertEquals(45, SNAB_Waitlist_Service::sanitize_hold_minutes('45'));
+    }
+
+    /**
+     * Test that the first person waiting gets the slot.
+     */
+    public function test_next_entry_is_first_in_line() {
+        $entries = [$this->entry(3), $this->entry(7), $this->entry(9)];
+
+        $this->assertEquals(3, SNAB_Waitlist_Service::pick_next_entry($entries, 2)->id);
+    }
+
+    /**
+     * Test that entries tied to another staff member are skipped.
+     */
+    public function test_next_entry_skips_other_staff() {
+        $entries = [$this->entry(3, 5), $this->entry(7, 2), $this->entry(9)];
+
+        $this->assertEquals(7, SNAB_Waitlist_Service::pick_next_entry($entries, 2)->id);
+        $this->assertEquals(9, SNAB_Waitlist_Service::pick_next_entry($entries, 4)->id,
+            'Entries without a staff member match any slot');
+    }
+
+    /**
+     * Test that nobody is picked when no entry matches.
+     */
+    public function test_next_entry_none_matching() {
+        $this->assertNull(SNAB_Waitlist_Service::pick_next_entry([], 2));
+        $this->assertNull(SNAB_Waitlist_Service::pick_next_entry([$this->entry(3, 5)], 2));
+    }
+
+    /**
+     * Test that an offer is live only until its hold runs out.
+     */
+    public function test_offer_live_until_expiry() {
+        $entry = $this->entry(3);
+        $entry->status = 'offered';
+        $entry->offer_expires_at = '2026-10-19 14:00:00';
+
+        $this->assertTrue(SNAB_Waitlist_Service::is_offer_live($entry, '2026-10-19 13:59:59'));
+        $this->assertFalse(SNAB_Waitlist_Service::is_offer_live($entry, '2026-10-19 14:00:00'));
+        $this->assertFalse(SNAB_Waitlist_Service::is_offer_live($entry, '2026-10-20 09:00:00'));
+    }
+
+    /**
+     * Test that entries that are not holding an offer are never live.
+     */
+    public function test_offer_not_live_without_offer() {
+        $entry = $this->entry(3);
+        $this->assertFalse(SNAB_Waitlist_Service::is_offer_live($entry, '2026-10-19 13:00:00'));
+
+        $entry->status = 'booked';
+        $entry->offer_expires_at = '2026-10-19 14:00:00';
+        $this->assertFalse(SNAB_Waitlist_Service::is_offer_live($entry, '2026-10-19 13:00:00'));
+    }
+}
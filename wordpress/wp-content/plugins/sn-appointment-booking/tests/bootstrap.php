@@ -241,6 +241,14 @@ if (!function_exists('wp_timezone')) {
     }
 }
 
+if (!function_exists('wp_date')) {
+    function wp_date($format, $timestamp = null, $timezone = null) {
+        $date = new DateTime('@' . ($timestamp === null ? time() : $timestamp));
+        $date->setTimezone($timezone ? $timezone : wp_timezone());
+        return $date->format($format);
+    }
+}
+
 // i18n
 if (!function_exists('__')) {
     function __($text, $domain = 'default') {